@@ -6,11 +6,30 @@
  */
 
 const ddlGenerator = require('./ddl-generator')
+const ddlImporter = require('./ddl-importer')
+const ddlMigration = require('./ddl-migration')
+const schemaFormats = require('./schema-formats')
+const seedData = require('./seed-data')
+const dataDictionary = require('./data-dictionary')
+const erdMaterialize = require('./erd-materialize')
+const columnLibrary = require('./column-library')
+const classErdSync = require('./class-erd-sync')
+const bpmnXml = require('./bpmn-xml')
+const bpmnRules = require('./bpmn-rules')
+const structurizrDsl = require('./structurizr-dsl')
+const c4Drilldown = require('./c4-drilldown')
+const tokenSimulation = require('./token-simulation')
+const auth = require('./auth')
 const crudFactory = require('./handlers/crud-factory')
+const openapi = require('./openapi')
+const requestSchema = require('./request-schema')
+const routeRegistry = require('./route-registry')
+const listQuery = require('./list-query')
+const etag = require('./etag')
 const { autoExpandFrame, fitFrameToViews, clearEdgeWaypoints } = require('./handlers/shared-helpers')
 
 // ============================================================
-// Family Configs & Routers
+// Family Configs
 // ============================================================
 
 const familyConfigs = [
@@ -39,23 +58,12 @@ const familyConfigs = [
     require('./handlers/family-gcp')
 ]
 
-const familyRouters = familyConfigs.map(function (config) {
-    return crudFactory.createRouter(config)
-})
-
-// Collect all family endpoints for /api/status
-const familyEndpoints = []
-familyConfigs.forEach(function (config) {
-    const eps = crudFactory.getEndpointList(config)
-    eps.forEach(function (ep) {
-        familyEndpoints.push(ep)
-    })
-})
-
 // ============================================================
 // Constants
 // ============================================================
 
+const API_VERSION = '1.0.0'
+
 // --- Sequence Diagram Constants ---
 
 const VALID_MESSAGE_SORTS = [
@@ -68,16 +76,7 @@ const VALID_INTERACTION_OPERATORS = [
 
 // --- ERD Constants ---
 
-const ALLOWED_COLUMN_TYPES = [
-    'CHAR', 'VARCHAR', 'TEXT', 'CLOB',
-    'BOOLEAN',
-    'SMALLINT', 'INTEGER', 'INT', 'BIGINT', 'TINYINT',
-    'FLOAT', 'DOUBLE', 'REAL', 'DECIMAL', 'NUMERIC',
-    'DATE', 'TIME', 'DATETIME', 'TIMESTAMP',
-    'BLOB', 'BINARY', 'VARBINARY',
-    'UUID', 'JSON', 'JSONB', 'XML',
-    'SERIAL', 'BIGSERIAL'
-]
+const ALLOWED_COLUMN_TYPES = ddlGenerator.COLUMN_TYPES
 
 const VALID_TAG_KINDS = [0, 1, 2, 3, 4]
 const TAG_KIND_LABELS = {
@@ -88,6 +87,8 @@ const SEQUENCE_PREFIX = 'sequence#'
 const INDEX_PREFIX = 'index#'
 const SEQUENCE_ALLOWED_FIELDS = ['name']
 const INDEX_ALLOWED_FIELDS = ['name', 'definition']
+const DOMAIN_ALLOWED_FIELDS = ['name'].concat(columnLibrary.DOMAIN_FIELDS)
+const COLUMN_TEMPLATE_ALLOWED_FIELDS = ['name', 'columns']
 
 // --- Generic Diagram Constants ---
 
@@ -311,68 +312,19 @@ const VALID_LAYOUT_DIRECTIONS = ['TB', 'BT', 'LR', 'RL']
 // ============================================================
 
 /**
- * Check for unknown fields in body. Returns error string or null.
- */
-function checkUnknownFields(body, allowedFields) {
-    const unknown = Object.keys(body).filter(function (k) {
-        return allowedFields.indexOf(k) === -1
-    })
-    if (unknown.length > 0) {
-        return 'Unknown field(s): ' + unknown.join(', ') + '. Allowed fields: ' + allowedFields.join(', ')
-    }
-    return null
-}
-
-/**
- * Validate field type. Returns error string or null.
- */
-function checkFieldType(body, field, expectedType) {
-    if (body[field] === undefined) {
-        return null
-    }
-    const val = body[field]
-    if (expectedType === 'string' && typeof val !== 'string') {
-        return 'Field "' + field + '" must be a string, got ' + typeof val
-    }
-    if (expectedType === 'boolean' && typeof val !== 'boolean') {
-        return 'Field "' + field + '" must be a boolean, got ' + typeof val
-    }
-    if (expectedType === 'number' && typeof val !== 'number') {
-        return 'Field "' + field + '" must be a number, got ' + typeof val
-    }
-    if (expectedType === 'object' && (typeof val !== 'object' || val === null || Array.isArray(val))) {
-        return 'Field "' + field + '" must be an object'
-    }
-    if (expectedType === 'string|null' && val !== null && typeof val !== 'string') {
-        return 'Field "' + field + '" must be a string or null, got ' + typeof val
-    }
-    return null
-}
-
-/**
- * Validate column type value against ALLOWED_COLUMN_TYPES.
+ * Validate the "domain" of a column body: the domain must exist, and
+ * decides type, length and nullable itself.
  */
-function checkColumnType(value) {
-    if (value === undefined) {
+function checkColumnDomain(body) {
+    if (typeof body.domain !== 'string') {
         return null
     }
-    const upper = String(value).toUpperCase()
-    if (ALLOWED_COLUMN_TYPES.indexOf(upper) === -1) {
-        return 'Invalid column type "' + value + '". Allowed types: ' + ALLOWED_COLUMN_TYPES.join(', ')
-    }
-    return null
-}
-
-/**
- * Validate tag kind value.
- */
-function checkTagKind(value) {
-    if (value === undefined) {
-        return null
+    if (!columnLibrary.findDomain(body.domain)) {
+        return 'Domain not found: ' + body.domain
     }
-    if (VALID_TAG_KINDS.indexOf(value) === -1) {
-        const labels = VALID_TAG_KINDS.map(function (k) { return k + '=' + TAG_KIND_LABELS[k] })
-        return 'Invalid tag kind ' + value + '. Allowed values: ' + labels.join(', ')
+    const own = columnLibrary.DOMAIN_PROPAGATED_FIELDS.filter(function (f) { return body[f] !== undefined })
+    if (own.length > 0) {
+        return 'Field(s) ' + own.join(', ') + ' cannot be combined with "domain"; they come from domain "' + body.domain + '"'
     }
     return null
 }
@@ -385,7 +337,7 @@ function checkTagValue(value) {
         return null
     }
     if (typeof value !== 'string' && typeof value !== 'number' && typeof value !== 'boolean') {
-        return 'Field "value" must be a string, number, or boolean, got ' + typeof value
+        return requestSchema.fieldError('value', 'invalid_type', 'Field "value" must be a string, number, or boolean, got ' + typeof value)
     }
     return null
 }
@@ -416,10 +368,14 @@ function validate(checks) {
 }
 
 /**
- * Build a 400 error response with request context.
+ * Build an error response with request context for a check that runs after
+ * the body schema passed. `error` is a { field, code, message } from
+ * requestSchema.fieldError / missingField, or a message for a value that is
+ * not acceptable (code "invalid").
  */
 function validationError(error, requestInfo, body) {
-    const result = { success: false, error: error, request: requestInfo }
+    const fieldError = typeof error === 'string' ? requestSchema.fieldError(null, 'invalid', error) : error
+    const result = { success: false, error: fieldError.message, errors: [fieldError], request: requestInfo }
     if (body && Object.keys(body).length > 0) {
         result.request = Object.assign({}, requestInfo, { body: body })
     }
@@ -485,6 +441,10 @@ function serializeColumn(col) {
     if (col.referenceTo) {
         result.referenceTo = col.referenceTo._id
     }
+    const domain = columnLibrary.columnDomain(col)
+    if (domain) {
+        result.domain = domain
+    }
     if (col._parent) {
         result._parentId = col._parent._id
     }
@@ -790,11 +750,12 @@ function findRelationshipsReferencingEntity(entityId) {
 // Route Handlers
 // ============================================================
 
-const ENTITY_ALLOWED_FIELDS = ['parentId', 'name', 'documentation', 'diagramId', 'x1', 'y1', 'x2', 'y2']
+const ENTITY_ALLOWED_FIELDS = ['parentId', 'name', 'documentation', 'diagramId', 'x1', 'y1', 'x2', 'y2', 'template']
 const ENTITY_UPDATE_FIELDS = ['name', 'documentation']
-const COLUMN_ALLOWED_FIELDS = ['name', 'type', 'length', 'primaryKey', 'foreignKey', 'nullable', 'unique', 'documentation', 'referenceToId']
+const COLUMN_ALLOWED_FIELDS = ['name', 'type', 'length', 'primaryKey', 'foreignKey', 'nullable', 'unique', 'documentation', 'referenceToId', 'domain']
 const TAG_ALLOWED_FIELDS = ['name', 'kind', 'value']
-const RELATIONSHIP_ALLOWED_FIELDS = ['parentId', 'name', 'identifying', 'end1', 'end2', 'diagramId']
+const RELATIONSHIP_ALLOWED_FIELDS = ['parentId', 'name', 'identifying', 'end1', 'end2', 'diagramId', 'materialize', 'naming']
+const MATERIALIZE_ALLOWED_FIELDS = ['naming']
 const RELATIONSHIP_UPDATE_FIELDS = ['name', 'identifying', 'end1', 'end2']
 const RELATIONSHIP_END_CREATE_FIELDS = ['reference', 'name', 'cardinality']
 const RELATIONSHIP_END_FIELDS = ['name', 'cardinality', 'reference']
@@ -857,17 +818,8 @@ function getDiagram(id, reqInfo) {
 }
 
 function createDiagram(body, reqInfo) {
-    const err = validate([
-        checkUnknownFields(body, DIAGRAM_ALLOWED_FIELDS),
-        checkFieldType(body, 'parentId', 'string'),
-        checkFieldType(body, 'name', 'string')
-    ])
-    if (err) {
-        return validationError(err, reqInfo, body)
-    }
-
     if (!body.parentId) {
-        return validationError('Field "parentId" is required', reqInfo, body)
+        return validationError(requestSchema.missingField('parentId'), reqInfo, body)
     }
 
     if (body.name !== undefined) {
@@ -899,14 +851,6 @@ function createDiagram(body, reqInfo) {
 }
 
 function updateDiagram(id, body, reqInfo) {
-    const err = validate([
-        checkUnknownFields(body, DIAGRAM_UPDATE_FIELDS),
-        checkFieldType(body, 'name', 'string')
-    ])
-    if (err) {
-        return validationError(err, reqInfo, body)
-    }
-
     if (Object.keys(body).length === 0) {
         return validationError('At least one field must be provided. Allowed fields: ' + DIAGRAM_UPDATE_FIELDS.join(', '), reqInfo, body)
     }
@@ -978,14 +922,6 @@ function getDataModel(id, reqInfo) {
 }
 
 function createDataModel(body, reqInfo) {
-    const err = validate([
-        checkUnknownFields(body, DATA_MODEL_ALLOWED_FIELDS),
-        checkFieldType(body, 'name', 'string')
-    ])
-    if (err) {
-        return validationError(err, reqInfo, body)
-    }
-
     if (body.name !== undefined) {
         const nameErr = checkNonEmptyString(body, 'name')
         if (nameErr) {
@@ -1015,14 +951,6 @@ function createDataModel(body, reqInfo) {
 }
 
 function updateDataModel(id, body, reqInfo) {
-    const err = validate([
-        checkUnknownFields(body, DATA_MODEL_UPDATE_FIELDS),
-        checkFieldType(body, 'name', 'string')
-    ])
-    if (err) {
-        return validationError(err, reqInfo, body)
-    }
-
     if (Object.keys(body).length === 0) {
         return validationError('At least one field must be provided. Allowed fields: ' + DATA_MODEL_UPDATE_FIELDS.join(', '), reqInfo, body)
     }
@@ -1157,24 +1085,15 @@ function getEntity(id, reqInfo) {
 }
 
 function createEntity(body, reqInfo) {
-    const err = validate([
-        checkUnknownFields(body, ENTITY_ALLOWED_FIELDS),
-        checkFieldType(body, 'parentId', 'string'),
-        checkFieldType(body, 'name', 'string'),
-        checkFieldType(body, 'documentation', 'string'),
-        checkFieldType(body, 'diagramId', 'string'),
-        checkFieldType(body, 'x1', 'number'),
-        checkFieldType(body, 'y1', 'number'),
-        checkFieldType(body, 'x2', 'number'),
-        checkFieldType(body, 'y2', 'number')
-    ])
-    if (err) {
-        return validationError(err, reqInfo, body)
+    if (!body.parentId) {
+        return validationError(requestSchema.missingField('parentId'), reqInfo, body)
     }
 
-    if (!body.parentId) {
-        return validationError('Field "parentId" is required', reqInfo, body)
+    const template = body.template !== undefined ? columnLibrary.findTemplate(body.template) : null
+    if (body.template !== undefined && !template) {
+        return validationError('Column template not found: ' + body.template, reqInfo, body)
     }
+    const fromTemplate = template ? ' from template "' + body.template + '"' : ''
 
     if (body.name !== undefined) {
         const nameErr = checkNonEmptyString(body, 'name')
@@ -1210,34 +1129,31 @@ function createEntity(body, reqInfo) {
         options.x2 = body.x2 !== undefined ? body.x2 : 300
         options.y2 = body.y2 !== undefined ? body.y2 : 200
         const view = app.factory.createModelAndView(options)
+        if (template) {
+            columnLibrary.applyTemplate(view.model, template)
+        }
         autoExpandFrame(diagram)
         return {
             success: true,
-            message: 'Created entity "' + view.model.name + '" with view on diagram "' + diagram.name + '"',
+            message: 'Created entity "' + view.model.name + '"' + fromTemplate + ' with view on diagram "' + diagram.name + '"',
             request: Object.assign({}, reqInfo, { body: body }),
             data: serializeEntity(view.model)
         }
     }
 
     const entity = app.factory.createModel(options)
+    if (template) {
+        columnLibrary.applyTemplate(entity, template)
+    }
     return {
         success: true,
-        message: 'Created entity "' + entity.name + '"',
+        message: 'Created entity "' + entity.name + '"' + fromTemplate,
         request: Object.assign({}, reqInfo, { body: body }),
         data: serializeEntity(entity)
     }
 }
 
 function updateEntity(id, body, reqInfo) {
-    const err = validate([
-        checkUnknownFields(body, ENTITY_UPDATE_FIELDS),
-        checkFieldType(body, 'name', 'string'),
-        checkFieldType(body, 'documentation', 'string')
-    ])
-    if (err) {
-        return validationError(err, reqInfo, body)
-    }
-
     if (Object.keys(body).length === 0) {
         return validationError('At least one field must be provided. Allowed fields: ' + ENTITY_UPDATE_FIELDS.join(', '), reqInfo, body)
     }
@@ -1329,19 +1245,7 @@ function getColumns(entityId, reqInfo) {
 }
 
 function createColumn(entityId, body, reqInfo) {
-    const err = validate([
-        checkUnknownFields(body, COLUMN_ALLOWED_FIELDS),
-        checkFieldType(body, 'name', 'string'),
-        checkFieldType(body, 'type', 'string'),
-        checkFieldType(body, 'length', 'string'),
-        checkFieldType(body, 'primaryKey', 'boolean'),
-        checkFieldType(body, 'foreignKey', 'boolean'),
-        checkFieldType(body, 'nullable', 'boolean'),
-        checkFieldType(body, 'unique', 'boolean'),
-        checkFieldType(body, 'documentation', 'string'),
-        checkFieldType(body, 'referenceToId', 'string'),
-        checkColumnType(body.type)
-    ])
+    const err = checkColumnDomain(body)
     if (err) {
         return validationError(err, reqInfo, body)
     }
@@ -1365,41 +1269,10 @@ function createColumn(entityId, body, reqInfo) {
         }
     }
 
-    const col = app.factory.createModel({
-        id: 'ERDColumn',
-        parent: entity,
-        field: 'columns',
-        modelInitializer: function (c) {
-            c.name = body.name || 'new_column'
-            if (body.type !== undefined) {
-                c.type = body.type.toUpperCase()
-            }
-            if (body.length !== undefined) {
-                c.length = body.length
-            }
-            if (body.primaryKey !== undefined) {
-                c.primaryKey = body.primaryKey
-            }
-            if (body.foreignKey !== undefined) {
-                c.foreignKey = body.foreignKey
-            }
-            if (body.nullable !== undefined) {
-                c.nullable = body.nullable
-            }
-            if (body.unique !== undefined) {
-                c.unique = body.unique
-            }
-            if (body.documentation !== undefined) {
-                c.documentation = body.documentation
-            }
-            if (body.referenceToId) {
-                const ref = findById(body.referenceToId)
-                if (ref) {
-                    c.referenceTo = ref
-                }
-            }
-        }
-    })
+    const col = columnLibrary.createColumn(entity, body)
+    if (body.referenceToId) {
+        app.engine.setProperty(col, 'referenceTo', findById(body.referenceToId))
+    }
 
     return {
         success: true,
@@ -1423,19 +1296,7 @@ function getColumn(id, reqInfo) {
 }
 
 function updateColumn(id, body, reqInfo) {
-    const err = validate([
-        checkUnknownFields(body, COLUMN_ALLOWED_FIELDS),
-        checkFieldType(body, 'name', 'string'),
-        checkFieldType(body, 'type', 'string'),
-        checkFieldType(body, 'length', 'string'),
-        checkFieldType(body, 'primaryKey', 'boolean'),
-        checkFieldType(body, 'foreignKey', 'boolean'),
-        checkFieldType(body, 'nullable', 'boolean'),
-        checkFieldType(body, 'unique', 'boolean'),
-        checkFieldType(body, 'documentation', 'string'),
-        checkFieldType(body, 'referenceToId', 'string|null'),
-        checkColumnType(body.type)
-    ])
+    const err = checkColumnDomain(body)
     if (err) {
         return validationError(err, reqInfo, body)
     }
@@ -1489,6 +1350,10 @@ function updateColumn(id, body, reqInfo) {
         }
         updated.push('referenceTo')
     }
+    if (body.domain !== undefined) {
+        columnLibrary.setColumnDomain(col, body.domain)
+        updated.push('domain')
+    }
 
     return {
         success: true,
@@ -1543,13 +1408,7 @@ function getTags(elementId, reqInfo) {
 }
 
 function createTag(elementId, body, reqInfo) {
-    const err = validate([
-        checkUnknownFields(body, TAG_ALLOWED_FIELDS),
-        checkFieldType(body, 'name', 'string'),
-        checkFieldType(body, 'kind', 'number'),
-        checkTagKind(body.kind),
-        checkTagValue(body.value)
-    ])
+    const err = checkTagValue(body.value)
     if (err) {
         return validationError(err, reqInfo, body)
     }
@@ -1603,13 +1462,7 @@ function getTag(id, reqInfo) {
 }
 
 function updateTag(id, body, reqInfo) {
-    const err = validate([
-        checkUnknownFields(body, TAG_ALLOWED_FIELDS),
-        checkFieldType(body, 'name', 'string'),
-        checkFieldType(body, 'kind', 'number'),
-        checkTagKind(body.kind),
-        checkTagValue(body.value)
-    ])
+    const err = checkTagValue(body.value)
     if (err) {
         return validationError(err, reqInfo, body)
     }
@@ -1685,17 +1538,13 @@ function getSequences(entityId, reqInfo) {
 }
 
 function createSequence(entityId, body, reqInfo) {
-    const err = validate([
-        checkUnknownFields(body, SEQUENCE_ALLOWED_FIELDS),
-        checkFieldType(body, 'name', 'string'),
-        checkNonEmptyString(body, 'name')
-    ])
+    const err = checkNonEmptyString(body, 'name')
     if (err) {
         return validationError(err, reqInfo, body)
     }
 
     if (!body.name) {
-        return validationError('Field "name" is required', reqInfo, body)
+        return validationError(requestSchema.missingField('name'), reqInfo, body)
     }
 
     const entity = findById(entityId)
@@ -1747,11 +1596,7 @@ function getSequence(id, reqInfo) {
 }
 
 function updateSequence(id, body, reqInfo) {
-    const err = validate([
-        checkUnknownFields(body, SEQUENCE_ALLOWED_FIELDS),
-        checkFieldType(body, 'name', 'string'),
-        checkNonEmptyString(body, 'name')
-    ])
+    const err = checkNonEmptyString(body, 'name')
     if (err) {
         return validationError(err, reqInfo, body)
     }
@@ -1825,9 +1670,6 @@ function getIndexes(entityId, reqInfo) {
 
 function createIndex(entityId, body, reqInfo) {
     const err = validate([
-        checkUnknownFields(body, INDEX_ALLOWED_FIELDS),
-        checkFieldType(body, 'name', 'string'),
-        checkFieldType(body, 'definition', 'string'),
         checkNonEmptyString(body, 'name'),
         checkNonEmptyString(body, 'definition')
     ])
@@ -1836,10 +1678,10 @@ function createIndex(entityId, body, reqInfo) {
     }
 
     if (!body.name) {
-        return validationError('Field "name" is required', reqInfo, body)
+        return validationError(requestSchema.missingField('name'), reqInfo, body)
     }
     if (!body.definition) {
-        return validationError('Field "definition" is required', reqInfo, body)
+        return validationError(requestSchema.missingField('definition'), reqInfo, body)
     }
 
     const entity = findById(entityId)
@@ -1891,9 +1733,6 @@ function getIndex(id, reqInfo) {
 
 function updateIndex(id, body, reqInfo) {
     const err = validate([
-        checkUnknownFields(body, INDEX_ALLOWED_FIELDS),
-        checkFieldType(body, 'name', 'string'),
-        checkFieldType(body, 'definition', 'string'),
         checkNonEmptyString(body, 'name'),
         checkNonEmptyString(body, 'definition')
     ])
@@ -1955,233 +1794,457 @@ function deleteIndex(id, reqInfo) {
     }
 }
 
-// --- Relationships ---
+// --- Domains and Column Templates ---
 
-function getRelationships(query, reqInfo) {
-    const allowedParams = ['dataModelId']
-    const unknownParams = Object.keys(query).filter(function (k) {
-        return allowedParams.indexOf(k) === -1
+function serializeDomain(tag) {
+    const domain = columnLibrary.readDomain(tag)
+    return Object.assign({ _id: tag._id, _type: 'Domain' }, domain, {
+        columnCount: columnLibrary.columnsUsingDomain(domain.name).length
     })
-    if (unknownParams.length > 0) {
-        return validationError('Unknown query parameter(s): ' + unknownParams.join(', ') + '. Allowed: ' + allowedParams.join(', '), reqInfo)
-    }
+}
 
-    let rels = app.repository.select('@ERDRelationship')
+function serializeColumnTemplate(tag) {
+    return Object.assign({ _id: tag._id, _type: 'ColumnTemplate' }, columnLibrary.readTemplate(tag))
+}
 
-    if (query.dataModelId) {
-        const dm = findById(query.dataModelId)
-        if (!dm || !(dm instanceof type.ERDDataModel)) {
-            return { success: false, error: 'Data model not found: ' + query.dataModelId, request: reqInfo }
+/**
+ * Validate the columns of a column template beyond the route schema.
+ * Returns an error or null.
+ */
+function checkTemplateColumns(columns) {
+    const names = []
+    for (let i = 0; i < columns.length; i++) {
+        const c = columns[i]
+        const prefix = 'columns[' + i + ']: '
+        const err = validate([
+            checkNonEmptyString(c, 'name'),
+            checkColumnDomain(c)
+        ])
+        if (err) {
+            return prefix + err
         }
-        rels = rels.filter(function (r) {
-            let current = r._parent
-            while (current) {
-                if (current._id === query.dataModelId) {
-                    return true
-                }
-                current = current._parent
-            }
-            return false
-        })
+        if (!c.domain && !c.type) {
+            return requestSchema.fieldError('columns[' + i + ']', 'required', prefix + 'Either "domain" or "type" is required')
+        }
+        if (names.indexOf(c.name.toLowerCase()) !== -1) {
+            return prefix + 'Duplicate column name "' + c.name + '"'
+        }
+        names.push(c.name.toLowerCase())
     }
+    return null
+}
 
+function getDomains(reqInfo) {
+    const domains = columnLibrary.listDomains()
     return {
         success: true,
-        message: 'Retrieved ' + rels.length + ' relationship(s)',
+        message: 'Retrieved ' + domains.length + ' domain(s)',
         request: reqInfo,
-        data: rels.map(function (r) { return serializeRelationship(r) })
+        data: domains.map(serializeDomain)
     }
 }
 
-function createRelationship(body, reqInfo) {
-    const err = validate([
-        checkUnknownFields(body, RELATIONSHIP_ALLOWED_FIELDS),
-        checkFieldType(body, 'parentId', 'string'),
-        checkFieldType(body, 'name', 'string'),
-        checkFieldType(body, 'identifying', 'boolean'),
-        checkFieldType(body, 'end1', 'object'),
-        checkFieldType(body, 'end2', 'object'),
-        checkFieldType(body, 'diagramId', 'string')
-    ])
+function createDomain(body, reqInfo) {
+    const err = checkNonEmptyString(body, 'name')
     if (err) {
         return validationError(err, reqInfo, body)
     }
 
-    if (!body.parentId) {
-        return validationError('Field "parentId" is required', reqInfo, body)
+    if (!body.name) {
+        return validationError(requestSchema.missingField('name'), reqInfo, body)
     }
-    if (!body.end1 || !body.end1.reference) {
-        return validationError('Field "end1.reference" is required', reqInfo, body)
+    if (!body.type) {
+        return validationError(requestSchema.missingField('type'), reqInfo, body)
     }
-    if (!body.end2 || !body.end2.reference) {
-        return validationError('Field "end2.reference" is required', reqInfo, body)
+    if (!app.project.getProject()) {
+        return validationError('No project found. Open a project first.', reqInfo, body)
     }
-
-    // Validate end1/end2 sub-fields
-    const end1Err = validate([
-        checkUnknownFields(body.end1, RELATIONSHIP_END_CREATE_FIELDS),
-        checkFieldType(body.end1, 'reference', 'string'),
-        checkFieldType(body.end1, 'name', 'string'),
-        checkFieldType(body.end1, 'cardinality', 'string')
-    ])
-    if (end1Err) {
-        return validationError('end1: ' + end1Err, reqInfo, body)
-    }
-    const end2Err = validate([
-        checkUnknownFields(body.end2, RELATIONSHIP_END_CREATE_FIELDS),
-        checkFieldType(body.end2, 'reference', 'string'),
-        checkFieldType(body.end2, 'name', 'string'),
-        checkFieldType(body.end2, 'cardinality', 'string')
-    ])
-    if (end2Err) {
-        return validationError('end2: ' + end2Err, reqInfo, body)
+    if (columnLibrary.findDomain(body.name)) {
+        return validationError('Domain "' + body.name + '" already exists', reqInfo, body)
     }
 
-    if (body.name !== undefined) {
-        const nameErr = checkNonEmptyString(body, 'name')
-        if (nameErr) {
-            return validationError(nameErr, reqInfo, body)
-        }
+    const tag = columnLibrary.createDomain(body.name, body)
+    return {
+        success: true,
+        message: 'Created domain "' + body.name + '"',
+        request: Object.assign({}, reqInfo, { body: body }),
+        data: serializeDomain(tag)
     }
+}
 
-    const parent = findById(body.parentId)
-    if (!parent || !(parent instanceof type.ERDDataModel)) {
-        return validationError('parentId must refer to an ERDDataModel. Not found or wrong type: ' + body.parentId, reqInfo, body)
+function getDomain(id, reqInfo) {
+    const tag = findById(id)
+    if (!tag || !(tag instanceof type.Tag) || !columnLibrary.isDomainTag(tag)) {
+        return { success: false, error: 'Domain not found: ' + id, request: reqInfo }
     }
-
-    const entity1 = findById(body.end1.reference)
-    if (!entity1 || !(entity1 instanceof type.ERDEntity)) {
-        return validationError('end1.reference must refer to an ERDEntity. Not found or wrong type: ' + body.end1.reference, reqInfo, body)
+    const domain = serializeDomain(tag)
+    return {
+        success: true,
+        message: 'Retrieved domain "' + domain.name + '"',
+        request: reqInfo,
+        data: domain
     }
+}
 
-    const entity2 = findById(body.end2.reference)
-    if (!entity2 || !(entity2 instanceof type.ERDEntity)) {
-        return validationError('end2.reference must refer to an ERDEntity. Not found or wrong type: ' + body.end2.reference, reqInfo, body)
+function updateDomain(id, body, reqInfo) {
+    const err = checkNonEmptyString(body, 'name')
+    if (err) {
+        return validationError(err, reqInfo, body)
     }
 
-    // diagramId is required for relationship creation (StarUML requires diagram context)
-    if (!body.diagramId) {
-        return validationError('Field "diagramId" is required for relationship creation', reqInfo, body)
+    if (Object.keys(body).length === 0) {
+        return validationError('At least one field must be provided. Allowed fields: ' + DOMAIN_ALLOWED_FIELDS.join(', '), reqInfo, body)
     }
-
-    const diagram = findById(body.diagramId)
-    if (!diagram || !(diagram instanceof type.ERDDiagram)) {
-        return validationError('diagramId must refer to an ERDDiagram. Not found or wrong type: ' + body.diagramId, reqInfo, body)
+    if (body.type === '') {
+        return validationError('Field "type" must not be empty', reqInfo, body)
     }
 
-    // Find entity views on the diagram
-    const tailView = findViewOnDiagram(diagram, entity1._id)
-    const headView = findViewOnDiagram(diagram, entity2._id)
-
-    if (!tailView) {
-        return validationError('end1 entity "' + entity1.name + '" does not have a view on diagram "' + diagram.name + '". Add the entity to the diagram first.', reqInfo, body)
-    }
-    if (!headView) {
-        return validationError('end2 entity "' + entity2.name + '" does not have a view on diagram "' + diagram.name + '". Add the entity to the diagram first.', reqInfo, body)
+    const tag = findById(id)
+    if (!tag || !(tag instanceof type.Tag) || !columnLibrary.isDomainTag(tag)) {
+        return { success: false, error: 'Domain not found: ' + id, request: Object.assign({}, reqInfo, { body: body }) }
     }
-
-    const options = {
-        id: 'ERDRelationship',
-        parent: parent,
-        diagram: diagram,
-        tailModel: entity1,
-        headModel: entity2,
-        tailView: tailView,
-        headView: headView,
-        modelInitializer: function (rel) {
-            rel.name = body.name || ''
-            if (body.identifying !== undefined) {
-                rel.identifying = body.identifying
-            }
+    if (body.name !== undefined) {
+        const existing = columnLibrary.findDomain(body.name)
+        if (existing && existing !== tag) {
+            return validationError('Domain "' + body.name + '" already exists', reqInfo, body)
         }
     }
 
-    const view = app.factory.createModelAndView(options)
-    if (!view || !view.model) {
-        return { success: false, error: 'Failed to create relationship. StarUML factory returned null.', request: Object.assign({}, reqInfo, { body: body }) }
-    }
-    const rel = view.model
-
-    // Set end1 properties
-    if (rel.end1) {
-        app.engine.setProperty(rel.end1, 'reference', entity1)
-        app.engine.setProperty(rel.end1, 'cardinality', body.end1.cardinality || '1')
-        if (body.end1.name !== undefined) {
-            app.engine.setProperty(rel.end1, 'name', body.end1.name)
-        }
+    const result = columnLibrary.updateDomain(tag, body)
+    const data = serializeDomain(tag)
+    data.propagatedColumns = result.columns.map(function (c) { return c._id })
+    return {
+        success: true,
+        message: 'Updated domain "' + data.name + '" (fields: ' + Object.keys(body).join(', ') + '); ' + result.columns.length + ' column(s) changed',
+        request: Object.assign({}, reqInfo, { body: body }),
+        data: data
     }
+}
 
-    // Set end2 properties
-    if (rel.end2) {
-        app.engine.setProperty(rel.end2, 'reference', entity2)
-        app.engine.setProperty(rel.end2, 'cardinality', body.end2.cardinality || '0..*')
-        if (body.end2.name !== undefined) {
-            app.engine.setProperty(rel.end2, 'name', body.end2.name)
-        }
+function deleteDomain(id, reqInfo) {
+    const tag = findById(id)
+    if (!tag || !(tag instanceof type.Tag) || !columnLibrary.isDomainTag(tag)) {
+        return { success: false, error: 'Domain not found: ' + id, request: reqInfo }
+    }
+    const name = columnLibrary.readDomain(tag).name
+
+    // Check referential integrity: columns and templates using this domain
+    const columns = columnLibrary.columnsUsingDomain(name)
+    const templates = columnLibrary.templatesUsingDomain(name)
+    if (columns.length > 0 || templates.length > 0) {
+        const details = columns.map(function (c) {
+            return (c._parent ? c._parent.name + '.' : '') + c.name + ' (column ' + c._id + ')'
+        }).concat(templates.map(function (t) {
+            return columnLibrary.readTemplate(t).name + ' (column template ' + t._id + ')'
+        }))
+        return validationError(
+            'Cannot delete domain "' + name + '": used by ' + columns.length + ' column(s) and ' + templates.length + ' column template(s). ' + details.join(', '),
+            reqInfo
+        )
     }
 
-    autoExpandFrame(diagram)
+    app.engine.deleteElements([tag], [])
     return {
         success: true,
-        message: 'Created relationship "' + (rel.name || rel._id) + '" with view on diagram "' + diagram.name + '"',
-        request: Object.assign({}, reqInfo, { body: body }),
-        data: serializeRelationship(rel)
+        message: 'Deleted domain "' + name + '"',
+        request: reqInfo,
+        data: { deleted: id, name: name }
     }
 }
 
-function getRelationship(id, reqInfo) {
-    const rel = findById(id)
-    if (!rel || !(rel instanceof type.ERDRelationship)) {
-        return { success: false, error: 'Relationship not found: ' + id, request: reqInfo }
-    }
+function getColumnTemplates(reqInfo) {
+    const templates = columnLibrary.listTemplates()
     return {
         success: true,
-        message: 'Retrieved relationship "' + (rel.name || rel._id) + '"',
+        message: 'Retrieved ' + templates.length + ' column template(s)',
         request: reqInfo,
-        data: serializeRelationship(rel)
+        data: templates.map(serializeColumnTemplate)
     }
 }
 
-function updateRelationship(id, body, reqInfo) {
-    const err = validate([
-        checkUnknownFields(body, RELATIONSHIP_UPDATE_FIELDS),
-        checkFieldType(body, 'name', 'string'),
-        checkFieldType(body, 'identifying', 'boolean'),
-        checkFieldType(body, 'end1', 'object'),
-        checkFieldType(body, 'end2', 'object')
-    ])
+function createColumnTemplate(body, reqInfo) {
+    const err = checkNonEmptyString(body, 'name')
     if (err) {
         return validationError(err, reqInfo, body)
     }
 
-    if (Object.keys(body).length === 0) {
-        return validationError('At least one field must be provided. Allowed fields: ' + RELATIONSHIP_UPDATE_FIELDS.join(', '), reqInfo, body)
+    if (!body.name) {
+        return validationError(requestSchema.missingField('name'), reqInfo, body)
+    }
+    const columnsErr = checkTemplateColumns(body.columns)
+    if (columnsErr) {
+        return validationError(columnsErr, reqInfo, body)
+    }
+    if (!app.project.getProject()) {
+        return validationError('No project found. Open a project first.', reqInfo, body)
+    }
+    if (columnLibrary.findTemplate(body.name)) {
+        return validationError('Column template "' + body.name + '" already exists', reqInfo, body)
     }
 
-    // Validate end1/end2 sub-fields
-    if (body.end1) {
-        const end1Err = validate([
-            checkUnknownFields(body.end1, RELATIONSHIP_END_FIELDS),
-            checkFieldType(body.end1, 'name', 'string'),
-            checkFieldType(body.end1, 'cardinality', 'string'),
-            checkFieldType(body.end1, 'reference', 'string')
-        ])
-        if (end1Err) {
-            return validationError('end1: ' + end1Err, reqInfo, body)
+    const tag = columnLibrary.createTemplate(body.name, body.columns)
+    return {
+        success: true,
+        message: 'Created column template "' + body.name + '" with ' + body.columns.length + ' column(s)',
+        request: Object.assign({}, reqInfo, { body: body }),
+        data: serializeColumnTemplate(tag)
+    }
+}
+
+function getColumnTemplate(id, reqInfo) {
+    const tag = findById(id)
+    if (!tag || !(tag instanceof type.Tag) || !columnLibrary.isTemplateTag(tag)) {
+        return { success: false, error: 'Column template not found: ' + id, request: reqInfo }
+    }
+    const template = serializeColumnTemplate(tag)
+    return {
+        success: true,
+        message: 'Retrieved column template "' + template.name + '"',
+        request: reqInfo,
+        data: template
+    }
+}
+
+function updateColumnTemplate(id, body, reqInfo) {
+    const err = checkNonEmptyString(body, 'name')
+    if (err) {
+        return validationError(err, reqInfo, body)
+    }
+
+    if (Object.keys(body).length === 0) {
+        return validationError('At least one field must be provided. Allowed fields: ' + COLUMN_TEMPLATE_ALLOWED_FIELDS.join(', '), reqInfo, body)
+    }
+    if (body.columns !== undefined) {
+        const columnsErr = checkTemplateColumns(body.columns)
+        if (columnsErr) {
+            return validationError(columnsErr, reqInfo, body)
         }
     }
-    if (body.end2) {
-        const end2Err = validate([
-            checkUnknownFields(body.end2, RELATIONSHIP_END_FIELDS),
-            checkFieldType(body.end2, 'name', 'string'),
-            checkFieldType(body.end2, 'cardinality', 'string'),
-            checkFieldType(body.end2, 'reference', 'string')
-        ])
-        if (end2Err) {
-            return validationError('end2: ' + end2Err, reqInfo, body)
+
+    const tag = findById(id)
+    if (!tag || !(tag instanceof type.Tag) || !columnLibrary.isTemplateTag(tag)) {
+        return { success: false, error: 'Column template not found: ' + id, request: Object.assign({}, reqInfo, { body: body }) }
+    }
+    if (body.name !== undefined) {
+        const existing = columnLibrary.findTemplate(body.name)
+        if (existing && existing !== tag) {
+            return validationError('Column template "' + body.name + '" already exists', reqInfo, body)
+        }
+    }
+
+    columnLibrary.updateTemplate(tag, body)
+    const template = serializeColumnTemplate(tag)
+    return {
+        success: true,
+        message: 'Updated column template "' + template.name + '" (fields: ' + Object.keys(body).join(', ') + ')',
+        request: Object.assign({}, reqInfo, { body: body }),
+        data: template
+    }
+}
+
+function deleteColumnTemplate(id, reqInfo) {
+    const tag = findById(id)
+    if (!tag || !(tag instanceof type.Tag) || !columnLibrary.isTemplateTag(tag)) {
+        return { success: false, error: 'Column template not found: ' + id, request: reqInfo }
+    }
+    const name = columnLibrary.readTemplate(tag).name
+    app.engine.deleteElements([tag], [])
+    return {
+        success: true,
+        message: 'Deleted column template "' + name + '"',
+        request: reqInfo,
+        data: { deleted: id, name: name }
+    }
+}
+
+// --- Relationships ---
+
+function getRelationships(query, reqInfo) {
+    const allowedParams = ['dataModelId']
+    const unknownParams = Object.keys(query).filter(function (k) {
+        return allowedParams.indexOf(k) === -1
+    })
+    if (unknownParams.length > 0) {
+        return validationError('Unknown query parameter(s): ' + unknownParams.join(', ') + '. Allowed: ' + allowedParams.join(', '), reqInfo)
+    }
+
+    let rels = app.repository.select('@ERDRelationship')
+
+    if (query.dataModelId) {
+        const dm = findById(query.dataModelId)
+        if (!dm || !(dm instanceof type.ERDDataModel)) {
+            return { success: false, error: 'Data model not found: ' + query.dataModelId, request: reqInfo }
+        }
+        rels = rels.filter(function (r) {
+            let current = r._parent
+            while (current) {
+                if (current._id === query.dataModelId) {
+                    return true
+                }
+                current = current._parent
+            }
+            return false
+        })
+    }
+
+    return {
+        success: true,
+        message: 'Retrieved ' + rels.length + ' relationship(s)',
+        request: reqInfo,
+        data: rels.map(function (r) { return serializeRelationship(r) })
+    }
+}
+
+function createRelationship(body, reqInfo) {
+    if (body.naming !== undefined && body.materialize !== true) {
+        return validationError('Field "naming" requires "materialize": true', reqInfo, body)
+    }
+    const namingErr = erdMaterialize.checkNaming(body.naming)
+    if (namingErr) {
+        return validationError(namingErr, reqInfo, body)
+    }
+
+    if (!body.parentId) {
+        return validationError(requestSchema.missingField('parentId'), reqInfo, body)
+    }
+    if (!body.end1 || !body.end1.reference) {
+        return validationError(requestSchema.missingField('end1.reference'), reqInfo, body)
+    }
+    if (!body.end2 || !body.end2.reference) {
+        return validationError(requestSchema.missingField('end2.reference'), reqInfo, body)
+    }
+
+    if (body.name !== undefined) {
+        const nameErr = checkNonEmptyString(body, 'name')
+        if (nameErr) {
+            return validationError(nameErr, reqInfo, body)
+        }
+    }
+
+    const parent = findById(body.parentId)
+    if (!parent || !(parent instanceof type.ERDDataModel)) {
+        return validationError('parentId must refer to an ERDDataModel. Not found or wrong type: ' + body.parentId, reqInfo, body)
+    }
+
+    const entity1 = findById(body.end1.reference)
+    if (!entity1 || !(entity1 instanceof type.ERDEntity)) {
+        return validationError('end1.reference must refer to an ERDEntity. Not found or wrong type: ' + body.end1.reference, reqInfo, body)
+    }
+
+    const entity2 = findById(body.end2.reference)
+    if (!entity2 || !(entity2 instanceof type.ERDEntity)) {
+        return validationError('end2.reference must refer to an ERDEntity. Not found or wrong type: ' + body.end2.reference, reqInfo, body)
+    }
+
+    // diagramId is required for relationship creation (StarUML requires diagram context)
+    if (!body.diagramId) {
+        return validationError(requestSchema.missingField('diagramId', 'Field "diagramId" is required for relationship creation'), reqInfo, body)
+    }
+
+    const diagram = findById(body.diagramId)
+    if (!diagram || !(diagram instanceof type.ERDDiagram)) {
+        return validationError('diagramId must refer to an ERDDiagram. Not found or wrong type: ' + body.diagramId, reqInfo, body)
+    }
+
+    // Find entity views on the diagram
+    const tailView = findViewOnDiagram(diagram, entity1._id)
+    const headView = findViewOnDiagram(diagram, entity2._id)
+
+    if (!tailView) {
+        return validationError('end1 entity "' + entity1.name + '" does not have a view on diagram "' + diagram.name + '". Add the entity to the diagram first.', reqInfo, body)
+    }
+    if (!headView) {
+        return validationError('end2 entity "' + entity2.name + '" does not have a view on diagram "' + diagram.name + '". Add the entity to the diagram first.', reqInfo, body)
+    }
+
+    if (body.materialize) {
+        const planned = {
+            _parent: parent,
+            name: body.name || '',
+            end1: { reference: entity1, cardinality: body.end1.cardinality || '1', name: body.end1.name || '' },
+            end2: { reference: entity2, cardinality: body.end2.cardinality || '0..*', name: body.end2.name || '' }
+        }
+        const materializeErr = erdMaterialize.check(planned, body.naming)
+        if (materializeErr) {
+            return validationError(materializeErr, reqInfo, body)
+        }
+    }
+
+    const options = {
+        id: 'ERDRelationship',
+        parent: parent,
+        diagram: diagram,
+        tailModel: entity1,
+        headModel: entity2,
+        tailView: tailView,
+        headView: headView,
+        modelInitializer: function (rel) {
+            rel.name = body.name || ''
+            if (body.identifying !== undefined) {
+                rel.identifying = body.identifying
+            }
+        }
+    }
+
+    const view = app.factory.createModelAndView(options)
+    if (!view || !view.model) {
+        return { success: false, error: 'Failed to create relationship. StarUML factory returned null.', request: Object.assign({}, reqInfo, { body: body }) }
+    }
+    const rel = view.model
+
+    // Set end1 properties
+    if (rel.end1) {
+        app.engine.setProperty(rel.end1, 'reference', entity1)
+        app.engine.setProperty(rel.end1, 'cardinality', body.end1.cardinality || '1')
+        if (body.end1.name !== undefined) {
+            app.engine.setProperty(rel.end1, 'name', body.end1.name)
+        }
+    }
+
+    // Set end2 properties
+    if (rel.end2) {
+        app.engine.setProperty(rel.end2, 'reference', entity2)
+        app.engine.setProperty(rel.end2, 'cardinality', body.end2.cardinality || '0..*')
+        if (body.end2.name !== undefined) {
+            app.engine.setProperty(rel.end2, 'name', body.end2.name)
         }
     }
 
+    const data = serializeRelationship(rel)
+    let materialized = ''
+    if (body.materialize) {
+        const result = erdMaterialize.materialize(rel, body.naming)
+        data.materialized = serializeMaterialized(result)
+        materialized = describeMaterialized(result)
+    }
+
+    autoExpandFrame(diagram)
+    return {
+        success: true,
+        message: 'Created relationship "' + (rel.name || rel._id) + '" with view on diagram "' + diagram.name + '"' + (materialized ? '; ' + materialized : ''),
+        request: Object.assign({}, reqInfo, { body: body }),
+        data: data
+    }
+}
+
+function getRelationship(id, reqInfo) {
+    const rel = findById(id)
+    if (!rel || !(rel instanceof type.ERDRelationship)) {
+        return { success: false, error: 'Relationship not found: ' + id, request: reqInfo }
+    }
+    return {
+        success: true,
+        message: 'Retrieved relationship "' + (rel.name || rel._id) + '"',
+        request: reqInfo,
+        data: serializeRelationship(rel)
+    }
+}
+
+function updateRelationship(id, body, reqInfo) {
+    if (Object.keys(body).length === 0) {
+        return validationError('At least one field must be provided. Allowed fields: ' + RELATIONSHIP_UPDATE_FIELDS.join(', '), reqInfo, body)
+    }
+
     // Reject empty end objects
     if (body.end1 && Object.keys(body.end1).length === 0) {
         return validationError('end1: At least one sub-field must be provided. Allowed fields: ' + RELATIONSHIP_END_FIELDS.join(', '), reqInfo, body)
@@ -2272,19 +2335,71 @@ function deleteRelationship(id, reqInfo) {
     }
 }
 
-// --- Project ---
+function serializeMaterialized(result) {
+    return {
+        kind: result.kind,
+        columns: result.columns.map(function (c) {
+            return Object.assign(serializeColumn(c.column), { created: c.created, adopted: c.adopted })
+        }),
+        junction: result.junction ? serializeEntity(result.junction) : null,
+        diagrams: result.diagrams.map(function (d) { return d._id }),
+        relationships: result.relationships.map(serializeRelationship),
+        removedRelationship: result.removed ? result.removed._id : null,
+        warnings: result.warnings
+    }
+}
 
-function saveProject(body, reqInfo) {
-    const err = validate([
-        checkUnknownFields(body, PROJECT_SAVE_ALLOWED_FIELDS),
-        checkFieldType(body, 'path', 'string')
-    ])
-    if (err) {
-        return validationError(err, reqInfo, body)
+function describeMaterialized(result) {
+    const created = result.columns.filter(function (c) { return c.created }).length
+    if (result.junction) {
+        return 'replaced by junction entity "' + result.junction.name + '" with ' + created + ' foreign key column(s)'
+    }
+    return created + ' foreign key column(s) added'
+}
+
+function materializeRelationship(id, body, reqInfo) {
+    const namingErr = erdMaterialize.checkNaming(body.naming)
+    if (namingErr) {
+        return validationError(namingErr, reqInfo, body)
+    }
+
+    const rel = findById(id)
+    if (!rel || !(rel instanceof type.ERDRelationship)) {
+        return { success: false, error: 'Relationship not found: ' + id, request: Object.assign({}, reqInfo, { body: body }) }
+    }
+    const checkErr = erdMaterialize.check(rel, body.naming)
+    if (checkErr) {
+        return validationError(checkErr, reqInfo, body)
+    }
+
+    const reqInfoWithBody = Object.assign({}, reqInfo, { body: body })
+    const name = rel.name || rel._id
+
+    try {
+        const result = erdMaterialize.materialize(rel, body.naming)
+        result.diagrams.forEach(function (d) {
+            autoExpandFrame(d)
+        })
+        return {
+            success: true,
+            message: 'Materialized ' + result.kind + ' relationship "' + name + '": ' + describeMaterialized(result),
+            request: reqInfoWithBody,
+            data: serializeMaterialized(result)
+        }
+    } catch (e) {
+        return {
+            success: false,
+            error: 'Failed to materialize relationship: ' + (e.message || String(e)),
+            request: reqInfoWithBody
+        }
     }
+}
+
+// --- Project ---
 
+function saveProject(body, reqInfo) {
     if (!body.path) {
-        return validationError('Field "path" is required', reqInfo, body)
+        return validationError(requestSchema.missingField('path'), reqInfo, body)
     }
 
     const nameErr = checkNonEmptyString(body, 'path')
@@ -2342,16 +2457,8 @@ function saveProject(body, reqInfo) {
 }
 
 function openProject(body, reqInfo) {
-    const err = validate([
-        checkUnknownFields(body, PROJECT_OPEN_ALLOWED_FIELDS),
-        checkFieldType(body, 'path', 'string')
-    ])
-    if (err) {
-        return validationError(err, reqInfo, body)
-    }
-
     if (!body.path) {
-        return validationError('Field "path" is required', reqInfo, body)
+        return validationError(requestSchema.missingField('path'), reqInfo, body)
     }
 
     const nameErr = checkNonEmptyString(body, 'path')
@@ -2732,15 +2839,6 @@ function getInteraction(id, reqInfo) {
 }
 
 function createInteraction(body, reqInfo) {
-    const err = validate([
-        checkUnknownFields(body, INTERACTION_ALLOWED_FIELDS),
-        checkFieldType(body, 'name', 'string'),
-        checkFieldType(body, 'documentation', 'string')
-    ])
-    if (err) {
-        return validationError(err, reqInfo, body)
-    }
-
     if (body.name !== undefined) {
         const nameErr = checkNonEmptyString(body, 'name')
         if (nameErr) {
@@ -2789,15 +2887,6 @@ function createInteraction(body, reqInfo) {
 }
 
 function updateInteraction(id, body, reqInfo) {
-    const err = validate([
-        checkUnknownFields(body, INTERACTION_UPDATE_FIELDS),
-        checkFieldType(body, 'name', 'string'),
-        checkFieldType(body, 'documentation', 'string')
-    ])
-    if (err) {
-        return validationError(err, reqInfo, body)
-    }
-
     if (Object.keys(body).length === 0) {
         return validationError('At least one field must be provided. Allowed fields: ' + INTERACTION_UPDATE_FIELDS.join(', '), reqInfo, body)
     }
@@ -2907,20 +2996,8 @@ function getSeqDiagram(id, reqInfo) {
 }
 
 function createSeqDiagram(body, reqInfo) {
-    const err = validate([
-        checkUnknownFields(body, SEQ_DIAGRAM_ALLOWED_FIELDS),
-        checkFieldType(body, 'parentId', 'string'),
-        checkFieldType(body, 'name', 'string'),
-        checkFieldType(body, 'width', 'number'),
-        checkFieldType(body, 'height', 'number'),
-        checkFieldType(body, 'documentation', 'string')
-    ])
-    if (err) {
-        return validationError(err, reqInfo, body)
-    }
-
     if (!body.parentId) {
-        return validationError('Field "parentId" is required', reqInfo, body)
+        return validationError(requestSchema.missingField('parentId'), reqInfo, body)
     }
 
     if (body.name !== undefined) {
@@ -2970,15 +3047,6 @@ function createSeqDiagram(body, reqInfo) {
 }
 
 function updateSeqDiagram(id, body, reqInfo) {
-    const err = validate([
-        checkUnknownFields(body, SEQ_DIAGRAM_UPDATE_FIELDS),
-        checkFieldType(body, 'name', 'string'),
-        checkFieldType(body, 'documentation', 'string')
-    ])
-    if (err) {
-        return validationError(err, reqInfo, body)
-    }
-
     if (Object.keys(body).length === 0) {
         return validationError('At least one field must be provided. Allowed fields: ' + SEQ_DIAGRAM_UPDATE_FIELDS.join(', '), reqInfo, body)
     }
@@ -3045,19 +3113,6 @@ function getLifelines(interactionId, reqInfo) {
 }
 
 function createLifeline(interactionId, body, reqInfo) {
-    const err = validate([
-        checkUnknownFields(body, LIFELINE_ALLOWED_FIELDS),
-        checkFieldType(body, 'name', 'string'),
-        checkFieldType(body, 'documentation', 'string'),
-        checkFieldType(body, 'diagramId', 'string'),
-        checkFieldType(body, 'x', 'number'),
-        checkFieldType(body, 'y', 'number'),
-        checkFieldType(body, 'height', 'number')
-    ])
-    if (err) {
-        return validationError(err, reqInfo, body)
-    }
-
     if (body.name !== undefined) {
         const nameErr = checkNonEmptyString(body, 'name')
         if (nameErr) {
@@ -3141,15 +3196,6 @@ function getLifeline(id, reqInfo) {
 }
 
 function updateLifeline(id, body, reqInfo) {
-    const err = validate([
-        checkUnknownFields(body, LIFELINE_UPDATE_FIELDS),
-        checkFieldType(body, 'name', 'string'),
-        checkFieldType(body, 'documentation', 'string')
-    ])
-    if (err) {
-        return validationError(err, reqInfo, body)
-    }
-
     if (Object.keys(body).length === 0) {
         return validationError('At least one field must be provided. Allowed fields: ' + LIFELINE_UPDATE_FIELDS.join(', '), reqInfo, body)
     }
@@ -3245,23 +3291,6 @@ function getMessages(interactionId, reqInfo) {
 }
 
 function createMessage(interactionId, body, reqInfo) {
-    const err = validate([
-        checkUnknownFields(body, MESSAGE_ALLOWED_FIELDS),
-        checkFieldType(body, 'name', 'string'),
-        checkFieldType(body, 'messageSort', 'string'),
-        checkFieldType(body, 'messageType', 'string'),
-        checkFieldType(body, 'source', 'string'),
-        checkFieldType(body, 'target', 'string'),
-        checkFieldType(body, 'diagramId', 'string'),
-        checkFieldType(body, 'y', 'number'),
-        checkFieldType(body, 'x', 'number'),
-        checkFieldType(body, 'activationHeight', 'number'),
-        checkFieldType(body, 'documentation', 'string')
-    ])
-    if (err) {
-        return validationError(err, reqInfo, body)
-    }
-
     const msgType = body.messageType || 'UMLMessage'
     if (VALID_MESSAGE_TYPES.indexOf(msgType) === -1) {
         return validationError('Invalid messageType "' + msgType + '". Allowed values: ' + VALID_MESSAGE_TYPES.join(', '), reqInfo, body)
@@ -3274,22 +3303,22 @@ function createMessage(interactionId, body, reqInfo) {
     // Validate required fields based on messageType
     if (msgType === 'UMLFoundMessage') {
         if (!body.target) {
-            return validationError('Field "target" is required for UMLFoundMessage (target lifeline ID)', reqInfo, body)
+            return validationError(requestSchema.missingField('target', 'Field "target" is required for UMLFoundMessage (target lifeline ID)'), reqInfo, body)
         }
     } else if (msgType === 'UMLLostMessage') {
         if (!body.source) {
-            return validationError('Field "source" is required for UMLLostMessage (source lifeline ID)', reqInfo, body)
+            return validationError(requestSchema.missingField('source', 'Field "source" is required for UMLLostMessage (source lifeline ID)'), reqInfo, body)
         }
     } else {
         if (!body.source) {
-            return validationError('Field "source" is required (lifeline ID)', reqInfo, body)
+            return validationError(requestSchema.missingField('source', 'Field "source" is required (lifeline ID)'), reqInfo, body)
         }
         if (!body.target) {
-            return validationError('Field "target" is required (lifeline ID)', reqInfo, body)
+            return validationError(requestSchema.missingField('target', 'Field "target" is required (lifeline ID)'), reqInfo, body)
         }
     }
     if (!body.diagramId) {
-        return validationError('Field "diagramId" is required for message creation', reqInfo, body)
+        return validationError(requestSchema.missingField('diagramId', 'Field "diagramId" is required for message creation'), reqInfo, body)
     }
 
     const interaction = findById(interactionId)
@@ -3416,16 +3445,6 @@ function getMessage(id, reqInfo) {
 }
 
 function updateMessage(id, body, reqInfo) {
-    const err = validate([
-        checkUnknownFields(body, MESSAGE_UPDATE_FIELDS),
-        checkFieldType(body, 'name', 'string'),
-        checkFieldType(body, 'messageSort', 'string'),
-        checkFieldType(body, 'documentation', 'string')
-    ])
-    if (err) {
-        return validationError(err, reqInfo, body)
-    }
-
     if (Object.keys(body).length === 0) {
         return validationError('At least one field must be provided. Allowed fields: ' + MESSAGE_UPDATE_FIELDS.join(', '), reqInfo, body)
     }
@@ -3495,21 +3514,6 @@ function getCombinedFragments(interactionId, reqInfo) {
 }
 
 function createCombinedFragment(interactionId, body, reqInfo) {
-    const err = validate([
-        checkUnknownFields(body, COMBINED_FRAGMENT_ALLOWED_FIELDS),
-        checkFieldType(body, 'name', 'string'),
-        checkFieldType(body, 'interactionOperator', 'string'),
-        checkFieldType(body, 'diagramId', 'string'),
-        checkFieldType(body, 'x', 'number'),
-        checkFieldType(body, 'y', 'number'),
-        checkFieldType(body, 'width', 'number'),
-        checkFieldType(body, 'height', 'number'),
-        checkFieldType(body, 'documentation', 'string')
-    ])
-    if (err) {
-        return validationError(err, reqInfo, body)
-    }
-
     if (body.interactionOperator !== undefined && VALID_INTERACTION_OPERATORS.indexOf(body.interactionOperator) === -1) {
         return validationError('Invalid interactionOperator "' + body.interactionOperator + '". Allowed values: ' + VALID_INTERACTION_OPERATORS.join(', '), reqInfo, body)
     }
@@ -3601,16 +3605,6 @@ function getCombinedFragment(id, reqInfo) {
 }
 
 function updateCombinedFragment(id, body, reqInfo) {
-    const err = validate([
-        checkUnknownFields(body, COMBINED_FRAGMENT_UPDATE_FIELDS),
-        checkFieldType(body, 'name', 'string'),
-        checkFieldType(body, 'interactionOperator', 'string'),
-        checkFieldType(body, 'documentation', 'string')
-    ])
-    if (err) {
-        return validationError(err, reqInfo, body)
-    }
-
     if (Object.keys(body).length === 0) {
         return validationError('At least one field must be provided. Allowed fields: ' + COMBINED_FRAGMENT_UPDATE_FIELDS.join(', '), reqInfo, body)
     }
@@ -3679,16 +3673,6 @@ function getOperands(fragmentId, reqInfo) {
 }
 
 function createOperand(fragmentId, body, reqInfo) {
-    const err = validate([
-        checkUnknownFields(body, OPERAND_ALLOWED_FIELDS),
-        checkFieldType(body, 'name', 'string'),
-        checkFieldType(body, 'guard', 'string'),
-        checkFieldType(body, 'documentation', 'string')
-    ])
-    if (err) {
-        return validationError(err, reqInfo, body)
-    }
-
     const fragment = findById(fragmentId)
     if (!fragment || !(fragment instanceof type.UMLCombinedFragment)) {
         return { success: false, error: 'Combined fragment not found: ' + fragmentId, request: Object.assign({}, reqInfo, { body: body }) }
@@ -3731,16 +3715,6 @@ function getOperand(id, reqInfo) {
 }
 
 function updateOperand(id, body, reqInfo) {
-    const err = validate([
-        checkUnknownFields(body, OPERAND_UPDATE_FIELDS),
-        checkFieldType(body, 'name', 'string'),
-        checkFieldType(body, 'guard', 'string'),
-        checkFieldType(body, 'documentation', 'string')
-    ])
-    if (err) {
-        return validationError(err, reqInfo, body)
-    }
-
     if (Object.keys(body).length === 0) {
         return validationError('At least one field must be provided. Allowed fields: ' + OPERAND_UPDATE_FIELDS.join(', '), reqInfo, body)
     }
@@ -3816,20 +3790,6 @@ function getStateInvariants(interactionId, reqInfo) {
 }
 
 function createStateInvariant(interactionId, body, reqInfo) {
-    const err = validate([
-        checkUnknownFields(body, STATE_INVARIANT_ALLOWED_FIELDS),
-        checkFieldType(body, 'name', 'string'),
-        checkFieldType(body, 'covered', 'string'),
-        checkFieldType(body, 'invariant', 'string'),
-        checkFieldType(body, 'diagramId', 'string'),
-        checkFieldType(body, 'x', 'number'),
-        checkFieldType(body, 'y', 'number'),
-        checkFieldType(body, 'documentation', 'string')
-    ])
-    if (err) {
-        return validationError(err, reqInfo, body)
-    }
-
     const interaction = findById(interactionId)
     if (!interaction || !(interaction instanceof type.UMLInteraction)) {
         return { success: false, error: 'Interaction not found: ' + interactionId, request: Object.assign({}, reqInfo, { body: body }) }
@@ -3841,7 +3801,7 @@ function createStateInvariant(interactionId, body, reqInfo) {
             return validationError('diagramId must refer to a UMLSequenceDiagram. Not found or wrong type: ' + body.diagramId, reqInfo, body)
         }
         if (!body.covered) {
-            return validationError('Field "covered" (lifeline ID) is required when creating a state invariant with a diagram view', reqInfo, body)
+            return validationError(requestSchema.missingField('covered', 'Field "covered" (lifeline ID) is required when creating a state invariant with a diagram view'), reqInfo, body)
         }
         const coveredLifeline = findById(body.covered)
         if (!coveredLifeline || !(coveredLifeline instanceof type.UMLLifeline)) {
@@ -3937,17 +3897,6 @@ function getStateInvariant(id, reqInfo) {
 }
 
 function updateStateInvariant(id, body, reqInfo) {
-    const err = validate([
-        checkUnknownFields(body, STATE_INVARIANT_UPDATE_FIELDS),
-        checkFieldType(body, 'name', 'string'),
-        checkFieldType(body, 'covered', 'string'),
-        checkFieldType(body, 'invariant', 'string'),
-        checkFieldType(body, 'documentation', 'string')
-    ])
-    if (err) {
-        return validationError(err, reqInfo, body)
-    }
-
     if (Object.keys(body).length === 0) {
         return validationError('At least one field must be provided. Allowed fields: ' + STATE_INVARIANT_UPDATE_FIELDS.join(', '), reqInfo, body)
     }
@@ -4025,23 +3974,6 @@ function getInteractionUses(interactionId, reqInfo) {
 }
 
 function createInteractionUse(interactionId, body, reqInfo) {
-    const err = validate([
-        checkUnknownFields(body, INTERACTION_USE_ALLOWED_FIELDS),
-        checkFieldType(body, 'name', 'string'),
-        checkFieldType(body, 'refersTo', 'string'),
-        checkFieldType(body, 'arguments', 'string'),
-        checkFieldType(body, 'returnValue', 'string'),
-        checkFieldType(body, 'diagramId', 'string'),
-        checkFieldType(body, 'x', 'number'),
-        checkFieldType(body, 'y', 'number'),
-        checkFieldType(body, 'width', 'number'),
-        checkFieldType(body, 'height', 'number'),
-        checkFieldType(body, 'documentation', 'string')
-    ])
-    if (err) {
-        return validationError(err, reqInfo, body)
-    }
-
     const interaction = findById(interactionId)
     if (!interaction || !(interaction instanceof type.UMLInteraction)) {
         return { success: false, error: 'Interaction not found: ' + interactionId, request: Object.assign({}, reqInfo, { body: body }) }
@@ -4152,18 +4084,6 @@ function getInteractionUse(id, reqInfo) {
 }
 
 function updateInteractionUse(id, body, reqInfo) {
-    const err = validate([
-        checkUnknownFields(body, INTERACTION_USE_UPDATE_FIELDS),
-        checkFieldType(body, 'name', 'string'),
-        checkFieldType(body, 'refersTo', 'string'),
-        checkFieldType(body, 'arguments', 'string'),
-        checkFieldType(body, 'returnValue', 'string'),
-        checkFieldType(body, 'documentation', 'string')
-    ])
-    if (err) {
-        return validationError(err, reqInfo, body)
-    }
-
     if (Object.keys(body).length === 0) {
         return validationError('At least one field must be provided. Allowed fields: ' + INTERACTION_USE_UPDATE_FIELDS.join(', '), reqInfo, body)
     }
@@ -4262,17 +4182,8 @@ function getAllDiagrams(query, reqInfo) {
 // --- Diagram Image Export ---
 
 function exportDiagramImage(id, body, reqInfo) {
-    const err = validate([
-        checkUnknownFields(body, EXPORT_ALLOWED_FIELDS),
-        checkFieldType(body, 'path', 'string'),
-        checkFieldType(body, 'format', 'string')
-    ])
-    if (err) {
-        return validationError(err, reqInfo, body)
-    }
-
     if (!body.path) {
-        return validationError('Field "path" is required', reqInfo, body)
+        return validationError(requestSchema.missingField('path'), reqInfo, body)
     }
 
     const pathErr = checkNonEmptyString(body, 'path')
@@ -4345,18 +4256,6 @@ function getDiagramNotes(diagramId, reqInfo) {
 }
 
 function createNote(diagramId, body, reqInfo) {
-    const err = validate([
-        checkUnknownFields(body, NOTE_ALLOWED_FIELDS),
-        checkFieldType(body, 'text', 'string'),
-        checkFieldType(body, 'x1', 'number'),
-        checkFieldType(body, 'y1', 'number'),
-        checkFieldType(body, 'x2', 'number'),
-        checkFieldType(body, 'y2', 'number')
-    ])
-    if (err) {
-        return validationError(err, reqInfo, body)
-    }
-
     const diagram = findById(diagramId)
     if (!diagram || !diagram.ownedViews) {
         return { success: false, error: 'Diagram not found: ' + diagramId, request: Object.assign({}, reqInfo, { body: body }) }
@@ -4412,14 +4311,6 @@ function getNote(id, reqInfo) {
 }
 
 function updateNote(id, body, reqInfo) {
-    const err = validate([
-        checkUnknownFields(body, NOTE_UPDATE_FIELDS),
-        checkFieldType(body, 'text', 'string')
-    ])
-    if (err) {
-        return validationError(err, reqInfo, body)
-    }
-
     if (Object.keys(body).length === 0) {
         return validationError('At least one field must be provided. Allowed fields: ' + NOTE_UPDATE_FIELDS.join(', '), reqInfo, body)
     }
@@ -4476,20 +4367,11 @@ function getDiagramNoteLinks(diagramId, reqInfo) {
 }
 
 function createNoteLink(diagramId, body, reqInfo) {
-    const err = validate([
-        checkUnknownFields(body, NOTE_LINK_ALLOWED_FIELDS),
-        checkFieldType(body, 'noteId', 'string'),
-        checkFieldType(body, 'targetId', 'string')
-    ])
-    if (err) {
-        return validationError(err, reqInfo, body)
-    }
-
     if (!body.noteId) {
-        return validationError('Field "noteId" is required', reqInfo, body)
+        return validationError(requestSchema.missingField('noteId'), reqInfo, body)
     }
     if (!body.targetId) {
-        return validationError('Field "targetId" is required', reqInfo, body)
+        return validationError(requestSchema.missingField('targetId'), reqInfo, body)
     }
 
     const diagram = findById(diagramId)
@@ -4563,17 +4445,6 @@ function getDiagramFreeLines(diagramId, reqInfo) {
 }
 
 function createFreeLine(diagramId, body, reqInfo) {
-    const err = validate([
-        checkUnknownFields(body, FREE_LINE_ALLOWED_FIELDS),
-        checkFieldType(body, 'x1', 'number'),
-        checkFieldType(body, 'y1', 'number'),
-        checkFieldType(body, 'x2', 'number'),
-        checkFieldType(body, 'y2', 'number')
-    ])
-    if (err) {
-        return validationError(err, reqInfo, body)
-    }
-
     const diagram = findById(diagramId)
     if (!diagram || !diagram.ownedViews) {
         return { success: false, error: 'Diagram not found: ' + diagramId, request: Object.assign({}, reqInfo, { body: body }) }
@@ -4669,23 +4540,8 @@ function getDiagramShapes(diagramId, reqInfo) {
 }
 
 function createShape(diagramId, body, reqInfo) {
-    const err = validate([
-        checkUnknownFields(body, SHAPE_CREATE_FIELDS),
-        checkFieldType(body, 'type', 'string'),
-        checkFieldType(body, 'text', 'string'),
-        checkFieldType(body, 'url', 'string'),
-        checkFieldType(body, 'imageFile', 'string'),
-        checkFieldType(body, 'x1', 'number'),
-        checkFieldType(body, 'y1', 'number'),
-        checkFieldType(body, 'x2', 'number'),
-        checkFieldType(body, 'y2', 'number')
-    ])
-    if (err) {
-        return validationError(err, reqInfo, body)
-    }
-
     if (!body.type) {
-        return validationError('Field "type" is required', reqInfo, body)
+        return validationError(requestSchema.missingField('type'), reqInfo, body)
     }
 
     if (ALLOWED_SHAPE_TYPES.indexOf(body.type) === -1) {
@@ -4749,16 +4605,6 @@ function getShape(id, reqInfo) {
 }
 
 function updateShape(id, body, reqInfo) {
-    const err = validate([
-        checkUnknownFields(body, SHAPE_UPDATE_FIELDS),
-        checkFieldType(body, 'text', 'string'),
-        checkFieldType(body, 'url', 'string'),
-        checkFieldType(body, 'imageFile', 'string')
-    ])
-    if (err) {
-        return validationError(err, reqInfo, body)
-    }
-
     if (Object.keys(body).length === 0) {
         return validationError('At least one field must be provided. Allowed fields: ' + SHAPE_UPDATE_FIELDS.join(', '), reqInfo, body)
     }
@@ -4821,17 +4667,6 @@ function getDiagramViews(diagramId, reqInfo) {
 }
 
 function updateView(id, body, reqInfo) {
-    const err = validate([
-        checkUnknownFields(body, VIEW_UPDATE_FIELDS),
-        checkFieldType(body, 'left', 'number'),
-        checkFieldType(body, 'top', 'number'),
-        checkFieldType(body, 'width', 'number'),
-        checkFieldType(body, 'height', 'number')
-    ])
-    if (err) {
-        return validationError(err, reqInfo, body)
-    }
-
     if (Object.keys(body).length === 0) {
         return validationError('At least one field must be provided. Allowed fields: ' + VIEW_UPDATE_FIELDS.join(', '), reqInfo, body)
     }
@@ -4884,15 +4719,6 @@ function updateView(id, body, reqInfo) {
 // --- Generic Element Update/Delete ---
 
 function updateGenericElement(id, body, reqInfo) {
-    const err = validate([
-        checkUnknownFields(body, GENERIC_ELEMENT_UPDATE_FIELDS),
-        checkFieldType(body, 'name', 'string'),
-        checkFieldType(body, 'documentation', 'string')
-    ])
-    if (err) {
-        return validationError(err, reqInfo, body)
-    }
-
     if (Object.keys(body).length === 0) {
         return validationError('At least one field must be provided. Allowed fields: ' + GENERIC_ELEMENT_UPDATE_FIELDS.join(', '), reqInfo, body)
     }
@@ -5053,30 +4879,36 @@ function getElement(id, reqInfo) {
 
 // --- DDL Generation ---
 
-const DDL_GENERATE_ALLOWED_FIELDS = ['path', 'dataModelId']
+const DDL_GENERATE_ALLOWED_FIELDS = ['path', 'dataModelId', 'entityIds']
+const DDL_DIALECT_ALLOWED_FIELDS = ['path', 'dataModelId', 'entityIds', 'dialect']
 
 function generatePostgresqlDDL(body, reqInfo) {
-    const err = validate([
-        checkUnknownFields(body, DDL_GENERATE_ALLOWED_FIELDS),
-        checkFieldType(body, 'path', 'string'),
-        checkFieldType(body, 'dataModelId', 'string')
-    ])
-    if (err) {
-        return validationError(err, reqInfo, body)
-    }
+    return writeDDL(body, reqInfo, 'postgresql')
+}
 
-    if (!body.path) {
-        return validationError('Field "path" is required', reqInfo, body)
+function generateDDL(body, reqInfo) {
+    const dialect = (body.dialect || 'postgresql').toLowerCase()
+    if (ddlGenerator.DIALECT_NAMES.indexOf(dialect) === -1) {
+        return validationError('Invalid dialect "' + body.dialect + '". Allowed: ' + ddlGenerator.DIALECT_NAMES.join(', '), reqInfo, body)
     }
+    return writeDDL(body, reqInfo, dialect)
+}
 
-    const nameErr = checkNonEmptyString(body, 'path')
-    if (nameErr) {
-        return validationError(nameErr, reqInfo, body)
-    }
+/**
+ * Generate DDL to a file (path) or into the response (no path). entityIds
+ * limits the script to those entities and the tables they reference.
+ */
+function writeDDL(body, reqInfo, dialect) {
+    if (body.path !== undefined) {
+        const nameErr = checkNonEmptyString(body, 'path')
+        if (nameErr) {
+            return validationError(nameErr, reqInfo, body)
+        }
 
-    // Validate absolute path
-    if (body.path.charAt(0) !== '/' && !/^[a-zA-Z]:[/\\]/.test(body.path)) {
-        return validationError('Field "path" must be an absolute path (e.g. "/Users/.../output.sql")', reqInfo, body)
+        // Validate absolute path
+        if (body.path.charAt(0) !== '/' && !/^[a-zA-Z]:[/\\]/.test(body.path)) {
+            return validationError('Field "path" must be an absolute path (e.g. "/Users/.../output.sql")', reqInfo, body)
+        }
     }
 
     // Validate dataModelId if provided
@@ -5087,18 +4919,50 @@ function generatePostgresqlDDL(body, reqInfo) {
         }
     }
 
+    // Validate entityIds if provided
+    if (body.entityIds !== undefined) {
+        if (!Array.isArray(body.entityIds) || body.entityIds.length === 0) {
+            return validationError('Field "entityIds" must be a non-empty array of ERDEntity IDs', reqInfo, body)
+        }
+        if (body.dataModelId) {
+            return validationError('Specify either "dataModelId" or "entityIds", not both', reqInfo, body)
+        }
+        for (let i = 0; i < body.entityIds.length; i++) {
+            const entity = typeof body.entityIds[i] === 'string' ? findById(body.entityIds[i]) : null
+            if (!entity || !(entity instanceof type.ERDEntity)) {
+                return validationError('entityIds must refer to ERDEntity elements. Not found or wrong type: ' + body.entityIds[i], reqInfo, body)
+            }
+        }
+    }
+
     const reqInfoWithBody = Object.assign({}, reqInfo, { body: body })
 
     try {
-        ddlGenerator.generate(body.path, body.dataModelId || null)
+        const result = ddlGenerator.generate({
+            dialect: dialect,
+            dataModelId: body.dataModelId || null,
+            entityIds: body.entityIds || null,
+            path: body.path || null
+        })
+
+        const data = { dialect: dialect }
+        if (body.path) {
+            data.path = body.path
+        } else {
+            data.sql = result.sql
+        }
+        if (body.entityIds) {
+            // The requested entities plus the tables they reference, in creation order
+            data.entities = result.entities.map(function (e) {
+                return { _id: e._id, name: e.name }
+            })
+        }
 
         return {
             success: true,
-            message: 'DDL generated to "' + body.path + '"',
+            message: body.path ? 'DDL generated to "' + body.path + '"' : 'DDL generated',
             request: reqInfoWithBody,
-            data: {
-                path: body.path
-            }
+            data: data
         }
     } catch (e) {
         return {
@@ -5109,29 +4973,39 @@ function generatePostgresqlDDL(body, reqInfo) {
     }
 }
 
-// ============================================================
-// Generic Diagram API
-// ============================================================
+// --- DDL / DBML / Prisma Import ---
 
-function createGenericDiagram(body, reqInfo) {
-    const err = validate([
-        checkUnknownFields(body, GENERIC_DIAGRAM_CREATE_FIELDS),
-        checkFieldType(body, 'type', 'string'),
-        checkFieldType(body, 'name', 'string'),
-        checkFieldType(body, 'parentId', 'string')
-    ])
-    if (err) {
-        return validationError(err, reqInfo, body)
-    }
+const IMPORT_DDL_ALLOWED_FIELDS = ['path', 'sql', 'dataModelId', 'name', 'createDiagram']
+const IMPORT_DBML_ALLOWED_FIELDS = ['path', 'dbml', 'dataModelId', 'name', 'createDiagram']
+const IMPORT_PRISMA_ALLOWED_FIELDS = ['path', 'prisma', 'dataModelId', 'name', 'createDiagram']
 
-    if (!body.type) {
-        return validationError('Field "type" is required', reqInfo, body)
-    }
+// Schema formats POST /api/erd/import-* reads: the body field holding inline
+// text, the parser, and the error when nothing to import is found
+const SCHEMA_IMPORT_FORMATS = {
+    ddl: { label: 'DDL', field: 'sql', example: 'schema.sql', parse: ddlImporter.parse, empty: 'No CREATE TABLE statements found' },
+    dbml: { label: 'DBML', field: 'dbml', example: 'schema.dbml', parse: schemaFormats.parseDBML, empty: 'No Table definitions found' },
+    prisma: { label: 'Prisma schema', field: 'prisma', example: 'schema.prisma', parse: schemaFormats.parsePrisma, empty: 'No model blocks found' }
+}
 
-    if (ALLOWED_DIAGRAM_TYPES.indexOf(body.type) === -1) {
-        return validationError('Invalid diagram type "' + body.type + '". Allowed: ' + ALLOWED_DIAGRAM_TYPES.join(', '), reqInfo, body)
-    }
+function importDDL(body, reqInfo) {
+    return importSchema(body, reqInfo, SCHEMA_IMPORT_FORMATS.ddl)
+}
+
+function importDBML(body, reqInfo) {
+    return importSchema(body, reqInfo, SCHEMA_IMPORT_FORMATS.dbml)
+}
 
+function importPrisma(body, reqInfo) {
+    return importSchema(body, reqInfo, SCHEMA_IMPORT_FORMATS.prisma)
+}
+
+function importSchema(body, reqInfo, format) {
+    if ((body.path === undefined) === (body[format.field] === undefined)) {
+        return validationError(requestSchema.fieldError(null, 'required', 'Exactly one of "path" or "' + format.field + '" is required'), reqInfo, body)
+    }
+    if (body.path !== undefined && body.path.charAt(0) !== '/' && !/^[a-zA-Z]:[/\\]/.test(body.path)) {
+        return validationError('Field "path" must be an absolute path (e.g. "/Users/.../' + format.example + '")', reqInfo, body)
+    }
     if (body.name !== undefined) {
         const nameErr = checkNonEmptyString(body, 'name')
         if (nameErr) {
@@ -5139,71 +5013,885 @@ function createGenericDiagram(body, reqInfo) {
         }
     }
 
-    let parent
-    if (body.parentId) {
-        parent = findById(body.parentId)
-        if (!parent) {
-            return validationError('Parent not found: ' + body.parentId, reqInfo, body)
+    let dataModel = null
+    if (body.dataModelId) {
+        dataModel = findById(body.dataModelId)
+        if (!dataModel || !(dataModel instanceof type.ERDDataModel)) {
+            return validationError('dataModelId must refer to an ERDDataModel. Not found or wrong type: ' + body.dataModelId, reqInfo, body)
         }
-    } else {
-        parent = app.project.getProject()
-        if (!parent) {
-            return validationError('No project found. Open a project first.', reqInfo, body)
+    } else if (!app.project.getProject()) {
+        return validationError('No project found. Open a project first.', reqInfo, body)
+    }
+
+    const reqInfoWithBody = Object.assign({}, reqInfo, { body: body })
+
+    let text = body[format.field]
+    if (body.path !== undefined) {
+        try {
+            text = require('fs').readFileSync(body.path, 'utf8')
+        } catch (e) {
+            return validationError('Cannot read file "' + body.path + '": ' + (e.message || String(e)), reqInfo, body)
         }
     }
 
+    const schema = format.parse(text)
+    if (schema.tables.length === 0) {
+        return validationError(format.empty + (schema.warnings.length > 0 ? ' (' + schema.warnings.join('; ') + ')' : ''), reqInfo, body)
+    }
+
+    const name = body.name || (body.path !== undefined ? require('path').basename(body.path).replace(/\.[^.]*$/, '') : '') || 'ImportedModel'
+
     try {
-        const diagram = app.factory.createDiagram({
-            id: body.type,
-            parent: parent,
-            diagramInitializer: function (d) {
-                if (body.name) {
-                    d.name = body.name
-                }
-            }
+        const built = ddlImporter.buildModel(schema, {
+            dataModel: dataModel,
+            name: name,
+            createDiagram: body.createDiagram === true
+        })
+        built.diagrams.forEach(function (d) {
+            autoExpandFrame(d)
         })
 
-        if (!diagram) {
-            return { success: false, error: 'Failed to create diagram. StarUML factory returned null.', request: Object.assign({}, reqInfo, { body: body }) }
+        const count = function (key) {
+            return schema.tables.reduce(function (n, t) { return n + t[key].length }, 0)
+        }
+        const data = {
+            dataModels: built.dataModels.map(serializeElement),
+            diagrams: built.diagrams.map(serializeDiagram),
+            entities: built.entities.map(function (e) { return { _id: e._id, name: e.name } }),
+            relationshipCount: built.relationships.length,
+            columnCount: count('columns'),
+            indexCount: count('indexes'),
+            sequenceCount: count('sequences'),
+            skippedStatements: schema.skipped,
+            warnings: built.warnings
+        }
+        if (schema.enums) {
+            data.enumCount = schema.enums.length
         }
-
         return {
             success: true,
-            message: 'Created diagram "' + diagram.name + '" (' + body.type + ')',
-            request: Object.assign({}, reqInfo, { body: body }),
-            data: serializeGenericDiagramDetail(diagram)
+            message: 'Imported ' + built.entities.length + ' table(s) into ' + built.dataModels.map(function (m) { return '"' + m.name + '"' }).join(', '),
+            request: reqInfoWithBody,
+            data: data
         }
     } catch (e) {
         return {
             success: false,
-            error: 'Failed to create diagram: ' + (e.message || String(e)),
-            request: Object.assign({}, reqInfo, { body: body })
+            error: 'Failed to import ' + format.label + ': ' + (e.message || String(e)),
+            request: reqInfoWithBody
         }
     }
 }
 
-function getGenericDiagram(id, reqInfo) {
-    const diagram = findById(id)
-    if (!diagram || !diagram.ownedViews) {
-        return { success: false, error: 'Diagram not found: ' + id, request: reqInfo }
-    }
-    return {
-        success: true,
-        message: 'Retrieved diagram "' + (diagram.name || id) + '"',
-        request: reqInfo,
-        data: serializeGenericDiagramDetail(diagram)
+// --- DBML / Prisma Export ---
+
+const EXPORT_SCHEMA_ALLOWED_FIELDS = ['path', 'dataModelId']
+
+function exportDBML(body, reqInfo) {
+    return exportSchema(body, reqInfo, { label: 'DBML', field: 'dbml', example: 'schema.dbml', generate: schemaFormats.generateDBML })
+}
+
+function exportPrisma(body, reqInfo) {
+    return exportSchema(body, reqInfo, { label: 'Prisma schema', field: 'prisma', example: 'schema.prisma', generate: schemaFormats.generatePrisma })
+}
+
+/**
+ * Write data models as a schema file (path), or return the text in
+ * data[format.field] when no path is given.
+ */
+function exportSchema(body, reqInfo, format) {
+    if (body.path !== undefined) {
+        const nameErr = checkNonEmptyString(body, 'path')
+        if (nameErr) {
+            return validationError(nameErr, reqInfo, body)
+        }
+        if (body.path.charAt(0) !== '/' && !/^[a-zA-Z]:[/\\]/.test(body.path)) {
+            return validationError('Field "path" must be an absolute path (e.g. "/Users/.../' + format.example + '")', reqInfo, body)
+        }
+    }
+
+    if (body.dataModelId) {
+        const dm = findById(body.dataModelId)
+        if (!dm || !(dm instanceof type.ERDDataModel)) {
+            return validationError('dataModelId must refer to an ERDDataModel. Not found or wrong type: ' + body.dataModelId, reqInfo, body)
+        }
+    }
+
+    const reqInfoWithBody = Object.assign({}, reqInfo, { body: body })
+
+    try {
+        const result = format.generate({ dataModelId: body.dataModelId || null, path: body.path || null })
+        const data = {}
+        if (body.path) {
+            data.path = body.path
+        } else {
+            data[format.field] = result.text
+        }
+        data.entityCount = result.entities.length
+        data.warnings = result.warnings
+
+        return {
+            success: true,
+            message: body.path ? format.label + ' written to "' + body.path + '"' : format.label + ' generated',
+            request: reqInfoWithBody,
+            data: data
+        }
+    } catch (e) {
+        return {
+            success: false,
+            error: 'Failed to generate ' + format.label + ': ' + (e.message || String(e)),
+            request: reqInfoWithBody
+        }
+    }
+}
+
+// --- DDL Migrations ---
+
+const SNAPSHOT_ALLOWED_FIELDS = ['name']
+const MIGRATION_ALLOWED_FIELDS = ['baselinePath', 'snapshotId', 'dialect', 'dataModelId', 'down', 'path', 'format', 'version', 'description']
+
+function createMigrationSnapshot(body, reqInfo) {
+    if (body.name !== undefined) {
+        const nameErr = checkNonEmptyString(body, 'name')
+        if (nameErr) {
+            return validationError(nameErr, reqInfo, body)
+        }
+    }
+
+    const snapshot = ddlMigration.createSnapshot(body.name)
+    return {
+        success: true,
+        message: 'Created snapshot "' + snapshot.name + '" of ' + snapshot.entityCount + ' entity(ies)',
+        request: Object.assign({}, reqInfo, { body: body }),
+        data: snapshot
+    }
+}
+
+function getMigrationSnapshots(reqInfo) {
+    const snapshots = ddlMigration.listSnapshots()
+    return {
+        success: true,
+        message: 'Retrieved ' + snapshots.length + ' snapshot(s)',
+        request: reqInfo,
+        data: snapshots
+    }
+}
+
+function isAbsolutePath(path) {
+    return path.charAt(0) === '/' || /^[a-zA-Z]:[/\\]/.test(path)
+}
+
+function generateMigration(body, reqInfo) {
+    if ((body.baselinePath === undefined) === (body.snapshotId === undefined)) {
+        return validationError(requestSchema.fieldError(null, 'required', 'Exactly one of "baselinePath" or "snapshotId" is required'), reqInfo, body)
+    }
+    if (body.baselinePath !== undefined) {
+        if (!isAbsolutePath(body.baselinePath)) {
+            return validationError('Field "baselinePath" must be an absolute path (e.g. "/Users/.../baseline.mdj")', reqInfo, body)
+        }
+        if (!require('fs').existsSync(body.baselinePath)) {
+            return validationError('Baseline file not found: ' + body.baselinePath, reqInfo, body)
+        }
+    }
+    if (body.snapshotId !== undefined && !ddlMigration.findSnapshot(body.snapshotId)) {
+        return validationError('Snapshot not found: ' + body.snapshotId, reqInfo, body)
+    }
+
+    const dialect = (body.dialect || 'postgresql').toLowerCase()
+    if (ddlGenerator.DIALECT_NAMES.indexOf(dialect) === -1) {
+        return validationError('Invalid dialect "' + body.dialect + '". Allowed: ' + ddlGenerator.DIALECT_NAMES.join(', '), reqInfo, body)
+    }
+    const format = (body.format || 'sql').toLowerCase()
+    if (ddlMigration.FORMATS.indexOf(format) === -1) {
+        return validationError('Invalid format "' + body.format + '". Allowed: ' + ddlMigration.FORMATS.join(', '), reqInfo, body)
+    }
+    if (body.version !== undefined && !/^\d+([._]\d+)*$/.test(body.version)) {
+        return validationError('Field "version" must be a version number such as "2", "1.3" or "20240101120000"', reqInfo, body)
+    }
+
+    if (body.path !== undefined) {
+        if (!isAbsolutePath(body.path)) {
+            return validationError('Field "path" must be an absolute path', reqInfo, body)
+        }
+        if (format !== 'sql') {
+            let isDirectory = false
+            try {
+                isDirectory = require('fs').statSync(body.path).isDirectory()
+            } catch (e) {
+                isDirectory = false
+            }
+            if (!isDirectory) {
+                return validationError('Field "path" must be an existing directory for the ' + format + ' format', reqInfo, body)
+            }
+        }
+    } else if (format !== 'sql') {
+        return validationError(requestSchema.missingField('path', 'Field "path" (migrations directory) is required for the ' + format + ' format'), reqInfo, body)
+    }
+
+    if (body.dataModelId) {
+        const dm = findById(body.dataModelId)
+        if (!dm || !(dm instanceof type.ERDDataModel)) {
+            return validationError('dataModelId must refer to an ERDDataModel. Not found or wrong type: ' + body.dataModelId, reqInfo, body)
+        }
+    }
+
+    const reqInfoWithBody = Object.assign({}, reqInfo, { body: body })
+
+    try {
+        const migration = ddlMigration.buildMigration({
+            dialect: dialect,
+            baselinePath: body.baselinePath,
+            snapshotId: body.snapshotId,
+            dataModelId: body.dataModelId || null,
+            down: body.down === true
+        })
+
+        let files = []
+        if (body.path !== undefined && migration.changes.length > 0) {
+            const version = body.version || new Date().toISOString().replace(/\D/g, '').substring(0, 14)
+            const description = (body.description || 'migration').replace(/\W+/g, '_')
+            files = ddlMigration.writeMigration(format, body.path, version, description, migration)
+        }
+
+        const data = {
+            dialect: dialect,
+            format: format,
+            changes: migration.changes,
+            warnings: migration.warnings,
+            files: files,
+            up: migration.up
+        }
+        if (migration.down !== null) {
+            data.down = migration.down
+        }
+        return {
+            success: true,
+            message: migration.changes.length === 0
+                ? 'No changes since the baseline'
+                : 'Migration with ' + migration.changes.length + ' change(s)' + (files.length > 0 ? ' written to ' + files.join(', ') : ''),
+            request: reqInfoWithBody,
+            data: data
+        }
+    } catch (e) {
+        return {
+            success: false,
+            error: 'Failed to generate migration: ' + (e.message || String(e)),
+            request: reqInfoWithBody
+        }
+    }
+}
+
+// --- Seed Data ---
+
+const SEED_DATA_ALLOWED_FIELDS = ['dataModelId', 'rows', 'seed', 'format', 'dialect', 'path']
+
+function generateSeedData(body, reqInfo) {
+    if (!body.dataModelId) {
+        return validationError(requestSchema.missingField('dataModelId'), reqInfo, body)
+    }
+    const dm = findById(body.dataModelId)
+    if (!dm || !(dm instanceof type.ERDDataModel)) {
+        return validationError('dataModelId must refer to an ERDDataModel. Not found or wrong type: ' + body.dataModelId, reqInfo, body)
+    }
+    if (body.rows !== undefined && (!Number.isInteger(body.rows) || body.rows < 1 || body.rows > seedData.MAX_ROWS)) {
+        return validationError('Field "rows" must be an integer between 1 and ' + seedData.MAX_ROWS, reqInfo, body)
+    }
+    const format = (body.format || 'sql').toLowerCase()
+    if (seedData.FORMATS.indexOf(format) === -1) {
+        return validationError('Invalid format "' + body.format + '". Allowed: ' + seedData.FORMATS.join(', '), reqInfo, body)
+    }
+    const dialect = (body.dialect || 'postgresql').toLowerCase()
+    if (ddlGenerator.DIALECT_NAMES.indexOf(dialect) === -1) {
+        return validationError('Invalid dialect "' + body.dialect + '". Allowed: ' + ddlGenerator.DIALECT_NAMES.join(', '), reqInfo, body)
+    }
+    if (body.dialect !== undefined && format !== 'sql') {
+        return validationError('Field "dialect" only applies to the sql format', reqInfo, body)
+    }
+    if (body.path !== undefined && !isAbsolutePath(body.path)) {
+        return validationError('Field "path" must be an absolute path (e.g. "/Users/.../seed.' + format + '")', reqInfo, body)
+    }
+
+    const reqInfoWithBody = Object.assign({}, reqInfo, { body: body })
+
+    try {
+        const result = seedData.generate({
+            dataModelId: body.dataModelId,
+            rows: body.rows,
+            seed: body.seed,
+            format: format,
+            dialect: dialect,
+            path: body.path || null
+        })
+        const rowCount = result.tables.reduce(function (n, t) { return n + t.rows }, 0)
+        const data = {
+            format: format,
+            entities: result.tables.map(function (t) { return { _id: t.entity._id, name: t.entity.name, rows: t.rows } }),
+            warnings: result.warnings
+        }
+        if (format === 'sql') {
+            data.dialect = dialect
+        }
+        if (body.path) {
+            data.path = body.path
+        } else if (format === 'sql') {
+            data.sql = result.text
+        } else {
+            data.fixtures = result.fixtures
+        }
+        return {
+            success: true,
+            message: 'Generated ' + rowCount + ' row(s) for ' + result.tables.length + ' table(s)' + (body.path ? ' to "' + body.path + '"' : ''),
+            request: reqInfoWithBody,
+            data: data
+        }
+    } catch (e) {
+        return {
+            success: false,
+            error: 'Failed to generate seed data: ' + (e.message || String(e)),
+            request: reqInfoWithBody
+        }
+    }
+}
+
+// --- Data Dictionary ---
+
+const DATA_DICTIONARY_ALLOWED_FIELDS = ['format', 'dialect', 'dataModelId', 'path']
+
+function exportDataDictionary(body, reqInfo) {
+    const format = (body.format || 'markdown').toLowerCase()
+    if (dataDictionary.FORMATS.indexOf(format) === -1) {
+        return validationError('Invalid format "' + body.format + '". Allowed: ' + dataDictionary.FORMATS.join(', '), reqInfo, body)
+    }
+    const dialect = (body.dialect || 'postgresql').toLowerCase()
+    if (ddlGenerator.DIALECT_NAMES.indexOf(dialect) === -1) {
+        return validationError('Invalid dialect "' + body.dialect + '". Allowed: ' + ddlGenerator.DIALECT_NAMES.join(', '), reqInfo, body)
+    }
+    if (body.path !== undefined && !isAbsolutePath(body.path)) {
+        return validationError('Field "path" must be an absolute path (e.g. "/Users/.../dictionary.' + (format === 'markdown' ? 'md' : format) + '")', reqInfo, body)
+    }
+    if (body.dataModelId) {
+        const dm = findById(body.dataModelId)
+        if (!dm || !(dm instanceof type.ERDDataModel)) {
+            return validationError('dataModelId must refer to an ERDDataModel. Not found or wrong type: ' + body.dataModelId, reqInfo, body)
+        }
+    }
+
+    const reqInfoWithBody = Object.assign({}, reqInfo, { body: body })
+
+    try {
+        const result = dataDictionary.generate({
+            format: format,
+            dialect: dialect,
+            dataModelId: body.dataModelId || null,
+            path: body.path || null
+        })
+        const data = {
+            format: format,
+            dialect: dialect,
+            entityCount: result.entities.length,
+            columnCount: result.columnCount
+        }
+        if (body.path) {
+            data.path = body.path
+        } else {
+            data.content = result.text
+        }
+        return {
+            success: true,
+            message: 'Data dictionary of ' + result.entities.length + ' table(s)' + (body.path ? ' written to "' + body.path + '"' : ' generated'),
+            request: reqInfoWithBody,
+            data: data
+        }
+    } catch (e) {
+        return {
+            success: false,
+            error: 'Failed to generate data dictionary: ' + (e.message || String(e)),
+            request: reqInfoWithBody
+        }
+    }
+}
+
+// --- Class Model Conversion ---
+
+const CLASSES_TO_ERD_ALLOWED_FIELDS = ['packageId', 'dataModelId', 'inheritance', 'nameStyle', 'createDiagram']
+const ERD_TO_CLASSES_ALLOWED_FIELDS = ['dataModelId', 'packageId', 'nameStyle', 'createDiagram']
+
+function isClassPackage(elem) {
+    return elem instanceof type.UMLModel || elem instanceof type.UMLPackage || elem instanceof type.UMLSubsystem
+}
+
+/**
+ * "created 3, unchanged 2" from a conversion summary, in a fixed order.
+ */
+function describeConversion(summary) {
+    const parts = ['created', 'linked', 'updated', 'unchanged', 'uml-changed', 'erd-changed', 'conflict', 'uml-deleted'].filter(function (status) {
+        return summary[status]
+    }).map(function (status) {
+        return status + ' ' + summary[status]
+    })
+    return parts.length > 0 ? parts.join(', ') : 'nothing to convert'
+}
+
+function classesToErd(body, reqInfo) {
+    if (!body.packageId) {
+        return validationError(requestSchema.missingField('packageId'), reqInfo, body)
+    }
+    const pkg = findById(body.packageId)
+    if (!pkg || !isClassPackage(pkg)) {
+        return validationError('packageId must refer to a UMLModel, UMLPackage or UMLSubsystem. Not found or wrong type: ' + body.packageId, reqInfo, body)
+    }
+    let dm = null
+    if (body.dataModelId) {
+        dm = findById(body.dataModelId)
+        if (!dm || !(dm instanceof type.ERDDataModel)) {
+            return validationError('dataModelId must refer to an ERDDataModel. Not found or wrong type: ' + body.dataModelId, reqInfo, body)
+        }
+    }
+    if (body.inheritance !== undefined && classErdSync.INHERITANCE_STRATEGIES.indexOf(body.inheritance) === -1) {
+        return validationError('Invalid inheritance "' + body.inheritance + '". Allowed: ' + classErdSync.INHERITANCE_STRATEGIES.join(', '), reqInfo, body)
+    }
+    if (body.nameStyle !== undefined && classErdSync.TO_ERD_NAME_STYLES.indexOf(body.nameStyle) === -1) {
+        return validationError('Invalid nameStyle "' + body.nameStyle + '". Allowed: ' + classErdSync.TO_ERD_NAME_STYLES.join(', '), reqInfo, body)
+    }
+
+    const reqInfoWithBody = Object.assign({}, reqInfo, { body: body })
+
+    try {
+        const result = classErdSync.fromClasses({
+            package: pkg,
+            dataModel: dm,
+            inheritance: body.inheritance,
+            nameStyle: body.nameStyle,
+            createDiagram: body.createDiagram === true
+        })
+        const ids = function (elems) {
+            return elems.map(function (e) { return e._id })
+        }
+        return {
+            success: true,
+            message: 'Converted classes of "' + pkg.name + '" to data model "' + result.dataModel.name + '": ' + describeConversion(result.summary),
+            request: reqInfoWithBody,
+            data: {
+                dataModel: { _id: result.dataModel._id, name: result.dataModel.name },
+                diagramId: result.diagram ? result.diagram._id : null,
+                summary: result.summary,
+                items: result.items,
+                created: {
+                    entities: ids(result.created.entities),
+                    columns: ids(result.created.columns),
+                    relationships: ids(result.created.relationships)
+                },
+                warnings: result.warnings
+            }
+        }
+    } catch (e) {
+        return {
+            success: false,
+            error: 'Failed to convert classes: ' + (e.message || String(e)),
+            request: reqInfoWithBody
+        }
+    }
+}
+
+function erdToClasses(body, reqInfo) {
+    if (!body.dataModelId) {
+        return validationError(requestSchema.missingField('dataModelId'), reqInfo, body)
+    }
+    const dm = findById(body.dataModelId)
+    if (!dm || !(dm instanceof type.ERDDataModel)) {
+        return validationError('dataModelId must refer to an ERDDataModel. Not found or wrong type: ' + body.dataModelId, reqInfo, body)
+    }
+    let pkg = null
+    if (body.packageId) {
+        pkg = findById(body.packageId)
+        if (!pkg || !isClassPackage(pkg)) {
+            return validationError('packageId must refer to a UMLModel, UMLPackage or UMLSubsystem. Not found or wrong type: ' + body.packageId, reqInfo, body)
+        }
+    }
+    if (body.nameStyle !== undefined && classErdSync.TO_CLASS_NAME_STYLES.indexOf(body.nameStyle) === -1) {
+        return validationError('Invalid nameStyle "' + body.nameStyle + '". Allowed: ' + classErdSync.TO_CLASS_NAME_STYLES.join(', '), reqInfo, body)
+    }
+
+    const reqInfoWithBody = Object.assign({}, reqInfo, { body: body })
+
+    try {
+        const result = classErdSync.toClasses({
+            dataModel: dm,
+            package: pkg,
+            nameStyle: body.nameStyle,
+            createDiagram: body.createDiagram === true
+        })
+        const ids = function (elems) {
+            return elems.map(function (e) { return e._id })
+        }
+        return {
+            success: true,
+            message: 'Converted data model "' + dm.name + '" to classes in "' + result.package.name + '": ' + describeConversion(result.summary),
+            request: reqInfoWithBody,
+            data: {
+                package: { _id: result.package._id, name: result.package.name },
+                diagramId: result.diagram ? result.diagram._id : null,
+                summary: result.summary,
+                items: result.items,
+                created: {
+                    classes: ids(result.created.classes),
+                    attributes: ids(result.created.attributes),
+                    associations: ids(result.created.associations),
+                    generalizations: ids(result.created.generalizations),
+                    enumerations: ids(result.created.enumerations)
+                },
+                warnings: result.warnings
+            }
+        }
+    } catch (e) {
+        return {
+            success: false,
+            error: 'Failed to convert data model: ' + (e.message || String(e)),
+            request: reqInfoWithBody
+        }
+    }
+}
+
+// --- BPMN 2.0 XML Interchange ---
+
+const BPMN_IMPORT_ALLOWED_FIELDS = ['path', 'xml', 'name']
+const BPMN_EXPORT_ALLOWED_FIELDS = ['path']
+
+/**
+ * Total of a { <type>: n } count map.
+ */
+function sumCounts(counts) {
+    return Object.keys(counts).reduce(function (n, k) { return n + counts[k] }, 0)
+}
+
+function importBpmn(body, reqInfo) {
+    if ((body.path === undefined) === (body.xml === undefined)) {
+        return validationError(requestSchema.fieldError(null, 'required', 'Exactly one of "path" or "xml" is required'), reqInfo, body)
+    }
+    if (body.path !== undefined && !isAbsolutePath(body.path)) {
+        return validationError('Field "path" must be an absolute path (e.g. "/Users/.../process.bpmn")', reqInfo, body)
+    }
+    if (body.name !== undefined) {
+        const nameErr = checkNonEmptyString(body, 'name')
+        if (nameErr) {
+            return validationError(nameErr, reqInfo, body)
+        }
+    }
+    if (!app.project.getProject()) {
+        return validationError('No project found. Open a project first.', reqInfo, body)
+    }
+
+    const reqInfoWithBody = Object.assign({}, reqInfo, { body: body })
+
+    let text = body.xml
+    if (body.path !== undefined) {
+        try {
+            text = require('fs').readFileSync(body.path, 'utf8')
+        } catch (e) {
+            return validationError('Cannot read file "' + body.path + '": ' + (e.message || String(e)), reqInfo, body)
+        }
+    }
+
+    try {
+        const result = bpmnXml.importXml(text, {
+            name: body.name || (body.path !== undefined ? require('path').basename(body.path).replace(/\.[^.]*$/, '') : '')
+        })
+        return {
+            success: true,
+            message: 'Imported ' + sumCounts(result.counts) + ' BPMN element(s) into diagram "' + result.diagram.name + '"',
+            request: reqInfoWithBody,
+            data: {
+                diagram: { _id: result.diagram._id, name: result.diagram.name },
+                counts: result.counts,
+                warnings: result.warnings
+            }
+        }
+    } catch (e) {
+        return {
+            success: false,
+            error: 'Failed to import BPMN: ' + (e.message || String(e)),
+            request: reqInfoWithBody
+        }
+    }
+}
+
+function exportBpmn(id, body, reqInfo) {
+    if (body.path !== undefined && !isAbsolutePath(body.path)) {
+        return validationError('Field "path" must be an absolute path (e.g. "/Users/.../process.bpmn")', reqInfo, body)
+    }
+
+    const reqInfoWithBody = Object.assign({}, reqInfo, { body: body })
+
+    const diagram = findById(id)
+    if (!diagram || !(diagram instanceof type.BPMNDiagram)) {
+        return { success: false, error: 'BPMN diagram not found: ' + id, request: reqInfoWithBody }
+    }
+
+    try {
+        const result = bpmnXml.exportXml(diagram, { path: body.path || null })
+        const data = {
+            diagram: { _id: diagram._id, name: diagram.name },
+            counts: result.counts,
+            warnings: result.warnings
+        }
+        if (body.path) {
+            data.path = body.path
+        } else {
+            data.content = result.text
+        }
+        return {
+            success: true,
+            message: 'Exported ' + sumCounts(result.counts) + ' BPMN element(s) of "' + diagram.name + '"' + (body.path ? ' to "' + body.path + '"' : ''),
+            request: reqInfoWithBody,
+            data: data
+        }
+    } catch (e) {
+        return {
+            success: false,
+            error: 'Failed to export BPMN: ' + (e.message || String(e)),
+            request: reqInfoWithBody
+        }
     }
 }
 
-function updateGenericDiagram(id, body, reqInfo) {
-    const err = validate([
-        checkUnknownFields(body, ['name']),
-        checkFieldType(body, 'name', 'string')
-    ])
-    if (err) {
-        return validationError(err, reqInfo, body)
+// --- Structurizr DSL Interchange ---
+
+const C4_IMPORT_ALLOWED_FIELDS = ['path', 'dsl', 'name']
+const C4_EXPORT_ALLOWED_FIELDS = ['modelId', 'path']
+
+function importStructurizr(body, reqInfo) {
+    if ((body.path === undefined) === (body.dsl === undefined)) {
+        return validationError(requestSchema.fieldError(null, 'required', 'Exactly one of "path" or "dsl" is required'), reqInfo, body)
+    }
+    if (body.path !== undefined && !isAbsolutePath(body.path)) {
+        return validationError('Field "path" must be an absolute path (e.g. "/Users/.../workspace.dsl")', reqInfo, body)
+    }
+    if (body.name !== undefined) {
+        const nameErr = checkNonEmptyString(body, 'name')
+        if (nameErr) {
+            return validationError(nameErr, reqInfo, body)
+        }
+    }
+    if (!app.project.getProject()) {
+        return validationError('No project found. Open a project first.', reqInfo, body)
+    }
+
+    const reqInfoWithBody = Object.assign({}, reqInfo, { body: body })
+
+    let text = body.dsl
+    if (body.path !== undefined) {
+        try {
+            text = require('fs').readFileSync(body.path, 'utf8')
+        } catch (e) {
+            return validationError('Cannot read file "' + body.path + '": ' + (e.message || String(e)), reqInfo, body)
+        }
+    }
+
+    try {
+        const result = structurizrDsl.importDsl(text, { name: body.name || '' })
+        return {
+            success: true,
+            message: 'Imported ' + sumCounts(result.counts) + ' C4 element(s) and diagram(s) into model "' + result.model.name + '"',
+            request: reqInfoWithBody,
+            data: {
+                model: { _id: result.model._id, name: result.model.name },
+                diagrams: result.diagrams.map(function (d) { return { _id: d._id, name: d.name } }),
+                counts: result.counts,
+                warnings: result.warnings
+            }
+        }
+    } catch (e) {
+        return {
+            success: false,
+            error: 'Failed to import Structurizr DSL: ' + (e.message || String(e)),
+            request: reqInfoWithBody
+        }
+    }
+}
+
+function exportStructurizr(body, reqInfo) {
+    if (body.path !== undefined && !isAbsolutePath(body.path)) {
+        return validationError('Field "path" must be an absolute path (e.g. "/Users/.../workspace.dsl")', reqInfo, body)
+    }
+
+    const reqInfoWithBody = Object.assign({}, reqInfo, { body: body })
+
+    const root = body.modelId ? findById(body.modelId) : app.project.getProject()
+    if (!root) {
+        return body.modelId
+            ? { success: false, error: 'Model not found: ' + body.modelId, request: reqInfoWithBody }
+            : validationError('No project found. Open a project first.', reqInfo, body)
+    }
+
+    try {
+        const result = structurizrDsl.exportDsl(root, { path: body.path || null })
+        const data = {
+            model: { _id: root._id, name: root.name || '' },
+            counts: result.counts,
+            warnings: result.warnings
+        }
+        if (body.path) {
+            data.path = body.path
+        } else {
+            data.content = result.text
+        }
+        return {
+            success: true,
+            message: 'Exported ' + sumCounts(result.counts) + ' C4 element(s) and diagram(s) of "' + (root.name || root._id) + '"' + (body.path ? ' to "' + body.path + '"' : ''),
+            request: reqInfoWithBody,
+            data: data
+        }
+    } catch (e) {
+        return {
+            success: false,
+            error: 'Failed to export Structurizr DSL: ' + (e.message || String(e)),
+            request: reqInfoWithBody
+        }
+    }
+}
+
+// --- C4 Drill-down ---
+
+const C4_DRILL_DOWN_ALLOWED_FIELDS = ['name']
+
+function drillDownC4Element(id, body, reqInfo) {
+    if (body.name !== undefined) {
+        const nameErr = checkNonEmptyString(body, 'name')
+        if (nameErr) {
+            return validationError(nameErr, reqInfo, body)
+        }
+    }
+
+    const reqInfoWithBody = Object.assign({}, reqInfo, { body: body })
+
+    const element = findById(id)
+    if (!element) {
+        return { success: false, error: 'Element not found: ' + id, request: reqInfoWithBody }
+    }
+    const level = c4Drilldown.LEVELS[element.constructor.name]
+    if (!level) {
+        return validationError('Element "' + (element.name || id) + '" is a ' + element.constructor.name +
+            '; drill-down supports ' + Object.keys(c4Drilldown.LEVELS).join(', '), reqInfo, body)
+    }
+    if (c4Drilldown.childrenOf(element).length === 0) {
+        return validationError('Element "' + (element.name || id) + '" has no ' + level.childType +
+            ' (owned by it, or placed inside its view) to drill down to', reqInfo, body)
+    }
+
+    try {
+        const result = c4Drilldown.drillDown(element, { name: body.name || '' })
+        const brief = function (m) {
+            return { _id: m._id, _type: m.constructor.name, name: m.name || '' }
+        }
+        return {
+            success: true,
+            message: 'Created ' + level.view + ' diagram "' + result.diagram.name + '" with ' +
+                (result.children.length + result.externals.length) + ' element(s) and ' + result.relationships.length + ' relationship(s)',
+            request: reqInfoWithBody,
+            data: {
+                diagram: serializeGenericDiagramDetail(result.diagram),
+                children: result.children.map(brief),
+                externals: result.externals.map(brief),
+                relationships: result.relationships.map(function (r) {
+                    return {
+                        _id: r.model._id,
+                        sourceId: r.model.source._id,
+                        targetId: r.model.target._id,
+                        name: r.model.name || '',
+                        technology: r.model.technology || '',
+                        aggregated: r.aggregated,
+                        created: r.created
+                    }
+                }),
+                removed: result.removed.map(brief)
+            }
+        }
+    } catch (e) {
+        return {
+            success: false,
+            error: 'Failed to drill down: ' + (e.message || String(e)),
+            request: reqInfoWithBody
+        }
+    }
+}
+
+// ============================================================
+// Generic Diagram API
+// ============================================================
+
+function createGenericDiagram(body, reqInfo) {
+    if (!body.type) {
+        return validationError(requestSchema.missingField('type'), reqInfo, body)
+    }
+
+    if (ALLOWED_DIAGRAM_TYPES.indexOf(body.type) === -1) {
+        return validationError('Invalid diagram type "' + body.type + '". Allowed: ' + ALLOWED_DIAGRAM_TYPES.join(', '), reqInfo, body)
+    }
+
+    if (body.name !== undefined) {
+        const nameErr = checkNonEmptyString(body, 'name')
+        if (nameErr) {
+            return validationError(nameErr, reqInfo, body)
+        }
+    }
+
+    let parent
+    if (body.parentId) {
+        parent = findById(body.parentId)
+        if (!parent) {
+            return validationError('Parent not found: ' + body.parentId, reqInfo, body)
+        }
+    } else {
+        parent = app.project.getProject()
+        if (!parent) {
+            return validationError('No project found. Open a project first.', reqInfo, body)
+        }
+    }
+
+    try {
+        const diagram = app.factory.createDiagram({
+            id: body.type,
+            parent: parent,
+            diagramInitializer: function (d) {
+                if (body.name) {
+                    d.name = body.name
+                }
+            }
+        })
+
+        if (!diagram) {
+            return { success: false, error: 'Failed to create diagram. StarUML factory returned null.', request: Object.assign({}, reqInfo, { body: body }) }
+        }
+
+        return {
+            success: true,
+            message: 'Created diagram "' + diagram.name + '" (' + body.type + ')',
+            request: Object.assign({}, reqInfo, { body: body }),
+            data: serializeGenericDiagramDetail(diagram)
+        }
+    } catch (e) {
+        return {
+            success: false,
+            error: 'Failed to create diagram: ' + (e.message || String(e)),
+            request: Object.assign({}, reqInfo, { body: body })
+        }
+    }
+}
+
+function getGenericDiagram(id, reqInfo) {
+    const diagram = findById(id)
+    if (!diagram || !diagram.ownedViews) {
+        return { success: false, error: 'Diagram not found: ' + id, request: reqInfo }
+    }
+    return {
+        success: true,
+        message: 'Retrieved diagram "' + (diagram.name || id) + '"',
+        request: reqInfo,
+        data: serializeGenericDiagramDetail(diagram)
     }
+}
 
+function updateGenericDiagram(id, body, reqInfo) {
     if (Object.keys(body).length === 0) {
         return validationError('At least one field must be provided. Allowed fields: name', reqInfo, body)
     }
@@ -5359,22 +6047,8 @@ function getDiagramElements(diagramId, reqInfo) {
 }
 
 function createDiagramElement(diagramId, body, reqInfo) {
-    const err = validate([
-        checkUnknownFields(body, GENERIC_ELEMENT_CREATE_FIELDS),
-        checkFieldType(body, 'type', 'string'),
-        checkFieldType(body, 'name', 'string'),
-        checkFieldType(body, 'x1', 'number'),
-        checkFieldType(body, 'y1', 'number'),
-        checkFieldType(body, 'x2', 'number'),
-        checkFieldType(body, 'y2', 'number'),
-        checkFieldType(body, 'pseudostateKind', 'string')
-    ])
-    if (err) {
-        return validationError(err, reqInfo, body)
-    }
-
     if (!body.type) {
-        return validationError('Field "type" is required', reqInfo, body)
+        return validationError(requestSchema.missingField('type'), reqInfo, body)
     }
 
     if (ALLOWED_NODE_TYPES.indexOf(body.type) === -1) {
@@ -5512,25 +6186,14 @@ function createDiagramElement(diagramId, body, reqInfo) {
 }
 
 function createDiagramRelation(diagramId, body, reqInfo) {
-    const err = validate([
-        checkUnknownFields(body, GENERIC_RELATION_CREATE_FIELDS),
-        checkFieldType(body, 'type', 'string'),
-        checkFieldType(body, 'sourceId', 'string'),
-        checkFieldType(body, 'targetId', 'string'),
-        checkFieldType(body, 'name', 'string')
-    ])
-    if (err) {
-        return validationError(err, reqInfo, body)
-    }
-
     if (!body.type) {
-        return validationError('Field "type" is required', reqInfo, body)
+        return validationError(requestSchema.missingField('type'), reqInfo, body)
     }
     if (!body.sourceId) {
-        return validationError('Field "sourceId" is required', reqInfo, body)
+        return validationError(requestSchema.missingField('sourceId'), reqInfo, body)
     }
     if (!body.targetId) {
-        return validationError('Field "targetId" is required', reqInfo, body)
+        return validationError(requestSchema.missingField('targetId'), reqInfo, body)
     }
 
     if (ALLOWED_RELATION_TYPES.indexOf(body.type) === -1) {
@@ -5609,18 +6272,8 @@ function createDiagramRelation(diagramId, body, reqInfo) {
 }
 
 function createChildElement(parentId, body, reqInfo) {
-    const err = validate([
-        checkUnknownFields(body, GENERIC_CHILD_CREATE_FIELDS),
-        checkFieldType(body, 'type', 'string'),
-        checkFieldType(body, 'name', 'string'),
-        checkFieldType(body, 'field', 'string')
-    ])
-    if (err) {
-        return validationError(err, reqInfo, body)
-    }
-
     if (!body.type) {
-        return validationError('Field "type" is required', reqInfo, body)
+        return validationError(requestSchema.missingField('type'), reqInfo, body)
     }
 
     if (ALLOWED_CHILD_TYPES.indexOf(body.type) === -1) {
@@ -5665,27 +6318,6 @@ function createChildElement(parentId, body, reqInfo) {
 }
 
 function updateViewStyle(id, body, reqInfo) {
-    const err = validate([
-        checkUnknownFields(body, STYLE_ALLOWED_FIELDS),
-        checkFieldType(body, 'fillColor', 'string'),
-        checkFieldType(body, 'lineColor', 'string'),
-        checkFieldType(body, 'fontColor', 'string'),
-        checkFieldType(body, 'fontFace', 'string'),
-        checkFieldType(body, 'fontSize', 'number'),
-        checkFieldType(body, 'fontStyle', 'number'),
-        checkFieldType(body, 'lineStyle', 'number'),
-        checkFieldType(body, 'showShadow', 'boolean'),
-        checkFieldType(body, 'autoResize', 'boolean'),
-        checkFieldType(body, 'stereotypeDisplay', 'string'),
-        checkFieldType(body, 'suppressAttributes', 'boolean'),
-        checkFieldType(body, 'suppressOperations', 'boolean'),
-        checkFieldType(body, 'suppressReceptions', 'boolean'),
-        checkFieldType(body, 'suppressProperties', 'boolean')
-    ])
-    if (err) {
-        return validationError(err, reqInfo, body)
-    }
-
     if (Object.keys(body).length === 0) {
         return validationError('At least one field must be provided. Allowed fields: ' + STYLE_ALLOWED_FIELDS.join(', '), reqInfo, body)
     }
@@ -5808,7 +6440,7 @@ function searchElements(query, reqInfo) {
     }
 
     if (!query.keyword) {
-        return validationError('Query parameter "keyword" is required', reqInfo)
+        return validationError(requestSchema.missingField('keyword', 'Query parameter "keyword" is required'), reqInfo)
     }
 
     let results = app.repository.search(query.keyword)
@@ -5837,16 +6469,6 @@ function searchElements(query, reqInfo) {
 }
 
 function layoutDiagram(diagramId, body, reqInfo) {
-    const err = validate([
-        checkUnknownFields(body, LAYOUT_ALLOWED_FIELDS),
-        checkFieldType(body, 'direction', 'string'),
-        checkFieldType(body, 'separations', 'object'),
-        checkFieldType(body, 'edgeLineStyle', 'number')
-    ])
-    if (err) {
-        return validationError(err, reqInfo, body)
-    }
-
     const direction = body.direction || 'TB'
     if (VALID_LAYOUT_DIRECTIONS.indexOf(direction) === -1) {
         return validationError('Invalid direction "' + direction + '". Allowed: ' + VALID_LAYOUT_DIRECTIONS.join(', '), reqInfo, body)
@@ -5892,17 +6514,8 @@ function layoutDiagram(diagramId, body, reqInfo) {
 }
 
 function importProject(body, reqInfo) {
-    const err = validate([
-        checkUnknownFields(body, IMPORT_ALLOWED_FIELDS),
-        checkFieldType(body, 'path', 'string'),
-        checkFieldType(body, 'parentId', 'string')
-    ])
-    if (err) {
-        return validationError(err, reqInfo, body)
-    }
-
     if (!body.path) {
-        return validationError('Field "path" is required', reqInfo, body)
+        return validationError(requestSchema.missingField('path'), reqInfo, body)
     }
 
     const pathErr = checkNonEmptyString(body, 'path')
@@ -5953,17 +6566,8 @@ function importProject(body, reqInfo) {
 const EXPORT_ALL_ALLOWED_FIELDS = ['path', 'format']
 
 function exportAllDiagrams(body, reqInfo) {
-    const err = validate([
-        checkUnknownFields(body, EXPORT_ALL_ALLOWED_FIELDS),
-        checkFieldType(body, 'path', 'string'),
-        checkFieldType(body, 'format', 'string')
-    ])
-    if (err) {
-        return validationError(err, reqInfo, body)
-    }
-
     if (!body.path) {
-        return validationError('Field "path" is required', reqInfo, body)
+        return validationError(requestSchema.missingField('path'), reqInfo, body)
     }
 
     const pathErr = checkNonEmptyString(body, 'path')
@@ -6060,20 +6664,11 @@ function closeProject(reqInfo) {
 const FRAGMENT_EXPORT_ALLOWED_FIELDS = ['elementId', 'path']
 
 function exportFragment(body, reqInfo) {
-    const err = validate([
-        checkUnknownFields(body, FRAGMENT_EXPORT_ALLOWED_FIELDS),
-        checkFieldType(body, 'elementId', 'string'),
-        checkFieldType(body, 'path', 'string')
-    ])
-    if (err) {
-        return validationError(err, reqInfo, body)
-    }
-
     if (!body.elementId) {
-        return validationError('Field "elementId" is required', reqInfo, body)
+        return validationError(requestSchema.missingField('elementId'), reqInfo, body)
     }
     if (!body.path) {
-        return validationError('Field "path" is required', reqInfo, body)
+        return validationError(requestSchema.missingField('path'), reqInfo, body)
     }
 
     if (body.path.charAt(0) !== '/' && !/^[a-zA-Z]:[/\\]/.test(body.path)) {
@@ -6107,18 +6702,8 @@ function exportFragment(body, reqInfo) {
 const CREATE_VIEW_OF_ALLOWED_FIELDS = ['modelId', 'x', 'y']
 
 function createViewOf(diagramId, body, reqInfo) {
-    const err = validate([
-        checkUnknownFields(body, CREATE_VIEW_OF_ALLOWED_FIELDS),
-        checkFieldType(body, 'modelId', 'string'),
-        checkFieldType(body, 'x', 'number'),
-        checkFieldType(body, 'y', 'number')
-    ])
-    if (err) {
-        return validationError(err, reqInfo, body)
-    }
-
     if (!body.modelId) {
-        return validationError('Field "modelId" is required', reqInfo, body)
+        return validationError(requestSchema.missingField('modelId'), reqInfo, body)
     }
 
     const diagram = findById(diagramId)
@@ -6243,20 +6828,11 @@ function getElementViews(id, reqInfo) {
 
 // --- 3G. Edge Reconnect ---
 
-const RECONNECT_ALLOWED_FIELDS = ['newSourceId', 'newTargetId']
-
-function reconnectEdge(id, body, reqInfo) {
-    const err = validate([
-        checkUnknownFields(body, RECONNECT_ALLOWED_FIELDS),
-        checkFieldType(body, 'newSourceId', 'string'),
-        checkFieldType(body, 'newTargetId', 'string')
-    ])
-    if (err) {
-        return validationError(err, reqInfo, body)
-    }
+const RECONNECT_ALLOWED_FIELDS = ['newSourceId', 'newTargetId']
 
+function reconnectEdge(id, body, reqInfo) {
     if (!body.newSourceId && !body.newTargetId) {
-        return validationError('At least one of "newSourceId" or "newTargetId" is required', reqInfo, body)
+        return validationError(requestSchema.fieldError(null, 'required', 'At least one of "newSourceId" or "newTargetId" is required'), reqInfo, body)
     }
 
     const view = findById(id)
@@ -6334,17 +6910,8 @@ function reconnectEdge(id, body, reqInfo) {
 const RELOCATE_ALLOWED_FIELDS = ['newParentId', 'field']
 
 function relocateElement(id, body, reqInfo) {
-    const err = validate([
-        checkUnknownFields(body, RELOCATE_ALLOWED_FIELDS),
-        checkFieldType(body, 'newParentId', 'string'),
-        checkFieldType(body, 'field', 'string')
-    ])
-    if (err) {
-        return validationError(err, reqInfo, body)
-    }
-
     if (!body.newParentId) {
-        return validationError('Field "newParentId" is required', reqInfo, body)
+        return validationError(requestSchema.missingField('newParentId'), reqInfo, body)
     }
 
     const element = findById(id)
@@ -6418,6 +6985,9 @@ function validateModel(reqInfo) {
                 })
             })
         }
+        bpmnRules.check().forEach(function (r) {
+            data.push(r)
+        })
 
         return {
             success: true,
@@ -6439,16 +7009,8 @@ function validateModel(reqInfo) {
 const ZOOM_ALLOWED_FIELDS = ['level']
 
 function setDiagramZoom(id, body, reqInfo) {
-    const err = validate([
-        checkUnknownFields(body, ZOOM_ALLOWED_FIELDS),
-        checkFieldType(body, 'level', 'number')
-    ])
-    if (err) {
-        return validationError(err, reqInfo, body)
-    }
-
     if (body.level === undefined) {
-        return validationError('Field "level" is required', reqInfo, body)
+        return validationError(requestSchema.missingField('level'), reqInfo, body)
     }
 
     if (body.level < 0.1 || body.level > 10) {
@@ -6479,6 +7041,57 @@ function setDiagramZoom(id, body, reqInfo) {
     }
 }
 
+// --- 3L. Token Simulation ---
+
+const SIMULATE_ALLOWED_FIELDS = ['choices', 'startId', 'maxSteps', 'highlight', 'highlightColor']
+const SIMULATE_MAX_STEPS = 100000
+
+function simulateDiagram(id, body, reqInfo) {
+    if (body.maxSteps !== undefined && (!Number.isInteger(body.maxSteps) || body.maxSteps < 1 || body.maxSteps > SIMULATE_MAX_STEPS)) {
+        return validationError('Field "maxSteps" must be an integer between 1 and ' + SIMULATE_MAX_STEPS, reqInfo, body)
+    }
+
+    const diagram = findById(id)
+    if (!diagram || !diagram.ownedViews) {
+        return { success: false, error: 'Diagram not found: ' + id, request: Object.assign({}, reqInfo, { body: body }) }
+    }
+    if (tokenSimulation.DIAGRAM_TYPES.indexOf(diagram.constructor.name) === -1) {
+        return validationError('Diagram "' + (diagram.name || id) + '" is a ' + diagram.constructor.name +
+            '; token simulation supports ' + tokenSimulation.DIAGRAM_TYPES.join(', '), reqInfo, body)
+    }
+
+    const net = tokenSimulation.buildNet(diagram)
+    const choiceErr = tokenSimulation.checkChoices(net, body.choices)
+    if (choiceErr) {
+        return validationError(choiceErr, reqInfo, body)
+    }
+    if (body.startId && !tokenSimulation.startNodes(net).some(function (n) { return n._id === body.startId })) {
+        return validationError('Field "startId" must be a start event or initial node on the diagram', reqInfo, body)
+    }
+
+    try {
+        const result = tokenSimulation.run(net, {
+            choices: body.choices,
+            startId: body.startId,
+            maxSteps: body.maxSteps
+        })
+        result.highlighted = body.highlight ? tokenSimulation.highlight(net, result, body.highlightColor || '#e53935') : 0
+
+        return {
+            success: true,
+            message: 'Simulated diagram "' + (diagram.name || id) + '": ' + result.status + ' after ' + result.steps + ' step(s)',
+            request: Object.assign({}, reqInfo, { body: body }),
+            data: Object.assign({ diagramId: diagram._id }, result)
+        }
+    } catch (e) {
+        return {
+            success: false,
+            error: 'Failed to simulate diagram: ' + (e.message || String(e)),
+            request: Object.assign({}, reqInfo, { body: body })
+        }
+    }
+}
+
 // --- #6. Alignment / Distribution ---
 
 const VALID_ALIGNMENT_ACTIONS = [
@@ -6491,22 +7104,14 @@ const VALID_ALIGNMENT_ACTIONS = [
 const ALIGN_ALLOWED_FIELDS = ['viewIds', 'action']
 
 function alignViews(body, reqInfo) {
-    const err = validate([
-        checkUnknownFields(body, ALIGN_ALLOWED_FIELDS),
-        checkFieldType(body, 'action', 'string')
-    ])
-    if (err) {
-        return validationError(err, reqInfo, body)
-    }
-
     if (!body.action) {
-        return validationError('Field "action" is required. Allowed: ' + VALID_ALIGNMENT_ACTIONS.join(', '), reqInfo, body)
+        return validationError(requestSchema.missingField('action', 'Field "action" is required. Allowed: ' + VALID_ALIGNMENT_ACTIONS.join(', ')), reqInfo, body)
     }
     if (VALID_ALIGNMENT_ACTIONS.indexOf(body.action) === -1) {
         return validationError('Invalid action "' + body.action + '". Allowed: ' + VALID_ALIGNMENT_ACTIONS.join(', '), reqInfo, body)
     }
     if (!body.viewIds || !Array.isArray(body.viewIds) || body.viewIds.length < 2) {
-        return validationError('Field "viewIds" is required and must be an array of at least 2 view IDs', reqInfo, body)
+        return validationError(requestSchema.missingField('viewIds', 'Field "viewIds" is required and must be an array of at least 2 view IDs'), reqInfo, body)
     }
 
     // Resolve views
@@ -6548,17 +7153,8 @@ const MERMAID_ALLOWED_FIELDS = ['code', 'parentId']
 const VALID_MERMAID_TYPES = ['classDiagram', 'sequenceDiagram', 'flowchart', 'erDiagram', 'mindmap', 'requirementDiagram', 'stateDiagram']
 
 function importMermaid(body, reqInfo) {
-    const err = validate([
-        checkUnknownFields(body, MERMAID_ALLOWED_FIELDS),
-        checkFieldType(body, 'code', 'string'),
-        checkFieldType(body, 'parentId', 'string')
-    ])
-    if (err) {
-        return validationError(err, reqInfo, body)
-    }
-
     if (!body.code || body.code.trim() === '') {
-        return validationError('Field "code" is required (Mermaid syntax text)', reqInfo, body)
+        return validationError(requestSchema.missingField('code', 'Field "code" is required (Mermaid syntax text)'), reqInfo, body)
     }
 
     let base = null
@@ -6594,17 +7190,8 @@ const VALID_GENERATOR_TYPES = ['overview', 'overview-expanded', 'type-hierarchy'
 const GENERATOR_ALLOWED_FIELDS = ['type', 'parentId']
 
 function generateDiagram(body, reqInfo) {
-    const err = validate([
-        checkUnknownFields(body, GENERATOR_ALLOWED_FIELDS),
-        checkFieldType(body, 'type', 'string'),
-        checkFieldType(body, 'parentId', 'string')
-    ])
-    if (err) {
-        return validationError(err, reqInfo, body)
-    }
-
     if (!body.type) {
-        return validationError('Field "type" is required. Allowed: ' + VALID_GENERATOR_TYPES.join(', '), reqInfo, body)
+        return validationError(requestSchema.missingField('type', 'Field "type" is required. Allowed: ' + VALID_GENERATOR_TYPES.join(', ')), reqInfo, body)
     }
     if (VALID_GENERATOR_TYPES.indexOf(body.type) === -1) {
         return validationError('Invalid generator type "' + body.type + '". Allowed: ' + VALID_GENERATOR_TYPES.join(', '), reqInfo, body)
@@ -6643,16 +7230,8 @@ const REORDER_ALLOWED_FIELDS = ['direction']
 const VALID_REORDER_DIRECTIONS = ['up', 'down']
 
 function reorderElement(id, body, reqInfo) {
-    const err = validate([
-        checkUnknownFields(body, REORDER_ALLOWED_FIELDS),
-        checkFieldType(body, 'direction', 'string')
-    ])
-    if (err) {
-        return validationError(err, reqInfo, body)
-    }
-
     if (!body.direction) {
-        return validationError('Field "direction" is required. Allowed: ' + VALID_REORDER_DIRECTIONS.join(', '), reqInfo, body)
+        return validationError(requestSchema.missingField('direction', 'Field "direction" is required. Allowed: ' + VALID_REORDER_DIRECTIONS.join(', ')), reqInfo, body)
     }
     if (VALID_REORDER_DIRECTIONS.indexOf(body.direction) === -1) {
         return validationError('Invalid direction "' + body.direction + '". Allowed: ' + VALID_REORDER_DIRECTIONS.join(', '), reqInfo, body)
@@ -6710,20 +7289,6 @@ function reorderElement(id, body, reqInfo) {
 const LINK_OBJECT_ALLOWED_FIELDS = ['name', 'sourceId', 'targetId', 'x1', 'y1', 'x2', 'y2']
 
 function createLinkObject(diagramId, body, reqInfo) {
-    const err = validate([
-        checkUnknownFields(body, LINK_OBJECT_ALLOWED_FIELDS),
-        checkFieldType(body, 'name', 'string'),
-        checkFieldType(body, 'sourceId', 'string'),
-        checkFieldType(body, 'targetId', 'string'),
-        checkFieldType(body, 'x1', 'number'),
-        checkFieldType(body, 'y1', 'number'),
-        checkFieldType(body, 'x2', 'number'),
-        checkFieldType(body, 'y2', 'number')
-    ])
-    if (err) {
-        return validationError(err, reqInfo, body)
-    }
-
     if (!body.sourceId || !body.targetId) {
         return validationError('Fields "sourceId" and "targetId" are required (object model IDs)', reqInfo, body)
     }
@@ -6787,1014 +7352,792 @@ function createLinkObject(diagramId, body, reqInfo) {
             request: Object.assign({}, reqInfo, { body: body }),
             data: {
                 _id: view._id,
-                _type: view.constructor.name,
-                modelId: model ? model._id : undefined,
-                modelType: model ? model.constructor.name : undefined,
-                name: model ? model.name || '' : ''
-            }
-        }
-    } catch (e) {
-        return {
-            success: false,
-            error: 'Failed to create UMLLinkObject: ' + (e.message || String(e)),
-            request: Object.assign({}, reqInfo, { body: body })
-        }
-    }
-}
-
-// --- #10. HTML / Markdown Export ---
-
-const DOC_EXPORT_ALLOWED_FIELDS = ['path', 'format']
-const VALID_DOC_EXPORT_FORMATS = ['html', 'markdown']
-
-function exportDocument(body, reqInfo) {
-    const err = validate([
-        checkUnknownFields(body, DOC_EXPORT_ALLOWED_FIELDS),
-        checkFieldType(body, 'path', 'string'),
-        checkFieldType(body, 'format', 'string')
-    ])
-    if (err) {
-        return validationError(err, reqInfo, body)
-    }
-
-    if (!body.path) {
-        return validationError('Field "path" is required', reqInfo, body)
-    }
-    if (!body.format) {
-        return validationError('Field "format" is required. Allowed: ' + VALID_DOC_EXPORT_FORMATS.join(', '), reqInfo, body)
-    }
-    if (VALID_DOC_EXPORT_FORMATS.indexOf(body.format) === -1) {
-        return validationError('Invalid format "' + body.format + '". Allowed: ' + VALID_DOC_EXPORT_FORMATS.join(', '), reqInfo, body)
-    }
-
-    const path = require('path')
-    if (!path.isAbsolute(body.path)) {
-        return validationError('path must be absolute', reqInfo, body)
-    }
-
-    try {
-        if (body.format === 'html') {
-            app.commands.execute('html-export:export', body.path)
-        } else {
-            app.commands.execute('markdown:export', body.path)
-        }
-
-        return {
-            success: true,
-            message: 'Exported project as ' + body.format + ' to ' + body.path,
-            request: Object.assign({}, reqInfo, { body: body }),
-            data: { format: body.format, path: body.path }
-        }
-    } catch (e) {
-        return {
-            success: false,
-            error: 'Failed to export: ' + (e.message || String(e)),
-            request: Object.assign({}, reqInfo, { body: body })
-        }
-    }
-}
-
-// ============================================================
-// Router
-// ============================================================
-
-function parseUrl(url) {
-    const parts = url.split('?')
-    const path = parts[0]
-    const query = {}
-    if (parts[1]) {
-        try {
-            parts[1].split('&').forEach(function (param) {
-                const idx = param.indexOf('=')
-                const key = idx === -1 ? param : param.substring(0, idx)
-                const val = idx === -1 ? '' : param.substring(idx + 1)
-                query[decodeURIComponent(key)] = decodeURIComponent(val)
-            })
-        } catch (e) {
-            return { path: path, query: query, error: 'Invalid URL encoding' }
-        }
-    }
-    return { path: path, query: query }
-}
-
-function decodePathParam(value) {
-    try {
-        return decodeURIComponent(value)
-    } catch (e) {
-        return value
-    }
-}
-
-function route(method, url, body) {
-    // Ensure body is a valid object for mutation requests
-    if (body !== null && body !== undefined && typeof body !== 'object') {
-        return { success: false, error: 'Request body must be a JSON object', request: { method: method, path: url } }
-    }
-    if (!body) {
-        body = {}
-    }
-
-    const parsed = parseUrl(url)
-    if (parsed.error) {
-        return { success: false, error: parsed.error, request: { method: method, path: url } }
-    }
-    let path = parsed.path
-    const query = parsed.query
-
-    if (path.length > 1 && path[path.length - 1] === '/') {
-        path = path.substring(0, path.length - 1)
-    }
-
-    const reqInfo = { method: method, path: path }
-    if (Object.keys(query).length > 0) {
-        reqInfo.query = query
-    }
-
-    let match
-
-    // GET /api/erd/diagrams
-    if (method === 'GET' && path === '/api/erd/diagrams') {
-        return getDiagrams(reqInfo)
-    }
-
-    // POST /api/erd/diagrams
-    if (method === 'POST' && path === '/api/erd/diagrams') {
-        return createDiagram(body, reqInfo)
-    }
-
-    // /api/erd/diagrams/:id
-    match = path.match(/^\/api\/erd\/diagrams\/([^/]+)$/)
-    if (match) {
-        if (method === 'GET') {
-            return getDiagram(decodePathParam(match[1]), reqInfo)
-        }
-        if (method === 'PUT') {
-            return updateDiagram(decodePathParam(match[1]), body, reqInfo)
-        }
-        if (method === 'DELETE') {
-            return deleteDiagram(decodePathParam(match[1]), reqInfo)
-        }
-    }
-
-    // GET /api/erd/data-models
-    if (method === 'GET' && path === '/api/erd/data-models') {
-        return getDataModels(reqInfo)
-    }
-
-    // POST /api/erd/data-models
-    if (method === 'POST' && path === '/api/erd/data-models') {
-        return createDataModel(body, reqInfo)
-    }
-
-    // /api/erd/data-models/:id
-    match = path.match(/^\/api\/erd\/data-models\/([^/]+)$/)
-    if (match) {
-        if (method === 'GET') {
-            return getDataModel(decodePathParam(match[1]), reqInfo)
-        }
-        if (method === 'PUT') {
-            return updateDataModel(decodePathParam(match[1]), body, reqInfo)
-        }
-        if (method === 'DELETE') {
-            return deleteDataModel(decodePathParam(match[1]), reqInfo)
-        }
-    }
-
-    // GET /api/erd/entities
-    if (method === 'GET' && path === '/api/erd/entities') {
-        return getEntities(query, reqInfo)
-    }
-
-    // POST /api/erd/entities
-    if (method === 'POST' && path === '/api/erd/entities') {
-        return createEntity(body, reqInfo)
-    }
-
-    // /api/erd/entities/:id
-    match = path.match(/^\/api\/erd\/entities\/([^/]+)$/)
-    if (match) {
-        if (method === 'GET') {
-            return getEntity(decodePathParam(match[1]), reqInfo)
-        }
-        if (method === 'PUT') {
-            return updateEntity(decodePathParam(match[1]), body, reqInfo)
-        }
-        if (method === 'DELETE') {
-            return deleteEntity(decodePathParam(match[1]), reqInfo)
-        }
-    }
-
-    // /api/erd/entities/:id/columns
-    match = path.match(/^\/api\/erd\/entities\/([^/]+)\/columns$/)
-    if (match) {
-        if (method === 'GET') {
-            return getColumns(decodePathParam(match[1]), reqInfo)
-        }
-        if (method === 'POST') {
-            return createColumn(decodePathParam(match[1]), body, reqInfo)
-        }
-    }
-
-    // /api/erd/columns/:id
-    match = path.match(/^\/api\/erd\/columns\/([^/]+)$/)
-    if (match) {
-        if (method === 'GET') {
-            return getColumn(decodePathParam(match[1]), reqInfo)
-        }
-        if (method === 'PUT') {
-            return updateColumn(decodePathParam(match[1]), body, reqInfo)
-        }
-        if (method === 'DELETE') {
-            return deleteColumn(decodePathParam(match[1]), reqInfo)
-        }
-    }
-
-    // /api/elements/:id/tags
-    match = path.match(/^\/api\/elements\/([^/]+)\/tags$/)
-    if (match) {
-        if (method === 'GET') {
-            return getTags(decodePathParam(match[1]), reqInfo)
-        }
-        if (method === 'POST') {
-            return createTag(decodePathParam(match[1]), body, reqInfo)
-        }
-    }
-
-    // /api/tags/:id
-    match = path.match(/^\/api\/tags\/([^/]+)$/)
-    if (match) {
-        if (method === 'GET') {
-            return getTag(decodePathParam(match[1]), reqInfo)
-        }
-        if (method === 'PUT') {
-            return updateTag(decodePathParam(match[1]), body, reqInfo)
-        }
-        if (method === 'DELETE') {
-            return deleteTag(decodePathParam(match[1]), reqInfo)
-        }
-    }
-
-    // GET /api/erd/relationships
-    if (method === 'GET' && path === '/api/erd/relationships') {
-        return getRelationships(query, reqInfo)
-    }
-
-    // POST /api/erd/relationships
-    if (method === 'POST' && path === '/api/erd/relationships') {
-        return createRelationship(body, reqInfo)
-    }
-
-    // /api/erd/relationships/:id
-    match = path.match(/^\/api\/erd\/relationships\/([^/]+)$/)
-    if (match) {
-        if (method === 'GET') {
-            return getRelationship(decodePathParam(match[1]), reqInfo)
-        }
-        if (method === 'PUT') {
-            return updateRelationship(decodePathParam(match[1]), body, reqInfo)
-        }
-        if (method === 'DELETE') {
-            return deleteRelationship(decodePathParam(match[1]), reqInfo)
-        }
-    }
-
-    // /api/erd/entities/:id/sequences
-    match = path.match(/^\/api\/erd\/entities\/([^/]+)\/sequences$/)
-    if (match) {
-        if (method === 'GET') {
-            return getSequences(decodePathParam(match[1]), reqInfo)
-        }
-        if (method === 'POST') {
-            return createSequence(decodePathParam(match[1]), body, reqInfo)
-        }
-    }
-
-    // /api/erd/sequences/:id
-    match = path.match(/^\/api\/erd\/sequences\/([^/]+)$/)
-    if (match) {
-        if (method === 'GET') {
-            return getSequence(decodePathParam(match[1]), reqInfo)
-        }
-        if (method === 'PUT') {
-            return updateSequence(decodePathParam(match[1]), body, reqInfo)
-        }
-        if (method === 'DELETE') {
-            return deleteSequence(decodePathParam(match[1]), reqInfo)
-        }
-    }
-
-    // /api/erd/entities/:id/indexes
-    match = path.match(/^\/api\/erd\/entities\/([^/]+)\/indexes$/)
-    if (match) {
-        if (method === 'GET') {
-            return getIndexes(decodePathParam(match[1]), reqInfo)
-        }
-        if (method === 'POST') {
-            return createIndex(decodePathParam(match[1]), body, reqInfo)
-        }
-    }
-
-    // /api/erd/indexes/:id
-    match = path.match(/^\/api\/erd\/indexes\/([^/]+)$/)
-    if (match) {
-        if (method === 'GET') {
-            return getIndex(decodePathParam(match[1]), reqInfo)
-        }
-        if (method === 'PUT') {
-            return updateIndex(decodePathParam(match[1]), body, reqInfo)
+                _type: view.constructor.name,
+                modelId: model ? model._id : undefined,
+                modelType: model ? model.constructor.name : undefined,
+                name: model ? model.name || '' : ''
+            }
         }
-        if (method === 'DELETE') {
-            return deleteIndex(decodePathParam(match[1]), reqInfo)
+    } catch (e) {
+        return {
+            success: false,
+            error: 'Failed to create UMLLinkObject: ' + (e.message || String(e)),
+            request: Object.assign({}, reqInfo, { body: body })
         }
     }
+}
 
-    // POST /api/erd/postgresql/ddl
-    if (method === 'POST' && path === '/api/erd/postgresql/ddl') {
-        return generatePostgresqlDDL(body, reqInfo)
-    }
-
-    // ============ Sequence Diagram Routes ============
+// --- #10. HTML / Markdown Export ---
 
-    // GET /api/seq/interactions
-    if (method === 'GET' && path === '/api/seq/interactions') {
-        return getInteractions(reqInfo)
-    }
+const DOC_EXPORT_ALLOWED_FIELDS = ['path', 'format']
+const VALID_DOC_EXPORT_FORMATS = ['html', 'markdown']
 
-    // POST /api/seq/interactions
-    if (method === 'POST' && path === '/api/seq/interactions') {
-        return createInteraction(body, reqInfo)
+function exportDocument(body, reqInfo) {
+    if (!body.path) {
+        return validationError(requestSchema.missingField('path'), reqInfo, body)
     }
-
-    // /api/seq/interactions/:id
-    match = path.match(/^\/api\/seq\/interactions\/([^/]+)$/)
-    if (match) {
-        if (method === 'GET') {
-            return getInteraction(decodePathParam(match[1]), reqInfo)
-        }
-        if (method === 'PUT') {
-            return updateInteraction(decodePathParam(match[1]), body, reqInfo)
-        }
-        if (method === 'DELETE') {
-            return deleteInteraction(decodePathParam(match[1]), reqInfo)
-        }
+    if (!body.format) {
+        return validationError(requestSchema.missingField('format', 'Field "format" is required. Allowed: ' + VALID_DOC_EXPORT_FORMATS.join(', ')), reqInfo, body)
     }
-
-    // GET /api/seq/diagrams
-    if (method === 'GET' && path === '/api/seq/diagrams') {
-        return getSeqDiagrams(reqInfo)
+    if (VALID_DOC_EXPORT_FORMATS.indexOf(body.format) === -1) {
+        return validationError('Invalid format "' + body.format + '". Allowed: ' + VALID_DOC_EXPORT_FORMATS.join(', '), reqInfo, body)
     }
 
-    // POST /api/seq/diagrams
-    if (method === 'POST' && path === '/api/seq/diagrams') {
-        return createSeqDiagram(body, reqInfo)
+    const path = require('path')
+    if (!path.isAbsolute(body.path)) {
+        return validationError('path must be absolute', reqInfo, body)
     }
 
-    // /api/seq/diagrams/:id
-    match = path.match(/^\/api\/seq\/diagrams\/([^/]+)$/)
-    if (match) {
-        if (method === 'GET') {
-            return getSeqDiagram(decodePathParam(match[1]), reqInfo)
-        }
-        if (method === 'PUT') {
-            return updateSeqDiagram(decodePathParam(match[1]), body, reqInfo)
-        }
-        if (method === 'DELETE') {
-            return deleteSeqDiagram(decodePathParam(match[1]), reqInfo)
+    try {
+        if (body.format === 'html') {
+            app.commands.execute('html-export:export', body.path)
+        } else {
+            app.commands.execute('markdown:export', body.path)
         }
-    }
 
-    // /api/seq/interactions/:id/lifelines
-    match = path.match(/^\/api\/seq\/interactions\/([^/]+)\/lifelines$/)
-    if (match) {
-        if (method === 'GET') {
-            return getLifelines(decodePathParam(match[1]), reqInfo)
+        return {
+            success: true,
+            message: 'Exported project as ' + body.format + ' to ' + body.path,
+            request: Object.assign({}, reqInfo, { body: body }),
+            data: { format: body.format, path: body.path }
         }
-        if (method === 'POST') {
-            return createLifeline(decodePathParam(match[1]), body, reqInfo)
+    } catch (e) {
+        return {
+            success: false,
+            error: 'Failed to export: ' + (e.message || String(e)),
+            request: Object.assign({}, reqInfo, { body: body })
         }
     }
+}
 
-    // /api/seq/lifelines/:id
-    match = path.match(/^\/api\/seq\/lifelines\/([^/]+)$/)
-    if (match) {
-        if (method === 'GET') {
-            return getLifeline(decodePathParam(match[1]), reqInfo)
-        }
-        if (method === 'PUT') {
-            return updateLifeline(decodePathParam(match[1]), body, reqInfo)
-        }
-        if (method === 'DELETE') {
-            return deleteLifeline(decodePathParam(match[1]), reqInfo)
-        }
-    }
+// --- #11. Batch ---
 
-    // /api/seq/interactions/:id/messages
-    match = path.match(/^\/api\/seq\/interactions\/([^/]+)\/messages$/)
-    if (match) {
-        if (method === 'GET') {
-            return getMessages(decodePathParam(match[1]), reqInfo)
-        }
-        if (method === 'POST') {
-            return createMessage(decodePathParam(match[1]), body, reqInfo)
-        }
-    }
+const BATCH_ALLOWED_FIELDS = ['steps']
+const BATCH_STEP_FIELDS = ['method', 'path', 'body']
+const VALID_BATCH_METHODS = ['GET', 'POST', 'PUT', 'DELETE']
+const MAX_BATCH_STEPS = 1000
+// Whole-string reference to an earlier step's response, e.g. "$1.data._id"
+const BATCH_REF_EXACT = /^\$(\d+)((?:\.[A-Za-z0-9_]+)+)$/
+// Reference embedded in a path, e.g. "/api/erd/entities/$1.data._id/columns"
+const BATCH_REF_IN_PATH = /\$(\d+)((?:\.[A-Za-z0-9_]+)+)/g
 
-    // /api/seq/messages/:id
-    match = path.match(/^\/api\/seq\/messages\/([^/]+)$/)
-    if (match) {
-        if (method === 'GET') {
-            return getMessage(decodePathParam(match[1]), reqInfo)
-        }
-        if (method === 'PUT') {
-            return updateMessage(decodePathParam(match[1]), body, reqInfo)
-        }
-        if (method === 'DELETE') {
-            return deleteMessage(decodePathParam(match[1]), reqInfo)
-        }
+/**
+ * Resolve "$N.a.b" against the responses of earlier steps (1-based).
+ * Returns { value } or { error }.
+ */
+function resolveBatchRef(stepNumber, propPath, results) {
+    const n = parseInt(stepNumber, 10)
+    if (n < 1 || n > results.length) {
+        return { error: 'Reference "$' + stepNumber + propPath + '" points to step ' + n + ', but only ' + results.length + ' earlier step(s) exist' }
     }
-
-    // /api/seq/interactions/:id/combined-fragments
-    match = path.match(/^\/api\/seq\/interactions\/([^/]+)\/combined-fragments$/)
-    if (match) {
-        if (method === 'GET') {
-            return getCombinedFragments(decodePathParam(match[1]), reqInfo)
-        }
-        if (method === 'POST') {
-            return createCombinedFragment(decodePathParam(match[1]), body, reqInfo)
+    let value = results[n - 1]
+    const keys = propPath.substring(1).split('.')
+    for (let i = 0; i < keys.length; i++) {
+        if (value === null || value === undefined || typeof value !== 'object') {
+            value = undefined
+            break
         }
+        value = value[keys[i]]
     }
-
-    // /api/seq/combined-fragments/:id
-    match = path.match(/^\/api\/seq\/combined-fragments\/([^/]+)$/)
-    if (match) {
-        if (method === 'GET') {
-            return getCombinedFragment(decodePathParam(match[1]), reqInfo)
-        }
-        if (method === 'PUT') {
-            return updateCombinedFragment(decodePathParam(match[1]), body, reqInfo)
-        }
-        if (method === 'DELETE') {
-            return deleteCombinedFragment(decodePathParam(match[1]), reqInfo)
-        }
+    if (value === undefined) {
+        return { error: 'Reference "$' + stepNumber + propPath + '" did not resolve to a value' }
     }
+    return { value: value }
+}
 
-    // /api/seq/combined-fragments/:id/operands
-    match = path.match(/^\/api\/seq\/combined-fragments\/([^/]+)\/operands$/)
-    if (match) {
-        if (method === 'GET') {
-            return getOperands(decodePathParam(match[1]), reqInfo)
-        }
-        if (method === 'POST') {
-            return createOperand(decodePathParam(match[1]), body, reqInfo)
+/**
+ * Replace references in a step body (recursively). Only whole-string values
+ * are substituted, so the referenced value keeps its JSON type.
+ */
+function substituteBatchRefs(value, results) {
+    if (typeof value === 'string') {
+        const m = value.match(BATCH_REF_EXACT)
+        if (!m) {
+            return { value: value }
+        }
+        return resolveBatchRef(m[1], m[2], results)
+    }
+    if (Array.isArray(value)) {
+        const arr = []
+        for (let i = 0; i < value.length; i++) {
+            const r = substituteBatchRefs(value[i], results)
+            if (r.error) {
+                return r
+            }
+            arr.push(r.value)
         }
+        return { value: arr }
     }
-
-    // /api/seq/operands/:id
-    match = path.match(/^\/api\/seq\/operands\/([^/]+)$/)
-    if (match) {
-        if (method === 'GET') {
-            return getOperand(decodePathParam(match[1]), reqInfo)
-        }
-        if (method === 'PUT') {
-            return updateOperand(decodePathParam(match[1]), body, reqInfo)
-        }
-        if (method === 'DELETE') {
-            return deleteOperand(decodePathParam(match[1]), reqInfo)
+    if (value && typeof value === 'object') {
+        const obj = {}
+        const keys = Object.keys(value)
+        for (let i = 0; i < keys.length; i++) {
+            const r = substituteBatchRefs(value[keys[i]], results)
+            if (r.error) {
+                return r
+            }
+            obj[keys[i]] = r.value
         }
+        return { value: obj }
     }
+    return { value: value }
+}
 
-    // /api/seq/interactions/:id/state-invariants
-    match = path.match(/^\/api\/seq\/interactions\/([^/]+)\/state-invariants$/)
-    if (match) {
-        if (method === 'GET') {
-            return getStateInvariants(decodePathParam(match[1]), reqInfo)
+function substituteBatchPathRefs(path, results) {
+    let error = null
+    const resolved = path.replace(BATCH_REF_IN_PATH, function (all, stepNumber, propPath) {
+        const r = resolveBatchRef(stepNumber, propPath, results)
+        if (r.error) {
+            error = error || r.error
+            return all
         }
-        if (method === 'POST') {
-            return createStateInvariant(decodePathParam(match[1]), body, reqInfo)
-        }
-    }
+        return encodeURIComponent(String(r.value))
+    })
+    return error ? { error: error } : { value: resolved }
+}
 
-    // /api/seq/state-invariants/:id
-    match = path.match(/^\/api\/seq\/state-invariants\/([^/]+)$/)
-    if (match) {
-        if (method === 'GET') {
-            return getStateInvariant(decodePathParam(match[1]), reqInfo)
-        }
-        if (method === 'PUT') {
-            return updateStateInvariant(decodePathParam(match[1]), body, reqInfo)
-        }
-        if (method === 'DELETE') {
-            return deleteStateInvariant(decodePathParam(match[1]), reqInfo)
+/**
+ * Validate the paths of the steps. Returns an error string or null.
+ */
+function checkBatchSteps(steps) {
+    for (let i = 0; i < steps.length; i++) {
+        const step = steps[i]
+        const label = 'steps[' + i + ']: '
+        if (step.path.indexOf('/api/') !== 0) {
+            return label + 'Field "path" must start with /api/'
         }
-    }
-
-    // /api/seq/interactions/:id/interaction-uses
-    match = path.match(/^\/api\/seq\/interactions\/([^/]+)\/interaction-uses$/)
-    if (match) {
-        if (method === 'GET') {
-            return getInteractionUses(decodePathParam(match[1]), reqInfo)
+        const stepPath = step.path.split('?')[0]
+        if (/^\/api\/(batch|undo|redo)\/?$/.test(stepPath)) {
+            return label + step.path + ' cannot be used inside a batch'
         }
-        if (method === 'POST') {
-            return createInteractionUse(decodePathParam(match[1]), body, reqInfo)
+        // Project and file operations cannot be rolled back
+        if (auth.requiredScope(step.method.toUpperCase(), stepPath) === 'project') {
+            return label + step.path + ' is a project/file operation and cannot be used inside a batch'
         }
     }
+    return null
+}
 
-    // /api/seq/interaction-uses/:id
-    match = path.match(/^\/api\/seq\/interaction-uses\/([^/]+)$/)
-    if (match) {
-        if (method === 'GET') {
-            return getInteractionUse(decodePathParam(match[1]), reqInfo)
-        }
-        if (method === 'PUT') {
-            return updateInteractionUse(decodePathParam(match[1]), body, reqInfo)
-        }
-        if (method === 'DELETE') {
-            return deleteInteractionUse(decodePathParam(match[1]), reqInfo)
-        }
+/**
+ * Record the operations StarUML executes while the batch runs,
+ * so they can be undone on failure or merged into one undo entry.
+ */
+function beginOperationCapture() {
+    const capture = { operations: [] }
+    capture.handler = function (operation) {
+        capture.operations.push(operation)
     }
+    app.repository.on('operationExecuted', capture.handler)
+    return capture
+}
 
-    // POST /api/project/save
-    if (method === 'POST' && path === '/api/project/save') {
-        return saveProject(body, reqInfo)
-    }
+function endOperationCapture(capture) {
+    app.repository.removeListener('operationExecuted', capture.handler)
+}
 
-    // POST /api/project/open
-    if (method === 'POST' && path === '/api/project/open') {
-        return openProject(body, reqInfo)
+function rollbackOperations(capture) {
+    for (let i = 0; i < capture.operations.length; i++) {
+        app.repository.undo()
     }
+}
 
-    // POST /api/project/import
-    if (method === 'POST' && path === '/api/project/import') {
-        return importProject(body, reqInfo)
+/**
+ * Collapse the captured operations into one entry on StarUML's undo stack,
+ * so a single undo reverts the whole batch. Only done when the top of the
+ * stack holds exactly the captured operations; otherwise they stay separate.
+ */
+function mergeCapturedOperations(capture, name) {
+    const ops = capture.operations
+    const stack = app.repository._undoStack
+    if (ops.length < 2 || !Array.isArray(stack) || stack.length < ops.length) {
+        return false
     }
-
-    // POST /api/project/new
-    if (method === 'POST' && path === '/api/project/new') {
-        return newProject(reqInfo)
+    const start = stack.length - ops.length
+    for (let i = 0; i < ops.length; i++) {
+        if (stack[start + i] !== ops[i]) {
+            return false
+        }
     }
+    const merged = Object.assign({}, ops[0], {
+        name: name,
+        ops: [].concat.apply([], ops.map(function (op) { return op.ops || [] }))
+    })
+    stack.splice(start, ops.length, merged)
+    return true
+}
 
-    // POST /api/project/close
-    if (method === 'POST' && path === '/api/project/close') {
-        return closeProject(reqInfo)
+function summarizeStepResult(result) {
+    const summary = { success: result.success }
+    if (result.message !== undefined) {
+        summary.message = result.message
     }
-
-    // POST /api/project/export
-    if (method === 'POST' && path === '/api/project/export') {
-        return exportFragment(body, reqInfo)
+    if (result.error !== undefined) {
+        summary.error = result.error
     }
-
-    // POST /api/project/export-all
-    if (method === 'POST' && path === '/api/project/export-all') {
-        return exportAllDiagrams(body, reqInfo)
+    if (result.data !== undefined) {
+        summary.data = result.data
     }
+    return summary
+}
 
-    // POST /api/validate
-    if (method === 'POST' && path === '/api/validate') {
-        return validateModel(reqInfo)
+function executeBatch(body, reqInfo) {
+    const err = checkBatchSteps(body.steps)
+    if (err) {
+        return validationError(err, reqInfo, body)
     }
 
-    // POST /api/undo
-    if (method === 'POST' && path === '/api/undo') {
-        return undoAction(reqInfo)
-    }
+    const reqInfoWithBody = Object.assign({}, reqInfo, { body: { steps: body.steps.length + ' step(s)' } })
+    const results = []
+    const capture = beginOperationCapture()
+    let failure = null
 
-    // POST /api/redo
-    if (method === 'POST' && path === '/api/redo') {
-        return redoAction(reqInfo)
-    }
+    for (let i = 0; i < body.steps.length && !failure; i++) {
+        const step = body.steps[i]
+        const method = step.method.toUpperCase()
+        const stepLabel = 'Batch step ' + (i + 1) + ' (' + method + ' ' + step.path + ')'
 
-    // GET /api/search
-    if (method === 'GET' && path === '/api/search') {
-        return searchElements(query, reqInfo)
-    }
+        const pathRef = substituteBatchPathRefs(step.path, results)
+        const bodyRef = substituteBatchRefs(step.body || {}, results)
+        if (pathRef.error || bodyRef.error) {
+            failure = { step: i + 1, error: stepLabel + ': ' + (pathRef.error || bodyRef.error) }
+            break
+        }
 
-    // POST /api/views/align
-    if (method === 'POST' && path === '/api/views/align') {
-        return alignViews(body, reqInfo)
+        let result
+        try {
+            result = route(method, pathRef.value, bodyRef.value)
+        } catch (e) {
+            result = { success: false, error: e.message || String(e) }
+        }
+        if (result && typeof result.then === 'function') {
+            result = { success: false, error: 'Asynchronous endpoints cannot be used inside a batch' }
+        }
+        results.push(summarizeStepResult(result))
+        if (!result.success) {
+            failure = { step: i + 1, error: stepLabel + ' failed: ' + result.error }
+        }
     }
 
-    // POST /api/mermaid/import
-    if (method === 'POST' && path === '/api/mermaid/import') {
-        return importMermaid(body, reqInfo)
-    }
+    endOperationCapture(capture)
 
-    // POST /api/diagrams/generate
-    if (method === 'POST' && path === '/api/diagrams/generate') {
-        return generateDiagram(body, reqInfo)
+    if (failure) {
+        try {
+            rollbackOperations(capture)
+        } catch (e) {
+            return {
+                success: false,
+                error: failure.error + '. Rollback failed: ' + (e.message || String(e)),
+                request: reqInfoWithBody,
+                data: { failedStep: failure.step, rolledBack: false, results: results }
+            }
+        }
+        return {
+            success: false,
+            error: failure.error + '. All changes were rolled back',
+            request: reqInfoWithBody,
+            data: { failedStep: failure.step, rolledBack: true, results: results }
+        }
     }
 
-    // PUT /api/elements/:id/reorder
-    match = path.match(/^\/api\/elements\/([^/]+)\/reorder$/)
-    if (match && method === 'PUT') {
-        return reorderElement(decodePathParam(match[1]), body, reqInfo)
-    }
+    mergeCapturedOperations(capture, 'Batch (' + body.steps.length + ' steps)')
 
-    // POST /api/project/export-doc
-    if (method === 'POST' && path === '/api/project/export-doc') {
-        return exportDocument(body, reqInfo)
+    return {
+        success: true,
+        message: 'Executed ' + body.steps.length + ' step(s) as a single operation',
+        request: reqInfoWithBody,
+        data: { results: results }
     }
+}
 
-    // ============ Generic / Cross-diagram Routes ============
+// ============================================================
+// Route Table
+// ============================================================
 
-    // GET /api/diagrams
-    if (method === 'GET' && path === '/api/diagrams') {
-        return getAllDiagrams(query, reqInfo)
-    }
+// Types of request body fields. Together with the *_ALLOWED_FIELDS arrays these
+// make up the body schemas that request-schema.js validates and openapi.js publishes.
+// Fields not listed here are strings; null means any JSON value.
+const BODY_FIELD_TYPES = {
+    x: 'number', y: 'number', x1: 'number', y1: 'number', x2: 'number', y2: 'number',
+    left: 'number', top: 'number', width: 'number', height: 'number',
+    activationHeight: 'number', level: 'number', edgeLineStyle: 'number',
+    fontSize: 'number', fontStyle: 'number', lineStyle: 'number',
+    kind: 'integer',
+    primaryKey: 'boolean', foreignKey: 'boolean', nullable: 'boolean', unique: 'boolean', identifying: 'boolean',
+    createDiagram: 'boolean', down: 'boolean', materialize: 'boolean',
+    rows: 'integer', seed: 'integer',
+    showShadow: 'boolean', autoResize: 'boolean',
+    suppressAttributes: 'boolean', suppressOperations: 'boolean', suppressReceptions: 'boolean', suppressProperties: 'boolean',
+    maxSteps: 'integer', highlight: 'boolean',
+    end1: 'object', end2: 'object', separations: 'object', naming: 'object', choices: 'object', body: 'object',
+    viewIds: 'array', steps: 'array', entityIds: 'array', columns: 'array',
+    referenceToId: 'string|null', domain: 'string|null',
+    value: null
+}
 
-    // POST /api/diagrams (create any diagram type)
-    if (method === 'POST' && path === '/api/diagrams') {
-        return createGenericDiagram(body, reqInfo)
+/**
+ * Describe a request body: field names from an *_ALLOWED_FIELDS array,
+ * the required subset, and per-field constraints. A constraint is either
+ * an array of allowed values or an object merged into the field
+ * (caseInsensitive, minItems, maxItems, body for nested objects).
+ */
+function describeBody(fieldNames, required, constraints) {
+    return {
+        fields: fieldNames.map(function (name) {
+            const type = BODY_FIELD_TYPES[name] !== undefined ? BODY_FIELD_TYPES[name] : 'string'
+            const field = { name: name, type: type || undefined }
+            if (type === 'array') {
+                field.items = name === 'steps' || name === 'columns' ? 'object' : 'string'
+            }
+            const constraint = constraints && constraints[name]
+            if (Array.isArray(constraint)) {
+                field.enum = constraint
+            } else if (constraint) {
+                Object.assign(field, constraint)
+            }
+            return field
+        }),
+        required: required || []
     }
+}
 
-    // POST /api/diagrams/:id/export
-    match = path.match(/^\/api\/diagrams\/([^/]+)\/export$/)
-    if (match && method === 'POST') {
-        return exportDiagramImage(decodePathParam(match[1]), body, reqInfo)
-    }
+const COLUMN_TYPE_CONSTRAINT = { enum: ALLOWED_COLUMN_TYPES, caseInsensitive: true }
+const EXPORT_FORMAT_CONSTRAINT = { enum: VALID_EXPORT_FORMATS, caseInsensitive: true }
+const DDL_DIALECT_CONSTRAINT = { enum: ddlGenerator.DIALECT_NAMES, caseInsensitive: true }
+const MIGRATION_FORMAT_CONSTRAINT = { enum: ddlMigration.FORMATS, caseInsensitive: true }
+const SEED_FORMAT_CONSTRAINT = { enum: seedData.FORMATS, caseInsensitive: true }
+const DATA_DICTIONARY_FORMAT_CONSTRAINT = { enum: dataDictionary.FORMATS, caseInsensitive: true }
+const RELATIONSHIP_CREATE_END = { body: describeBody(RELATIONSHIP_END_CREATE_FIELDS, ['reference']) }
+const RELATIONSHIP_UPDATE_END = { body: describeBody(RELATIONSHIP_END_FIELDS) }
+const MATERIALIZE_NAMING = { body: describeBody(erdMaterialize.NAMING_FIELDS) }
+const TEMPLATE_COLUMNS = { minItems: 1, body: describeBody(columnLibrary.TEMPLATE_COLUMN_FIELDS, ['name'], { type: COLUMN_TYPE_CONSTRAINT }) }
+const BATCH_STEPS = { minItems: 1, maxItems: MAX_BATCH_STEPS, body: describeBody(BATCH_STEP_FIELDS, ['method', 'path'], { method: { enum: VALID_BATCH_METHODS, caseInsensitive: true } }) }
 
-    // POST /api/diagrams/:id/layout
-    match = path.match(/^\/api\/diagrams\/([^/]+)\/layout$/)
-    if (match && method === 'POST') {
-        return layoutDiagram(decodePathParam(match[1]), body, reqInfo)
-    }
+const DIAGRAM_QUERY = { name: 'diagramId', description: 'Only return elements shown on this diagram' }
+const DATA_MODEL_QUERY = { name: 'dataModelId', description: 'Only return elements in this data model' }
 
-    // /api/diagrams/:id/elements
-    match = path.match(/^\/api\/diagrams\/([^/]+)\/elements$/)
-    if (match) {
-        if (method === 'GET') {
-            return getDiagramElements(decodePathParam(match[1]), reqInfo)
-        }
-        if (method === 'POST') {
-            return createDiagramElement(decodePathParam(match[1]), body, reqInfo)
-        }
+// Adapters from the registry handler signature (params, query, body, reqInfo)
+// to the handler functions above
+function withRequest(fn) {
+    return function (params, query, body, reqInfo) {
+        return fn(reqInfo)
     }
+}
 
-    // /api/diagrams/:id/relations
-    match = path.match(/^\/api\/diagrams\/([^/]+)\/relations$/)
-    if (match && method === 'POST') {
-        return createDiagramRelation(decodePathParam(match[1]), body, reqInfo)
+function withQuery(fn) {
+    return function (params, query, body, reqInfo) {
+        return fn(query, reqInfo)
     }
+}
 
-    // /api/diagrams/:id/notes
-    match = path.match(/^\/api\/diagrams\/([^/]+)\/notes$/)
-    if (match) {
-        if (method === 'GET') {
-            return getDiagramNotes(decodePathParam(match[1]), reqInfo)
-        }
-        if (method === 'POST') {
-            return createNote(decodePathParam(match[1]), body, reqInfo)
-        }
+function withBody(fn) {
+    return function (params, query, body, reqInfo) {
+        return fn(body, reqInfo)
     }
+}
 
-    // /api/notes/:id
-    match = path.match(/^\/api\/notes\/([^/]+)$/)
-    if (match) {
-        if (method === 'GET') {
-            return getNote(decodePathParam(match[1]), reqInfo)
-        }
-        if (method === 'PUT') {
-            return updateNote(decodePathParam(match[1]), body, reqInfo)
-        }
-        if (method === 'DELETE') {
-            return deleteNote(decodePathParam(match[1]), reqInfo)
-        }
+function withId(fn) {
+    return function (params, query, body, reqInfo) {
+        return fn(params.id, reqInfo)
     }
+}
 
-    // /api/diagrams/:id/note-links
-    match = path.match(/^\/api\/diagrams\/([^/]+)\/note-links$/)
-    if (match) {
-        if (method === 'GET') {
-            return getDiagramNoteLinks(decodePathParam(match[1]), reqInfo)
-        }
-        if (method === 'POST') {
-            return createNoteLink(decodePathParam(match[1]), body, reqInfo)
-        }
+function withIdAndBody(fn) {
+    return function (params, query, body, reqInfo) {
+        return fn(params.id, body, reqInfo)
     }
+}
 
-    // /api/note-links/:id
-    match = path.match(/^\/api\/note-links\/([^/]+)$/)
-    if (match && method === 'DELETE') {
-        return deleteNoteLink(decodePathParam(match[1]), reqInfo)
-    }
+function getStatus(reqInfo) {
+    return {
+        success: true,
+        message: 'Server is running',
+        request: reqInfo,
+        data: {
+            status: 'running',
+            version: API_VERSION,
+            allowedColumnTypes: ALLOWED_COLUMN_TYPES,
+            allowedTagKinds: TAG_KIND_LABELS,
+            allowedMessageSorts: VALID_MESSAGE_SORTS,
+            allowedInteractionOperators: VALID_INTERACTION_OPERATORS,
+            allowedDiagramTypes: ALLOWED_DIAGRAM_TYPES,
+            allowedNodeTypes: ALLOWED_NODE_TYPES,
+            allowedRelationTypes: ALLOWED_RELATION_TYPES,
+            allowedChildTypes: ALLOWED_CHILD_TYPES,
+            allowedShapeTypes: ALLOWED_SHAPE_TYPES,
+            allowedAlignmentActions: VALID_ALIGNMENT_ACTIONS,
+            allowedMermaidTypes: VALID_MERMAID_TYPES,
+            allowedGeneratorTypes: VALID_GENERATOR_TYPES,
+            allowedMessageTypes: VALID_MESSAGE_TYPES,
+            endpoints: registry.list().map(formatEndpoint)
+        }
+    }
+}
+
+// GET /api/events and GET /api/openapi.json are answered by main.js before the
+// router runs; these handlers only run when a batch step targets them.
+function rejectEventStreamRequest(reqInfo) {
+    return { success: false, error: 'GET /api/events is a Server-Sent Events stream and must be opened directly', request: reqInfo }
+}
+
+function getOpenApiDocument(reqInfo) {
+    return { success: true, message: 'OpenAPI specification', request: reqInfo, data: getOpenApiSpec() }
+}
+
+// Hand-written routes, in the order listed by GET /api/status.
+// Family routes are added by crudFactory.registerRoutes().
+// mcp: false keeps a route out of the MCP tool list.
+const ROUTES = [
+    { method: 'GET', path: '/api/status', tag: 'General', summary: 'Health check and endpoint list', handler: withRequest(getStatus) },
+    { method: 'GET', path: '/api/events', tag: 'General', summary: 'Server-Sent Events stream of model, diagram, and project changes', query: [{ name: 'types', description: 'Comma-separated event types or categories (element, diagram, project)' }], mcp: false, handler: withRequest(rejectEventStreamRequest) },
+    { method: 'GET', path: '/api/openapi.json', tag: 'General', summary: 'OpenAPI 3 specification of this API', mcp: false, handler: withRequest(getOpenApiDocument) },
+    // ERD
+    { method: 'GET', path: '/api/erd/diagrams', tag: 'ERD', summary: 'List ER diagrams', list: true, handler: withRequest(getDiagrams) },
+    { method: 'POST', path: '/api/erd/diagrams', tag: 'ERD', summary: 'Create ER diagram', body: describeBody(DIAGRAM_ALLOWED_FIELDS, ['parentId']), handler: withBody(createDiagram) },
+    { method: 'GET', path: '/api/erd/diagrams/:id', tag: 'ERD', summary: 'Get ER diagram', handler: withId(getDiagram) },
+    { method: 'PUT', path: '/api/erd/diagrams/:id', tag: 'ERD', summary: 'Update ER diagram', body: describeBody(DIAGRAM_UPDATE_FIELDS), handler: withIdAndBody(updateDiagram) },
+    { method: 'DELETE', path: '/api/erd/diagrams/:id', tag: 'ERD', summary: 'Delete ER diagram', handler: withId(deleteDiagram) },
+    { method: 'GET', path: '/api/erd/data-models', tag: 'ERD', summary: 'List data models', list: true, handler: withRequest(getDataModels) },
+    { method: 'POST', path: '/api/erd/data-models', tag: 'ERD', summary: 'Create data model', body: describeBody(DATA_MODEL_ALLOWED_FIELDS), handler: withBody(createDataModel) },
+    { method: 'GET', path: '/api/erd/data-models/:id', tag: 'ERD', summary: 'Get data model', handler: withId(getDataModel) },
+    { method: 'PUT', path: '/api/erd/data-models/:id', tag: 'ERD', summary: 'Update data model', body: describeBody(DATA_MODEL_UPDATE_FIELDS), handler: withIdAndBody(updateDataModel) },
+    { method: 'DELETE', path: '/api/erd/data-models/:id', tag: 'ERD', summary: 'Delete data model (must be empty)', handler: withId(deleteDataModel) },
+    { method: 'GET', path: '/api/erd/entities', tag: 'ERD', summary: 'List entities', query: [DATA_MODEL_QUERY, DIAGRAM_QUERY], list: true, handler: withQuery(getEntities) },
+    { method: 'POST', path: '/api/erd/entities', tag: 'ERD', summary: 'Create entity', body: describeBody(ENTITY_ALLOWED_FIELDS, ['parentId']), handler: withBody(createEntity) },
+    { method: 'GET', path: '/api/erd/entities/:id', tag: 'ERD', summary: 'Get entity', handler: withId(getEntity) },
+    { method: 'PUT', path: '/api/erd/entities/:id', tag: 'ERD', summary: 'Update entity', body: describeBody(ENTITY_UPDATE_FIELDS), handler: withIdAndBody(updateEntity) },
+    { method: 'DELETE', path: '/api/erd/entities/:id', tag: 'ERD', summary: 'Delete entity', handler: withId(deleteEntity) },
+    { method: 'GET', path: '/api/erd/entities/:id/columns', tag: 'ERD', summary: 'List columns of entity', list: true, handler: withId(getColumns) },
+    { method: 'POST', path: '/api/erd/entities/:id/columns', tag: 'ERD', summary: 'Create column', body: describeBody(COLUMN_ALLOWED_FIELDS, [], { type: COLUMN_TYPE_CONSTRAINT }), handler: withIdAndBody(createColumn) },
+    { method: 'GET', path: '/api/erd/columns/:id', tag: 'ERD', summary: 'Get column', handler: withId(getColumn) },
+    { method: 'PUT', path: '/api/erd/columns/:id', tag: 'ERD', summary: 'Update column', body: describeBody(COLUMN_ALLOWED_FIELDS, [], { type: COLUMN_TYPE_CONSTRAINT }), handler: withIdAndBody(updateColumn) },
+    { method: 'DELETE', path: '/api/erd/columns/:id', tag: 'ERD', summary: 'Delete column', handler: withId(deleteColumn) },
+    { method: 'GET', path: '/api/elements/:id/tags', tag: 'Tags', summary: 'List tags of element', list: true, handler: withId(getTags) },
+    { method: 'POST', path: '/api/elements/:id/tags', tag: 'Tags', summary: 'Create tag', body: describeBody(TAG_ALLOWED_FIELDS, [], { kind: VALID_TAG_KINDS }), handler: withIdAndBody(createTag) },
+    { method: 'GET', path: '/api/tags/:id', tag: 'Tags', summary: 'Get tag', handler: withId(getTag) },
+    { method: 'PUT', path: '/api/tags/:id', tag: 'Tags', summary: 'Update tag', body: describeBody(TAG_ALLOWED_FIELDS, [], { kind: VALID_TAG_KINDS }), handler: withIdAndBody(updateTag) },
+    { method: 'DELETE', path: '/api/tags/:id', tag: 'Tags', summary: 'Delete tag', handler: withId(deleteTag) },
+    { method: 'GET', path: '/api/erd/entities/:id/sequences', tag: 'ERD', summary: 'List sequences of entity', list: true, handler: withId(getSequences) },
+    { method: 'POST', path: '/api/erd/entities/:id/sequences', tag: 'ERD', summary: 'Create sequence', body: describeBody(SEQUENCE_ALLOWED_FIELDS, ['name']), handler: withIdAndBody(createSequence) },
+    { method: 'GET', path: '/api/erd/sequences/:id', tag: 'ERD', summary: 'Get sequence', handler: withId(getSequence) },
+    { method: 'PUT', path: '/api/erd/sequences/:id', tag: 'ERD', summary: 'Update sequence', body: describeBody(SEQUENCE_ALLOWED_FIELDS), handler: withIdAndBody(updateSequence) },
+    { method: 'DELETE', path: '/api/erd/sequences/:id', tag: 'ERD', summary: 'Delete sequence', handler: withId(deleteSequence) },
+    { method: 'GET', path: '/api/erd/entities/:id/indexes', tag: 'ERD', summary: 'List indexes of entity', list: true, handler: withId(getIndexes) },
+    { method: 'POST', path: '/api/erd/entities/:id/indexes', tag: 'ERD', summary: 'Create index', body: describeBody(INDEX_ALLOWED_FIELDS, ['name', 'definition']), handler: withIdAndBody(createIndex) },
+    { method: 'GET', path: '/api/erd/indexes/:id', tag: 'ERD', summary: 'Get index', handler: withId(getIndex) },
+    { method: 'PUT', path: '/api/erd/indexes/:id', tag: 'ERD', summary: 'Update index', body: describeBody(INDEX_ALLOWED_FIELDS), handler: withIdAndBody(updateIndex) },
+    { method: 'DELETE', path: '/api/erd/indexes/:id', tag: 'ERD', summary: 'Delete index', handler: withId(deleteIndex) },
+    { method: 'GET', path: '/api/erd/domains', tag: 'ERD', summary: 'List column domains', list: true, handler: withRequest(getDomains) },
+    { method: 'POST', path: '/api/erd/domains', tag: 'ERD', summary: 'Create column domain', body: describeBody(DOMAIN_ALLOWED_FIELDS, ['name', 'type'], { type: COLUMN_TYPE_CONSTRAINT }), handler: withBody(createDomain) },
+    { method: 'GET', path: '/api/erd/domains/:id', tag: 'ERD', summary: 'Get column domain', handler: withId(getDomain) },
+    { method: 'PUT', path: '/api/erd/domains/:id', tag: 'ERD', summary: 'Update column domain and the columns using it', body: describeBody(DOMAIN_ALLOWED_FIELDS, [], { type: COLUMN_TYPE_CONSTRAINT }), handler: withIdAndBody(updateDomain) },
+    { method: 'DELETE', path: '/api/erd/domains/:id', tag: 'ERD', summary: 'Delete column domain', handler: withId(deleteDomain) },
+    { method: 'GET', path: '/api/erd/column-templates', tag: 'ERD', summary: 'List column templates', list: true, handler: withRequest(getColumnTemplates) },
+    { method: 'POST', path: '/api/erd/column-templates', tag: 'ERD', summary: 'Create column template', body: describeBody(COLUMN_TEMPLATE_ALLOWED_FIELDS, ['name', 'columns'], { columns: TEMPLATE_COLUMNS }), handler: withBody(createColumnTemplate) },
+    { method: 'GET', path: '/api/erd/column-templates/:id', tag: 'ERD', summary: 'Get column template', handler: withId(getColumnTemplate) },
+    { method: 'PUT', path: '/api/erd/column-templates/:id', tag: 'ERD', summary: 'Update column template', body: describeBody(COLUMN_TEMPLATE_ALLOWED_FIELDS, [], { columns: TEMPLATE_COLUMNS }), handler: withIdAndBody(updateColumnTemplate) },
+    { method: 'DELETE', path: '/api/erd/column-templates/:id', tag: 'ERD', summary: 'Delete column template', handler: withId(deleteColumnTemplate) },
+    { method: 'GET', path: '/api/erd/relationships', tag: 'ERD', summary: 'List relationships', query: [DATA_MODEL_QUERY], list: true, handler: withQuery(getRelationships) },
+    { method: 'POST', path: '/api/erd/relationships', tag: 'ERD', summary: 'Create relationship', body: describeBody(RELATIONSHIP_ALLOWED_FIELDS, ['parentId', 'end1', 'end2', 'diagramId'], { end1: RELATIONSHIP_CREATE_END, end2: RELATIONSHIP_CREATE_END, naming: MATERIALIZE_NAMING }), handler: withBody(createRelationship) },
+    { method: 'GET', path: '/api/erd/relationships/:id', tag: 'ERD', summary: 'Get relationship', handler: withId(getRelationship) },
+    { method: 'PUT', path: '/api/erd/relationships/:id', tag: 'ERD', summary: 'Update relationship', body: describeBody(RELATIONSHIP_UPDATE_FIELDS, [], { end1: RELATIONSHIP_UPDATE_END, end2: RELATIONSHIP_UPDATE_END }), handler: withIdAndBody(updateRelationship) },
+    { method: 'DELETE', path: '/api/erd/relationships/:id', tag: 'ERD', summary: 'Delete relationship', handler: withId(deleteRelationship) },
+    { method: 'POST', path: '/api/erd/relationships/:id/materialize', tag: 'ERD', summary: 'Create the FK columns or junction entity of a relationship', body: describeBody(MATERIALIZE_ALLOWED_FIELDS, [], { naming: MATERIALIZE_NAMING }), handler: withIdAndBody(materializeRelationship) },
+    // Generic elements
+    { method: 'GET', path: '/api/elements/:id', tag: 'Elements', summary: 'Get any element', handler: withId(getElement) },
+    { method: 'PUT', path: '/api/elements/:id', tag: 'Elements', summary: 'Update any element', body: describeBody(GENERIC_ELEMENT_UPDATE_FIELDS), handler: withIdAndBody(updateGenericElement) },
+    { method: 'DELETE', path: '/api/elements/:id', tag: 'Elements', summary: 'Delete any element', handler: withId(deleteGenericElement) },
+    { method: 'GET', path: '/api/elements/:id/relationships', tag: 'Elements', summary: 'List relationships of element', list: true, handler: withId(getElementRelationships) },
+    { method: 'GET', path: '/api/elements/:id/views', tag: 'Elements', summary: 'List views of element', list: true, handler: withId(getElementViews) },
+    { method: 'PUT', path: '/api/elements/:id/relocate', tag: 'Elements', summary: 'Move element to a different parent', body: describeBody(RELOCATE_ALLOWED_FIELDS, ['newParentId']), handler: withIdAndBody(relocateElement) },
+    // Generic diagrams
+    { method: 'GET', path: '/api/diagrams', tag: 'Diagrams', summary: 'List diagrams', query: [{ name: 'type', enum: ALLOWED_DIAGRAM_TYPES }], list: true, handler: withQuery(getAllDiagrams) },
+    { method: 'POST', path: '/api/diagrams', tag: 'Diagrams', summary: 'Create diagram', body: describeBody(GENERIC_DIAGRAM_CREATE_FIELDS, ['type'], { type: ALLOWED_DIAGRAM_TYPES }), handler: withBody(createGenericDiagram) },
+    { method: 'GET', path: '/api/diagrams/:id', tag: 'Diagrams', summary: 'Get diagram', handler: withId(getGenericDiagram) },
+    { method: 'PUT', path: '/api/diagrams/:id', tag: 'Diagrams', summary: 'Update diagram', body: describeBody(['name']), handler: withIdAndBody(updateGenericDiagram) },
+    { method: 'DELETE', path: '/api/diagrams/:id', tag: 'Diagrams', summary: 'Delete diagram', handler: withId(deleteGenericDiagram) },
+    { method: 'GET', path: '/api/diagrams/:id/elements', tag: 'Diagrams', summary: 'List elements on diagram', list: true, handler: withId(getDiagramElements) },
+    { method: 'POST', path: '/api/diagrams/:id/elements', tag: 'Diagrams', summary: 'Create node element', body: describeBody(GENERIC_ELEMENT_CREATE_FIELDS, ['type'], { type: ALLOWED_NODE_TYPES, pseudostateKind: VALID_PSEUDOSTATE_KINDS }), handler: withIdAndBody(createDiagramElement) },
+    { method: 'POST', path: '/api/diagrams/:id/relations', tag: 'Diagrams', summary: 'Create relation', body: describeBody(GENERIC_RELATION_CREATE_FIELDS, ['type', 'sourceId', 'targetId'], { type: ALLOWED_RELATION_TYPES }), handler: withIdAndBody(createDiagramRelation) },
+    { method: 'POST', path: '/api/diagrams/:id/export', tag: 'Diagrams', summary: 'Export diagram image', body: describeBody(EXPORT_ALLOWED_FIELDS, ['path'], { format: EXPORT_FORMAT_CONSTRAINT }), handler: withIdAndBody(exportDiagramImage) },
+    { method: 'POST', path: '/api/diagrams/:id/layout', tag: 'Diagrams', summary: 'Auto-layout diagram', body: describeBody(LAYOUT_ALLOWED_FIELDS, [], { direction: VALID_LAYOUT_DIRECTIONS }), handler: withIdAndBody(layoutDiagram) },
+    { method: 'POST', path: '/api/diagrams/:id/simulate', tag: 'Diagrams', summary: 'Simulate token flow through a BPMN or activity diagram', body: describeBody(SIMULATE_ALLOWED_FIELDS), handler: withIdAndBody(simulateDiagram) },
+    { method: 'POST', path: '/api/diagrams/:id/create-view-of', tag: 'Diagrams', summary: 'Add a view of an existing model element', body: describeBody(CREATE_VIEW_OF_ALLOWED_FIELDS, ['modelId']), handler: withIdAndBody(createViewOf) },
+    { method: 'POST', path: '/api/diagrams/:id/link-object', tag: 'Diagrams', summary: 'Create UMLLinkObject between objects', body: describeBody(LINK_OBJECT_ALLOWED_FIELDS, ['sourceId', 'targetId']), handler: withIdAndBody(createLinkObject) },
+    { method: 'POST', path: '/api/diagrams/:id/open', tag: 'Diagrams', summary: 'Open diagram in the editor', handler: withId(openDiagram) },
+    { method: 'PUT', path: '/api/diagrams/:id/zoom', tag: 'Diagrams', summary: 'Set diagram zoom level', body: describeBody(ZOOM_ALLOWED_FIELDS, ['level']), handler: withIdAndBody(setDiagramZoom) },
+    { method: 'GET', path: '/api/diagrams/:id/notes', tag: 'Annotations', summary: 'List notes on diagram', list: true, handler: withId(getDiagramNotes) },
+    { method: 'POST', path: '/api/diagrams/:id/notes', tag: 'Annotations', summary: 'Create note', body: describeBody(NOTE_ALLOWED_FIELDS), handler: withIdAndBody(createNote) },
+    { method: 'GET', path: '/api/notes/:id', tag: 'Annotations', summary: 'Get note', handler: withId(getNote) },
+    { method: 'PUT', path: '/api/notes/:id', tag: 'Annotations', summary: 'Update note', body: describeBody(NOTE_UPDATE_FIELDS), handler: withIdAndBody(updateNote) },
+    { method: 'DELETE', path: '/api/notes/:id', tag: 'Annotations', summary: 'Delete note', handler: withId(deleteNote) },
+    { method: 'GET', path: '/api/diagrams/:id/note-links', tag: 'Annotations', summary: 'List note links on diagram', list: true, handler: withId(getDiagramNoteLinks) },
+    { method: 'POST', path: '/api/diagrams/:id/note-links', tag: 'Annotations', summary: 'Create note link', body: describeBody(NOTE_LINK_ALLOWED_FIELDS, ['noteId', 'targetId']), handler: withIdAndBody(createNoteLink) },
+    { method: 'DELETE', path: '/api/note-links/:id', tag: 'Annotations', summary: 'Delete note link', handler: withId(deleteNoteLink) },
+    { method: 'GET', path: '/api/diagrams/:id/free-lines', tag: 'Annotations', summary: 'List free lines on diagram', list: true, handler: withId(getDiagramFreeLines) },
+    { method: 'POST', path: '/api/diagrams/:id/free-lines', tag: 'Annotations', summary: 'Create free line', body: describeBody(FREE_LINE_ALLOWED_FIELDS), handler: withIdAndBody(createFreeLine) },
+    { method: 'DELETE', path: '/api/free-lines/:id', tag: 'Annotations', summary: 'Delete free line', handler: withId(deleteFreeLine) },
+    { method: 'GET', path: '/api/diagrams/:id/shapes', tag: 'Shapes', summary: 'List shapes on diagram', list: true, handler: withId(getDiagramShapes) },
+    { method: 'POST', path: '/api/diagrams/:id/shapes', tag: 'Shapes', summary: 'Create shape', body: describeBody(SHAPE_CREATE_FIELDS, ['type'], { type: ALLOWED_SHAPE_TYPES }), handler: withIdAndBody(createShape) },
+    { method: 'GET', path: '/api/shapes/:id', tag: 'Shapes', summary: 'Get shape', handler: withId(getShape) },
+    { method: 'PUT', path: '/api/shapes/:id', tag: 'Shapes', summary: 'Update shape', body: describeBody(SHAPE_UPDATE_FIELDS), handler: withIdAndBody(updateShape) },
+    { method: 'DELETE', path: '/api/shapes/:id', tag: 'Shapes', summary: 'Delete shape', handler: withId(deleteShape) },
+    { method: 'GET', path: '/api/diagrams/:id/views', tag: 'Views', summary: 'List views on diagram', list: true, handler: withId(getDiagramViews) },
+    { method: 'PUT', path: '/api/views/:id', tag: 'Views', summary: 'Move or resize view', body: describeBody(VIEW_UPDATE_FIELDS), handler: withIdAndBody(updateView) },
+    { method: 'PUT', path: '/api/views/:id/style', tag: 'Views', summary: 'Update view style', body: describeBody(STYLE_ALLOWED_FIELDS), handler: withIdAndBody(updateViewStyle) },
+    { method: 'PUT', path: '/api/views/:id/reconnect', tag: 'Views', summary: 'Reconnect edge to a different source or target', body: describeBody(RECONNECT_ALLOWED_FIELDS), handler: withIdAndBody(reconnectEdge) },
+    { method: 'POST', path: '/api/elements/:id/children', tag: 'Elements', summary: 'Create child element (attribute, operation, etc.)', body: describeBody(GENERIC_CHILD_CREATE_FIELDS, ['type'], { type: ALLOWED_CHILD_TYPES }), handler: withIdAndBody(createChildElement) },
+    { method: 'POST', path: '/api/erd/ddl', tag: 'ERD', summary: 'Generate DDL for a SQL dialect', body: describeBody(DDL_DIALECT_ALLOWED_FIELDS, [], { dialect: DDL_DIALECT_CONSTRAINT, entityIds: { minItems: 1 } }), handler: withBody(generateDDL) },
+    { method: 'POST', path: '/api/erd/postgresql/ddl', tag: 'ERD', summary: 'Generate PostgreSQL DDL', body: describeBody(DDL_GENERATE_ALLOWED_FIELDS, [], { entityIds: { minItems: 1 } }), handler: withBody(generatePostgresqlDDL) },
+    { method: 'POST', path: '/api/erd/import-ddl', tag: 'ERD', summary: 'Import SQL DDL into ERD data models', body: describeBody(IMPORT_DDL_ALLOWED_FIELDS), handler: withBody(importDDL) },
+    { method: 'POST', path: '/api/erd/dbml', tag: 'ERD', summary: 'Export ERD data models as DBML', body: describeBody(EXPORT_SCHEMA_ALLOWED_FIELDS), handler: withBody(exportDBML) },
+    { method: 'POST', path: '/api/erd/import-dbml', tag: 'ERD', summary: 'Import DBML into ERD data models', body: describeBody(IMPORT_DBML_ALLOWED_FIELDS), handler: withBody(importDBML) },
+    { method: 'POST', path: '/api/erd/prisma', tag: 'ERD', summary: 'Export ERD data models as a Prisma schema', body: describeBody(EXPORT_SCHEMA_ALLOWED_FIELDS), handler: withBody(exportPrisma) },
+    { method: 'POST', path: '/api/erd/import-prisma', tag: 'ERD', summary: 'Import a Prisma schema into ERD data models', body: describeBody(IMPORT_PRISMA_ALLOWED_FIELDS), handler: withBody(importPrisma) },
+    { method: 'POST', path: '/api/erd/migration', tag: 'ERD', summary: 'Generate migration script against a baseline', body: describeBody(MIGRATION_ALLOWED_FIELDS, [], { dialect: DDL_DIALECT_CONSTRAINT, format: MIGRATION_FORMAT_CONSTRAINT }), handler: withBody(generateMigration) },
+    { method: 'GET', path: '/api/erd/snapshots', tag: 'ERD', summary: 'List migration baseline snapshots', list: true, handler: withRequest(getMigrationSnapshots) },
+    { method: 'POST', path: '/api/erd/snapshots', tag: 'ERD', summary: 'Snapshot data models as a migration baseline', body: describeBody(SNAPSHOT_ALLOWED_FIELDS), handler: withBody(createMigrationSnapshot) },
+    { method: 'POST', path: '/api/erd/seed-data', tag: 'ERD', summary: 'Generate seed data for a data model', body: describeBody(SEED_DATA_ALLOWED_FIELDS, ['dataModelId'], { format: SEED_FORMAT_CONSTRAINT, dialect: DDL_DIALECT_CONSTRAINT }), handler: withBody(generateSeedData) },
+    { method: 'POST', path: '/api/erd/data-dictionary', tag: 'ERD', summary: 'Export a data dictionary (CSV, Markdown or HTML)', body: describeBody(DATA_DICTIONARY_ALLOWED_FIELDS, [], { format: DATA_DICTIONARY_FORMAT_CONSTRAINT, dialect: DDL_DIALECT_CONSTRAINT }), handler: withBody(exportDataDictionary) },
+    { method: 'POST', path: '/api/erd/from-classes', tag: 'ERD', summary: 'Convert a UML class model to ERD entities', body: describeBody(CLASSES_TO_ERD_ALLOWED_FIELDS, ['packageId'], { inheritance: classErdSync.INHERITANCE_STRATEGIES, nameStyle: classErdSync.TO_ERD_NAME_STYLES }), handler: withBody(classesToErd) },
+    { method: 'POST', path: '/api/erd/to-classes', tag: 'ERD', summary: 'Convert an ERD data model to UML classes', body: describeBody(ERD_TO_CLASSES_ALLOWED_FIELDS, ['dataModelId'], { nameStyle: classErdSync.TO_CLASS_NAME_STYLES }), handler: withBody(erdToClasses) },
+    // BPMN interchange
+    { method: 'POST', path: '/api/bpmn/import', tag: 'BPMN Diagram', summary: 'Import BPMN 2.0 XML as a new diagram', body: describeBody(BPMN_IMPORT_ALLOWED_FIELDS), handler: withBody(importBpmn) },
+    { method: 'POST', path: '/api/bpmn/diagrams/:id/export', tag: 'BPMN Diagram', summary: 'Export a BPMN diagram as BPMN 2.0 XML', body: describeBody(BPMN_EXPORT_ALLOWED_FIELDS), handler: withIdAndBody(exportBpmn) },
+    // Structurizr DSL interchange
+    { method: 'POST', path: '/api/c4/import', tag: 'C4 Diagram', summary: 'Import a Structurizr DSL workspace as a C4 model with diagrams', body: describeBody(C4_IMPORT_ALLOWED_FIELDS), handler: withBody(importStructurizr) },
+    { method: 'POST', path: '/api/c4/export', tag: 'C4 Diagram', summary: 'Export C4 elements and diagrams as a Structurizr DSL workspace', body: describeBody(C4_EXPORT_ALLOWED_FIELDS), handler: withBody(exportStructurizr) },
+    // C4 drill-down
+    { method: 'POST', path: '/api/c4/elements/:id/drill-down', tag: 'C4 Diagram', summary: 'Generate the container or component diagram of a software system or container', body: describeBody(C4_DRILL_DOWN_ALLOWED_FIELDS), handler: withIdAndBody(drillDownC4Element) },
+    // Project and utilities
+    { method: 'POST', path: '/api/project/save', tag: 'Project', summary: 'Save project', body: describeBody(PROJECT_SAVE_ALLOWED_FIELDS, ['path']), handler: withBody(saveProject) },
+    { method: 'POST', path: '/api/project/open', tag: 'Project', summary: 'Open project', body: describeBody(PROJECT_OPEN_ALLOWED_FIELDS, ['path']), handler: withBody(openProject) },
+    { method: 'POST', path: '/api/project/import', tag: 'Project', summary: 'Import model fragment', body: describeBody(IMPORT_ALLOWED_FIELDS, ['path']), handler: withBody(importProject) },
+    { method: 'POST', path: '/api/project/new', tag: 'Project', summary: 'Create new project', handler: withRequest(newProject) },
+    { method: 'POST', path: '/api/project/close', tag: 'Project', summary: 'Close project', handler: withRequest(closeProject) },
+    { method: 'POST', path: '/api/project/export', tag: 'Project', summary: 'Export model fragment', body: describeBody(FRAGMENT_EXPORT_ALLOWED_FIELDS, ['elementId', 'path']), handler: withBody(exportFragment) },
+    { method: 'POST', path: '/api/project/export-all', tag: 'Project', summary: 'Export all diagrams as images', body: describeBody(EXPORT_ALL_ALLOWED_FIELDS, ['path'], { format: EXPORT_FORMAT_CONSTRAINT }), handler: withBody(exportAllDiagrams) },
+    { method: 'POST', path: '/api/validate', tag: 'Utilities', summary: 'Validate model', list: true, handler: withRequest(validateModel) },
+    { method: 'POST', path: '/api/undo', tag: 'Utilities', summary: 'Undo last operation', handler: withRequest(undoAction) },
+    { method: 'POST', path: '/api/redo', tag: 'Utilities', summary: 'Redo last undone operation', handler: withRequest(redoAction) },
+    { method: 'GET', path: '/api/search', tag: 'Utilities', summary: 'Search elements by keyword', query: [{ name: 'keyword', required: true }, { name: 'type', description: 'Element type, e.g. UMLClass' }], list: true, handler: withQuery(searchElements) },
+    { method: 'POST', path: '/api/views/align', tag: 'Views', summary: 'Align or distribute views', body: describeBody(ALIGN_ALLOWED_FIELDS, ['viewIds', 'action'], { action: VALID_ALIGNMENT_ACTIONS, viewIds: { minItems: 2 } }), handler: withBody(alignViews) },
+    { method: 'POST', path: '/api/mermaid/import', tag: 'Utilities', summary: 'Generate diagram from Mermaid syntax', body: describeBody(MERMAID_ALLOWED_FIELDS, ['code']), handler: withBody(importMermaid) },
+    { method: 'POST', path: '/api/diagrams/generate', tag: 'Diagrams', summary: 'Generate diagram from model', body: describeBody(GENERATOR_ALLOWED_FIELDS, ['type'], { type: VALID_GENERATOR_TYPES }), handler: withBody(generateDiagram) },
+    { method: 'PUT', path: '/api/elements/:id/reorder', tag: 'Elements', summary: 'Reorder element within parent', body: describeBody(REORDER_ALLOWED_FIELDS, ['direction'], { direction: VALID_REORDER_DIRECTIONS }), handler: withIdAndBody(reorderElement) },
+    { method: 'POST', path: '/api/project/export-doc', tag: 'Project', summary: 'Export project as HTML or Markdown', body: describeBody(DOC_EXPORT_ALLOWED_FIELDS, ['path', 'format'], { format: VALID_DOC_EXPORT_FORMATS }), handler: withBody(exportDocument) },
+    { method: 'POST', path: '/api/batch', tag: 'Utilities', summary: 'Execute multiple API calls atomically', body: describeBody(BATCH_ALLOWED_FIELDS, ['steps'], { steps: BATCH_STEPS }), handler: withBody(executeBatch) },
+    // Sequence diagrams
+    { method: 'GET', path: '/api/seq/interactions', tag: 'Sequence', summary: 'List interactions', list: true, handler: withRequest(getInteractions) },
+    { method: 'POST', path: '/api/seq/interactions', tag: 'Sequence', summary: 'Create interaction', body: describeBody(INTERACTION_ALLOWED_FIELDS), handler: withBody(createInteraction) },
+    { method: 'GET', path: '/api/seq/interactions/:id', tag: 'Sequence', summary: 'Get interaction', handler: withId(getInteraction) },
+    { method: 'PUT', path: '/api/seq/interactions/:id', tag: 'Sequence', summary: 'Update interaction', body: describeBody(INTERACTION_UPDATE_FIELDS), handler: withIdAndBody(updateInteraction) },
+    { method: 'DELETE', path: '/api/seq/interactions/:id', tag: 'Sequence', summary: 'Delete interaction', handler: withId(deleteInteraction) },
+    { method: 'GET', path: '/api/seq/diagrams', tag: 'Sequence', summary: 'List sequence diagrams', list: true, handler: withRequest(getSeqDiagrams) },
+    { method: 'POST', path: '/api/seq/diagrams', tag: 'Sequence', summary: 'Create sequence diagram', body: describeBody(SEQ_DIAGRAM_ALLOWED_FIELDS, ['parentId']), handler: withBody(createSeqDiagram) },
+    { method: 'GET', path: '/api/seq/diagrams/:id', tag: 'Sequence', summary: 'Get sequence diagram', handler: withId(getSeqDiagram) },
+    { method: 'PUT', path: '/api/seq/diagrams/:id', tag: 'Sequence', summary: 'Update sequence diagram', body: describeBody(SEQ_DIAGRAM_UPDATE_FIELDS), handler: withIdAndBody(updateSeqDiagram) },
+    { method: 'DELETE', path: '/api/seq/diagrams/:id', tag: 'Sequence', summary: 'Delete sequence diagram', handler: withId(deleteSeqDiagram) },
+    { method: 'GET', path: '/api/seq/interactions/:id/lifelines', tag: 'Sequence', summary: 'List lifelines', list: true, handler: withId(getLifelines) },
+    { method: 'POST', path: '/api/seq/interactions/:id/lifelines', tag: 'Sequence', summary: 'Create lifeline', body: describeBody(LIFELINE_ALLOWED_FIELDS), handler: withIdAndBody(createLifeline) },
+    { method: 'GET', path: '/api/seq/lifelines/:id', tag: 'Sequence', summary: 'Get lifeline', handler: withId(getLifeline) },
+    { method: 'PUT', path: '/api/seq/lifelines/:id', tag: 'Sequence', summary: 'Update lifeline', body: describeBody(LIFELINE_UPDATE_FIELDS), handler: withIdAndBody(updateLifeline) },
+    { method: 'DELETE', path: '/api/seq/lifelines/:id', tag: 'Sequence', summary: 'Delete lifeline', handler: withId(deleteLifeline) },
+    { method: 'GET', path: '/api/seq/interactions/:id/messages', tag: 'Sequence', summary: 'List messages', list: true, handler: withId(getMessages) },
+    { method: 'POST', path: '/api/seq/interactions/:id/messages', tag: 'Sequence', summary: 'Create message', body: describeBody(MESSAGE_ALLOWED_FIELDS, ['diagramId'], { messageSort: VALID_MESSAGE_SORTS, messageType: VALID_MESSAGE_TYPES }), handler: withIdAndBody(createMessage) },
+    { method: 'GET', path: '/api/seq/messages/:id', tag: 'Sequence', summary: 'Get message', handler: withId(getMessage) },
+    { method: 'PUT', path: '/api/seq/messages/:id', tag: 'Sequence', summary: 'Update message', body: describeBody(MESSAGE_UPDATE_FIELDS, [], { messageSort: VALID_MESSAGE_SORTS }), handler: withIdAndBody(updateMessage) },
+    { method: 'DELETE', path: '/api/seq/messages/:id', tag: 'Sequence', summary: 'Delete message', handler: withId(deleteMessage) },
+    { method: 'GET', path: '/api/seq/interactions/:id/combined-fragments', tag: 'Sequence', summary: 'List combined fragments', list: true, handler: withId(getCombinedFragments) },
+    { method: 'POST', path: '/api/seq/interactions/:id/combined-fragments', tag: 'Sequence', summary: 'Create combined fragment', body: describeBody(COMBINED_FRAGMENT_ALLOWED_FIELDS, [], { interactionOperator: VALID_INTERACTION_OPERATORS }), handler: withIdAndBody(createCombinedFragment) },
+    { method: 'GET', path: '/api/seq/combined-fragments/:id', tag: 'Sequence', summary: 'Get combined fragment', handler: withId(getCombinedFragment) },
+    { method: 'PUT', path: '/api/seq/combined-fragments/:id', tag: 'Sequence', summary: 'Update combined fragment', body: describeBody(COMBINED_FRAGMENT_UPDATE_FIELDS, [], { interactionOperator: VALID_INTERACTION_OPERATORS }), handler: withIdAndBody(updateCombinedFragment) },
+    { method: 'DELETE', path: '/api/seq/combined-fragments/:id', tag: 'Sequence', summary: 'Delete combined fragment', handler: withId(deleteCombinedFragment) },
+    { method: 'GET', path: '/api/seq/combined-fragments/:id/operands', tag: 'Sequence', summary: 'List operands', list: true, handler: withId(getOperands) },
+    { method: 'POST', path: '/api/seq/combined-fragments/:id/operands', tag: 'Sequence', summary: 'Create operand', body: describeBody(OPERAND_ALLOWED_FIELDS), handler: withIdAndBody(createOperand) },
+    { method: 'GET', path: '/api/seq/operands/:id', tag: 'Sequence', summary: 'Get operand', handler: withId(getOperand) },
+    { method: 'PUT', path: '/api/seq/operands/:id', tag: 'Sequence', summary: 'Update operand', body: describeBody(OPERAND_UPDATE_FIELDS), handler: withIdAndBody(updateOperand) },
+    { method: 'DELETE', path: '/api/seq/operands/:id', tag: 'Sequence', summary: 'Delete operand', handler: withId(deleteOperand) },
+    { method: 'GET', path: '/api/seq/interactions/:id/state-invariants', tag: 'Sequence', summary: 'List state invariants', list: true, handler: withId(getStateInvariants) },
+    { method: 'POST', path: '/api/seq/interactions/:id/state-invariants', tag: 'Sequence', summary: 'Create state invariant', body: describeBody(STATE_INVARIANT_ALLOWED_FIELDS), handler: withIdAndBody(createStateInvariant) },
+    { method: 'GET', path: '/api/seq/state-invariants/:id', tag: 'Sequence', summary: 'Get state invariant', handler: withId(getStateInvariant) },
+    { method: 'PUT', path: '/api/seq/state-invariants/:id', tag: 'Sequence', summary: 'Update state invariant', body: describeBody(STATE_INVARIANT_UPDATE_FIELDS), handler: withIdAndBody(updateStateInvariant) },
+    { method: 'DELETE', path: '/api/seq/state-invariants/:id', tag: 'Sequence', summary: 'Delete state invariant', handler: withId(deleteStateInvariant) },
+    { method: 'GET', path: '/api/seq/interactions/:id/interaction-uses', tag: 'Sequence', summary: 'List interaction uses', list: true, handler: withId(getInteractionUses) },
+    { method: 'POST', path: '/api/seq/interactions/:id/interaction-uses', tag: 'Sequence', summary: 'Create interaction use', body: describeBody(INTERACTION_USE_ALLOWED_FIELDS), handler: withIdAndBody(createInteractionUse) },
+    { method: 'GET', path: '/api/seq/interaction-uses/:id', tag: 'Sequence', summary: 'Get interaction use', handler: withId(getInteractionUse) },
+    { method: 'PUT', path: '/api/seq/interaction-uses/:id', tag: 'Sequence', summary: 'Update interaction use', body: describeBody(INTERACTION_USE_UPDATE_FIELDS), handler: withIdAndBody(updateInteractionUse) },
+    { method: 'DELETE', path: '/api/seq/interaction-uses/:id', tag: 'Sequence', summary: 'Delete interaction use', handler: withId(deleteInteractionUse) }
+]
 
-    // /api/diagrams/:id/free-lines
-    match = path.match(/^\/api\/diagrams\/([^/]+)\/free-lines$/)
-    if (match) {
-        if (method === 'GET') {
-            return getDiagramFreeLines(decodePathParam(match[1]), reqInfo)
-        }
-        if (method === 'POST') {
-            return createFreeLine(decodePathParam(match[1]), body, reqInfo)
-        }
-    }
+const registry = routeRegistry.createRegistry()
+ROUTES.forEach(function (r) {
+    registry.add(r)
+})
+familyConfigs.forEach(function (config) {
+    crudFactory.registerRoutes(registry, config)
+})
 
-    // /api/free-lines/:id
-    match = path.match(/^\/api\/free-lines\/([^/]+)$/)
-    if (match && method === 'DELETE') {
-        return deleteFreeLine(decodePathParam(match[1]), reqInfo)
-    }
+/**
+ * Format a route as an endpoint string for GET /api/status (e.g. "GET  /api/notes/:id").
+ */
+function formatEndpoint(r) {
+    return r.method + ' '.repeat(Math.max(1, 5 - r.method.length)) + r.path
+}
 
-    // /api/diagrams/:id/shapes
-    match = path.match(/^\/api\/diagrams\/([^/]+)\/shapes$/)
-    if (match) {
-        if (method === 'GET') {
-            return getDiagramShapes(decodePathParam(match[1]), reqInfo)
-        }
-        if (method === 'POST') {
-            return createShape(decodePathParam(match[1]), body, reqInfo)
+/**
+ * Every registered route, with the list query parameters added to
+ * GET list routes. Used for the OpenAPI spec and the MCP tool list.
+ */
+function getRoutes() {
+    return registry.list().map(function (r) {
+        if (r.method === 'GET' && r.list) {
+            return Object.assign({}, r, { query: (r.query || []).concat(listQuery.LIST_QUERY_DOCS) })
         }
-    }
-
-    // /api/diagrams/:id/create-view-of
-    match = path.match(/^\/api\/diagrams\/([^/]+)\/create-view-of$/)
-    if (match && method === 'POST') {
-        return createViewOf(decodePathParam(match[1]), body, reqInfo)
-    }
-
-    // /api/diagrams/:id/link-object
-    match = path.match(/^\/api\/diagrams\/([^/]+)\/link-object$/)
-    if (match && method === 'POST') {
-        return createLinkObject(decodePathParam(match[1]), body, reqInfo)
-    }
+        return r
+    })
+}
 
-    // /api/diagrams/:id/open
-    match = path.match(/^\/api\/diagrams\/([^/]+)\/open$/)
-    if (match && method === 'POST') {
-        return openDiagram(decodePathParam(match[1]), reqInfo)
-    }
+let openApiSpec = null
 
-    // /api/diagrams/:id/zoom
-    match = path.match(/^\/api\/diagrams\/([^/]+)\/zoom$/)
-    if (match && method === 'PUT') {
-        return setDiagramZoom(decodePathParam(match[1]), body, reqInfo)
+/**
+ * OpenAPI 3 document for every route, built once on first request.
+ */
+function getOpenApiSpec() {
+    if (!openApiSpec) {
+        openApiSpec = openapi.buildSpec(getRoutes(), {
+            title: 'StarUML Controller API',
+            version: API_VERSION,
+            description: 'Remote control StarUML diagrams via HTTP REST API. Every response uses the envelope { success, message | error, request, data }.'
+        })
     }
+    return openApiSpec
+}
 
-    // /api/diagrams/:id/views
-    match = path.match(/^\/api\/diagrams\/([^/]+)\/views$/)
-    if (match && method === 'GET') {
-        return getDiagramViews(decodePathParam(match[1]), reqInfo)
-    }
+// ============================================================
+// Router
+// ============================================================
 
-    // /api/diagrams/:id (generic GET/PUT/DELETE)
-    match = path.match(/^\/api\/diagrams\/([^/]+)$/)
-    if (match) {
-        if (method === 'GET') {
-            return getGenericDiagram(decodePathParam(match[1]), reqInfo)
-        }
-        if (method === 'PUT') {
-            return updateGenericDiagram(decodePathParam(match[1]), body, reqInfo)
-        }
-        if (method === 'DELETE') {
-            return deleteGenericDiagram(decodePathParam(match[1]), reqInfo)
+function parseUrl(url) {
+    const parts = url.split('?')
+    const path = parts[0]
+    const query = {}
+    if (parts[1]) {
+        try {
+            parts[1].split('&').forEach(function (param) {
+                const idx = param.indexOf('=')
+                const key = idx === -1 ? param : param.substring(0, idx)
+                const val = idx === -1 ? '' : param.substring(idx + 1)
+                query[decodeURIComponent(key)] = decodeURIComponent(val)
+            })
+        } catch (e) {
+            return { path: path, query: query, error: 'Invalid URL encoding' }
         }
     }
+    return { path: path, query: query }
+}
 
-    // /api/shapes/:id
-    match = path.match(/^\/api\/shapes\/([^/]+)$/)
-    if (match) {
-        if (method === 'GET') {
-            return getShape(decodePathParam(match[1]), reqInfo)
-        }
-        if (method === 'PUT') {
-            return updateShape(decodePathParam(match[1]), body, reqInfo)
-        }
-        if (method === 'DELETE') {
-            return deleteShape(decodePathParam(match[1]), reqInfo)
-        }
-    }
+/**
+ * Current representation of the element a PUT/DELETE path refers to:
+ * the GET of the same path, or the generic element GET when there is none.
+ */
+function getCurrentRepresentation(path, id, reqInfo) {
+    const getFound = registry.lookup('GET', path)
+    const result = getFound && getFound.route && !getFound.route.list
+        ? getFound.route.handler(getFound.params, {}, {}, reqInfo)
+        : getElement(id, reqInfo)
+    return result.success ? result.data : null
+}
 
-    // /api/views/:id/reconnect
-    match = path.match(/^\/api\/views\/([^/]+)\/reconnect$/)
-    if (match && method === 'PUT') {
-        return reconnectEdge(decodePathParam(match[1]), body, reqInfo)
+/**
+ * Route a request.
+ *
+ * @param {string} method - HTTP method
+ * @param {string} url - Path with optional query string
+ * @param {Object} body - Parsed JSON body
+ * @param {Object} [headers] - Request headers (lower-case names); If-Match is honored on PUT/DELETE
+ * @returns {Object|Promise<Object>} Response object
+ */
+function route(method, url, body, headers) {
+    // Ensure body is a valid object for mutation requests
+    if (body !== null && body !== undefined && typeof body !== 'object') {
+        return { success: false, error: 'Request body must be a JSON object', request: { method: method, path: url } }
     }
-
-    // /api/views/:id/style
-    match = path.match(/^\/api\/views\/([^/]+)\/style$/)
-    if (match && method === 'PUT') {
-        return updateViewStyle(decodePathParam(match[1]), body, reqInfo)
+    if (!body) {
+        body = {}
     }
 
-    // /api/views/:id
-    match = path.match(/^\/api\/views\/([^/]+)$/)
-    if (match && method === 'PUT') {
-        return updateView(decodePathParam(match[1]), body, reqInfo)
+    const parsed = parseUrl(url)
+    if (parsed.error) {
+        return { success: false, error: parsed.error, request: { method: method, path: url } }
     }
+    let path = parsed.path
+    const query = parsed.query
 
-    // /api/elements/:id/relationships
-    match = path.match(/^\/api\/elements\/([^/]+)\/relationships$/)
-    if (match && method === 'GET') {
-        return getElementRelationships(decodePathParam(match[1]), reqInfo)
+    if (path.length > 1 && path[path.length - 1] === '/') {
+        path = path.substring(0, path.length - 1)
     }
 
-    // /api/elements/:id/views
-    match = path.match(/^\/api\/elements\/([^/]+)\/views$/)
-    if (match && method === 'GET') {
-        return getElementViews(decodePathParam(match[1]), reqInfo)
+    const reqInfo = { method: method, path: path }
+    if (Object.keys(query).length > 0) {
+        reqInfo.query = query
     }
 
-    // /api/elements/:id/relocate
-    match = path.match(/^\/api\/elements\/([^/]+)\/relocate$/)
-    if (match && method === 'PUT') {
-        return relocateElement(decodePathParam(match[1]), body, reqInfo)
+    // GET / is an alias of GET /api/status
+    const found = registry.lookup(method, path === '/' ? '/api/status' : path)
+    if (!found) {
+        return { success: false, error: 'Not found: ' + method + ' ' + path, request: reqInfo }
     }
-
-    // /api/elements/:id/children
-    match = path.match(/^\/api\/elements\/([^/]+)\/children$/)
-    if (match && method === 'POST') {
-        return createChildElement(decodePathParam(match[1]), body, reqInfo)
+    if (found.allowedMethods) {
+        return { success: false, error: 'Method not allowed: ' + method + ' ' + path, request: reqInfo, data: { allowedMethods: found.allowedMethods } }
     }
 
-    // /api/elements/:id
-    match = path.match(/^\/api\/elements\/([^/]+)$/)
-    if (match) {
-        if (method === 'GET') {
-            return getElement(decodePathParam(match[1]), reqInfo)
-        }
-        if (method === 'PUT') {
-            return updateGenericElement(decodePathParam(match[1]), body, reqInfo)
-        }
-        if (method === 'DELETE') {
-            return deleteGenericElement(decodePathParam(match[1]), reqInfo)
+    // Validate the body against the route's schema before dispatching
+    if (found.route.body) {
+        const errors = requestSchema.validateBody(found.route.body, body)
+        if (errors.length > 0) {
+            return requestSchema.validationFailure(errors, reqInfo, body)
         }
     }
 
-    // ============ Family API Routes (factory-generated) ============
-    for (let fi = 0; fi < familyRouters.length; fi++) {
-        const familyResult = familyRouters[fi](method, path, query, body, reqInfo)
-        if (familyResult !== null) {
-            return familyResult
+    // Pagination, sorting, projection and filters for list routes
+    if (method === 'GET' && found.route.list) {
+        const listParsed = listQuery.parseListQuery(query)
+        if (listParsed.errors) {
+            return requestSchema.validationFailure(listParsed.errors, reqInfo)
         }
+        return listQuery.applyListQuery(found.route.handler(found.params, listParsed.query, body, reqInfo), listParsed.options)
     }
 
-    // GET /api/status
-    if (method === 'GET' && (path === '/api/status' || path === '/')) {
-        return {
-            success: true,
-            message: 'Server is running',
-            request: reqInfo,
-            data: {
-                status: 'running',
-                version: '1.0.0',
-                allowedColumnTypes: ALLOWED_COLUMN_TYPES,
-                allowedTagKinds: TAG_KIND_LABELS,
-                allowedMessageSorts: VALID_MESSAGE_SORTS,
-                allowedInteractionOperators: VALID_INTERACTION_OPERATORS,
-                allowedDiagramTypes: ALLOWED_DIAGRAM_TYPES,
-                allowedNodeTypes: ALLOWED_NODE_TYPES,
-                allowedRelationTypes: ALLOWED_RELATION_TYPES,
-                allowedChildTypes: ALLOWED_CHILD_TYPES,
-                allowedShapeTypes: ALLOWED_SHAPE_TYPES,
-                allowedAlignmentActions: VALID_ALIGNMENT_ACTIONS,
-                allowedMermaidTypes: VALID_MERMAID_TYPES,
-                allowedGeneratorTypes: VALID_GENERATOR_TYPES,
-                allowedMessageTypes: VALID_MESSAGE_TYPES,
-                endpoints: [
-                    'GET  /api/status',
-                    'GET  /api/erd/diagrams',
-                    'POST /api/erd/diagrams',
-                    'GET  /api/erd/diagrams/:id',
-                    'PUT  /api/erd/diagrams/:id',
-                    'DELETE /api/erd/diagrams/:id',
-                    'GET  /api/erd/data-models',
-                    'POST /api/erd/data-models',
-                    'GET  /api/erd/data-models/:id',
-                    'PUT  /api/erd/data-models/:id',
-                    'DELETE /api/erd/data-models/:id',
-                    'GET  /api/erd/entities',
-                    'POST /api/erd/entities',
-                    'GET  /api/erd/entities/:id',
-                    'PUT  /api/erd/entities/:id',
-                    'DELETE /api/erd/entities/:id',
-                    'GET  /api/erd/entities/:id/columns',
-                    'POST /api/erd/entities/:id/columns',
-                    'GET  /api/erd/columns/:id',
-                    'PUT  /api/erd/columns/:id',
-                    'DELETE /api/erd/columns/:id',
-                    'GET  /api/elements/:id/tags',
-                    'POST /api/elements/:id/tags',
-                    'GET  /api/tags/:id',
-                    'PUT  /api/tags/:id',
-                    'DELETE /api/tags/:id',
-                    'GET  /api/erd/entities/:id/sequences',
-                    'POST /api/erd/entities/:id/sequences',
-                    'GET  /api/erd/sequences/:id',
-                    'PUT  /api/erd/sequences/:id',
-                    'DELETE /api/erd/sequences/:id',
-                    'GET  /api/erd/entities/:id/indexes',
-                    'POST /api/erd/entities/:id/indexes',
-                    'GET  /api/erd/indexes/:id',
-                    'PUT  /api/erd/indexes/:id',
-                    'DELETE /api/erd/indexes/:id',
-                    'GET  /api/erd/relationships',
-                    'POST /api/erd/relationships',
-                    'GET  /api/erd/relationships/:id',
-                    'PUT  /api/erd/relationships/:id',
-                    'DELETE /api/erd/relationships/:id',
-                    'GET  /api/elements/:id',
-                    'PUT  /api/elements/:id',
-                    'DELETE /api/elements/:id',
-                    'GET  /api/elements/:id/relationships',
-                    'GET  /api/elements/:id/views',
-                    'PUT  /api/elements/:id/relocate',
-                    'GET  /api/diagrams',
-                    'POST /api/diagrams',
-                    'GET  /api/diagrams/:id',
-                    'PUT  /api/diagrams/:id',
-                    'DELETE /api/diagrams/:id',
-                    'GET  /api/diagrams/:id/elements',
-                    'POST /api/diagrams/:id/elements',
-                    'POST /api/diagrams/:id/relations',
-                    'POST /api/diagrams/:id/export',
-                    'POST /api/diagrams/:id/layout',
-                    'POST /api/diagrams/:id/create-view-of',
-                    'POST /api/diagrams/:id/link-object',
-                    'POST /api/diagrams/:id/open',
-                    'PUT  /api/diagrams/:id/zoom',
-                    'GET  /api/diagrams/:id/notes',
-                    'POST /api/diagrams/:id/notes',
-                    'GET  /api/notes/:id',
-                    'PUT  /api/notes/:id',
-                    'DELETE /api/notes/:id',
-                    'GET  /api/diagrams/:id/note-links',
-                    'POST /api/diagrams/:id/note-links',
-                    'DELETE /api/note-links/:id',
-                    'GET  /api/diagrams/:id/free-lines',
-                    'POST /api/diagrams/:id/free-lines',
-                    'DELETE /api/free-lines/:id',
-                    'GET  /api/diagrams/:id/shapes',
-                    'POST /api/diagrams/:id/shapes',
-                    'GET  /api/shapes/:id',
-                    'PUT  /api/shapes/:id',
-                    'DELETE /api/shapes/:id',
-                    'GET  /api/diagrams/:id/views',
-                    'PUT  /api/views/:id',
-                    'PUT  /api/views/:id/style',
-                    'PUT  /api/views/:id/reconnect',
-                    'POST /api/elements/:id/children',
-                    'POST /api/erd/postgresql/ddl',
-                    'POST /api/project/save',
-                    'POST /api/project/open',
-                    'POST /api/project/import',
-                    'POST /api/project/new',
-                    'POST /api/project/close',
-                    'POST /api/project/export',
-                    'POST /api/project/export-all',
-                    'POST /api/validate',
-                    'POST /api/undo',
-                    'POST /api/redo',
-                    'GET  /api/search',
-                    'POST /api/views/align',
-                    'POST /api/mermaid/import',
-                    'POST /api/diagrams/generate',
-                    'PUT  /api/elements/:id/reorder',
-                    'POST /api/project/export-doc',
-                    'GET  /api/seq/interactions',
-                    'POST /api/seq/interactions',
-                    'GET  /api/seq/interactions/:id',
-                    'PUT  /api/seq/interactions/:id',
-                    'DELETE /api/seq/interactions/:id',
-                    'GET  /api/seq/diagrams',
-                    'POST /api/seq/diagrams',
-                    'GET  /api/seq/diagrams/:id',
-                    'PUT  /api/seq/diagrams/:id',
-                    'DELETE /api/seq/diagrams/:id',
-                    'GET  /api/seq/interactions/:id/lifelines',
-                    'POST /api/seq/interactions/:id/lifelines',
-                    'GET  /api/seq/lifelines/:id',
-                    'PUT  /api/seq/lifelines/:id',
-                    'DELETE /api/seq/lifelines/:id',
-                    'GET  /api/seq/interactions/:id/messages',
-                    'POST /api/seq/interactions/:id/messages',
-                    'GET  /api/seq/messages/:id',
-                    'PUT  /api/seq/messages/:id',
-                    'DELETE /api/seq/messages/:id',
-                    'GET  /api/seq/interactions/:id/combined-fragments',
-                    'POST /api/seq/interactions/:id/combined-fragments',
-                    'GET  /api/seq/combined-fragments/:id',
-                    'PUT  /api/seq/combined-fragments/:id',
-                    'DELETE /api/seq/combined-fragments/:id',
-                    'GET  /api/seq/combined-fragments/:id/operands',
-                    'POST /api/seq/combined-fragments/:id/operands',
-                    'GET  /api/seq/operands/:id',
-                    'PUT  /api/seq/operands/:id',
-                    'DELETE /api/seq/operands/:id',
-                    'GET  /api/seq/interactions/:id/state-invariants',
-                    'POST /api/seq/interactions/:id/state-invariants',
-                    'GET  /api/seq/state-invariants/:id',
-                    'PUT  /api/seq/state-invariants/:id',
-                    'DELETE /api/seq/state-invariants/:id',
-                    'GET  /api/seq/interactions/:id/interaction-uses',
-                    'POST /api/seq/interactions/:id/interaction-uses',
-                    'GET  /api/seq/interaction-uses/:id',
-                    'PUT  /api/seq/interaction-uses/:id',
-                    'DELETE /api/seq/interaction-uses/:id'
-                ].concat(familyEndpoints)
+    // Optimistic concurrency: reject PUT/DELETE when If-Match no longer matches
+    const elemId = found.params.id
+    const ifMatch = headers && headers['if-match']
+    if (ifMatch && elemId !== undefined && (method === 'PUT' || method === 'DELETE')) {
+        const elem = findById(elemId)
+        if (elem) {
+            const currentEtag = etag.computeEtag(elem)
+            if (!etag.matchesIfMatch(ifMatch, currentEtag)) {
+                return {
+                    success: false,
+                    error: 'Conflict: ' + elem.constructor.name + ' ' + elemId + ' has changed since it was read (If-Match: ' + ifMatch + ')',
+                    request: reqInfo,
+                    etag: currentEtag,
+                    data: getCurrentRepresentation(path, elemId, reqInfo)
+                }
             }
         }
     }
 
-    return { success: false, error: 'Not found: ' + method + ' ' + path, request: reqInfo }
+    const result = found.route.handler(found.params, query, body, reqInfo)
+    if (elemId !== undefined && (method === 'GET' || method === 'PUT') && result && result.success) {
+        const elem = findById(elemId)
+        if (elem) {
+            result.etag = etag.computeEtag(elem)
+        }
+    }
+    return result
 }
 
+exports.API_VERSION = API_VERSION
 exports.route = route
+exports.getOpenApiSpec = getOpenApiSpec
+exports.getRoutes = getRoutes
@@ -0,0 +1,213 @@
+/**
+ * API Key Authentication for StarUML Controller
+ *
+ * Keys are managed from the Tools > StarUML Controller menu and stored
+ * (hashed) in StarUML preferences. Each key carries a list of scopes:
+ *   - read:    GET requests
+ *   - write:   model-changing requests (POST / PUT / DELETE)
+ *   - project: project and file operations (/api/project/*, exports)
+ *
+ * Authentication is enforced as soon as at least one key exists.
+ */
+
+const crypto = require('crypto')
+
+const PREF_API_KEYS = 'controller.apiKeys'
+
+const VALID_SCOPES = ['read', 'write', 'project']
+
+// Scope combinations offered by the "Add API Key..." dialog
+const SCOPE_PRESETS = [
+    { value: 'read', text: 'Read-only (GET)', scopes: ['read'] },
+    { value: 'read,write', text: 'Read + model write', scopes: ['read', 'write'] },
+    { value: 'read,write,project', text: 'Full access (read, model write, project/file operations)', scopes: ['read', 'write', 'project'] }
+]
+
+// Routes that read or write files on the StarUML machine, or replace the project.
+// These require the 'project' scope regardless of HTTP method.
+const PROJECT_SCOPE_PATTERNS = [
+    /^\/api\/project(\/|$)/,
+    /^\/api\/diagrams\/[^/]+\/export$/,
+    /^\/api\/erd\/postgresql\/ddl$/,
+    /^\/api\/erd\/ddl$/,
+    /^\/api\/erd\/import-ddl$/,
+    /^\/api\/erd\/(dbml|prisma)$/,
+    /^\/api\/erd\/import-(dbml|prisma)$/,
+    /^\/api\/erd\/migration$/,
+    /^\/api\/erd\/seed-data$/,
+    /^\/api\/erd\/data-dictionary$/,
+    /^\/api\/bpmn\/import$/,
+    /^\/api\/bpmn\/diagrams\/[^/]+\/export$/,
+    /^\/api\/c4\/import$/,
+    /^\/api\/c4\/export$/
+]
+
+// Routes that only need the 'read' scope regardless of HTTP method.
+// The MCP endpoint checks the scope of each tool call itself (see checkScope).
+const READ_SCOPE_PATTERNS = [
+    /^\/mcp$/
+]
+
+// ============================================================
+// Key Store
+// ============================================================
+
+function loadKeys() {
+    const keys = app.preferences.get(PREF_API_KEYS)
+    return Array.isArray(keys) ? keys : []
+}
+
+function saveKeys(keys) {
+    app.preferences.set(PREF_API_KEYS, keys)
+}
+
+function hashToken(token) {
+    return crypto.createHash('sha256').update(token, 'utf8').digest('hex')
+}
+
+/**
+ * Create and store a new API key. The plain token is only returned here;
+ * only its hash is persisted.
+ *
+ * @param {string} label - Human-readable label shown in the revoke dialog
+ * @param {string[]} scopes - Subset of VALID_SCOPES
+ * @returns {{ token: string, key: Object }}
+ */
+function createKey(label, scopes) {
+    const token = 'suc_' + crypto.randomBytes(24).toString('hex')
+    const key = {
+        id: crypto.randomBytes(8).toString('hex'),
+        label: label || 'API key',
+        prefix: token.substring(0, 10),
+        hash: hashToken(token),
+        scopes: scopes.filter(function (s) { return VALID_SCOPES.indexOf(s) !== -1 }),
+        createdAt: new Date().toISOString()
+    }
+    const keys = loadKeys()
+    keys.push(key)
+    saveKeys(keys)
+    return { token: token, key: key }
+}
+
+/**
+ * Remove a key by id. Returns true if a key was removed.
+ */
+function revokeKey(id) {
+    const keys = loadKeys()
+    const remaining = keys.filter(function (k) { return k.id !== id })
+    if (remaining.length === keys.length) {
+        return false
+    }
+    saveKeys(remaining)
+    return true
+}
+
+function isAuthEnabled() {
+    return loadKeys().length > 0
+}
+
+/**
+ * Find the stored key matching a plain token (constant-time hash comparison).
+ */
+function findKeyByToken(token) {
+    const hash = Buffer.from(hashToken(token), 'hex')
+    const keys = loadKeys()
+    for (let i = 0; i < keys.length; i++) {
+        const stored = Buffer.from(keys[i].hash || '', 'hex')
+        if (stored.length === hash.length && crypto.timingSafeEqual(stored, hash)) {
+            return keys[i]
+        }
+    }
+    return null
+}
+
+// ============================================================
+// Request Checks
+// ============================================================
+
+/**
+ * Determine the scope a request needs.
+ */
+function requiredScope(method, path) {
+    for (let i = 0; i < PROJECT_SCOPE_PATTERNS.length; i++) {
+        if (PROJECT_SCOPE_PATTERNS[i].test(path)) {
+            return 'project'
+        }
+    }
+    for (let i = 0; i < READ_SCOPE_PATTERNS.length; i++) {
+        if (READ_SCOPE_PATTERNS[i].test(path)) {
+            return 'read'
+        }
+    }
+    if (method === 'GET' || method === 'HEAD') {
+        return 'read'
+    }
+    return 'write'
+}
+
+/**
+ * Check that a key may call a route.
+ * Returns null when allowed, otherwise { statusCode: 403, error }.
+ */
+function checkScope(key, method, path) {
+    const scope = requiredScope(method, path)
+    if ((key.scopes || []).indexOf(scope) === -1) {
+        return { statusCode: 403, error: 'API key "' + key.label + '" lacks the "' + scope + '" scope required for ' + method + ' ' + path }
+    }
+    return null
+}
+
+/**
+ * Extract the bearer token from the Authorization header.
+ */
+function getBearerToken(req) {
+    const header = req.headers['authorization']
+    if (!header) {
+        return null
+    }
+    const match = /^Bearer\s+(\S+)\s*$/i.exec(header)
+    return match ? match[1] : null
+}
+
+/**
+ * Authenticate and authorize a request.
+ * Returns null when the request may proceed, otherwise { statusCode, error }.
+ */
+function checkRequest(req) {
+    if (!isAuthEnabled()) {
+        return null
+    }
+    const path = req.url.split('?')[0]
+    const token = getBearerToken(req)
+    if (!token) {
+        return { statusCode: 401, error: 'Authentication required. Send "Authorization: Bearer <api key>"' }
+    }
+    const key = findKeyByToken(token)
+    if (!key) {
+        return { statusCode: 401, error: 'Invalid API key' }
+    }
+    return checkScope(key, req.method, path)
+}
+
+/**
+ * The stored key a request authenticated with, or null when
+ * authentication is disabled or the request carries no valid key.
+ */
+function getRequestKey(req) {
+    if (!isAuthEnabled()) {
+        return null
+    }
+    const token = getBearerToken(req)
+    return token ? findKeyByToken(token) : null
+}
+
+exports.VALID_SCOPES = VALID_SCOPES
+exports.SCOPE_PRESETS = SCOPE_PRESETS
+exports.loadKeys = loadKeys
+exports.createKey = createKey
+exports.revokeKey = revokeKey
+exports.isAuthEnabled = isAuthEnabled
+exports.requiredScope = requiredScope
+exports.checkScope = checkScope
+exports.checkRequest = checkRequest
+exports.getRequestKey = getRequestKey
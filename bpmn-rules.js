@@ -0,0 +1,404 @@
+/**
+ * BPMN structural validation rules for StarUML Controller
+ *
+ * Checks the process structure of every BPMN element in the project, in
+ * addition to StarUML's own model validation (POST /api/validate):
+ *
+ *   - a process (a pool, or the flow nodes outside any pool) without a
+ *     start event or without an end event
+ *   - flow nodes that no path of sequence flows reaches from a start event
+ *   - sequence flows between pools (only message flows may cross them)
+ *   - split gateways whose branches are not joined by a gateway of the
+ *     same type at the same nesting level, and gateways that both split
+ *     and join
+ *   - boundary events that are not attached to an activity
+ *
+ * A flow node belongs to the pool that owns it in the model, or else to
+ * the pool whose view contains its view on a BPMN diagram; outside pools,
+ * to the BPMNProcess or BPMNCollaboration that owns it. Findings use
+ * the { elementId, elementName, message, severity } format of
+ * POST /api/validate.
+ */
+
+const h = require('./handlers/shared-helpers')
+
+const TASK_TYPES = [
+    'BPMNTask', 'BPMNSendTask', 'BPMNReceiveTask', 'BPMNServiceTask',
+    'BPMNUserTask', 'BPMNManualTask', 'BPMNBusinessRuleTask', 'BPMNScriptTask',
+    'BPMNCallActivity'
+]
+const SUB_PROCESS_TYPES = ['BPMNSubProcess', 'BPMNAdHocSubProcess', 'BPMNTransaction']
+const ACTIVITY_TYPES = TASK_TYPES.concat(SUB_PROCESS_TYPES)
+const EVENT_TYPES = [
+    'BPMNStartEvent', 'BPMNIntermediateThrowEvent', 'BPMNIntermediateCatchEvent',
+    'BPMNBoundaryEvent', 'BPMNEndEvent'
+]
+const GATEWAY_TYPES = [
+    'BPMNExclusiveGateway', 'BPMNInclusiveGateway', 'BPMNComplexGateway',
+    'BPMNParallelGateway', 'BPMNEventBasedGateway'
+]
+const FLOW_NODE_TYPES = ACTIVITY_TYPES.concat(EVENT_TYPES, GATEWAY_TYPES)
+
+// Gateway labels for messages
+const GATEWAY_LABELS = {
+    BPMNExclusiveGateway: 'exclusive',
+    BPMNInclusiveGateway: 'inclusive',
+    BPMNComplexGateway: 'complex',
+    BPMNParallelGateway: 'parallel',
+    BPMNEventBasedGateway: 'event-based'
+}
+
+// Split gateways whose branches must be joined again; an exclusive split
+// may end its branches in separate end events
+const MUST_JOIN_TYPES = ['BPMNParallelGateway', 'BPMNInclusiveGateway', 'BPMNComplexGateway']
+
+function selectAll(types) {
+    let result = []
+    types.forEach(function (t) {
+        result = result.concat(app.repository.select('@' + t) || [])
+    })
+    return result
+}
+
+function finding(elem, message, severity) {
+    return {
+        elementId: elem ? elem._id : null,
+        elementName: elem ? elem.name || '' : '',
+        message: message,
+        severity: severity
+    }
+}
+
+function label(elem) {
+    return '"' + (elem.name || elem._id) + '"'
+}
+
+// ============================================================
+// Pools
+// ============================================================
+
+function boundsOf(view) {
+    return { x: view.left || 0, y: view.top || 0, width: view.width || 0, height: view.height || 0 }
+}
+
+function containsCenter(outer, inner) {
+    const cx = inner.x + inner.width / 2
+    const cy = inner.y + inner.height / 2
+    return cx >= outer.x && cx <= outer.x + outer.width && cy >= outer.y && cy <= outer.y + outer.height
+}
+
+function viewsOf(elem) {
+    return app.repository.getViewsOf ? app.repository.getViewsOf(elem) || [] : []
+}
+
+/**
+ * Participant owning `elem` in the model, or whose view contains a view
+ * of `elem` on the same diagram; null outside any pool.
+ */
+function poolOf(elem) {
+    if (h.isA(elem, ['BPMNParticipant'])) {
+        return elem
+    }
+    for (let owner = elem._parent; owner; owner = owner._parent) {
+        if (h.isA(owner, ['BPMNParticipant'])) {
+            return owner
+        }
+    }
+    const views = viewsOf(elem)
+    for (let i = 0; i < views.length; i++) {
+        const diagram = views[i]._parent
+        const pool = (diagram && diagram.ownedViews || []).filter(function (v) {
+            return v !== views[i] && h.isA(v.model, ['BPMNParticipant']) && containsCenter(boundsOf(v), boundsOf(views[i]))
+        })[0]
+        if (pool) {
+            return pool.model
+        }
+    }
+    return null
+}
+
+/**
+ * The process a flow node belongs to: its pool, or else the BPMNProcess or
+ * BPMNCollaboration that owns it.
+ */
+function scopeOf(elem) {
+    const pool = poolOf(elem)
+    if (pool) {
+        return pool
+    }
+    for (let owner = elem._parent; owner; owner = owner._parent) {
+        if (h.isA(owner, ['BPMNProcess', 'BPMNCollaboration'])) {
+            return owner
+        }
+    }
+    return elem._parent || null
+}
+
+/**
+ * Sub-process directly or indirectly owning `elem`, or null.
+ */
+function subProcessOf(elem) {
+    for (let owner = elem._parent; owner; owner = owner._parent) {
+        if (h.isA(owner, SUB_PROCESS_TYPES)) {
+            return owner
+        }
+    }
+    return null
+}
+
+// ============================================================
+// Graph
+// ============================================================
+
+/**
+ * Sequence flows by source and target element id.
+ */
+function buildGraph(flows) {
+    const outgoing = {}
+    const incoming = {}
+    flows.forEach(function (f) {
+        if (!f.source || !f.target) {
+            return
+        }
+        (outgoing[f.source._id] = outgoing[f.source._id] || []).push(f.target)
+        ;(incoming[f.target._id] = incoming[f.target._id] || []).push(f.source)
+    })
+    return {
+        next: function (node) { return outgoing[node._id] || [] },
+        previous: function (node) { return incoming[node._id] || [] }
+    }
+}
+
+/**
+ * Nodes along `step` from `node` that close the block `node` opens: each
+ * node satisfying `opens` nests a block, each satisfying `closes` ends
+ * the innermost one, and paths stop at the nodes that end the outermost.
+ */
+function matching(node, step, opens, closes) {
+    const seen = {}
+    const found = []
+    const queue = step(node).map(function (n) { return { node: n, depth: 0 } })
+    seen[node._id] = true
+    while (queue.length > 0) {
+        const item = queue.shift()
+        const n = item.node
+        let depth = item.depth
+        if (seen[n._id]) {
+            continue
+        }
+        seen[n._id] = true
+        if (closes(n)) {
+            if (depth === 0) {
+                found.push(n)
+                continue
+            }
+            depth--
+        }
+        if (opens(n)) {
+            depth++
+        }
+        step(n).forEach(function (next) {
+            queue.push({ node: next, depth: depth })
+        })
+    }
+    return found
+}
+
+function isBoundaryOf(event, activity) {
+    return event.attachedToRef === activity
+}
+
+/**
+ * Flow nodes reached from the start events: along sequence flows, into
+ * sub-processes (their start events, or without any, their nodes without
+ * incoming flows), to the boundary events of reached activities, and to
+ * link catch events.
+ */
+function reachable(nodes, graph) {
+    const reached = {}
+    const queue = []
+    const reach = function (n) {
+        if (!reached[n._id]) {
+            reached[n._id] = true
+            queue.push(n)
+        }
+    }
+    nodes.forEach(function (n) {
+        const isLinkCatch = h.isA(n, ['BPMNIntermediateCatchEvent']) && (n.eventDefinitions || []).some(function (d) {
+            return h.typeOf(d) === 'BPMNLinkEventDefinition'
+        })
+        if ((h.isA(n, ['BPMNStartEvent']) && !subProcessOf(n)) || isLinkCatch) {
+            reach(n)
+        }
+    })
+    while (queue.length > 0) {
+        const n = queue.shift()
+        graph.next(n).forEach(reach)
+        if (h.isA(n, SUB_PROCESS_TYPES)) {
+            const inner = nodes.filter(function (c) { return subProcessOf(c) === n })
+            const starts = inner.filter(function (c) { return h.isA(c, ['BPMNStartEvent']) })
+            const entries = starts.length > 0 ? starts : inner.filter(function (c) {
+                return subProcessOf(c) === n && graph.previous(c).length === 0 && !h.isA(c, ['BPMNBoundaryEvent'])
+            })
+            entries.forEach(reach)
+        }
+        if (h.isA(n, ACTIVITY_TYPES)) {
+            nodes.filter(function (c) { return h.isA(c, ['BPMNBoundaryEvent']) && isBoundaryOf(c, n) }).forEach(reach)
+        }
+    }
+    return reached
+}
+
+// ============================================================
+// Rules
+// ============================================================
+
+/**
+ * Processes without a start or an end event. Only top-level flow nodes
+ * count; sub-processes may start implicitly.
+ */
+function checkStartAndEnd(nodes) {
+    const results = []
+    const groups = new Map()
+    nodes.filter(function (n) { return !subProcessOf(n) }).forEach(function (n) {
+        const scope = scopeOf(n)
+        if (!groups.has(scope)) {
+            groups.set(scope, [])
+        }
+        groups.get(scope).push(n)
+    })
+    groups.forEach(function (members, owner) {
+        const what = h.isA(owner, ['BPMNParticipant']) ? 'Pool ' + label(owner) : 'Process ' + label(owner)
+        if (!members.some(function (n) { return h.isA(n, ['BPMNStartEvent']) })) {
+            results.push(finding(owner, what + ' has no start event', 'warning'))
+        }
+        if (!members.some(function (n) { return h.isA(n, ['BPMNEndEvent']) })) {
+            results.push(finding(owner, what + ' has no end event', 'warning'))
+        }
+    })
+    return results
+}
+
+/**
+ * Flow nodes not reached from a start event, in pools (or outside pools)
+ * that have one; the others are already reported by checkStartAndEnd.
+ */
+function checkReachability(nodes, graph) {
+    const reached = reachable(nodes, graph)
+    const hasStart = new Map()
+    nodes.forEach(function (n) {
+        if (h.isA(n, ['BPMNStartEvent']) && !subProcessOf(n)) {
+            hasStart.set(scopeOf(n), true)
+        }
+    })
+    // Boundary events follow their activity, and the contents of an
+    // unreachable sub-process with it
+    return nodes.filter(function (n) {
+        const sub = subProcessOf(n)
+        return !reached[n._id] && hasStart.has(scopeOf(n)) && !h.isA(n, ['BPMNBoundaryEvent']) && !(sub && !reached[sub._id])
+    }).map(function (n) {
+        return finding(n, h.typeOf(n).replace(/^BPMN/, '') + ' ' + label(n) + ' is not reachable from a start event', 'warning')
+    })
+}
+
+function checkCrossingFlows(flows) {
+    const results = []
+    flows.forEach(function (f) {
+        if (!f.source || !f.target) {
+            return
+        }
+        const from = poolOf(f.source)
+        const to = poolOf(f.target)
+        if (from !== to) {
+            const where = function (pool) { return pool ? 'pool ' + label(pool) : 'outside any pool' }
+            results.push(finding(f, 'Sequence flow from ' + label(f.source) + ' to ' + label(f.target) +
+                ' crosses from ' + where(from) + ' to ' + where(to) + '; use a message flow between pools', 'error'))
+        }
+    })
+    return results
+}
+
+function checkGateways(gateways, graph) {
+    const results = []
+    const isJoin = function (n) { return h.isA(n, GATEWAY_TYPES) && graph.previous(n).length > 1 }
+    const isSplit = function (n) { return h.isA(n, GATEWAY_TYPES) && graph.next(n).length > 1 }
+    const reported = {}
+    gateways.forEach(function (g) {
+        const kind = GATEWAY_LABELS[h.typeOf(g)]
+        if (isSplit(g) && isJoin(g)) {
+            results.push(finding(g, 'Gateway ' + label(g) + ' both joins and splits flows; model it as a joining and a splitting gateway', 'warning'))
+        }
+        if (!isSplit(g) || h.isA(g, ['BPMNEventBasedGateway'])) {
+            return
+        }
+        const joins = matching(g, graph.next, isSplit, isJoin)
+        joins.filter(function (j) { return h.typeOf(j) !== h.typeOf(g) }).forEach(function (j) {
+            reported[g._id + ' ' + j._id] = true
+            results.push(finding(g, 'Split ' + kind + ' gateway ' + label(g) + ' is joined by ' + GATEWAY_LABELS[h.typeOf(j)] +
+                ' gateway ' + label(j) + '; join its branches with ' + (/^[aeiou]/.test(kind) ? 'an ' : 'a ') + kind + ' gateway', 'warning'))
+        })
+        if (joins.length === 0 && h.isA(g, MUST_JOIN_TYPES)) {
+            results.push(finding(g, 'Split ' + kind + ' gateway ' + label(g) + ' has no matching ' + kind + ' join gateway', 'warning'))
+        }
+    })
+    // A parallel join waits for every branch; after an exclusive split only one arrives
+    gateways.filter(function (g) { return isJoin(g) && h.isA(g, ['BPMNParallelGateway']) }).forEach(function (g) {
+        const splits = matching(g, graph.previous, isJoin, isSplit)
+        splits.filter(function (s) {
+            return h.typeOf(s) !== h.typeOf(g) && !reported[s._id + ' ' + g._id]
+        }).forEach(function (s) {
+            results.push(finding(g, 'Parallel join gateway ' + label(g) + ' joins branches split by ' + GATEWAY_LABELS[h.typeOf(s)] +
+                ' gateway ' + label(s) + '; it may wait forever', 'warning'))
+        })
+    })
+    return results
+}
+
+/**
+ * Boundary events need an activity: their attachedToRef, or else an
+ * activity whose view their view sits on.
+ */
+function checkBoundaryEvents(events) {
+    return events.filter(function (e) {
+        if (e.attachedToRef) {
+            return !h.isA(e.attachedToRef, ACTIVITY_TYPES)
+        }
+        return !viewsOf(e).some(function (v) {
+            const b = boundsOf(v)
+            return (v._parent && v._parent.ownedViews || []).some(function (a) {
+                if (a === v || !h.isA(a.model, ACTIVITY_TYPES)) {
+                    return false
+                }
+                const ab = boundsOf(a)
+                return containsCenter({ x: ab.x - b.width / 2, y: ab.y - b.height / 2, width: ab.width + b.width, height: ab.height + b.height }, b)
+            })
+        })
+    }).map(function (e) {
+        return finding(e, 'Boundary event ' + label(e) + ' is not attached to an activity', 'error')
+    })
+}
+
+// ============================================================
+// Public API
+// ============================================================
+
+/**
+ * Run every BPMN rule over the project.
+ *
+ * @returns {Array} [{ elementId, elementName, message, severity }]
+ */
+function check() {
+    const nodes = selectAll(FLOW_NODE_TYPES)
+    if (nodes.length === 0) {
+        return []
+    }
+    const flows = selectAll(['BPMNSequenceFlow'])
+    const graph = buildGraph(flows)
+    return checkStartAndEnd(nodes)
+        .concat(checkReachability(nodes, graph))
+        .concat(checkCrossingFlows(flows))
+        .concat(checkGateways(selectAll(GATEWAY_TYPES), graph))
+        .concat(checkBoundaryEvents(selectAll(['BPMNBoundaryEvent'])))
+}
+
+exports.check = check
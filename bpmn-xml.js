@@ -0,0 +1,1186 @@
+/**
+ * BPMN 2.0 XML import and export for StarUML Controller
+ *
+ * Reads and writes the BPMN 2.0 interchange format used by bpmn.io,
+ * Camunda Modeler and Signavio: the semantic model (bpmn:definitions) and
+ * the diagram interchange (bpmndi:BPMNDiagram) with shape bounds and edge
+ * waypoints.
+ *
+ *   bpmn:participant                 <-> BPMNParticipant (pool)
+ *   bpmn:lane (childLaneSet nested)  <-> BPMNLane
+ *   tasks, sub-processes, events,
+ *   gateways, data object / store
+ *   references, text annotations     <-> the BPMN* type of the same name
+ *   bpmn:*EventDefinition            <-> event definition of the event; timer
+ *                                        expressions and conditions are kept
+ *                                        as tags on the definition
+ *   bpmn:sequenceFlow                <-> BPMNSequenceFlow (conditionExpression
+ *                                        as condition)
+ *   bpmn:messageFlow                 <-> BPMNMessageFlow
+ *   bpmn:association                 <-> BPMNAssociation
+ *   bpmn:dataInputAssociation /
+ *   dataOutputAssociation            <-> BPMNDataAssociation
+ *
+ * Elements are created the way the /api/bpmn/* routes create them: on the
+ * diagram, inside the view of their pool, lane or sub-process. Each gets a
+ * `bpmnId` tag with its id in the file, which export writes back, so that
+ * ids engines refer to survive a round trip. A pool's process id, name and
+ * isExecutable are kept in a `bpmnProcess` tag (JSON) on the participant,
+ * or on the diagram for a process without a pool.
+ *
+ * Layout comes from the first bpmndi:BPMNDiagram. A file without diagram
+ * interchange is laid out left to right along its sequence flows.
+ */
+
+const fs = require('fs')
+const h = require('./handlers/shared-helpers')
+
+const BPMN_NS = 'http://www.omg.org/spec/BPMN/20100524/MODEL'
+const BPMNDI_NS = 'http://www.omg.org/spec/BPMN/20100524/DI'
+const DC_NS = 'http://www.omg.org/spec/DD/20100524/DC'
+const DI_NS = 'http://www.omg.org/spec/DD/20100524/DI'
+const XSI_NS = 'http://www.w3.org/2001/XMLSchema-instance'
+
+const BPMN_ID_TAG = 'bpmnId'
+const PROCESS_TAG = 'bpmnProcess'
+
+// BPMN element name -> StarUML type, for flow nodes and artifacts
+const NODE_TYPES = {
+    task: 'BPMNTask',
+    sendTask: 'BPMNSendTask',
+    receiveTask: 'BPMNReceiveTask',
+    serviceTask: 'BPMNServiceTask',
+    userTask: 'BPMNUserTask',
+    manualTask: 'BPMNManualTask',
+    businessRuleTask: 'BPMNBusinessRuleTask',
+    scriptTask: 'BPMNScriptTask',
+    callActivity: 'BPMNCallActivity',
+    subProcess: 'BPMNSubProcess',
+    adHocSubProcess: 'BPMNAdHocSubProcess',
+    transaction: 'BPMNTransaction',
+    startEvent: 'BPMNStartEvent',
+    intermediateThrowEvent: 'BPMNIntermediateThrowEvent',
+    intermediateCatchEvent: 'BPMNIntermediateCatchEvent',
+    boundaryEvent: 'BPMNBoundaryEvent',
+    endEvent: 'BPMNEndEvent',
+    exclusiveGateway: 'BPMNExclusiveGateway',
+    inclusiveGateway: 'BPMNInclusiveGateway',
+    complexGateway: 'BPMNComplexGateway',
+    parallelGateway: 'BPMNParallelGateway',
+    eventBasedGateway: 'BPMNEventBasedGateway',
+    dataObjectReference: 'BPMNDataObject',
+    dataStoreReference: 'BPMNDataStore',
+    textAnnotation: 'BPMNTextAnnotation',
+    group: 'BPMNGroup'
+}
+
+// Elements whose flow elements are nested in them
+const SUB_PROCESS_TAGS = ['subProcess', 'adHocSubProcess', 'transaction']
+
+const EVENT_DEFINITION_TYPES = {
+    compensateEventDefinition: 'BPMNCompensateEventDefinition',
+    cancelEventDefinition: 'BPMNCancelEventDefinition',
+    errorEventDefinition: 'BPMNErrorEventDefinition',
+    linkEventDefinition: 'BPMNLinkEventDefinition',
+    signalEventDefinition: 'BPMNSignalEventDefinition',
+    timerEventDefinition: 'BPMNTimerEventDefinition',
+    escalationEventDefinition: 'BPMNEscalationEventDefinition',
+    messageEventDefinition: 'BPMNMessageEventDefinition',
+    terminateEventDefinition: 'BPMNTerminateEventDefinition',
+    conditionalEventDefinition: 'BPMNConditionalEventDefinition'
+}
+
+// Expressions of event definitions, kept as tags of the same name
+const DEFINITION_EXPRESSIONS = {
+    timerEventDefinition: ['timeDate', 'timeDuration', 'timeCycle'],
+    conditionalEventDefinition: ['condition']
+}
+
+// Elements a lane cannot list in flowNodeRef
+const FLOW_NODE_EXCLUDED = ['BPMNDataObject', 'BPMNDataStore', 'BPMNTextAnnotation', 'BPMNGroup']
+
+// Default shape sizes for layout without diagram interchange
+const SIZES = {
+    task: { width: 100, height: 80 },
+    event: { width: 36, height: 36 },
+    gateway: { width: 50, height: 50 },
+    data: { width: 36, height: 50 },
+    annotation: { width: 100, height: 30 }
+}
+
+function invert(map) {
+    const result = {}
+    Object.keys(map).forEach(function (key) {
+        result[map[key]] = key
+    })
+    return result
+}
+
+const NODE_TAGS = invert(NODE_TYPES)
+const EVENT_DEFINITION_TAGS = invert(EVENT_DEFINITION_TYPES)
+
+// ============================================================
+// XML
+// ============================================================
+
+const ENTITIES = { lt: '<', gt: '>', amp: '&', quot: '"', apos: "'" }
+
+function decodeEntities(text) {
+    return text.replace(/&(#x[0-9a-fA-F]+|#[0-9]+|lt|gt|amp|quot|apos);/g, function (match, entity) {
+        if (entity.charAt(0) === '#') {
+            return String.fromCodePoint(entity.charAt(1) === 'x' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10))
+        }
+        return ENTITIES[entity]
+    })
+}
+
+function escapeXml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+}
+
+function parseAttributes(source) {
+    const attrs = {}
+    const re = /([^\s=]+)\s*=\s*("([^"]*)"|'([^']*)')/g
+    let m
+    while ((m = re.exec(source)) !== null) {
+        attrs[m[1]] = decodeEntities(m[3] !== undefined ? m[3] : m[4])
+    }
+    return attrs
+}
+
+/**
+ * Give each element its namespace URI (ns) and local name, from the
+ * xmlns declarations in scope.
+ */
+function resolveNamespaces(node, scope) {
+    const inner = Object.assign({}, scope)
+    Object.keys(node.attrs).forEach(function (name) {
+        if (name === 'xmlns') {
+            inner[''] = node.attrs[name]
+        } else if (name.indexOf('xmlns:') === 0) {
+            inner[name.slice(6)] = node.attrs[name]
+        }
+    })
+    const colon = node.name.indexOf(':')
+    node.ns = inner[colon === -1 ? '' : node.name.slice(0, colon)] || ''
+    node.local = colon === -1 ? node.name : node.name.slice(colon + 1)
+    node.children.forEach(function (child) {
+        resolveNamespaces(child, inner)
+    })
+}
+
+/**
+ * Parse an XML document into { name, ns, local, attrs, children, text }
+ * elements. Comments, processing instructions and the doctype are
+ * skipped; CDATA is text.
+ *
+ * @returns {Object} the root element
+ * @throws {Error} on mismatched or unclosed tags, or without a root element
+ */
+function parseXml(text) {
+    const top = { name: '', attrs: {}, children: [], text: '' }
+    const stack = [top]
+    const re = /<!\[CDATA\[([\s\S]*?)\]\]>|<!--[\s\S]*?-->|<\?[\s\S]*?\?>|<!DOCTYPE[^>]*>|<\/([^\s>]+)\s*>|<([^\s/>!?]+)((?:\s+[^\s=/>]+\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*(\/?)>/g
+    let last = 0
+    let m
+    while ((m = re.exec(text)) !== null) {
+        const current = stack[stack.length - 1]
+        current.text += decodeEntities(text.slice(last, m.index))
+        last = re.lastIndex
+        if (m[1] !== undefined) {
+            current.text += m[1]
+        } else if (m[2]) {
+            if (current === top || current.name !== m[2]) {
+                throw new Error('Unexpected closing tag </' + m[2] + '>' + (current === top ? '' : ', expected </' + current.name + '>'))
+            }
+            stack.pop()
+        } else if (m[3]) {
+            const node = { name: m[3], attrs: parseAttributes(m[4] || ''), children: [], text: '' }
+            current.children.push(node)
+            if (!m[5]) {
+                stack.push(node)
+            }
+        }
+    }
+    if (stack.length > 1) {
+        throw new Error('Unclosed element <' + stack[stack.length - 1].name + '>')
+    }
+    if (top.children.length === 0) {
+        throw new Error('No XML root element')
+    }
+    resolveNamespaces(top.children[0], {})
+    return top.children[0]
+}
+
+function childrenOf(node, local, ns) {
+    return node.children.filter(function (c) {
+        return c.local === local && c.ns === (ns || BPMN_NS)
+    })
+}
+
+function childOf(node, local, ns) {
+    return childrenOf(node, local, ns)[0] || null
+}
+
+function textOf(node) {
+    return node ? node.text.trim() : ''
+}
+
+/**
+ * Serialize { name, attrs, children, text } elements with two-space
+ * indentation. Attributes with undefined or null values are left out.
+ */
+function writeXml(node, indent) {
+    indent = indent || ''
+    const attrs = Object.keys(node.attrs || {}).filter(function (name) {
+        return node.attrs[name] !== undefined && node.attrs[name] !== null
+    }).map(function (name) {
+        return ' ' + name + '="' + escapeXml(node.attrs[name]) + '"'
+    }).join('')
+    const children = (node.children || []).filter(function (c) { return c })
+    if (children.length === 0 && !node.text) {
+        return indent + '<' + node.name + attrs + ' />\n'
+    }
+    if (children.length === 0) {
+        return indent + '<' + node.name + attrs + '>' + escapeXml(node.text) + '</' + node.name + '>\n'
+    }
+    return indent + '<' + node.name + attrs + '>\n' +
+        children.map(function (c) { return writeXml(c, indent + '  ') }).join('') +
+        indent + '</' + node.name + '>\n'
+}
+
+function el(name, attrs, children, text) {
+    return { name: name, attrs: attrs || {}, children: children || [], text: text || '' }
+}
+
+// ============================================================
+// Tags
+// ============================================================
+
+function tagValue(elem, name) {
+    const tag = (elem.tags || []).filter(function (t) { return t.name === name })[0]
+    return tag ? tag.value : null
+}
+
+function processTag(elem) {
+    try {
+        const value = JSON.parse(tagValue(elem, PROCESS_TAG) || '{}')
+        return value && typeof value === 'object' ? value : {}
+    } catch (e) {
+        return {}
+    }
+}
+
+// ============================================================
+// Reading the semantic model
+// ============================================================
+
+/**
+ * Flatten a bpmn:definitions element into the elements to create:
+ *
+ *   items: [{ id, tag, type, xml, container }] in creation order
+ *     (containers before their contents, boundary events after the
+ *     activities they are attached to); container is the id of the
+ *     participant, lane or sub-process the element is placed in
+ *   edges: [{ id, type, xml, source, target, container }]
+ *   processes: [{ id, name, isExecutable, participant }]
+ */
+function readDefinitions(defs, warnings) {
+    const items = []
+    const boundaryEvents = []
+    const edges = []
+    const processes = []
+    const collaboration = childOf(defs, 'collaboration')
+    const participants = collaboration ? childrenOf(collaboration, 'participant') : []
+    const poolOfProcess = {}
+
+    participants.forEach(function (p) {
+        items.push({ id: p.attrs.id, tag: 'participant', type: 'BPMNParticipant', xml: p, container: null })
+        if (p.attrs.processRef) {
+            poolOfProcess[p.attrs.processRef] = p.attrs.id
+        }
+    })
+
+    const readLanes = function (laneSet, container, laneOf) {
+        childrenOf(laneSet, 'lane').forEach(function (lane) {
+            items.push({ id: lane.attrs.id, tag: 'lane', type: 'BPMNLane', xml: lane, container: container })
+            childrenOf(lane, 'flowNodeRef').forEach(function (ref) {
+                laneOf[textOf(ref)] = lane.attrs.id
+            })
+            childrenOf(lane, 'childLaneSet').forEach(function (child) {
+                readLanes(child, lane.attrs.id, laneOf)
+            })
+        })
+    }
+
+    const readFlowElements = function (parent, container, laneOf) {
+        parent.children.forEach(function (node) {
+            if (node.ns !== BPMN_NS) {
+                return
+            }
+            if (NODE_TYPES[node.local]) {
+                const item = {
+                    id: node.attrs.id,
+                    tag: node.local,
+                    type: NODE_TYPES[node.local],
+                    xml: node,
+                    container: laneOf[node.attrs.id] || container
+                }
+                if (node.local === 'boundaryEvent') {
+                    boundaryEvents.push(item)
+                } else {
+                    items.push(item)
+                }
+                if (SUB_PROCESS_TAGS.indexOf(node.local) !== -1) {
+                    readFlowElements(node, node.attrs.id, {})
+                }
+                childrenOf(node, 'dataInputAssociation').forEach(function (assoc) {
+                    const source = textOf(childOf(assoc, 'sourceRef'))
+                    if (source) {
+                        edges.push({ id: assoc.attrs.id, type: 'BPMNDataAssociation', xml: assoc, source: source, target: node.attrs.id })
+                    }
+                })
+                childrenOf(node, 'dataOutputAssociation').forEach(function (assoc) {
+                    const target = textOf(childOf(assoc, 'targetRef'))
+                    if (target) {
+                        edges.push({ id: assoc.attrs.id, type: 'BPMNDataAssociation', xml: assoc, source: node.attrs.id, target: target })
+                    }
+                })
+            } else if (node.local === 'sequenceFlow' || node.local === 'association') {
+                edges.push({
+                    id: node.attrs.id,
+                    type: node.local === 'sequenceFlow' ? 'BPMNSequenceFlow' : 'BPMNAssociation',
+                    xml: node,
+                    source: node.attrs.sourceRef,
+                    target: node.attrs.targetRef
+                })
+            } else if (['laneSet', 'dataObject', 'dataStore', 'ioSpecification', 'property', 'extensionElements', 'documentation', 'incoming', 'outgoing', 'flowNodeRef', 'childLaneSet'].indexOf(node.local) === -1 &&
+                    node.local.indexOf('EventDefinition') === -1 && node.local.indexOf('Association') === -1 &&
+                    parent.local === 'process') {
+                warnings.push('Skipped unsupported element <' + node.local + '> "' + (node.attrs.name || node.attrs.id || '') + '"')
+            }
+        })
+    }
+
+    childrenOf(defs, 'process').forEach(function (proc) {
+        const pool = poolOfProcess[proc.attrs.id] || null
+        processes.push({ id: proc.attrs.id, name: proc.attrs.name, isExecutable: proc.attrs.isExecutable, participant: pool })
+        const laneOf = {}
+        childrenOf(proc, 'laneSet').forEach(function (laneSet) {
+            readLanes(laneSet, pool, laneOf)
+        })
+        readFlowElements(proc, pool, laneOf)
+    })
+
+    if (collaboration) {
+        childrenOf(collaboration, 'messageFlow').forEach(function (flow) {
+            edges.push({ id: flow.attrs.id, type: 'BPMNMessageFlow', xml: flow, source: flow.attrs.sourceRef, target: flow.attrs.targetRef })
+        })
+        readFlowElements(collaboration, null, {})
+    }
+
+    return { items: items.concat(boundaryEvents), edges: edges, processes: processes }
+}
+
+/**
+ * Shape bounds and edge waypoints of the first diagram:
+ * { shapes: { id: { x, y, width, height } }, edges: { id: [{ x, y }] } }
+ */
+function readDiagramInterchange(defs, warnings) {
+    const diagrams = childrenOf(defs, 'BPMNDiagram', BPMNDI_NS)
+    const layout = { shapes: {}, edges: {}, name: '' }
+    if (diagrams.length === 0) {
+        return layout
+    }
+    if (diagrams.length > 1) {
+        warnings.push('The file has ' + diagrams.length + ' BPMN diagrams; only the layout of the first is used')
+    }
+    layout.name = diagrams[0].attrs.name || ''
+    const plane = childOf(diagrams[0], 'BPMNPlane', BPMNDI_NS)
+    if (!plane) {
+        return layout
+    }
+    childrenOf(plane, 'BPMNShape', BPMNDI_NS).forEach(function (shape) {
+        const bounds = childOf(shape, 'Bounds', DC_NS)
+        if (bounds && shape.attrs.bpmnElement) {
+            layout.shapes[shape.attrs.bpmnElement] = {
+                x: Math.round(parseFloat(bounds.attrs.x) || 0),
+                y: Math.round(parseFloat(bounds.attrs.y) || 0),
+                width: Math.round(parseFloat(bounds.attrs.width) || 0),
+                height: Math.round(parseFloat(bounds.attrs.height) || 0)
+            }
+        }
+    })
+    childrenOf(plane, 'BPMNEdge', BPMNDI_NS).forEach(function (edge) {
+        if (edge.attrs.bpmnElement) {
+            layout.edges[edge.attrs.bpmnElement] = childrenOf(edge, 'waypoint', DI_NS).map(function (p) {
+                return { x: Math.round(parseFloat(p.attrs.x) || 0), y: Math.round(parseFloat(p.attrs.y) || 0) }
+            })
+        }
+    })
+    return layout
+}
+
+// ============================================================
+// Layout without diagram interchange
+// ============================================================
+
+function sizeOf(tag) {
+    if (/Event$/.test(tag)) {
+        return SIZES.event
+    }
+    if (/Gateway$/.test(tag)) {
+        return SIZES.gateway
+    }
+    if (tag === 'dataObjectReference' || tag === 'dataStoreReference') {
+        return SIZES.data
+    }
+    if (tag === 'textAnnotation' || tag === 'group') {
+        return SIZES.annotation
+    }
+    return SIZES.task
+}
+
+/**
+ * Lay out the elements left to right: a column per step along the
+ * sequence flows, a band per lane (or pool) stacked top to bottom.
+ * Sub-process contents and boundary events get no shape.
+ */
+function autoLayout(read) {
+    const byId = {}
+    read.items.forEach(function (item) { byId[item.id] = item })
+    const isBand = function (item) {
+        return item.tag === 'participant' || item.tag === 'lane'
+    }
+    const hasLanes = {}
+    read.items.forEach(function (item) {
+        if (item.tag === 'lane' && item.container) {
+            hasLanes[item.container] = true
+        }
+    })
+
+    // Step along sequence flows (longest path, bounded for cycles)
+    const rank = {}
+    const nodes = read.items.filter(function (item) {
+        return !isBand(item) && item.tag !== 'boundaryEvent' && (!item.container || isBand(byId[item.container] || {}))
+    })
+    nodes.forEach(function (n) { rank[n.id] = 0 })
+    const flows = read.edges.filter(function (e) { return e.type === 'BPMNSequenceFlow' })
+    for (let pass = 0; pass < nodes.length; pass++) {
+        let changed = false
+        flows.forEach(function (f) {
+            if (rank[f.source] !== undefined && rank[f.target] !== undefined && rank[f.target] < rank[f.source] + 1) {
+                rank[f.target] = rank[f.source] + 1
+                changed = true
+            }
+        })
+        if (!changed) {
+            break
+        }
+    }
+
+    // Bands: leaf lanes, pools without lanes, and one band for elements outside pools
+    const bands = read.items.filter(function (item) { return isBand(item) && !hasLanes[item.id] })
+    const bandOf = function (item) {
+        let band = item.container && byId[item.container] && isBand(byId[item.container]) ? item.container : null
+        while (band && hasLanes[band]) {
+            band = read.items.filter(function (l) { return l.tag === 'lane' && l.container === band })[0].id
+        }
+        return band
+    }
+    const rows = {}
+    const shapes = {}
+    const maxRank = nodes.reduce(function (n, item) { return Math.max(n, rank[item.id]) }, 0)
+    const width = 150 + (maxRank + 1) * 160
+    let top = 40
+    const bandIds = bands.map(function (b) { return b.id })
+    if (nodes.some(function (n) { return bandOf(n) === null })) {
+        bandIds.push(null)
+    }
+    bandIds.forEach(function (bandId) {
+        const members = nodes.filter(function (n) { return bandOf(n) === bandId })
+        const slots = {}
+        members.forEach(function (n) {
+            slots[rank[n.id]] = (slots[rank[n.id]] || 0) + 1
+            rows[n.id] = slots[rank[n.id]] - 1
+        })
+        const height = Math.max(1, Object.keys(slots).reduce(function (h, k) { return Math.max(h, slots[k]) }, 0)) * 110 + 20
+        members.forEach(function (n) {
+            const size = sizeOf(n.tag)
+            shapes[n.id] = {
+                x: 130 + rank[n.id] * 160 + (100 - size.width) / 2,
+                y: top + 20 + rows[n.id] * 110 + (80 - size.height) / 2,
+                width: size.width,
+                height: size.height
+            }
+        })
+        if (bandId !== null) {
+            shapes[bandId] = byId[bandId].tag === 'lane'
+                ? { x: 80, y: top, width: width - 30, height: height }
+                : { x: 50, y: top, width: width, height: height }
+        }
+        top += height + (bandId !== null && byId[bandId].tag === 'participant' ? 40 : 0)
+    })
+
+    // Pools with lanes span their lanes
+    read.items.filter(function (item) { return isBand(item) && hasLanes[item.id] }).reverse().forEach(function (band) {
+        const lanes = read.items.filter(function (item) { return item.container === band.id && shapes[item.id] })
+        if (lanes.length > 0) {
+            const y1 = Math.min.apply(null, lanes.map(function (l) { return shapes[l.id].y }))
+            const y2 = Math.max.apply(null, lanes.map(function (l) { return shapes[l.id].y + shapes[l.id].height }))
+            shapes[band.id] = { x: 50, y: y1, width: width, height: y2 - y1 }
+        }
+    })
+
+    // Boundary events sit on the bottom edge of their activity
+    read.items.filter(function (item) { return item.tag === 'boundaryEvent' }).forEach(function (item) {
+        const host = shapes[item.xml.attrs.attachedToRef]
+        if (host) {
+            shapes[item.id] = { x: host.x + host.width / 2 - 18, y: host.y + host.height - 18, width: 36, height: 36 }
+        }
+    })
+    return { shapes: shapes, edges: {}, name: '' }
+}
+
+// ============================================================
+// Import
+// ============================================================
+
+/**
+ * Create a model, with a view when it has bounds: inside the container
+ * view, as POST /api/bpmn/<resource> with tailViewId does.
+ */
+function createNode(ctx, typeName, parent, bounds, containerView, initializer) {
+    if (!bounds) {
+        return { model: app.factory.createModel({ id: typeName, parent: parent, modelInitializer: initializer }), view: null }
+    }
+    const options = {
+        id: typeName,
+        parent: parent,
+        diagram: ctx.diagram,
+        x1: bounds.x,
+        y1: bounds.y,
+        x2: bounds.x + bounds.width,
+        y2: bounds.y + bounds.height,
+        modelInitializer: initializer
+    }
+    if (containerView) {
+        options.tailView = containerView
+        options.tailModel = containerView.model
+    }
+    const view = app.factory.createModelAndView(options)
+    return { model: view ? view.model || view : null, view: view || null }
+}
+
+function initializerFor(item) {
+    const xml = item.xml
+    return function (m) {
+        if (xml.attrs.name) {
+            m.name = xml.attrs.name
+        }
+        const documentation = textOf(childOf(xml, 'documentation'))
+        if (documentation) {
+            m.documentation = documentation
+        }
+        if (item.tag === 'scriptTask' && 'script' in m) {
+            m.script = textOf(childOf(xml, 'script'))
+        }
+        if (item.tag === 'textAnnotation' && 'text' in m) {
+            m.text = textOf(childOf(xml, 'text'))
+        }
+    }
+}
+
+function createEventDefinitions(item, model) {
+    item.xml.children.forEach(function (def) {
+        const typeName = def.ns === BPMN_NS ? EVENT_DEFINITION_TYPES[def.local] : null
+        if (!typeName) {
+            return
+        }
+        const created = app.factory.createModel({ id: typeName, parent: model, field: 'eventDefinitions' })
+        if (def.attrs.id) {
+            h.createTag(created, BPMN_ID_TAG, def.attrs.id)
+        }
+        ;(DEFINITION_EXPRESSIONS[def.local] || []).forEach(function (name) {
+            const expr = textOf(childOf(def, name))
+            if (expr) {
+                h.createTag(created, name, expr)
+            }
+        })
+    })
+}
+
+/**
+ * Create the edge of a flow; with a view when both ends are shown.
+ */
+function createEdge(ctx, edge, source, target, points) {
+    const xml = edge.xml
+    const initializer = function (m) {
+        if (xml.attrs.name) {
+            m.name = xml.attrs.name
+        }
+        const documentation = textOf(childOf(xml, 'documentation'))
+        if (documentation) {
+            m.documentation = documentation
+        }
+        const condition = textOf(childOf(xml, 'conditionExpression'))
+        if (condition && 'condition' in m) {
+            m.condition = condition
+        }
+    }
+    if (source.view && target.view) {
+        const view = app.factory.createModelAndView({
+            id: edge.type,
+            parent: ctx.root,
+            diagram: ctx.diagram,
+            tailView: source.view,
+            headView: target.view,
+            tailModel: source.model,
+            headModel: target.model,
+            modelInitializer: initializer
+        })
+        if (view && points) {
+            h.setEdgeWaypoints(view, points)
+        }
+        return view ? view.model || view : null
+    }
+    return app.factory.createModel({
+        id: edge.type,
+        parent: ctx.root,
+        modelInitializer: function (m) {
+            m.source = source.model
+            m.target = target.model
+            initializer(m)
+        }
+    })
+}
+
+/**
+ * Import BPMN 2.0 XML as a new BPMNDiagram.
+ *
+ * @param {string} text - the XML document
+ * @param {Object} options - { name }: diagram name (default: the name of
+ *   the BPMN diagram, of the first process, or "Imported Process")
+ * @returns {Object} { diagram, counts: { <StarUML type>: n }, warnings }
+ * @throws {Error} when the text is not BPMN 2.0 XML
+ */
+function importXml(text, options) {
+    const defs = parseXml(text)
+    if (defs.local !== 'definitions' || defs.ns !== BPMN_NS) {
+        throw new Error('Not a BPMN 2.0 document: the root element is <' + defs.name + '>, expected <definitions> in namespace ' + BPMN_NS)
+    }
+    const warnings = []
+    const read = readDefinitions(defs, warnings)
+    if (read.items.length === 0) {
+        throw new Error('The document has no participants, flow nodes or artifacts')
+    }
+    let layout = readDiagramInterchange(defs, warnings)
+    if (Object.keys(layout.shapes).length === 0) {
+        layout = Object.assign(autoLayout(read), { name: layout.name })
+    }
+
+    const diagramName = (options && options.name) || layout.name ||
+        (read.processes[0] && read.processes[0].name) || 'Imported Process'
+    const diagram = app.factory.createDiagram({
+        id: 'BPMNDiagram',
+        parent: app.project.getProject(),
+        diagramInitializer: function (d) {
+            d.name = diagramName
+        }
+    })
+    const ctx = { diagram: diagram, root: diagram._parent || app.project.getProject() }
+    const created = {}
+    const counts = {}
+    const count = function (model) {
+        const name = model.constructor.name
+        counts[name] = (counts[name] || 0) + 1
+    }
+
+    read.items.forEach(function (item) {
+        const container = item.container ? created[item.container] : null
+        let host = container
+        if (item.tag === 'boundaryEvent') {
+            host = created[item.xml.attrs.attachedToRef] || container
+        }
+        const bounds = layout.shapes[item.id] || null
+        if (!bounds && Object.keys(layout.shapes).length > 0 && item.tag !== 'boundaryEvent') {
+            warnings.push('No shape for ' + item.tag + ' "' + (item.xml.attrs.name || item.id) + '"; imported without a view')
+        }
+        const parent = container ? container.model : ctx.root
+        const containerView = host && host.view && bounds ? host.view : null
+        const result = createNode(ctx, item.type, parent, bounds, containerView, initializerFor(item))
+        if (!result.model) {
+            warnings.push('Could not create ' + item.tag + ' "' + (item.xml.attrs.name || item.id) + '"')
+            return
+        }
+        if (item.tag === 'boundaryEvent' && created[item.xml.attrs.attachedToRef] && 'attachedToRef' in result.model) {
+            app.engine.setProperty(result.model, 'attachedToRef', created[item.xml.attrs.attachedToRef].model)
+        }
+        h.createTag(result.model, BPMN_ID_TAG, item.id)
+        if (item.tag === 'scriptTask' && item.xml.attrs.scriptFormat) {
+            h.createTag(result.model, 'scriptFormat', item.xml.attrs.scriptFormat)
+        }
+        createEventDefinitions(item, result.model)
+        created[item.id] = result
+        count(result.model)
+    })
+
+    read.processes.forEach(function (proc) {
+        const owner = proc.participant && created[proc.participant] ? created[proc.participant].model : diagram
+        const value = { id: proc.id }
+        if (proc.name) {
+            value.name = proc.name
+        }
+        if (proc.isExecutable !== undefined) {
+            value.isExecutable = proc.isExecutable === 'true'
+        }
+        h.createTag(owner, PROCESS_TAG, JSON.stringify(value))
+    })
+
+    read.edges.forEach(function (edge) {
+        const source = created[edge.source]
+        const target = created[edge.target]
+        if (!source || !target) {
+            warnings.push('Skipped ' + edge.type.replace('BPMN', '') + ' "' + (edge.id || '') + '": ' + (!source ? edge.source : edge.target) + ' was not imported')
+            return
+        }
+        const model = createEdge(ctx, edge, source, target, layout.edges[edge.id] || null)
+        if (!model) {
+            warnings.push('Could not create ' + edge.type.replace('BPMN', '') + ' "' + (edge.id || '') + '"')
+            return
+        }
+        if (edge.id) {
+            h.createTag(model, BPMN_ID_TAG, edge.id)
+        }
+        count(model)
+    })
+
+    return { diagram: diagram, counts: counts, warnings: warnings }
+}
+
+// ============================================================
+// Export
+// ============================================================
+
+function boundsOf(view) {
+    return { x: view.left || 0, y: view.top || 0, width: view.width || 0, height: view.height || 0 }
+}
+
+function contains(outer, inner) {
+    const cx = inner.x + inner.width / 2
+    const cy = inner.y + inner.height / 2
+    return cx >= outer.x && cx <= outer.x + outer.width && cy >= outer.y && cy <= outer.y + outer.height
+}
+
+function edgePoints(view) {
+    const points = []
+    if (view.points && typeof view.points.count === 'function') {
+        for (let i = 0; i < view.points.count(); i++) {
+            points.push(view.points.getPoint(i))
+        }
+    } else if (view.points && Array.isArray(view.points.points)) {
+        points.push.apply(points, view.points.points)
+    }
+    if (points.length < 2 && view.tail && view.head) {
+        const center = function (v) {
+            const b = boundsOf(v)
+            return { x: b.x + b.width / 2, y: b.y + b.height / 2 }
+        }
+        return [center(view.tail), center(view.head)]
+    }
+    return points.map(function (p) { return { x: Math.round(p.x), y: Math.round(p.y) } })
+}
+
+/**
+ * All views of a diagram, including the ones nested in container views.
+ */
+function diagramViews(diagram) {
+    const result = []
+    const visit = function (views) {
+        (views || []).forEach(function (v) {
+            if (result.indexOf(v) === -1) {
+                result.push(v)
+                visit(v.containedViews)
+            }
+        })
+    }
+    visit(diagram.ownedViews)
+    return result
+}
+
+/**
+ * The innermost element of one of `types` holding `model`: an owner in the
+ * model, or else the smallest view of that kind around its view.
+ */
+function enclosing(model, view, types, candidates) {
+    for (let owner = model._parent; owner; owner = owner._parent) {
+        if (types.indexOf(owner.constructor.name) !== -1) {
+            return owner
+        }
+    }
+    if (!view) {
+        return null
+    }
+    const b = boundsOf(view)
+    let best = null
+    candidates.forEach(function (c) {
+        if (c.model !== model && types.indexOf(c.model.constructor.name) !== -1 && contains(boundsOf(c), b)) {
+            if (!best || boundsOf(c).width * boundsOf(c).height < boundsOf(best).width * boundsOf(best).height) {
+                best = c
+            }
+        }
+    })
+    return best ? best.model : null
+}
+
+function createIdMaker() {
+    const used = {}
+    const ids = new Map()
+    return function (elem, prefix) {
+        if (ids.has(elem)) {
+            return ids.get(elem)
+        }
+        let base = tagValue(elem, BPMN_ID_TAG) || (prefix + '_' + String(elem._id).replace(/[^A-Za-z0-9_.-]/g, '_'))
+        if (!/^[A-Za-z_]/.test(base)) {
+            base = '_' + base
+        }
+        let id = base
+        for (let n = 2; used[id]; n++) {
+            id = base + '_' + n
+        }
+        used[id] = true
+        ids.set(elem, id)
+        return id
+    }
+}
+
+function prefixOf(typeName) {
+    const tag = NODE_TAGS[typeName] || ''
+    return tag.charAt(0).toUpperCase() + tag.slice(1)
+}
+
+function documentationOf(model) {
+    return model.documentation ? el('bpmn:documentation', {}, [], model.documentation) : null
+}
+
+function expression(name, text) {
+    return el('bpmn:' + name, { 'xsi:type': 'bpmn:tFormalExpression' }, [], text)
+}
+
+/**
+ * Export the BPMN elements shown on a diagram as BPMN 2.0 XML.
+ *
+ * @param {BPMNDiagram} diagram
+ * @param {Object} options - { path }: write the XML to this file
+ * @returns {Object} { text, counts: { <StarUML type>: n }, warnings }
+ */
+function exportXml(diagram, options) {
+    const warnings = []
+    const idOf = createIdMaker()
+    const views = diagramViews(diagram)
+    const nodeViews = views.filter(function (v) {
+        return v.model && !v.tail && (NODE_TAGS[v.model.constructor.name] || v.model instanceof type.BPMNParticipant || v.model instanceof type.BPMNLane)
+    })
+    const edgeViews = views.filter(function (v) {
+        return v.model && v.tail && v.head && ['BPMNSequenceFlow', 'BPMNMessageFlow', 'BPMNAssociation', 'BPMNDataAssociation'].indexOf(v.model.constructor.name) !== -1
+    })
+    const viewOf = new Map()
+    nodeViews.forEach(function (v) {
+        if (!viewOf.has(v.model)) {
+            viewOf.set(v.model, v)
+        }
+    })
+    const counts = {}
+    const count = function (model) {
+        counts[model.constructor.name] = (counts[model.constructor.name] || 0) + 1
+    }
+
+    const pools = nodeViews.filter(function (v) { return v.model instanceof type.BPMNParticipant })
+    const lanes = nodeViews.filter(function (v) { return v.model instanceof type.BPMNLane })
+    const nodes = nodeViews.filter(function (v) { return NODE_TAGS[v.model.constructor.name] })
+    const poolOf = function (model) {
+        return enclosing(model, viewOf.get(model), ['BPMNParticipant'], pools)
+    }
+
+    // Processes: one per pool, and one for the nodes outside pools
+    const processes = new Map()
+    const processFor = function (pool) {
+        if (!processes.has(pool)) {
+            const tag = processTag(pool || diagram)
+            const name = tag.name || (pool ? pool.name : diagram.name)
+            processes.set(pool, {
+                xml: el('bpmn:process', {
+                    id: tag.id || (pool ? 'Process_' + idOf(pool, 'Participant') : 'Process_' + idOf(diagram, 'Diagram')),
+                    name: name || undefined,
+                    isExecutable: String(tag.isExecutable === true)
+                }),
+                laneSet: null,
+                flows: [],
+                contents: new Map()
+            })
+        }
+        return processes.get(pool)
+    }
+    pools.forEach(function (v) { processFor(v.model) })
+
+    // Lanes, nested by model ownership or geometry
+    const laneXml = new Map()
+    const laneOf = function (model) {
+        return enclosing(model, viewOf.get(model), ['BPMNLane'], lanes)
+    }
+    lanes.forEach(function (v) {
+        const lane = v.model
+        laneXml.set(lane, el('bpmn:lane', { id: idOf(lane, 'Lane'), name: lane.name || undefined }, [documentationOf(lane)]))
+        count(lane)
+    })
+    lanes.forEach(function (v) {
+        const lane = v.model
+        const parentLane = laneOf(lane)
+        if (parentLane && laneXml.has(parentLane)) {
+            const parent = laneXml.get(parentLane)
+            let childSet = parent.children.filter(function (c) { return c && c.name === 'bpmn:childLaneSet' })[0]
+            if (!childSet) {
+                childSet = el('bpmn:childLaneSet', { id: 'LaneSet_' + idOf(lane, 'Lane') })
+                parent.children.push(childSet)
+            }
+            childSet.children.push(laneXml.get(lane))
+        } else {
+            const proc = processFor(poolOf(lane))
+            if (!proc.laneSet) {
+                proc.laneSet = el('bpmn:laneSet', { id: 'LaneSet_' + proc.xml.attrs.id })
+            }
+            proc.laneSet.children.push(laneXml.get(lane))
+        }
+    })
+
+    // Flow nodes and artifacts
+    const nodeXml = new Map()
+    const subProcessOf = function (model) {
+        return enclosing(model, viewOf.get(model), ['BPMNSubProcess', 'BPMNAdHocSubProcess', 'BPMNTransaction'], nodes)
+    }
+    const dataObjects = []
+    nodes.forEach(function (v) {
+        const model = v.model
+        const tagName = NODE_TAGS[model.constructor.name]
+        const attrs = { id: idOf(model, prefixOf(model.constructor.name)), name: model.name || undefined }
+        const children = [documentationOf(model)]
+        if (tagName === 'scriptTask') {
+            if (tagValue(model, 'scriptFormat')) {
+                attrs.scriptFormat = tagValue(model, 'scriptFormat')
+            }
+            if (model.script) {
+                children.push(el('bpmn:script', {}, [], model.script))
+            }
+        } else if (tagName === 'textAnnotation') {
+            children.push(model.text ? el('bpmn:text', {}, [], model.text) : null)
+        } else if (tagName === 'dataObjectReference') {
+            const dataObjectId = 'DataObject_' + attrs.id
+            attrs.dataObjectRef = dataObjectId
+            dataObjects.push({ model: model, xml: el('bpmn:dataObject', { id: dataObjectId }) })
+        } else if (tagName === 'boundaryEvent') {
+            let host = model.attachedToRef || null
+            if (!host) {
+                const b = boundsOf(v)
+                const hostView = nodes.filter(function (n) {
+                    return n !== v && !/Event$|Gateway$/.test(n.model.constructor.name) && contains(boundsOf(n), b)
+                })[0]
+                host = hostView ? hostView.model : null
+            }
+            if (host) {
+                attrs.attachedToRef = idOf(host, prefixOf(host.constructor.name))
+            } else {
+                warnings.push('Boundary event "' + (model.name || model._id) + '" is not attached to an activity')
+            }
+        }
+        ;(model.eventDefinitions || []).forEach(function (def) {
+            const defTag = EVENT_DEFINITION_TAGS[def.constructor.name]
+            if (defTag) {
+                children.push(el('bpmn:' + defTag, { id: idOf(def, defTag.charAt(0).toUpperCase() + defTag.slice(1)) },
+                    (DEFINITION_EXPRESSIONS[defTag] || []).map(function (name) {
+                        const value = tagValue(def, name)
+                        return value ? expression(name, value) : null
+                    })))
+            }
+        })
+        nodeXml.set(model, el('bpmn:' + tagName, attrs, children))
+        count(model)
+    })
+    const containerXml = function (model) {
+        const sub = subProcessOf(model)
+        if (sub && nodeXml.has(sub)) {
+            return nodeXml.get(sub)
+        }
+        return processFor(poolOf(model)).xml
+    }
+    nodes.forEach(function (v) {
+        const model = v.model
+        containerXml(model).children.push(nodeXml.get(model))
+        const lane = subProcessOf(model) || FLOW_NODE_EXCLUDED.indexOf(model.constructor.name) !== -1 ? null : laneOf(model)
+        if (lane && laneXml.has(lane)) {
+            laneXml.get(lane).children.push(el('bpmn:flowNodeRef', {}, [], nodeXml.get(model).attrs.id))
+        }
+    })
+    dataObjects.forEach(function (d) {
+        const container = containerXml(d.model)
+        container.children.splice(container.children.indexOf(nodeXml.get(d.model)), 0, d.xml)
+    })
+
+    // Flows
+    const messageFlows = []
+    const collaborationArtifacts = []
+    const exportedEdges = []
+    edgeViews.forEach(function (v) {
+        const model = v.model
+        const source = v.tail.model
+        const target = v.head.model
+        const sourceId = nodeXml.has(source) || source instanceof type.BPMNParticipant ? idOf(source, prefixOf(source.constructor.name) || 'Participant') : null
+        const targetId = nodeXml.has(target) || target instanceof type.BPMNParticipant ? idOf(target, prefixOf(target.constructor.name) || 'Participant') : null
+        if (!sourceId || !targetId) {
+            warnings.push('Skipped ' + model.constructor.name.replace('BPMN', '') + ' "' + (model.name || model._id) + '": an end is not a BPMN flow element on the diagram')
+            return
+        }
+        const typeName = model.constructor.name
+        if (typeName === 'BPMNMessageFlow') {
+            messageFlows.push(el('bpmn:messageFlow', { id: idOf(model, 'MessageFlow'), name: model.name || undefined, sourceRef: sourceId, targetRef: targetId }, [documentationOf(model)]))
+        } else if (typeName === 'BPMNSequenceFlow') {
+            const flow = el('bpmn:sequenceFlow', { id: idOf(model, 'SequenceFlow'), name: model.name || undefined, sourceRef: sourceId, targetRef: targetId },
+                [documentationOf(model), model.condition ? expression('conditionExpression', model.condition) : null])
+            containerXml(source).children.push(flow)
+            nodeXml.get(source).children.push(el('bpmn:outgoing', {}, [], flow.attrs.id))
+            nodeXml.get(target).children.push(el('bpmn:incoming', {}, [], flow.attrs.id))
+        } else if (typeName === 'BPMNAssociation') {
+            const assoc = el('bpmn:association', { id: idOf(model, 'Association'), sourceRef: sourceId, targetRef: targetId })
+            if (source instanceof type.BPMNParticipant) {
+                collaborationArtifacts.push(assoc)
+            } else {
+                containerXml(source).children.push(assoc)
+            }
+        } else {
+            const isInput = source instanceof type.BPMNDataObject || source instanceof type.BPMNDataStore
+            const activity = isInput ? target : source
+            if (!nodeXml.has(activity) || activity instanceof type.BPMNDataObject || activity instanceof type.BPMNDataStore) {
+                warnings.push('Skipped data association "' + (model.name || model._id) + '": it must connect a data object or store with an activity or event')
+                return
+            }
+            if (isInput) {
+                // An input association targets a property of the activity, as bpmn.io writes it
+                const assocId = idOf(model, 'DataInputAssociation')
+                nodeXml.get(activity).children.push(
+                    el('bpmn:property', { id: 'Property_' + assocId, name: '__targetRef_placeholder' }),
+                    el('bpmn:dataInputAssociation', { id: assocId }, [el('bpmn:sourceRef', {}, [], sourceId), el('bpmn:targetRef', {}, [], 'Property_' + assocId)]))
+            } else {
+                nodeXml.get(activity).children.push(
+                    el('bpmn:dataOutputAssociation', { id: idOf(model, 'DataOutputAssociation') }, [el('bpmn:targetRef', {}, [], targetId)]))
+            }
+        }
+        if (typeName !== 'BPMNMessageFlow' || pools.length > 0) {
+            exportedEdges.push(v)
+            count(model)
+        }
+    })
+
+    // BPMN wants documentation, incoming, outgoing and properties before the rest
+    const ORDER = ['bpmn:documentation', 'bpmn:incoming', 'bpmn:outgoing', 'bpmn:property']
+    nodeXml.forEach(function (xml) {
+        const rank = function (c) {
+            const i = c ? ORDER.indexOf(c.name) : -1
+            return i === -1 ? ORDER.length : i
+        }
+        xml.children = xml.children.filter(function (c) { return c }).map(function (c, i) { return { c: c, i: i } })
+            .sort(function (a, b) { return rank(a.c) - rank(b.c) || a.i - b.i })
+            .map(function (x) { return x.c })
+    })
+
+    // Definitions
+    const definitions = el('bpmn:definitions', {
+        'xmlns:bpmn': BPMN_NS,
+        'xmlns:bpmndi': BPMNDI_NS,
+        'xmlns:dc': DC_NS,
+        'xmlns:di': DI_NS,
+        'xmlns:xsi': XSI_NS,
+        id: 'Definitions_' + idOf(diagram, 'Diagram'),
+        targetNamespace: 'http://bpmn.io/schema/bpmn',
+        exporter: 'StarUML Controller'
+    })
+    let planeElement = null
+    if (pools.length > 0) {
+        const collaboration = el('bpmn:collaboration', { id: 'Collaboration_' + idOf(diagram, 'Diagram') })
+        pools.forEach(function (v) {
+            const pool = v.model
+            const proc = processes.get(pool)
+            // A pool with nothing in it and no imported process is a black box
+            if (proc.xml.children.length === 0 && !proc.laneSet && !processTag(pool).id) {
+                processes.delete(pool)
+            }
+            collaboration.children.push(el('bpmn:participant', { id: idOf(pool, 'Participant'), name: pool.name || undefined, processRef: processes.has(pool) ? proc.xml.attrs.id : undefined }, [documentationOf(pool)]))
+            count(pool)
+        })
+        collaboration.children.push.apply(collaboration.children, messageFlows)
+        collaboration.children.push.apply(collaboration.children, collaborationArtifacts)
+        definitions.children.push(collaboration)
+        planeElement = collaboration.attrs.id
+        if (processes.has(null)) {
+            warnings.push('Elements outside any pool are exported in process "' + processes.get(null).xml.attrs.id + '", which no pool shows')
+        }
+    } else {
+        planeElement = processFor(null).xml.attrs.id
+        if (messageFlows.length > 0) {
+            warnings.push('Message flows need pools; ' + messageFlows.length + ' message flow(s) not exported')
+        }
+    }
+    processes.forEach(function (proc) {
+        if (proc.laneSet) {
+            proc.xml.children.unshift(proc.laneSet)
+        }
+        definitions.children.push(proc.xml)
+    })
+
+    // Diagram interchange
+    const plane = el('bpmndi:BPMNPlane', { id: 'BPMNPlane_' + idOf(diagram, 'Diagram'), bpmnElement: planeElement })
+    const shapeOf = function (v, elementId, extra) {
+        const b = boundsOf(v)
+        return el('bpmndi:BPMNShape', Object.assign({ id: elementId + '_di', bpmnElement: elementId }, extra), [
+            el('dc:Bounds', { x: b.x, y: b.y, width: b.width, height: b.height })
+        ])
+    }
+    pools.concat(lanes).forEach(function (v) {
+        plane.children.push(shapeOf(v, idOf(v.model), { isHorizontal: 'true' }))
+    })
+    nodes.forEach(function (v) {
+        const typeName = v.model.constructor.name
+        const extra = {}
+        if (['BPMNSubProcess', 'BPMNAdHocSubProcess', 'BPMNTransaction'].indexOf(typeName) !== -1) {
+            extra.isExpanded = 'true'
+        }
+        if (typeName === 'BPMNExclusiveGateway') {
+            extra.isMarkerVisible = 'true'
+        }
+        plane.children.push(shapeOf(v, idOf(v.model), extra))
+    })
+    exportedEdges.forEach(function (v) {
+        const id = idOf(v.model)
+        plane.children.push(el('bpmndi:BPMNEdge', { id: id + '_di', bpmnElement: id }, edgePoints(v).map(function (p) {
+            return el('di:waypoint', { x: p.x, y: p.y })
+        })))
+    })
+    definitions.children.push(el('bpmndi:BPMNDiagram', { id: 'BPMNDiagram_' + idOf(diagram, 'Diagram'), name: diagram.name || undefined }, [plane]))
+
+    const text = '<?xml version="1.0" encoding="UTF-8"?>\n' + writeXml(definitions)
+    if (options && options.path) {
+        fs.writeFileSync(options.path, text, 'utf8')
+    }
+    return { text: text, counts: counts, warnings: warnings }
+}
+
+// ============================================================
+// Public API
+// ============================================================
+
+exports.importXml = importXml
+exports.exportXml = exportXml
+exports.parseXml = parseXml
+exports.BPMN_NS = BPMN_NS
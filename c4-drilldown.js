@@ -0,0 +1,332 @@
+/**
+ * C4 drill-down diagrams for StarUML Controller
+ *
+ * Generates the next-level C4 diagram of an element:
+ *
+ *   C4SoftwareSystem  ->  container diagram: its containers, and every
+ *                         person or software system connected to the
+ *                         system or anything in it by a C4Relationship
+ *   C4Container       ->  component diagram: its components, and the
+ *                         containers of the same software system and the
+ *                         people and software systems connected to it
+ *
+ * A container belongs to the software system that owns it, or whose view
+ * contains its view (a component likewise to its container), so elements
+ * created flat by the C4 CRUD API and placed inside a boundary count too.
+ *
+ * Relationships are drawn between the shown elements that contain their
+ * ends. Relationships made directly between two shown elements are drawn
+ * as they are; otherwise the lower-level relationships between the pair
+ * are aggregated into one, named after their labels, with their
+ * technologies merged ("JSON/HTTPS, JDBC"). Aggregated relationships are
+ * implied relationships in the Structurizr sense: they are created once,
+ * tagged `structurizrImplied`, updated on the next drill-down, and left
+ * out of the Structurizr DSL export. The next drill-down also deletes the
+ * implied relationships that no longer aggregate any relationship.
+ */
+
+const h = require('./handlers/shared-helpers')
+const structurizrDsl = require('./structurizr-dsl')
+
+const LEVELS = {
+    C4SoftwareSystem: { childType: 'C4Container', view: 'container', title: 'Containers' },
+    C4Container: { childType: 'C4Component', view: 'component', title: 'Components' }
+}
+
+const PARENT_TYPES = {
+    C4Container: ['C4SoftwareSystem'],
+    C4Component: ['C4Container', 'C4SoftwareSystem']
+}
+
+const CELL = { width: 260, height: 220, margin: 40 }
+
+// ============================================================
+// Hierarchy
+// ============================================================
+
+function parentOf(model) {
+    const types = PARENT_TYPES[h.typeOf(model)] || []
+    for (let i = 0; i < types.length; i++) {
+        const parent = structurizrDsl.enclosingOf(model, types[i])
+        if (parent) {
+            return parent
+        }
+    }
+    return null
+}
+
+/**
+ * The element itself followed by its software system / container
+ * ancestors, innermost first.
+ */
+function chainOf(model) {
+    const chain = []
+    for (let m = model; m && chain.indexOf(m) === -1; m = parentOf(m)) {
+        chain.push(m)
+    }
+    return chain
+}
+
+/**
+ * The containers of a software system, or the components of a container.
+ */
+function childrenOf(element) {
+    const level = LEVELS[h.typeOf(element)]
+    if (!level) {
+        return []
+    }
+    return app.repository.select('@' + level.childType).filter(function (m) {
+        return parentOf(m) === element
+    })
+}
+
+/**
+ * The element shown on the drill-down diagram of `scope` for `model`: a
+ * child of the scope, a sibling of a container scope, or the outermost
+ * ancestor. Null for the scope itself and its software system.
+ */
+function representative(scope, model) {
+    const chain = chainOf(model)
+    const outer = [scope]
+    if (h.typeOf(scope) === 'C4Container') {
+        const system = parentOf(scope)
+        if (system) {
+            outer.push(system)
+        }
+    }
+    for (let i = 0; i < outer.length; i++) {
+        const at = chain.indexOf(outer[i])
+        if (at !== -1) {
+            return at === 0 ? null : chain[at - 1]
+        }
+    }
+    return chain[chain.length - 1]
+}
+
+function isWithin(model, scope) {
+    return chainOf(model).indexOf(scope) !== -1
+}
+
+// ============================================================
+// Relationships
+// ============================================================
+
+function isImplied(rel) {
+    return (rel.tags || []).some(function (t) { return t.name === structurizrDsl.IMPLIED_TAG })
+}
+
+/**
+ * Implied relationships with no explicit relationship left between the
+ * elements their ends contain, other than one between the ends themselves.
+ */
+function staleImplied(relations, explicit) {
+    return relations.filter(function (r) {
+        return isImplied(r) && !explicit.some(function (rel) {
+            return !(rel.source === r.source && rel.target === r.target) &&
+                isWithin(rel.source, r.source) && isWithin(rel.target, r.target)
+        })
+    })
+}
+
+/**
+ * Unique non-empty values in order of appearance, each value split on
+ * `separator` first when given.
+ */
+function mergeLabels(values, separator) {
+    const result = []
+    values.forEach(function (value) {
+        const parts = separator ? String(value || '').split(separator) : [String(value || '')]
+        parts.forEach(function (p) {
+            const label = p.trim()
+            if (label && result.indexOf(label) === -1) {
+                result.push(label)
+            }
+        })
+    })
+    return result
+}
+
+/**
+ * The implied relationship from `source` to `target` carrying the merged
+ * labels of `lower`, reused when an earlier drill-down created it.
+ */
+function aggregate(source, target, lower, relations) {
+    const name = mergeLabels(lower.map(function (r) { return r.name })).join('; ')
+    const technology = mergeLabels(lower.map(function (r) { return r.technology }), ',').join(', ')
+    const existing = relations.filter(function (r) {
+        return isImplied(r) && r.source === source && r.target === target
+    })[0]
+    if (existing) {
+        if ((existing.name || '') !== name) {
+            app.engine.setProperty(existing, 'name', name)
+        }
+        if ((existing.technology || '') !== technology) {
+            app.engine.setProperty(existing, 'technology', technology)
+        }
+        return { model: existing, created: false }
+    }
+    const model = app.factory.createModel({
+        id: 'C4Relationship',
+        parent: source,
+        modelInitializer: function (m) {
+            m.source = source
+            m.target = target
+            m.name = name
+            m.technology = technology
+        }
+    })
+    h.createFlag(model, structurizrDsl.IMPLIED_TAG)
+    return { model: model, created: true }
+}
+
+// ============================================================
+// Layout
+// ============================================================
+
+/**
+ * Grid positions in rows: people, the children of the scope, the rest.
+ */
+function layout(scope, shown) {
+    const ranks = [[], [], []]
+    shown.forEach(function (m) {
+        if (h.typeOf(m) === 'C4Person') {
+            ranks[0].push(m)
+        } else {
+            ranks[isWithin(m, scope) ? 1 : 2].push(m)
+        }
+    })
+    const rows = ranks.filter(function (r) { return r.length > 0 })
+    const widest = Math.max.apply(null, rows.map(function (r) { return r.length }))
+    const positions = new Map()
+    rows.forEach(function (row, r) {
+        row.forEach(function (m, i) {
+            positions.set(m, {
+                x: CELL.margin + Math.round(((widest - row.length) / 2 + i) * CELL.width),
+                y: CELL.margin + r * CELL.height
+            })
+        })
+    })
+    return positions
+}
+
+// ============================================================
+// Drill-down
+// ============================================================
+
+/**
+ * Create the container diagram of a software system, or the component
+ * diagram of a container.
+ *
+ * @param {Object} element - C4SoftwareSystem or C4Container
+ * @param {Object} options - { name }: diagram name (default: "<element> -
+ *   Containers" / "<element> - Components")
+ * The active diagram is restored afterwards.
+ *
+ * @returns {Object} { diagram, children, externals, relationships: [{
+ *   model, aggregated: number of lower-level relationships, created }],
+ *   removed: deleted stale implied relationships }
+ * @throws {Error} when the element is of another type or has no children
+ */
+function drillDown(element, options) {
+    const level = LEVELS[h.typeOf(element)]
+    if (!level) {
+        throw new Error('"' + (element.name || element._id) + '" is a ' + h.typeOf(element) + ', not a C4SoftwareSystem or C4Container')
+    }
+    const children = childrenOf(element)
+    if (children.length === 0) {
+        throw new Error('"' + (element.name || element._id) + '" has no ' + level.title.toLowerCase() + ' to drill down to')
+    }
+
+    let relations = app.repository.select('@C4Relationship')
+    const explicit = relations.filter(function (r) { return r.source && r.target && !isImplied(r) })
+    const removed = staleImplied(relations, explicit)
+    if (removed.length > 0) {
+        app.engine.deleteElements(removed, [])
+        relations = relations.filter(function (r) { return removed.indexOf(r) === -1 })
+    }
+
+    const externals = []
+    explicit.forEach(function (rel) {
+        const sourceIn = isWithin(rel.source, element)
+        const targetIn = isWithin(rel.target, element)
+        if (sourceIn === targetIn) {
+            return
+        }
+        const other = representative(element, sourceIn ? rel.target : rel.source)
+        if (other && children.indexOf(other) === -1 && externals.indexOf(other) === -1) {
+            externals.push(other)
+        }
+    })
+    const shown = children.concat(externals)
+
+    const pairs = []
+    const byKey = {}
+    explicit.forEach(function (rel) {
+        const s = representative(element, rel.source)
+        const t = representative(element, rel.target)
+        if (!s || !t || s === t || shown.indexOf(s) === -1 || shown.indexOf(t) === -1) {
+            return
+        }
+        const key = s._id + '>' + t._id
+        if (!byKey[key]) {
+            byKey[key] = { source: s, target: t, direct: [], lower: [] }
+            pairs.push(byKey[key])
+        }
+        byKey[key][rel.source === s && rel.target === t ? 'direct' : 'lower'].push(rel)
+    })
+
+    let owner = element._parent
+    for (let p = element._parent; p; p = p._parent) {
+        if (h.typeOf(p) === 'C4Model') {
+            owner = p
+            break
+        }
+    }
+    const diagram = app.factory.createDiagram({
+        id: 'C4Diagram',
+        parent: owner,
+        diagramInitializer: function (d) {
+            d.name = (options && options.name) || (element.name || h.typeOf(element)) + ' - ' + level.title
+        }
+    })
+
+    const drawn = []
+    pairs.forEach(function (pair) {
+        if (pair.direct.length > 0) {
+            pair.direct.forEach(function (rel) {
+                drawn.push({ model: rel, aggregated: 0, created: false })
+            })
+        } else {
+            const result = aggregate(pair.source, pair.target, pair.lower, relations)
+            drawn.push({ model: result.model, aggregated: pair.lower.length, created: result.created })
+        }
+    })
+
+    // Views of existing models are placed on the active diagram's editor
+    const previous = app.diagrams.getCurrentDiagram()
+    app.diagrams.setCurrentDiagram(diagram)
+    try {
+        const positions = layout(element, shown)
+        shown.forEach(function (m) {
+            const p = positions.get(m)
+            app.factory.createViewOf({ model: m, diagram: diagram, x: p.x, y: p.y })
+        })
+        drawn.forEach(function (d) {
+            app.factory.createViewOf({ model: d.model, diagram: diagram })
+        })
+    } finally {
+        if (previous) {
+            app.diagrams.setCurrentDiagram(previous)
+        }
+    }
+
+    return { diagram: diagram, children: children, externals: externals, relationships: drawn, removed: removed }
+}
+
+// ============================================================
+// Public API
+// ============================================================
+
+exports.LEVELS = LEVELS
+exports.childrenOf = childrenOf
+exports.drillDown = drillDown
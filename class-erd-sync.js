@@ -0,0 +1,1276 @@
+/**
+ * UML class model <-> ERD conversion for StarUML Controller
+ *
+ * Class model to ERD (fromClasses):
+ *
+ *   UMLClass                  -> ERDEntity; a surrogate `id` BIGSERIAL primary
+ *                                key when no attribute is marked isID (or named id)
+ *   UMLAttribute              -> ERDColumn; type mapped by CLASS_TO_COLUMN_TYPES,
+ *                                multiplicity 0..1 -> nullable, isID -> primary key
+ *   attribute of a class type -> foreign key, as an association to that class
+ *   UMLEnumeration type       -> VARCHAR column with an 'enum' tag, and an
+ *                                enum#<name> tag on the data model
+ *   UMLAssociation            -> ERDRelationship with the end multiplicities as
+ *                                cardinalities, materialized by erd-materialize.js
+ *                                (FK columns, or a junction entity for * to *);
+ *                                a composite end makes it identifying
+ *   UMLGeneralization         -> depends on the inheritance strategy:
+ *       joined            one table per class; the subclass key is a FK to the
+ *                         superclass key (identifying one-to-one relationship)
+ *       single-table      one table per hierarchy with a `dtype` discriminator;
+ *                         subclass columns are nullable
+ *       table-per-class   one table per concrete class with the inherited
+ *                         columns; abstract classes get no table
+ *
+ * ERD to class model (toClasses) goes the other way: entities become classes,
+ * columns attributes, foreign keys associations (end multiplicities from
+ * nullable and unique), junction entities (only FK columns, all in the key,
+ * to two entities) many-to-many associations, and a foreign key that is the
+ * whole primary key of a one-to-one child a generalization.
+ *
+ * Links: each ERD element made from (or matched to) a UML element gets a
+ * reference tag named `uml` pointing at it, whose value holds the
+ * fingerprints of both sides at the last run. A later run in either
+ * direction finds the counterpart through the tag instead of creating a
+ * second one, and reports per pair whether nothing, the UML side, the ERD
+ * side, or both changed. Renames and attribute / column changes on the
+ * side being converted from are carried over; everything else is reported
+ * for a manual decision. ERD elements whose UML counterpart was deleted
+ * are reported, never deleted. Surrogate key and discriminator columns are
+ * linked to their class, so that toClasses does not add them as attributes.
+ */
+
+const erdMaterialize = require('./erd-materialize')
+const ddlGenerator = require('./ddl-generator')
+const schemaFormats = require('./schema-formats')
+
+const INHERITANCE_STRATEGIES = ['joined', 'single-table', 'table-per-class']
+const TO_ERD_NAME_STYLES = ['snake_case', 'preserve']
+const TO_CLASS_NAME_STYLES = ['camelCase', 'preserve']
+
+const LINK_TAG = 'uml'
+const TAG_KIND_REFERENCE = 3
+const ENUM_PREFIX = 'enum#'
+const DISCRIMINATOR_COLUMN = 'dtype'
+
+// UML type name (lower case) -> column type and length
+const CLASS_TO_COLUMN_TYPES = {
+    'string': { type: 'VARCHAR', length: '255' },
+    'text': { type: 'TEXT', length: '' },
+    'char': { type: 'CHAR', length: '1' },
+    'character': { type: 'CHAR', length: '1' },
+    'byte': { type: 'TINYINT', length: '' },
+    'short': { type: 'SMALLINT', length: '' },
+    'int': { type: 'INTEGER', length: '' },
+    'integer': { type: 'INTEGER', length: '' },
+    'long': { type: 'BIGINT', length: '' },
+    'bigint': { type: 'BIGINT', length: '' },
+    'boolean': { type: 'BOOLEAN', length: '' },
+    'bool': { type: 'BOOLEAN', length: '' },
+    'float': { type: 'FLOAT', length: '' },
+    'double': { type: 'DOUBLE', length: '' },
+    'real': { type: 'DOUBLE', length: '' },
+    'number': { type: 'DOUBLE', length: '' },
+    'decimal': { type: 'DECIMAL', length: '19,2' },
+    'bigdecimal': { type: 'DECIMAL', length: '19,2' },
+    'date': { type: 'DATE', length: '' },
+    'localdate': { type: 'DATE', length: '' },
+    'time': { type: 'TIME', length: '' },
+    'localtime': { type: 'TIME', length: '' },
+    'datetime': { type: 'TIMESTAMP', length: '' },
+    'localdatetime': { type: 'TIMESTAMP', length: '' },
+    'timestamp': { type: 'TIMESTAMP', length: '' },
+    'instant': { type: 'TIMESTAMP', length: '' },
+    'zoneddatetime': { type: 'TIMESTAMP', length: '' },
+    'offsetdatetime': { type: 'TIMESTAMP', length: '' },
+    'uuid': { type: 'UUID', length: '' },
+    'guid': { type: 'UUID', length: '' },
+    'byte[]': { type: 'BLOB', length: '' },
+    'blob': { type: 'BLOB', length: '' },
+    'binary': { type: 'BLOB', length: '' },
+    'json': { type: 'JSON', length: '' },
+    'object': { type: 'JSON', length: '' },
+    'map': { type: 'JSON', length: '' }
+}
+
+// Column type -> UML type name
+const COLUMN_TO_CLASS_TYPES = {
+    CHAR: 'String', VARCHAR: 'String', TEXT: 'String', CLOB: 'String', XML: 'String',
+    BOOLEAN: 'Boolean',
+    TINYINT: 'Integer', SMALLINT: 'Integer', INT: 'Integer', INTEGER: 'Integer', SERIAL: 'Integer',
+    BIGINT: 'Long', BIGSERIAL: 'Long',
+    FLOAT: 'Float', REAL: 'Float', DOUBLE: 'Double',
+    DECIMAL: 'BigDecimal', NUMERIC: 'BigDecimal',
+    DATE: 'Date', TIME: 'Time', DATETIME: 'DateTime', TIMESTAMP: 'DateTime',
+    BLOB: 'byte[]', BINARY: 'byte[]', VARBINARY: 'byte[]',
+    UUID: 'UUID', JSON: 'Object', JSONB: 'Object'
+}
+
+// ============================================================
+// Names
+// ============================================================
+
+function snakeCase(name) {
+    return name
+        .replace(/([a-z0-9])([A-Z])/g, '$1_$2')
+        .replace(/([A-Z]+)([A-Z][a-z])/g, '$1_$2')
+        .replace(/[\s-]+/g, '_')
+        .toLowerCase()
+}
+
+function words(name) {
+    return name.split(/[_\s-]+/).filter(function (w) { return w !== '' })
+}
+
+function pascalCase(name) {
+    return words(name).map(function (w) { return w.charAt(0).toUpperCase() + w.slice(1) }).join('')
+}
+
+function camelCase(name) {
+    const pascal = pascalCase(name)
+    return pascal.charAt(0).toLowerCase() + pascal.slice(1)
+}
+
+function sameName(a, b) {
+    return (a || '').toLowerCase() === (b || '').toLowerCase()
+}
+
+// ============================================================
+// Types and multiplicities
+// ============================================================
+
+function typeName(attr) {
+    if (attr.type && typeof attr.type === 'object') {
+        return attr.type.name || ''
+    }
+    return attr.type || ''
+}
+
+function isMany(multiplicity) {
+    const bounds = String(multiplicity || '1').split('..')
+    const upper = bounds[bounds.length - 1].trim()
+    return upper === '*' || parseInt(upper, 10) > 1
+}
+
+function isOptional(multiplicity) {
+    return String(multiplicity || '1').split('..')[0].trim() === '0'
+}
+
+/**
+ * Cardinality of a relationship end for an association end multiplicity.
+ * Ends without a multiplicity count as 1.
+ */
+function toCardinality(multiplicity) {
+    const m = String(multiplicity || '').trim()
+    if (m === '' || m === '1') {
+        return '1'
+    }
+    if (m === '*' || m === '0..*') {
+        return '0..*'
+    }
+    return m
+}
+
+function columnTypeOf(attr) {
+    return CLASS_TO_COLUMN_TYPES[typeName(attr).toLowerCase()] || null
+}
+
+// ============================================================
+// Links
+// ============================================================
+
+function linkTags(elem) {
+    return (elem.tags || []).filter(function (t) {
+        return t.name === LINK_TAG && t.kind === TAG_KIND_REFERENCE
+    })
+}
+
+function umlFingerprint(elem) {
+    if (elem instanceof type.UMLAttribute) {
+        return [elem.name, typeName(elem), elem.multiplicity || '', elem.isID ? 'id' : ''].join('|')
+    }
+    if (elem instanceof type.UMLAssociation) {
+        return [elem.end1, elem.end2].map(function (end) {
+            return [end.reference ? end.reference._id : '', end.name || '', end.multiplicity || '', end.aggregation || ''].join(':')
+        }).join('|')
+    }
+    if (elem instanceof type.UMLGeneralization) {
+        return (elem.source ? elem.source._id : '') + '>' + (elem.target ? elem.target._id : '')
+    }
+    return elem.name || ''
+}
+
+function erdFingerprint(elem) {
+    if (elem instanceof type.ERDColumn) {
+        return [elem.name, elem.type || '', elem.length || '', elem.nullable ? 'null' : '', elem.primaryKey ? 'pk' : '',
+            elem.referenceTo ? elem.referenceTo._id : ''].join('|')
+    }
+    if (elem instanceof type.ERDRelationship) {
+        return [elem.end1, elem.end2].map(function (end) {
+            return [end.reference ? end.reference._id : '', end.cardinality || ''].join(':')
+        }).join('|') + (elem.identifying ? '|identifying' : '')
+    }
+    return elem.name || ''
+}
+
+function linkValue(erd, uml) {
+    return JSON.stringify({ uml: umlFingerprint(uml), erd: erdFingerprint(erd) })
+}
+
+function createLink(erd, uml) {
+    return app.factory.createModel({
+        id: 'Tag',
+        parent: erd,
+        field: 'tags',
+        modelInitializer: function (t) {
+            t.name = LINK_TAG
+            t.kind = TAG_KIND_REFERENCE
+            t.reference = uml
+            t.value = linkValue(erd, uml)
+        }
+    })
+}
+
+function refreshLink(tag) {
+    app.engine.setProperty(tag, 'value', linkValue(tag._parent, tag.reference))
+}
+
+/**
+ * Which side of a link changed since it was last written:
+ * 'unchanged', 'uml-changed', 'erd-changed' or 'conflict'.
+ */
+function linkStatus(tag) {
+    let state = {}
+    try {
+        state = JSON.parse(tag.value || '{}') || {}
+    } catch (e) {
+        state = {}
+    }
+    const umlChanged = state.uml !== umlFingerprint(tag.reference)
+    const erdChanged = state.erd !== erdFingerprint(tag._parent)
+    if (umlChanged && erdChanged) {
+        return 'conflict'
+    }
+    return umlChanged ? 'uml-changed' : erdChanged ? 'erd-changed' : 'unchanged'
+}
+
+function isAlive(elem) {
+    return !!(elem && elem._id && app.repository.get(elem._id) === elem)
+}
+
+function isUmlClass(elem) {
+    return elem instanceof type.UMLClass
+}
+
+function isUmlAttribute(elem) {
+    return elem instanceof type.UMLAttribute
+}
+
+function isUmlRelation(elem) {
+    return elem instanceof type.UMLAssociation || elem instanceof type.UMLGeneralization || elem instanceof type.UMLAttribute
+}
+
+/**
+ * All link tags on the entities, columns and relationships of a data model.
+ *
+ * @returns {Object} { byUml: Map umlId -> [tag], all: [tag] }
+ */
+function collectLinks(dataModel) {
+    const all = []
+    ;(dataModel.ownedElements || []).forEach(function (elem) {
+        all.push.apply(all, linkTags(elem))
+        if (elem instanceof type.ERDEntity) {
+            (elem.columns || []).forEach(function (col) {
+                all.push.apply(all, linkTags(col))
+            })
+        }
+    })
+    const byUml = new Map()
+    all.forEach(function (tag) {
+        if (tag.reference && isAlive(tag.reference)) {
+            if (!byUml.has(tag.reference._id)) {
+                byUml.set(tag.reference._id, [])
+            }
+            byUml.get(tag.reference._id).push(tag)
+        }
+    })
+    return { byUml: byUml, all: all }
+}
+
+/**
+ * The data model holding an entity linked to one of `classes`: the target
+ * of an earlier fromClasses run when no data model is given.
+ */
+function findLinkedDataModel(classes) {
+    return app.repository.select('@ERDDataModel').filter(function (dm) {
+        return (dm.ownedElements || []).some(function (e) {
+            return e instanceof type.ERDEntity && linkTags(e).some(function (t) { return classes.indexOf(t.reference) !== -1 })
+        })
+    })[0] || null
+}
+
+/**
+ * The package of a class linked to an entity of `dataModel`: the target
+ * of an earlier toClasses run when no package is given.
+ */
+function findLinkedPackage(dataModel) {
+    const entities = (dataModel.ownedElements || []).filter(function (e) { return e instanceof type.ERDEntity })
+    for (let i = 0; i < entities.length; i++) {
+        const tag = linkTags(entities[i]).filter(function (t) {
+            return t.reference instanceof type.UMLClass && isAlive(t.reference)
+        })[0]
+        if (tag) {
+            return tag.reference._parent
+        }
+    }
+    return null
+}
+
+// ============================================================
+// Report
+// ============================================================
+
+function ref(elem) {
+    return elem ? { _id: elem._id, _type: elem.constructor.name, name: elem.name || '' } : null
+}
+
+function createReport() {
+    return { items: [], warnings: [] }
+}
+
+function addItem(report, kind, uml, erd, status) {
+    report.items.push({ kind: kind, status: status, uml: ref(uml), erd: ref(erd) })
+}
+
+function summarize(report) {
+    const summary = {}
+    report.items.forEach(function (item) {
+        summary[item.status] = (summary[item.status] || 0) + 1
+    })
+    return summary
+}
+
+/**
+ * Report the orphans: links whose UML element no longer exists.
+ */
+function reportDeleted(links, report) {
+    links.all.forEach(function (tag) {
+        if (!tag.reference || !isAlive(tag.reference)) {
+            addItem(report, tag._parent instanceof type.ERDColumn ? 'column' : tag._parent instanceof type.ERDEntity ? 'entity' : 'relationship', null, tag._parent, 'uml-deleted')
+        }
+    })
+}
+
+// ============================================================
+// Layout
+// ============================================================
+
+function gridBounds(index, rows) {
+    const x1 = 40 + (index % 4) * 300
+    const y1 = 40 + Math.floor(index / 4) * 280
+    return { x1: x1, y1: y1, x2: x1 + 220, y2: y1 + 40 + rows * 20 }
+}
+
+function viewOf(diagram, model) {
+    if (!diagram) {
+        return null
+    }
+    return (diagram.ownedViews || []).filter(function (v) { return v.model === model })[0] || null
+}
+
+// ============================================================
+// Class model to ERD
+// ============================================================
+
+/**
+ * UML classes in a package and its sub-packages.
+ */
+function collectClasses(pkg) {
+    const result = []
+    ;(pkg.ownedElements || []).forEach(function (elem) {
+        if (elem instanceof type.UMLClass) {
+            result.push(elem)
+        } else if (elem instanceof type.UMLPackage || elem instanceof type.UMLModel) {
+            result.push.apply(result, collectClasses(elem))
+        }
+    })
+    return result
+}
+
+function isStoredAttribute(attr) {
+    return !attr.isStatic && !attr.isDerived
+}
+
+function createColumnTag(col, name, value) {
+    return app.factory.createModel({
+        id: 'Tag',
+        parent: col,
+        field: 'tags',
+        modelInitializer: function (t) {
+            t.name = name
+            t.kind = 0
+            t.value = value
+        }
+    })
+}
+
+/**
+ * Add the enum#<name> tag of a UML enumeration to the data model, once.
+ */
+function ensureEnum(dataModel, enumeration) {
+    const name = ENUM_PREFIX + enumeration.name
+    if ((dataModel.tags || []).some(function (t) { return t.name === name })) {
+        return
+    }
+    createColumnTag(dataModel, name, (enumeration.literals || []).map(function (l) { return l.name }).join('\n'))
+}
+
+function createErdRun(options) {
+    return {
+        pkg: options.package,
+        inheritance: options.inheritance || 'joined',
+        nameStyle: options.nameStyle || 'snake_case',
+        createDiagram: !!options.createDiagram,
+        report: createReport(),
+        created: { entities: [], columns: [], relationships: [] },
+        diagram: null,
+        newEntityCount: 0
+    }
+}
+
+function erdName(run, name) {
+    return run.nameStyle === 'snake_case' ? snakeCase(name || '') : name || ''
+}
+
+function convertToErd(run, dataModel) {
+    run.classes = collectClasses(run.pkg)
+    dataModel = dataModel || findLinkedDataModel(run.classes)
+    if (!dataModel) {
+        dataModel = app.factory.createModel({
+            id: 'ERDDataModel',
+            parent: app.project.getProject(),
+            modelInitializer: function (m) {
+                m.name = run.pkg.name || 'ERDDataModel1'
+            }
+        })
+    }
+    run.dataModel = dataModel
+    run.links = collectLinks(dataModel)
+
+    run.parents = new Map()
+    app.repository.select('@UMLGeneralization').forEach(function (g) {
+        if (run.classes.indexOf(g.source) === -1 || run.classes.indexOf(g.target) === -1) {
+            return
+        }
+        if (run.parents.has(g.source)) {
+            run.report.warnings.push('Class "' + g.source.name + '" has more than one superclass; only "' + run.parents.get(g.source).target.name + '" is used')
+            return
+        }
+        run.parents.set(g.source, g)
+    })
+
+    // Superclasses first, so that joined subclasses find the key to reference
+    const ordered = run.classes.slice().sort(function (a, b) { return depth(run, a) - depth(run, b) })
+    run.entities = new Map()
+    ordered.forEach(function (cls) {
+        if (tableOwner(run, cls) === cls) {
+            run.entities.set(cls, entityFor(run, cls))
+        }
+    })
+    ordered.forEach(function (cls) {
+        const entity = tableOwner(run, cls) ? run.entities.get(tableOwner(run, cls)) : null
+        if (entity) {
+            columnsFor(run, cls, entity)
+        }
+    })
+    relationships(run)
+    reportDeleted(run.links, run.report)
+    return run
+}
+
+function depth(run, cls) {
+    let level = 0
+    let current = cls
+    while (run.parents.has(current) && level < run.classes.length) {
+        current = run.parents.get(current).target
+        level++
+    }
+    return level
+}
+
+function root(run, cls) {
+    let current = cls
+    for (let i = 0; run.parents.has(current) && i < run.classes.length; i++) {
+        current = run.parents.get(current).target
+    }
+    return current
+}
+
+/**
+ * The class whose table holds the columns of `cls` (null: no table).
+ */
+function tableOwner(run, cls) {
+    if (run.inheritance === 'single-table') {
+        return root(run, cls)
+    }
+    if (run.inheritance === 'table-per-class') {
+        return cls.isAbstract ? null : cls
+    }
+    return cls
+}
+
+function linkedTags(run, uml, erdType, filter) {
+    return (run.links.byUml.get(uml._id) || []).filter(function (tag) {
+        return tag._parent instanceof erdType && (!filter || filter(tag._parent))
+    })
+}
+
+function entityFor(run, cls) {
+    const tag = linkedTags(run, cls, type.ERDEntity)[0]
+    if (tag) {
+        let status = linkStatus(tag)
+        if (status === 'uml-changed') {
+            app.engine.setProperty(tag._parent, 'name', erdName(run, cls.name))
+            refreshLink(tag)
+            status = 'updated'
+        }
+        addItem(run.report, 'class', cls, tag._parent, status)
+        return tag._parent
+    }
+    const name = erdName(run, cls.name)
+    const existing = (run.dataModel.ownedElements || []).filter(function (e) {
+        return e instanceof type.ERDEntity && sameName(e.name, name)
+    })[0]
+    if (existing) {
+        createLink(existing, cls)
+        addItem(run.report, 'class', cls, existing, 'linked')
+        return existing
+    }
+
+    const entityOptions = {
+        id: 'ERDEntity',
+        parent: run.dataModel,
+        modelInitializer: function (elem) {
+            elem.name = name
+            if (cls.documentation) {
+                elem.documentation = cls.documentation
+            }
+        }
+    }
+    let entity
+    if (run.createDiagram) {
+        if (!run.diagram) {
+            run.diagram = app.factory.createDiagram({
+                id: 'ERDDiagram',
+                parent: run.dataModel,
+                diagramInitializer: function (d) {
+                    d.name = run.dataModel.name
+                }
+            })
+        }
+        const rows = (cls.attributes || []).length + 1
+        const view = app.factory.createModelAndView(Object.assign(entityOptions, { diagram: run.diagram }, gridBounds(run.newEntityCount++, rows)))
+        entity = view.model
+    } else {
+        entity = app.factory.createModel(entityOptions)
+    }
+    createLink(entity, cls)
+    run.created.entities.push(entity)
+    addItem(run.report, 'class', cls, entity, 'created')
+    return entity
+}
+
+/**
+ * Attributes stored in the table of `cls`: its own, plus the inherited
+ * ones for table-per-class.
+ */
+function attributesFor(run, cls) {
+    let attrs = (cls.attributes || []).filter(isStoredAttribute)
+    if (run.inheritance === 'table-per-class') {
+        let current = cls
+        for (let i = 0; run.parents.has(current) && i < run.classes.length; i++) {
+            current = run.parents.get(current).target
+            attrs = (current.attributes || []).filter(isStoredAttribute).concat(attrs)
+        }
+    }
+    return attrs
+}
+
+function columnsFor(run, cls, entity) {
+    const subclassOfTable = tableOwner(run, cls) !== cls
+    const isNewEntity = run.created.entities.indexOf(entity) !== -1
+    const attrs = attributesFor(run, cls).filter(function (attr) {
+        if (attr.type instanceof type.UMLClass) {
+            if (run.classes.indexOf(attr.type) === -1) {
+                run.report.warnings.push('Attribute ' + cls.name + '.' + attr.name + ' is typed by class "' + attr.type.name + '", which is outside the package; not converted')
+            }
+            return false
+        }
+        if (isMany(attr.multiplicity)) {
+            run.report.warnings.push('Attribute ' + cls.name + '.' + attr.name + ' has multiplicity ' + attr.multiplicity + '; multi-valued attributes are not converted')
+            return false
+        }
+        return true
+    })
+
+    if (isNewEntity && tableOwner(run, cls) === cls) {
+        const joinedSubclass = run.inheritance === 'joined' && run.parents.has(cls)
+        const hasKey = attrs.some(function (a) { return a.isID || sameName(a.name, 'id') })
+        if (!joinedSubclass && !hasKey) {
+            generatedColumn(run, cls, entity, { name: 'id', type: 'BIGSERIAL', length: '', primaryKey: true, nullable: false })
+        }
+        const hasSubclasses = Array.from(run.parents.values()).some(function (g) { return g.target === cls })
+        if (run.inheritance === 'single-table' && hasSubclasses) {
+            generatedColumn(run, cls, entity, { name: DISCRIMINATOR_COLUMN, type: 'VARCHAR', length: '50', primaryKey: false, nullable: false })
+        }
+    }
+
+    attrs.forEach(function (attr) {
+        columnFor(run, attr, entity, subclassOfTable, isNewEntity)
+    })
+}
+
+function columnSpec(run, attr, forceNullable) {
+    const mapped = columnTypeOf(attr)
+    if (!mapped && !(attr.type instanceof type.UMLEnumeration)) {
+        run.report.warnings.push('Type "' + typeName(attr) + '" of attribute ' + (attr._parent ? attr._parent.name + '.' : '') + attr.name + ' is not known; used VARCHAR(255)')
+    }
+    const columnType = attr.type instanceof type.UMLEnumeration ? { type: 'VARCHAR', length: '50' } : mapped || { type: 'VARCHAR', length: '255' }
+    return {
+        name: erdName(run, attr.name),
+        type: columnType.type,
+        length: columnType.length,
+        primaryKey: !forceNullable && (!!attr.isID || sameName(attr.name, 'id')),
+        nullable: forceNullable || (!attr.isID && isOptional(attr.multiplicity))
+    }
+}
+
+function newColumn(run, entity, spec) {
+    return app.factory.createModel({
+        id: 'ERDColumn',
+        parent: entity,
+        field: 'columns',
+        modelInitializer: function (c) {
+            c.name = spec.name
+            c.type = spec.type
+            c.length = spec.length
+            c.primaryKey = spec.primaryKey
+            c.nullable = spec.nullable
+            if (spec.documentation) {
+                c.documentation = spec.documentation
+            }
+        }
+    })
+}
+
+/**
+ * A surrogate key or discriminator column. It is linked to the class, so
+ * that toClasses knows it has no attribute.
+ */
+function generatedColumn(run, cls, entity, spec) {
+    const col = newColumn(run, entity, spec)
+    createLink(col, cls)
+    run.created.columns.push(col)
+}
+
+function columnFor(run, attr, entity, forceNullable, isNewEntity) {
+    const tag = linkedTags(run, attr, type.ERDColumn, function (col) { return col._parent === entity })[0]
+    if (tag) {
+        const col = tag._parent
+        let status = linkStatus(tag)
+        if (status === 'uml-changed') {
+            const spec = columnSpec(run, attr, forceNullable)
+            app.engine.setProperty(col, 'name', spec.name)
+            if (col.type !== spec.type) {
+                app.engine.setProperty(col, 'type', spec.type)
+                app.engine.setProperty(col, 'length', spec.length)
+            }
+            app.engine.setProperty(col, 'nullable', spec.nullable)
+            app.engine.setProperty(col, 'primaryKey', spec.primaryKey)
+            refreshLink(tag)
+            status = 'updated'
+        }
+        addItem(run.report, 'attribute', attr, col, status)
+        return
+    }
+    const spec = columnSpec(run, attr, forceNullable)
+    const existing = (entity.columns || []).filter(function (c) { return sameName(c.name, spec.name) })[0]
+    if (existing) {
+        createLink(existing, attr)
+        addItem(run.report, 'attribute', attr, existing, 'linked')
+        return
+    }
+    if (!isNewEntity && spec.primaryKey) {
+        spec.primaryKey = false
+        run.report.warnings.push('Attribute ' + attr._parent.name + '.' + attr.name + ' is an ID, but "' + entity.name + '" already has its key; added as a plain column')
+    }
+    spec.documentation = attr.documentation
+    const col = newColumn(run, entity, spec)
+    if (attr.defaultValue) {
+        createColumnTag(col, 'default', attr.defaultValue)
+    }
+    if (attr.type instanceof type.UMLEnumeration) {
+        ensureEnum(run.dataModel, attr.type)
+        createColumnTag(col, 'enum', attr.type.name)
+    }
+    createLink(col, attr)
+    run.created.columns.push(col)
+    addItem(run.report, 'attribute', attr, col, 'created')
+}
+
+/**
+ * Relationships to create: joined generalizations, associations, and
+ * attributes typed by a class.
+ */
+function relationSpecs(run) {
+    const specs = []
+    if (run.inheritance === 'joined') {
+        run.parents.forEach(function (g, child) {
+            specs.push({ kind: 'generalization', uml: g, end1: { cls: g.target, cardinality: '1', name: '' }, end2: { cls: child, cardinality: '0..1', name: '' }, identifying: true })
+        })
+    }
+    app.repository.select('@UMLAssociation').forEach(function (a) {
+        if (!a.end1 || !a.end2 || run.classes.indexOf(a.end1.reference) === -1 || run.classes.indexOf(a.end2.reference) === -1) {
+            return
+        }
+        specs.push({
+            kind: 'association',
+            uml: a,
+            end1: { cls: a.end1.reference, cardinality: toCardinality(a.end1.multiplicity), name: erdName(run, a.end1.name || '') },
+            end2: { cls: a.end2.reference, cardinality: toCardinality(a.end2.multiplicity), name: erdName(run, a.end2.name || '') },
+            identifying: a.end1.aggregation === 'composite' || a.end2.aggregation === 'composite'
+        })
+    })
+    run.classes.forEach(function (cls) {
+        (cls.attributes || []).filter(isStoredAttribute).forEach(function (attr) {
+            if (attr.type instanceof type.UMLClass && run.classes.indexOf(attr.type) !== -1) {
+                specs.push({
+                    kind: 'attribute',
+                    uml: attr,
+                    end1: { cls: attr.type, cardinality: toCardinality(attr.multiplicity), name: erdName(run, attr.name) },
+                    end2: { cls: cls, cardinality: '0..*', name: '' },
+                    identifying: attr.aggregation === 'composite'
+                })
+            }
+        })
+    })
+    return specs
+}
+
+function relationships(run) {
+    relationSpecs(run).forEach(function (spec) {
+        const linkTag = (run.links.byUml.get(spec.uml._id) || [])[0]
+        if (linkTag) {
+            addItem(run.report, spec.kind, spec.uml, linkTag._parent, linkStatus(linkTag))
+            return
+        }
+        const entity1 = tableOwner(run, spec.end1.cls) ? run.entities.get(tableOwner(run, spec.end1.cls)) : null
+        const entity2 = tableOwner(run, spec.end2.cls) ? run.entities.get(tableOwner(run, spec.end2.cls)) : null
+        if (!entity1 || !entity2) {
+            run.report.warnings.push('Skipped ' + spec.kind + ' "' + (spec.uml.name || spec.end1.cls.name + ' - ' + spec.end2.cls.name) + '": abstract classes have no table with table-per-class')
+            return
+        }
+        createRelationship(run, spec, entity1, entity2)
+    })
+}
+
+/**
+ * Create and materialize the relationship of a spec. The link goes on the
+ * junction entity, or on the first foreign key column, which is where
+ * toClasses looks for it.
+ */
+function createRelationship(run, spec, entity1, entity2) {
+    // A joined subclass key keeps the name of the superclass key
+    const naming = { foreignKeyColumn: spec.kind === 'generalization' ? '{column}' : '{role}_{column}' }
+    const err = erdMaterialize.check({
+        _parent: run.dataModel,
+        name: spec.uml instanceof type.UMLAttribute ? '' : spec.uml.name,
+        end1: { reference: entity1, cardinality: spec.end1.cardinality, name: spec.end1.name },
+        end2: { reference: entity2, cardinality: spec.end2.cardinality, name: spec.end2.name }
+    }, naming)
+    if (err) {
+        run.report.warnings.push('Skipped ' + spec.kind + ' "' + (spec.uml.name || spec.end1.cls.name + ' - ' + spec.end2.cls.name) + '": ' + err)
+        return
+    }
+    const relOptions = {
+        id: 'ERDRelationship',
+        parent: run.dataModel,
+        modelInitializer: function (rel) {
+            rel.identifying = spec.identifying
+            if (spec.uml.name && !(spec.uml instanceof type.UMLAttribute)) {
+                rel.name = spec.uml.name
+            }
+            if (rel.end1 && rel.end2) {
+                rel.end1.reference = entity1
+                rel.end1.cardinality = spec.end1.cardinality
+                rel.end1.name = spec.end1.name
+                rel.end2.reference = entity2
+                rel.end2.cardinality = spec.end2.cardinality
+                rel.end2.name = spec.end2.name
+            }
+        }
+    }
+    const diagram = run.diagram
+    const tail = viewOf(diagram, entity1)
+    const head = viewOf(diagram, entity2)
+    let rel
+    if (tail && head) {
+        const view = app.factory.createModelAndView(Object.assign(relOptions, {
+            diagram: diagram,
+            tailModel: entity1,
+            headModel: entity2,
+            tailView: tail,
+            headView: head
+        }))
+        rel = view ? view.model : null
+    } else {
+        rel = app.factory.createModel(relOptions)
+    }
+    if (!rel) {
+        run.report.warnings.push('Could not create the relationship for ' + spec.kind + ' "' + (spec.uml.name || '') + '"')
+        return
+    }
+    const result = erdMaterialize.materialize(rel, naming)
+    run.report.warnings.push.apply(run.report.warnings, result.warnings)
+    const erd = result.junction || result.columns[0].column
+    createLink(erd, spec.uml)
+    if (result.junction) {
+        run.created.entities.push(result.junction)
+    }
+    run.created.relationships.push.apply(run.created.relationships, result.relationships)
+    result.columns.forEach(function (c) {
+        if (c.created) {
+            run.created.columns.push(c.column)
+        }
+    })
+    addItem(run.report, spec.kind, spec.uml, erd, 'created')
+}
+
+// ============================================================
+// ERD to class model
+// ============================================================
+
+function primaryKeys(entity) {
+    return (entity.columns || []).filter(function (c) { return c.primaryKey })
+}
+
+/**
+ * Foreign key column groups of an entity: the columns referencing one row
+ * of another entity, one group per referenced key.
+ */
+function foreignKeyGroups(entity) {
+    const groups = []
+    ;(entity.columns || []).forEach(function (col) {
+        const target = col.referenceTo
+        if (!target || !target._parent) {
+            return
+        }
+        const open = groups.filter(function (g) {
+            return g.target === target._parent && !g.columns.some(function (c) { return c.referenceTo === target })
+        })[0]
+        if (open) {
+            open.columns.push(col)
+        } else {
+            groups.push({ target: target._parent, columns: [col] })
+        }
+    })
+    return groups
+}
+
+/**
+ * A junction entity: only foreign key columns, all in the primary key,
+ * to exactly two referenced rows.
+ */
+function isJunction(entity, groups) {
+    const cols = entity.columns || []
+    return groups.length === 2 && cols.length > 0 && cols.every(function (c) { return c.primaryKey && c.referenceTo })
+}
+
+/**
+ * A joined-inheritance subclass key: the FK columns are the whole primary
+ * key and reference the whole primary key of the other entity.
+ */
+function isSubclassKey(entity, group) {
+    const pks = primaryKeys(entity)
+    return group.target !== entity && pks.length > 0 && pks.length === group.columns.length &&
+        pks.every(function (c) { return group.columns.indexOf(c) !== -1 }) &&
+        primaryKeys(group.target).length === group.columns.length
+}
+
+function createClassRun(options) {
+    return {
+        dataModel: options.dataModel,
+        pkg: options.package,
+        nameStyle: options.nameStyle || 'camelCase',
+        createDiagram: !!options.createDiagram,
+        report: createReport(),
+        created: { classes: [], attributes: [], associations: [], generalizations: [], enumerations: [] },
+        diagram: null,
+        newClassCount: 0
+    }
+}
+
+function className(run, name) {
+    return run.nameStyle === 'camelCase' ? pascalCase(name || '') : name || ''
+}
+
+function attributeName(run, name) {
+    return run.nameStyle === 'camelCase' ? camelCase(name || '') : name || ''
+}
+
+function convertToClasses(run) {
+    run.pkg = run.pkg || findLinkedPackage(run.dataModel)
+    if (!run.pkg) {
+        run.pkg = app.factory.createModel({
+            id: 'UMLModel',
+            parent: app.project.getProject(),
+            modelInitializer: function (m) {
+                m.name = run.dataModel.name || 'Model'
+            }
+        })
+    }
+    run.links = collectLinks(run.dataModel)
+    run.enums = schemaFormats.getEnums(run.dataModel)
+
+    const entities = (run.dataModel.ownedElements || []).filter(function (e) { return e instanceof type.ERDEntity })
+    const groups = new Map()
+    entities.forEach(function (e) { groups.set(e, foreignKeyGroups(e)) })
+    const junctions = entities.filter(function (e) { return isJunction(e, groups.get(e)) })
+
+    run.classes = new Map()
+    entities.forEach(function (entity) {
+        if (junctions.indexOf(entity) === -1) {
+            run.classes.set(entity, classFor(run, entity))
+        }
+    })
+    run.classes.forEach(function (cls, entity) {
+        (entity.columns || []).forEach(function (col) {
+            if (!col.referenceTo && !linkOf(run, col, isUmlClass)) {
+                attributeFor(run, col, cls)
+            }
+        })
+    })
+    run.classes.forEach(function (cls, entity) {
+        groups.get(entity).forEach(function (group) {
+            relationFor(run, entity, group)
+        })
+    })
+    junctions.forEach(function (entity) {
+        junctionFor(run, entity, groups.get(entity))
+    })
+    reportDeleted(run.links, run.report)
+    return run
+}
+
+/**
+ * The link tag of an ERD element to a live UML element passing `isType`.
+ */
+function linkOf(run, erd, isType) {
+    return linkTags(erd).filter(function (t) {
+        return t.reference && isAlive(t.reference) && isType(t.reference)
+    })[0] || null
+}
+
+function classFor(run, entity) {
+    const tag = linkOf(run, entity, isUmlClass)
+    if (tag) {
+        let status = linkStatus(tag)
+        if (status === 'erd-changed') {
+            app.engine.setProperty(tag.reference, 'name', className(run, entity.name))
+            refreshLink(tag)
+            status = 'updated'
+        }
+        addItem(run.report, 'entity', tag.reference, entity, status)
+        return tag.reference
+    }
+    const name = className(run, entity.name)
+    const existing = (run.pkg.ownedElements || []).filter(function (e) {
+        return e instanceof type.UMLClass && sameName(e.name, name)
+    })[0]
+    if (existing) {
+        createLink(entity, existing)
+        addItem(run.report, 'entity', existing, entity, 'linked')
+        return existing
+    }
+
+    const classOptions = {
+        id: 'UMLClass',
+        parent: run.pkg,
+        modelInitializer: function (elem) {
+            elem.name = name
+            if (entity.documentation) {
+                elem.documentation = entity.documentation
+            }
+        }
+    }
+    let cls
+    if (run.createDiagram) {
+        if (!run.diagram) {
+            run.diagram = app.factory.createDiagram({
+                id: 'UMLClassDiagram',
+                parent: run.pkg,
+                diagramInitializer: function (d) {
+                    d.name = run.dataModel.name
+                }
+            })
+        }
+        const rows = (entity.columns || []).length
+        const view = app.factory.createModelAndView(Object.assign(classOptions, { diagram: run.diagram }, gridBounds(run.newClassCount++, rows)))
+        cls = view.model
+    } else {
+        cls = app.factory.createModel(classOptions)
+    }
+    createLink(entity, cls)
+    run.created.classes.push(cls)
+    addItem(run.report, 'entity', cls, entity, 'created')
+    return cls
+}
+
+/**
+ * UML enumeration for a data model enum, found in or added to the package.
+ */
+function findEnumeration(run, name) {
+    const existing = (run.pkg.ownedElements || []).filter(function (e) {
+        return e instanceof type.UMLEnumeration && e.name === name
+    })[0]
+    if (existing) {
+        return existing
+    }
+    const values = (run.enums.filter(function (e) { return e.name === name })[0] || { values: [] }).values
+    const enumeration = app.factory.createModel({
+        id: 'UMLEnumeration',
+        parent: run.pkg,
+        modelInitializer: function (elem) {
+            elem.name = name
+        }
+    })
+    values.forEach(function (value) {
+        app.factory.createModel({
+            id: 'UMLEnumerationLiteral',
+            parent: enumeration,
+            field: 'literals',
+            modelInitializer: function (l) {
+                l.name = value
+            }
+        })
+    })
+    run.created.enumerations.push(enumeration)
+    return enumeration
+}
+
+function attributeSpec(run, col) {
+    const enumName = ddlGenerator.getTagValue(col, 'enum')
+    return {
+        name: attributeName(run, col.name),
+        type: enumName ? findEnumeration(run, enumName) : COLUMN_TO_CLASS_TYPES[(col.type || '').toUpperCase()] || 'String',
+        multiplicity: col.nullable ? '0..1' : '',
+        isID: !!col.primaryKey
+    }
+}
+
+function attributeFor(run, col, cls) {
+    const tag = linkOf(run, col, isUmlAttribute)
+    if (tag) {
+        const attr = tag.reference
+        let status = linkStatus(tag)
+        if (status === 'erd-changed') {
+            const spec = attributeSpec(run, col)
+            Object.keys(spec).forEach(function (key) {
+                app.engine.setProperty(attr, key, spec[key])
+            })
+            refreshLink(tag)
+            status = 'updated'
+        }
+        addItem(run.report, 'column', attr, col, status)
+        return
+    }
+    const spec = attributeSpec(run, col)
+    const existing = (cls.attributes || []).filter(function (a) { return sameName(a.name, spec.name) })[0]
+    if (existing) {
+        createLink(col, existing)
+        addItem(run.report, 'column', existing, col, 'linked')
+        return
+    }
+    const defaultValue = ddlGenerator.getTagValue(col, 'default')
+    const attr = app.factory.createModel({
+        id: 'UMLAttribute',
+        parent: cls,
+        field: 'attributes',
+        modelInitializer: function (a) {
+            a.name = spec.name
+            a.type = spec.type
+            a.multiplicity = spec.multiplicity
+            a.isID = spec.isID
+            if (defaultValue) {
+                a.defaultValue = defaultValue
+            }
+            if (col.documentation) {
+                a.documentation = col.documentation
+            }
+        }
+    })
+    createLink(col, attr)
+    run.created.attributes.push(attr)
+    addItem(run.report, 'column', attr, col, 'created')
+}
+
+/**
+ * Create a UML relationship, with a view when both classes are shown on
+ * the diagram of this run.
+ */
+function createUmlRelation(run, id, parent, tailModel, headModel, initializer) {
+    const tail = viewOf(run.diagram, tailModel)
+    const head = viewOf(run.diagram, headModel)
+    const options = { id: id, parent: parent, modelInitializer: initializer }
+    if (tail && head) {
+        const view = app.factory.createModelAndView(Object.assign(options, {
+            diagram: run.diagram,
+            tailModel: tailModel,
+            headModel: headModel,
+            tailView: tail,
+            headView: head
+        }))
+        if (view && view.model) {
+            initializer(view.model)
+        }
+        return view ? view.model : null
+    }
+    return app.factory.createModel(options)
+}
+
+function relationFor(run, entity, group) {
+    const first = group.columns[0]
+    const tag = linkOf(run, first, isUmlRelation)
+    const kind = isSubclassKey(entity, group) ? 'generalization' : 'foreign-key'
+    if (tag) {
+        addItem(run.report, kind, tag.reference, first, linkStatus(tag))
+        return
+    }
+    const child = run.classes.get(entity)
+    const parent = run.classes.get(group.target)
+    if (!parent) {
+        run.report.warnings.push('Foreign key ' + entity.name + '.' + first.name + ' references "' + group.target.name + '", which is not in the data model; not converted')
+        return
+    }
+
+    let rel
+    if (kind === 'generalization') {
+        rel = createUmlRelation(run, 'UMLGeneralization', child, child, parent, function (g) {
+            g.source = child
+            g.target = parent
+        })
+        if (rel) {
+            run.created.generalizations.push(rel)
+        }
+    } else {
+        const optional = group.columns.some(function (c) { return c.nullable })
+        const unique = group.columns.length === 1 ? !!first.unique : group.columns.every(function (c) { return c.primaryKey }) && primaryKeys(entity).length === group.columns.length
+        const identifying = group.columns.every(function (c) { return c.primaryKey })
+        const role = attributeName(run, first.name.replace(new RegExp('_' + (first.referenceTo.name || 'id') + '$', 'i'), ''))
+        rel = createUmlRelation(run, 'UMLAssociation', run.pkg, child, parent, function (a) {
+            if (a.end1 && a.end2) {
+                a.end1.reference = child
+                a.end1.multiplicity = unique ? '0..1' : '*'
+                a.end2.reference = parent
+                a.end2.multiplicity = optional ? '0..1' : '1'
+                if (!sameName(role, attributeName(run, group.target.name))) {
+                    a.end2.name = role
+                }
+                if (identifying) {
+                    a.end2.aggregation = 'composite'
+                }
+            }
+        })
+        if (rel) {
+            run.created.associations.push(rel)
+        }
+    }
+    if (!rel) {
+        run.report.warnings.push('Could not create the ' + kind + ' for ' + entity.name + '.' + first.name)
+        return
+    }
+    createLink(first, rel)
+    addItem(run.report, kind, rel, first, 'created')
+}
+
+function junctionFor(run, entity, groups) {
+    const tag = linkOf(run, entity, isUmlRelation)
+    if (tag) {
+        addItem(run.report, 'junction', tag.reference, entity, linkStatus(tag))
+        return
+    }
+    const class1 = run.classes.get(groups[0].target)
+    const class2 = run.classes.get(groups[1].target)
+    if (!class1 || !class2) {
+        run.report.warnings.push('Junction "' + entity.name + '" references an entity outside the data model; not converted')
+        return
+    }
+    const rel = createUmlRelation(run, 'UMLAssociation', run.pkg, class1, class2, function (a) {
+        a.name = entity.name
+        if (a.end1 && a.end2) {
+            a.end1.reference = class1
+            a.end1.multiplicity = '*'
+            a.end2.reference = class2
+            a.end2.multiplicity = '*'
+        }
+    })
+    if (!rel) {
+        run.report.warnings.push('Could not create the association for junction "' + entity.name + '"')
+        return
+    }
+    createLink(entity, rel)
+    run.created.associations.push(rel)
+    addItem(run.report, 'junction', rel, entity, 'created')
+}
+
+// ============================================================
+// Public API
+// ============================================================
+
+/**
+ * Convert the classes of a UML package to ERD entities.
+ *
+ * @param {Object} options - { package, dataModel, inheritance, nameStyle, createDiagram }
+ *   dataModel: ERDDataModel to convert into and to find earlier links in
+ *   (otherwise a new one named after the package)
+ * @returns {Object} { dataModel, diagram, created: { entities, columns,
+ *   relationships }, items, summary, warnings }
+ */
+function fromClasses(options) {
+    const run = convertToErd(createErdRun(options), options.dataModel || null)
+    return {
+        dataModel: run.dataModel,
+        diagram: run.diagram,
+        created: run.created,
+        items: run.report.items,
+        summary: summarize(run.report),
+        warnings: run.report.warnings
+    }
+}
+
+/**
+ * Convert the entities of an ERD data model to UML classes.
+ *
+ * @param {Object} options - { dataModel, package, nameStyle, createDiagram }
+ *   package: UML package to convert into (otherwise a new UMLModel named
+ *   after the data model)
+ * @returns {Object} { package, diagram, created: { classes, attributes,
+ *   associations, generalizations, enumerations }, items, summary, warnings }
+ */
+function toClasses(options) {
+    const run = convertToClasses(createClassRun(options))
+    return {
+        package: run.pkg,
+        diagram: run.diagram,
+        created: run.created,
+        items: run.report.items,
+        summary: summarize(run.report),
+        warnings: run.report.warnings
+    }
+}
+
+exports.fromClasses = fromClasses
+exports.toClasses = toClasses
+exports.INHERITANCE_STRATEGIES = INHERITANCE_STRATEGIES
+exports.TO_ERD_NAME_STYLES = TO_ERD_NAME_STYLES
+exports.TO_CLASS_NAME_STYLES = TO_CLASS_NAME_STYLES
@@ -0,0 +1,366 @@
+/**
+ * Column templates and domains for StarUML Controller
+ *
+ * The library is stored in the project as tags on the Project element, so
+ * it is saved with the .mdj file:
+ *
+ *   domain#<name>     { type, length, nullable, unique, default, documentation }
+ *   template#<name>   { columns: [{ name, domain, type, length, primaryKey,
+ *                       nullable, unique, default, documentation }] }
+ *
+ * (JSON tag values). A column created from a domain gets a `domain` tag
+ * holding the domain name. When the domain changes, its type, length and
+ * nullable are copied to every column with that tag again; unique, default
+ * and documentation are only applied when the column is created.
+ */
+
+const h = require('./handlers/shared-helpers')
+
+const DOMAIN_PREFIX = 'domain#'
+const TEMPLATE_PREFIX = 'template#'
+const DOMAIN_TAG = 'domain'
+
+// Domain fields, in the order they are stored
+const DOMAIN_FIELDS = ['type', 'length', 'nullable', 'unique', 'default', 'documentation']
+
+// Column fields that a domain decides (and re-propagates)
+const DOMAIN_PROPAGATED_FIELDS = ['type', 'length', 'nullable']
+
+const TEMPLATE_COLUMN_FIELDS = ['name', 'domain', 'type', 'length', 'primaryKey', 'nullable', 'unique', 'default', 'documentation']
+const COLUMN_DEFINITION_FIELDS = TEMPLATE_COLUMN_FIELDS.concat(['foreignKey'])
+
+// ============================================================
+// Tags
+// ============================================================
+
+function isDomainTag(tag) {
+    return !!(tag && tag.name && tag.name.indexOf(DOMAIN_PREFIX) === 0)
+}
+
+function isTemplateTag(tag) {
+    return !!(tag && tag.name && tag.name.indexOf(TEMPLATE_PREFIX) === 0)
+}
+
+function tagName(tag) {
+    return tag.name.substring(tag.name.indexOf('#') + 1)
+}
+
+function parseValue(tag) {
+    try {
+        const value = JSON.parse(tag.value || '{}')
+        return value && typeof value === 'object' ? value : {}
+    } catch (e) {
+        return {}
+    }
+}
+
+/**
+ * Keep only the known fields, in a fixed order, so that the stored JSON
+ * does not depend on the order of the request body.
+ */
+function pick(source, fields) {
+    const result = {}
+    fields.forEach(function (f) {
+        if (source[f] !== undefined) {
+            result[f] = source[f]
+        }
+    })
+    return result
+}
+
+// ============================================================
+// Library
+// ============================================================
+
+function projectTags() {
+    const project = app.project.getProject()
+    return project ? project.tags || [] : []
+}
+
+function listDomains() {
+    return projectTags().filter(isDomainTag)
+}
+
+function listTemplates() {
+    return projectTags().filter(isTemplateTag)
+}
+
+function findDomain(name) {
+    return listDomains().filter(function (t) { return tagName(t) === name })[0] || null
+}
+
+function findTemplate(name) {
+    return listTemplates().filter(function (t) { return tagName(t) === name })[0] || null
+}
+
+/**
+ * Domain definition of a domain# tag.
+ */
+function readDomain(tag) {
+    return Object.assign({ name: tagName(tag) }, pick(parseValue(tag), DOMAIN_FIELDS))
+}
+
+/**
+ * Template definition of a template# tag.
+ */
+function readTemplate(tag) {
+    const value = parseValue(tag)
+    return {
+        name: tagName(tag),
+        columns: (Array.isArray(value.columns) ? value.columns : []).map(function (c) {
+            return pick(c, TEMPLATE_COLUMN_FIELDS)
+        })
+    }
+}
+
+function writeDomainValue(def) {
+    const value = pick(def, DOMAIN_FIELDS)
+    if (value.type) {
+        value.type = value.type.toUpperCase()
+    }
+    return JSON.stringify(value)
+}
+
+function writeTemplateValue(columns) {
+    return JSON.stringify({
+        columns: columns.map(function (c) {
+            const column = pick(c, TEMPLATE_COLUMN_FIELDS)
+            if (column.type) {
+                column.type = column.type.toUpperCase()
+            }
+            return column
+        })
+    })
+}
+
+// ============================================================
+// Usage
+// ============================================================
+
+function columnDomain(col) {
+    const tag = (col.tags || []).filter(function (t) { return t.name === DOMAIN_TAG })[0]
+    return tag ? tag.value : null
+}
+
+function setColumnDomainName(col, name) {
+    const tag = (col.tags || []).filter(function (t) { return t.name === DOMAIN_TAG })[0]
+    if (tag) {
+        app.engine.setProperty(tag, 'value', name)
+    }
+}
+
+/**
+ * Columns of all entities whose domain tag names `name`.
+ */
+function columnsUsingDomain(name) {
+    return app.repository.select('@ERDColumn').filter(function (col) {
+        return columnDomain(col) === name
+    })
+}
+
+/**
+ * Template tags with at least one column of domain `name`.
+ */
+function templatesUsingDomain(name) {
+    return listTemplates().filter(function (tag) {
+        return readTemplate(tag).columns.some(function (c) { return c.domain === name })
+    })
+}
+
+// ============================================================
+// Applying domains and templates
+// ============================================================
+
+/**
+ * Copy the propagated fields of a domain to a column.
+ */
+function applyDomainFields(col, domain) {
+    const changed = []
+    const values = {
+        type: domain.type || '',
+        length: domain.length !== undefined ? domain.length : '',
+        nullable: domain.nullable === true
+    }
+    DOMAIN_PROPAGATED_FIELDS.forEach(function (f) {
+        if ((col[f] === undefined ? '' : col[f]) !== values[f]) {
+            app.engine.setProperty(col, f, values[f])
+            changed.push(f)
+        }
+    })
+    return changed
+}
+
+/**
+ * Set, replace, or (name null) remove the domain tag of a column. A new
+ * domain also sets the column's type, length and nullable.
+ */
+function setColumnDomain(col, name) {
+    const tag = (col.tags || []).filter(function (t) { return t.name === DOMAIN_TAG })[0]
+    if (name === null) {
+        if (tag) {
+            app.engine.deleteElements([tag], [])
+        }
+        return
+    }
+    if (tag) {
+        app.engine.setProperty(tag, 'value', name)
+    } else {
+        h.createTag(col, DOMAIN_TAG, name)
+    }
+    applyDomainFields(col, readDomain(findDomain(name)))
+}
+
+/**
+ * Create a column from a template column or a createColumn body: the
+ * domain's fields first, then the column's own.
+ *
+ * @param {ERDEntity} entity
+ * @param {Object} def - { name, domain, type, length, primaryKey, foreignKey,
+ *   nullable, unique, default, documentation }; `domain` must exist
+ * @returns {ERDColumn}
+ */
+function createColumn(entity, def) {
+    const domain = def.domain ? readDomain(findDomain(def.domain)) : {}
+    const merged = Object.assign({}, pick(domain, DOMAIN_FIELDS), pick(def, COLUMN_DEFINITION_FIELDS))
+    const col = app.factory.createModel({
+        id: 'ERDColumn',
+        parent: entity,
+        field: 'columns',
+        modelInitializer: function (c) {
+            c.name = merged.name || 'new_column'
+            if (merged.type !== undefined) {
+                c.type = merged.type.toUpperCase()
+            }
+            if (merged.length !== undefined) {
+                c.length = merged.length
+            }
+            if (merged.primaryKey !== undefined) {
+                c.primaryKey = merged.primaryKey
+            }
+            if (merged.foreignKey !== undefined) {
+                c.foreignKey = merged.foreignKey
+            }
+            if (merged.nullable !== undefined) {
+                c.nullable = merged.nullable
+            }
+            if (merged.unique !== undefined) {
+                c.unique = merged.unique
+            }
+            if (merged.documentation !== undefined) {
+                c.documentation = merged.documentation
+            }
+        }
+    })
+    if (merged.default !== undefined && merged.default !== '') {
+        h.createTag(col, 'default', merged.default)
+    }
+    if (def.domain) {
+        h.createTag(col, DOMAIN_TAG, def.domain)
+    }
+    return col
+}
+
+/**
+ * Add the columns of a template to an entity. Columns whose name the
+ * entity already has are skipped.
+ *
+ * @returns {Object} { columns, warnings }
+ */
+function applyTemplate(entity, templateTag) {
+    const template = readTemplate(templateTag)
+    const warnings = []
+    const columns = []
+    template.columns.forEach(function (def) {
+        const exists = (entity.columns || []).some(function (c) {
+            return (c.name || '').toLowerCase() === def.name.toLowerCase()
+        })
+        if (exists) {
+            warnings.push('Column "' + def.name + '" already exists in "' + entity.name + '"; skipped')
+            return
+        }
+        if (def.domain && !findDomain(def.domain)) {
+            warnings.push('Domain "' + def.domain + '" of template column "' + def.name + '" no longer exists; created the column without it')
+            def = Object.assign({}, def, { domain: undefined })
+        }
+        columns.push(createColumn(entity, def))
+    })
+    return { columns: columns, warnings: warnings }
+}
+
+// ============================================================
+// Public API
+// ============================================================
+
+function createDomain(name, def) {
+    return h.createTag(app.project.getProject(), DOMAIN_PREFIX + name, writeDomainValue(def))
+}
+
+/**
+ * Update a domain and propagate it. A rename is carried over to the
+ * domain tags of columns and to templates.
+ *
+ * @param {Tag} tag - domain# tag
+ * @param {Object} changes - { name, type, length, nullable, unique, default, documentation }
+ * @returns {Object} { columns: columns whose type, length or nullable changed }
+ */
+function updateDomain(tag, changes) {
+    const oldName = tagName(tag)
+    const newName = changes.name !== undefined ? changes.name : oldName
+    const def = Object.assign(readDomain(tag), pick(changes, DOMAIN_FIELDS))
+    const users = columnsUsingDomain(oldName)
+
+    if (newName !== oldName) {
+        app.engine.setProperty(tag, 'name', DOMAIN_PREFIX + newName)
+        users.forEach(function (col) {
+            setColumnDomainName(col, newName)
+        })
+        templatesUsingDomain(oldName).forEach(function (templateTag) {
+            const columns = readTemplate(templateTag).columns.map(function (c) {
+                return c.domain === oldName ? Object.assign({}, c, { domain: newName }) : c
+            })
+            app.engine.setProperty(templateTag, 'value', writeTemplateValue(columns))
+        })
+    }
+    app.engine.setProperty(tag, 'value', writeDomainValue(def))
+
+    const domain = readDomain(tag)
+    const changed = users.filter(function (col) {
+        return applyDomainFields(col, domain).length > 0
+    })
+    return { columns: changed }
+}
+
+function createTemplate(name, columns) {
+    return h.createTag(app.project.getProject(), TEMPLATE_PREFIX + name, writeTemplateValue(columns))
+}
+
+function updateTemplate(tag, changes) {
+    if (changes.name !== undefined) {
+        app.engine.setProperty(tag, 'name', TEMPLATE_PREFIX + changes.name)
+    }
+    if (changes.columns !== undefined) {
+        app.engine.setProperty(tag, 'value', writeTemplateValue(changes.columns))
+    }
+}
+
+exports.DOMAIN_FIELDS = DOMAIN_FIELDS
+exports.DOMAIN_PROPAGATED_FIELDS = DOMAIN_PROPAGATED_FIELDS
+exports.TEMPLATE_COLUMN_FIELDS = TEMPLATE_COLUMN_FIELDS
+exports.isDomainTag = isDomainTag
+exports.isTemplateTag = isTemplateTag
+exports.listDomains = listDomains
+exports.listTemplates = listTemplates
+exports.findDomain = findDomain
+exports.findTemplate = findTemplate
+exports.readDomain = readDomain
+exports.readTemplate = readTemplate
+exports.columnDomain = columnDomain
+exports.columnsUsingDomain = columnsUsingDomain
+exports.templatesUsingDomain = templatesUsingDomain
+exports.setColumnDomain = setColumnDomain
+exports.createColumn = createColumn
+exports.applyTemplate = applyTemplate
+exports.createDomain = createDomain
+exports.updateDomain = updateDomain
+exports.createTemplate = createTemplate
+exports.updateTemplate = updateTemplate
@@ -0,0 +1,360 @@
+/**
+ * Data Dictionary for StarUML Controller
+ *
+ * Lists every table and column of the ERD data models as CSV, Markdown or
+ * a standalone HTML page. Physical names come from ddl-generator.js
+ * (getTableName, getColumnName, getSchemaName) and the SQL types, defaults
+ * and indexes from its describeTable, so the dictionary matches the DDL
+ * generated for the same dialect.
+ *
+ * Per column: type and length as modelled, the dialect's SQL type,
+ * nullable, primary key, foreign key target, unique, default, the index#
+ * indexes that cover it, and the documentation.
+ */
+
+const fs = require('fs')
+const ddlDialects = require('./ddl-dialects')
+const ddlGenerator = require('./ddl-generator')
+const schemaFormats = require('./schema-formats')
+
+const FORMATS = ['markdown', 'csv', 'html']
+
+const CSV_HEADER = [
+    'Data Model', 'Schema', 'Table', 'Table Description', 'Column', 'Type', 'Length', 'SQL Type',
+    'Nullable', 'Primary Key', 'Foreign Key', 'Unique', 'Default', 'Indexes', 'Description'
+]
+
+const COLUMN_HEADER = ['Column', 'Type', 'Length', 'SQL Type', 'Nullable', 'PK', 'FK Target', 'Unique', 'Default', 'Indexes', 'Description']
+
+// ============================================================
+// Model reading
+// ============================================================
+
+/**
+ * Qualified name of the column a foreign key references ("schema.table.column").
+ */
+function foreignKeyTarget(col, dialect) {
+    const ref = col.referenceTo
+    if (!ref || !ref._parent) {
+        return ''
+    }
+    const refEntity = ref._parent
+    const refSchema = refEntity._parent instanceof type.ERDDataModel
+        ? ddlGenerator.getSchemaName(refEntity._parent, dialect)
+        : dialect.defaultSchema
+    return (refSchema ? refSchema + '.' : '') + ddlGenerator.getTableName(refEntity) + '.' + ddlGenerator.getColumnName(ref)
+}
+
+/**
+ * Describe one entity: its columns with the names and SQL types of the
+ * generated DDL, and its index# indexes with the columns they cover.
+ */
+function describeEntity(entity, dialect, schema) {
+    const described = ddlGenerator.describeTable(dialect, entity, schema)
+    const indexes = described.indexes.map(function (index) {
+        const parsed = schemaFormats.parseIndexStatement(index.statement)
+        return {
+            name: index.name,
+            statement: index.statement,
+            columns: parsed ? parsed.columns.filter(function (c) { return c.name }).map(function (c) { return c.name.toLowerCase() }) : []
+        }
+    })
+
+    const columns = (entity.columns || []).map(function (col, i) {
+        const sql = described.columns[i]
+        return {
+            name: sql.name,
+            type: col.type || '',
+            // Length -1 only marks an auto-increment column
+            length: col.length !== undefined && col.length !== null && !(sql.autoIncrement && String(col.length) === '-1') ? String(col.length) : '',
+            sqlType: sql.type,
+            nullable: !sql.notNull,
+            primaryKey: sql.primaryKey,
+            foreignKey: foreignKeyTarget(col, dialect),
+            unique: sql.unique,
+            default: sql.autoIncrement ? '(auto increment)' : (sql.default !== null ? String(sql.default) : ''),
+            indexes: indexes.filter(function (index) {
+                return index.columns.indexOf(sql.name.toLowerCase()) !== -1
+            }).map(function (index) { return index.name }),
+            documentation: sql.documentation
+        }
+    })
+
+    return {
+        entity: entity,
+        name: described.name,
+        schema: schema,
+        documentation: described.documentation,
+        columns: columns,
+        indexes: indexes
+    }
+}
+
+/**
+ * The data models to list (all, or only dataModelId), with their tables.
+ */
+function collect(dataModelId, dialect) {
+    let dataModels = app.repository.select('@ERDDataModel')
+    if (dataModelId) {
+        dataModels = dataModels.filter(function (dm) {
+            return dm._id === dataModelId
+        })
+    }
+    const allEntities = app.repository.select('@ERDEntity')
+    return dataModels.map(function (dataModel) {
+        const schema = ddlGenerator.getSchemaName(dataModel, dialect)
+        return {
+            name: dataModel.name,
+            schema: schema,
+            documentation: dataModel.documentation || '',
+            tables: allEntities.filter(function (e) {
+                return e._parent && e._parent._id === dataModel._id
+            }).map(function (e) {
+                return describeEntity(e, dialect, schema)
+            })
+        }
+    })
+}
+
+function yesNo(value) {
+    return value ? 'YES' : 'NO'
+}
+
+function columnCells(column) {
+    return [
+        column.name, column.type, column.length, column.sqlType, yesNo(column.nullable),
+        column.primaryKey ? 'PK' : '', column.foreignKey, column.unique ? 'UNIQUE' : '',
+        column.default, column.indexes.join(', '), column.documentation
+    ]
+}
+
+// ============================================================
+// CSV
+// ============================================================
+
+function csvField(value) {
+    const text = String(value)
+    return /[",\r\n]/.test(text) ? '"' + text.replace(/"/g, '""') + '"' : text
+}
+
+function csvRow(values) {
+    return values.map(csvField).join(',')
+}
+
+/**
+ * One row per column (RFC 4180, CRLF line ends).
+ */
+function buildCSV(models) {
+    const rows = [csvRow(CSV_HEADER)]
+    models.forEach(function (model) {
+        model.tables.forEach(function (table) {
+            table.columns.forEach(function (column) {
+                rows.push(csvRow([
+                    model.name, table.schema || '', table.name, table.documentation, column.name, column.type, column.length, column.sqlType,
+                    yesNo(column.nullable), yesNo(column.primaryKey), column.foreignKey, yesNo(column.unique),
+                    column.default, column.indexes.join('; '), column.documentation
+                ]))
+            })
+        })
+    })
+    return rows.join('\r\n') + '\r\n'
+}
+
+// ============================================================
+// Markdown
+// ============================================================
+
+function mdCell(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/\|/g, '\\|').replace(/</g, '&lt;').replace(/\r?\n/g, '<br>')
+}
+
+// Inline code; MySQL statements quote names with backticks
+function mdCode(text) {
+    return text.indexOf('`') === -1 ? '`' + text + '`' : '`` ' + text + ' ``'
+}
+
+function mdRow(values) {
+    return '| ' + values.map(mdCell).join(' | ') + ' |'
+}
+
+function buildMarkdown(models, dialect) {
+    const lines = []
+    lines.push('# Data Dictionary')
+    lines.push('')
+    lines.push('Generated by StarUML Controller on ' + new Date().toLocaleString() + '. SQL types are for ' + dialect.label + '.')
+    lines.push('')
+
+    if (models.length === 0) {
+        lines.push('No data models found.')
+        lines.push('')
+    }
+    models.forEach(function (model) {
+        lines.push('## ' + model.name + (model.schema ? ' (schema `' + model.schema + '`)' : ''))
+        lines.push('')
+        if (model.documentation) {
+            lines.push(model.documentation)
+            lines.push('')
+        }
+        model.tables.forEach(function (table) {
+            lines.push('### ' + (table.schema ? table.schema + '.' : '') + table.name)
+            lines.push('')
+            if (table.documentation) {
+                lines.push(table.documentation)
+                lines.push('')
+            }
+            lines.push(mdRow(COLUMN_HEADER))
+            lines.push('|' + COLUMN_HEADER.map(function () { return '---' }).join('|') + '|')
+            table.columns.forEach(function (column) {
+                lines.push(mdRow(columnCells(column)))
+            })
+            lines.push('')
+            if (table.indexes.length > 0) {
+                lines.push('Indexes:')
+                lines.push('')
+                table.indexes.forEach(function (index) {
+                    lines.push('- ' + mdCode(index.name) + ': ' + mdCode(index.statement.replace(/\s+/g, ' ')))
+                })
+                lines.push('')
+            }
+        })
+    })
+    return lines.join('\n')
+}
+
+// ============================================================
+// HTML
+// ============================================================
+
+function escapeHtml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;')
+}
+
+function htmlText(value) {
+    return escapeHtml(value).replace(/\r?\n/g, '<br>')
+}
+
+const HTML_STYLE = [
+    'body { font-family: -apple-system, "Segoe UI", Helvetica, Arial, sans-serif; margin: 2em; color: #222; }',
+    'h1 { margin-bottom: 0.2em; }',
+    'h2 { margin-top: 2em; border-bottom: 2px solid #ccc; }',
+    'h3 { margin-top: 1.5em; }',
+    'table { border-collapse: collapse; width: 100%; font-size: 0.9em; }',
+    'th, td { border: 1px solid #ccc; padding: 4px 8px; text-align: left; vertical-align: top; }',
+    'th { background: #f0f0f0; }',
+    'code { font-family: Menlo, Consolas, monospace; }',
+    '.meta { color: #666; }',
+    '@media print { h2, h3 { page-break-after: avoid; } tr { page-break-inside: avoid; } }'
+]
+
+function tableId(table) {
+    return 'table-' + ((table.schema ? table.schema + '-' : '') + table.name).replace(/[^A-Za-z0-9_-]/g, '_')
+}
+
+function buildHTML(models, dialect) {
+    const lines = []
+    lines.push('<!DOCTYPE html>')
+    lines.push('<html lang="en">')
+    lines.push('<head>')
+    lines.push('<meta charset="utf-8">')
+    lines.push('<title>Data Dictionary</title>')
+    lines.push('<style>')
+    HTML_STYLE.forEach(function (rule) { lines.push(rule) })
+    lines.push('</style>')
+    lines.push('</head>')
+    lines.push('<body>')
+    lines.push('<h1>Data Dictionary</h1>')
+    lines.push('<p class="meta">Generated by StarUML Controller on ' + escapeHtml(new Date().toLocaleString()) + '. SQL types are for ' + escapeHtml(dialect.label) + '.</p>')
+
+    if (models.length === 0) {
+        lines.push('<p>No data models found.</p>')
+    }
+
+    // Table of contents
+    lines.push('<ul>')
+    models.forEach(function (model) {
+        lines.push('<li>' + htmlText(model.name) + '<ul>')
+        model.tables.forEach(function (table) {
+            lines.push('<li><a href="#' + tableId(table) + '">' + escapeHtml((table.schema ? table.schema + '.' : '') + table.name) + '</a></li>')
+        })
+        lines.push('</ul></li>')
+    })
+    lines.push('</ul>')
+
+    models.forEach(function (model) {
+        lines.push('<h2>' + htmlText(model.name) + (model.schema ? ' <span class="meta">(schema <code>' + escapeHtml(model.schema) + '</code>)</span>' : '') + '</h2>')
+        if (model.documentation) {
+            lines.push('<p>' + htmlText(model.documentation) + '</p>')
+        }
+        model.tables.forEach(function (table) {
+            lines.push('<h3 id="' + tableId(table) + '">' + escapeHtml((table.schema ? table.schema + '.' : '') + table.name) + '</h3>')
+            if (table.documentation) {
+                lines.push('<p>' + htmlText(table.documentation) + '</p>')
+            }
+            lines.push('<table>')
+            lines.push('<tr>' + COLUMN_HEADER.map(function (h) { return '<th>' + escapeHtml(h) + '</th>' }).join('') + '</tr>')
+            table.columns.forEach(function (column) {
+                lines.push('<tr>' + columnCells(column).map(function (value) { return '<td>' + htmlText(value) + '</td>' }).join('') + '</tr>')
+            })
+            lines.push('</table>')
+            if (table.indexes.length > 0) {
+                lines.push('<p>Indexes:</p>')
+                lines.push('<ul>')
+                table.indexes.forEach(function (index) {
+                    lines.push('<li><code>' + escapeHtml(index.name) + '</code>: <code>' + escapeHtml(index.statement.replace(/\s+/g, ' ')) + '</code></li>')
+                })
+                lines.push('</ul>')
+            }
+        })
+    })
+
+    lines.push('</body>')
+    lines.push('</html>')
+    return lines.join('\n') + '\n'
+}
+
+// ============================================================
+// Public API
+// ============================================================
+
+/**
+ * Generate the data dictionary, optionally writing it to a file.
+ *
+ * @param {Object} options - { format ('markdown' | 'csv' | 'html'), dialect, dataModelId, path }
+ * @returns {Object} { text, entities, columnCount }
+ */
+function generate(options) {
+    const format = options.format || 'markdown'
+    const dialectName = options.dialect || 'postgresql'
+    const dialect = ddlDialects.getDialect(dialectName)
+    if (!dialect) {
+        throw new Error('Unknown DDL dialect: ' + dialectName)
+    }
+
+    const models = collect(options.dataModelId || null, dialect)
+    let text
+    if (format === 'csv') {
+        text = buildCSV(models)
+    } else if (format === 'html') {
+        text = buildHTML(models, dialect)
+    } else {
+        text = buildMarkdown(models, dialect)
+    }
+    if (options.path) {
+        fs.writeFileSync(options.path, text, 'utf8')
+    }
+
+    const tables = models.reduce(function (all, model) { return all.concat(model.tables) }, [])
+    return {
+        text: text,
+        entities: tables.map(function (t) { return t.entity }),
+        columnCount: tables.reduce(function (n, t) { return n + t.columns.length }, 0)
+    }
+}
+
+exports.generate = generate
+exports.FORMATS = FORMATS
@@ -0,0 +1,790 @@
+/**
+ * SQL Dialects for DDL Generation
+ *
+ * Each dialect describes how one database spells the DDL that
+ * ddl-generator.js produces from an ERD model. The generator walks the
+ * model once and asks the dialect for everything that differs between
+ * databases:
+ *
+ *   types                 StarUML column type -> { type, hasLength, defaultLength, identity, serial, autoIncrement }
+ *   defaultSchema         schema used when the data model has no 'schema' tag (null: names stay unqualified)
+ *   quote(name)           identifier quoting
+ *   escapeString(text)    body of a single-quoted string literal
+ *   autoIncrement(...)    auto-increment column (length -1, or SERIAL/BIGSERIAL)
+ *   createSchema, dropTable, dropSequence, dropForeignKey, beforeDrops, afterDrops
+ *   inlineConstraints     UNIQUE and FOREIGN KEY inside CREATE TABLE instead of ALTER TABLE
+ *   fkIndex(...)          index on a foreign key column (null when the database creates one itself)
+ *   sequences             whether sequence# tags are emitted (otherwise listed as skipped)
+ *   tableComment, columnComment, inlineColumnComment, tableSuffix
+ *
+ * Migrations (ddl-migration.js) also use the ALTER statements:
+ *
+ *   renameTable, renameColumn, addColumn, dropColumn, alterColumn,
+ *   addPrimaryKey, dropPrimaryKey, addUnique, dropUnique,
+ *   dropForeignKeyConstraint, dropIndex, changeTableComment, changeColumnComment
+ *
+ * These return null when the database cannot make the change in place
+ * (the migration then notes it for manual work), and '' when there is
+ * nothing to do.
+ *
+ * Seed data (seed-data.js) uses the literals and identity handling:
+ *
+ *   stringLiteral, booleanLiteral, binaryLiteral (hex), uuidLiteral,
+ *   temporalLiteral(type, text)  DATE / TIME / DATETIME / TIMESTAMP values
+ *   identityInsert(table, column, columnName, lastValue) -> { before, after }
+ *                                statements around INSERTs that give
+ *                                auto-increment columns explicit values
+ * Type map entries: `identity` marks integer types that become
+ * auto-increment columns when the column length is -1; `autoIncrement`
+ * marks types that always are (SERIAL, BIGSERIAL). PostgreSQL swaps the
+ * type for its `serial` counterpart instead of adding a clause.
+ */
+
+// ============================================================
+// Identifiers and literals
+// ============================================================
+
+const SIMPLE_IDENTIFIER = /^[A-Za-z_][A-Za-z0-9_]*$/
+
+// Words that cannot be used as bare identifiers in at least one of the dialects
+const RESERVED_WORDS = [
+    'ALL', 'ALTER', 'AND', 'ANY', 'AS', 'ASC', 'BETWEEN', 'BY', 'CASE', 'CHECK', 'COLUMN', 'COMMENT',
+    'CONSTRAINT', 'CREATE', 'CURRENT', 'DATE', 'DEFAULT', 'DELETE', 'DESC', 'DISTINCT', 'DROP', 'ELSE',
+    'END', 'EXISTS', 'FOR', 'FOREIGN', 'FROM', 'GRANT', 'GROUP', 'HAVING', 'IN', 'INDEX', 'INSERT',
+    'INTO', 'IS', 'JOIN', 'KEY', 'LEVEL', 'LIKE', 'LIMIT', 'NOT', 'NULL', 'NUMBER', 'OF', 'OFFSET', 'ON',
+    'OR', 'ORDER', 'PRIMARY', 'REFERENCES', 'ROW', 'ROWS', 'SELECT', 'SESSION', 'SET', 'SIZE', 'TABLE',
+    'THEN', 'TO', 'UNION', 'UNIQUE', 'UPDATE', 'USER', 'VALUES', 'VIEW', 'WHEN', 'WHERE', 'WITH'
+]
+
+/**
+ * Quote only identifiers that need it. Used by dialects where quoting
+ * makes a name case-sensitive (PostgreSQL, Oracle), so plain names keep
+ * their usual case folding.
+ */
+function quoteWhenNeeded(name, open, close) {
+    if (SIMPLE_IDENTIFIER.test(name) && RESERVED_WORDS.indexOf(name.toUpperCase()) === -1) {
+        return name
+    }
+    return open + name.split(close).join(close + close) + close
+}
+
+function doubleQuotes(str) {
+    return str.replace(/'/g, "''")
+}
+
+function backslashesAndQuotes(str) {
+    return str.replace(/\\/g, '\\\\').replace(/'/g, "''")
+}
+
+/**
+ * Render text as SQL line comments (one "-- " line per line of text).
+ */
+function lineComment(prefix, text) {
+    return text.split(/\r?\n/).map(function (line, i) {
+        return '-- ' + (i === 0 ? prefix : '') + line
+    }).join('\n')
+}
+
+// ============================================================
+// Shared defaults
+// ============================================================
+
+const BASE_DIALECT = {
+    defaultSchema: null,
+    sequences: false,
+    inlineConstraints: false,
+    beforeDrops: [],
+    afterDrops: [],
+    escapeString: doubleQuotes,
+    // Prefix that places an object in a schema ('"app".'), or ''
+    schemaPrefix: function (schema) {
+        return schema ? this.quote(schema) + '.' : ''
+    },
+    qualify: function (schema, name) {
+        return this.schemaPrefix(schema) + this.quote(name)
+    },
+    createSchema: function () {
+        return null
+    },
+    dropTable: function (table) {
+        return 'DROP TABLE IF EXISTS ' + table + ';'
+    },
+    dropSequence: function (sequence) {
+        return 'DROP SEQUENCE IF EXISTS ' + sequence + ';'
+    },
+    dropForeignKey: function () {
+        return null
+    },
+    autoIncrement: function (type) {
+        return { type: type, clause: '' }
+    },
+    fkIndex: function (table, tableName, column, columnName) {
+        return 'CREATE INDEX ' + this.quote('IX_' + tableName + '_' + columnName) + ' ON ' + table + ' (' + column + ');'
+    },
+    tableComment: function (table, text) {
+        return 'COMMENT ON TABLE ' + table + " IS '" + this.escapeString(text) + "';"
+    },
+    columnComment: function (table, column, text) {
+        return 'COMMENT ON COLUMN ' + table + '.' + column + " IS '" + this.escapeString(text) + "';"
+    },
+    inlineColumnComment: function () {
+        return ''
+    },
+    tableSuffix: function () {
+        return ''
+    },
+    renameTable: function (table, newTable, newName) {
+        return 'ALTER TABLE ' + table + ' RENAME TO ' + this.quote(newName) + ';'
+    },
+    renameColumn: function (table, column, newColumn) {
+        return 'ALTER TABLE ' + table + ' RENAME COLUMN ' + column + ' TO ' + newColumn + ';'
+    },
+    addColumn: function (table, definition) {
+        return 'ALTER TABLE ' + table + ' ADD COLUMN ' + definition + ';'
+    },
+    dropColumn: function (table, column) {
+        return 'ALTER TABLE ' + table + ' DROP COLUMN ' + column + ';'
+    },
+    /**
+     * Statements that change a column from `before` to `after` (column
+     * descriptions from ddl-generator's describeTable).
+     */
+    alterColumn: function (table, before, after) {
+        if (before.autoIncrement !== after.autoIncrement) {
+            return null
+        }
+        const prefix = 'ALTER TABLE ' + table + ' ALTER COLUMN ' + after.quoted
+        const statements = []
+        if (before.type !== after.type) {
+            statements.push(prefix + ' TYPE ' + after.type + ';')
+        }
+        if (before.default !== after.default) {
+            statements.push(prefix + (after.default !== null ? ' SET DEFAULT ' + after.default : ' DROP DEFAULT') + ';')
+        }
+        if (before.notNull !== after.notNull) {
+            statements.push(prefix + (after.notNull ? ' SET NOT NULL' : ' DROP NOT NULL') + ';')
+        }
+        return statements.join('\n')
+    },
+    addPrimaryKey: function (table, columns) {
+        return 'ALTER TABLE ' + table + ' ADD PRIMARY KEY (' + columns.join(', ') + ');'
+    },
+    dropPrimaryKey: function (table) {
+        return 'ALTER TABLE ' + table + ' DROP PRIMARY KEY;'
+    },
+    addUnique: function (table, column) {
+        return 'ALTER TABLE ' + table + ' ADD UNIQUE (' + column + ');'
+    },
+    // Unique constraints are created without a name, so only dialects
+    // that can find them by column drop them
+    dropUnique: function () {
+        return null
+    },
+    dropForeignKeyConstraint: function (fk) {
+        return 'ALTER TABLE ' + fk.table + ' DROP CONSTRAINT ' + this.quote(fk.constraintName) + ';'
+    },
+    dropIndex: function (name, table, schema) {
+        return 'DROP INDEX IF EXISTS ' + this.qualify(schema, name) + ';'
+    },
+    // An empty comment removes it (PostgreSQL, Oracle)
+    changeTableComment: function (table, text, names) {
+        return this.tableComment(table, text, names)
+    },
+    changeColumnComment: function (table, column, text, names) {
+        return this.columnComment(table, column, text, names)
+    },
+    stringLiteral: function (text) {
+        return "'" + this.escapeString(text) + "'"
+    },
+    booleanLiteral: function (value) {
+        return value ? 'TRUE' : 'FALSE'
+    },
+    binaryLiteral: function (hex) {
+        return "X'" + hex + "'"
+    },
+    uuidLiteral: function (text) {
+        return this.stringLiteral(text)
+    },
+    temporalLiteral: function (type, text) {
+        return this.stringLiteral(text)
+    },
+    identityInsert: function () {
+        return { before: [], after: [] }
+    }
+}
+
+function defineDialect(dialect) {
+    return Object.assign({}, BASE_DIALECT, dialect)
+}
+
+// Column types of the ERD model; every dialect's type map covers them
+const COLUMN_TYPES = [
+    'CHAR', 'VARCHAR', 'TEXT', 'CLOB',
+    'BOOLEAN',
+    'SMALLINT', 'INTEGER', 'INT', 'BIGINT', 'TINYINT',
+    'FLOAT', 'DOUBLE', 'REAL', 'DECIMAL', 'NUMERIC',
+    'DATE', 'TIME', 'DATETIME', 'TIMESTAMP',
+    'BLOB', 'BINARY', 'VARBINARY',
+    'UUID', 'JSON', 'JSONB', 'XML',
+    'SERIAL', 'BIGSERIAL'
+]
+
+// ============================================================
+// PostgreSQL
+// ============================================================
+
+// Based on the staruml-postgresql extension
+const PG_TYPE_MAP = {
+    'CHAR': { type: 'char', hasLength: true },
+    'VARCHAR': { type: 'varchar', hasLength: true },
+    'TEXT': { type: 'text' },
+    'CLOB': { type: 'text' },
+    'BOOLEAN': { type: 'boolean' },
+    'SMALLINT': { type: 'smallint', identity: true, serial: 'smallserial' },
+    'INTEGER': { type: 'integer', identity: true, serial: 'serial' },
+    'INT': { type: 'integer', identity: true, serial: 'serial' },
+    'BIGINT': { type: 'bigint', identity: true, serial: 'bigserial' },
+    'TINYINT': { type: 'smallint' },
+    'FLOAT': { type: 'real' },
+    'DOUBLE': { type: 'double precision' },
+    'REAL': { type: 'real' },
+    'DECIMAL': { type: 'numeric', hasLength: true },
+    'NUMERIC': { type: 'numeric', hasLength: true },
+    'DATE': { type: 'date' },
+    'TIME': { type: 'time without time zone' },
+    'DATETIME': { type: 'timestamp with time zone' },
+    'TIMESTAMP': { type: 'timestamp without time zone' },
+    'BLOB': { type: 'bytea' },
+    'BINARY': { type: 'bytea' },
+    'VARBINARY': { type: 'bytea' },
+    'UUID': { type: 'uuid' },
+    'JSON': { type: 'json' },
+    'JSONB': { type: 'jsonb' },
+    'XML': { type: 'xml' },
+    'SERIAL': { type: 'serial', autoIncrement: true },
+    'BIGSERIAL': { type: 'bigserial', autoIncrement: true }
+}
+
+const postgresql = defineDialect({
+    name: 'postgresql',
+    label: 'PostgreSQL',
+    types: PG_TYPE_MAP,
+    defaultSchema: 'public',
+    sequences: true,
+    escapeString: backslashesAndQuotes,
+    quote: function (name) {
+        return quoteWhenNeeded(name, '"', '"')
+    },
+    createSchema: function (schema) {
+        return 'CREATE SCHEMA IF NOT EXISTS ' + this.quote(schema) + ';'
+    },
+    dropTable: function (table) {
+        return 'DROP TABLE IF EXISTS ' + table + ' CASCADE;'
+    },
+    dropSequence: function (sequence) {
+        return 'DROP SEQUENCE IF EXISTS ' + sequence + ' CASCADE;'
+    },
+    autoIncrement: function (type, mapping) {
+        return { type: mapping.serial || type, clause: '' }
+    },
+    binaryLiteral: function (hex) {
+        return "'\\x" + hex + "'"
+    },
+    // Explicit values do not advance the serial sequence
+    identityInsert: function (table, column, columnName, lastValue) {
+        return {
+            before: [],
+            after: ["SELECT setval(pg_get_serial_sequence('" + doubleQuotes(table) + "', '" + doubleQuotes(columnName) + "'), " + lastValue + ');']
+        }
+    },
+    // Anonymous FK index, like staruml-postgresql
+    fkIndex: function (table, tableName, column) {
+        return 'CREATE INDEX ON ' + table + '\n    (' + column + ');'
+    },
+    // Constraint names PostgreSQL picks for unnamed constraints
+    dropPrimaryKey: function (table, names) {
+        return 'ALTER TABLE ' + table + ' DROP CONSTRAINT ' + this.quote(names.table + '_pkey') + ';'
+    },
+    dropUnique: function (table, column, names) {
+        return 'ALTER TABLE ' + table + ' DROP CONSTRAINT ' + this.quote(names.table + '_' + names.column + '_key') + ';'
+    }
+})
+
+// ============================================================
+// MySQL 8
+// ============================================================
+
+const mysql = defineDialect({
+    name: 'mysql',
+    label: 'MySQL',
+    types: {
+        'CHAR': { type: 'char', hasLength: true },
+        'VARCHAR': { type: 'varchar', hasLength: true, defaultLength: '255' },
+        'TEXT': { type: 'text' },
+        'CLOB': { type: 'longtext' },
+        'BOOLEAN': { type: 'boolean' },
+        'SMALLINT': { type: 'smallint', identity: true },
+        'INTEGER': { type: 'int', identity: true },
+        'INT': { type: 'int', identity: true },
+        'BIGINT': { type: 'bigint', identity: true },
+        'TINYINT': { type: 'tinyint', identity: true },
+        'FLOAT': { type: 'float' },
+        'DOUBLE': { type: 'double' },
+        'REAL': { type: 'double' },
+        'DECIMAL': { type: 'decimal', hasLength: true },
+        'NUMERIC': { type: 'decimal', hasLength: true },
+        'DATE': { type: 'date' },
+        'TIME': { type: 'time' },
+        'DATETIME': { type: 'datetime' },
+        'TIMESTAMP': { type: 'timestamp' },
+        'BLOB': { type: 'longblob' },
+        'BINARY': { type: 'binary', hasLength: true },
+        'VARBINARY': { type: 'varbinary', hasLength: true, defaultLength: '255' },
+        'UUID': { type: 'char(36)' },
+        'JSON': { type: 'json' },
+        'JSONB': { type: 'json' },
+        'XML': { type: 'longtext' },
+        'SERIAL': { type: 'int', autoIncrement: true },
+        'BIGSERIAL': { type: 'bigint', autoIncrement: true }
+    },
+    escapeString: backslashesAndQuotes,
+    // Identifiers are case-insensitive in MySQL, so quoting every name is safe
+    quote: function (name) {
+        return '`' + name.split('`').join('``') + '`'
+    },
+    createSchema: function (schema) {
+        return 'CREATE DATABASE IF NOT EXISTS ' + this.quote(schema) + ';'
+    },
+    beforeDrops: ['SET FOREIGN_KEY_CHECKS = 0;'],
+    afterDrops: ['SET FOREIGN_KEY_CHECKS = 1;'],
+    autoIncrement: function (type) {
+        return { type: type, clause: ' AUTO_INCREMENT' }
+    },
+    // InnoDB creates an index for every foreign key by itself
+    fkIndex: function () {
+        return null
+    },
+    tableComment: function () {
+        return null
+    },
+    columnComment: function () {
+        return null
+    },
+    inlineColumnComment: function (text) {
+        return " COMMENT '" + this.escapeString(text) + "'"
+    },
+    tableSuffix: function (text) {
+        return text ? " COMMENT='" + this.escapeString(text) + "'" : ''
+    },
+    // Unqualified new names would move the table to the current database
+    renameTable: function (table, newTable) {
+        return 'RENAME TABLE ' + table + ' TO ' + newTable + ';'
+    },
+    // MODIFY restates the whole column, including its COMMENT
+    alterColumn: function (table, before, after) {
+        return 'ALTER TABLE ' + table + ' MODIFY COLUMN ' + after.definition + ';'
+    },
+    // The index behind an unnamed UNIQUE constraint is named after its column
+    dropUnique: function (table, column) {
+        return 'ALTER TABLE ' + table + ' DROP INDEX ' + column + ';'
+    },
+    dropForeignKeyConstraint: function (fk) {
+        return 'ALTER TABLE ' + fk.table + ' DROP FOREIGN KEY ' + this.quote(fk.constraintName) + ';'
+    },
+    dropIndex: function (name, table) {
+        return 'DROP INDEX ' + this.quote(name) + ' ON ' + table + ';'
+    },
+    changeTableComment: function (table, text) {
+        return 'ALTER TABLE ' + table + " COMMENT = '" + this.escapeString(text) + "';"
+    },
+    // Column comments are part of the column definition (see alterColumn)
+    changeColumnComment: function () {
+        return ''
+    }
+})
+
+// ============================================================
+// SQLite
+// ============================================================
+
+const sqlite = defineDialect({
+    name: 'sqlite',
+    label: 'SQLite',
+    // Type affinities (https://www.sqlite.org/datatype3.html)
+    types: {
+        'CHAR': { type: 'TEXT' },
+        'VARCHAR': { type: 'TEXT' },
+        'TEXT': { type: 'TEXT' },
+        'CLOB': { type: 'TEXT' },
+        'BOOLEAN': { type: 'INTEGER' },
+        'SMALLINT': { type: 'INTEGER', identity: true },
+        'INTEGER': { type: 'INTEGER', identity: true },
+        'INT': { type: 'INTEGER', identity: true },
+        'BIGINT': { type: 'INTEGER', identity: true },
+        'TINYINT': { type: 'INTEGER', identity: true },
+        'FLOAT': { type: 'REAL' },
+        'DOUBLE': { type: 'REAL' },
+        'REAL': { type: 'REAL' },
+        'DECIMAL': { type: 'NUMERIC' },
+        'NUMERIC': { type: 'NUMERIC' },
+        'DATE': { type: 'TEXT' },
+        'TIME': { type: 'TEXT' },
+        'DATETIME': { type: 'TEXT' },
+        'TIMESTAMP': { type: 'TEXT' },
+        'BLOB': { type: 'BLOB' },
+        'BINARY': { type: 'BLOB' },
+        'VARBINARY': { type: 'BLOB' },
+        'UUID': { type: 'TEXT' },
+        'JSON': { type: 'TEXT' },
+        'JSONB': { type: 'TEXT' },
+        'XML': { type: 'TEXT' },
+        'SERIAL': { type: 'INTEGER', autoIncrement: true },
+        'BIGSERIAL': { type: 'INTEGER', autoIncrement: true }
+    },
+    // SQLite has no ALTER TABLE ... ADD CONSTRAINT
+    inlineConstraints: true,
+    quote: function (name) {
+        return quoteWhenNeeded(name, '"', '"')
+    },
+    // Attached databases are not modelled; tables are never qualified
+    schemaPrefix: function () {
+        return ''
+    },
+    beforeDrops: ['PRAGMA foreign_keys = OFF;'],
+    afterDrops: ['PRAGMA foreign_keys = ON;'],
+    // AUTOINCREMENT is only allowed on a single-column INTEGER PRIMARY KEY
+    autoIncrement: function (type, mapping, col, pkCount) {
+        if (col.primaryKey && pkCount === 1) {
+            return { type: 'INTEGER', clause: ' PRIMARY KEY AUTOINCREMENT', primaryKey: true }
+        }
+        return { type: type, clause: '' }
+    },
+    booleanLiteral: function (value) {
+        return value ? '1' : '0'
+    },
+    // No COMMENT syntax; documentation is kept as SQL comments
+    tableComment: function (table, text) {
+        return lineComment(table + ': ', text)
+    },
+    columnComment: function (table, column, text) {
+        return lineComment(table + '.' + column + ': ', text)
+    },
+    // ALTER TABLE only renames, adds and drops columns
+    // (https://www.sqlite.org/lang_altertable.html); the rest needs a table rebuild
+    alterColumn: function () {
+        return null
+    },
+    addPrimaryKey: function () {
+        return null
+    },
+    dropPrimaryKey: function () {
+        return null
+    },
+    addUnique: function () {
+        return null
+    },
+    dropForeignKeyConstraint: function () {
+        return null
+    },
+    changeTableComment: function () {
+        return ''
+    },
+    changeColumnComment: function () {
+        return ''
+    }
+})
+
+// ============================================================
+// SQL Server
+// ============================================================
+
+/**
+ * Call one of the sp_*extendedproperty procedures for MS_Description
+ * (text is null for sp_dropextendedproperty, which takes no value).
+ */
+function extendedProperty(procedure, text, schema, table, column) {
+    let stmt = 'EXEC ' + procedure + " @name = N'MS_Description'" + (text !== null ? ", @value = N'" + doubleQuotes(text) + "'" : '') +
+        ", @level0type = N'SCHEMA', @level0name = N'" + doubleQuotes(schema) + "'" +
+        ", @level1type = N'TABLE', @level1name = N'" + doubleQuotes(table) + "'"
+    if (column) {
+        stmt += ", @level2type = N'COLUMN', @level2name = N'" + doubleQuotes(column) + "'"
+    }
+    return stmt + ';'
+}
+
+/**
+ * Drop a constraint whose name SQL Server generated: look the name up in
+ * the catalog views, then run the ALTER TABLE through sp_executesql.
+ * `variable` must be unique within the script.
+ */
+function dropConstraintByLookup(table, variable, from) {
+    return 'DECLARE @' + variable + " nvarchar(max) = (SELECT TOP 1 N'ALTER TABLE " + doubleQuotes(table) + " DROP CONSTRAINT ' + QUOTENAME(c.name) FROM " + from + ');\n' +
+        'EXEC sp_executesql @' + variable + ';'
+}
+
+function variableName(prefix, names) {
+    return (prefix + '_' + [names.schema, names.table, names.column].filter(Boolean).join('_')).replace(/\W/g, '_')
+}
+
+const sqlserver = defineDialect({
+    name: 'sqlserver',
+    label: 'SQL Server',
+    types: {
+        'CHAR': { type: 'nchar', hasLength: true },
+        'VARCHAR': { type: 'nvarchar', hasLength: true, defaultLength: '255' },
+        'TEXT': { type: 'nvarchar(max)' },
+        'CLOB': { type: 'nvarchar(max)' },
+        'BOOLEAN': { type: 'bit' },
+        'SMALLINT': { type: 'smallint', identity: true },
+        'INTEGER': { type: 'int', identity: true },
+        'INT': { type: 'int', identity: true },
+        'BIGINT': { type: 'bigint', identity: true },
+        'TINYINT': { type: 'tinyint', identity: true },
+        'FLOAT': { type: 'real' },
+        'DOUBLE': { type: 'float' },
+        'REAL': { type: 'real' },
+        'DECIMAL': { type: 'decimal', hasLength: true },
+        'NUMERIC': { type: 'numeric', hasLength: true },
+        'DATE': { type: 'date' },
+        'TIME': { type: 'time' },
+        'DATETIME': { type: 'datetimeoffset' },
+        // SQL Server's own TIMESTAMP is a row version, not a point in time
+        'TIMESTAMP': { type: 'datetime2' },
+        'BLOB': { type: 'varbinary(max)' },
+        'BINARY': { type: 'binary', hasLength: true },
+        'VARBINARY': { type: 'varbinary', hasLength: true, defaultLength: 'max' },
+        'UUID': { type: 'uniqueidentifier' },
+        'JSON': { type: 'nvarchar(max)' },
+        'JSONB': { type: 'nvarchar(max)' },
+        'XML': { type: 'xml' },
+        'SERIAL': { type: 'int', autoIncrement: true },
+        'BIGSERIAL': { type: 'bigint', autoIncrement: true }
+    },
+    defaultSchema: 'dbo',
+    sequences: true,
+    // Identifiers are case-insensitive by default collation, so quoting every name is safe
+    quote: function (name) {
+        return '[' + name.split(']').join(']]') + ']'
+    },
+    // CREATE SCHEMA must be the only statement in its batch
+    createSchema: function (schema) {
+        return "IF SCHEMA_ID(N'" + doubleQuotes(schema) + "') IS NULL EXEC(N'CREATE SCHEMA " + doubleQuotes(this.quote(schema)) + "');"
+    },
+    // Tables referenced by a foreign key cannot be dropped, so constraints go first
+    dropForeignKey: function (fk) {
+        return "IF OBJECT_ID(N'" + doubleQuotes(this.qualify(fk.schema, fk.constraintName)) + "', N'F') IS NOT NULL ALTER TABLE " + fk.table + ' DROP CONSTRAINT ' + this.quote(fk.constraintName) + ';'
+    },
+    autoIncrement: function (type) {
+        return { type: type, clause: ' IDENTITY(1,1)' }
+    },
+    stringLiteral: function (text) {
+        return "N'" + this.escapeString(text) + "'"
+    },
+    booleanLiteral: function (value) {
+        return value ? '1' : '0'
+    },
+    binaryLiteral: function (hex) {
+        return '0x' + hex
+    },
+    identityInsert: function (table) {
+        return {
+            before: ['SET IDENTITY_INSERT ' + table + ' ON;'],
+            after: ['SET IDENTITY_INSERT ' + table + ' OFF;']
+        }
+    },
+    tableComment: function (table, text, names) {
+        return extendedProperty('sp_addextendedproperty', text, names.schema, names.table)
+    },
+    columnComment: function (table, column, text, names) {
+        return extendedProperty('sp_addextendedproperty', text, names.schema, names.table, names.column)
+    },
+    renameTable: function (table, newTable, newName, names) {
+        return "EXEC sp_rename N'" + doubleQuotes(table) + "', N'" + doubleQuotes(newName) + "';"
+    },
+    renameColumn: function (table, column, newColumn, names) {
+        return "EXEC sp_rename N'" + doubleQuotes(table + '.' + column) + "', N'" + doubleQuotes(names.newColumn) + "', N'COLUMN';"
+    },
+    addColumn: function (table, definition) {
+        return 'ALTER TABLE ' + table + ' ADD ' + definition + ';'
+    },
+    alterColumn: function (table, before, after, names) {
+        if (before.autoIncrement !== after.autoIncrement) {
+            return null
+        }
+        const statements = []
+        if (before.type !== after.type || before.notNull !== after.notNull) {
+            statements.push('ALTER TABLE ' + table + ' ALTER COLUMN ' + after.quoted + ' ' + after.type + (after.notNull ? ' NOT NULL' : ' NULL') + ';')
+        }
+        if (before.default !== after.default) {
+            if (before.default !== null) {
+                statements.push(dropConstraintByLookup(table, variableName('drop_df', names),
+                    "sys.default_constraints c WHERE c.parent_object_id = OBJECT_ID(N'" + doubleQuotes(table) + "')" +
+                    " AND c.parent_column_id = COLUMNPROPERTY(OBJECT_ID(N'" + doubleQuotes(table) + "'), N'" + doubleQuotes(names.column) + "', 'ColumnId')"))
+            }
+            if (after.default !== null) {
+                statements.push('ALTER TABLE ' + table + ' ADD DEFAULT ' + after.default + ' FOR ' + after.quoted + ';')
+            }
+        }
+        return statements.join('\n')
+    },
+    dropPrimaryKey: function (table, names) {
+        return dropConstraintByLookup(table, variableName('drop_pk', names),
+            "sys.key_constraints c WHERE c.type = 'PK' AND c.parent_object_id = OBJECT_ID(N'" + doubleQuotes(table) + "')")
+    },
+    dropUnique: function (table, column, names) {
+        return dropConstraintByLookup(table, variableName('drop_uq', names),
+            "sys.key_constraints c JOIN sys.index_columns ic ON ic.object_id = c.parent_object_id AND ic.index_id = c.unique_index_id" +
+            " WHERE c.type = 'UQ' AND c.parent_object_id = OBJECT_ID(N'" + doubleQuotes(table) + "')" +
+            " AND ic.column_id = COLUMNPROPERTY(OBJECT_ID(N'" + doubleQuotes(table) + "'), N'" + doubleQuotes(names.column) + "', 'ColumnId')")
+    },
+    dropIndex: function (name, table) {
+        return 'DROP INDEX IF EXISTS ' + this.quote(name) + ' ON ' + table + ';'
+    },
+    changeTableComment: function (table, text, names, previous) {
+        if (!text) {
+            return extendedProperty('sp_dropextendedproperty', null, names.schema, names.table)
+        }
+        return extendedProperty(previous ? 'sp_updateextendedproperty' : 'sp_addextendedproperty', text, names.schema, names.table)
+    },
+    changeColumnComment: function (table, column, text, names, previous) {
+        if (!text) {
+            return extendedProperty('sp_dropextendedproperty', null, names.schema, names.table, names.column)
+        }
+        return extendedProperty(previous ? 'sp_updateextendedproperty' : 'sp_addextendedproperty', text, names.schema, names.table, names.column)
+    }
+})
+
+// ============================================================
+// Oracle
+// ============================================================
+
+/**
+ * Oracle (before 23ai) has no DROP ... IF EXISTS; ignore the
+ * "does not exist" error code instead.
+ */
+function oracleDropIgnoring(statement, errorCode) {
+    return "BEGIN\n    EXECUTE IMMEDIATE '" + doubleQuotes(statement) + "';\nEXCEPTION\n    WHEN OTHERS THEN\n        IF SQLCODE != " + errorCode + ' THEN\n            RAISE;\n        END IF;\nEND;\n/'
+}
+
+const oracle = defineDialect({
+    name: 'oracle',
+    label: 'Oracle',
+    types: {
+        'CHAR': { type: 'CHAR', hasLength: true },
+        'VARCHAR': { type: 'VARCHAR2', hasLength: true, defaultLength: '255' },
+        'TEXT': { type: 'CLOB' },
+        'CLOB': { type: 'CLOB' },
+        'BOOLEAN': { type: 'NUMBER(1)' },
+        'SMALLINT': { type: 'NUMBER(5)', identity: true },
+        'INTEGER': { type: 'NUMBER(10)', identity: true },
+        'INT': { type: 'NUMBER(10)', identity: true },
+        'BIGINT': { type: 'NUMBER(19)', identity: true },
+        'TINYINT': { type: 'NUMBER(3)', identity: true },
+        'FLOAT': { type: 'BINARY_FLOAT' },
+        'DOUBLE': { type: 'BINARY_DOUBLE' },
+        'REAL': { type: 'BINARY_FLOAT' },
+        'DECIMAL': { type: 'NUMBER', hasLength: true },
+        'NUMERIC': { type: 'NUMBER', hasLength: true },
+        'DATE': { type: 'DATE' },
+        'TIME': { type: 'TIMESTAMP' },
+        'DATETIME': { type: 'TIMESTAMP WITH TIME ZONE' },
+        'TIMESTAMP': { type: 'TIMESTAMP' },
+        'BLOB': { type: 'BLOB' },
+        'BINARY': { type: 'RAW', hasLength: true, defaultLength: '2000' },
+        'VARBINARY': { type: 'RAW', hasLength: true, defaultLength: '2000' },
+        'UUID': { type: 'RAW(16)' },
+        'JSON': { type: 'CLOB' },
+        'JSONB': { type: 'CLOB' },
+        'XML': { type: 'XMLTYPE' },
+        'SERIAL': { type: 'NUMBER(10)', autoIncrement: true },
+        'BIGSERIAL': { type: 'NUMBER(19)', autoIncrement: true }
+    },
+    sequences: true,
+    quote: function (name) {
+        return quoteWhenNeeded(name, '"', '"')
+    },
+    dropTable: function (table) {
+        return oracleDropIgnoring('DROP TABLE ' + table + ' CASCADE CONSTRAINTS', -942)
+    },
+    dropSequence: function (sequence) {
+        return oracleDropIgnoring('DROP SEQUENCE ' + sequence, -2289)
+    },
+    autoIncrement: function (type) {
+        return { type: type, clause: ' GENERATED BY DEFAULT AS IDENTITY' }
+    },
+    booleanLiteral: function (value) {
+        return value ? '1' : '0'
+    },
+    binaryLiteral: function (hex) {
+        return "HEXTORAW('" + hex + "')"
+    },
+    // UUID columns are RAW(16)
+    uuidLiteral: function (text) {
+        return this.binaryLiteral(text.replace(/-/g, '').toUpperCase())
+    },
+    // TIME columns are TIMESTAMP, on the first day of the epoch
+    temporalLiteral: function (type, text) {
+        if (type === 'DATE') {
+            return "DATE '" + text + "'"
+        }
+        return "TIMESTAMP '" + (type === 'TIME' ? '1970-01-01 ' : '') + text + "'"
+    },
+    // Explicit values do not advance the identity
+    identityInsert: function (table, column, columnName, lastValue) {
+        return {
+            before: [],
+            after: ['ALTER TABLE ' + table + ' MODIFY (' + column + ' GENERATED BY DEFAULT AS IDENTITY (START WITH LIMIT VALUE));']
+        }
+    },
+    addColumn: function (table, definition) {
+        return 'ALTER TABLE ' + table + ' ADD (' + definition + ');'
+    },
+    // MODIFY names only what changes: restating NOT NULL on a NOT NULL column is an error
+    alterColumn: function (table, before, after) {
+        if (before.autoIncrement !== after.autoIncrement) {
+            return null
+        }
+        const parts = [after.quoted]
+        if (before.type !== after.type) {
+            parts.push(after.type)
+        }
+        if (before.default !== after.default) {
+            parts.push('DEFAULT ' + (after.default !== null ? after.default : 'NULL'))
+        }
+        if (before.notNull !== after.notNull) {
+            parts.push(after.notNull ? 'NOT NULL' : 'NULL')
+        }
+        return 'ALTER TABLE ' + table + ' MODIFY (' + parts.join(' ') + ');'
+    },
+    dropUnique: function (table, column) {
+        return 'ALTER TABLE ' + table + ' DROP UNIQUE (' + column + ');'
+    },
+    dropIndex: function (name, table, schema) {
+        return oracleDropIgnoring('DROP INDEX ' + this.qualify(schema, name), -1418)
+    }
+})
+
+// ============================================================
+// Registry
+// ============================================================
+
+const DIALECTS = {
+    postgresql: postgresql,
+    mysql: mysql,
+    sqlite: sqlite,
+    sqlserver: sqlserver,
+    oracle: oracle
+}
+
+const DIALECT_NAMES = Object.keys(DIALECTS)
+
+/**
+ * Look up a dialect by name (case-insensitive). Returns null if unknown.
+ */
+function getDialect(name) {
+    return DIALECTS[String(name).toLowerCase()] || null
+}
+
+exports.DIALECT_NAMES = DIALECT_NAMES
+exports.COLUMN_TYPES = COLUMN_TYPES
+exports.getDialect = getDialect
@@ -1,47 +1,19 @@
 /**
- * PostgreSQL DDL Generator for StarUML Controller
+ * DDL Generator for StarUML Controller
  *
- * Generates PostgreSQL-compatible DDL from ERD models.
+ * Generates DDL from ERD models for PostgreSQL, MySQL, SQLite, SQL Server
+ * and Oracle. Everything database-specific comes from the dialects in
+ * ddl-dialects.js; the model walk, statement order and the sequence# /
+ * index# tag conventions are shared.
  * Based on the staruml-postgresql extension's DDL generation logic.
  */
 
 const fs = require('fs')
+const ddlDialects = require('./ddl-dialects')
 
 const SEQUENCE_PREFIX = 'sequence#'
 const INDEX_PREFIX = 'index#'
 
-// PostgreSQL type mapping based on staruml-postgresql extension
-const PG_TYPE_MAP = {
-    'CHAR': { pgType: 'char', hasLength: true },
-    'VARCHAR': { pgType: 'varchar', hasLength: true },
-    'TEXT': { pgType: 'text', hasLength: false },
-    'CLOB': { pgType: 'text', hasLength: false },
-    'BOOLEAN': { pgType: 'boolean', hasLength: false },
-    'SMALLINT': { pgType: 'smallint', hasLength: false, serial: 'smallserial' },
-    'INTEGER': { pgType: 'integer', hasLength: false, serial: 'serial' },
-    'INT': { pgType: 'integer', hasLength: false, serial: 'serial' },
-    'BIGINT': { pgType: 'bigint', hasLength: false, serial: 'bigserial' },
-    'TINYINT': { pgType: 'smallint', hasLength: false },
-    'FLOAT': { pgType: 'real', hasLength: false },
-    'DOUBLE': { pgType: 'double precision', hasLength: false },
-    'REAL': { pgType: 'real', hasLength: false },
-    'DECIMAL': { pgType: 'numeric', hasLength: true },
-    'NUMERIC': { pgType: 'numeric', hasLength: true },
-    'DATE': { pgType: 'date', hasLength: false },
-    'TIME': { pgType: 'time without time zone', hasLength: false },
-    'DATETIME': { pgType: 'timestamp with time zone', hasLength: false },
-    'TIMESTAMP': { pgType: 'timestamp without time zone', hasLength: false },
-    'BLOB': { pgType: 'bytea', hasLength: false },
-    'BINARY': { pgType: 'bytea', hasLength: false },
-    'VARBINARY': { pgType: 'bytea', hasLength: false },
-    'UUID': { pgType: 'uuid', hasLength: false },
-    'JSON': { pgType: 'json', hasLength: false },
-    'JSONB': { pgType: 'jsonb', hasLength: false },
-    'XML': { pgType: 'xml', hasLength: false },
-    'SERIAL': { pgType: 'serial', hasLength: false },
-    'BIGSERIAL': { pgType: 'bigserial', hasLength: false }
-}
-
 // ============================================================
 // Helpers
 // ============================================================
@@ -86,14 +58,15 @@ function getColumnName(col) {
 
 /**
  * Get the schema name for a data model.
- * Uses 'schema' tag if present, defaults to 'public'.
+ * Uses 'schema' tag if present, otherwise the dialect's default schema
+ * (null for dialects whose names stay unqualified).
  */
-function getSchemaName(dataModel) {
+function getSchemaName(dataModel, dialect) {
     const tagValue = getTagValue(dataModel, 'schema')
     if (tagValue) {
         return tagValue
     }
-    return 'public'
+    return dialect.defaultSchema
 }
 
 /**
@@ -103,37 +76,34 @@ function getDefaultValue(col) {
     return getTagValue(col, 'default')
 }
 
+function isAutoIncrementLength(length) {
+    return length === '-1' || length === -1
+}
+
 /**
- * Map a StarUML column type to PostgreSQL type.
- * Supports auto-increment via length === '-1' (serial override).
+ * Map a StarUML column type to the dialect's type.
+ * Returns { type, mapping, autoIncrement }; auto-increment is requested by
+ * length === '-1' on integer types, or by the SERIAL/BIGSERIAL types.
  */
-function mapColumnType(col) {
+function mapColumnType(dialect, col) {
     const upperType = (col.type || 'VARCHAR').toUpperCase()
-    const mapping = PG_TYPE_MAP[upperType]
+    const mapping = dialect.types[upperType]
     if (!mapping) {
-        return col.type || 'varchar'
+        return { type: col.type || dialect.types.VARCHAR.type, mapping: null, autoIncrement: false }
     }
 
-    // Auto-increment: length == -1 triggers serial override
-    if (mapping.serial && (col.length === '-1' || col.length === -1)) {
-        return mapping.serial
-    }
-
-    let pgType = mapping.pgType
-    if (mapping.hasLength && col.length && col.length !== '' && col.length !== '-1') {
-        pgType += '(' + col.length + ')'
+    let sqlType = mapping.type
+    if (mapping.hasLength) {
+        const length = col.length && col.length !== '' && !isAutoIncrementLength(col.length) ? col.length : mapping.defaultLength
+        if (length) {
+            sqlType += '(' + length + ')'
+        }
     }
-    return pgType
-}
-
-/**
- * Escape a string for use in SQL single-quoted literals.
- */
-function escapeComment(str) {
-    if (!str) {
-        return ''
+    return {
+        type: sqlType,
+        mapping: mapping,
+        autoIncrement: !!(mapping.autoIncrement || (mapping.identity && isAutoIncrementLength(col.length)))
     }
-    return str.replace(/\\/g, '\\\\').replace(/'/g, "''")
 }
 
 /**
@@ -155,11 +125,223 @@ function isIndexTag(tag) {
     return tag && tag.name && tag.name.indexOf(INDEX_PREFIX) === 0
 }
 
+function pushSection(lines, title, statements) {
+    if (statements.length === 0) {
+        return
+    }
+    lines.push('-- ' + title)
+    for (let i = 0; i < statements.length; i++) {
+        lines.push(statements[i])
+    }
+    lines.push('')
+}
+
+// ============================================================
+// Tables
+// ============================================================
+
 /**
- * Build a schema-qualified name (always includes schema prefix).
+ * Describe the DDL of one entity: its CREATE TABLE statement and the
+ * statements that go with it, with per-column details for callers that
+ * compare two states of a table (ddl-migration.js).
+ *
+ * @param {Object} dialect - Dialect from ddl-dialects.js
+ * @param {Object} entity - ERDEntity
+ * @param {string|null} schema - Schema of the entity's data model
+ * @returns {Object} { id, schema, name, fullName, documentation, create,
+ *   columns, uniques, foreignKeys, comments, indexes, sequences }
  */
-function qualifiedName(schema, name) {
-    return schema + '.' + name
+function describeTable(dialect, entity, schema) {
+    const schemaPrefix = dialect.schemaPrefix(schema)
+    const tableName = getTableName(entity)
+    const fullTableName = dialect.qualify(schema, tableName)
+    const columns = entity.columns || []
+    const pkCount = columns.filter(function (c) { return c.primaryKey }).length
+    const pkColumns = []
+    const tableConstraints = []
+    let inlinePrimaryKey = false
+
+    const table = {
+        id: entity._id,
+        schema: schema,
+        name: tableName,
+        fullName: fullTableName,
+        documentation: entity.documentation || '',
+        create: null,
+        columns: [],
+        uniques: [],
+        foreignKeys: [],
+        comments: [],
+        indexes: [],
+        sequences: []
+    }
+
+    // Sequences from entity tags
+    const tags = entity.tags || []
+    for (let t = 0; t < tags.length; t++) {
+        if (isSequenceTag(tags[t]) && tags[t].value) {
+            let seqStmt = tags[t].value
+            if (!dialect.sequences) {
+                table.sequences.push({ name: tags[t].name.substring(SEQUENCE_PREFIX.length), statement: '-- Skipped (' + dialect.label + ' has no sequences): ' + seqStmt.trim().replace(/\s+/g, ' '), drop: null })
+                continue
+            }
+            // Extract sequence name for DROP SEQUENCE
+            const seqMatch = seqStmt.match(/CREATE SEQUENCE\s+(?:IF NOT EXISTS\s+)?(\S+)/i)
+            const unqualified = seqMatch && seqMatch[1].indexOf('.') === -1
+            const seqName = seqMatch ? (unqualified ? schemaPrefix : '') + seqMatch[1] : null
+            // Always add schema prefix to CREATE SEQUENCE (consistent with CREATE TABLE etc.)
+            if (unqualified && schemaPrefix) {
+                seqStmt = seqStmt.replace(/CREATE SEQUENCE(\s+(?:IF NOT EXISTS\s+)?)/i, function (m, gap) {
+                    return 'CREATE SEQUENCE' + gap + schemaPrefix
+                })
+            }
+            table.sequences.push({
+                name: seqName || tags[t].name.substring(SEQUENCE_PREFIX.length),
+                statement: ensureSemicolon(seqStmt),
+                drop: seqName ? dialect.dropSequence(seqName) : null
+            })
+        }
+    }
+
+    const tableLines = []
+    tableLines.push('CREATE TABLE ' + fullTableName + ' (')
+
+    const colDefs = []
+    for (let c = 0; c < columns.length; c++) {
+        const col = columns[c]
+        const colName = getColumnName(col)
+        const quotedColName = dialect.quote(colName)
+        const mapped = mapColumnType(dialect, col)
+        let colType = mapped.type
+        let colDef = quotedColName + ' '
+        let defaultVal = null
+
+        if (mapped.autoIncrement) {
+            const auto = dialect.autoIncrement(mapped.type, mapped.mapping, col, pkCount)
+            colType = auto.type
+            colDef += auto.type + auto.clause
+            inlinePrimaryKey = inlinePrimaryKey || !!auto.primaryKey
+        } else {
+            colDef += mapped.type
+            // DEFAULT value (auto-increment columns have their own default)
+            defaultVal = getDefaultValue(col)
+            if (defaultVal !== null) {
+                colDef += ' DEFAULT ' + defaultVal
+            }
+        }
+
+        // NOT NULL for primary keys or non-nullable columns
+        const notNull = !!(col.primaryKey || !col.nullable)
+        if (notNull) {
+            colDef += ' NOT NULL'
+        }
+
+        if (col.documentation) {
+            colDef += dialect.inlineColumnComment(col.documentation)
+        }
+
+        if (col.primaryKey) {
+            pkColumns.push(quotedColName)
+        }
+
+        table.columns.push({
+            id: col._id,
+            name: colName,
+            quoted: quotedColName,
+            type: colType,
+            definition: colDef,
+            notNull: notNull,
+            default: defaultVal,
+            autoIncrement: mapped.autoIncrement,
+            primaryKey: !!col.primaryKey,
+            unique: !!col.unique,
+            documentation: col.documentation || ''
+        })
+
+        // Collect UNIQUE constraints
+        if (col.unique) {
+            if (dialect.inlineConstraints) {
+                tableConstraints.push('    UNIQUE (' + quotedColName + ')')
+            } else {
+                table.uniques.push({ columnId: col._id, statement: 'ALTER TABLE ' + fullTableName + ' ADD UNIQUE (' + quotedColName + ');' })
+            }
+        }
+
+        // Collect FOREIGN KEY constraints and auto-indexes from referenceTo
+        if (col.referenceTo && col.referenceTo._parent) {
+            const refEntity = col.referenceTo._parent
+            // Determine schema of the referenced entity's data model
+            let refSchema = schema
+            if (refEntity._parent && refEntity._parent instanceof type.ERDDataModel) {
+                refSchema = getSchemaName(refEntity._parent, dialect)
+            }
+            const fk = {
+                schema: schema,
+                table: fullTableName,
+                column: quotedColName,
+                refTable: dialect.qualify(refSchema, getTableName(refEntity)),
+                refColumn: dialect.quote(getColumnName(col.referenceTo)),
+                constraintName: 'FK_' + tableName + '_' + colName
+            }
+            const constraint = 'CONSTRAINT ' + dialect.quote(fk.constraintName) + ' FOREIGN KEY (' + fk.column + ') REFERENCES ' + fk.refTable + ' (' + fk.refColumn + ')'
+            if (dialect.inlineConstraints) {
+                tableConstraints.push('    ' + constraint)
+            }
+            table.foreignKeys.push(Object.assign(fk, {
+                columnId: col._id,
+                refColumnId: col.referenceTo._id,
+                statement: dialect.inlineConstraints ? null : 'ALTER TABLE ' + fk.table + ' ADD ' + constraint + ';',
+                drop: dialect.dropForeignKey(fk),
+                index: dialect.fkIndex(fullTableName, tableName, quotedColName, colName)
+            }))
+        }
+
+        colDefs.push('    ' + colDef)
+    }
+
+    // PRIMARY KEY constraint
+    if (pkColumns.length > 0 && !inlinePrimaryKey) {
+        colDefs.push('    PRIMARY KEY (' + pkColumns.join(', ') + ')')
+    }
+
+    tableLines.push(colDefs.concat(tableConstraints).join(',\n'))
+    tableLines.push(')' + dialect.tableSuffix(entity.documentation) + ';')
+    table.create = tableLines.join('\n')
+
+    // Table comment
+    if (entity.documentation) {
+        const tableComment = dialect.tableComment(fullTableName, entity.documentation, { schema: schema, table: tableName })
+        if (tableComment) {
+            table.comments.push(tableComment)
+        }
+    }
+
+    // Column comments
+    for (let c = 0; c < table.columns.length; c++) {
+        const col = table.columns[c]
+        if (col.documentation) {
+            const columnComment = dialect.columnComment(fullTableName, col.quoted, col.documentation, { schema: schema, table: tableName, column: col.name })
+            if (columnComment) {
+                table.comments.push(columnComment)
+            }
+        }
+    }
+
+    // User-defined indexes from index# tags
+    for (let t = 0; t < tags.length; t++) {
+        if (isIndexTag(tags[t]) && tags[t].value) {
+            let idxStmt = tags[t].value
+            // Add schema prefix to table name in CREATE INDEX if not already qualified
+            if (schemaPrefix) {
+                idxStmt = idxStmt.replace(/\bON\s+(?![\w"`[\]]+\.)(\w+)/i, function (m, tableRef) {
+                    return 'ON ' + schemaPrefix + tableRef
+                })
+            }
+            table.indexes.push({ name: tags[t].name.substring(INDEX_PREFIX.length), statement: ensureSemicolon(idxStmt) })
+        }
+    }
+
+    return table
 }
 
 // ============================================================
@@ -167,33 +349,28 @@ function qualifiedName(schema, name) {
 // ============================================================
 
 /**
- * Generate PostgreSQL DDL and write to the specified file path.
+ * Build the DDL for groups of tables. Each group is an array of tables
+ * from describeTable(), in creation order; tables are dropped in reverse
+ * order within their group.
  *
- * @param {string} outputPath - Absolute file path for the DDL output
- * @param {string|null} dataModelId - Optional: generate only for this data model
- * @returns {void}
+ * @param {Object} dialect - Dialect from ddl-dialects.js
+ * @param {Array} groups - Arrays of described tables (one per data model)
+ * @returns {string} DDL script
  */
-function generate(outputPath, dataModelId) {
+function buildDDL(dialect, groups) {
     const lines = []
-    lines.push('-- PostgreSQL DDL')
+    lines.push('-- ' + dialect.label + ' DDL')
     lines.push('-- Generated by StarUML Controller')
     lines.push('-- Date: ' + new Date().toLocaleString())
     lines.push('')
 
-    let dataModels = app.repository.select('@ERDDataModel')
-    if (dataModelId) {
-        dataModels = dataModels.filter(function (dm) {
-            return dm._id === dataModelId
-        })
-    }
-
-    if (dataModels.length === 0) {
+    if (groups.length === 0) {
         lines.push('-- No data models found')
-        fs.writeFileSync(outputPath, lines.join('\n'), 'utf8')
-        return
+        return lines.join('\n')
     }
 
     const allSchemas = []
+    const allDropForeignKeys = []
     const allDropSequences = []
     const allSequences = []
     const allDrops = []
@@ -204,198 +381,74 @@ function generate(outputPath, dataModelId) {
     const allIndexes = []
     const allComments = []
 
-    for (let dm = 0; dm < dataModels.length; dm++) {
-        const dataModel = dataModels[dm]
-        const schema = getSchemaName(dataModel)
-
-        const entities = app.repository.select('@ERDEntity').filter(function (e) {
-            return e._parent && e._parent._id === dataModel._id
-        })
-
-        if (entities.length === 0) {
-            continue
-        }
-
+    groups.forEach(function (tables) {
         // Schema creation
-        if (schema !== 'public') {
-            allSchemas.push('CREATE SCHEMA IF NOT EXISTS ' + schema + ';')
-        }
-
-        // Collect sequences from entity tags
-        for (let e = 0; e < entities.length; e++) {
-            const tags = entities[e].tags || []
-            for (let t = 0; t < tags.length; t++) {
-                if (isSequenceTag(tags[t]) && tags[t].value) {
-                    let seqStmt = tags[t].value
-                    // Extract sequence name for DROP SEQUENCE
-                    const seqMatch = seqStmt.match(/CREATE SEQUENCE\s+(?:IF NOT EXISTS\s+)?(\S+)/i)
-                    if (seqMatch) {
-                        let seqName = seqMatch[1]
-                        if (schema !== 'public' && seqName.indexOf('.') === -1) {
-                            seqName = schema + '.' + seqName
-                        } else if (schema === 'public' && seqName.indexOf('.') === -1) {
-                            seqName = 'public.' + seqName
-                        }
-                        allDropSequences.push('DROP SEQUENCE IF EXISTS ' + seqName + ' CASCADE;')
-                    }
-                    // Always add schema prefix to CREATE SEQUENCE (consistent with CREATE TABLE etc.)
-                    if (seqMatch && seqMatch[1].indexOf('.') === -1) {
-                        seqStmt = seqStmt.replace(/CREATE SEQUENCE(\s+(?:IF NOT EXISTS\s+)?)/i, 'CREATE SEQUENCE$1' + schema + '.')
-                    }
-                    allSequences.push(ensureSemicolon(seqStmt))
+        tables.forEach(function (table) {
+            if (table.schema && table.schema !== dialect.defaultSchema) {
+                const schemaStmt = dialect.createSchema(table.schema)
+                if (schemaStmt && allSchemas.indexOf(schemaStmt) === -1) {
+                    allSchemas.push(schemaStmt)
                 }
             }
-        }
-
-        // DROP TABLE statements (reverse order for dependency)
-        for (let e = entities.length - 1; e >= 0; e--) {
-            const fullName = qualifiedName(schema, getTableName(entities[e]))
-            allDrops.push('DROP TABLE IF EXISTS ' + fullName + ' CASCADE;')
-        }
-
-        // CREATE TABLE statements
-        for (let e = 0; e < entities.length; e++) {
-            const entity = entities[e]
-            const tableName = getTableName(entity)
-            const fullTableName = qualifiedName(schema, tableName)
-            const columns = entity.columns || []
-            const pkColumns = []
-
-            const tableLines = []
-            tableLines.push('CREATE TABLE ' + fullTableName + ' (')
-
-            const colDefs = []
-            for (let c = 0; c < columns.length; c++) {
-                const col = columns[c]
-                const colName = getColumnName(col)
-                const pgType = mapColumnType(col)
-                let colDef = '    ' + colName + ' ' + pgType
-
-                // NOT NULL for primary keys or non-nullable columns
-                if (col.primaryKey || !col.nullable) {
-                    colDef += ' NOT NULL'
-                }
-
-                // DEFAULT value (skip for serial types which have their own default)
-                if (pgType.indexOf('serial') === -1) {
-                    const defaultVal = getDefaultValue(col)
-                    if (defaultVal !== null) {
-                        colDef += ' DEFAULT ' + defaultVal
-                    }
-                }
-
-                if (col.primaryKey) {
-                    pkColumns.push(colName)
-                }
-
-                // Collect UNIQUE constraints
-                if (col.unique) {
-                    allUniques.push({
-                        table: fullTableName,
-                        column: colName
-                    })
-                }
+        })
 
-                // Collect FOREIGN KEY constraints and auto-indexes from referenceTo
-                if (col.referenceTo && col.referenceTo._parent) {
-                    const refEntity = col.referenceTo._parent
-                    const refTableName = getTableName(refEntity)
-                    const refColName = getColumnName(col.referenceTo)
-                    // Determine schema of the referenced entity's data model
-                    let refSchema = schema
-                    if (refEntity._parent && refEntity._parent instanceof type.ERDDataModel) {
-                        refSchema = getSchemaName(refEntity._parent)
-                    }
-                    const refFullTableName = qualifiedName(refSchema, refTableName)
-                    allForeignKeys.push({
-                        table: fullTableName,
-                        column: colName,
-                        refTable: refFullTableName,
-                        refColumn: refColName,
-                        constraintName: 'FK_' + tableName + '_' + colName
-                    })
-
-                    // Auto-index on FK column (anonymous, like staruml-postgresql)
-                    allFkIndexes.push('CREATE INDEX ON ' + fullTableName + '\n    (' + colName + ');')
+        tables.forEach(function (table) {
+            table.sequences.forEach(function (seq) {
+                if (seq.drop) {
+                    allDropSequences.push(seq.drop)
                 }
+                allSequences.push(seq.statement)
+            })
+        })
 
-                colDefs.push(colDef)
-            }
-
-            // PRIMARY KEY constraint
-            if (pkColumns.length > 0) {
-                colDefs.push('    PRIMARY KEY (' + pkColumns.join(', ') + ')')
-            }
+        // DROP TABLE statements (reverse order for dependency)
+        for (let e = tables.length - 1; e >= 0; e--) {
+            allDrops.push(dialect.dropTable(tables[e].fullName))
+        }
 
-            tableLines.push(colDefs.join(',\n'))
-            tableLines.push(');')
-            allCreates.push(tableLines.join('\n'))
+        tables.forEach(function (table) {
+            allCreates.push(table.create)
             allCreates.push('')
-
-            // Collect COMMENT ON TABLE
-            if (entity.documentation) {
-                allComments.push('COMMENT ON TABLE ' + fullTableName + " IS '" + escapeComment(entity.documentation) + "';")
-            }
-
-            // Collect COMMENT ON COLUMN
-            for (let c = 0; c < columns.length; c++) {
-                if (columns[c].documentation) {
-                    allComments.push('COMMENT ON COLUMN ' + fullTableName + '.' + getColumnName(columns[c]) + " IS '" + escapeComment(columns[c].documentation) + "';")
+            table.uniques.forEach(function (u) {
+                allUniques.push(u.statement)
+            })
+            table.foreignKeys.forEach(function (fk) {
+                if (fk.statement) {
+                    allForeignKeys.push(fk.statement)
                 }
-            }
-
-            // Collect user-defined indexes from index# tags
-            const entityTags = entity.tags || []
-            for (let t = 0; t < entityTags.length; t++) {
-                if (isIndexTag(entityTags[t]) && entityTags[t].value) {
-                    let idxStmt = entityTags[t].value
-                    // Add schema prefix to table name in CREATE INDEX if not already qualified
-                    idxStmt = idxStmt.replace(/\bON\s+(?!public\.|[\w]+\.)(\w+)/i, 'ON ' + schema + '.$1')
-                    allIndexes.push(ensureSemicolon(idxStmt))
+                if (fk.drop) {
+                    allDropForeignKeys.push(fk.drop)
                 }
-            }
-        }
-    }
+                if (fk.index) {
+                    allFkIndexes.push(fk.index)
+                }
+            })
+            table.comments.forEach(function (c) {
+                allComments.push(c)
+            })
+            table.indexes.forEach(function (idx) {
+                allIndexes.push(idx.statement)
+            })
+        })
+    })
 
     // ---- Assemble DDL ----
 
-    // Schema creation
-    if (allSchemas.length > 0) {
-        lines.push('-- Schema')
-        for (let i = 0; i < allSchemas.length; i++) {
-            lines.push(allSchemas[i])
-        }
-        lines.push('')
-    }
+    pushSection(lines, 'Schema', allSchemas)
+
+    // Foreign keys that would block dropping the tables they reference
+    pushSection(lines, 'Drop foreign keys', allDropForeignKeys)
 
     // Drop sequences (manually created ones are not auto-dropped with tables)
-    if (allDropSequences.length > 0) {
-        lines.push('-- Drop sequences')
-        for (let i = 0; i < allDropSequences.length; i++) {
-            lines.push(allDropSequences[i])
-        }
-        lines.push('')
-    }
+    pushSection(lines, 'Drop sequences', allDropSequences)
 
-    // Drop tables
     if (allDrops.length > 0) {
-        lines.push('-- Drop tables')
-        for (let i = 0; i < allDrops.length; i++) {
-            lines.push(allDrops[i])
-        }
-        lines.push('')
+        pushSection(lines, 'Drop tables', dialect.beforeDrops.concat(allDrops, dialect.afterDrops))
     }
 
-    // Sequences
-    if (allSequences.length > 0) {
-        lines.push('-- Sequences')
-        for (let i = 0; i < allSequences.length; i++) {
-            lines.push(allSequences[i])
-        }
-        lines.push('')
-    }
+    pushSection(lines, 'Sequences', allSequences)
 
-    // Create tables
+    // Create tables (each statement is already followed by a blank line)
     if (allCreates.length > 0) {
         lines.push('-- Create tables')
         for (let i = 0; i < allCreates.length; i++) {
@@ -403,54 +456,124 @@ function generate(outputPath, dataModelId) {
         }
     }
 
-    // Unique constraints
-    if (allUniques.length > 0) {
-        lines.push('-- Unique constraints')
-        for (let i = 0; i < allUniques.length; i++) {
-            lines.push('ALTER TABLE ' + allUniques[i].table + ' ADD UNIQUE (' + allUniques[i].column + ');')
-        }
-        lines.push('')
-    }
+    pushSection(lines, 'Unique constraints', allUniques)
+    pushSection(lines, 'FK indexes', allFkIndexes)
+    pushSection(lines, 'Foreign key constraints', allForeignKeys)
+    pushSection(lines, 'Indexes', allIndexes)
+    pushSection(lines, 'Comments', allComments)
+
+    return lines.join('\n')
+}
+
+// ============================================================
+// Entity Selection
+// ============================================================
+
+/**
+ * Close a set of entities over their foreign keys: the result holds the
+ * given entities plus every entity they reference, directly or through
+ * other tables, ordered so that referenced tables come before the tables
+ * referencing them. Entities in a reference cycle keep their input order
+ * (their constraints are added after all tables are created anyway).
+ *
+ * @param {Array} entities - ERDEntity elements
+ * @returns {Array} ERDEntity elements in dependency order
+ */
+function closeOverForeignKeys(entities) {
+    const ordered = []
+    const state = {}
 
-    // FK column indexes (anonymous)
-    if (allFkIndexes.length > 0) {
-        lines.push('-- FK indexes')
-        for (let i = 0; i < allFkIndexes.length; i++) {
-            lines.push(allFkIndexes[i])
+    function visit(entity) {
+        if (state[entity._id]) {
+            return
+        }
+        state[entity._id] = 'visiting'
+        const columns = entity.columns || []
+        for (let i = 0; i < columns.length; i++) {
+            const ref = columns[i].referenceTo
+            const refEntity = ref && ref._parent
+            if (refEntity && refEntity !== entity && refEntity instanceof type.ERDEntity) {
+                visit(refEntity)
+            }
         }
-        lines.push('')
+        state[entity._id] = 'done'
+        ordered.push(entity)
     }
 
-    // Foreign key constraints
-    if (allForeignKeys.length > 0) {
-        lines.push('-- Foreign key constraints')
-        for (let i = 0; i < allForeignKeys.length; i++) {
-            const fk = allForeignKeys[i]
-            lines.push('ALTER TABLE ' + fk.table + ' ADD CONSTRAINT ' + fk.constraintName + ' FOREIGN KEY (' + fk.column + ') REFERENCES ' + fk.refTable + ' (' + fk.refColumn + ');')
-        }
-        lines.push('')
+    entities.forEach(visit)
+    return ordered
+}
+
+function schemaOfEntity(entity, dialect) {
+    if (entity._parent instanceof type.ERDDataModel) {
+        return getSchemaName(entity._parent, dialect)
     }
+    return dialect.defaultSchema
+}
 
-    // Indexes
-    if (allIndexes.length > 0) {
-        lines.push('-- Indexes')
-        for (let i = 0; i < allIndexes.length; i++) {
-            lines.push(allIndexes[i])
-        }
-        lines.push('')
+// ============================================================
+// Public API
+// ============================================================
+
+/**
+ * Generate DDL, optionally writing it to a file.
+ *
+ * Without entityIds the script covers whole data models (all of them, or
+ * only dataModelId). With entityIds it covers those entities plus the
+ * tables they reference through foreign keys, in dependency order.
+ *
+ * @param {Object} options - { dialect, dataModelId, entityIds, path }
+ * @returns {Object} { sql, entities } where entities are the generated ERDEntity elements
+ */
+function generate(options) {
+    const dialectName = options.dialect || 'postgresql'
+    const dialect = ddlDialects.getDialect(dialectName)
+    if (!dialect) {
+        throw new Error('Unknown DDL dialect: ' + dialectName)
     }
 
-    // Comments
-    if (allComments.length > 0) {
-        lines.push('-- Comments')
-        for (let i = 0; i < allComments.length; i++) {
-            lines.push(allComments[i])
+    const groups = []
+    let entities = []
+    if (options.entityIds) {
+        entities = closeOverForeignKeys(options.entityIds.map(function (id) {
+            return app.repository.get(id)
+        }))
+        groups.push(entities.map(function (e) {
+            return describeTable(dialect, e, schemaOfEntity(e, dialect))
+        }))
+    } else {
+        let dataModels = app.repository.select('@ERDDataModel')
+        if (options.dataModelId) {
+            dataModels = dataModels.filter(function (dm) {
+                return dm._id === options.dataModelId
+            })
         }
-        lines.push('')
+        const allEntities = app.repository.select('@ERDEntity')
+        dataModels.forEach(function (dataModel) {
+            const schema = getSchemaName(dataModel, dialect)
+            const modelEntities = allEntities.filter(function (e) {
+                return e._parent && e._parent._id === dataModel._id
+            })
+            entities = entities.concat(modelEntities)
+            groups.push(modelEntities.map(function (e) {
+                return describeTable(dialect, e, schema)
+            }))
+        })
     }
 
-    fs.writeFileSync(outputPath, lines.join('\n'), 'utf8')
+    const sql = buildDDL(dialect, groups)
+    if (options.path) {
+        fs.writeFileSync(options.path, sql, 'utf8')
+    }
+    return { sql: sql, entities: entities }
 }
 
 exports.generate = generate
-exports.PG_TYPE_MAP = PG_TYPE_MAP
+exports.describeTable = describeTable
+exports.closeOverForeignKeys = closeOverForeignKeys
+exports.getSchemaName = getSchemaName
+exports.getTagValue = getTagValue
+exports.getTableName = getTableName
+exports.getColumnName = getColumnName
+exports.DIALECT_NAMES = ddlDialects.DIALECT_NAMES
+exports.COLUMN_TYPES = ddlDialects.COLUMN_TYPES
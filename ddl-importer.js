@@ -0,0 +1,1242 @@
+/**
+ * DDL Importer for StarUML Controller
+ *
+ * Reverse-engineers SQL DDL into ERD data models. parse() reads the DDL
+ * (PostgreSQL, MySQL, SQLite, SQL Server and Oracle spellings, including
+ * everything ddl-generator.js writes) into a plain schema description;
+ * buildModel() creates the ERDDataModel / ERDEntity / ERDColumn /
+ * ERDRelationship elements from it, following the same conventions the
+ * generator reads back:
+ *
+ *   auto-increment columns       -> integer type with length '-1'
+ *   DEFAULT expressions          -> 'default' tag on the column
+ *   CREATE INDEX                 -> 'index#<name>' tag on the entity
+ *   CREATE SEQUENCE              -> 'sequence#<name>' tag on the entity
+ *   schema-qualified table names -> 'schema' tag on the data model
+ *   enum types (DBML, Prisma)    -> 'enum#<name>' tag on the data model (one
+ *                                   value per line); columns of the type are
+ *                                   VARCHAR with an 'enum' tag naming it
+ *
+ * Supported statements: CREATE TABLE (column and table constraints),
+ * ALTER TABLE ... ADD (constraints and columns), CREATE INDEX,
+ * CREATE SEQUENCE, COMMENT ON TABLE / COLUMN and SQL Server
+ * sp_addextendedproperty descriptions. Other statements are skipped.
+ */
+
+const h = require('./handlers/shared-helpers')
+
+const SEQUENCE_PREFIX = 'sequence#'
+const INDEX_PREFIX = 'index#'
+const ENUM_PREFIX = 'enum#'
+
+// Schemas that mean "no schema tag" on the data model
+const DEFAULT_SCHEMAS = ['public', 'dbo', 'main']
+
+// Statements that carry nothing for the model and are skipped without a warning
+const IGNORED_STATEMENTS = ['DROP', 'SET', 'PRAGMA', 'USE', 'BEGIN', 'DECLARE', 'COMMIT', 'ROLLBACK', 'START', 'INSERT', 'IF', 'DO', 'GRANT', 'REVOKE', 'ANALYZE', 'VACUUM', 'CREATE SCHEMA', 'CREATE DATABASE', 'CREATE EXTENSION']
+
+// Opening tag of a PostgreSQL dollar-quoted string
+const DOLLAR_QUOTE = /^\$(?:[A-Za-z_][A-Za-z0-9_]*)?\$/
+
+// Words that end a column's DEFAULT expression
+const COLUMN_CONSTRAINT_WORDS = ['NOT', 'NULL', 'PRIMARY', 'UNIQUE', 'REFERENCES', 'CHECK', 'CONSTRAINT', 'COMMENT', 'AUTO_INCREMENT', 'AUTOINCREMENT', 'IDENTITY', 'GENERATED', 'COLLATE', 'ON', 'KEY']
+
+// Words that continue a multi-word type name (double precision, timestamp with time zone, ...)
+const TYPE_CONTINUATION_WORDS = ['PRECISION', 'VARYING', 'UNSIGNED', 'SIGNED', 'ZEROFILL', 'RAW']
+
+// ============================================================
+// Tokenizer
+// ============================================================
+
+/**
+ * Split SQL text into tokens: { kind, value, start, end } where kind is
+ * 'word', 'ident' (quoted identifier), 'string' (dollar-quoted bodies
+ * included), 'number' or 'punct'.
+ * Comments and whitespace are dropped.
+ */
+function tokenize(sql) {
+    const tokens = []
+    let i = 0
+    const n = sql.length
+    while (i < n) {
+        const ch = sql[i]
+        if (/\s/.test(ch)) {
+            i++
+        } else if (ch === '-' && sql[i + 1] === '-') {
+            while (i < n && sql[i] !== '\n') {
+                i++
+            }
+        } else if (ch === '/' && sql[i + 1] === '*') {
+            const close = sql.indexOf('*/', i + 2)
+            i = close === -1 ? n : close + 2
+        } else if (ch === "'" || ((ch === 'N' || ch === 'n' || ch === 'E' || ch === 'e') && sql[i + 1] === "'" && !/[\w$]/.test(sql[i - 1] || ''))) {
+            const start = i
+            i = ch === "'" ? i + 1 : i + 2
+            let value = ''
+            while (i < n) {
+                if (sql[i] === "'" && sql[i + 1] === "'") {
+                    value += "'"
+                    i += 2
+                } else if (sql[i] === '\\' && i + 1 < n) {
+                    value += sql[i + 1]
+                    i += 2
+                } else if (sql[i] === "'") {
+                    i++
+                    break
+                } else {
+                    value += sql[i]
+                    i++
+                }
+            }
+            tokens.push({ kind: 'string', value: value, start: start, end: i })
+        } else if (ch === '$' && DOLLAR_QUOTE.test(sql.substring(i, i + 64))) {
+            // PostgreSQL dollar quoting ($$ ... $$, $body$ ... $body$): function and DO bodies
+            const start = i
+            const tag = DOLLAR_QUOTE.exec(sql.substring(i, i + 64))[0]
+            const close = sql.indexOf(tag, i + tag.length)
+            const end = close === -1 ? n : close
+            i = close === -1 ? n : close + tag.length
+            tokens.push({ kind: 'string', value: sql.substring(start + tag.length, end), start: start, end: i })
+        } else if (ch === '"' || ch === '`' || ch === '[') {
+            const close = ch === '[' ? ']' : ch
+            const start = i
+            i++
+            let value = ''
+            while (i < n) {
+                if (sql[i] === close && sql[i + 1] === close) {
+                    value += close
+                    i += 2
+                } else if (sql[i] === close) {
+                    i++
+                    break
+                } else {
+                    value += sql[i]
+                    i++
+                }
+            }
+            tokens.push({ kind: 'ident', value: value, start: start, end: i })
+        } else if (/[A-Za-z_]/.test(ch)) {
+            const start = i
+            while (i < n && /[\w$#]/.test(sql[i])) {
+                i++
+            }
+            tokens.push({ kind: 'word', value: sql.substring(start, i), start: start, end: i })
+        } else if (/[0-9]/.test(ch)) {
+            const start = i
+            while (i < n && /[0-9.]/.test(sql[i])) {
+                i++
+            }
+            tokens.push({ kind: 'number', value: sql.substring(start, i), start: start, end: i })
+        } else {
+            tokens.push({ kind: 'punct', value: ch, start: i, end: i + 1 })
+            i++
+        }
+    }
+    return tokens
+}
+
+function isWord(token, word) {
+    return !!token && token.kind === 'word' && token.value.toUpperCase() === word
+}
+
+function isPunct(token, ch) {
+    return !!token && token.kind === 'punct' && token.value === ch
+}
+
+/**
+ * Group tokens into statements at top-level semicolons. Oracle PL/SQL
+ * blocks (BEGIN/DECLARE ... END; followed by a "/" line) stay whole.
+ */
+function splitStatements(tokens) {
+    const statements = []
+    let current = []
+    let depth = 0
+    let block = false
+    for (let i = 0; i < tokens.length; i++) {
+        const token = tokens[i]
+        if (current.length === 0) {
+            // SQL Server batch separators and SQL*Plus block terminators
+            if (isWord(token, 'GO') || isPunct(token, '/')) {
+                continue
+            }
+            // A PL/SQL block, not a transaction start (BEGIN; / BEGIN TRANSACTION;)
+            const following = tokens[i + 1]
+            block = isWord(token, 'DECLARE') || (isWord(token, 'BEGIN') && !!following && !isPunct(following, ';') && !isWord(following, 'TRANSACTION') && !isWord(following, 'WORK') && !isWord(following, 'TRAN'))
+        }
+        if (isPunct(token, '(')) {
+            depth++
+        } else if (isPunct(token, ')')) {
+            depth = Math.max(0, depth - 1)
+        }
+        if (block) {
+            if (isPunct(token, '/')) {
+                statements.push(current)
+                current = []
+                block = false
+            } else {
+                current.push(token)
+            }
+            continue
+        }
+        if (isPunct(token, ';') && depth === 0) {
+            if (current.length > 0) {
+                statements.push(current)
+            }
+            current = []
+            continue
+        }
+        current.push(token)
+    }
+    if (current.length > 0) {
+        statements.push(current)
+    }
+    return statements
+}
+
+// ============================================================
+// Statement reader
+// ============================================================
+
+/**
+ * Cursor over the tokens of one statement.
+ */
+function createReader(tokens, sql) {
+    let pos = 0
+    const reader = {
+        peek: function (offset) {
+            return tokens[pos + (offset || 0)]
+        },
+        next: function () {
+            return tokens[pos++]
+        },
+        done: function () {
+            return pos >= tokens.length
+        },
+        // Consume a keyword (or sequence of keywords) if present
+        accept: function () {
+            for (let k = 0; k < arguments.length; k++) {
+                if (!isWord(tokens[pos + k], arguments[k])) {
+                    return false
+                }
+            }
+            pos += arguments.length
+            return true
+        },
+        // Consume the first of several single keywords that is present
+        acceptAny: function (words) {
+            for (let k = 0; k < words.length; k++) {
+                if (reader.accept(words[k])) {
+                    return true
+                }
+            }
+            return false
+        },
+        acceptPunct: function (ch) {
+            if (isPunct(tokens[pos], ch)) {
+                pos++
+                return true
+            }
+            return false
+        },
+        // Skip a balanced parenthesized group starting at the current token
+        skipGroup: function () {
+            if (!isPunct(tokens[pos], '(')) {
+                return
+            }
+            let depth = 0
+            do {
+                if (isPunct(tokens[pos], '(')) {
+                    depth++
+                } else if (isPunct(tokens[pos], ')')) {
+                    depth--
+                }
+                pos++
+            } while (pos < tokens.length && depth > 0)
+        },
+        // Source text between two token positions (inclusive start, exclusive end)
+        text: function (from, to) {
+            if (from >= to) {
+                return ''
+            }
+            return sql.substring(tokens[from].start, tokens[to - 1].end)
+        },
+        position: function () {
+            return pos
+        }
+    }
+    return reader
+}
+
+function readIdentifier(reader) {
+    const token = reader.peek()
+    if (token && (token.kind === 'word' || token.kind === 'ident')) {
+        reader.next()
+        return token.value
+    }
+    return null
+}
+
+/**
+ * Read a possibly qualified name (db.schema.table). Returns { schema, name }.
+ */
+function readQualifiedName(reader) {
+    const parts = []
+    const first = readIdentifier(reader)
+    if (first === null) {
+        return null
+    }
+    parts.push(first)
+    while (isPunct(reader.peek(), '.')) {
+        reader.next()
+        const part = readIdentifier(reader)
+        if (part === null) {
+            break
+        }
+        parts.push(part)
+    }
+    return {
+        schema: parts.length > 1 ? parts[parts.length - 2] : null,
+        name: parts[parts.length - 1]
+    }
+}
+
+/**
+ * Read "(a, b DESC, c(10))" as a list of column names.
+ */
+function readColumnList(reader) {
+    const columns = []
+    if (!reader.acceptPunct('(')) {
+        return columns
+    }
+    while (!reader.done() && !isPunct(reader.peek(), ')')) {
+        const name = readIdentifier(reader)
+        if (name !== null) {
+            columns.push(name)
+        }
+        // Skip prefix lengths, ASC/DESC, collations, ... up to the next comma
+        while (!reader.done() && !isPunct(reader.peek(), ',') && !isPunct(reader.peek(), ')')) {
+            if (isPunct(reader.peek(), '(')) {
+                reader.skipGroup()
+            } else {
+                reader.next()
+            }
+        }
+        reader.acceptPunct(',')
+    }
+    reader.acceptPunct(')')
+    return columns
+}
+
+/**
+ * Read the arguments of a type or constraint: "(10, 2)" -> ['10', '2'].
+ */
+function readArguments(reader) {
+    const args = []
+    if (!reader.acceptPunct('(')) {
+        return args
+    }
+    let current = ''
+    while (!reader.done() && !isPunct(reader.peek(), ')')) {
+        const token = reader.next()
+        if (isPunct(token, ',')) {
+            args.push(current)
+            current = ''
+        } else {
+            current += token.value
+        }
+    }
+    args.push(current)
+    reader.acceptPunct(')')
+    return args
+}
+
+// ============================================================
+// Types
+// ============================================================
+
+// SQL type name (lower case) -> StarUML column type
+const TYPE_NAMES = {
+    'char': 'CHAR', 'character': 'CHAR', 'nchar': 'CHAR', 'bpchar': 'CHAR',
+    'varchar': 'VARCHAR', 'character varying': 'VARCHAR', 'nvarchar': 'VARCHAR', 'varchar2': 'VARCHAR', 'nvarchar2': 'VARCHAR', 'string': 'VARCHAR',
+    'text': 'TEXT', 'tinytext': 'TEXT', 'mediumtext': 'TEXT', 'ntext': 'TEXT',
+    'clob': 'CLOB', 'nclob': 'CLOB', 'longtext': 'CLOB',
+    'boolean': 'BOOLEAN', 'bool': 'BOOLEAN', 'bit': 'BOOLEAN',
+    'smallint': 'SMALLINT', 'int2': 'SMALLINT',
+    'integer': 'INTEGER', 'int': 'INTEGER', 'int4': 'INTEGER', 'mediumint': 'INTEGER',
+    'bigint': 'BIGINT', 'int8': 'BIGINT',
+    'tinyint': 'TINYINT',
+    'float': 'FLOAT', 'float4': 'FLOAT', 'binary_float': 'FLOAT',
+    'double': 'DOUBLE', 'double precision': 'DOUBLE', 'float8': 'DOUBLE', 'binary_double': 'DOUBLE',
+    'real': 'REAL',
+    'decimal': 'DECIMAL', 'dec': 'DECIMAL', 'numeric': 'NUMERIC', 'number': 'NUMERIC', 'money': 'DECIMAL',
+    'date': 'DATE',
+    'time': 'TIME', 'timetz': 'TIME',
+    'datetime': 'DATETIME', 'datetimeoffset': 'DATETIME', 'timestamptz': 'DATETIME',
+    'timestamp': 'TIMESTAMP', 'datetime2': 'TIMESTAMP', 'smalldatetime': 'TIMESTAMP',
+    'blob': 'BLOB', 'tinyblob': 'BLOB', 'mediumblob': 'BLOB', 'longblob': 'BLOB', 'bytea': 'BLOB', 'image': 'BLOB', 'long raw': 'BLOB',
+    'binary': 'BINARY', 'varbinary': 'VARBINARY', 'raw': 'VARBINARY',
+    'uuid': 'UUID', 'uniqueidentifier': 'UUID',
+    'json': 'JSON', 'jsonb': 'JSONB',
+    'xml': 'XML', 'xmltype': 'XML'
+}
+
+// Auto-increment type names -> StarUML integer type (with length '-1')
+const SERIAL_TYPES = {
+    'smallserial': 'SMALLINT', 'serial2': 'SMALLINT',
+    'serial': 'INTEGER', 'serial4': 'INTEGER',
+    'bigserial': 'BIGINT', 'serial8': 'BIGINT'
+}
+
+// Oracle NUMBER(p) precisions written by ddl-dialects.js
+const NUMBER_PRECISIONS = { '1': 'BOOLEAN', '3': 'TINYINT', '5': 'SMALLINT', '10': 'INTEGER', '19': 'BIGINT' }
+
+const LENGTH_TYPES = ['CHAR', 'VARCHAR', 'DECIMAL', 'NUMERIC', 'BINARY', 'VARBINARY']
+
+/**
+ * Read a column type ("timestamp(3) with time zone", "varchar(255)", "int unsigned").
+ * Returns { name, args } with the lower-case type name.
+ */
+function readType(reader) {
+    const words = []
+    let args = []
+    const first = readIdentifier(reader)
+    if (first === null) {
+        return null
+    }
+    words.push(first.toLowerCase())
+    for (;;) {
+        const token = reader.peek()
+        if (isPunct(token, '(') && args.length === 0) {
+            args = readArguments(reader)
+        } else if (token && token.kind === 'word' && TYPE_CONTINUATION_WORDS.indexOf(token.value.toUpperCase()) !== -1) {
+            words.push(reader.next().value.toLowerCase())
+        } else if ((isWord(token, 'WITH') || isWord(token, 'WITHOUT')) && (isWord(reader.peek(1), 'TIME') || isWord(reader.peek(1), 'LOCAL'))) {
+            while (isWord(reader.peek(), 'WITH') || isWord(reader.peek(), 'WITHOUT') || isWord(reader.peek(), 'LOCAL') || isWord(reader.peek(), 'TIME') || isWord(reader.peek(), 'ZONE')) {
+                words.push(reader.next().value.toLowerCase())
+            }
+        } else if (isPunct(token, '[') || (token && token.kind === 'ident' && token.value === '')) {
+            // Array suffix: "[]" is read as an empty bracket identifier
+            reader.next()
+        } else {
+            break
+        }
+    }
+    return { name: words.join(' '), args: args }
+}
+
+/**
+ * Map a SQL type to a StarUML column { type, length, autoIncrement }.
+ */
+function mapType(sqlType) {
+    const name = sqlType.name.replace(/ (unsigned|signed|zerofill)/g, '')
+    const args = sqlType.args
+    if (SERIAL_TYPES[name]) {
+        return { type: SERIAL_TYPES[name], length: '-1', autoIncrement: true }
+    }
+    if (/ with time zone$/.test(name)) {
+        return { type: name.indexOf('time ') === 0 ? 'TIME' : 'DATETIME', length: '' }
+    }
+    const base = name.replace(/ with(out)? (local )?time zone$/, '')
+    if (base === 'number' && args.length === 1 && NUMBER_PRECISIONS[args[0]]) {
+        return { type: NUMBER_PRECISIONS[args[0]], length: '' }
+    }
+    if (base === 'tinyint' && args.length === 1 && args[0] === '1') {
+        return { type: 'BOOLEAN', length: '' }
+    }
+    if (base === 'raw' && args.length === 1 && args[0] === '16') {
+        return { type: 'UUID', length: '' }
+    }
+    if (args.length === 1 && args[0].toLowerCase() === 'max') {
+        if (base === 'varbinary') {
+            return { type: 'BLOB', length: '' }
+        }
+        return { type: 'TEXT', length: '' }
+    }
+    const type = TYPE_NAMES[base]
+    if (!type) {
+        return { type: name.toUpperCase(), length: args.join(',') }
+    }
+    return { type: type, length: LENGTH_TYPES.indexOf(type) !== -1 ? args.join(',') : '' }
+}
+
+/**
+ * Map a SQL type written as text ("varchar(255)", "double precision") to a
+ * StarUML column { type, length, autoIncrement }.
+ */
+function parseType(text) {
+    const sqlType = readType(createReader(tokenize(text), text))
+    if (!sqlType) {
+        return { type: 'VARCHAR', length: '' }
+    }
+    const mapped = mapType(sqlType)
+    if (mapped.autoIncrement) {
+        return mapped
+    }
+    return { type: mapped.type, length: mapped.length, autoIncrement: false }
+}
+
+// ============================================================
+// CREATE TABLE / ALTER TABLE
+// ============================================================
+
+function findColumn(table, name) {
+    const lower = name.toLowerCase()
+    for (let i = 0; i < table.columns.length; i++) {
+        if (table.columns[i].name.toLowerCase() === lower) {
+            return table.columns[i]
+        }
+    }
+    return null
+}
+
+function markPrimaryKey(table, columns) {
+    columns.forEach(function (name) {
+        const col = findColumn(table, name)
+        if (col) {
+            col.primaryKey = true
+            col.nullable = false
+        }
+    })
+}
+
+/**
+ * Read a REFERENCES clause (after the keyword). Returns { refSchema, refTable, refColumns }.
+ */
+function readReferences(reader) {
+    const ref = readQualifiedName(reader)
+    const refColumns = readColumnList(reader)
+    // ON DELETE / ON UPDATE actions, MATCH, DEFERRABLE ...
+    for (;;) {
+        if (reader.accept('ON', 'DELETE') || reader.accept('ON', 'UPDATE')) {
+            if (!reader.accept('SET', 'NULL') && !reader.accept('SET', 'DEFAULT') && !reader.accept('NO', 'ACTION')) {
+                reader.next()
+            }
+        } else if (reader.accept('MATCH') || reader.accept('INITIALLY')) {
+            reader.next()
+        } else if (!reader.accept('NOT', 'DEFERRABLE') && !reader.accept('DEFERRABLE')) {
+            break
+        }
+    }
+    return {
+        refSchema: ref ? ref.schema : null,
+        refTable: ref ? ref.name : null,
+        refColumns: refColumns
+    }
+}
+
+/**
+ * Whether the reader is at a MySQL inline index ("KEY name (col)") rather
+ * than a column named key or index ("key varchar(10)").
+ */
+function isInlineIndex(reader) {
+    if (!isWord(reader.peek(), 'KEY') && !isWord(reader.peek(), 'INDEX')) {
+        return false
+    }
+    if (isPunct(reader.peek(1), '(')) {
+        return true
+    }
+    const afterParen = reader.peek(3)
+    return isPunct(reader.peek(2), '(') && !!afterParen && (afterParen.kind === 'word' || afterParen.kind === 'ident')
+}
+
+/**
+ * Read a table constraint (PRIMARY KEY, UNIQUE, FOREIGN KEY, KEY/INDEX, CHECK).
+ * Returns false if the reader is not at a table constraint.
+ */
+function readTableConstraint(reader, table, indexes) {
+    const start = reader.position()
+    let constraintName = null
+    if (reader.accept('CONSTRAINT')) {
+        constraintName = readIdentifier(reader)
+    }
+    if (reader.accept('PRIMARY', 'KEY')) {
+        reader.acceptAny(['CLUSTERED', 'NONCLUSTERED'])
+        markPrimaryKey(table, readColumnList(reader))
+        return true
+    }
+    if (reader.accept('UNIQUE')) {
+        reader.acceptAny(['KEY', 'INDEX'])
+        reader.acceptAny(['CLUSTERED', 'NONCLUSTERED'])
+        const indexName = isPunct(reader.peek(), '(') ? constraintName : readIdentifier(reader)
+        const columns = readColumnList(reader)
+        if (columns.length === 1 && findColumn(table, columns[0])) {
+            findColumn(table, columns[0]).unique = true
+        } else if (columns.length > 1) {
+            const name = indexName || ('UQ_' + table.name + '_' + columns.join('_'))
+            indexes.push({ table: table, name: name, columns: columns, statement: 'CREATE UNIQUE INDEX ' + name + ' ON ' + table.name + ' (' + columns.join(', ') + ')' })
+        }
+        return true
+    }
+    if (reader.accept('FOREIGN', 'KEY')) {
+        if (!isPunct(reader.peek(), '(')) {
+            readIdentifier(reader)
+        }
+        const columns = readColumnList(reader)
+        reader.accept('REFERENCES')
+        table.foreignKeys.push(Object.assign({ name: constraintName, columns: columns }, readReferences(reader)))
+        return true
+    }
+    if (reader.accept('CHECK')) {
+        reader.skipGroup()
+        return true
+    }
+    if (constraintName === null && isInlineIndex(reader)) {
+        // MySQL inline index: KEY idx_name (col, ...)
+        reader.next()
+        const indexName = isPunct(reader.peek(), '(') ? null : readIdentifier(reader)
+        const columns = readColumnList(reader)
+        const name = indexName || ('IX_' + table.name + '_' + columns.join('_'))
+        indexes.push({ table: table, name: name, columns: columns, statement: 'CREATE INDEX ' + name + ' ON ' + table.name + ' (' + columns.join(', ') + ')' })
+        return true
+    }
+    if (reader.position() !== start) {
+        // CONSTRAINT name followed by something we do not model
+        return true
+    }
+    return false
+}
+
+/**
+ * Read a column definition. Returns the column, and adds its inline
+ * FOREIGN KEY to the table.
+ */
+function readColumnDefinition(reader, table) {
+    const name = readIdentifier(reader)
+    if (name === null) {
+        return null
+    }
+    const col = {
+        name: name,
+        type: 'VARCHAR',
+        length: '',
+        nullable: true,
+        primaryKey: false,
+        unique: false,
+        autoIncrement: false,
+        default: null,
+        comment: null
+    }
+    // SQLite allows columns without a type
+    const next = reader.peek()
+    if (next && (next.kind === 'word' || next.kind === 'ident') && COLUMN_CONSTRAINT_WORDS.indexOf(next.value.toUpperCase()) === -1 && next.value.toUpperCase() !== 'DEFAULT') {
+        const mapped = mapType(readType(reader))
+        col.type = mapped.type
+        col.length = mapped.length
+        col.autoIncrement = !!mapped.autoIncrement
+    }
+
+    while (!reader.done() && !isPunct(reader.peek(), ',') && !isPunct(reader.peek(), ')')) {
+        if (reader.accept('NOT', 'NULL')) {
+            col.nullable = false
+        } else if (reader.accept('NULL')) {
+            col.nullable = true
+        } else if (reader.accept('PRIMARY', 'KEY')) {
+            col.primaryKey = true
+            col.nullable = false
+            reader.acceptAny(['ASC', 'DESC'])
+        } else if (reader.accept('UNIQUE')) {
+            reader.accept('KEY')
+            col.unique = true
+        } else if (reader.accept('DEFAULT', 'NULL')) {
+            col.default = null
+        } else if (reader.accept('DEFAULT')) {
+            const from = reader.position()
+            while (!reader.done() && !isPunct(reader.peek(), ',') && !isPunct(reader.peek(), ')') && !(reader.peek().kind === 'word' && COLUMN_CONSTRAINT_WORDS.indexOf(reader.peek().value.toUpperCase()) !== -1)) {
+                if (isPunct(reader.peek(), '(')) {
+                    reader.skipGroup()
+                } else {
+                    reader.next()
+                }
+            }
+            col.default = reader.text(from, reader.position())
+        } else if (reader.accept('AUTO_INCREMENT') || reader.accept('AUTOINCREMENT')) {
+            col.autoIncrement = true
+        } else if (reader.accept('IDENTITY')) {
+            reader.skipGroup()
+            col.autoIncrement = true
+        } else if (reader.accept('GENERATED')) {
+            // GENERATED { ALWAYS | BY DEFAULT [ON NULL] } AS IDENTITY [( options )],
+            // or a computed column: GENERATED ALWAYS AS ( expression ) [STORED]
+            let identity = false
+            while (!reader.done() && !isPunct(reader.peek(), '(') && !isPunct(reader.peek(), ',') && !isPunct(reader.peek(), ')')) {
+                if (reader.accept('IDENTITY')) {
+                    identity = true
+                    break
+                }
+                reader.next()
+            }
+            reader.skipGroup()
+            col.autoIncrement = col.autoIncrement || identity
+        } else if (reader.accept('REFERENCES')) {
+            table.foreignKeys.push(Object.assign({ name: null, columns: [name] }, readReferences(reader)))
+        } else if (reader.accept('COMMENT')) {
+            const token = reader.next()
+            col.comment = token ? token.value : null
+        } else if (reader.accept('CHECK')) {
+            reader.skipGroup()
+        } else if (reader.accept('CONSTRAINT')) {
+            readIdentifier(reader)
+        } else if (isPunct(reader.peek(), '(')) {
+            reader.skipGroup()
+        } else {
+            // COLLATE x, CHARACTER SET x, ON UPDATE ..., etc.
+            reader.next()
+        }
+    }
+
+    if (col.autoIncrement && ['SMALLINT', 'INTEGER', 'BIGINT', 'TINYINT'].indexOf(col.type) !== -1) {
+        col.length = '-1'
+    }
+    return col
+}
+
+function createTable(schema, name) {
+    return { schema: schema, name: name, comment: null, columns: [], foreignKeys: [], indexes: [], sequences: [] }
+}
+
+function parseCreateTable(reader, result) {
+    reader.accept('IF', 'NOT', 'EXISTS')
+    const qualified = readQualifiedName(reader)
+    if (!qualified || !isPunct(reader.peek(), '(')) {
+        result.warnings.push('Skipped CREATE TABLE without a column list' + (qualified ? ': ' + qualified.name : ''))
+        return
+    }
+    const table = createTable(qualified.schema, qualified.name)
+    reader.next()
+    while (!reader.done() && !isPunct(reader.peek(), ')')) {
+        if (!readTableConstraint(reader, table, result.indexes)) {
+            const col = readColumnDefinition(reader, table)
+            if (col) {
+                table.columns.push(col)
+            }
+        }
+        // Skip anything left of this definition
+        while (!reader.done() && !isPunct(reader.peek(), ',') && !isPunct(reader.peek(), ')')) {
+            if (isPunct(reader.peek(), '(')) {
+                reader.skipGroup()
+            } else {
+                reader.next()
+            }
+        }
+        reader.acceptPunct(',')
+    }
+    reader.acceptPunct(')')
+    // Table options: MySQL COMMENT='...'
+    while (!reader.done()) {
+        if (reader.accept('COMMENT')) {
+            reader.acceptPunct('=')
+            const token = reader.next()
+            table.comment = token ? token.value : null
+        } else {
+            reader.next()
+        }
+    }
+    result.tables.push(table)
+}
+
+function parseAlterTable(reader, result) {
+    reader.accept('IF', 'EXISTS')
+    reader.accept('ONLY')
+    const qualified = readQualifiedName(reader)
+    const table = qualified ? findTable(result, qualified.schema, qualified.name) : null
+    if (!table) {
+        result.warnings.push('Skipped ALTER TABLE on unknown table' + (qualified ? ' "' + qualified.name + '"' : ''))
+        return
+    }
+    while (!reader.done()) {
+        if (!reader.accept('ADD')) {
+            reader.next()
+            continue
+        }
+        if (!readTableConstraint(reader, table, result.indexes)) {
+            reader.accept('COLUMN')
+            reader.accept('IF', 'NOT', 'EXISTS')
+            const col = readColumnDefinition(reader, table)
+            if (col) {
+                table.columns.push(col)
+            }
+        }
+    }
+}
+
+// ============================================================
+// Indexes, sequences, comments
+// ============================================================
+
+function parseCreateIndex(reader, result, statementText) {
+    reader.acceptAny(['CLUSTERED', 'NONCLUSTERED'])
+    reader.accept('INDEX')
+    reader.accept('CONCURRENTLY')
+    reader.accept('IF', 'NOT', 'EXISTS')
+    const indexName = isWord(reader.peek(), 'ON') ? null : readQualifiedName(reader)
+    reader.accept('ON')
+    reader.accept('ONLY')
+    const qualified = readQualifiedName(reader)
+    if (reader.accept('USING')) {
+        reader.next()
+    }
+    const columns = readColumnList(reader)
+    const table = qualified ? findTable(result, qualified.schema, qualified.name) : null
+    if (!table) {
+        result.warnings.push('Skipped index on unknown table' + (qualified ? ' "' + qualified.name + '"' : ''))
+        return
+    }
+    result.indexes.push({
+        table: table,
+        name: indexName ? indexName.name : null,
+        columns: columns,
+        statement: statementText
+    })
+}
+
+function parseCreateSequence(reader, result, statementText) {
+    reader.accept('IF', 'NOT', 'EXISTS')
+    const qualified = readQualifiedName(reader)
+    if (!qualified) {
+        return
+    }
+    result.sequences.push({ schema: qualified.schema, name: qualified.name, statement: statementText })
+}
+
+function parseCommentOn(reader, result) {
+    const onTable = reader.accept('TABLE')
+    const onColumn = !onTable && reader.accept('COLUMN')
+    if (!onTable && !onColumn) {
+        return
+    }
+    // COMMENT ON COLUMN [schema.]table.column
+    const parts = []
+    do {
+        const part = readIdentifier(reader)
+        if (part === null) {
+            break
+        }
+        parts.push(part)
+    } while (reader.acceptPunct('.'))
+    reader.accept('IS')
+    const token = reader.next()
+    const text = token && token.kind === 'string' ? token.value : null
+    const tableParts = onColumn ? parts.slice(0, -1) : parts
+    const table = findTable(result, tableParts.length > 1 ? tableParts[tableParts.length - 2] : null, tableParts[tableParts.length - 1] || '')
+    if (!table) {
+        return
+    }
+    if (onTable) {
+        table.comment = text
+    } else {
+        const col = findColumn(table, parts[parts.length - 1])
+        if (col) {
+            col.comment = text
+        }
+    }
+}
+
+/**
+ * SQL Server: EXEC sp_addextendedproperty @name = N'MS_Description', @value = N'...', @level0name = N'dbo', ...
+ */
+function parseExtendedProperty(reader, result) {
+    const params = {}
+    while (!reader.done()) {
+        if (reader.acceptPunct('@')) {
+            const name = readIdentifier(reader)
+            reader.acceptPunct('=')
+            const value = reader.next()
+            if (name && value) {
+                params[name.toLowerCase()] = value.value
+            }
+        } else {
+            reader.next()
+        }
+    }
+    if (params.name !== 'MS_Description' || !params.level1name) {
+        return
+    }
+    const table = findTable(result, params.level0name || null, params.level1name)
+    if (!table) {
+        return
+    }
+    if (params.level2name) {
+        const col = findColumn(table, params.level2name)
+        if (col) {
+            col.comment = params.value
+        }
+    } else {
+        table.comment = params.value
+    }
+}
+
+// ============================================================
+// Parsing
+// ============================================================
+
+/**
+ * Find a parsed table by name; an unqualified name matches any schema.
+ */
+function findTable(result, schema, name) {
+    const lower = name.toLowerCase()
+    const matches = result.tables.filter(function (t) {
+        return t.name.toLowerCase() === lower
+    })
+    if (schema) {
+        const exact = matches.filter(function (t) {
+            return (t.schema || '').toLowerCase() === schema.toLowerCase()
+        })
+        if (exact.length > 0) {
+            return exact[0]
+        }
+    }
+    return matches.length > 0 ? matches[0] : null
+}
+
+function statementHead(tokens) {
+    const words = []
+    for (let i = 0; i < tokens.length && words.length < 2; i++) {
+        if (tokens[i].kind !== 'word') {
+            break
+        }
+        words.push(tokens[i].value.toUpperCase())
+    }
+    return words
+}
+
+/**
+ * Attach indexes and sequences to their tables. Indexes that only cover a
+ * foreign key column are dropped, since the generator adds those itself.
+ */
+function attachIndexesAndSequences(result) {
+    result.indexes.forEach(function (index) {
+        const table = index.table
+        const fk = index.columns.length !== 1 ? null : table.foreignKeys.filter(function (f) {
+            return f.columns.length === 1 && f.columns[0].toLowerCase() === index.columns[0].toLowerCase()
+        })[0]
+        if (fk && (!index.name || index.name === fk.name || index.name === 'IX_' + table.name + '_' + index.columns[0])) {
+            return
+        }
+        table.indexes.push({
+            name: index.name || (table.name + '_' + index.columns.join('_') + '_idx'),
+            statement: index.statement
+        })
+    })
+
+    result.sequences.forEach(function (seq) {
+        const lower = seq.name.toLowerCase()
+        // The table whose column default draws from the sequence ...
+        let owner = result.tables.filter(function (t) {
+            return t.columns.some(function (c) {
+                return c.default && c.default.toLowerCase().indexOf(lower) !== -1
+            })
+        })[0]
+        // ... or the table whose name prefixes the sequence name
+        if (!owner) {
+            owner = result.tables.filter(function (t) {
+                return lower.indexOf(t.name.toLowerCase() + '_') === 0
+            }).sort(function (a, b) { return b.name.length - a.name.length })[0]
+        }
+        if (!owner && result.tables.length > 0) {
+            owner = result.tables[0]
+            result.warnings.push('Sequence "' + seq.name + '" is not used by any table; attached to "' + owner.name + '"')
+        }
+        if (owner) {
+            owner.sequences.push({ name: seq.name, statement: seq.statement })
+        }
+    })
+}
+
+/**
+ * Parse SQL DDL into a schema description:
+ *
+ *   {
+ *     tables: [{ schema, name, comment,
+ *                columns: [{ name, type, length, nullable, primaryKey, unique, autoIncrement, default, comment }],
+ *                foreignKeys: [{ name, columns, refSchema, refTable, refColumns }],
+ *                indexes: [{ name, statement }], sequences: [{ name, statement }] }],
+ *     warnings: ['...'],
+ *     skipped: 3
+ *   }
+ *
+ * @param {string} sql - DDL text
+ * @returns {Object} schema description
+ */
+function parse(sql) {
+    const result = { tables: [], indexes: [], sequences: [], warnings: [], skipped: 0 }
+    const unsupported = []
+    splitStatements(tokenize(sql)).forEach(function (tokens) {
+        const reader = createReader(tokens, sql)
+        const statementText = reader.text(0, tokens.length)
+        const head = statementHead(tokens)
+        if (head[0] === 'CREATE') {
+            reader.accept('CREATE')
+            reader.accept('OR', 'REPLACE')
+            reader.acceptAny(['GLOBAL', 'LOCAL'])
+            reader.acceptAny(['TEMPORARY', 'TEMP', 'UNLOGGED'])
+            reader.accept('UNIQUE')
+        }
+        if (head[0] === 'CREATE' && reader.accept('TABLE')) {
+            parseCreateTable(reader, result)
+        } else if (head[0] === 'CREATE' && reader.accept('SEQUENCE')) {
+            parseCreateSequence(reader, result, statementText)
+        } else if (head[0] === 'CREATE' && (isWord(reader.peek(), 'INDEX') || isWord(reader.peek(1), 'INDEX'))) {
+            parseCreateIndex(reader, result, statementText)
+        } else if (head[0] === 'ALTER' && head[1] === 'TABLE') {
+            reader.accept('ALTER', 'TABLE')
+            parseAlterTable(reader, result)
+        } else if (head[0] === 'COMMENT' && head[1] === 'ON') {
+            reader.accept('COMMENT', 'ON')
+            parseCommentOn(reader, result)
+        } else if ((head[0] === 'EXEC' || head[0] === 'EXECUTE') && /sp_addextendedproperty/i.test(statementText)) {
+            parseExtendedProperty(reader, result)
+        } else {
+            result.skipped++
+            const label = head.join(' ')
+            if (IGNORED_STATEMENTS.indexOf(head[0]) === -1 && IGNORED_STATEMENTS.indexOf(label) === -1 && unsupported.indexOf(label) === -1) {
+                unsupported.push(label)
+            }
+        }
+    })
+    if (unsupported.length > 0) {
+        result.warnings.push('Skipped unsupported statement(s): ' + unsupported.join(', '))
+    }
+    attachIndexesAndSequences(result)
+    return { tables: result.tables, warnings: result.warnings, skipped: result.skipped }
+}
+
+// ============================================================
+// Model building
+// ============================================================
+
+/**
+ * Grid positions for entity views, one row per ceil(sqrt(n)) entities;
+ * each row is as tall as its longest entity.
+ */
+function gridPositions(tables) {
+    const perRow = Math.max(1, Math.ceil(Math.sqrt(tables.length)))
+    const positions = []
+    let y = 40
+    for (let row = 0; row * perRow < tables.length; row++) {
+        const rowTables = tables.slice(row * perRow, (row + 1) * perRow)
+        const maxColumns = Math.max.apply(null, rowTables.map(function (t) { return t.columns.length }))
+        rowTables.forEach(function (t, i) {
+            positions.push({ x1: 40 + i * 300, y1: y, x2: 260 + i * 300, y2: y + 40 + t.columns.length * 20 })
+        })
+        y += 40 + maxColumns * 20 + 80
+    }
+    return positions
+}
+
+/**
+ * Create ERD elements from a parsed schema description.
+ *
+ * @param {Object} schema - Result of parse(), or of the DBML / Prisma parsers in schema-formats.js
+ * @param {Object} options - { dataModel, name, createDiagram }
+ *   dataModel: existing ERDDataModel to import into (otherwise one new data
+ *   model per SQL schema, named after `name`)
+ * @returns {Object} { dataModels, diagrams, entities, relationships, warnings }
+ */
+function buildModel(schema, options) {
+    const warnings = schema.warnings.slice()
+    const project = app.project.getProject()
+
+    // Group tables by data model
+    const groups = []
+    if (options.dataModel) {
+        groups.push({ dataModel: options.dataModel, tables: schema.tables })
+    } else {
+        const schemaNames = []
+        schema.tables.forEach(function (t) {
+            const key = t.schema && DEFAULT_SCHEMAS.indexOf(t.schema.toLowerCase()) === -1 ? t.schema : null
+            if (schemaNames.indexOf(key) === -1) {
+                schemaNames.push(key)
+            }
+        })
+        schemaNames.forEach(function (schemaName) {
+            const dataModel = app.factory.createModel({
+                id: 'ERDDataModel',
+                parent: project,
+                modelInitializer: function (m) {
+                    m.name = schemaNames.length > 1 && schemaName ? options.name + ' (' + schemaName + ')' : options.name
+                }
+            })
+            if (schemaName) {
+                h.createTag(dataModel, 'schema', schemaName)
+            }
+            groups.push({
+                dataModel: dataModel,
+                schema: schemaName,
+                tables: schema.tables.filter(function (t) {
+                    const key = t.schema && DEFAULT_SCHEMAS.indexOf(t.schema.toLowerCase()) === -1 ? t.schema : null
+                    return key === schemaName
+                })
+            })
+        })
+    }
+
+    const entities = []
+    const diagrams = []
+    const entityViews = {}
+    const entityByTable = new Map()
+    const columnByTable = new Map()
+
+    groups.forEach(function (group) {
+        let diagram = null
+        if (options.createDiagram) {
+            diagram = app.factory.createDiagram({
+                id: 'ERDDiagram',
+                parent: group.dataModel,
+                diagramInitializer: function (d) {
+                    d.name = group.dataModel.name
+                }
+            })
+            diagrams.push(diagram)
+        }
+        const positions = gridPositions(group.tables)
+
+        group.tables.forEach(function (table, i) {
+            const entityOptions = {
+                id: 'ERDEntity',
+                parent: group.dataModel,
+                modelInitializer: function (elem) {
+                    elem.name = table.name
+                    if (table.comment) {
+                        elem.documentation = table.comment
+                    }
+                }
+            }
+            let entity
+            if (diagram) {
+                const view = app.factory.createModelAndView(Object.assign(entityOptions, { diagram: diagram }, positions[i]))
+                entity = view.model
+                entityViews[entity._id] = { diagram: diagram, view: view }
+            } else {
+                entity = app.factory.createModel(entityOptions)
+            }
+            entities.push(entity)
+            entityByTable.set(table, entity)
+
+            const columns = {}
+            table.columns.forEach(function (c) {
+                const col = app.factory.createModel({
+                    id: 'ERDColumn',
+                    parent: entity,
+                    field: 'columns',
+                    modelInitializer: function (elem) {
+                        elem.name = c.name
+                        elem.type = c.type
+                        elem.length = c.length
+                        elem.primaryKey = c.primaryKey
+                        elem.nullable = c.nullable
+                        elem.unique = c.unique
+                        if (c.comment) {
+                            elem.documentation = c.comment
+                        }
+                    }
+                })
+                if (c.default !== null && !c.autoIncrement) {
+                    h.createTag(col, 'default', c.default)
+                }
+                if (c.enum) {
+                    h.createTag(col, 'enum', c.enum)
+                }
+                columns[c.name.toLowerCase()] = col
+            })
+            columnByTable.set(table, columns)
+
+            table.indexes.forEach(function (index) {
+                h.createTag(entity, INDEX_PREFIX + index.name, index.statement)
+            })
+            table.sequences.forEach(function (seq) {
+                h.createTag(entity, SEQUENCE_PREFIX + seq.name, seq.statement)
+            })
+        })
+    })
+
+    // Enum types go to the data model of their schema
+    const enums = schema.enums || []
+    enums.forEach(function (e) {
+        const key = e.schema && DEFAULT_SCHEMAS.indexOf(e.schema.toLowerCase()) === -1 ? e.schema : null
+        const group = groups.filter(function (g) { return g.schema === key })[0] || groups[0]
+        const exists = group.dataModel.tags.some(function (t) { return t.name === ENUM_PREFIX + e.name })
+        if (exists) {
+            warnings.push('Enum "' + e.name + '" already exists in "' + group.dataModel.name + '"; kept the existing values')
+            return
+        }
+        h.createTag(group.dataModel, ENUM_PREFIX + e.name, e.values.join('\n'))
+    })
+
+    // Foreign keys: column references, then one relationship per constraint
+    const relationships = []
+    const result = { tables: schema.tables }
+    groups.forEach(function (group) {
+        group.tables.forEach(function (table) {
+            const entity = entityByTable.get(table)
+            table.foreignKeys.forEach(function (fk) {
+                const refTable = fk.refTable ? findTable(result, fk.refSchema, fk.refTable) : null
+                if (!refTable) {
+                    warnings.push('Foreign key ' + table.name + '(' + fk.columns.join(', ') + ') references unknown table "' + fk.refTable + '"')
+                    return
+                }
+                const refEntity = entityByTable.get(refTable)
+                // REFERENCES t without columns means the primary key of t
+                const refColumns = fk.refColumns.length > 0 ? fk.refColumns : refTable.columns.filter(function (c) { return c.primaryKey }).map(function (c) { return c.name })
+                let optional = false
+                let identifying = true
+                fk.columns.forEach(function (name, i) {
+                    const col = columnByTable.get(table)[name.toLowerCase()]
+                    const refCol = refColumns[i] ? columnByTable.get(refTable)[refColumns[i].toLowerCase()] : null
+                    if (!col || !refCol) {
+                        warnings.push('Foreign key column ' + table.name + '.' + name + ' could not be matched to a column of "' + refTable.name + '"')
+                        return
+                    }
+                    app.engine.setProperty(col, 'foreignKey', true)
+                    app.engine.setProperty(col, 'referenceTo', refCol)
+                    optional = optional || col.nullable
+                    identifying = identifying && col.primaryKey
+                })
+
+                const relOptions = {
+                    id: 'ERDRelationship',
+                    parent: group.dataModel,
+                    modelInitializer: function (rel) {
+                        rel.name = fk.name || ''
+                        rel.identifying = identifying
+                        if (rel.end1 && rel.end2) {
+                            rel.end1.reference = refEntity
+                            rel.end1.cardinality = optional ? '0..1' : '1'
+                            rel.end2.reference = entity
+                            rel.end2.cardinality = '0..*'
+                        }
+                    }
+                }
+                const tail = entityViews[refEntity._id]
+                const head = entityViews[entity._id]
+                let rel
+                if (tail && head && tail.diagram === head.diagram) {
+                    const view = app.factory.createModelAndView(Object.assign(relOptions, {
+                        diagram: head.diagram,
+                        tailModel: refEntity,
+                        headModel: entity,
+                        tailView: tail.view,
+                        headView: head.view
+                    }))
+                    rel = view ? view.model : null
+                } else {
+                    rel = app.factory.createModel(relOptions)
+                }
+                if (rel) {
+                    relationships.push(rel)
+                }
+            })
+        })
+    })
+
+    return {
+        dataModels: groups.map(function (g) { return g.dataModel }),
+        diagrams: diagrams,
+        entities: entities,
+        relationships: relationships,
+        warnings: warnings
+    }
+}
+
+exports.parse = parse
+exports.parseType = parseType
+exports.buildModel = buildModel
@@ -0,0 +1,606 @@
+/**
+ * Schema Migrations for StarUML Controller
+ *
+ * Compares the ERD model with a baseline and builds the ALTER script that
+ * takes a database created from the baseline to the current model, instead
+ * of ddl-generator.js's DROP + CREATE of the whole schema. The baseline is
+ * a saved .mdj file or a snapshot taken earlier with createSnapshot().
+ *
+ * Both states are read the same way: the data models are serialized as in
+ * an .mdj file (app.repository.writeObject), references are resolved
+ * within that JSON, and every entity is described by ddl-generator's
+ * describeTable for the dialect. Tables and columns are matched by element
+ * _id, so a renamed entity or column becomes a RENAME instead of a DROP and
+ * CREATE. Indexes and sequences (index# / sequence# tags) are matched by
+ * name; a changed statement is dropped and created again.
+ *
+ * The down script is the same comparison the other way around. Changes a
+ * database cannot make in place (most ALTERs in SQLite) are written as
+ * comments and reported as warnings.
+ */
+
+const fs = require('fs')
+const nodePath = require('path')
+const ddlDialects = require('./ddl-dialects')
+const ddlGenerator = require('./ddl-generator')
+
+const FORMATS = ['sql', 'flyway', 'liquibase']
+
+// Snapshots are kept in memory, oldest dropped first
+const MAX_SNAPSHOTS = 20
+const snapshots = []
+let lastSnapshotId = 0
+
+// ============================================================
+// Model states
+// ============================================================
+
+/**
+ * Serialize every ERDDataModel of the project, as in an .mdj file.
+ */
+function serializeDataModels() {
+    return app.repository.select('@ERDDataModel').map(function (dm) {
+        return JSON.parse(app.repository.writeObject(dm))
+    })
+}
+
+/**
+ * Link serialized elements back together: { $ref } values are replaced by
+ * the referenced object (null when it is not part of the JSON), and each
+ * object gets the prototype of its element type, so ddl-generator's
+ * instanceof checks work as on live elements.
+ *
+ * @param {Array} roots - Serialized elements (data models or a whole project)
+ * @returns {Array} All serialized elements, in document order
+ */
+function hydrate(roots) {
+    const elements = []
+    const byId = {}
+    function collect(value) {
+        if (Array.isArray(value)) {
+            value.forEach(collect)
+            return
+        }
+        if (!value || typeof value !== 'object') {
+            return
+        }
+        if (value._type) {
+            elements.push(value)
+            if (value._id) {
+                byId[value._id] = value
+            }
+        }
+        Object.keys(value).forEach(function (k) {
+            collect(value[k])
+        })
+    }
+    function resolve(value) {
+        if (Array.isArray(value)) {
+            return value.map(resolve)
+        }
+        if (!value || typeof value !== 'object') {
+            return value
+        }
+        if (typeof value.$ref === 'string') {
+            return byId[value.$ref] || null
+        }
+        Object.keys(value).forEach(function (k) {
+            value[k] = resolve(value[k])
+        })
+        return value
+    }
+    collect(roots)
+    resolve(roots)
+    elements.forEach(function (elem) {
+        if (typeof type !== 'undefined' && type[elem._type]) {
+            Object.setPrototypeOf(elem, type[elem._type].prototype)
+        }
+    })
+    return elements
+}
+
+/**
+ * Describe one model state for a dialect.
+ *
+ * @param {Object} dialect - Dialect from ddl-dialects.js
+ * @param {Array} roots - Serialized data models or project
+ * @param {string|null} dataModelId - Only this data model
+ * @returns {Object} { tables, tableById, schemas }
+ */
+function describeState(dialect, roots, dataModelId) {
+    const state = { tables: [], tableById: {}, schemas: [] }
+    hydrate(roots).filter(function (elem) {
+        return elem._type === 'ERDDataModel' && (!dataModelId || elem._id === dataModelId)
+    }).forEach(function (dm) {
+        const schema = ddlGenerator.getSchemaName(dm, dialect)
+        const entities = (dm.ownedElements || []).filter(function (e) {
+            return e._type === 'ERDEntity'
+        })
+        if (entities.length > 0 && schema && state.schemas.indexOf(schema) === -1) {
+            state.schemas.push(schema)
+        }
+        entities.forEach(function (entity) {
+            const table = ddlGenerator.describeTable(dialect, entity, schema)
+            state.tables.push(table)
+            state.tableById[table.id] = table
+        })
+    })
+    return state
+}
+
+function byKey(items, keyOf) {
+    const map = {}
+    items.forEach(function (item) {
+        map[keyOf(item)] = item
+    })
+    return map
+}
+
+function columnRest(col) {
+    return col.definition.substring(col.quoted.length)
+}
+
+// ============================================================
+// Comparison
+// ============================================================
+
+const SECTION_TITLES = [
+    'Schema', 'Drop foreign keys', 'Drop indexes', 'Drop tables', 'Drop sequences',
+    'Rename tables', 'Alter tables', 'Sequences', 'Create tables', 'Unique constraints',
+    'FK indexes', 'Foreign key constraints', 'Indexes', 'Comments'
+]
+
+/**
+ * Compare two states and collect the statements that turn `before` into
+ * `after`.
+ *
+ * @returns {Object} { sections: { title: [statements] }, changes, warnings }
+ */
+function compareStates(dialect, before, after) {
+    const sections = {}
+    SECTION_TITLES.forEach(function (title) {
+        sections[title] = []
+    })
+    const changes = []
+    const warnings = []
+
+    /**
+     * Add a dialect statement to a section: null means the database cannot
+     * do it in place, '' that there is nothing to do.
+     */
+    function emit(title, statement, change, description) {
+        changes.push(change)
+        if (statement === null) {
+            sections[title].push('-- Not supported by ' + dialect.label + ', change manually: ' + description)
+            warnings.push(description + ': not supported by ' + dialect.label + ', change it manually')
+        } else if (statement) {
+            sections[title].push(statement)
+        }
+    }
+
+    const droppedTables = before.tables.filter(function (t) { return !after.tableById[t.id] })
+    const createdTables = after.tables.filter(function (t) { return !before.tableById[t.id] })
+    const keptTables = after.tables.filter(function (t) { return before.tableById[t.id] })
+
+    // Schemas
+    after.schemas.forEach(function (schema) {
+        if (schema !== dialect.defaultSchema && before.schemas.indexOf(schema) === -1) {
+            const stmt = dialect.createSchema(schema)
+            if (stmt) {
+                sections['Schema'].push(stmt)
+            }
+            changes.push({ action: 'create_schema', name: schema })
+        }
+    })
+
+    // Foreign keys, by column: dropped or pointing elsewhere
+    const foreignKeysOf = function (state) {
+        const fks = {}
+        state.tables.forEach(function (t) {
+            t.foreignKeys.forEach(function (fk) {
+                fks[fk.columnId] = { table: t, fk: fk }
+            })
+        })
+        return fks
+    }
+    const beforeFks = foreignKeysOf(before)
+    const afterFks = foreignKeysOf(after)
+    Object.keys(beforeFks).forEach(function (columnId) {
+        const prev = beforeFks[columnId]
+        const next = afterFks[columnId]
+        if (next && next.fk.refColumnId === prev.fk.refColumnId) {
+            return
+        }
+        if (!after.tableById[prev.table.id]) {
+            // Dropped with its table; some databases need it gone first
+            if (prev.fk.drop) {
+                sections['Drop foreign keys'].push(prev.fk.drop)
+            }
+            return
+        }
+        emit('Drop foreign keys', dialect.dropForeignKeyConstraint(prev.fk),
+            { action: 'drop_foreign_key', table: prev.table.name, name: prev.fk.constraintName },
+            'drop foreign key ' + prev.fk.constraintName + ' on ' + prev.table.fullName)
+    })
+
+    // Indexes and sequences, by name
+    const indexesOf = function (state) {
+        const indexes = []
+        state.tables.forEach(function (t) {
+            t.indexes.forEach(function (idx) {
+                indexes.push({ key: (t.schema || '') + '.' + idx.name, table: t, index: idx })
+            })
+        })
+        return byKey(indexes, function (i) { return i.key })
+    }
+    const beforeIndexes = indexesOf(before)
+    const afterIndexes = indexesOf(after)
+    Object.keys(beforeIndexes).forEach(function (key) {
+        const prev = beforeIndexes[key]
+        if (afterIndexes[key] && afterIndexes[key].index.statement === prev.index.statement) {
+            return
+        }
+        // Indexes go away with their table
+        if (after.tableById[prev.table.id]) {
+            sections['Drop indexes'].push(dialect.dropIndex(prev.index.name, prev.table.fullName, prev.table.schema))
+            changes.push({ action: 'drop_index', table: prev.table.name, name: prev.index.name })
+        }
+    })
+
+    // Dropped tables
+    droppedTables.slice().reverse().forEach(function (t) {
+        sections['Drop tables'].push(dialect.dropTable(t.fullName))
+        changes.push({ action: 'drop_table', table: t.name })
+    })
+    if (sections['Drop tables'].length > 0) {
+        sections['Drop tables'] = dialect.beforeDrops.concat(sections['Drop tables'], dialect.afterDrops)
+    }
+
+    const sequencesOf = function (state) {
+        const sequences = []
+        state.tables.forEach(function (t) {
+            t.sequences.forEach(function (seq) {
+                sequences.push(seq)
+            })
+        })
+        return byKey(sequences, function (s) { return s.name })
+    }
+    const beforeSequences = dialect.sequences ? sequencesOf(before) : {}
+    const afterSequences = dialect.sequences ? sequencesOf(after) : {}
+    Object.keys(beforeSequences).forEach(function (name) {
+        const prev = beforeSequences[name]
+        if (prev.drop && !(afterSequences[name] && afterSequences[name].statement === prev.statement)) {
+            sections['Drop sequences'].push(prev.drop)
+            changes.push({ action: 'drop_sequence', name: name })
+        }
+    })
+
+    // Renamed and altered tables
+    keptTables.forEach(function (table) {
+        const prev = before.tableById[table.id]
+        const names = { schema: table.schema, table: table.name }
+        if (prev.fullName !== table.fullName) {
+            if (prev.schema !== table.schema) {
+                emit('Rename tables', null, { action: 'rename_table', table: table.name, from: prev.fullName },
+                    'move ' + prev.fullName + ' to ' + table.fullName)
+            } else {
+                emit('Rename tables', dialect.renameTable(prev.fullName, table.fullName, table.name, { schema: prev.schema, table: prev.name }),
+                    { action: 'rename_table', table: table.name, from: prev.name },
+                    'rename ' + prev.fullName + ' to ' + table.name)
+            }
+        }
+
+        const alter = 'Alter tables'
+        const prevColumns = byKey(prev.columns, function (c) { return c.id })
+        const nextColumns = byKey(table.columns, function (c) { return c.id })
+        const keptColumns = table.columns.filter(function (c) { return prevColumns[c.id] })
+
+        // Constraints are dropped first, while their columns still have the
+        // baseline names (the names unnamed constraints were given after)
+        const pkOf = function (t) {
+            return t.columns.filter(function (c) { return c.primaryKey }).map(function (c) { return c.id }).join(',')
+        }
+        const pkChanged = pkOf(prev) !== pkOf(table)
+        const pkColumns = table.columns.filter(function (c) { return c.primaryKey }).map(function (c) { return c.quoted })
+        const dropPk = pkChanged && pkOf(prev) ? dialect.dropPrimaryKey(table.fullName, { schema: prev.schema, table: prev.name }) : ''
+        const addPk = pkChanged && pkColumns.length > 0 ? dialect.addPrimaryKey(table.fullName, pkColumns) : ''
+        const pkSupported = dropPk !== null && addPk !== null
+        if (pkChanged && pkSupported && dropPk) {
+            emit(alter, dropPk, { action: 'drop_primary_key', table: table.name })
+        }
+        keptColumns.forEach(function (col) {
+            const prevCol = prevColumns[col.id]
+            if (prevCol.unique && !col.unique) {
+                emit(alter, dialect.dropUnique(table.fullName, prevCol.quoted, { schema: prev.schema, table: prev.name, column: prevCol.name }),
+                    { action: 'drop_unique', table: table.name, column: col.name },
+                    'drop UNIQUE on ' + table.fullName + '.' + prevCol.quoted)
+            }
+        })
+
+        keptColumns.forEach(function (col) {
+            const prevCol = prevColumns[col.id]
+            if (prevCol.name !== col.name) {
+                emit(alter, dialect.renameColumn(table.fullName, prevCol.quoted, col.quoted, { schema: table.schema, table: table.name, column: prevCol.name, newColumn: col.name }),
+                    { action: 'rename_column', table: table.name, column: col.name, from: prevCol.name },
+                    'rename column ' + table.fullName + '.' + prevCol.quoted + ' to ' + col.quoted)
+            }
+        })
+
+        prev.columns.forEach(function (prevCol) {
+            if (!nextColumns[prevCol.id]) {
+                emit(alter, dialect.dropColumn(table.fullName, prevCol.quoted),
+                    { action: 'drop_column', table: table.name, column: prevCol.name },
+                    'drop column ' + table.fullName + '.' + prevCol.quoted)
+            }
+        })
+
+        table.columns.forEach(function (col) {
+            const prevCol = prevColumns[col.id]
+            if (!prevCol) {
+                if (col.notNull && col.default === null && !col.autoIncrement) {
+                    warnings.push('New column ' + table.fullName + '.' + col.quoted + ' is NOT NULL without a default; adding it fails if the table has rows')
+                }
+                emit(alter, dialect.addColumn(table.fullName, col.definition),
+                    { action: 'add_column', table: table.name, column: col.name },
+                    'add column ' + table.fullName + '.' + col.quoted)
+            } else if (columnRest(prevCol) !== columnRest(col)) {
+                emit(alter, dialect.alterColumn(table.fullName, prevCol, col, { schema: table.schema, table: table.name, column: col.name }),
+                    { action: 'alter_column', table: table.name, column: col.name },
+                    'change column ' + table.fullName + '.' + col.quoted + ' from "' + columnRest(prevCol).trim() + '" to "' + columnRest(col).trim() + '"')
+            }
+            if (col.unique && !(prevCol && prevCol.unique)) {
+                emit(alter, dialect.addUnique(table.fullName, col.quoted),
+                    { action: 'add_unique', table: table.name, column: col.name },
+                    'add UNIQUE on ' + table.fullName + '.' + col.quoted)
+            }
+        })
+
+        if (pkChanged) {
+            if (pkSupported && addPk) {
+                emit(alter, addPk, { action: 'add_primary_key', table: table.name })
+            } else if (!pkSupported) {
+                emit(alter, null, { action: 'change_primary_key', table: table.name },
+                    'change the primary key of ' + table.fullName + ' to (' + pkColumns.join(', ') + ')')
+            }
+        }
+
+        // Comments
+        if (prev.documentation !== table.documentation) {
+            emit('Comments', dialect.changeTableComment(table.fullName, table.documentation, names, prev.documentation),
+                { action: 'change_comment', table: table.name },
+                'change the comment of ' + table.fullName)
+        }
+        table.columns.forEach(function (col) {
+            const previous = prevColumns[col.id] ? prevColumns[col.id].documentation : ''
+            if (previous !== col.documentation) {
+                emit('Comments', dialect.changeColumnComment(table.fullName, col.quoted, col.documentation, { schema: table.schema, table: table.name, column: col.name }, previous),
+                    { action: 'change_comment', table: table.name, column: col.name },
+                    'change the comment of ' + table.fullName + '.' + col.quoted)
+            }
+        })
+    })
+
+    Object.keys(afterSequences).forEach(function (name) {
+        const next = afterSequences[name]
+        if (!(beforeSequences[name] && beforeSequences[name].statement === next.statement)) {
+            sections['Sequences'].push(next.statement)
+            changes.push({ action: 'create_sequence', name: name })
+        }
+    })
+
+    // New tables
+    createdTables.forEach(function (t) {
+        sections['Create tables'].push(t.create)
+        sections['Create tables'].push('')
+        t.uniques.forEach(function (u) {
+            sections['Unique constraints'].push(u.statement)
+        })
+        t.comments.forEach(function (c) {
+            sections['Comments'].push(c)
+        })
+        changes.push({ action: 'create_table', table: t.name })
+    })
+
+    // New foreign keys, and ones pointing elsewhere
+    Object.keys(afterFks).forEach(function (columnId) {
+        const next = afterFks[columnId]
+        const prev = beforeFks[columnId]
+        if (prev && prev.fk.refColumnId === next.fk.refColumnId && before.tableById[next.table.id]) {
+            return
+        }
+        const isNewTable = !before.tableById[next.table.id]
+        if (next.fk.index) {
+            sections['FK indexes'].push(next.fk.index)
+        }
+        // Inline in CREATE TABLE for new tables
+        if (isNewTable && next.fk.statement === null) {
+            return
+        }
+        emit('Foreign key constraints', next.fk.statement,
+            { action: 'add_foreign_key', table: next.table.name, name: next.fk.constraintName },
+            'add foreign key ' + next.fk.constraintName + ' on ' + next.table.fullName)
+    })
+
+    Object.keys(afterIndexes).forEach(function (key) {
+        const next = afterIndexes[key]
+        if (!(beforeIndexes[key] && beforeIndexes[key].index.statement === next.index.statement)) {
+            sections['Indexes'].push(next.index.statement)
+            changes.push({ action: 'create_index', table: next.table.name, name: next.index.name })
+        }
+    })
+
+    return { sections: sections, changes: changes, warnings: warnings }
+}
+
+/**
+ * Render a comparison as a script.
+ */
+function renderScript(dialect, heading, baselineLabel, comparison) {
+    const lines = []
+    lines.push('-- ' + dialect.label + ' migration (' + heading + ')')
+    lines.push('-- Generated by StarUML Controller')
+    lines.push('-- Baseline: ' + baselineLabel)
+    lines.push('-- Date: ' + new Date().toLocaleString())
+    lines.push('')
+    if (comparison.changes.length === 0) {
+        lines.push('-- No changes')
+        return lines.join('\n')
+    }
+    SECTION_TITLES.forEach(function (title) {
+        const statements = comparison.sections[title]
+        if (statements.length === 0) {
+            return
+        }
+        lines.push('-- ' + title)
+        statements.forEach(function (stmt) {
+            lines.push(stmt)
+        })
+        // Each CREATE TABLE is already followed by a blank line
+        if (title !== 'Create tables') {
+            lines.push('')
+        }
+    })
+    return lines.join('\n')
+}
+
+// ============================================================
+// Snapshots
+// ============================================================
+
+function summarizeSnapshot(snapshot) {
+    return {
+        id: snapshot.id,
+        name: snapshot.name,
+        createdAt: snapshot.createdAt,
+        dataModelCount: snapshot.dataModelCount,
+        entityCount: snapshot.entityCount
+    }
+}
+
+/**
+ * Record the current state of all data models as a migration baseline.
+ * Snapshots live in memory until StarUML is closed.
+ */
+function createSnapshot(name) {
+    lastSnapshotId++
+    const models = serializeDataModels()
+    // Kept as text: describeState links the parsed elements in place
+    const snapshot = {
+        id: String(lastSnapshotId),
+        name: name || 'Snapshot ' + lastSnapshotId,
+        createdAt: new Date().toISOString(),
+        dataModelCount: models.length,
+        entityCount: models.reduce(function (n, dm) {
+            return n + (dm.ownedElements || []).filter(function (e) { return e._type === 'ERDEntity' }).length
+        }, 0),
+        json: JSON.stringify(models)
+    }
+    snapshots.push(snapshot)
+    if (snapshots.length > MAX_SNAPSHOTS) {
+        snapshots.shift()
+    }
+    return summarizeSnapshot(snapshot)
+}
+
+function listSnapshots() {
+    return snapshots.map(summarizeSnapshot)
+}
+
+function findSnapshot(id) {
+    return snapshots.filter(function (s) { return s.id === id })[0] || null
+}
+
+// ============================================================
+// Migrations
+// ============================================================
+
+/**
+ * Build the migration from a baseline to the current model.
+ *
+ * @param {Object} options
+ *   dialect: one of ddl-dialects' DIALECT_NAMES
+ *   baselinePath: .mdj file, or snapshotId: id from createSnapshot()
+ *   dataModelId: compare only this data model
+ *   down: also build the down script
+ * @returns {Object} { up, down, changes, warnings } (down is null unless requested)
+ */
+function buildMigration(options) {
+    const dialect = ddlDialects.getDialect(options.dialect)
+    if (!dialect) {
+        throw new Error('Unknown DDL dialect: ' + options.dialect)
+    }
+    let baselineRoots
+    let baselineLabel
+    if (options.snapshotId) {
+        const snapshot = findSnapshot(options.snapshotId)
+        if (!snapshot) {
+            throw new Error('Snapshot not found: ' + options.snapshotId)
+        }
+        baselineRoots = JSON.parse(snapshot.json)
+        baselineLabel = 'snapshot ' + snapshot.id + ' "' + snapshot.name + '" (' + snapshot.createdAt + ')'
+    } else {
+        baselineRoots = JSON.parse(fs.readFileSync(options.baselinePath, 'utf8'))
+        baselineLabel = options.baselinePath
+    }
+
+    const before = describeState(dialect, baselineRoots, options.dataModelId || null)
+    const after = describeState(dialect, serializeDataModels(), options.dataModelId || null)
+    const up = compareStates(dialect, before, after)
+    return {
+        up: renderScript(dialect, 'up', baselineLabel, up),
+        down: options.down ? renderScript(dialect, 'down', baselineLabel, compareStates(dialect, after, before)) : null,
+        changes: up.changes,
+        warnings: up.warnings
+    }
+}
+
+/**
+ * Write migration scripts in one of the FORMATS layouts:
+ *
+ *   sql        up script at `path`, down script next to it as <name>.down.sql
+ *   flyway     V<version>__<description>.sql, and the undo migration
+ *              U<version>__<description>.sql, in the directory `path`
+ *   liquibase  <version>__<description>.sql in the directory `path`, a
+ *              formatted SQL changelog with the down script as rollback
+ *
+ * @returns {Array} Paths of the written files
+ */
+function writeMigration(format, path, version, description, migration) {
+    const written = []
+    const write = function (file, text) {
+        fs.writeFileSync(file, text, 'utf8')
+        written.push(file)
+    }
+    const baseName = version + '__' + description
+
+    if (format === 'flyway') {
+        write(nodePath.join(path, 'V' + baseName + '.sql'), migration.up)
+        if (migration.down !== null) {
+            write(nodePath.join(path, 'U' + baseName + '.sql'), migration.down)
+        }
+    } else if (format === 'liquibase') {
+        const lines = ['-- liquibase formatted sql', '', '-- changeset staruml-controller:' + baseName, migration.up]
+        if (migration.down !== null) {
+            migration.down.split('\n').filter(function (line) {
+                return line.trim() !== '' && line.indexOf('--') !== 0
+            }).forEach(function (line) {
+                lines.push('--rollback ' + line)
+            })
+        }
+        write(nodePath.join(path, baseName + '.sql'), lines.join('\n'))
+    } else {
+        write(path, migration.up)
+        if (migration.down !== null) {
+            const ext = nodePath.extname(path)
+            write(path.substring(0, path.length - ext.length) + '.down' + (ext || '.sql'), migration.down)
+        }
+    }
+    return written
+}
+
+exports.FORMATS = FORMATS
+exports.createSnapshot = createSnapshot
+exports.listSnapshots = listSnapshots
+exports.findSnapshot = findSnapshot
+exports.buildMigration = buildMigration
+exports.writeMigration = writeMigration
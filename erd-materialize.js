@@ -0,0 +1,433 @@
+/**
+ * Relationship materialization for StarUML Controller
+ *
+ * Turns a drawn ERDRelationship into the columns that implement it:
+ *
+ *   one-to-many   foreign key columns on the entity at the many end, one
+ *                 per primary key column of the entity at the one end
+ *   one-to-one    the same on the end2 entity, marked unique
+ *   many-to-many  a junction entity with one foreign key per primary key
+ *                 column of both entities, all part of its primary key;
+ *                 the relationship is replaced by two identifying
+ *                 one-to-many relationships to the junction
+ *
+ * An end is "many" when its upper bound is * or greater than 1 ("0..*",
+ * "1..*", "*", "2..5"). Names follow the naming templates (see
+ * DEFAULT_NAMING); placeholders are written {name}.
+ *
+ * Foreign key columns copy the type and length of the referenced column.
+ * SERIAL / BIGSERIAL become INTEGER / BIGINT and the -1 auto-increment
+ * length is dropped, so the child does not get a sequence of its own.
+ * A column that already has the generated name is reused when it
+ * references the same column, and adopted when it references nothing.
+ */
+
+const DEFAULT_NAMING = {
+    junctionTable: '{table1}_{table2}',
+    foreignKeyColumn: '{table}_{column}'
+}
+
+const NAMING_PLACEHOLDERS = {
+    junctionTable: ['table1', 'table2', 'role1', 'role2', 'relationship'],
+    foreignKeyColumn: ['table', 'column', 'role']
+}
+
+const SERIAL_TYPES = { SERIAL: 'INTEGER', BIGSERIAL: 'BIGINT' }
+
+// ============================================================
+// Cardinality
+// ============================================================
+
+function isMany(cardinality) {
+    const bounds = String(cardinality || '1').split('..')
+    const upper = bounds[bounds.length - 1].trim()
+    return upper === '*' || parseInt(upper, 10) > 1
+}
+
+function isOptional(cardinality) {
+    const lower = String(cardinality || '1').split('..')[0].trim()
+    return lower === '0' || lower === '*'
+}
+
+/**
+ * Which of the three shapes a relationship has.
+ */
+function kindOf(rel) {
+    const many1 = isMany(rel.end1.cardinality)
+    const many2 = isMany(rel.end2.cardinality)
+    if (many1 && many2) {
+        return 'many-to-many'
+    }
+    return many1 || many2 ? 'one-to-many' : 'one-to-one'
+}
+
+// ============================================================
+// Naming
+// ============================================================
+
+function applyTemplate(template, values) {
+    return template.replace(/\{(\w+)\}/g, function (match, key) {
+        return values[key] !== undefined ? values[key] : match
+    })
+}
+
+function resolveNaming(naming) {
+    return Object.assign({}, DEFAULT_NAMING, naming || {})
+}
+
+/**
+ * Validate naming templates: non-empty, known placeholders only.
+ * Returns an error message or null.
+ */
+function checkNaming(naming) {
+    const keys = Object.keys(naming || {})
+    for (let i = 0; i < keys.length; i++) {
+        const key = keys[i]
+        const template = naming[key]
+        if (typeof template !== 'string' || template.trim() === '') {
+            return 'naming.' + key + ' must be a non-empty string'
+        }
+        const allowed = NAMING_PLACEHOLDERS[key]
+        const placeholders = template.match(/\{\w+\}/g) || []
+        for (let j = 0; j < placeholders.length; j++) {
+            const name = placeholders[j].slice(1, -1)
+            if (allowed.indexOf(name) === -1) {
+                return 'naming.' + key + ' has unknown placeholder "' + placeholders[j] + '". Allowed: ' +
+                    allowed.map(function (p) { return '{' + p + '}' }).join(', ')
+            }
+        }
+    }
+    return null
+}
+
+function endRole(end) {
+    return end.name || end.reference.name
+}
+
+function junctionName(rel, naming) {
+    return applyTemplate(naming.junctionTable, {
+        table1: rel.end1.reference.name,
+        table2: rel.end2.reference.name,
+        role1: endRole(rel.end1),
+        role2: endRole(rel.end2),
+        relationship: rel.name || rel.end1.reference.name + '_' + rel.end2.reference.name
+    })
+}
+
+// ============================================================
+// Checks
+// ============================================================
+
+function primaryKeys(entity) {
+    return (entity.columns || []).filter(function (c) { return c.primaryKey })
+}
+
+function findColumn(entity, name) {
+    const lower = name.toLowerCase()
+    return (entity.columns || []).filter(function (c) { return (c.name || '').toLowerCase() === lower })[0] || null
+}
+
+/**
+ * Check that a relationship can be materialized. `rel` is an
+ * ERDRelationship, or a plain object of the same shape
+ * ({ _parent, name, end1: { reference, cardinality, name }, end2 })
+ * for one that is about to be created. Returns an error message or null.
+ */
+function check(rel, naming) {
+    if (!rel.end1 || !rel.end1.reference || !rel.end2 || !rel.end2.reference) {
+        return 'Relationship has an end without an entity'
+    }
+    const kind = kindOf(rel)
+    const parents = kind === 'many-to-many'
+        ? [rel.end1.reference, rel.end2.reference]
+        : [oneToManyEnds(rel).parent.reference]
+    for (let i = 0; i < parents.length; i++) {
+        if (primaryKeys(parents[i]).length === 0) {
+            return 'Entity "' + parents[i].name + '" has no primary key column to reference'
+        }
+    }
+    if (kind === 'many-to-many') {
+        const name = junctionName(rel, resolveNaming(naming)).toLowerCase()
+        const dataModel = rel._parent
+        const taken = (dataModel.ownedElements || []).some(function (e) {
+            return e instanceof type.ERDEntity && (e.name || '').toLowerCase() === name
+        })
+        if (taken) {
+            return 'Entity "' + junctionName(rel, resolveNaming(naming)) + '" already exists in data model "' + dataModel.name + '". Choose another naming.junctionTable'
+        }
+    }
+    return null
+}
+
+// ============================================================
+// Foreign key columns
+// ============================================================
+
+/**
+ * The end whose entity is referenced and the end whose entity gets the
+ * foreign key. For one-to-one that is end2, as for relationships created
+ * by the DDL importer.
+ */
+function oneToManyEnds(rel) {
+    if (isMany(rel.end1.cardinality) && !isMany(rel.end2.cardinality)) {
+        return { parent: rel.end2, child: rel.end1 }
+    }
+    return { parent: rel.end1, child: rel.end2 }
+}
+
+/**
+ * Add (or reuse) one foreign key column per primary key column of the
+ * parent end's entity on `child`.
+ *
+ * @param {Object} options - { nullable, primaryKey, unique, naming, usedNames }
+ *   usedNames: lower-case names already given out in this run, so that two
+ *   foreign keys to the same entity (self references) do not collide
+ * @returns {Object[]} { column, created, adopted } per primary key column
+ */
+function addForeignKeys(child, parentEnd, options, warnings) {
+    const parent = parentEnd.reference
+    return primaryKeys(parent).map(function (pk) {
+        const base = applyTemplate(options.naming.foreignKeyColumn, {
+            table: parent.name,
+            column: pk.name,
+            role: endRole(parentEnd)
+        })
+        let name = base
+        for (let n = 2; ; n++) {
+            const existing = findColumn(child, name)
+            if (options.usedNames.indexOf(name.toLowerCase()) === -1) {
+                if (existing && existing.referenceTo === pk) {
+                    options.usedNames.push(name.toLowerCase())
+                    return { column: existing, created: false, adopted: false }
+                }
+                if (existing && !existing.referenceTo && existing !== pk) {
+                    app.engine.setProperty(existing, 'foreignKey', true)
+                    app.engine.setProperty(existing, 'referenceTo', pk)
+                    options.usedNames.push(name.toLowerCase())
+                    warnings.push('Existing column ' + child.name + '.' + name + ' now references ' + parent.name + '.' + pk.name)
+                    return { column: existing, created: false, adopted: true }
+                }
+                if (!existing) {
+                    break
+                }
+            }
+            name = base + '_' + n
+        }
+        if (name !== base) {
+            warnings.push('Column name "' + base + '" is taken in "' + child.name + '"; named the foreign key "' + name + '"')
+        }
+        options.usedNames.push(name.toLowerCase())
+        const serial = SERIAL_TYPES[(pk.type || '').toUpperCase()]
+        const column = app.factory.createModel({
+            id: 'ERDColumn',
+            parent: child,
+            field: 'columns',
+            modelInitializer: function (elem) {
+                elem.name = name
+                elem.type = serial || pk.type
+                elem.length = serial || pk.length === '-1' || pk.length === -1 ? '' : pk.length
+                elem.primaryKey = options.primaryKey
+                elem.foreignKey = true
+                elem.nullable = options.nullable && !options.primaryKey
+                elem.unique = options.unique
+            }
+        })
+        app.engine.setProperty(column, 'referenceTo', pk)
+        return { column: column, created: true, adopted: false }
+    })
+}
+
+// ============================================================
+// Junction entity
+// ============================================================
+
+/**
+ * Diagrams that show the relationship, each with the views of its two
+ * entities.
+ */
+function diagramsShowing(rel) {
+    const result = []
+    const views = app.repository.getViewsOf(rel) || []
+    views.forEach(function (edge) {
+        const diagram = edge._parent
+        if (!diagram || result.some(function (d) { return d.diagram === diagram })) {
+            return
+        }
+        const viewOf = function (entity) {
+            return (diagram.ownedViews || []).filter(function (v) { return v.model === entity })[0] || null
+        }
+        const tail = viewOf(rel.end1.reference)
+        const head = viewOf(rel.end2.reference)
+        if (tail && head) {
+            result.push({ diagram: diagram, tail: tail, head: head })
+        }
+    })
+    return result
+}
+
+/**
+ * Junction box half way between the two entities, or to the right of
+ * the entity for a self reference.
+ */
+function junctionBounds(tail, head, columnCount) {
+    const width = 220
+    const height = 40 + columnCount * 20
+    const center = function (v) {
+        return { x: (v.left || 0) + (v.width || width) / 2, y: (v.top || 0) + (v.height || height) / 2 }
+    }
+    let x, y
+    if (tail === head) {
+        x = (tail.left || 0) + (tail.width || width) + 80 + width / 2
+        y = center(tail).y
+    } else {
+        const a = center(tail)
+        const b = center(head)
+        x = (a.x + b.x) / 2
+        y = (a.y + b.y) / 2
+    }
+    const x1 = Math.max(0, Math.round(x - width / 2))
+    const y1 = Math.max(0, Math.round(y - height / 2))
+    return { x1: x1, y1: y1, x2: x1 + width, y2: y1 + height }
+}
+
+function createJunctionRelationship(dataModel, parentEntity, junction, shown, junctionViews) {
+    const relOptions = {
+        id: 'ERDRelationship',
+        parent: dataModel,
+        modelInitializer: function (r) {
+            r.identifying = true
+            if (r.end1 && r.end2) {
+                r.end1.reference = parentEntity
+                r.end1.cardinality = '1'
+                r.end2.reference = junction
+                r.end2.cardinality = '0..*'
+            }
+        }
+    }
+    if (shown.length === 0) {
+        return app.factory.createModel(relOptions)
+    }
+    let rel = null
+    shown.forEach(function (s, i) {
+        const tail = s.tail.model === parentEntity ? s.tail : s.head
+        if (!rel) {
+            const view = app.factory.createModelAndView(Object.assign({}, relOptions, {
+                diagram: s.diagram,
+                tailModel: parentEntity,
+                headModel: junction,
+                tailView: tail,
+                headView: junctionViews[i]
+            }))
+            rel = view ? view.model : null
+        } else {
+            app.factory.createViewOf({ model: rel, diagram: s.diagram })
+        }
+    })
+    return rel
+}
+
+function materializeManyToMany(rel, naming, warnings) {
+    const dataModel = rel._parent
+    const entity1 = rel.end1.reference
+    const entity2 = rel.end2.reference
+    const shown = diagramsShowing(rel)
+    const columnCount = primaryKeys(entity1).length + primaryKeys(entity2).length
+
+    const entityOptions = {
+        id: 'ERDEntity',
+        parent: dataModel,
+        modelInitializer: function (elem) {
+            elem.name = junctionName(rel, naming)
+            if (rel.documentation) {
+                elem.documentation = rel.documentation
+            }
+        }
+    }
+    const junctionViews = []
+    let junction = null
+    shown.forEach(function (s) {
+        const bounds = junctionBounds(s.tail, s.head, columnCount)
+        let view
+        if (!junction) {
+            view = app.factory.createModelAndView(Object.assign({}, entityOptions, { diagram: s.diagram }, bounds))
+            junction = view.model
+        } else {
+            view = app.factory.createViewOf({ model: junction, diagram: s.diagram, x: bounds.x1, y: bounds.y1 })
+        }
+        junctionViews.push(view)
+    })
+    if (!junction) {
+        junction = app.factory.createModel(entityOptions)
+    }
+
+    const fkOptions = { naming: naming, usedNames: [], primaryKey: true, nullable: false, unique: false }
+    const columns = addForeignKeys(junction, rel.end1, fkOptions, warnings)
+        .concat(addForeignKeys(junction, rel.end2, fkOptions, warnings))
+
+    const relationships = [
+        createJunctionRelationship(dataModel, entity1, junction, shown, junctionViews),
+        createJunctionRelationship(dataModel, entity2, junction, shown, junctionViews)
+    ].filter(function (r) { return r })
+
+    app.engine.deleteElements([rel], [])
+
+    return {
+        junction: junction,
+        diagrams: shown.map(function (s) { return s.diagram }),
+        columns: columns,
+        relationships: relationships
+    }
+}
+
+// ============================================================
+// Public API
+// ============================================================
+
+/**
+ * Materialize a relationship. Call check() first.
+ *
+ * @param {ERDRelationship} rel
+ * @param {Object} naming - templates overriding DEFAULT_NAMING
+ * @returns {Object} { kind, columns: [{ column, created, adopted }], junction,
+ *   diagrams, relationships, removed, warnings }
+ *   relationships: the relationships that now stand for `rel` (rel itself,
+ *   or the two junction relationships); removed: rel when it was replaced
+ */
+function materialize(rel, naming) {
+    const warnings = []
+    const resolved = resolveNaming(naming)
+    const kind = kindOf(rel)
+
+    if (kind === 'many-to-many') {
+        const result = materializeManyToMany(rel, resolved, warnings)
+        return Object.assign(result, { kind: kind, removed: rel, warnings: warnings })
+    }
+
+    const ends = oneToManyEnds(rel)
+    const columns = addForeignKeys(ends.child.reference, ends.parent, {
+        naming: resolved,
+        usedNames: [],
+        primaryKey: !!rel.identifying,
+        nullable: isOptional(ends.parent.cardinality),
+        unique: kind === 'one-to-one' && primaryKeys(ends.parent.reference).length === 1
+    }, warnings)
+    if (kind === 'one-to-one' && primaryKeys(ends.parent.reference).length > 1) {
+        warnings.push('Composite foreign key on "' + ends.child.reference.name + '" is not marked unique; add a unique index# tag to enforce one-to-one')
+    }
+    return {
+        kind: kind,
+        columns: columns,
+        junction: null,
+        diagrams: [],
+        relationships: [rel],
+        removed: null,
+        warnings: warnings
+    }
+}
+
+exports.check = check
+exports.checkNaming = checkNaming
+exports.materialize = materialize
+exports.kindOf = kindOf
+exports.DEFAULT_NAMING = DEFAULT_NAMING
+exports.NAMING_FIELDS = Object.keys(DEFAULT_NAMING)
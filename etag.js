@@ -0,0 +1,38 @@
+/**
+ * ETags and If-Match Preconditions for StarUML Controller
+ *
+ * An element's ETag is a hash of its serialized state in the repository
+ * (app.repository.writeObject), so it changes whenever the element or
+ * anything it owns (attributes, operations, views of a diagram, ...) changes,
+ * no matter which API or UI action made the change.
+ *
+ * The router adds the ETag to every successful GET or PUT of a single
+ * element, diagram or view (routes with an :id parameter), and checks the
+ * If-Match header of PUT and DELETE requests against it. A mismatch is
+ * answered with 409 Conflict and the current representation.
+ */
+
+const crypto = require('crypto')
+
+/**
+ * Strong ETag for the current state of an element.
+ */
+function computeEtag(elem) {
+    const state = app.repository.writeObject(elem)
+    return '"' + crypto.createHash('sha1').update(state, 'utf8').digest('hex') + '"'
+}
+
+/**
+ * Whether an If-Match header value matches an ETag.
+ * Supports "*" and comma-separated lists; weak tags (W/"...") never match,
+ * since If-Match uses strong comparison.
+ */
+function matchesIfMatch(header, etag) {
+    const candidates = header.split(',').map(function (t) { return t.trim() })
+    return candidates.some(function (t) {
+        return t === '*' || t === etag
+    })
+}
+
+exports.computeEtag = computeEtag
+exports.matchesIfMatch = matchesIfMatch
@@ -0,0 +1,239 @@
+/**
+ * Server-Sent Events stream for StarUML Controller
+ *
+ * Relays repository, diagram and project events to clients connected to
+ * GET /api/events. Elements are serialized with the same shapes the REST
+ * API returns (serializeElement for models, serializeViewInfo for views).
+ *
+ * Event types:
+ *   element.created, element.updated, element.deleted
+ *   diagram.opened, diagram.closed
+ *   project.created, project.loaded, project.saved, project.closed
+ */
+
+const h = require('./handlers/shared-helpers')
+
+const EVENT_TYPES = [
+    'element.created', 'element.updated', 'element.deleted',
+    'diagram.opened', 'diagram.closed',
+    'project.created', 'project.loaded', 'project.saved', 'project.closed'
+]
+const EVENTS_ALLOWED_PARAMS = ['types']
+const HEARTBEAT_INTERVAL_MS = 15000
+const RETRY_MS = 3000
+
+const clients = []
+let nextEventId = 1
+let subscriptions = null
+let heartbeatTimer = null
+let currentDiagram = null
+
+// ============================================================
+// Serialization
+// ============================================================
+
+function serializeChange(elem) {
+    if (elem instanceof type.View) {
+        const result = h.serializeViewInfo(elem)
+        if (elem._parent) {
+            result._parentId = elem._parent._id
+        }
+        return result
+    }
+    const result = h.serializeElement(elem)
+    if (result && elem._parent) {
+        result._parentId = elem._parent._id
+    }
+    return result
+}
+
+function serializeProject(filename) {
+    const project = app.project.getProject()
+    return {
+        path: filename || app.project.getFilename() || null,
+        projectName: project ? project.name || '' : ''
+    }
+}
+
+// ============================================================
+// Broadcasting
+// ============================================================
+
+/**
+ * A client filter entry matches an exact event type ("element.created")
+ * or a whole category ("element").
+ */
+function matchesFilter(filter, eventType) {
+    if (!filter) {
+        return true
+    }
+    const category = eventType.split('.')[0]
+    return filter.indexOf(eventType) !== -1 || filter.indexOf(category) !== -1
+}
+
+function broadcast(eventType, data) {
+    if (clients.length === 0) {
+        return
+    }
+    const id = nextEventId++
+    const payload = JSON.stringify({ type: eventType, timestamp: new Date().toISOString(), data: data })
+    const frame = 'id: ' + id + '\nevent: ' + eventType + '\ndata: ' + payload + '\n\n'
+    clients.forEach(function (client) {
+        if (matchesFilter(client.filter, eventType)) {
+            client.res.write(frame)
+        }
+    })
+}
+
+function broadcastElements(eventType, elems) {
+    (elems || []).forEach(function (elem) {
+        if (elem) {
+            broadcast(eventType, serializeChange(elem))
+        }
+    })
+}
+
+// ============================================================
+// StarUML event subscriptions
+// ============================================================
+
+function subscribe(emitter, event, handler) {
+    if (emitter && typeof emitter.on === 'function') {
+        emitter.on(event, handler)
+        subscriptions.push({ emitter: emitter, event: event, handler: handler })
+    }
+}
+
+function attach() {
+    if (subscriptions) {
+        return
+    }
+    subscriptions = []
+    currentDiagram = app.diagrams ? app.diagrams.getCurrentDiagram() : null
+
+    subscribe(app.repository, 'created', function (elems) { broadcastElements('element.created', elems) })
+    subscribe(app.repository, 'updated', function (elems) { broadcastElements('element.updated', elems) })
+    subscribe(app.repository, 'deleted', function (elems) { broadcastElements('element.deleted', elems) })
+
+    // The editor shows one diagram at a time: switching to another diagram
+    // closes the previous one in the editor.
+    subscribe(app.diagrams, 'currentDiagramChanged', function (diagram) {
+        if (currentDiagram && (!diagram || currentDiagram._id !== diagram._id)) {
+            broadcast('diagram.closed', h.serializeGenericDiagram(currentDiagram))
+        }
+        if (diagram && (!currentDiagram || currentDiagram._id !== diagram._id)) {
+            broadcast('diagram.opened', h.serializeGenericDiagram(diagram))
+        }
+        currentDiagram = diagram || null
+    })
+
+    subscribe(app.project, 'projectCreated', function () { broadcast('project.created', serializeProject()) })
+    subscribe(app.project, 'projectLoaded', function (filename) { broadcast('project.loaded', serializeProject(filename)) })
+    subscribe(app.project, 'projectSaved', function (filename) { broadcast('project.saved', serializeProject(filename)) })
+    subscribe(app.project, 'projectClosed', function () {
+        currentDiagram = null
+        broadcast('project.closed', { path: null, projectName: '' })
+    })
+
+    heartbeatTimer = setInterval(function () {
+        clients.forEach(function (client) {
+            client.res.write(': heartbeat\n\n')
+        })
+    }, HEARTBEAT_INTERVAL_MS)
+}
+
+function detach() {
+    if (!subscriptions) {
+        return
+    }
+    subscriptions.forEach(function (s) {
+        s.emitter.removeListener(s.event, s.handler)
+    })
+    subscriptions = null
+    currentDiagram = null
+    clearInterval(heartbeatTimer)
+    heartbeatTimer = null
+}
+
+// ============================================================
+// Client handling
+// ============================================================
+
+/**
+ * Parse and validate the query string of GET /api/events.
+ * Returns { filter } or { error }.
+ */
+function parseEventsQuery(query) {
+    const unknownParams = Object.keys(query).filter(function (k) {
+        return EVENTS_ALLOWED_PARAMS.indexOf(k) === -1
+    })
+    if (unknownParams.length > 0) {
+        return { error: 'Unknown query parameter(s): ' + unknownParams.join(', ') + '. Allowed: ' + EVENTS_ALLOWED_PARAMS.join(', ') }
+    }
+    if (!query.types) {
+        return { filter: null }
+    }
+    const categories = EVENT_TYPES.map(function (t) { return t.split('.')[0] })
+    const filter = query.types.split(',').map(function (t) { return t.trim() }).filter(function (t) { return t !== '' })
+    const invalid = filter.filter(function (t) {
+        return EVENT_TYPES.indexOf(t) === -1 && categories.indexOf(t) === -1
+    })
+    if (invalid.length > 0) {
+        return { error: 'Invalid event type(s): ' + invalid.join(', ') + '. Allowed: ' + EVENT_TYPES.join(', ') + ' (or a category: element, diagram, project)' }
+    }
+    return { filter: filter }
+}
+
+/**
+ * Open an event stream on the response. The connection stays open until
+ * the client disconnects or the server stops.
+ *
+ * @param {http.IncomingMessage} req
+ * @param {http.ServerResponse} res
+ * @param {Object} query - Parsed query parameters
+ * @returns {Object|null} Error response object if the query is invalid, otherwise null
+ */
+function openStream(req, res, query) {
+    const parsed = parseEventsQuery(query)
+    if (parsed.error) {
+        return { success: false, error: parsed.error, request: { method: req.method, path: '/api/events', query: query } }
+    }
+
+    res.writeHead(200, {
+        'Content-Type': 'text/event-stream; charset=utf-8',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no'
+    })
+    res.write('retry: ' + RETRY_MS + '\n\n')
+
+    const client = { res: res, filter: parsed.filter }
+    clients.push(client)
+    attach()
+
+    req.on('close', function () {
+        const idx = clients.indexOf(client)
+        if (idx !== -1) {
+            clients.splice(idx, 1)
+        }
+        if (clients.length === 0) {
+            detach()
+        }
+    })
+    return null
+}
+
+/**
+ * End every open stream (called before the server stops, since open
+ * connections would otherwise keep server.close() from completing).
+ */
+function closeAll() {
+    clients.splice(0).forEach(function (client) {
+        client.res.end()
+    })
+    detach()
+}
+
+exports.EVENT_TYPES = EVENT_TYPES
+exports.openStream = openStream
+exports.closeAll = closeAll
@@ -21,6 +21,7 @@
  */
 
 const h = require('./shared-helpers')
+const requestSchema = require('../request-schema')
 
 // Toolbox type aliases: types that the GUI toolbox maps to a base type + model-init.
 // StarUML's toolbox "command-arg" overrides the factory id and sets model-init properties.
@@ -55,11 +56,12 @@ function isAutoContainer(elem) {
  * Parse a createFields entry.
  * Supports two formats:
  *   - String:  'guard'  →  { param: 'guard', prop: 'guard' }
- *   - Object:  { param: 'pseudostateKind', prop: 'kind' }  →  as-is
+ *   - Object:  { param: 'pseudostateKind', prop: 'kind', enum: [...] }  →  as-is
+ *     (enum, if given, is enforced by the request body schema)
  */
 function parseFieldEntry(f) {
     if (typeof f === 'string') return { param: f, prop: f }
-    return { param: f.param, prop: f.prop || f.param }
+    return { param: f.param, prop: f.prop || f.param, enum: f.enum }
 }
 
 /**
@@ -199,82 +201,98 @@ function defaultSerializeChild(elem) {
 
 /**
  * Build all route handlers for a family config.
- * Returns an array of { method, pattern, handler } objects.
+ * Returns an array of { method, pattern, handler, doc } objects.
+ * doc holds the OpenAPI description and body schema (see registerRoutes).
  */
 function createFamilyHandlers(config) {
     const routes = []
     const prefix = '/api/' + config.prefix
+    const diagramQuery = [{ name: 'diagramId', description: 'Only return elements shown on this diagram' }]
 
     // --- Diagram routes ---
     if (config.diagrams) {
         routes.push({
             method: 'GET',
             pattern: prefix + '/diagrams',
-            handler: makeListDiagrams(config)
+            handler: makeListDiagrams(config),
+            doc: { summary: 'List diagrams', list: true }
         })
         routes.push({
             method: 'POST',
             pattern: prefix + '/diagrams',
-            handler: makeCreateDiagram(config)
+            handler: makeCreateDiagram(config),
+            doc: { summary: 'Create diagram', body: describeBody(getDiagramCreateFields(config), [], { type: config.diagrams.types }) }
         })
         routes.push({
             method: 'GET',
             pattern: prefix + '/diagrams/:id',
-            handler: makeGetDiagram(config)
+            handler: makeGetDiagram(config),
+            doc: { summary: 'Get diagram' }
         })
         routes.push({
             method: 'PUT',
             pattern: prefix + '/diagrams/:id',
-            handler: makeUpdateDiagram(config)
+            handler: makeUpdateDiagram(config),
+            doc: { summary: 'Update diagram', body: describeBody(['name'], []) }
         })
         routes.push({
             method: 'DELETE',
             pattern: prefix + '/diagrams/:id',
-            handler: makeDeleteDiagram(config)
+            handler: makeDeleteDiagram(config),
+            doc: { summary: 'Delete diagram' }
         })
     }
 
     // --- Resource routes (nodes) ---
     if (config.resources) {
         config.resources.forEach(function (res) {
+            const label = res.name.replace(/-/g, ' ')
             routes.push({
                 method: 'GET',
                 pattern: prefix + '/' + res.name,
-                handler: makeListResource(config, res)
+                handler: makeListResource(config, res),
+                doc: { summary: 'List ' + label, query: diagramQuery, list: true }
             })
             routes.push({
                 method: 'POST',
                 pattern: prefix + '/' + res.name,
-                handler: makeCreateResource(config, res)
+                handler: makeCreateResource(config, res),
+                doc: { summary: 'Create ' + label, body: describeBody(getResourceCreateFields(res), ['diagramId'], Object.assign(getCreateFieldEnums(res.createFields), { type: res.types })) }
             })
             routes.push({
                 method: 'GET',
                 pattern: prefix + '/' + res.name + '/:id',
-                handler: makeGetResource(config, res)
+                handler: makeGetResource(config, res),
+                doc: { summary: 'Get ' + label }
             })
             routes.push({
                 method: 'PUT',
                 pattern: prefix + '/' + res.name + '/:id',
-                handler: makeUpdateResource(config, res)
+                handler: makeUpdateResource(config, res),
+                doc: { summary: 'Update ' + label, body: describeUpdateBody(res.updateFields, false) }
             })
             routes.push({
                 method: 'DELETE',
                 pattern: prefix + '/' + res.name + '/:id',
-                handler: makeDeleteResource(config, res)
+                handler: makeDeleteResource(config, res),
+                doc: { summary: 'Delete ' + label }
             })
 
             // Child routes
             if (res.children) {
                 res.children.forEach(function (child) {
+                    const childLabel = child.name.replace(/-/g, ' ')
                     routes.push({
                         method: 'GET',
                         pattern: prefix + '/' + res.name + '/:id/' + child.name,
-                        handler: makeListChildren(config, res, child)
+                        handler: makeListChildren(config, res, child),
+                        doc: { summary: 'List ' + childLabel + ' of ' + label, list: true }
                     })
                     routes.push({
                         method: 'POST',
                         pattern: prefix + '/' + res.name + '/:id/' + child.name,
-                        handler: makeCreateChild(config, res, child)
+                        handler: makeCreateChild(config, res, child),
+                        doc: { summary: 'Create ' + childLabel + ' in ' + label, body: describeBody(getChildCreateFields(child), [], getCreateFieldEnums(child.createFields)) }
                     })
                 })
             }
@@ -284,30 +302,36 @@ function createFamilyHandlers(config) {
     // --- Relation routes (edges) ---
     if (config.relations) {
         config.relations.forEach(function (rel) {
+            const label = rel.name.replace(/-/g, ' ')
             routes.push({
                 method: 'GET',
                 pattern: prefix + '/' + rel.name,
-                handler: makeListRelation(config, rel)
+                handler: makeListRelation(config, rel),
+                doc: { summary: 'List ' + label, query: diagramQuery, list: true }
             })
             routes.push({
                 method: 'POST',
                 pattern: prefix + '/' + rel.name,
-                handler: makeCreateRelation(config, rel)
+                handler: makeCreateRelation(config, rel),
+                doc: { summary: 'Create ' + label, body: describeBody(getRelationCreateFields(rel), ['diagramId', 'sourceId', 'targetId'], getCreateFieldEnums(rel.createFields)) }
             })
             routes.push({
                 method: 'GET',
                 pattern: prefix + '/' + rel.name + '/:id',
-                handler: makeGetRelation(config, rel)
+                handler: makeGetRelation(config, rel),
+                doc: { summary: 'Get ' + label }
             })
             routes.push({
                 method: 'PUT',
                 pattern: prefix + '/' + rel.name + '/:id',
-                handler: makeUpdateRelation(config, rel)
+                handler: makeUpdateRelation(config, rel),
+                doc: { summary: 'Update ' + label, body: describeUpdateBody(rel.updateFields, rel.hasEnds) }
             })
             routes.push({
                 method: 'DELETE',
                 pattern: prefix + '/' + rel.name + '/:id',
-                handler: makeDeleteRelation(config, rel)
+                handler: makeDeleteRelation(config, rel),
+                doc: { summary: 'Delete ' + label }
             })
         })
     }
@@ -315,6 +339,65 @@ function createFamilyHandlers(config) {
     return routes
 }
 
+// ============================================================
+// Route documentation
+// ============================================================
+
+// Types of the common fields accepted by the generated create handlers.
+// Config-specific createFields are untyped (passed through to StarUML).
+const COMMON_FIELD_TYPES = {
+    name: 'string', documentation: 'string', diagramId: 'string', parentId: 'string', type: 'string',
+    sourceId: 'string', targetId: 'string', tailViewId: 'string',
+    x1: 'number', y1: 'number', x2: 'number', y2: 'number',
+    lineColor: 'string', fillColor: 'string', fontColor: 'string',
+    end1: 'object', end2: 'object'
+}
+
+/**
+ * Allowed values declared on createFields entries, keyed by param name.
+ */
+function getCreateFieldEnums(createFields) {
+    const enums = {}
+    const entries = createFields || []
+    entries.forEach(function (f) {
+        const entry = parseFieldEntry(f)
+        if (entry.enum) enums[entry.param] = entry.enum
+    })
+    return enums
+}
+
+/**
+ * Describe a request body. Used both to validate requests
+ * (request-schema.js) and to publish the OpenAPI spec.
+ */
+function describeBody(fieldNames, required, enums) {
+    return {
+        fields: fieldNames.map(function (name) {
+            const field = { name: name, type: COMMON_FIELD_TYPES[name] }
+            // A single allowed type is implied, so only list real choices
+            if (enums && enums[name] && (name !== 'type' || enums[name].length > 1)) {
+                field.enum = enums[name]
+            }
+            return field
+        }),
+        required: required
+    }
+}
+
+function describeUpdateBody(updateFields, hasEnds) {
+    const fields = (updateFields || ['name', 'documentation']).map(resolveFieldDef).map(function (d) {
+        return { name: d.name, type: d.type }
+    })
+    if (hasEnds) {
+        ['end1', 'end2'].forEach(function (name) {
+            if (!fields.some(function (f) { return f.name === name })) {
+                fields.push({ name: name, type: 'object' })
+            }
+        })
+    }
+    return { fields: fields, required: [] }
+}
+
 // ============================================================
 // Diagram handlers
 // ============================================================
@@ -335,21 +418,17 @@ function makeListDiagrams(config) {
     }
 }
 
-function makeCreateDiagram(config) {
+function getDiagramCreateFields(config) {
     const allowedFields = ['name', 'parentId']
     // If multiple diagram types, allow 'type' field
     if (config.diagrams.types.length > 1) {
         allowedFields.push('type')
     }
-    return function (params, query, body, reqInfo) {
-        const err = h.validate([
-            h.checkUnknownFields(body, allowedFields),
-            h.checkFieldType(body, 'name', 'string'),
-            h.checkFieldType(body, 'parentId', 'string'),
-            h.checkFieldType(body, 'type', 'string')
-        ])
-        if (err) return h.validationError(err, reqInfo, body)
+    return allowedFields
+}
 
+function makeCreateDiagram(config) {
+    return function (params, query, body, reqInfo) {
         if (body.name !== undefined) {
             const nameErr = h.checkNonEmptyString(body, 'name')
             if (nameErr) return h.validationError(nameErr, reqInfo, body)
@@ -427,12 +506,6 @@ function makeGetDiagram(config) {
 
 function makeUpdateDiagram(config) {
     return function (params, query, body, reqInfo) {
-        const err = h.validate([
-            h.checkUnknownFields(body, ['name']),
-            h.checkFieldType(body, 'name', 'string')
-        ])
-        if (err) return h.validationError(err, reqInfo, body)
-
         if (Object.keys(body).length === 0) {
             return h.validationError('At least one field must be provided. Allowed fields: name', reqInfo, body)
         }
@@ -561,7 +634,7 @@ function makeListResource(config, res) {
     }
 }
 
-function makeCreateResource(config, res) {
+function getResourceCreateFields(res) {
     const allowedFields = ['diagramId', 'name', 'x1', 'y1', 'x2', 'y2', 'tailViewId', 'lineColor', 'fillColor', 'fontColor']
     // If multiple types, allow 'type' field
     if (res.types.length > 1) {
@@ -574,24 +647,13 @@ function makeCreateResource(config, res) {
             if (allowedFields.indexOf(entry.param) === -1) allowedFields.push(entry.param)
         })
     }
+    return allowedFields
+}
 
+function makeCreateResource(config, res) {
     return function (params, query, body, reqInfo) {
-        const checks = [
-            h.checkUnknownFields(body, allowedFields),
-            h.checkFieldType(body, 'diagramId', 'string'),
-            h.checkFieldType(body, 'name', 'string'),
-            h.checkFieldType(body, 'x1', 'number'),
-            h.checkFieldType(body, 'y1', 'number'),
-            h.checkFieldType(body, 'x2', 'number'),
-            h.checkFieldType(body, 'y2', 'number'),
-            h.checkFieldType(body, 'type', 'string'),
-            h.checkFieldType(body, 'tailViewId', 'string')
-        ]
-        const err = h.validate(checks)
-        if (err) return h.validationError(err, reqInfo, body)
-
         if (!body.diagramId) {
-            return h.validationError('Field "diagramId" is required', reqInfo, body)
+            return h.validationError(requestSchema.missingField('diagramId'), reqInfo, body)
         }
 
         const diagram = h.findById(body.diagramId)
@@ -782,13 +844,6 @@ function makeUpdateResource(config, res) {
     const fieldNames = fieldDefs.map(function (d) { return d.name })
     const checkTypes = res.modelTypes || res.types
     return function (params, query, body, reqInfo) {
-        const checks = [h.checkUnknownFields(body, fieldNames)]
-        fieldDefs.forEach(function (d) {
-            checks.push(h.checkFieldType(body, d.name, d.type))
-        })
-        const err = h.validate(checks)
-        if (err) return h.validationError(err, reqInfo, body)
-
         if (Object.keys(body).length === 0) {
             return h.validationError('At least one field must be provided. Allowed fields: ' + fieldNames.join(', '), reqInfo, body)
         }
@@ -890,7 +945,7 @@ function makeListChildren(config, res, child) {
     }
 }
 
-function makeCreateChild(config, res, child) {
+function getChildCreateFields(child) {
     const allowedFields = ['name', 'diagramId']
     if (child.createFields) {
         child.createFields.forEach(function (f) {
@@ -898,15 +953,11 @@ function makeCreateChild(config, res, child) {
             if (allowedFields.indexOf(entry.param) === -1) allowedFields.push(entry.param)
         })
     }
+    return allowedFields
+}
 
+function makeCreateChild(config, res, child) {
     return function (params, query, body, reqInfo) {
-        const err = h.validate([
-            h.checkUnknownFields(body, allowedFields),
-            h.checkFieldType(body, 'name', 'string'),
-            h.checkFieldType(body, 'diagramId', 'string')
-        ])
-        if (err) return h.validationError(err, reqInfo, body)
-
         const parent = h.findById(params.id)
         if (!parent) {
             return { success: false, error: res.name.replace(/-/g, ' ') + ' not found: ' + params.id, request: Object.assign({}, reqInfo, { body: body }) }
@@ -1055,7 +1106,7 @@ function makeListRelation(config, rel) {
     }
 }
 
-function makeCreateRelation(config, rel) {
+function getRelationCreateFields(rel) {
     const allowedFields = ['diagramId', 'sourceId', 'targetId', 'name', 'x1', 'y1', 'x2', 'y2', 'lineColor', 'fillColor', 'fontColor']
     // Add end1/end2 fields if applicable
     if (rel.hasEnds) {
@@ -1068,25 +1119,19 @@ function makeCreateRelation(config, rel) {
             if (allowedFields.indexOf(entry.param) === -1) allowedFields.push(entry.param)
         })
     }
+    return allowedFields
+}
 
+function makeCreateRelation(config, rel) {
     return function (params, query, body, reqInfo) {
-        const err = h.validate([
-            h.checkUnknownFields(body, allowedFields),
-            h.checkFieldType(body, 'diagramId', 'string'),
-            h.checkFieldType(body, 'sourceId', 'string'),
-            h.checkFieldType(body, 'targetId', 'string'),
-            h.checkFieldType(body, 'name', 'string')
-        ])
-        if (err) return h.validationError(err, reqInfo, body)
-
         if (!body.diagramId) {
-            return h.validationError('Field "diagramId" is required', reqInfo, body)
+            return h.validationError(requestSchema.missingField('diagramId'), reqInfo, body)
         }
         if (!body.sourceId) {
-            return h.validationError('Field "sourceId" is required', reqInfo, body)
+            return h.validationError(requestSchema.missingField('sourceId'), reqInfo, body)
         }
         if (!body.targetId && !rel.targetOptional) {
-            return h.validationError('Field "targetId" is required', reqInfo, body)
+            return h.validationError(requestSchema.missingField('targetId'), reqInfo, body)
         }
 
         const diagram = h.findById(body.diagramId)
@@ -1228,13 +1273,6 @@ function makeUpdateRelation(config, rel) {
     }
 
     return function (params, query, body, reqInfo) {
-        const checks = [h.checkUnknownFields(body, allFieldNames)]
-        fieldDefs.forEach(function (d) {
-            checks.push(h.checkFieldType(body, d.name, d.type))
-        })
-        const err = h.validate(checks)
-        if (err) return h.validationError(err, reqInfo, body)
-
         if (Object.keys(body).length === 0) {
             return h.validationError('At least one field must be provided. Allowed fields: ' + allFieldNames.join(', '), reqInfo, body)
         }
@@ -1306,72 +1344,17 @@ function makeDeleteRelation(config, rel) {
 }
 
 // ============================================================
-// Router builder
+// Route registration
 // ============================================================
 
 /**
- * Build a routing function from a family config.
- * Returns a function(method, path, body, reqInfo) that either returns
- * a response object or null (if the route doesn't match).
- */
-function createRouter(config) {
-    const routes = createFamilyHandlers(config)
-    const compiledRoutes = routes.map(function (r) {
-        return {
-            method: r.method,
-            regex: patternToRegex(r.pattern),
-            paramNames: extractParamNames(r.pattern),
-            handler: r.handler,
-            pattern: r.pattern
-        }
-    })
-
-    return function routeFamily(method, path, query, body, reqInfo) {
-        for (let i = 0; i < compiledRoutes.length; i++) {
-            const route = compiledRoutes[i]
-            if (route.method !== method) continue
-            const match = path.match(route.regex)
-            if (match) {
-                const params = {}
-                for (let j = 0; j < route.paramNames.length; j++) {
-                    try {
-                        params[route.paramNames[j]] = decodeURIComponent(match[j + 1])
-                    } catch (e) {
-                        params[route.paramNames[j]] = match[j + 1]
-                    }
-                }
-                return route.handler(params, query, body, reqInfo)
-            }
-        }
-        return null
-    }
-}
-
-function patternToRegex(pattern) {
-    // Escape special regex chars, then replace :param with capture groups
-    const escaped = pattern.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
-    const withParams = escaped.replace(/:(\w+)/g, '([^/]+)')
-    return new RegExp('^' + withParams + '$')
-}
-
-function extractParamNames(pattern) {
-    const names = []
-    const re = /:(\w+)/g
-    let m
-    while ((m = re.exec(pattern)) !== null) {
-        names.push(m[1])
-    }
-    return names
-}
-
-/**
- * Generate endpoint list strings for GET /api/status
+ * Add a family's routes to a route registry (see route-registry.js).
+ * Each route carries its handler and its documentation (OpenAPI
+ * description and body schema), tagged with the family label.
  */
-function getEndpointList(config) {
-    const routes = createFamilyHandlers(config)
-    return routes.map(function (r) {
-        const methodPad = r.method + ' '.repeat(Math.max(0, 6 - r.method.length))
-        return methodPad + ' ' + r.pattern
+function registerRoutes(registry, config) {
+    createFamilyHandlers(config).forEach(function (r) {
+        registry.add(Object.assign({ method: r.method, path: r.pattern, tag: config.label || config.prefix, handler: r.handler }, r.doc))
     })
 }
 
@@ -1381,8 +1364,7 @@ function getEndpointList(config) {
 
 module.exports = {
     createFamilyHandlers: createFamilyHandlers,
-    createRouter: createRouter,
-    getEndpointList: getEndpointList,
+    registerRoutes: registerRoutes,
     // Expose for custom serializers in family configs
     defaultSerializeNode: defaultSerializeNode,
     defaultSerializeRelation: defaultSerializeRelation,
@@ -18,7 +18,7 @@ module.exports = {
         {
             name: 'pseudostates',
             types: ['UMLPseudostate'],
-            createFields: [{ param: 'pseudostateKind', prop: 'kind' }],
+            createFields: [{ param: 'pseudostateKind', prop: 'kind', enum: VALID_PSEUDOSTATE_KINDS }],
             serialize: function (elem) {
                 if (!elem) return null
                 return {
@@ -3,43 +3,12 @@
  * Used by both the main api-handler and the CRUD factory.
  */
 
+const requestSchema = require('../request-schema')
+
 // ============================================================
 // Validation Helpers
 // ============================================================
 
-function checkUnknownFields(body, allowedFields) {
-    const unknown = Object.keys(body).filter(function (k) {
-        return allowedFields.indexOf(k) === -1
-    })
-    if (unknown.length > 0) {
-        return 'Unknown field(s): ' + unknown.join(', ') + '. Allowed fields: ' + allowedFields.join(', ')
-    }
-    return null
-}
-
-function checkFieldType(body, field, expectedType) {
-    if (body[field] === undefined) {
-        return null
-    }
-    const val = body[field]
-    if (expectedType === 'string' && typeof val !== 'string') {
-        return 'Field "' + field + '" must be a string, got ' + typeof val
-    }
-    if (expectedType === 'boolean' && typeof val !== 'boolean') {
-        return 'Field "' + field + '" must be a boolean, got ' + typeof val
-    }
-    if (expectedType === 'number' && typeof val !== 'number') {
-        return 'Field "' + field + '" must be a number, got ' + typeof val
-    }
-    if (expectedType === 'object' && (typeof val !== 'object' || val === null || Array.isArray(val))) {
-        return 'Field "' + field + '" must be an object'
-    }
-    if (expectedType === 'string|null' && val !== null && typeof val !== 'string') {
-        return 'Field "' + field + '" must be a string or null, got ' + typeof val
-    }
-    return null
-}
-
 function checkNonEmptyString(body, field) {
     if (body[field] === undefined) {
         return null
@@ -50,17 +19,13 @@ function checkNonEmptyString(body, field) {
     return null
 }
 
-function validate(checks) {
-    for (let i = 0; i < checks.length; i++) {
-        if (checks[i]) {
-            return checks[i]
-        }
-    }
-    return null
-}
-
+/**
+ * Error response for a check that runs after the body schema passed.
+ * `error` is a { field, code, message } or a message (code "invalid").
+ */
 function validationError(error, requestInfo, body) {
-    const result = { success: false, error: error, request: requestInfo }
+    const fieldError = typeof error === 'string' ? requestSchema.fieldError(null, 'invalid', error) : error
+    const result = { success: false, error: fieldError.message, errors: [fieldError], request: requestInfo }
     if (body && Object.keys(body).length > 0) {
         result.request = Object.assign({}, requestInfo, { body: body })
     }
@@ -141,6 +106,14 @@ function serializeViewInfo(view) {
 // Lookup Helpers
 // ============================================================
 
+function typeOf(elem) {
+    return elem && elem.constructor ? elem.constructor.name : ''
+}
+
+function isA(elem, types) {
+    return types.indexOf(typeOf(elem)) !== -1
+}
+
 function findById(id) {
     return app.repository.get(id) || null
 }
@@ -473,16 +446,84 @@ function clearEdgeWaypoints(edgeView) {
     }
 }
 
+/**
+ * Replace the waypoints of an edge view with the given points, e.g. from
+ * an imported layout. Same memento/diff/operationBuilder pattern as
+ * clearEdgeWaypoints.
+ *
+ * @param {Object} edgeView - The edge view to route
+ * @param {Array} points - [{ x, y }], at least two
+ */
+function setEdgeWaypoints(edgeView, points) {
+    if (!edgeView || !points || points.length < 2) return
+    if (!edgeView.points || typeof edgeView.points.clear !== 'function') return
+
+    const memento = {}
+    edgeView.assignTo(memento)
+
+    edgeView.points.clear()
+    for (let i = 0; i < points.length; i++) {
+        edgeView.points.add(type.Point ? new type.Point(points[i].x, points[i].y) : { x: points[i].x, y: points[i].y })
+    }
+
+    const diffs = edgeView.diff(memento)
+    edgeView.assignFrom(memento)
+
+    if (diffs && diffs.length > 0) {
+        const operationBuilder = app.repository.getOperationBuilder()
+        operationBuilder.begin('set edge waypoints')
+        for (let i = 0; i < diffs.length; i++) {
+            const d = diffs[i]
+            operationBuilder.fieldAssign(d.elem, d.f, d.n)
+        }
+        operationBuilder.end()
+        app.repository.doOperation(operationBuilder.getOperation())
+    }
+}
+
+// ============================================================
+// Tags
+// ============================================================
+
+/**
+ * Add a string tag (kind 0) to a model element.
+ */
+function createTag(parent, name, value) {
+    return app.factory.createModel({
+        id: 'Tag',
+        parent: parent,
+        field: 'tags',
+        modelInitializer: function (t) {
+            t.name = name
+            t.kind = 0
+            t.value = value
+        }
+    })
+}
+
+/**
+ * Add a boolean tag (kind 1), checked, to a model element.
+ */
+function createFlag(parent, name) {
+    return app.factory.createModel({
+        id: 'Tag',
+        parent: parent,
+        field: 'tags',
+        modelInitializer: function (t) {
+            t.name = name
+            t.kind = 1
+            t.checked = true
+        }
+    })
+}
+
 // ============================================================
 // Exports
 // ============================================================
 
 module.exports = {
     // Validation
-    checkUnknownFields: checkUnknownFields,
-    checkFieldType: checkFieldType,
     checkNonEmptyString: checkNonEmptyString,
-    validate: validate,
     validationError: validationError,
     // Serialization
     serializeElement: serializeElement,
@@ -490,6 +531,8 @@ module.exports = {
     serializeGenericDiagramDetail: serializeGenericDiagramDetail,
     serializeViewInfo: serializeViewInfo,
     // Lookup
+    typeOf: typeOf,
+    isA: isA,
     findById: findById,
     findViewOnDiagram: findViewOnDiagram,
     findViewOnDiagramByAnyId: findViewOnDiagramByAnyId,
@@ -498,5 +541,9 @@ module.exports = {
     autoExpandFrame: autoExpandFrame,
     fitFrameToViews: fitFrameToViews,
     // Edge routing
-    clearEdgeWaypoints: clearEdgeWaypoints
+    clearEdgeWaypoints: clearEdgeWaypoints,
+    setEdgeWaypoints: setEdgeWaypoints,
+    // Tags
+    createTag: createTag,
+    createFlag: createFlag
 }
@@ -0,0 +1,184 @@
+/**
+ * Pagination, Sorting, Projection and Filtering for List Endpoints
+ *
+ * Applied by the router to every GET route marked `list: true`, after the
+ * handler has produced its array of serialized elements. The parameters
+ * below are removed from the query before the handler runs, so handlers
+ * keep validating only their own parameters (diagramId, dataModelId, ...).
+ *
+ *   limit=50            page size (positive integer)
+ *   offset=100          number of items to skip (default 0)
+ *   sort=name,-_type    sort keys, "-" prefix for descending
+ *   fields=_id,name     keep only these properties of each item
+ *   name~=order         case-insensitive substring match on name
+ *   parentId=ID         exact match on _parentId
+ *
+ * List responses carry `total` (the number of items after filtering). When
+ * `limit` or `offset` is given they also carry `offset`, `limit` and
+ * `nextOffset` (null on the last page).
+ */
+
+const LIST_PARAMS = ['limit', 'offset', 'sort', 'fields', 'name~', 'parentId']
+
+// Query parameter descriptors for the OpenAPI spec (shared components)
+const LIST_QUERY_DOCS = [
+    { name: 'limit', component: 'ListLimit', type: 'integer', description: 'Maximum number of items to return' },
+    { name: 'offset', component: 'ListOffset', type: 'integer', description: 'Number of items to skip (default 0)' },
+    { name: 'sort', component: 'ListSort', description: 'Comma-separated property names to sort by; prefix with "-" for descending (e.g. name,-_type)' },
+    { name: 'fields', component: 'ListFields', description: 'Comma-separated property names to include in each item (e.g. _id,name)' },
+    { name: 'name~', component: 'ListNameContains', description: 'Only items whose name contains this text (case-insensitive)' },
+    { name: 'parentId', component: 'ListParentId', description: 'Only items whose _parentId equals this ID' }
+]
+
+// ============================================================
+// Parsing
+// ============================================================
+
+function splitList(value) {
+    return value.split(',').map(function (s) { return s.trim() }).filter(function (s) { return s !== '' })
+}
+
+function parseCount(query, name, min, errors) {
+    if (query[name] === undefined) {
+        return undefined
+    }
+    const value = query[name]
+    if (!/^\d+$/.test(value)) {
+        errors.push({ field: name, code: 'invalid_type', message: 'Query parameter "' + name + '" must be an integer, got "' + value + '"' })
+        return undefined
+    }
+    const n = parseInt(value, 10)
+    if (n < min) {
+        errors.push({ field: name, code: 'not_allowed', message: 'Query parameter "' + name + '" must be at least ' + min })
+        return undefined
+    }
+    return n
+}
+
+/**
+ * Split list parameters off a query.
+ * Returns { options, query } with the remaining handler parameters,
+ * or { errors } when a list parameter is malformed.
+ */
+function parseListQuery(query) {
+    const errors = []
+    const options = {
+        limit: parseCount(query, 'limit', 1, errors),
+        offset: parseCount(query, 'offset', 0, errors),
+        sort: query.sort !== undefined ? splitList(query.sort) : [],
+        fields: query.fields !== undefined ? splitList(query.fields) : null,
+        nameContains: query['name~'] !== undefined ? query['name~'].toLowerCase() : null,
+        parentId: query.parentId !== undefined ? query.parentId : null
+    }
+    if (options.fields && options.fields.length === 0) {
+        errors.push({ field: 'fields', code: 'not_allowed', message: 'Query parameter "fields" must name at least one property' })
+    }
+    if (errors.length > 0) {
+        return { errors: errors }
+    }
+
+    const rest = {}
+    Object.keys(query).forEach(function (k) {
+        if (LIST_PARAMS.indexOf(k) === -1) {
+            rest[k] = query[k]
+        }
+    })
+    return { options: options, query: rest }
+}
+
+// ============================================================
+// Applying
+// ============================================================
+
+function isMissing(value) {
+    return value === undefined || value === null
+}
+
+function compareValues(a, b) {
+    if (typeof a === 'number' && typeof b === 'number') {
+        return a - b
+    }
+    return String(a).localeCompare(String(b))
+}
+
+function sortItems(items, sortKeys) {
+    const keys = sortKeys.map(function (k) {
+        return k[0] === '-' ? { name: k.substring(1), dir: -1 } : { name: k, dir: 1 }
+    })
+    // Array.prototype.sort is stable, so equal items keep the handler's order
+    return items.slice().sort(function (a, b) {
+        for (let i = 0; i < keys.length; i++) {
+            const av = a[keys[i].name]
+            const bv = b[keys[i].name]
+            // Missing values sort last in either direction
+            if (isMissing(av) || isMissing(bv)) {
+                if (isMissing(av) && isMissing(bv)) {
+                    continue
+                }
+                return isMissing(av) ? 1 : -1
+            }
+            const c = compareValues(av, bv) * keys[i].dir
+            if (c !== 0) {
+                return c
+            }
+        }
+        return 0
+    })
+}
+
+function project(item, fields) {
+    const result = {}
+    fields.forEach(function (f) {
+        if (item[f] !== undefined) {
+            result[f] = item[f]
+        }
+    })
+    return result
+}
+
+/**
+ * Filter, sort, page and project the data of a successful list response.
+ * Responses whose data is not an array are returned unchanged.
+ */
+function applyListQuery(result, options) {
+    if (!result || !result.success || !Array.isArray(result.data)) {
+        return result
+    }
+    let items = result.data
+    if (options.nameContains !== null) {
+        items = items.filter(function (item) {
+            return item && typeof item.name === 'string' && item.name.toLowerCase().indexOf(options.nameContains) !== -1
+        })
+    }
+    if (options.parentId !== null) {
+        items = items.filter(function (item) {
+            return item && item._parentId === options.parentId
+        })
+    }
+    if (options.sort.length > 0) {
+        items = sortItems(items, options.sort)
+    }
+
+    const total = items.length
+    const paged = options.limit !== undefined || options.offset !== undefined
+    const offset = options.offset || 0
+    if (paged) {
+        items = options.limit !== undefined ? items.slice(offset, offset + options.limit) : items.slice(offset)
+    }
+    if (options.fields) {
+        items = items.map(function (item) { return project(item, options.fields) })
+    }
+
+    const listed = Object.assign({}, result, { data: items, total: total })
+    if (paged) {
+        const end = offset + items.length
+        listed.offset = offset
+        listed.limit = options.limit !== undefined ? options.limit : null
+        listed.nextOffset = end < total ? end : null
+    }
+    return listed
+}
+
+exports.LIST_QUERY_DOCS = LIST_QUERY_DOCS
+exports.parseListQuery = parseListQuery
+exports.applyListQuery = applyListQuery
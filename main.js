@@ -7,6 +7,11 @@
 
 const http = require('http')
 const apiHandler = require('./api-handler')
+const auth = require('./auth')
+const serverConfig = require('./server-config')
+const eventStream = require('./event-stream')
+const requestSchema = require('./request-schema')
+const mcpServer = require('./mcp-server')
 
 const DEFAULT_PORT = 12345
 let server = null
@@ -21,9 +26,19 @@ function sendResponse(res, result) {
     statusCode = 200
   } else if (result.error && /^([\w ]+)?not found: /i.test(result.error)) {
     statusCode = 404
+  } else if (result.error && /^Conflict: /.test(result.error)) {
+    statusCode = 409
+  } else if (result.error && /^Method not allowed: /.test(result.error)) {
+    statusCode = 405
+    res.setHeader('Allow', result.data.allowedMethods.join(', '))
+  } else if (result.errors) {
+    statusCode = requestSchema.statusForErrors(result.errors)
   } else if (result.error) {
     statusCode = 400
   }
+  if (result.etag) {
+    res.setHeader('ETag', result.etag)
+  }
   res.writeHead(statusCode)
   res.end(JSON.stringify(result, null, 2))
 }
@@ -38,12 +53,27 @@ function startServer(port) {
   }
 
   server = http.createServer(function (req, res) {
-    // CORS headers
-    res.setHeader('Access-Control-Allow-Origin', '*')
+    // CORS headers (only for origins on the allow-list)
+    const origin = req.headers['origin']
+    const allowOrigin = serverConfig.resolveCorsOrigin(origin)
+    if (allowOrigin) {
+      res.setHeader('Access-Control-Allow-Origin', allowOrigin)
+      res.setHeader('Vary', 'Origin')
+    }
     res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS')
-    res.setHeader('Access-Control-Allow-Headers', 'Content-Type')
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization, If-Match, Mcp-Protocol-Version, Mcp-Session-Id')
+    res.setHeader('Access-Control-Expose-Headers', 'ETag')
     res.setHeader('Content-Type', 'application/json; charset=utf-8')
 
+    // Reject browser requests from origins not on the allow-list.
+    // Non-browser clients (curl, MCP bridge) send no Origin header.
+    if (origin && !allowOrigin) {
+      res.writeHead(403)
+      res.end(JSON.stringify({ success: false, error: 'Origin not allowed: ' + origin, request: { method: req.method, path: req.url.split('?')[0] } }))
+      req.resume()
+      return
+    }
+
     // Handle preflight
     if (req.method === 'OPTIONS') {
       res.writeHead(200)
@@ -51,6 +81,51 @@ function startServer(port) {
       return
     }
 
+    // API key authentication (enforced once at least one key is configured)
+    const authError = auth.checkRequest(req)
+    if (authError) {
+      if (authError.statusCode === 401) {
+        res.setHeader('WWW-Authenticate', 'Bearer realm="StarUML Controller"')
+      }
+      res.writeHead(authError.statusCode)
+      res.end(JSON.stringify({ success: false, error: authError.error, request: { method: req.method, path: req.url.split('?')[0] } }))
+      req.resume()
+      return
+    }
+
+    // GET /api/events is a long-lived Server-Sent Events stream, handled outside the JSON router
+    const urlPath = req.url.split('?')[0]
+    if (req.method === 'GET' && (urlPath === '/api/events' || urlPath === '/api/events/')) {
+      const query = {}
+      new URL(req.url, 'http://localhost').searchParams.forEach(function (value, key) {
+        query[key] = value
+      })
+      const streamError = eventStream.openStream(req, res, query)
+      if (streamError) {
+        res.writeHead(400)
+        res.end(JSON.stringify(streamError, null, 2))
+      }
+      return
+    }
+
+    // GET /api/openapi.json returns the raw OpenAPI document (not wrapped in the response envelope)
+    if (req.method === 'GET' && urlPath === '/api/openapi.json') {
+      res.writeHead(200)
+      res.end(JSON.stringify(apiHandler.getOpenApiSpec()))
+      req.resume()
+      return
+    }
+
+    // /mcp is the MCP streamable HTTP endpoint; only POST is supported (no server-initiated stream)
+    const isMcp = urlPath === '/mcp'
+    if (isMcp && req.method !== 'POST') {
+      res.setHeader('Allow', 'POST')
+      res.writeHead(405)
+      res.end(JSON.stringify({ jsonrpc: '2.0', id: null, error: { code: -32000, message: 'Method not allowed: use POST /mcp' } }))
+      req.resume()
+      return
+    }
+
     // Collect request body (limit to 10MB)
     const MAX_BODY_SIZE = 10 * 1024 * 1024
     const bodyChunks = []
@@ -72,6 +147,23 @@ function startServer(port) {
         return
       }
 
+      if (isMcp) {
+        const sendMcpError = function (e) {
+          console.error('[StarUML Controller] MCP error:', e)
+          res.writeHead(500)
+          res.end(JSON.stringify({ jsonrpc: '2.0', id: null, error: { code: -32603, message: e.message || 'Internal error' } }))
+        }
+        try {
+          mcpServer.handlePost(Buffer.concat(bodyChunks).toString(), auth.getRequestKey(req)).then(function (reply) {
+            res.writeHead(reply.statusCode)
+            res.end(reply.body ? JSON.stringify(reply.body) : undefined)
+          }).catch(sendMcpError)
+        } catch (e) {
+          sendMcpError(e)
+        }
+        return
+      }
+
       let body = {}
       if (bodyChunks.length > 0) {
         try {
@@ -82,8 +174,9 @@ function startServer(port) {
           return
         }
         // Unescape common escape sequences in multi-line text fields.
-        // MCP tool parameters pass \n as literal backslash+n (not a newline character),
-        // so we convert them here at the API entry point.
+        // The external MCP bridge passes \n as literal backslash+n (not a newline character),
+        // so we convert them here at the API entry point. The native /mcp endpoint above
+        // receives real JSON strings and skips this.
         if (typeof body.text === 'string') {
           body.text = body.text.replace(/\\n/g, '\n').replace(/\\t/g, '\t')
         }
@@ -93,7 +186,7 @@ function startServer(port) {
       }
 
       try {
-        const result = apiHandler.route(req.method, req.url, body)
+        const result = apiHandler.route(req.method, req.url, body, req.headers)
 
         if (result && typeof result.then === 'function') {
           result.then(function (asyncResult) {
@@ -125,10 +218,14 @@ function startServer(port) {
     currentPort = null
   })
 
-  server.listen(port, function () {
+  const host = serverConfig.getBindHost()
+  server.listen(port, host, function () {
     currentPort = port
-    console.log('[StarUML Controller] Server started on port ' + port)
-    app.toast.info('StarUML Controller server started on port ' + port)
+    console.log('[StarUML Controller] Server started on ' + host + ':' + port)
+    app.toast.info('StarUML Controller server started on ' + host + ':' + port)
+    if (!serverConfig.isLoopbackHost(host)) {
+      app.toast.warning('LAN access is enabled: other machines on the network can reach this server')
+    }
   })
 }
 
@@ -141,6 +238,8 @@ function stopServer() {
     return
   }
 
+  // Open event streams would otherwise keep the server from closing
+  eventStream.closeAll()
   server.close(function () {
     console.log('[StarUML Controller] Server stopped')
     app.toast.info('StarUML Controller server stopped')
@@ -180,12 +279,123 @@ function handleStopServer() {
   stopServer()
 }
 
+/**
+ * Handle add API key command - ask for a label and scopes, then show the new key once
+ */
+function handleAddApiKey() {
+  app.dialogs.showInputDialog('Enter a label for the new API key:', 'API key ' + (auth.loadKeys().length + 1)).then(function (labelResult) {
+    if (labelResult.buttonId !== 'ok') {
+      return
+    }
+    const label = (labelResult.returnValue || '').trim()
+    const options = auth.SCOPE_PRESETS.map(function (p) {
+      return { text: p.text, value: p.value }
+    })
+    app.dialogs.showSelectDropdownDialog('Select the scopes for "' + label + '":', options).then(function (scopeResult) {
+      if (scopeResult.buttonId !== 'ok') {
+        return
+      }
+      const preset = auth.SCOPE_PRESETS.filter(function (p) {
+        return p.value === scopeResult.returnValue
+      })[0]
+      if (!preset) {
+        return
+      }
+      const created = auth.createKey(label, preset.scopes)
+      app.toast.info('API key "' + created.key.label + '" created (' + created.key.scopes.join(', ') + ')')
+      // The plain key is not stored; show it in an input field so it can be copied
+      app.dialogs.showInputDialog('Copy this API key now. It will not be shown again:', created.token)
+    })
+  })
+}
+
+/**
+ * Handle revoke API key command - pick a stored key and delete it
+ */
+function handleRevokeApiKey() {
+  const keys = auth.loadKeys()
+  if (keys.length === 0) {
+    app.toast.warning('No API keys configured')
+    return
+  }
+  const options = keys.map(function (k) {
+    return { text: k.label + ' (' + k.prefix + '..., ' + (k.scopes || []).join(', ') + ')', value: k.id }
+  })
+  app.dialogs.showSelectDropdownDialog('Select the API key to revoke:', options).then(function (result) {
+    if (result.buttonId !== 'ok') {
+      return
+    }
+    if (auth.revokeKey(result.returnValue)) {
+      const remaining = auth.loadKeys().length
+      app.toast.info('API key revoked' + (remaining === 0 ? '. No keys remain: authentication is disabled' : ''))
+    }
+  })
+}
+
+/**
+ * Handle bind address command - choose loopback-only or a LAN-reachable address
+ */
+function handleConfigureBindHost() {
+  const current = serverConfig.getBindHost()
+  const options = serverConfig.getBindHostOptions()
+  if (!options.some(function (o) { return o.value === current })) {
+    options.push({ text: 'Current (' + current + ')', value: current })
+  }
+  app.dialogs.showSelectDropdownDialog('Select the address the server listens on (current: ' + current + '):', options).then(function (result) {
+    if (result.buttonId !== 'ok') {
+      return
+    }
+    const host = result.returnValue
+    const apply = function () {
+      serverConfig.setBindHost(host)
+      app.toast.info('Bind address set to ' + host + (server ? '. Restart the server to apply.' : ''))
+    }
+    if (serverConfig.isLoopbackHost(host)) {
+      apply()
+      return
+    }
+    app.dialogs.showConfirmationDialog(
+      'Listening on ' + host + ' lets other machines on the network control StarUML. ' +
+      'Configure an API key before enabling LAN access. Continue?'
+    ).then(function (buttonId) {
+      if (buttonId === 'ok') {
+        apply()
+      }
+    })
+  })
+}
+
+/**
+ * Handle CORS origins command - edit the comma-separated origin allow-list
+ */
+function handleConfigureCorsOrigins() {
+  app.dialogs.showInputDialog(
+    'Allowed CORS origins, comma-separated (e.g. http://localhost:3000). Leave empty to block all browser origins; "*" allows any origin:',
+    serverConfig.getCorsOrigins().join(', ')
+  ).then(function (result) {
+    if (result.buttonId !== 'ok') {
+      return
+    }
+    const parsed = serverConfig.parseCorsOrigins(result.returnValue)
+    if (parsed.error) {
+      app.dialogs.showErrorDialog(parsed.error)
+      return
+    }
+    serverConfig.setCorsOrigins(parsed.origins)
+    app.toast.info(parsed.origins.length > 0 ? 'Allowed CORS origins: ' + parsed.origins.join(', ') : 'All browser origins are blocked')
+  })
+}
+
 /**
  * Initialize the extension
  */
 function init() {
   app.commands.register('controller:start-server', handleStartServer)
   app.commands.register('controller:stop-server', handleStopServer)
+  app.commands.register('controller:add-api-key', handleAddApiKey)
+  app.commands.register('controller:revoke-api-key', handleRevokeApiKey)
+  app.commands.register('controller:configure-bind-host', handleConfigureBindHost)
+  app.commands.register('controller:configure-cors-origins', handleConfigureCorsOrigins)
 }
 
 exports.init = init
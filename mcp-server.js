@@ -0,0 +1,268 @@
+/**
+ * MCP (Model Context Protocol) Endpoint for StarUML Controller
+ *
+ * Serves the MCP streamable HTTP transport at POST /mcp, so AI tools can
+ * connect to the extension directly. Every route of the route registry
+ * becomes a tool (except routes marked `mcp: false`); tool names are the
+ * OpenAPI operationIds and input schemas are built from the same route
+ * descriptors, so new endpoints show up as tools automatically.
+ *
+ * The endpoint is stateless: it answers each POST with a JSON response
+ * (no SSE stream, no session ID). GET and DELETE /mcp return 405.
+ *
+ * Tool arguments are flat: path parameters, query parameters and body
+ * fields of the route side by side.
+ */
+
+const apiHandler = require('./api-handler')
+const auth = require('./auth')
+const openapi = require('./openapi')
+
+const SUPPORTED_PROTOCOL_VERSIONS = ['2025-06-18', '2025-03-26', '2024-11-05']
+const SERVER_NAME = 'staruml-controller'
+
+// JSON-RPC error codes
+const PARSE_ERROR = -32700
+const INVALID_REQUEST = -32600
+const METHOD_NOT_FOUND = -32601
+const INVALID_PARAMS = -32602
+const INTERNAL_ERROR = -32603
+
+let tools = null
+
+// ============================================================
+// Tools
+// ============================================================
+
+function pathParamNames(path) {
+    return path.split('/').filter(function (s) { return s[0] === ':' }).map(function (s) { return s.substring(1) })
+}
+
+/**
+ * Build a tool from a route. Returns { tool, route, args } where args maps
+ * each argument name to where it goes: 'path', 'query' or 'body'.
+ */
+function buildTool(route) {
+    const properties = {}
+    const required = []
+    const args = {}
+    pathParamNames(route.path).forEach(function (name) {
+        properties[name] = { type: 'string', description: 'Element ID' }
+        required.push(name)
+        args[name] = 'path'
+    })
+    const queryParams = route.query || []
+    queryParams.forEach(function (q) {
+        properties[q.name] = openapi.fieldSchema({ type: q.type || 'string', enum: q.enum, description: q.description })
+        if (q.required) {
+            required.push(q.name)
+        }
+        args[q.name] = 'query'
+    })
+    if (route.body) {
+        route.body.fields.forEach(function (f) {
+            properties[f.name] = openapi.fieldSchema(f)
+            args[f.name] = 'body'
+        })
+        const requiredFields = route.body.required || []
+        requiredFields.forEach(function (name) {
+            required.push(name)
+        })
+    }
+
+    const inputSchema = { type: 'object', properties: properties }
+    if (required.length > 0) {
+        inputSchema.required = required
+    }
+    return {
+        tool: {
+            name: openapi.operationId(route),
+            title: route.summary || undefined,
+            description: (route.summary ? route.summary + '. ' : '') + route.method + ' ' + route.path + (route.tag ? ' [' + route.tag + ']' : ''),
+            inputSchema: inputSchema
+        },
+        route: route,
+        args: args
+    }
+}
+
+function getTools() {
+    if (!tools) {
+        tools = {}
+        apiHandler.getRoutes().forEach(function (route) {
+            if (route.mcp === false) {
+                return
+            }
+            const entry = buildTool(route)
+            tools[entry.tool.name] = entry
+        })
+    }
+    return tools
+}
+
+/**
+ * Turn tool arguments into the URL and body of the route.
+ * Returns { url, body } or { error }.
+ */
+function buildRequest(entry, args) {
+    const unknown = Object.keys(args).filter(function (k) { return !entry.args[k] })
+    if (unknown.length > 0) {
+        return { error: 'Unknown argument(s): ' + unknown.join(', ') + '. Allowed: ' + Object.keys(entry.args).join(', ') }
+    }
+    let missing = null
+    const path = entry.route.path.replace(/:(\w+)/g, function (m, name) {
+        if (typeof args[name] !== 'string' || args[name] === '') {
+            missing = name
+            return m
+        }
+        return encodeURIComponent(args[name])
+    })
+    if (missing) {
+        return { error: 'Argument "' + missing + '" is required' }
+    }
+    const query = []
+    const body = {}
+    Object.keys(args).forEach(function (k) {
+        if (entry.args[k] === 'query') {
+            query.push(encodeURIComponent(k) + '=' + encodeURIComponent(String(args[k])))
+        } else if (entry.args[k] === 'body') {
+            body[k] = args[k]
+        }
+    })
+    return { url: path + (query.length > 0 ? '?' + query.join('&') : ''), body: body }
+}
+
+function toolResult(result, isError) {
+    return {
+        content: [{ type: 'text', text: JSON.stringify(result) }],
+        isError: isError
+    }
+}
+
+/**
+ * Run a tool call through the router. Resolves to an MCP tool result;
+ * API failures are reported as isError results, not JSON-RPC errors.
+ */
+function callTool(entry, args, key) {
+    const request = buildRequest(entry, args || {})
+    if (request.error) {
+        return Promise.resolve(toolResult({ success: false, error: request.error }, true))
+    }
+    if (key) {
+        const scopeError = auth.checkScope(key, entry.route.method, request.url.split('?')[0])
+        if (scopeError) {
+            return Promise.resolve(toolResult({ success: false, error: scopeError.error }, true))
+        }
+    }
+    // Route inside the chain so that a handler that throws rejects instead
+    return new Promise(function (resolve) {
+        resolve(apiHandler.route(entry.route.method, request.url, request.body))
+    }).then(function (result) {
+        return toolResult(result, !result.success)
+    })
+}
+
+// ============================================================
+// JSON-RPC
+// ============================================================
+
+function rpcResult(id, result) {
+    return { jsonrpc: '2.0', id: id, result: result }
+}
+
+function rpcError(id, code, message) {
+    return { jsonrpc: '2.0', id: id, error: { code: code, message: message } }
+}
+
+function initialize(params) {
+    const requested = params && params.protocolVersion
+    return {
+        protocolVersion: SUPPORTED_PROTOCOL_VERSIONS.indexOf(requested) !== -1 ? requested : SUPPORTED_PROTOCOL_VERSIONS[0],
+        capabilities: { tools: { listChanged: false } },
+        serverInfo: { name: SERVER_NAME, version: apiHandler.API_VERSION },
+        instructions: 'Tools mirror the StarUML Controller REST API. Every result is the API response envelope { success, message | error, request, data }.'
+    }
+}
+
+function listTools(key) {
+    const all = getTools()
+    return {
+        tools: Object.keys(all).filter(function (name) {
+            return !key || !auth.checkScope(key, all[name].route.method, all[name].route.path)
+        }).map(function (name) {
+            return all[name].tool
+        })
+    }
+}
+
+/**
+ * Handle one JSON-RPC message. Resolves to a response object, or null
+ * for notifications and responses (which get no reply).
+ */
+function handleMessage(message, key) {
+    if (!message || typeof message !== 'object' || message.jsonrpc !== '2.0' || typeof message.method !== 'string') {
+        // Responses from the client (to server requests we never send) are ignored
+        if (message && message.jsonrpc === '2.0' && message.id !== undefined && (message.result !== undefined || message.error !== undefined)) {
+            return Promise.resolve(null)
+        }
+        return Promise.resolve(rpcError(message && message.id !== undefined ? message.id : null, INVALID_REQUEST, 'Invalid JSON-RPC request'))
+    }
+    const isNotification = message.id === undefined
+    if (isNotification) {
+        return Promise.resolve(null)
+    }
+
+    const id = message.id
+    const params = message.params || {}
+    if (message.method === 'initialize') {
+        return Promise.resolve(rpcResult(id, initialize(params)))
+    }
+    if (message.method === 'ping') {
+        return Promise.resolve(rpcResult(id, {}))
+    }
+    if (message.method === 'tools/list') {
+        return Promise.resolve(rpcResult(id, listTools(key)))
+    }
+    if (message.method === 'tools/call') {
+        const entry = getTools()[params.name]
+        if (!entry) {
+            return Promise.resolve(rpcError(id, INVALID_PARAMS, 'Unknown tool: ' + params.name))
+        }
+        return callTool(entry, params.arguments, key).then(function (result) {
+            return rpcResult(id, result)
+        }, function (e) {
+            return rpcError(id, INTERNAL_ERROR, e.message || 'Internal error')
+        })
+    }
+    return Promise.resolve(rpcError(id, METHOD_NOT_FOUND, 'Method not found: ' + message.method))
+}
+
+/**
+ * Handle the body of a POST /mcp request.
+ *
+ * @param {string} text - Raw request body
+ * @param {Object|null} key - API key the request authenticated with (null when auth is disabled)
+ * @returns {Promise<Object>} { statusCode, body } where body is null for 202 Accepted
+ */
+function handlePost(text, key) {
+    let payload
+    try {
+        payload = JSON.parse(text)
+    } catch (e) {
+        return Promise.resolve({ statusCode: 400, body: rpcError(null, PARSE_ERROR, 'Parse error') })
+    }
+    const batch = Array.isArray(payload)
+    const messages = batch ? payload : [payload]
+    if (messages.length === 0) {
+        return Promise.resolve({ statusCode: 400, body: rpcError(null, INVALID_REQUEST, 'Empty batch') })
+    }
+    return Promise.all(messages.map(function (m) { return handleMessage(m, key) })).then(function (responses) {
+        const replies = responses.filter(function (r) { return r !== null })
+        if (replies.length === 0) {
+            return { statusCode: 202, body: null }
+        }
+        return { statusCode: 200, body: batch ? replies : replies[0] }
+    })
+}
+
+exports.handlePost = handlePost
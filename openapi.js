@@ -0,0 +1,351 @@
+/**
+ * OpenAPI 3 Specification Builder for StarUML Controller
+ *
+ * Turns route descriptors into an OpenAPI 3.0 document served at
+ * GET /api/openapi.json. Descriptors are the routes of the route registry
+ * (route-registry.js) that dispatches requests, so the spec always matches
+ * the running router.
+ *
+ * Route descriptor:
+ *   {
+ *     method: 'POST',
+ *     path: '/api/erd/entities/:id/columns',
+ *     tag: 'ERD',
+ *     summary: 'Create column',
+ *     query: [{ name, type, required, enum, description, component }],
+ *     body: { fields: [{ name, type, enum, items }], required: ['name'] },
+ *     list: true   // response data is an array
+ *   }
+ */
+
+const OPENAPI_VERSION = '3.0.3'
+
+// ============================================================
+// Schemas
+// ============================================================
+
+/**
+ * Build a JSON schema for a body field or query parameter.
+ * type: 'string' | 'number' | 'integer' | 'boolean' | 'object' | 'array' | 'string|null' | undefined (any)
+ */
+function fieldSchema(field) {
+    let schema
+    if (field.type === 'string|null') {
+        schema = { type: 'string', nullable: true }
+    } else if (field.type === 'array') {
+        schema = { type: 'array', items: field.body ? bodySchema(field.body) : field.items ? { type: field.items } : {} }
+    } else if (field.body) {
+        schema = bodySchema(field.body)
+    } else if (field.type) {
+        schema = { type: field.type }
+    } else {
+        schema = {}
+    }
+    if (field.enum) {
+        schema.enum = field.enum.slice()
+    }
+    if (field.minItems !== undefined) {
+        schema.minItems = field.minItems
+    }
+    if (field.maxItems !== undefined) {
+        schema.maxItems = field.maxItems
+    }
+    const notes = []
+    if (field.description) {
+        notes.push(field.description)
+    }
+    if (field.caseInsensitive) {
+        notes.push('Case-insensitive.')
+    }
+    if (notes.length > 0) {
+        schema.description = notes.join(' ')
+    }
+    return schema
+}
+
+function bodySchema(body) {
+    const schema = {
+        type: 'object',
+        properties: {},
+        additionalProperties: false
+    }
+    body.fields.forEach(function (f) {
+        schema.properties[f.name] = fieldSchema(f)
+    })
+    if (body.required && body.required.length > 0) {
+        schema.required = body.required.slice()
+    }
+    return schema
+}
+
+function componentSchemas() {
+    return {
+        Element: {
+            type: 'object',
+            description: 'Serialized model element, diagram, or view. Additional properties depend on the element type.',
+            properties: {
+                _id: { type: 'string' },
+                _type: { type: 'string' },
+                name: { type: 'string' },
+                _parentId: { type: 'string', nullable: true },
+                documentation: { type: 'string' }
+            },
+            additionalProperties: true
+        },
+        RequestInfo: {
+            type: 'object',
+            properties: {
+                method: { type: 'string' },
+                path: { type: 'string' },
+                query: { type: 'object', additionalProperties: { type: 'string' } },
+                body: { type: 'object' }
+            }
+        },
+        SuccessResponse: {
+            type: 'object',
+            required: ['success', 'message', 'request'],
+            properties: {
+                success: { type: 'boolean', enum: [true] },
+                message: { type: 'string' },
+                request: { $ref: '#/components/schemas/RequestInfo' },
+                etag: { type: 'string', description: 'ETag of the element (GET and PUT of a single element); also sent as the ETag header' },
+                data: {}
+            }
+        },
+        ErrorResponse: {
+            type: 'object',
+            required: ['success', 'error'],
+            properties: {
+                success: { type: 'boolean', enum: [false] },
+                error: { type: 'string' },
+                errors: {
+                    type: 'array',
+                    description: 'Field-level problems (validation errors only)',
+                    items: { $ref: '#/components/schemas/FieldError' }
+                },
+                request: { $ref: '#/components/schemas/RequestInfo' },
+                etag: { type: 'string', description: 'Current ETag (409 Conflict only)' },
+                data: { description: 'Current representation of the element (409 Conflict only)' }
+            }
+        },
+        FieldError: {
+            type: 'object',
+            required: ['field', 'code', 'message'],
+            properties: {
+                field: { type: 'string', nullable: true },
+                code: { type: 'string', enum: ['unknown_field', 'invalid_type', 'required', 'not_allowed', 'too_few', 'too_many', 'invalid'] },
+                message: { type: 'string' },
+                allowed: { type: 'array', items: {} }
+            }
+        }
+    }
+}
+
+function successResponseSchema(data) {
+    return {
+        allOf: [
+            { $ref: '#/components/schemas/SuccessResponse' },
+            { type: 'object', properties: { data: data } }
+        ]
+    }
+}
+
+function errorResponse(description) {
+    return {
+        description: description,
+        content: { 'application/json': { schema: { $ref: '#/components/schemas/ErrorResponse' } } }
+    }
+}
+
+function componentResponses() {
+    return {
+        Element: {
+            description: 'Success',
+            content: { 'application/json': { schema: successResponseSchema({ $ref: '#/components/schemas/Element' }) } }
+        },
+        ElementList: {
+            description: 'Success',
+            content: {
+                'application/json': {
+                    schema: {
+                        allOf: [
+                            successResponseSchema({ type: 'array', items: { $ref: '#/components/schemas/Element' } }),
+                            {
+                                type: 'object',
+                                properties: {
+                                    total: { type: 'integer', description: 'Number of items after filtering, before paging' },
+                                    offset: { type: 'integer', description: 'Only when limit or offset is given' },
+                                    limit: { type: 'integer', nullable: true, description: 'Only when limit or offset is given' },
+                                    nextOffset: { type: 'integer', nullable: true, description: 'Offset of the next page; null on the last page' }
+                                }
+                            }
+                        ]
+                    }
+                }
+            }
+        },
+        ValidationError: errorResponse('Request body does not match the schema (unknown field, wrong type, or missing required field)'),
+        UnprocessableEntity: errorResponse('Well-formed request with a value that cannot be accepted (not an allowed value, invalid reference, etc.)'),
+        NotFound: errorResponse('Not found'),
+        Conflict: errorResponse('If-Match does not match the current ETag: the element changed since it was read'),
+        Unauthorized: errorResponse('Authentication required (only when API keys are configured)'),
+        Forbidden: errorResponse('API key lacks the required scope')
+    }
+}
+
+// ============================================================
+// Operations
+// ============================================================
+
+/**
+ * Convert an Express-style pattern ("/api/notes/:id") to OpenAPI ("/api/notes/{id}").
+ */
+function toOpenApiPath(pattern) {
+    return pattern.replace(/:(\w+)/g, '{$1}')
+}
+
+function pathParamNames(pattern) {
+    const names = []
+    const re = /:(\w+)/g
+    let m
+    while ((m = re.exec(pattern)) !== null) {
+        names.push(m[1])
+    }
+    return names
+}
+
+function operationId(route) {
+    const words = route.path.replace(/^\/api\//, '').split(/[/\-_.]+/).filter(function (w) { return w !== '' })
+    const parts = [route.method.toLowerCase()]
+    words.forEach(function (w) {
+        if (w[0] === ':') {
+            parts.push('By' + w.charAt(1).toUpperCase() + w.substring(2))
+        } else {
+            parts.push(w.charAt(0).toUpperCase() + w.substring(1))
+        }
+    })
+    return parts.join('')
+}
+
+function queryParameter(q) {
+    const param = { name: q.name, in: 'query', required: !!q.required, schema: fieldSchema({ type: q.type || 'string', enum: q.enum }) }
+    if (q.description) {
+        param.description = q.description
+    }
+    return param
+}
+
+function buildOperation(route, sharedParameters) {
+    const op = {
+        operationId: operationId(route),
+        summary: route.summary || route.method + ' ' + route.path
+    }
+    if (route.tag) {
+        op.tags = [route.tag]
+    }
+
+    const parameters = pathParamNames(route.path).map(function (name) {
+        return { name: name, in: 'path', required: true, schema: { type: 'string' } }
+    })
+    const queryParams = route.query || []
+    queryParams.forEach(function (q) {
+        // Parameters shared by many routes are defined once under components
+        if (q.component) {
+            sharedParameters[q.component] = queryParameter(q)
+            parameters.push({ $ref: '#/components/parameters/' + q.component })
+        } else {
+            parameters.push(queryParameter(q))
+        }
+    })
+    const hasPathParams = pathParamNames(route.path).length > 0
+    const conditional = hasPathParams && (route.method === 'PUT' || route.method === 'DELETE')
+    if (conditional) {
+        parameters.push({ $ref: '#/components/parameters/IfMatch' })
+    }
+    if (parameters.length > 0) {
+        op.parameters = parameters
+    }
+
+    if (route.body) {
+        op.requestBody = {
+            required: !!(route.body.required && route.body.required.length > 0),
+            content: { 'application/json': { schema: bodySchema(route.body) } }
+        }
+    }
+
+    op.responses = {
+        200: { $ref: route.list ? '#/components/responses/ElementList' : '#/components/responses/Element' },
+        400: { $ref: '#/components/responses/ValidationError' },
+        422: { $ref: '#/components/responses/UnprocessableEntity' }
+    }
+    if (hasPathParams) {
+        op.responses[404] = { $ref: '#/components/responses/NotFound' }
+    }
+    if (conditional) {
+        op.responses[409] = { $ref: '#/components/responses/Conflict' }
+    }
+    op.responses[401] = { $ref: '#/components/responses/Unauthorized' }
+    op.responses[403] = { $ref: '#/components/responses/Forbidden' }
+    return op
+}
+
+// ============================================================
+// Document
+// ============================================================
+
+/**
+ * Build the OpenAPI document.
+ *
+ * @param {Object[]} routes - Route descriptors (see module header)
+ * @param {Object} info - { title, version, description }
+ * @returns {Object} OpenAPI 3 document
+ */
+function buildSpec(routes, info) {
+    const paths = {}
+    const tags = []
+    const sharedParameters = {
+        IfMatch: {
+            name: 'If-Match',
+            in: 'header',
+            required: false,
+            description: 'ETag from an earlier GET; the request fails with 409 Conflict if the element has changed since',
+            schema: { type: 'string' }
+        }
+    }
+    routes.forEach(function (route) {
+        const p = toOpenApiPath(route.path)
+        if (!paths[p]) {
+            paths[p] = {}
+        }
+        paths[p][route.method.toLowerCase()] = buildOperation(route, sharedParameters)
+        if (route.tag && tags.indexOf(route.tag) === -1) {
+            tags.push(route.tag)
+        }
+    })
+
+    return {
+        openapi: OPENAPI_VERSION,
+        info: {
+            title: info.title,
+            version: info.version,
+            description: info.description || ''
+        },
+        servers: [{ url: '/' }],
+        tags: tags.map(function (t) { return { name: t } }),
+        security: [{}, { bearerAuth: [] }],
+        paths: paths,
+        components: {
+            securitySchemes: {
+                bearerAuth: { type: 'http', scheme: 'bearer', description: 'API key created from Tools > StarUML Controller > Add API Key...' }
+            },
+            schemas: componentSchemas(),
+            parameters: sharedParameters,
+            responses: componentResponses()
+        }
+    }
+}
+
+exports.buildSpec = buildSpec
+exports.toOpenApiPath = toOpenApiPath
+exports.operationId = operationId
+exports.fieldSchema = fieldSchema
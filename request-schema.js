@@ -0,0 +1,207 @@
+/**
+ * Declarative Request Body Validation for StarUML Controller
+ *
+ * Every route is described by a body schema (the same descriptors that
+ * openapi.js turns into the OpenAPI document):
+ *
+ *   {
+ *     fields: [{ name, type, enum, caseInsensitive, items, minItems, maxItems, body }],
+ *     required: ['name']
+ *   }
+ *
+ * `body` is the schema of a nested object, or of each item of an array of
+ * objects.
+ *
+ * The router validates the request body against the schema before calling
+ * the handler and reports every problem at once:
+ *
+ *   { success: false, error: '...', errors: [{ field, code, message, allowed }] }
+ *
+ * Error codes:
+ *   unknown_field, invalid_type, required  -> 400 Bad Request (body does not match the schema)
+ *   not_allowed, too_few, too_many, invalid -> 422 Unprocessable Entity (well-formed, but the value is not acceptable)
+ */
+
+const STRUCTURAL_CODES = ['unknown_field', 'invalid_type', 'required']
+
+// ============================================================
+// Field checks
+// ============================================================
+
+function typeOfValue(value) {
+    if (value === null) {
+        return 'null'
+    }
+    if (Array.isArray(value)) {
+        return 'array'
+    }
+    return typeof value
+}
+
+function matchesType(value, type) {
+    if (!type) {
+        return true
+    }
+    if (type === 'string|null') {
+        return value === null || typeof value === 'string'
+    }
+    if (type === 'integer') {
+        return typeof value === 'number' && Math.floor(value) === value
+    }
+    if (type === 'object') {
+        return typeOfValue(value) === 'object'
+    }
+    if (type === 'array') {
+        return Array.isArray(value)
+    }
+    return typeof value === type
+}
+
+function describeType(type) {
+    if (type === 'string|null') {
+        return 'a string or null'
+    }
+    if (type === 'array' || type === 'object' || type === 'integer') {
+        return 'an ' + type
+    }
+    return 'a ' + type
+}
+
+function inEnum(value, field) {
+    if (field.caseInsensitive && typeof value === 'string') {
+        return field.enum.some(function (allowed) {
+            return String(allowed).toLowerCase() === value.toLowerCase()
+        })
+    }
+    return field.enum.indexOf(value) !== -1
+}
+
+function checkField(field, value, path, errors) {
+    if (!matchesType(value, field.type)) {
+        errors.push({
+            field: path,
+            code: 'invalid_type',
+            message: 'Field "' + path + '" must be ' + describeType(field.type) + ', got ' + typeOfValue(value)
+        })
+        return
+    }
+    if (field.enum && value !== null && !inEnum(value, field)) {
+        errors.push({
+            field: path,
+            code: 'not_allowed',
+            message: 'Invalid value ' + JSON.stringify(value) + ' for field "' + path + '"',
+            allowed: field.enum.slice()
+        })
+    }
+    if (field.type === 'array') {
+        if (field.minItems !== undefined && value.length < field.minItems) {
+            errors.push({ field: path, code: 'too_few', message: 'Field "' + path + '" must contain at least ' + field.minItems + ' item(s)' })
+        }
+        if (field.maxItems !== undefined && value.length > field.maxItems) {
+            errors.push({ field: path, code: 'too_many', message: 'Field "' + path + '" must contain at most ' + field.maxItems + ' item(s)' })
+        }
+        if (field.items) {
+            value.forEach(function (item, i) {
+                if (!matchesType(item, field.items)) {
+                    errors.push({
+                        field: path + '[' + i + ']',
+                        code: 'invalid_type',
+                        message: 'Field "' + path + '[' + i + ']" must be ' + describeType(field.items) + ', got ' + typeOfValue(item)
+                    })
+                } else if (field.body && field.items === 'object') {
+                    collectErrors(field.body, item, path + '[' + i + '].', errors)
+                }
+            })
+        }
+    }
+    if (field.body && field.type === 'object') {
+        collectErrors(field.body, value, path + '.', errors)
+    }
+}
+
+function collectErrors(schema, body, prefix, errors) {
+    const allowed = schema.fields.map(function (f) { return f.name })
+    Object.keys(body).forEach(function (key) {
+        if (allowed.indexOf(key) === -1) {
+            errors.push({
+                field: prefix + key,
+                code: 'unknown_field',
+                message: 'Unknown field "' + prefix + key + '"',
+                allowed: allowed
+            })
+        }
+    })
+    const required = schema.required || []
+    required.forEach(function (name) {
+        if (body[name] === undefined) {
+            errors.push({ field: prefix + name, code: 'required', message: 'Field "' + prefix + name + '" is required' })
+        }
+    })
+    schema.fields.forEach(function (field) {
+        if (body[field.name] !== undefined) {
+            checkField(field, body[field.name], prefix + field.name, errors)
+        }
+    })
+}
+
+// ============================================================
+// Public API
+// ============================================================
+
+/**
+ * Validate a request body against a body schema.
+ * Returns an array of { field, code, message, allowed? } (empty when valid).
+ */
+function validateBody(schema, body) {
+    const errors = []
+    collectErrors(schema, body || {}, '', errors)
+    return errors
+}
+
+/**
+ * HTTP status for a list of validation errors: 400 when the body does not
+ * match the schema, 422 when it does but a value is not acceptable.
+ */
+function statusForErrors(errors) {
+    const structural = errors.some(function (e) {
+        return STRUCTURAL_CODES.indexOf(e.code) !== -1
+    })
+    return structural ? 400 : 422
+}
+
+/**
+ * Build the error response for failed validation.
+ */
+function validationFailure(errors, requestInfo, body) {
+    const summary = errors.length === 1
+        ? errors[0].message
+        : errors.length + ' validation errors: ' + errors.map(function (e) { return e.message }).join('; ')
+    const result = { success: false, error: summary, errors: errors, request: requestInfo }
+    if (body && Object.keys(body).length > 0) {
+        result.request = Object.assign({}, requestInfo, { body: body })
+    }
+    return result
+}
+
+/**
+ * An error found by a check in the handler rather than the schema, e.g.
+ * fieldError('parentId', 'required', 'Field "parentId" is required').
+ * `field` is null when the error concerns several fields.
+ */
+function fieldError(field, code, message) {
+    return { field: field, code: code, message: message }
+}
+
+/**
+ * A required field the handler found missing or empty. The message
+ * defaults to 'Field "<field>" is required'.
+ */
+function missingField(field, message) {
+    return fieldError(field, 'required', message || 'Field "' + field + '" is required')
+}
+
+exports.validateBody = validateBody
+exports.statusForErrors = statusForErrors
+exports.validationFailure = validationFailure
+exports.fieldError = fieldError
+exports.missingField = missingField
@@ -0,0 +1,133 @@
+/**
+ * Route Registry for StarUML Controller
+ *
+ * Holds every route of the API (hand-written routes from api-handler.js and
+ * the factory-generated family routes) in a segment trie, so dispatch costs
+ * O(path depth) regardless of how many routes are registered.
+ *
+ * Route:
+ *   {
+ *     method: 'GET',
+ *     path: '/api/erd/entities/:id/columns',
+ *     handler: function (params, query, body, reqInfo) { ... },
+ *     ...documentation (tag, summary, query, body, list; see openapi.js)
+ *   }
+ *
+ * Static segments take priority over :param segments. When a static branch
+ * has no route for the requested method, the :param branch is tried, so
+ * "POST /api/diagrams/generate" and "GET /api/diagrams/:id" can coexist.
+ */
+
+function createNode() {
+    return { children: {}, param: null, methods: {} }
+}
+
+function splitPath(path) {
+    return path.split('/').filter(function (s) { return s !== '' })
+}
+
+function decodeSegment(value) {
+    try {
+        return decodeURIComponent(value)
+    } catch (e) {
+        return value
+    }
+}
+
+function hasRoutes(node) {
+    return Object.keys(node.methods).length > 0
+}
+
+/**
+ * Find the node for the segments, preferring static children.
+ * Returns { node, values } for the first node that has a route for the
+ * method; otherwise the first node with any route for the path (so the
+ * caller can answer 405 with the methods it allows), or null.
+ */
+function findNode(node, segments, index, values, method) {
+    if (index === segments.length) {
+        return hasRoutes(node) ? { node: node, values: values.slice() } : null
+    }
+    let fallback = null
+    const child = node.children[segments[index]]
+    if (child) {
+        const found = findNode(child, segments, index + 1, values, method)
+        if (found && found.node.methods[method]) {
+            return found
+        }
+        fallback = found
+    }
+    if (node.param) {
+        values.push(segments[index])
+        const found = findNode(node.param, segments, index + 1, values, method)
+        values.pop()
+        if (found && (found.node.methods[method] || !fallback)) {
+            return found
+        }
+    }
+    return fallback
+}
+
+/**
+ * Create an empty route registry.
+ */
+function createRegistry() {
+    const root = createNode()
+    const routes = []
+
+    function add(route) {
+        let node = root
+        const paramNames = []
+        splitPath(route.path).forEach(function (segment) {
+            if (segment[0] === ':') {
+                if (!node.param) {
+                    node.param = createNode()
+                }
+                paramNames.push(segment.substring(1))
+                node = node.param
+            } else {
+                if (!node.children[segment]) {
+                    node.children[segment] = createNode()
+                }
+                node = node.children[segment]
+            }
+        })
+        if (node.methods[route.method]) {
+            throw new Error('Duplicate route: ' + route.method + ' ' + route.path)
+        }
+        node.methods[route.method] = { route: route, paramNames: paramNames }
+        routes.push(route)
+    }
+
+    /**
+     * Look up a request.
+     * Returns { route, params } on a match, { allowedMethods } when the path
+     * exists but not for this method, or null when the path is unknown.
+     */
+    function lookup(method, path) {
+        const found = findNode(root, splitPath(path), 0, [], method)
+        if (!found) {
+            return null
+        }
+        const entry = found.node.methods[method]
+        if (!entry) {
+            return { allowedMethods: Object.keys(found.node.methods) }
+        }
+        const params = {}
+        entry.paramNames.forEach(function (name, i) {
+            params[name] = decodeSegment(found.values[i])
+        })
+        return { route: entry.route, params: params }
+    }
+
+    /**
+     * All routes in registration order.
+     */
+    function list() {
+        return routes.slice()
+    }
+
+    return { add: add, lookup: lookup, list: list }
+}
+
+exports.createRegistry = createRegistry
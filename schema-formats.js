@@ -0,0 +1,1964 @@
+/**
+ * DBML and Prisma Schema Formats for StarUML Controller
+ *
+ * Converts ERD data models to and from dbdiagram.io's DBML and Prisma's
+ * schema.prisma. parseDBML() and parsePrisma() return the schema
+ * description of ddl-importer.js parse() plus enums, so the elements are
+ * created by ddl-importer.js buildModel(); generateDBML() and
+ * generatePrisma() write the model back. Both directions follow the model
+ * conventions of the DDL generator and importer:
+ *
+ *   pk / @id, @@id               -> primaryKey
+ *   unique / @unique             -> unique
+ *   not null / optional type (?) -> nullable
+ *   increment / autoincrement()  -> integer type with length '-1'
+ *   default / @default           -> 'default' tag (SQL expression)
+ *   note / /// comments          -> documentation
+ *   indexes / @@index, @@unique  -> 'index#<name>' tags (CREATE INDEX statements)
+ *   Enum / enum                  -> 'enum#<name>' tag on the data model, one value
+ *                                   per line; columns of the type are VARCHAR
+ *                                   with an 'enum' tag naming it
+ *   Ref / @relation              -> foreign key columns and ERDRelationship
+ *
+ * Prisma output targets the postgresql provider (native types as @db.*).
+ */
+
+const fs = require('fs')
+const ddlGenerator = require('./ddl-generator')
+const ddlImporter = require('./ddl-importer')
+
+const INDEX_PREFIX = 'index#'
+const SEQUENCE_PREFIX = 'sequence#'
+const ENUM_PREFIX = 'enum#'
+
+const SIMPLE_NAME = /^[A-Za-z_][A-Za-z0-9_]*$/
+const INTEGER_TYPES = ['SMALLINT', 'INTEGER', 'INT', 'BIGINT', 'TINYINT']
+const SERIAL_TYPES = ['SERIAL', 'BIGSERIAL']
+
+// DBML relationship operators: many-to-one, one-to-many, one-to-one, many-to-many
+const REF_OPERATORS = ['>', '<', '-', '<>']
+
+// Prisma scalar type -> StarUML column type
+const PRISMA_SCALARS = {
+    String: 'VARCHAR', Boolean: 'BOOLEAN', Int: 'INTEGER', BigInt: 'BIGINT', Float: 'DOUBLE',
+    Decimal: 'DECIMAL', DateTime: 'TIMESTAMP', Json: 'JSONB', Bytes: 'BLOB'
+}
+
+// StarUML column type -> Prisma scalar and postgresql native type (none when the scalar's default fits)
+const PRISMA_TYPES = {
+    'CHAR': { scalar: 'String', native: 'Char', hasLength: true },
+    'VARCHAR': { scalar: 'String', native: 'VarChar', hasLength: true },
+    'TEXT': { scalar: 'String', native: 'Text' },
+    'CLOB': { scalar: 'String', native: 'Text' },
+    'UUID': { scalar: 'String', native: 'Uuid' },
+    'XML': { scalar: 'String', native: 'Xml' },
+    'BOOLEAN': { scalar: 'Boolean' },
+    'TINYINT': { scalar: 'Int', native: 'SmallInt' },
+    'SMALLINT': { scalar: 'Int', native: 'SmallInt' },
+    'INTEGER': { scalar: 'Int' },
+    'INT': { scalar: 'Int' },
+    'SERIAL': { scalar: 'Int' },
+    'BIGINT': { scalar: 'BigInt' },
+    'BIGSERIAL': { scalar: 'BigInt' },
+    'FLOAT': { scalar: 'Float', native: 'Real' },
+    'REAL': { scalar: 'Float', native: 'Real' },
+    'DOUBLE': { scalar: 'Float' },
+    'DECIMAL': { scalar: 'Decimal', native: 'Decimal', hasLength: true },
+    'NUMERIC': { scalar: 'Decimal', native: 'Decimal', hasLength: true },
+    'DATE': { scalar: 'DateTime', native: 'Date' },
+    'TIME': { scalar: 'DateTime', native: 'Time' },
+    'DATETIME': { scalar: 'DateTime', native: 'Timestamptz' },
+    'TIMESTAMP': { scalar: 'DateTime' },
+    'BLOB': { scalar: 'Bytes' },
+    'BINARY': { scalar: 'Bytes' },
+    'VARBINARY': { scalar: 'Bytes' },
+    'JSON': { scalar: 'Json', native: 'Json' },
+    'JSONB': { scalar: 'Json' }
+}
+
+const NUMERIC_SCALARS = ['Int', 'BigInt', 'Float', 'Decimal']
+
+// ============================================================
+// Tokenizer
+// ============================================================
+
+/**
+ * Remove the common indentation of a DBML multi-line string, and the
+ * line breaks right after the opening and before the closing quotes.
+ */
+function dedent(text) {
+    const lines = text.replace(/^[ \t]*\r?\n/, '').replace(/\r?\n[ \t]*$/, '').split(/\r?\n/)
+    const indents = lines.filter(function (l) { return l.trim() !== '' }).map(function (l) { return l.match(/^[ \t]*/)[0].length })
+    const cut = indents.length > 0 ? Math.min.apply(null, indents) : 0
+    return lines.map(function (l) { return l.substring(cut) }).join('\n')
+}
+
+/**
+ * Split DBML or Prisma text into tokens: { kind, value, start, end } where
+ * kind is 'word', 'quoted' (double quotes), 'string' (single or triple
+ * single quotes), 'expr' (backticks), 'number', 'punct', 'newline' or
+ * 'doc' (a /// comment). Other comments and whitespace are dropped.
+ */
+function tokenize(text) {
+    const tokens = []
+    const kinds = { "'": 'string', '"': 'quoted', '`': 'expr' }
+    let i = 0
+    const n = text.length
+    function push(kind, value, start) {
+        tokens.push({ kind: kind, value: value, start: start, end: i })
+    }
+    while (i < n) {
+        const ch = text[i]
+        const start = i
+        if (ch === '\n') {
+            i++
+            push('newline', '\n', start)
+        } else if (/\s/.test(ch)) {
+            i++
+        } else if (ch === '/' && text[i + 1] === '/') {
+            const eol = text.indexOf('\n', i)
+            i = eol === -1 ? n : eol
+            if (text[start + 2] === '/') {
+                push('doc', text.substring(start + 3, i).trim(), start)
+            }
+        } else if (ch === '/' && text[i + 1] === '*') {
+            const close = text.indexOf('*/', i + 2)
+            i = close === -1 ? n : close + 2
+        } else if (text.substr(i, 3) === "'''") {
+            const close = text.indexOf("'''", i + 3)
+            i = close === -1 ? n : close + 3
+            push('string', dedent(text.substring(start + 3, close === -1 ? n : close)), start)
+        } else if (kinds[ch]) {
+            i++
+            let value = ''
+            while (i < n && text[i] !== ch) {
+                if (text[i] === '\\' && ch !== '`' && i + 1 < n) {
+                    value += text[i + 1] === 'n' ? '\n' : text[i + 1]
+                    i += 2
+                } else {
+                    value += text[i]
+                    i++
+                }
+            }
+            i++
+            push(kinds[ch], value, start)
+        } else if (/[0-9]/.test(ch)) {
+            while (i < n && /[0-9.]/.test(text[i])) {
+                i++
+            }
+            push('number', text.substring(start, i), start)
+        } else if (/[A-Za-z_#]/.test(ch)) {
+            i++
+            while (i < n && /[\w$]/.test(text[i])) {
+                i++
+            }
+            push('word', text.substring(start, i), start)
+        } else if ((ch === '<' && text[i + 1] === '>') || (ch === '@' && text[i + 1] === '@')) {
+            i += 2
+            push('punct', text.substring(start, i), start)
+        } else {
+            i++
+            push('punct', ch, start)
+        }
+    }
+    return tokens
+}
+
+function isWord(token, word) {
+    return !!token && token.kind === 'word' && token.value.toLowerCase() === word.toLowerCase()
+}
+
+function isPunct(token, ch) {
+    return !!token && token.kind === 'punct' && token.value === ch
+}
+
+function isName(token) {
+    return !!token && (token.kind === 'word' || token.kind === 'quoted')
+}
+
+const CLOSING = { '{': '}', '(': ')', '[': ']' }
+
+/**
+ * Cursor over the tokens of a DBML or Prisma document.
+ */
+function createReader(tokens, text) {
+    let pos = 0
+    const reader = {
+        peek: function (offset) {
+            return tokens[pos + (offset || 0)]
+        },
+        next: function () {
+            return tokens[pos++]
+        },
+        done: function () {
+            return pos >= tokens.length
+        },
+        position: function () {
+            return pos
+        },
+        acceptWord: function (word) {
+            if (isWord(tokens[pos], word)) {
+                pos++
+                return true
+            }
+            return false
+        },
+        acceptPunct: function (ch) {
+            if (isPunct(tokens[pos], ch)) {
+                pos++
+                return true
+            }
+            return false
+        },
+        skipNewlines: function () {
+            while (pos < tokens.length && tokens[pos].kind === 'newline') {
+                pos++
+            }
+        },
+        // Skip a balanced group opened by the current token ('{', '(' or '[')
+        skipGroup: function () {
+            const token = tokens[pos]
+            if (!token || token.kind !== 'punct' || !CLOSING[token.value]) {
+                return
+            }
+            const open = token.value
+            let depth = 0
+            do {
+                if (isPunct(tokens[pos], open)) {
+                    depth++
+                } else if (isPunct(tokens[pos], CLOSING[open])) {
+                    depth--
+                }
+                pos++
+            } while (pos < tokens.length && depth > 0)
+        },
+        // Skip the rest of the line, stopping before a closing brace
+        skipLine: function () {
+            while (pos < tokens.length && tokens[pos].kind !== 'newline' && !isPunct(tokens[pos], '}')) {
+                if (tokens[pos].kind === 'punct' && CLOSING[tokens[pos].value]) {
+                    reader.skipGroup()
+                } else {
+                    pos++
+                }
+            }
+        },
+        // Source text between two token positions (inclusive start, exclusive end)
+        text: function (from, to) {
+            if (from >= to) {
+                return ''
+            }
+            return text.substring(tokens[from].start, tokens[to - 1].end)
+        }
+    }
+    return reader
+}
+
+function readName(reader) {
+    if (isName(reader.peek())) {
+        return reader.next().value
+    }
+    return null
+}
+
+/**
+ * Read a possibly qualified name (schema.name). Returns { schema, name }.
+ */
+function readQualifiedName(reader) {
+    const first = readName(reader)
+    if (first === null) {
+        return null
+    }
+    if (isPunct(reader.peek(), '.') && isName(reader.peek(1))) {
+        reader.next()
+        return { schema: first, name: reader.next().value }
+    }
+    return { schema: null, name: first }
+}
+
+// ============================================================
+// Schema description
+// ============================================================
+
+function createTable(schema, name) {
+    return { schema: schema, name: name, comment: null, columns: [], foreignKeys: [], indexes: [], sequences: [] }
+}
+
+function createColumn(name) {
+    return {
+        name: name,
+        type: 'VARCHAR',
+        length: '',
+        nullable: true,
+        primaryKey: false,
+        unique: false,
+        autoIncrement: false,
+        default: null,
+        comment: null,
+        enum: null
+    }
+}
+
+function sameNames(a, b) {
+    return a.length === b.length && a.every(function (name, i) {
+        return name.toLowerCase() === b[i].toLowerCase()
+    })
+}
+
+function sameForeignKey(a, b) {
+    return sameNames(a.columns, b.columns) &&
+        sameNames(a.refColumns, b.refColumns) &&
+        a.refTable.toLowerCase() === b.refTable.toLowerCase() &&
+        (a.refSchema || '').toLowerCase() === (b.refSchema || '').toLowerCase()
+}
+
+function findTable(tables, schema, name) {
+    const lower = name.toLowerCase()
+    const matches = tables.filter(function (t) {
+        return t.name.toLowerCase() === lower
+    })
+    if (schema) {
+        const exact = matches.filter(function (t) {
+            return (t.schema || '').toLowerCase() === schema.toLowerCase()
+        })
+        if (exact.length > 0) {
+            return exact[0]
+        }
+    }
+    return matches.length > 0 ? matches[0] : null
+}
+
+function findColumn(table, name) {
+    const lower = name.toLowerCase()
+    return table.columns.filter(function (c) {
+        return c.name.toLowerCase() === lower
+    })[0] || null
+}
+
+function sqlName(name) {
+    return SIMPLE_NAME.test(name) ? name : '"' + name.split('"').join('""') + '"'
+}
+
+function sqlString(text) {
+    return "'" + text.split("'").join("''") + "'"
+}
+
+/**
+ * Record a parsed index on its table: a primary key marks its columns, an
+ * unnamed single-column unique index becomes a unique column, anything
+ * else an index# tag holding a CREATE INDEX statement.
+ *
+ * @param {Object} table - Table of the schema description
+ * @param {Object} index - { columns: [{ name } | { expression }], unique, pk, name, using }
+ */
+function addIndex(table, index) {
+    const names = index.columns.filter(function (c) { return c.name }).map(function (c) { return c.name })
+    if (index.pk) {
+        names.forEach(function (name) {
+            const col = findColumn(table, name)
+            if (col) {
+                col.primaryKey = true
+                col.nullable = false
+            }
+        })
+        return
+    }
+    if (index.unique && !index.name && index.columns.length === 1 && names.length === 1 && findColumn(table, names[0])) {
+        findColumn(table, names[0]).unique = true
+        return
+    }
+    const name = index.name || table.name + '_' + index.columns.map(function (c) { return c.name || 'expr' }).join('_') + (index.unique ? '_key' : '_idx')
+    table.indexes.push({
+        name: name,
+        statement: 'CREATE ' + (index.unique ? 'UNIQUE ' : '') + 'INDEX ' + sqlName(name) + ' ON ' + sqlName(table.name) +
+            (index.using ? ' USING ' + index.using : '') +
+            ' (' + index.columns.map(function (c) { return c.name ? sqlName(c.name) : '(' + c.expression + ')' }).join(', ') + ');'
+    })
+}
+
+/**
+ * Set a column's type from a SQL type name ("varchar(255)"), keeping the
+ * auto-increment convention of the DDL importer.
+ */
+function applySqlType(col, sqlType) {
+    const mapped = ddlImporter.parseType(sqlType)
+    col.type = mapped.type
+    col.length = mapped.length
+    col.autoIncrement = col.autoIncrement || !!mapped.autoIncrement
+}
+
+function finishColumn(col) {
+    if (col.autoIncrement && INTEGER_TYPES.indexOf(col.type) !== -1) {
+        col.length = '-1'
+    }
+}
+
+// ============================================================
+// DBML parser
+// ============================================================
+
+/**
+ * Read a setting value: a string, number, `expression`, or words
+ * ("true", "set null", "#3498db"). Returns { kind, value }.
+ */
+function readSettingValue(reader) {
+    const token = reader.peek()
+    if (!token) {
+        return null
+    }
+    if (isPunct(token, '-') && reader.peek(1) && reader.peek(1).kind === 'number') {
+        reader.next()
+        return { kind: 'number', value: '-' + reader.next().value }
+    }
+    if (token.kind === 'word') {
+        const words = []
+        while (reader.peek() && reader.peek().kind === 'word') {
+            words.push(reader.next().value)
+        }
+        return { kind: 'word', value: words.join(' ') }
+    }
+    reader.next()
+    return { kind: token.kind, value: token.value }
+}
+
+/**
+ * Read a ref endpoint: [schema.]table.column or [schema.]table.(c1, c2).
+ * Returns { schema, table, columns }.
+ */
+function readEndpoint(reader) {
+    const parts = []
+    let columns = null
+    const first = readName(reader)
+    if (first === null) {
+        return null
+    }
+    parts.push(first)
+    while (reader.acceptPunct('.')) {
+        if (isPunct(reader.peek(), '(')) {
+            columns = readNameList(reader)
+            break
+        }
+        const part = readName(reader)
+        if (part === null) {
+            break
+        }
+        parts.push(part)
+    }
+    if (!columns) {
+        if (parts.length < 2) {
+            return null
+        }
+        columns = [parts.pop()]
+    }
+    return { schema: parts.length > 1 ? parts[parts.length - 2] : null, table: parts[parts.length - 1], columns: columns }
+}
+
+function readNameList(reader) {
+    const names = []
+    reader.acceptPunct('(')
+    while (!reader.done() && !isPunct(reader.peek(), ')')) {
+        const name = readName(reader)
+        if (name !== null) {
+            names.push(name)
+        } else {
+            reader.next()
+        }
+        reader.acceptPunct(',')
+    }
+    reader.acceptPunct(')')
+    return names
+}
+
+/**
+ * Read a relationship operator and the endpoint after it ("> users.id").
+ * Returns { op, endpoint } or null.
+ */
+function readRefTarget(reader) {
+    const token = reader.peek()
+    if (!token || token.kind !== 'punct' || REF_OPERATORS.indexOf(token.value) === -1) {
+        return null
+    }
+    reader.next()
+    const endpoint = readEndpoint(reader)
+    return endpoint ? { op: token.value, endpoint: endpoint } : null
+}
+
+/**
+ * Read a settings list "[pk, not null, default: 1, note: 'x']" into
+ * [{ key, value }] with lower-case keys. The value is null for flags, a
+ * { kind, value } token for "key: value", and { op, endpoint } for ref.
+ */
+function readSettings(reader) {
+    const settings = []
+    if (!reader.acceptPunct('[')) {
+        return settings
+    }
+    while (!reader.done()) {
+        reader.skipNewlines()
+        if (reader.acceptPunct(']')) {
+            break
+        }
+        const words = []
+        while (reader.peek() && reader.peek().kind === 'word') {
+            words.push(reader.next().value.toLowerCase())
+        }
+        const setting = { key: words.join(' '), value: null }
+        if (reader.acceptPunct(':')) {
+            setting.value = setting.key === 'ref' ? readRefTarget(reader) : readSettingValue(reader)
+        }
+        if (setting.key) {
+            settings.push(setting)
+        }
+        // Skip anything unexpected up to the next setting
+        while (!reader.done() && !isPunct(reader.peek(), ',') && !isPunct(reader.peek(), ']')) {
+            reader.next()
+        }
+        reader.acceptPunct(',')
+    }
+    return settings
+}
+
+/**
+ * Read a note after the Note keyword: "Note: '...'" or "Note { '...' }".
+ */
+function readNote(reader) {
+    let note = null
+    if (reader.acceptPunct(':')) {
+        const token = reader.next()
+        return token && token.kind === 'string' ? token.value : null
+    }
+    if (reader.acceptPunct('{')) {
+        while (!reader.done() && !reader.acceptPunct('}')) {
+            const token = reader.next()
+            if (token.kind === 'string' && note === null) {
+                note = token.value
+            }
+        }
+    }
+    return note
+}
+
+function dbmlDefaultToSql(value) {
+    if (value.kind === 'string' || value.kind === 'quoted') {
+        return sqlString(value.value)
+    }
+    if (value.kind === 'word' && value.value.toLowerCase() === 'null') {
+        return null
+    }
+    return value.value
+}
+
+function parseDbmlColumn(reader, table, result) {
+    const name = readName(reader)
+    if (name === null) {
+        return null
+    }
+    const col = createColumn(name)
+    const typeName = readQualifiedName(reader)
+    if (!typeName) {
+        result.warnings.push('Column ' + table.name + '.' + name + ' has no type; using VARCHAR')
+        return col
+    }
+    let args = ''
+    if (isPunct(reader.peek(), '(')) {
+        const from = reader.position()
+        reader.skipGroup()
+        args = reader.text(from, reader.position())
+    }
+    if (isPunct(reader.peek(), '[') && isPunct(reader.peek(1), ']')) {
+        reader.next()
+        reader.next()
+    }
+    result.columnTypes.set(col, { schema: typeName.schema, name: typeName.name, sql: typeName.name + args })
+
+    readSettings(reader).forEach(function (s) {
+        if (s.key === 'pk' || s.key === 'primary key') {
+            col.primaryKey = true
+            col.nullable = false
+        } else if (s.key === 'not null') {
+            col.nullable = false
+        } else if (s.key === 'null') {
+            col.nullable = true
+        } else if (s.key === 'unique') {
+            col.unique = true
+        } else if (s.key === 'increment') {
+            col.autoIncrement = true
+        } else if (s.key === 'default' && s.value) {
+            col.default = dbmlDefaultToSql(s.value)
+        } else if (s.key === 'note' && s.value) {
+            col.comment = s.value.value
+        } else if (s.key === 'ref' && s.value) {
+            result.refs.push({
+                name: null,
+                from: { schema: table.schema, table: table.name, columns: [name] },
+                op: s.value.op,
+                to: s.value.endpoint
+            })
+        }
+    })
+    return col
+}
+
+/**
+ * Read an index line: "email", "`lower(email)`" or "(a, `b`)" followed by
+ * settings. Returns { columns, unique, pk, name, using } or null.
+ */
+function parseDbmlIndex(reader) {
+    const columns = []
+    function readPart() {
+        const token = reader.peek()
+        if (token && token.kind === 'expr') {
+            columns.push({ expression: reader.next().value })
+        } else if (isName(token)) {
+            columns.push({ name: reader.next().value })
+        } else {
+            reader.next()
+        }
+    }
+    if (reader.acceptPunct('(')) {
+        while (!reader.done() && !isPunct(reader.peek(), ')')) {
+            readPart()
+            reader.acceptPunct(',')
+        }
+        reader.acceptPunct(')')
+    } else {
+        readPart()
+    }
+    const index = { columns: columns, unique: false, pk: false, name: null, using: null }
+    readSettings(reader).forEach(function (s) {
+        if (s.key === 'pk') {
+            index.pk = true
+        } else if (s.key === 'unique') {
+            index.unique = true
+        } else if (s.key === 'name' && s.value) {
+            index.name = s.value.value
+        } else if (s.key === 'type' && s.value) {
+            index.using = s.value.value
+        }
+    })
+    return columns.length > 0 ? index : null
+}
+
+function parseDbmlTable(reader, result) {
+    const qualified = readQualifiedName(reader)
+    if (!qualified) {
+        result.warnings.push('Skipped Table without a name')
+        reader.skipLine()
+        reader.skipGroup()
+        return
+    }
+    const table = createTable(qualified.schema, qualified.name)
+    if (reader.acceptWord('as')) {
+        const alias = readName(reader)
+        if (alias !== null) {
+            result.aliases[alias.toLowerCase()] = table
+        }
+    }
+    readSettings(reader).forEach(function (s) {
+        if (s.key === 'note' && s.value) {
+            table.comment = s.value.value
+        }
+    })
+    reader.skipNewlines()
+    if (!reader.acceptPunct('{')) {
+        result.warnings.push('Skipped Table "' + table.name + '" without a body')
+        return
+    }
+    const indexes = []
+    while (!reader.done()) {
+        reader.skipNewlines()
+        if (reader.acceptPunct('}')) {
+            break
+        }
+        const token = reader.peek()
+        if (isWord(token, 'note') && (isPunct(reader.peek(1), ':') || isPunct(reader.peek(1), '{'))) {
+            reader.next()
+            table.comment = readNote(reader)
+        } else if (isWord(token, 'indexes') && isPunct(reader.peek(1), '{')) {
+            reader.next()
+            reader.next()
+            while (!reader.done()) {
+                reader.skipNewlines()
+                if (reader.acceptPunct('}')) {
+                    break
+                }
+                const index = parseDbmlIndex(reader)
+                if (index) {
+                    indexes.push(index)
+                }
+                reader.skipLine()
+            }
+        } else {
+            const col = parseDbmlColumn(reader, table, result)
+            if (col) {
+                table.columns.push(col)
+            }
+        }
+        reader.skipLine()
+    }
+    result.tables.push(table)
+    result.tableIndexes.push({ table: table, indexes: indexes })
+}
+
+function parseDbmlEnum(reader, result) {
+    const qualified = readQualifiedName(reader)
+    reader.skipNewlines()
+    if (!qualified || !reader.acceptPunct('{')) {
+        result.warnings.push('Skipped Enum without a name or body')
+        reader.skipLine()
+        return
+    }
+    const values = []
+    while (!reader.done()) {
+        reader.skipNewlines()
+        if (reader.acceptPunct('}')) {
+            break
+        }
+        const value = readName(reader)
+        if (value !== null) {
+            values.push(value)
+            readSettings(reader)
+        } else {
+            reader.next()
+        }
+    }
+    result.enums.push({ schema: qualified.schema, name: qualified.name, values: values })
+}
+
+function parseDbmlRef(reader, result) {
+    const name = readName(reader)
+    function readRef() {
+        const from = readEndpoint(reader)
+        const target = from ? readRefTarget(reader) : null
+        if (!target) {
+            result.warnings.push('Skipped malformed Ref' + (name ? ' "' + name + '"' : ''))
+            return
+        }
+        readSettings(reader)
+        result.refs.push({ name: name, from: from, op: target.op, to: target.endpoint })
+    }
+    if (reader.acceptPunct(':')) {
+        readRef()
+    } else if (reader.acceptPunct('{')) {
+        while (!reader.done()) {
+            reader.skipNewlines()
+            if (reader.acceptPunct('}')) {
+                break
+            }
+            readRef()
+            reader.skipLine()
+        }
+    } else {
+        result.warnings.push('Skipped malformed Ref' + (name ? ' "' + name + '"' : ''))
+    }
+    reader.skipLine()
+}
+
+function findEnum(enums, schema, name) {
+    return enums.filter(function (e) {
+        return e.name === name && (!schema || (e.schema || '').toLowerCase() === schema.toLowerCase())
+    })[0] || null
+}
+
+/**
+ * Parse DBML into a schema description (see ddl-importer.js parse()),
+ * with enums: [{ schema, name, values }] and an `enum` name on columns
+ * of an enum type. Project, TableGroup and Note blocks are skipped.
+ *
+ * @param {string} text - DBML source
+ * @returns {Object} { tables, enums, warnings, skipped }
+ */
+function parseDBML(text) {
+    const result = { tables: [], enums: [], refs: [], tableIndexes: [], aliases: {}, columnTypes: new Map(), warnings: [], skipped: 0 }
+    const reader = createReader(tokenize(text).filter(function (t) { return t.kind !== 'doc' }), text)
+    while (!reader.done()) {
+        reader.skipNewlines()
+        if (reader.done()) {
+            break
+        }
+        if (reader.acceptWord('Table')) {
+            parseDbmlTable(reader, result)
+        } else if (reader.acceptWord('Enum')) {
+            parseDbmlEnum(reader, result)
+        } else if (reader.acceptWord('Ref')) {
+            parseDbmlRef(reader, result)
+        } else {
+            // Project, TableGroup, Note, ... carry nothing for the model
+            result.skipped++
+            while (!reader.done() && !isPunct(reader.peek(), '{') && reader.peek().kind !== 'newline') {
+                reader.next()
+            }
+            reader.skipGroup()
+        }
+    }
+
+    // Column types: enum references or SQL types
+    result.tables.forEach(function (table) {
+        table.columns.forEach(function (col) {
+            const typeRef = result.columnTypes.get(col)
+            if (typeRef) {
+                const enumType = findEnum(result.enums, typeRef.schema, typeRef.name)
+                if (enumType) {
+                    col.enum = enumType.name
+                } else {
+                    applySqlType(col, typeRef.sql)
+                }
+            }
+            finishColumn(col)
+        })
+    })
+
+    result.tableIndexes.forEach(function (entry) {
+        entry.indexes.forEach(function (index) {
+            addIndex(entry.table, index)
+        })
+    })
+
+    function resolveTable(endpoint) {
+        const alias = !endpoint.schema ? result.aliases[endpoint.table.toLowerCase()] : null
+        return alias || findTable(result.tables, endpoint.schema, endpoint.table)
+    }
+    result.refs.forEach(function (ref) {
+        if (ref.op === '<>') {
+            result.warnings.push('Skipped many-to-many Ref ' + ref.from.table + ' <> ' + ref.to.table + '; model it with a junction table')
+            return
+        }
+        // "a < b" is "b > a"; one-to-one refs keep the key on the left
+        const holder = ref.op === '<' ? ref.to : ref.from
+        const target = ref.op === '<' ? ref.from : ref.to
+        const table = resolveTable(holder)
+        if (!table) {
+            result.warnings.push('Ref on unknown table "' + holder.table + '"')
+            return
+        }
+        const refTable = resolveTable(target)
+        const key = {
+            name: ref.name,
+            columns: holder.columns,
+            refSchema: refTable ? refTable.schema : target.schema,
+            refTable: refTable ? refTable.name : target.table,
+            refColumns: target.columns
+        }
+        // An inline [ref: ...] and a Ref: block may declare the same key
+        const same = table.foreignKeys.filter(function (fk) { return sameForeignKey(fk, key) })[0]
+        if (same) {
+            same.name = same.name || key.name
+            return
+        }
+        table.foreignKeys.push(key)
+    })
+
+    return { tables: result.tables, enums: result.enums, warnings: result.warnings, skipped: result.skipped }
+}
+
+// ============================================================
+// Prisma parser
+// ============================================================
+
+/**
+ * Read an attribute value: "text", 42, word, call(args) or [list].
+ * Returns { kind, value, name, args, items }.
+ */
+function readPrismaValue(reader) {
+    const token = reader.peek()
+    if (!token) {
+        return null
+    }
+    if (reader.acceptPunct('[')) {
+        const items = []
+        while (!reader.done()) {
+            reader.skipNewlines()
+            if (reader.acceptPunct(']')) {
+                break
+            }
+            const item = readPrismaValue(reader)
+            if (item) {
+                items.push(item)
+            }
+            reader.skipNewlines()
+            if (!reader.acceptPunct(',') && !isPunct(reader.peek(), ']')) {
+                reader.next()
+            }
+        }
+        return { kind: 'list', items: items }
+    }
+    if (isPunct(token, '-') && reader.peek(1) && reader.peek(1).kind === 'number') {
+        reader.next()
+        return { kind: 'number', value: '-' + reader.next().value }
+    }
+    reader.next()
+    if (token.kind === 'quoted') {
+        return { kind: 'string', value: token.value }
+    }
+    if (token.kind === 'word') {
+        let name = token.value
+        while (isPunct(reader.peek(), '.') && reader.peek(1) && reader.peek(1).kind === 'word') {
+            reader.next()
+            name += '.' + reader.next().value
+        }
+        if (isPunct(reader.peek(), '(')) {
+            return { kind: 'call', name: name, args: readPrismaArguments(reader) }
+        }
+        return { kind: 'word', value: name }
+    }
+    return { kind: token.kind, value: token.value }
+}
+
+/**
+ * Read "(a, key: value, ...)" into [{ name, value }] (name null for positional arguments).
+ */
+function readPrismaArguments(reader) {
+    const args = []
+    if (!reader.acceptPunct('(')) {
+        return args
+    }
+    while (!reader.done()) {
+        reader.skipNewlines()
+        if (reader.acceptPunct(')')) {
+            break
+        }
+        let name = null
+        if (reader.peek() && reader.peek().kind === 'word' && isPunct(reader.peek(1), ':')) {
+            name = reader.next().value
+            reader.next()
+        }
+        const value = readPrismaValue(reader)
+        if (value) {
+            args.push({ name: name, value: value })
+        }
+        reader.skipNewlines()
+        if (!reader.acceptPunct(',') && !isPunct(reader.peek(), ')')) {
+            reader.next()
+        }
+    }
+    return args
+}
+
+/**
+ * Read an attribute after @ or @@: name (possibly db.X) and arguments.
+ */
+function readPrismaAttribute(reader) {
+    let name = readName(reader) || ''
+    while (isPunct(reader.peek(), '.') && reader.peek(1) && reader.peek(1).kind === 'word') {
+        reader.next()
+        name += '.' + reader.next().value
+    }
+    return { name: name, args: isPunct(reader.peek(), '(') ? readPrismaArguments(reader) : [] }
+}
+
+function findAttribute(attributes, name) {
+    return attributes.filter(function (a) { return a.name === name })[0] || null
+}
+
+/**
+ * An attribute argument by name, or the first positional one.
+ */
+function attributeArgument(attribute, name) {
+    if (!attribute) {
+        return null
+    }
+    const named = attribute.args.filter(function (a) { return a.name === name })[0]
+    if (named) {
+        return named.value
+    }
+    const positional = attribute.args.filter(function (a) { return a.name === null })[0]
+    return positional ? positional.value : null
+}
+
+function stringArgument(attribute, name) {
+    const value = attributeArgument(attribute, name)
+    return value && value.kind === 'string' ? value.value : null
+}
+
+/**
+ * Field names of a list argument: [a, b(sort: Desc)] -> ['a', 'b'].
+ */
+function listArgument(attribute, name) {
+    const value = attributeArgument(attribute, name)
+    if (!value || value.kind !== 'list') {
+        return []
+    }
+    return value.items.map(function (item) {
+        return item.kind === 'call' ? item.name : item.value
+    })
+}
+
+/**
+ * Read the body of a model or enum block into { lines, attributes }, where
+ * each line is { docs, name, type, typeArgs, list, optional, attributes }
+ * and attributes are the block's @@ attributes.
+ */
+function parsePrismaBlock(reader) {
+    const block = { lines: [], attributes: [] }
+    let docs = []
+    while (!reader.done()) {
+        const token = reader.peek()
+        if (token.kind === 'newline') {
+            reader.next()
+        } else if (token.kind === 'doc') {
+            docs.push(reader.next().value)
+        } else if (reader.acceptPunct('}')) {
+            break
+        } else if (reader.acceptPunct('@@')) {
+            block.attributes.push(readPrismaAttribute(reader))
+            reader.skipLine()
+        } else {
+            const line = { docs: docs, name: readName(reader), type: null, typeArgs: [], optional: false, list: false, attributes: [] }
+            docs = []
+            if (line.name === null) {
+                reader.skipLine()
+                reader.acceptPunct('}')
+                continue
+            }
+            if (reader.peek() && reader.peek().kind === 'word') {
+                line.type = reader.next().value
+                if (isPunct(reader.peek(), '(')) {
+                    line.typeArgs = readPrismaArguments(reader)
+                }
+                if (isPunct(reader.peek(), '[') && isPunct(reader.peek(1), ']')) {
+                    reader.next()
+                    reader.next()
+                    line.list = true
+                }
+                line.optional = reader.acceptPunct('?')
+            }
+            while (reader.acceptPunct('@')) {
+                line.attributes.push(readPrismaAttribute(reader))
+            }
+            reader.skipLine()
+            block.lines.push(line)
+        }
+    }
+    return block
+}
+
+/**
+ * Translate a Prisma @default() argument to the column's SQL default.
+ */
+function applyPrismaDefault(col, value, enumType, where, warnings) {
+    if (value.kind === 'call') {
+        if (value.name === 'autoincrement' || value.name === 'sequence') {
+            col.autoIncrement = true
+        } else if (value.name === 'now') {
+            col.default = 'CURRENT_TIMESTAMP'
+        } else if (value.name === 'uuid') {
+            col.default = 'gen_random_uuid()'
+        } else if (value.name === 'dbgenerated' && value.args.length > 0 && value.args[0].value.kind === 'string') {
+            col.default = value.args[0].value.value
+        } else {
+            warnings.push('Default ' + value.name + '() of ' + where + ' is generated by Prisma Client; not kept')
+        }
+    } else if (value.kind === 'string') {
+        col.default = sqlString(value.value)
+    } else if (value.kind === 'word' && enumType) {
+        const enumValue = enumType.values.filter(function (v) { return v.name === value.value })[0]
+        col.default = sqlString(enumValue ? enumValue.dbName : value.value)
+    } else if (value.kind === 'list') {
+        warnings.push('List default of ' + where + ' not kept')
+    } else {
+        col.default = value.value
+    }
+}
+
+/**
+ * Map a Prisma field type to a column type: the native type of @db.X
+ * when it is an ERD column type, otherwise the scalar's type.
+ */
+function applyPrismaType(col, line) {
+    if (line.type === 'Unsupported') {
+        const sql = line.typeArgs.length > 0 && line.typeArgs[0].value.kind === 'string' ? line.typeArgs[0].value.value : 'text'
+        applySqlType(col, sql)
+        return
+    }
+    col.type = PRISMA_SCALARS[line.type] || 'VARCHAR'
+    col.length = ''
+    const native = line.attributes.filter(function (a) { return a.name.indexOf('db.') === 0 })[0]
+    if (native) {
+        const name = native.name.substring(3).toLowerCase().replace(/^doubleprecision$/, 'double precision')
+        const args = native.args.map(function (a) { return a.value.value })
+        const mapped = ddlImporter.parseType(name + (args.length > 0 ? '(' + args.join(',') + ')' : ''))
+        if (ddlGenerator.COLUMN_TYPES.indexOf(mapped.type) !== -1) {
+            col.type = mapped.type
+            col.length = mapped.length
+        }
+    }
+}
+
+/**
+ * Parse a Prisma schema into a schema description (see ddl-importer.js
+ * parse()), with enums: [{ schema, name, values }]. Table and column
+ * names follow @@map / @map; datasource, generator, view and type blocks
+ * are skipped.
+ *
+ * @param {string} text - schema.prisma source
+ * @returns {Object} { tables, enums, warnings, skipped }
+ */
+function parsePrisma(text) {
+    const warnings = []
+    const models = []
+    const enums = []
+    let skipped = 0
+    const reader = createReader(tokenize(text), text)
+    let docs = []
+    while (!reader.done()) {
+        const token = reader.peek()
+        if (token.kind === 'newline') {
+            reader.next()
+        } else if (token.kind === 'doc') {
+            docs.push(reader.next().value)
+        } else if ((isWord(token, 'model') || isWord(token, 'enum')) && isName(reader.peek(1))) {
+            const kind = reader.next().value
+            const name = reader.next().value
+            while (!reader.done() && !isPunct(reader.peek(), '{')) {
+                reader.next()
+            }
+            reader.acceptPunct('{')
+            const block = parsePrismaBlock(reader)
+            const entry = { name: name, docs: docs, block: block }
+            if (kind === 'model') {
+                models.push(entry)
+            } else {
+                enums.push(entry)
+            }
+            docs = []
+        } else {
+            skipped++
+            if (isWord(token, 'view') || isWord(token, 'type')) {
+                warnings.push('Skipped Prisma ' + token.value + ' "' + (reader.peek(1) ? reader.peek(1).value : '') + '"')
+            }
+            while (!reader.done() && !isPunct(reader.peek(), '{') && reader.peek().kind !== 'newline') {
+                reader.next()
+            }
+            reader.skipGroup()
+            docs = []
+        }
+    }
+
+    function blockSchema(block) {
+        return stringArgument(findAttribute(block.attributes, 'schema'), 'name')
+    }
+
+    // Enums: database names from @@map and @map
+    const enumTypes = {}
+    const schemaEnums = enums.map(function (e) {
+        const type = {
+            schema: blockSchema(e.block),
+            name: stringArgument(findAttribute(e.block.attributes, 'map'), 'name') || e.name,
+            values: e.block.lines.map(function (line) {
+                return { name: line.name, dbName: stringArgument(findAttribute(line.attributes, 'map'), 'name') || line.name }
+            })
+        }
+        enumTypes[e.name] = type
+        return { schema: type.schema, name: type.name, values: type.values.map(function (v) { return v.dbName }) }
+    })
+
+    // Models: one table per model; relation fields become foreign keys below
+    const modelsByName = {}
+    models.forEach(function (m) {
+        m.table = createTable(blockSchema(m.block), stringArgument(findAttribute(m.block.attributes, 'map'), 'name') || m.name)
+        m.table.comment = m.docs.length > 0 ? m.docs.join('\n') : null
+        m.columns = {}
+        modelsByName[m.name] = m
+    })
+    models.forEach(function (m) {
+        m.block.lines.forEach(function (line) {
+            if (!line.type || modelsByName[line.type]) {
+                return
+            }
+            const col = createColumn(stringArgument(findAttribute(line.attributes, 'map'), 'name') || line.name)
+            const where = m.name + '.' + line.name
+            const enumType = enumTypes[line.type]
+            if (enumType) {
+                col.enum = enumType.name
+            } else {
+                if (!PRISMA_SCALARS[line.type] && line.type !== 'Unsupported') {
+                    warnings.push('Unknown type "' + line.type + '" of ' + where + '; using VARCHAR')
+                }
+                applyPrismaType(col, line)
+            }
+            if (line.list) {
+                warnings.push('List field ' + where + ' imported as a single ' + col.type + ' column')
+            }
+            col.nullable = line.optional
+            col.comment = line.docs.length > 0 ? line.docs.join('\n') : null
+            if (findAttribute(line.attributes, 'id')) {
+                col.primaryKey = true
+                col.nullable = false
+            }
+            if (findAttribute(line.attributes, 'unique')) {
+                col.unique = true
+            }
+            const defaultValue = attributeArgument(findAttribute(line.attributes, 'default'), 'value')
+            if (defaultValue) {
+                applyPrismaDefault(col, defaultValue, enumType, where, warnings)
+            }
+            finishColumn(col)
+            m.table.columns.push(col)
+            m.columns[line.name] = col
+        })
+    })
+
+    function columnNames(model, fields) {
+        return fields.map(function (f) {
+            return model.columns[f] ? model.columns[f].name : f
+        })
+    }
+
+    models.forEach(function (m) {
+        // Block attributes: composite keys and indexes
+        m.block.attributes.forEach(function (attr) {
+            if (attr.name !== 'id' && attr.name !== 'unique' && attr.name !== 'index') {
+                return
+            }
+            const type = attributeArgument(attr, 'type')
+            addIndex(m.table, {
+                columns: columnNames(m, listArgument(attr, 'fields')).map(function (name) { return { name: name } }),
+                pk: attr.name === 'id',
+                unique: attr.name === 'unique',
+                name: stringArgument(attr, 'map'),
+                using: type && type.kind === 'word' ? type.value : null
+            })
+        })
+
+        // Relation fields with fields/references hold the foreign key
+        m.block.lines.forEach(function (line) {
+            const target = modelsByName[line.type]
+            const relation = findAttribute(line.attributes, 'relation')
+            const fields = listArgument(relation, 'fields')
+            if (!target || fields.length === 0) {
+                return
+            }
+            m.table.foreignKeys.push({
+                name: stringArgument(relation, 'map'),
+                columns: columnNames(m, fields),
+                refSchema: target.table.schema,
+                refTable: target.table.name,
+                refColumns: columnNames(target, listArgument(relation, 'references'))
+            })
+        })
+    })
+
+    // Relation fields without fields/references on either side: list fields on
+    // both sides are an implicit many-to-many with a junction table, as Prisma
+    // creates it (_AToB, or _ + the relation name; A and B are the ids of the
+    // models in name order)
+    const junctions = []
+    const paired = {}
+    models.forEach(function (m) {
+        m.block.lines.forEach(function (line) {
+            const target = modelsByName[line.type]
+            const relation = findAttribute(line.attributes, 'relation')
+            if (!target || listArgument(relation, 'fields').length > 0) {
+                return
+            }
+            const relationName = stringArgument(relation, 'name')
+            const where = m.name + '.' + line.name
+            const back = target.block.lines.filter(function (other) {
+                return other !== line && other.type === m.name &&
+                    stringArgument(findAttribute(other.attributes, 'relation'), 'name') === relationName
+            })[0]
+            if (!back) {
+                warnings.push('Skipped relation field ' + where + ': ' + target.name + ' has no field for the other side')
+                return
+            }
+            if (listArgument(findAttribute(back.attributes, 'relation'), 'fields').length > 0) {
+                return
+            }
+            const sides = [{ model: m, field: line }, { model: target, field: back }].sort(function (a, b) {
+                return a.model.name === b.model.name ? (a.field.name < b.field.name ? -1 : 1) : (a.model.name < b.model.name ? -1 : 1)
+            })
+            const key = sides.map(function (side) { return side.model.name + '.' + side.field.name }).join('|')
+            if (paired[key]) {
+                return
+            }
+            paired[key] = true
+            const relationLabel = sides[0].model.name + '.' + sides[0].field.name + ' / ' + sides[1].model.name + '.' + sides[1].field.name
+            if (!line.list || !back.list) {
+                warnings.push('Skipped relation ' + relationLabel + ': neither side has @relation(fields: ..., references: ...)')
+                return
+            }
+            const ids = sides.map(function (side) {
+                return side.model.table.columns.filter(function (c) { return c.primaryKey })
+            })
+            const without = sides.filter(function (side, i) { return ids[i].length !== 1 })[0]
+            if (without) {
+                warnings.push('Skipped many-to-many relation ' + relationLabel + ': ' + without.model.name + ' has no single @id field')
+                return
+            }
+            const junction = createTable(sides[0].model.table.schema, '_' + (relationName || sides[0].model.name + 'To' + sides[1].model.name))
+            ;['A', 'B'].forEach(function (name, i) {
+                const col = createColumn(name)
+                col.type = ids[i][0].type
+                col.length = String(ids[i][0].length) === '-1' ? '' : ids[i][0].length
+                col.nullable = false
+                junction.columns.push(col)
+                junction.foreignKeys.push({
+                    name: junction.name + '_' + name + '_fkey',
+                    columns: [name],
+                    refSchema: sides[i].model.table.schema,
+                    refTable: sides[i].model.table.name,
+                    refColumns: [ids[i][0].name]
+                })
+            })
+            addIndex(junction, { columns: [{ name: 'A' }, { name: 'B' }], pk: true })
+            addIndex(junction, { columns: [{ name: 'B' }], name: junction.name + '_B_index' })
+            junctions.push(junction)
+        })
+    })
+
+    return {
+        tables: models.map(function (m) { return m.table }).concat(junctions),
+        enums: schemaEnums,
+        warnings: warnings,
+        skipped: skipped
+    }
+}
+
+// ============================================================
+// Model reading
+// ============================================================
+
+function isAutoIncrement(col) {
+    const type = (col.type || '').toUpperCase()
+    return SERIAL_TYPES.indexOf(type) !== -1 || (INTEGER_TYPES.indexOf(type) !== -1 && String(col.length) === '-1')
+}
+
+function hasLength(col) {
+    return col.length !== undefined && col.length !== null && col.length !== '' && String(col.length) !== '-1'
+}
+
+/**
+ * Enum types of a data model from its enum# tags: [{ name, values }].
+ */
+function getEnums(dataModel) {
+    return (dataModel.tags || []).filter(function (t) {
+        return t.name && t.name.indexOf(ENUM_PREFIX) === 0
+    }).map(function (t) {
+        return {
+            name: t.name.substring(ENUM_PREFIX.length),
+            values: (t.value || '').split('\n').map(function (v) { return v.trim() }).filter(function (v) { return v !== '' })
+        }
+    })
+}
+
+/**
+ * The data models to write (all, or only dataModelId), each with its
+ * schema tag, entities and enums.
+ */
+function collectModels(dataModelId) {
+    let dataModels = app.repository.select('@ERDDataModel')
+    if (dataModelId) {
+        dataModels = dataModels.filter(function (dm) {
+            return dm._id === dataModelId
+        })
+    }
+    const allEntities = app.repository.select('@ERDEntity')
+    return dataModels.map(function (dataModel) {
+        return {
+            dataModel: dataModel,
+            schema: ddlGenerator.getTagValue(dataModel, 'schema') || null,
+            entities: allEntities.filter(function (e) {
+                return e._parent && e._parent._id === dataModel._id
+            }),
+            enums: getEnums(dataModel)
+        }
+    })
+}
+
+/**
+ * Find the enum a column's 'enum' tag names, in its own data model first.
+ * Returns { model, enum } or null.
+ */
+function findColumnEnum(models, model, col) {
+    const name = ddlGenerator.getTagValue(col, 'enum')
+    if (!name) {
+        return null
+    }
+    const candidates = [model].concat(models.filter(function (m) { return m !== model }))
+    for (let i = 0; i < candidates.length; i++) {
+        const found = candidates[i].enums.filter(function (e) { return e.name === name })[0]
+        if (found) {
+            return { model: candidates[i], enum: found }
+        }
+    }
+    return null
+}
+
+/**
+ * Foreign keys of an entity as [{ columns, refEntity, refColumns }].
+ * Columns that together reference every column of a composite primary
+ * key form one key; other reference columns are keys of their own.
+ */
+function collectForeignKeys(entity) {
+    const targets = []
+    const columnsByTarget = new Map()
+    const columns = entity.columns || []
+    columns.forEach(function (col) {
+        if (!col.referenceTo || !col.referenceTo._parent) {
+            return
+        }
+        const refEntity = col.referenceTo._parent
+        if (!columnsByTarget.has(refEntity)) {
+            columnsByTarget.set(refEntity, [])
+            targets.push(refEntity)
+        }
+        columnsByTarget.get(refEntity).push(col)
+    })
+    const keys = []
+    targets.forEach(function (refEntity) {
+        const cols = columnsByTarget.get(refEntity)
+        const refs = cols.map(function (c) { return c.referenceTo })
+        const pk = (refEntity.columns || []).filter(function (c) { return c.primaryKey })
+        if (pk.length > 1 && cols.length === pk.length && pk.every(function (c) { return refs.indexOf(c) !== -1 })) {
+            keys.push({ columns: cols, refEntity: refEntity, refColumns: refs })
+        } else {
+            cols.forEach(function (c) {
+                keys.push({ columns: [c], refEntity: refEntity, refColumns: [c.referenceTo] })
+            })
+        }
+    })
+    return keys
+}
+
+/**
+ * Parse an index# statement "CREATE [UNIQUE] INDEX name ON table [USING x] (a, lower(b))".
+ * Returns { unique, name, using, columns: [{ name } | { expression }] }, or
+ * null for other statements and for partial or covering indexes.
+ */
+function parseIndexStatement(statement) {
+    const match = /^\s*CREATE\s+(UNIQUE\s+)?INDEX\s+(?:CONCURRENTLY\s+)?(?:IF\s+NOT\s+EXISTS\s+)?(?:("[^"]+"|[\w.$`[\]]+)\s+)?ON\s+(?:(?:"[^"]*"|[^\s(".]+)\.)*(?:"[^"]*"|[^\s(".]+)\s*(?:USING\s+(\w+)\s*)?\(/i.exec(statement)
+    if (!match) {
+        return null
+    }
+    const parts = []
+    let depth = 1
+    let current = ''
+    let i = match[0].length
+    for (; i < statement.length && depth > 0; i++) {
+        const ch = statement[i]
+        if (ch === '(') {
+            depth++
+        } else if (ch === ')') {
+            depth--
+        }
+        if (depth === 1 && ch === ',') {
+            parts.push(current.trim())
+            current = ''
+        } else if (depth > 0) {
+            current += ch
+        }
+    }
+    parts.push(current.trim())
+    if (depth > 0 || !/^[\s;]*$/.test(statement.substring(i))) {
+        return null
+    }
+    const unquote = function (name) {
+        return name.replace(/^["`[]|["`\]]$/g, '')
+    }
+    return {
+        unique: !!match[1],
+        name: match[2] ? unquote(match[2]) : null,
+        using: match[3] || null,
+        columns: parts.filter(function (p) { return p !== '' }).map(function (p) {
+            const plain = /^("[^"]+"|`[^`]+`|\[[^\]]+\]|[\w$]+)(\s+(ASC|DESC))?$/i.exec(p)
+            return plain ? { name: unquote(plain[1]) } : { expression: p.replace(/^\(([\s\S]*)\)$/, '$1') }
+        })
+    }
+}
+
+function writeOutput(text, path) {
+    if (path) {
+        fs.writeFileSync(path, text, 'utf8')
+    }
+}
+
+// ============================================================
+// DBML writer
+// ============================================================
+
+function dbmlName(name) {
+    return SIMPLE_NAME.test(name) ? name : '"' + name.replace(/\\/g, '\\\\').replace(/"/g, '\\"') + '"'
+}
+
+function dbmlString(text) {
+    if (text.indexOf('\n') !== -1 && text.indexOf("'''") === -1) {
+        return "'''" + text + "'''"
+    }
+    return "'" + text.replace(/\\/g, '\\\\').replace(/'/g, "\\'").replace(/\n/g, '\\n') + "'"
+}
+
+function dbmlQualified(schema, name) {
+    return (schema ? dbmlName(schema) + '.' : '') + dbmlName(name)
+}
+
+function dbmlDefault(value) {
+    const v = value.trim()
+    if (/^-?\d+(\.\d+)?$/.test(v)) {
+        return v
+    }
+    if (/^(true|false|null)$/i.test(v)) {
+        return v.toLowerCase()
+    }
+    const literal = /^'((?:[^']|'')*)'$/.exec(v)
+    if (literal) {
+        return dbmlString(literal[1].split("''").join("'"))
+    }
+    return '`' + v + '`'
+}
+
+function dbmlType(col) {
+    const type = (col.type || 'VARCHAR').toLowerCase()
+    const text = type + (hasLength(col) ? '(' + col.length + ')' : '')
+    return /^[\w]+(\([\w, ]*\))?$/.test(text) ? text : '"' + text + '"'
+}
+
+/**
+ * Write the data models (all, or only dataModelId) as DBML.
+ *
+ * @param {Object} options - { dataModelId, path }
+ * @returns {Object} { text, entities, warnings }
+ */
+function generateDBML(options) {
+    const models = collectModels(options.dataModelId)
+    const warnings = []
+    const entities = []
+    const tableNames = new Map()
+    models.forEach(function (m) {
+        m.entities.forEach(function (e) {
+            entities.push(e)
+            tableNames.set(e, dbmlQualified(m.schema, ddlGenerator.getTableName(e)))
+        })
+    })
+
+    const lines = []
+    lines.push('// DBML generated by StarUML Controller')
+    lines.push('// Date: ' + new Date().toLocaleString())
+    lines.push('')
+
+    models.forEach(function (m) {
+        m.enums.forEach(function (e) {
+            lines.push('Enum ' + dbmlQualified(m.schema, e.name) + ' {')
+            e.values.forEach(function (v) {
+                lines.push('  ' + dbmlName(v))
+            })
+            lines.push('}')
+            lines.push('')
+        })
+    })
+
+    const refs = []
+    models.forEach(function (m) {
+        m.entities.forEach(function (entity) {
+            const tableName = ddlGenerator.getTableName(entity)
+            const columns = entity.columns || []
+            const pkColumns = columns.filter(function (c) { return c.primaryKey })
+            lines.push('Table ' + tableNames.get(entity) + ' {')
+            columns.forEach(function (col) {
+                const colEnum = findColumnEnum(models, m, col)
+                if (ddlGenerator.getTagValue(col, 'enum') && !colEnum) {
+                    warnings.push('Enum "' + ddlGenerator.getTagValue(col, 'enum') + '" of ' + tableName + '.' + ddlGenerator.getColumnName(col) + ' is not defined; wrote the column type')
+                }
+                const settings = []
+                if (col.primaryKey && pkColumns.length === 1) {
+                    settings.push('pk')
+                }
+                if (isAutoIncrement(col) && SERIAL_TYPES.indexOf((col.type || '').toUpperCase()) === -1) {
+                    settings.push('increment')
+                }
+                if (!col.nullable && !(col.primaryKey && pkColumns.length === 1)) {
+                    settings.push('not null')
+                }
+                if (col.unique && !col.primaryKey) {
+                    settings.push('unique')
+                }
+                const defaultValue = ddlGenerator.getTagValue(col, 'default')
+                if (defaultValue) {
+                    settings.push('default: ' + dbmlDefault(defaultValue))
+                }
+                if (col.documentation) {
+                    settings.push('note: ' + dbmlString(col.documentation))
+                }
+                const type = colEnum ? dbmlQualified(colEnum.model.schema, colEnum.enum.name) : dbmlType(col)
+                lines.push('  ' + dbmlName(ddlGenerator.getColumnName(col)) + ' ' + type + (settings.length > 0 ? ' [' + settings.join(', ') + ']' : ''))
+            })
+
+            const indexLines = []
+            if (pkColumns.length > 1) {
+                indexLines.push('(' + pkColumns.map(function (c) { return dbmlName(ddlGenerator.getColumnName(c)) }).join(', ') + ') [pk]')
+            }
+            const tags = entity.tags || []
+            tags.forEach(function (tag) {
+                if (!tag.name || tag.name.indexOf(INDEX_PREFIX) !== 0) {
+                    if (tag.name && tag.name.indexOf(SEQUENCE_PREFIX) === 0) {
+                        warnings.push('Sequence "' + tag.name.substring(SEQUENCE_PREFIX.length) + '" of ' + tableName + ' not written (DBML has no sequences)')
+                    }
+                    return
+                }
+                const index = parseIndexStatement(tag.value || '')
+                if (!index) {
+                    warnings.push('Index "' + tag.name.substring(INDEX_PREFIX.length) + '" of ' + tableName + ' could not be read; not written')
+                    return
+                }
+                const parts = index.columns.map(function (c) { return c.name ? dbmlName(c.name) : '`' + c.expression + '`' })
+                const settings = []
+                if (index.unique) {
+                    settings.push('unique')
+                }
+                settings.push('name: ' + dbmlString(tag.name.substring(INDEX_PREFIX.length)))
+                if (index.using) {
+                    settings.push('type: ' + index.using.toLowerCase())
+                }
+                indexLines.push((parts.length === 1 ? parts[0] : '(' + parts.join(', ') + ')') + ' [' + settings.join(', ') + ']')
+            })
+            if (indexLines.length > 0) {
+                lines.push('')
+                lines.push('  indexes {')
+                indexLines.forEach(function (l) {
+                    lines.push('    ' + l)
+                })
+                lines.push('  }')
+            }
+            if (entity.documentation) {
+                lines.push('')
+                lines.push('  Note: ' + dbmlString(entity.documentation))
+            }
+            lines.push('}')
+            lines.push('')
+
+            collectForeignKeys(entity).forEach(function (key) {
+                if (!tableNames.has(key.refEntity)) {
+                    warnings.push('Reference from ' + tableName + ' to "' + key.refEntity.name + '" not written: the table is not exported')
+                    return
+                }
+                function endpoint(table, cols) {
+                    const names = cols.map(function (c) { return dbmlName(ddlGenerator.getColumnName(c)) })
+                    return table + '.' + (names.length === 1 ? names[0] : '(' + names.join(', ') + ')')
+                }
+                const col = key.columns[0]
+                const oneToOne = key.columns.length === 1 && (col.unique || (col.primaryKey && pkColumns.length === 1))
+                refs.push('Ref: ' + endpoint(tableNames.get(entity), key.columns) + (oneToOne ? ' - ' : ' > ') + endpoint(tableNames.get(key.refEntity), key.refColumns))
+            })
+        })
+    })
+
+    refs.forEach(function (r) {
+        lines.push(r)
+    })
+    if (refs.length > 0) {
+        lines.push('')
+    }
+
+    const text = lines.join('\n')
+    writeOutput(text, options.path)
+    return { text: text, entities: entities, warnings: warnings }
+}
+
+// ============================================================
+// Prisma writer
+// ============================================================
+
+/**
+ * A valid Prisma identifier for a database name; names that had to
+ * change are mapped back with @map / @@map.
+ */
+function prismaIdentifier(name, prefix) {
+    const cleaned = name.replace(/[^A-Za-z0-9_]/g, '_')
+    return /^[A-Za-z]/.test(cleaned) ? cleaned : prefix + cleaned
+}
+
+function uniqueName(used, base) {
+    let name = base
+    for (let i = 2; used.indexOf(name) !== -1; i++) {
+        name = base + i
+    }
+    used.push(name)
+    return name
+}
+
+function lowerFirst(text) {
+    return text.charAt(0).toLowerCase() + text.substring(1)
+}
+
+function prismaString(text) {
+    return JSON.stringify(text)
+}
+
+function prismaDefault(value, scalar, enumType) {
+    const v = value.trim()
+    if (/^(now\(\)|current_timestamp(\(\))?)$/i.test(v)) {
+        return 'now()'
+    }
+    if (/^(gen_random_uuid|uuid_generate_v4)\(\)$/i.test(v)) {
+        return 'uuid()'
+    }
+    const literal = /^'((?:[^']|'')*)'$/.exec(v)
+    if (literal) {
+        const text = literal[1].split("''").join("'")
+        const enumValue = enumType ? enumType.values.filter(function (ev) { return ev.dbName === text })[0] : null
+        if (enumValue) {
+            return enumValue.name
+        }
+        if (scalar === 'String') {
+            return prismaString(text)
+        }
+    }
+    if (/^-?\d+(\.\d+)?$/.test(v) && NUMERIC_SCALARS.indexOf(scalar) !== -1) {
+        return v
+    }
+    if (/^(true|false)$/i.test(v) && scalar === 'Boolean') {
+        return v.toLowerCase()
+    }
+    return 'dbgenerated(' + prismaString(v) + ')'
+}
+
+/**
+ * Field lines aligned the way `prisma format` does: name, type, attributes.
+ */
+function pushPrismaFields(lines, fields) {
+    const nameWidth = Math.max.apply(null, fields.map(function (f) { return f.name.length }).concat([0]))
+    const typeWidth = Math.max.apply(null, fields.map(function (f) { return f.type.length }).concat([0]))
+    fields.forEach(function (f) {
+        f.docs.forEach(function (d) {
+            lines.push('  /// ' + d)
+        })
+        const attrs = f.attributes.join(' ')
+        lines.push(('  ' + f.name + ' '.repeat(nameWidth - f.name.length + 1) + f.type + (attrs ? ' '.repeat(typeWidth - f.type.length + 1) + attrs : '')).replace(/\s+$/, ''))
+    })
+}
+
+function docLines(text) {
+    return text ? text.split('\n') : []
+}
+
+/**
+ * Write the data models (all, or only dataModelId) as a Prisma schema
+ * for the postgresql provider.
+ *
+ * @param {Object} options - { dataModelId, path }
+ * @returns {Object} { text, entities, warnings }
+ */
+function generatePrisma(options) {
+    const models = collectModels(options.dataModelId)
+    const warnings = []
+    const entities = []
+    const usedModelNames = []
+    const multiSchema = models.some(function (m) { return !!m.schema })
+
+    // Enum types, keyed by data model and enum name
+    const enumTypes = []
+    models.forEach(function (m) {
+        m.enums.forEach(function (e) {
+            const usedValues = []
+            enumTypes.push({
+                model: m,
+                source: e,
+                name: uniqueName(usedModelNames, prismaIdentifier(e.name, 'E')),
+                values: e.values.map(function (v) {
+                    return { name: uniqueName(usedValues, prismaIdentifier(v, 'V')), dbName: v }
+                })
+            })
+        })
+    })
+    function enumTypeOf(model, col) {
+        const found = findColumnEnum(models, model, col)
+        return found ? enumTypes.filter(function (t) { return t.model === found.model && t.source === found.enum })[0] : null
+    }
+
+    // One Prisma model per entity
+    const infos = new Map()
+    models.forEach(function (m) {
+        m.entities.forEach(function (entity) {
+            entities.push(entity)
+            const tableName = ddlGenerator.getTableName(entity)
+            const info = { entity: entity, model: m, tableName: tableName, name: uniqueName(usedModelNames, prismaIdentifier(tableName, 'T')), usedFields: [], fields: [], fieldOf: new Map() }
+            const columns = entity.columns || []
+            columns.forEach(function (col) {
+                info.fieldOf.set(col, uniqueName(info.usedFields, prismaIdentifier(ddlGenerator.getColumnName(col), 'c')))
+            })
+            infos.set(entity, info)
+        })
+    })
+
+    // Columns
+    infos.forEach(function (info) {
+        const columns = info.entity.columns || []
+        const pkColumns = columns.filter(function (c) { return c.primaryKey })
+        columns.forEach(function (col) {
+            const columnName = ddlGenerator.getColumnName(col)
+            const enumType = enumTypeOf(info.model, col)
+            const upper = (col.type || 'VARCHAR').toUpperCase()
+            const mapping = enumType ? null : PRISMA_TYPES[upper]
+            const scalar = enumType ? enumType.name : mapping ? mapping.scalar : 'Unsupported(' + prismaString(dbmlType(col).replace(/"/g, '')) + ')'
+            if (ddlGenerator.getTagValue(col, 'enum') && !enumType) {
+                warnings.push('Enum "' + ddlGenerator.getTagValue(col, 'enum') + '" of ' + info.tableName + '.' + columnName + ' is not defined; wrote the column type')
+            }
+            const attributes = []
+            if (col.primaryKey && pkColumns.length === 1) {
+                attributes.push('@id')
+            }
+            if (col.unique && !(col.primaryKey && pkColumns.length === 1)) {
+                attributes.push('@unique')
+            }
+            const defaultValue = ddlGenerator.getTagValue(col, 'default')
+            if (isAutoIncrement(col)) {
+                attributes.push('@default(autoincrement())')
+            } else if (defaultValue) {
+                attributes.push('@default(' + prismaDefault(defaultValue, mapping ? mapping.scalar : null, enumType) + ')')
+            }
+            if (info.fieldOf.get(col) !== columnName) {
+                attributes.push('@map(' + prismaString(columnName) + ')')
+            }
+            if (mapping && mapping.native && (!mapping.hasLength || hasLength(col))) {
+                attributes.push('@db.' + mapping.native + (mapping.hasLength ? '(' + String(col.length).replace(/\s*,\s*/g, ', ') + ')' : ''))
+            }
+            info.fields.push({
+                name: info.fieldOf.get(col),
+                type: scalar + (col.nullable && !col.primaryKey ? '?' : ''),
+                attributes: attributes,
+                docs: docLines(col.documentation)
+            })
+        })
+    })
+
+    // Relations: a relation field on the referencing model, a back-relation on the referenced one
+    const keys = []
+    infos.forEach(function (info) {
+        collectForeignKeys(info.entity).forEach(function (key) {
+            if (!infos.has(key.refEntity)) {
+                warnings.push('Reference from ' + info.tableName + ' to "' + key.refEntity.name + '" not written: the table is not exported')
+                return
+            }
+            keys.push({ info: info, target: infos.get(key.refEntity), key: key })
+        })
+    })
+    keys.forEach(function (k) {
+        const between = keys.filter(function (o) {
+            return (o.info === k.info && o.target === k.target) || (o.info === k.target && o.target === k.info)
+        })
+        const cols = k.key.columns
+        const fieldNames = cols.map(function (c) { return k.info.fieldOf.get(c) })
+        const relationName = between.length > 1 || k.info === k.target ? k.info.name + '_' + fieldNames.join('_') : null
+        const stripped = cols.length === 1 ? fieldNames[0].replace(/_?id$/i, '') : ''
+        const fieldName = uniqueName(k.info.usedFields, stripped && stripped !== fieldNames[0] ? stripped : lowerFirst(k.target.name))
+        const optional = cols.some(function (c) { return c.nullable && !c.primaryKey })
+        const args = (relationName ? prismaString(relationName) + ', ' : '') +
+            'fields: [' + fieldNames.join(', ') + '], references: [' + k.key.refColumns.map(function (c) { return k.target.fieldOf.get(c) }).join(', ') + ']'
+        k.info.fields.push({ name: fieldName, type: k.target.name + (optional ? '?' : ''), attributes: ['@relation(' + args + ')'], docs: [] })
+
+        const pkCount = (k.info.entity.columns || []).filter(function (c) { return c.primaryKey }).length
+        const oneToOne = cols.length === 1 && (cols[0].unique || (cols[0].primaryKey && pkCount === 1))
+        const backBase = lowerFirst(k.info.name) + (oneToOne || /s$/.test(k.info.name) ? '' : 's')
+        k.target.fields.push({
+            name: uniqueName(k.target.usedFields, backBase),
+            type: k.info.name + (oneToOne ? '?' : '[]'),
+            attributes: relationName ? ['@relation(' + prismaString(relationName) + ')'] : [],
+            docs: []
+        })
+    })
+
+    const lines = []
+    lines.push('// Prisma schema generated by StarUML Controller')
+    lines.push('// Date: ' + new Date().toLocaleString())
+    lines.push('')
+    lines.push('generator client {')
+    lines.push('  provider = "prisma-client-js"')
+    lines.push('}')
+    lines.push('')
+    lines.push('datasource db {')
+    lines.push('  provider = "postgresql"')
+    lines.push('  url      = env("DATABASE_URL")')
+    if (multiSchema) {
+        const schemas = []
+        models.forEach(function (m) {
+            const schema = m.schema || 'public'
+            if (schemas.indexOf(schema) === -1) {
+                schemas.push(schema)
+            }
+        })
+        lines.push('  schemas  = [' + schemas.map(prismaString).join(', ') + ']')
+    }
+    lines.push('}')
+    lines.push('')
+
+    infos.forEach(function (info) {
+        const columns = info.entity.columns || []
+        const pkColumns = columns.filter(function (c) { return c.primaryKey })
+        const blockAttributes = []
+        if (pkColumns.length > 1) {
+            blockAttributes.push('@@id([' + pkColumns.map(function (c) { return info.fieldOf.get(c) }).join(', ') + '])')
+        } else if (pkColumns.length === 0 && !columns.some(function (c) { return c.unique })) {
+            warnings.push('Model ' + info.name + ' has no primary key or unique column; Prisma needs one')
+        }
+        const tags = info.entity.tags || []
+        tags.forEach(function (tag) {
+            if (!tag.name || tag.name.indexOf(INDEX_PREFIX) !== 0) {
+                return
+            }
+            const indexName = tag.name.substring(INDEX_PREFIX.length)
+            const index = parseIndexStatement(tag.value || '')
+            const fields = index ? index.columns.map(function (c) {
+                const col = c.name ? columns.filter(function (x) { return ddlGenerator.getColumnName(x) === c.name })[0] : null
+                return col ? info.fieldOf.get(col) : null
+            }) : []
+            if (!index || fields.indexOf(null) !== -1) {
+                warnings.push('Index "' + indexName + '" of ' + info.tableName + ' is not on plain columns; not written')
+                return
+            }
+            blockAttributes.push((index.unique ? '@@unique' : '@@index') + '([' + fields.join(', ') + '], map: ' + prismaString(indexName) +
+                (index.using && !index.unique ? ', type: ' + index.using.charAt(0).toUpperCase() + index.using.substring(1).toLowerCase() : '') + ')')
+        })
+        if (info.name !== info.tableName) {
+            blockAttributes.push('@@map(' + prismaString(info.tableName) + ')')
+        }
+        if (multiSchema) {
+            blockAttributes.push('@@schema(' + prismaString(info.model.schema || 'public') + ')')
+        }
+
+        docLines(info.entity.documentation).forEach(function (d) {
+            lines.push('/// ' + d)
+        })
+        lines.push('model ' + info.name + ' {')
+        pushPrismaFields(lines, info.fields)
+        if (blockAttributes.length > 0) {
+            lines.push('')
+            blockAttributes.forEach(function (a) {
+                lines.push('  ' + a)
+            })
+        }
+        lines.push('}')
+        lines.push('')
+    })
+
+    enumTypes.forEach(function (t) {
+        lines.push('enum ' + t.name + ' {')
+        t.values.forEach(function (v) {
+            lines.push('  ' + v.name + (v.name !== v.dbName ? ' @map(' + prismaString(v.dbName) + ')' : ''))
+        })
+        const blockAttributes = []
+        if (t.name !== t.source.name) {
+            blockAttributes.push('@@map(' + prismaString(t.source.name) + ')')
+        }
+        if (multiSchema) {
+            blockAttributes.push('@@schema(' + prismaString(t.model.schema || 'public') + ')')
+        }
+        if (blockAttributes.length > 0) {
+            lines.push('')
+            blockAttributes.forEach(function (a) {
+                lines.push('  ' + a)
+            })
+        }
+        lines.push('}')
+        lines.push('')
+    })
+
+    const text = lines.join('\n')
+    writeOutput(text, options.path)
+    return { text: text, entities: entities, warnings: warnings }
+}
+
+exports.parseDBML = parseDBML
+exports.parsePrisma = parsePrisma
+exports.generateDBML = generateDBML
+exports.generatePrisma = generatePrisma
+exports.getEnums = getEnums
+exports.collectForeignKeys = collectForeignKeys
+exports.parseIndexStatement = parseIndexStatement
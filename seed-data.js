@@ -0,0 +1,947 @@
+/**
+ * Seed Data for StarUML Controller
+ *
+ * Generates INSERT scripts or JSON fixtures with a number of rows for every
+ * entity of an ERD data model. Values follow each column's type, length,
+ * nullable and unique flags. Foreign key columns take the key of a row
+ * generated for the referenced table, and tables are written referenced
+ * tables first (ddl-generator's closeOverForeignKeys), so the rows load
+ * without breaking referential integrity.
+ *
+ * The output depends only on the model and the seed: every column draws
+ * from its own pseudo-random stream, seeded from the seed and the table and
+ * column names, so adding a column or a table leaves the other values as
+ * they were.
+ *
+ * A column's 'seed' tag chooses its values:
+ *
+ *   email, firstName, city, ...   a named generator (GENERATORS)
+ *   range:1..100                  numbers, dates or times in the range
+ *   pick:draft|sent|paid          one of the values
+ *   pattern:INV-####              # digit, ? letter, other characters kept
+ *   const:EUR                     always this value
+ *   null                          always NULL
+ *
+ * Without a tag, columns with an 'enum' tag take the enum's values and text
+ * columns are guessed from their names (email, phone, city, ...).
+ */
+
+const fs = require('fs')
+const ddlDialects = require('./ddl-dialects')
+const ddlGenerator = require('./ddl-generator')
+const schemaFormats = require('./schema-formats')
+
+const FORMATS = ['sql', 'json']
+const MAX_ROWS = 1000
+const DEFAULT_ROWS = 10
+const DEFAULT_SEED = 1
+
+// Share of NULLs in nullable columns without a seed tag
+const NULL_RATE = 0.1
+// Tries to find a value not used yet before a unique column gives up on a row
+const MAX_ATTEMPTS = 20
+
+const INTEGER_TYPES = ['SMALLINT', 'INTEGER', 'INT', 'BIGINT', 'TINYINT', 'SERIAL', 'BIGSERIAL']
+const FLOAT_TYPES = ['FLOAT', 'DOUBLE', 'REAL']
+const DECIMAL_TYPES = ['DECIMAL', 'NUMERIC']
+const TEMPORAL_TYPES = ['DATE', 'TIME', 'DATETIME', 'TIMESTAMP']
+const BINARY_TYPES = ['BLOB', 'BINARY', 'VARBINARY']
+const JSON_TYPES = ['JSON', 'JSONB']
+
+// Largest value generated for integer columns without a range
+const INTEGER_MAX = { TINYINT: 127, DEFAULT: 1000 }
+
+// Dates without a range fall between these (UTC)
+const DATE_FROM = Date.UTC(2020, 0, 1)
+const DATE_TO = Date.UTC(2025, 11, 31, 23, 59, 59)
+
+// ============================================================
+// Word lists
+// ============================================================
+
+const FIRST_NAMES = [
+    'James', 'Mary', 'Robert', 'Patricia', 'John', 'Jennifer', 'Michael', 'Linda', 'David', 'Elizabeth',
+    'William', 'Barbara', 'Richard', 'Susan', 'Joseph', 'Jessica', 'Thomas', 'Sarah', 'Daniel', 'Karen',
+    'Yuki', 'Hiro', 'Amara', 'Luca', 'Sofia', 'Mateo', 'Aisha', 'Noah', 'Emma', 'Omar'
+]
+
+const LAST_NAMES = [
+    'Smith', 'Johnson', 'Williams', 'Brown', 'Jones', 'Garcia', 'Miller', 'Davis', 'Rodriguez', 'Martinez',
+    'Hernandez', 'Lopez', 'Wilson', 'Anderson', 'Thomas', 'Taylor', 'Moore', 'Jackson', 'Martin', 'Lee',
+    'Tanaka', 'Sato', 'Okafor', 'Rossi', 'Novak', 'Silva', 'Khan', 'Kim', 'Nguyen', 'Schmidt'
+]
+
+const CITIES = [
+    'Springfield', 'Riverside', 'Fairview', 'Madison', 'Georgetown', 'Franklin', 'Clinton', 'Arlington',
+    'Salem', 'Ashland', 'Burlington', 'Oxford', 'Milton', 'Newport', 'Kingston', 'Lakewood'
+]
+
+const COUNTRIES = [
+    'United States', 'Canada', 'Mexico', 'Brazil', 'United Kingdom', 'France', 'Germany', 'Italy',
+    'Spain', 'Japan', 'South Korea', 'India', 'Australia', 'Nigeria', 'Kenya', 'Sweden'
+]
+
+const STREET_SUFFIXES = ['Street', 'Avenue', 'Road', 'Lane', 'Drive', 'Court']
+const COMPANY_SUFFIXES = ['Inc', 'LLC', 'Ltd', 'Group', 'Partners', 'Labs']
+
+// Domains reserved for documentation (RFC 2606)
+const DOMAINS = ['example.com', 'example.org', 'example.net']
+
+const WORDS = [
+    'alpha', 'amber', 'anchor', 'apple', 'arrow', 'atlas', 'beacon', 'birch', 'bloom', 'breeze',
+    'canyon', 'cedar', 'comet', 'coral', 'crystal', 'delta', 'ember', 'falcon', 'fern', 'forest',
+    'galaxy', 'garnet', 'glacier', 'harbor', 'horizon', 'island', 'jade', 'juniper', 'lagoon', 'lantern',
+    'maple', 'meadow', 'meteor', 'nebula', 'oasis', 'orbit', 'pebble', 'pine', 'prairie', 'quartz',
+    'raven', 'ridge', 'river', 'saffron', 'summit', 'thunder', 'timber', 'valley', 'willow', 'zephyr'
+]
+
+const LETTERS = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ'
+
+// ============================================================
+// Random numbers
+// ============================================================
+
+/**
+ * 32-bit FNV-1a hash of a string.
+ */
+function hashString(text) {
+    let hash = 0x811c9dc5
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i)
+        hash = Math.imul(hash, 0x01000193)
+    }
+    return hash >>> 0
+}
+
+/**
+ * Pseudo-random stream (mulberry32) for one seed and key.
+ */
+function createRandom(seed, key) {
+    let state = hashString(seed + '/' + key)
+
+    function next() {
+        state = (state + 0x6D2B79F5) | 0
+        let t = Math.imul(state ^ (state >>> 15), 1 | state)
+        t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296
+    }
+
+    return {
+        next: next,
+        int: function (min, max) {
+            return min + Math.floor(next() * (max - min + 1))
+        },
+        pick: function (list) {
+            return list[Math.floor(next() * list.length)]
+        },
+        chance: function (probability) {
+            return next() < probability
+        },
+        shuffle: function (list) {
+            const result = list.slice()
+            for (let i = result.length - 1; i > 0; i--) {
+                const j = Math.floor(next() * (i + 1))
+                const tmp = result[i]
+                result[i] = result[j]
+                result[j] = tmp
+            }
+            return result
+        }
+    }
+}
+
+// ============================================================
+// Generators
+// ============================================================
+
+function pad(number, width) {
+    let text = String(number)
+    while (text.length < width) {
+        text = '0' + text
+    }
+    return text
+}
+
+function capitalize(word) {
+    return word.charAt(0).toUpperCase() + word.substring(1)
+}
+
+function words(random, min, max) {
+    const count = random.int(min, max)
+    const result = []
+    for (let i = 0; i < count; i++) {
+        result.push(random.pick(WORDS))
+    }
+    return result
+}
+
+function letters(random, count) {
+    let text = ''
+    for (let i = 0; i < count; i++) {
+        text += LETTERS.charAt(random.int(0, LETTERS.length - 1))
+    }
+    return text
+}
+
+function hexBytes(random, count) {
+    let hex = ''
+    for (let i = 0; i < count; i++) {
+        hex += pad(random.int(0, 255).toString(16), 2)
+    }
+    return hex
+}
+
+function uuid(random) {
+    const hex = hexBytes(random, 16).split('')
+    hex[12] = '4'
+    hex[16] = '89ab'.charAt(parseInt(hex[16], 16) & 3)
+    const text = hex.join('')
+    return text.substring(0, 8) + '-' + text.substring(8, 12) + '-' + text.substring(12, 16) + '-' + text.substring(16, 20) + '-' + text.substring(20)
+}
+
+function fromPattern(random, pattern) {
+    return pattern.replace(/[#?]/g, function (c) {
+        return c === '#' ? String(random.int(0, 9)) : letters(random, 1)
+    })
+}
+
+// Named generators for the 'seed' tag and for columns guessed by name
+const GENERATORS = {
+    firstName: function (random) {
+        return random.pick(FIRST_NAMES)
+    },
+    lastName: function (random) {
+        return random.pick(LAST_NAMES)
+    },
+    fullName: function (random) {
+        return random.pick(FIRST_NAMES) + ' ' + random.pick(LAST_NAMES)
+    },
+    username: function (random) {
+        return (random.pick(FIRST_NAMES) + '.' + random.pick(LAST_NAMES)).toLowerCase() + random.int(1, 99)
+    },
+    email: function (random) {
+        return (random.pick(FIRST_NAMES) + '.' + random.pick(LAST_NAMES)).toLowerCase() + random.int(1, 999) + '@' + random.pick(DOMAINS)
+    },
+    phone: function (random) {
+        return '+1-555-' + pad(random.int(0, 9999), 4)
+    },
+    company: function (random) {
+        return random.pick(LAST_NAMES) + ' ' + random.pick(COMPANY_SUFFIXES)
+    },
+    street: function (random) {
+        return random.int(1, 999) + ' ' + capitalize(random.pick(WORDS)) + ' ' + random.pick(STREET_SUFFIXES)
+    },
+    city: function (random) {
+        return random.pick(CITIES)
+    },
+    country: function (random) {
+        return random.pick(COUNTRIES)
+    },
+    postalCode: function (random) {
+        return pad(random.int(0, 99999), 5)
+    },
+    url: function (random) {
+        return 'https://www.' + random.pick(DOMAINS) + '/' + random.pick(WORDS)
+    },
+    word: function (random) {
+        return random.pick(WORDS)
+    },
+    title: function (random) {
+        return words(random, 2, 3).map(capitalize).join(' ')
+    },
+    sentence: function (random) {
+        return capitalize(words(random, 6, 12).join(' ')) + '.'
+    },
+    code: function (random) {
+        return fromPattern(random, '???-####')
+    },
+    uuid: uuid
+}
+
+// Generators guessed from text column names, first match wins
+const NAME_GENERATORS = [
+    [/e-?mail/, 'email'],
+    [/^(first|given)_?name$/, 'firstName'],
+    [/^(last|family|sur)_?name$/, 'lastName'],
+    [/^(full|display|contact)_?name$/, 'fullName'],
+    [/^(user_?name|login|handle)$/, 'username'],
+    [/phone|mobile|fax/, 'phone'],
+    [/url|website|homepage/, 'url'],
+    [/company|organi[sz]ation|employer/, 'company'],
+    [/address|street/, 'street'],
+    [/city|town/, 'city'],
+    [/country/, 'country'],
+    [/zip|postal|postcode/, 'postalCode'],
+    [/description|comment|note|bio|summary|remark|message|content/, 'sentence'],
+    [/^(name|title|label|subject)$|_(name|title)$/, 'title'],
+    [/code|sku/, 'code']
+]
+
+// ============================================================
+// Columns
+// ============================================================
+
+function kindOfType(type) {
+    if (INTEGER_TYPES.indexOf(type) !== -1) {
+        return 'integer'
+    }
+    if (FLOAT_TYPES.indexOf(type) !== -1) {
+        return 'float'
+    }
+    if (DECIMAL_TYPES.indexOf(type) !== -1) {
+        return 'decimal'
+    }
+    if (TEMPORAL_TYPES.indexOf(type) !== -1) {
+        return 'temporal'
+    }
+    if (BINARY_TYPES.indexOf(type) !== -1) {
+        return 'binary'
+    }
+    if (JSON_TYPES.indexOf(type) !== -1) {
+        return 'json'
+    }
+    if (type === 'BOOLEAN') {
+        return 'boolean'
+    }
+    if (type === 'UUID') {
+        return 'uuid'
+    }
+    if (type === 'XML') {
+        return 'xml'
+    }
+    return 'text'
+}
+
+/**
+ * Parse a temporal range end: "2024-01-01", "2024-01-01 08:30[:00]" or
+ * "08:30[:00]". Returns milliseconds since the epoch (UTC), or null.
+ */
+function parseTemporal(text) {
+    if (/^\d{4}-\d{2}-\d{2}$/.test(text)) {
+        return Date.parse(text + 'T00:00:00Z')
+    }
+    if (/^\d{4}-\d{2}-\d{2}[ T]\d{2}:\d{2}(:\d{2})?$/.test(text)) {
+        return Date.parse(text.replace(' ', 'T') + 'Z')
+    }
+    if (/^\d{2}:\d{2}(:\d{2})?$/.test(text)) {
+        return Date.parse('1970-01-01T' + text + 'Z')
+    }
+    return null
+}
+
+function formatTemporal(type, time) {
+    const iso = new Date(time).toISOString()
+    if (type === 'DATE') {
+        return iso.substring(0, 10)
+    }
+    if (type === 'TIME') {
+        return iso.substring(11, 19)
+    }
+    return iso.substring(0, 10) + ' ' + iso.substring(11, 19)
+}
+
+/**
+ * Parse a 'seed' tag value. Returns { kind, ... } or { error }.
+ */
+function parseHint(text) {
+    const value = text.trim()
+    if (value === 'null') {
+        return { kind: 'null' }
+    }
+    const colon = value.indexOf(':')
+    if (colon === -1) {
+        if (!GENERATORS[value]) {
+            return { error: 'unknown generator "' + value + '" (known: ' + Object.keys(GENERATORS).join(', ') + ')' }
+        }
+        return { kind: 'generator', name: value }
+    }
+    const kind = value.substring(0, colon)
+    const argument = value.substring(colon + 1)
+    if (kind === 'pick') {
+        return { kind: 'pick', values: argument.split('|') }
+    }
+    if (kind === 'const') {
+        return { kind: 'const', value: argument }
+    }
+    if (kind === 'pattern') {
+        return { kind: 'pattern', pattern: argument }
+    }
+    if (kind === 'range') {
+        const ends = argument.split('..')
+        if (ends.length !== 2) {
+            return { error: 'range must be "min..max"' }
+        }
+        const min = ends[0].trim()
+        const max = ends[1].trim()
+        if (/^-?\d+(\.\d+)?$/.test(min) && /^-?\d+(\.\d+)?$/.test(max)) {
+            const decimals = Math.max((min.split('.')[1] || '').length, (max.split('.')[1] || '').length)
+            return { kind: 'range', numeric: true, min: Number(min), max: Number(max), decimals: decimals }
+        }
+        const from = parseTemporal(min)
+        const to = parseTemporal(max)
+        if (from === null || to === null) {
+            return { error: 'range ends must be numbers, dates or times' }
+        }
+        return { kind: 'range', numeric: false, min: from, max: to }
+    }
+    return { error: 'unknown hint "' + kind + ':"' }
+}
+
+/**
+ * Describe how the values of one column are generated.
+ */
+function describeColumn(entity, col, enums, warnings) {
+    const type = (col.type || 'VARCHAR').toUpperCase()
+    const kind = kindOfType(type)
+    const length = parseInt(col.length, 10)
+    const column = {
+        column: col,
+        name: ddlGenerator.getColumnName(col),
+        type: type,
+        kind: kind,
+        length: length > 0 ? length : null,
+        precision: 10,
+        scale: 2,
+        nullable: !!col.nullable && !col.primaryKey,
+        unique: !!(col.unique || col.primaryKey),
+        autoIncrement: type === 'SERIAL' || type === 'BIGSERIAL' || (kind === 'integer' && String(col.length) === '-1'),
+        hint: null,
+        enumValues: null
+    }
+    if (kind === 'decimal' && col.length) {
+        const parts = String(col.length).split(',')
+        column.precision = parseInt(parts[0], 10) || 10
+        column.scale = parts.length > 1 ? parseInt(parts[1], 10) || 0 : 0
+    }
+
+    const label = ddlGenerator.getTableName(entity) + '.' + column.name
+    const hintText = ddlGenerator.getTagValue(col, 'seed')
+    if (hintText) {
+        const hint = parseHint(String(hintText))
+        if (hint.error) {
+            warnings.push('Seed tag of ' + label + ' ignored: ' + hint.error)
+        } else if (hint.kind === 'null' && !column.nullable) {
+            warnings.push('Seed tag of ' + label + ' ignored: the column is not nullable')
+        } else {
+            column.hint = hint
+        }
+    }
+
+    const enumName = ddlGenerator.getTagValue(col, 'enum')
+    if (enumName) {
+        const found = enums.filter(function (e) { return e.name === enumName })[0]
+        if (found && found.values.length > 0) {
+            column.enumValues = found.values
+        } else {
+            warnings.push('Enum "' + enumName + '" of ' + label + ' not found; values generated from the column type')
+        }
+    }
+
+    if (!column.hint && !column.enumValues && kind === 'text') {
+        const lower = column.name.toLowerCase()
+        const match = NAME_GENERATORS.filter(function (entry) { return entry[0].test(lower) })[0]
+        if (match) {
+            column.generator = match[1]
+        }
+    }
+    return column
+}
+
+function fitLength(column, text) {
+    if (column.length && (column.kind === 'text') && text.length > column.length) {
+        return text.substring(0, column.length)
+    }
+    return text
+}
+
+/**
+ * Convert text from a pick, const or pattern hint to the column's kind.
+ */
+function coerce(column, text) {
+    if ((column.kind === 'integer' || column.kind === 'float' || column.kind === 'decimal') && /^-?\d+(\.\d+)?$/.test(text)) {
+        return Number(text)
+    }
+    if (column.kind === 'boolean' && /^(true|false|1|0)$/i.test(text)) {
+        return /^(true|1)$/i.test(text)
+    }
+    return fitLength(column, text)
+}
+
+function randomNumber(column, random, min, max, decimals) {
+    if (column.kind === 'integer') {
+        return random.int(Math.ceil(min), Math.floor(max))
+    }
+    const scale = column.kind === 'decimal' ? column.scale : decimals
+    const factor = Math.pow(10, scale)
+    return Math.round((min + random.next() * (max - min)) * factor) / factor
+}
+
+function rangeValue(column, random, hint) {
+    if (!hint.numeric) {
+        const time = hint.min + Math.floor(random.next() * (hint.max - hint.min + 1))
+        return column.kind === 'temporal' ? formatTemporal(column.type, time) : fitLength(column, formatTemporal('TIMESTAMP', time))
+    }
+    const value = randomNumber(column, random, hint.min, hint.max, hint.decimals)
+    if (column.kind === 'integer' || column.kind === 'float' || column.kind === 'decimal') {
+        return value
+    }
+    return fitLength(column, column.kind === 'text' ? value.toFixed(hint.decimals) : String(value))
+}
+
+/**
+ * A value of the column's type, without a hint.
+ */
+function typeValue(column, random) {
+    if (column.kind === 'integer') {
+        return random.int(0, INTEGER_MAX[column.type] || INTEGER_MAX.DEFAULT)
+    }
+    if (column.kind === 'float') {
+        return randomNumber(column, random, 0, 10000, 2)
+    }
+    if (column.kind === 'decimal') {
+        const max = Math.min(Math.pow(10, column.precision - column.scale) - 1, 10000)
+        return randomNumber(column, random, 0, max)
+    }
+    if (column.kind === 'boolean') {
+        return random.chance(0.5)
+    }
+    if (column.kind === 'temporal') {
+        return formatTemporal(column.type, DATE_FROM + Math.floor(random.next() * (DATE_TO - DATE_FROM)))
+    }
+    if (column.kind === 'binary') {
+        return hexBytes(random, Math.min(column.length || 8, 16))
+    }
+    if (column.kind === 'uuid') {
+        return uuid(random)
+    }
+    if (column.kind === 'json') {
+        return JSON.stringify({ key: random.pick(WORDS), value: random.int(0, 100) })
+    }
+    if (column.kind === 'xml') {
+        return '<value>' + random.pick(WORDS) + '</value>'
+    }
+    if (column.generator) {
+        return fitLength(column, GENERATORS[column.generator](random))
+    }
+    if (column.type === 'TEXT' || column.type === 'CLOB') {
+        return GENERATORS.sentence(random)
+    }
+    if (column.length && column.length <= 3) {
+        return letters(random, column.length)
+    }
+    return fitLength(column, capitalize(random.pick(WORDS)) + ' ' + random.pick(WORDS))
+}
+
+function columnValue(column, random) {
+    const hint = column.hint
+    if (hint) {
+        if (hint.kind === 'null') {
+            return null
+        }
+        if (hint.kind === 'const') {
+            return coerce(column, hint.value)
+        }
+        if (hint.kind === 'pick') {
+            return coerce(column, random.pick(hint.values))
+        }
+        if (hint.kind === 'pattern') {
+            return coerce(column, fromPattern(random, hint.pattern))
+        }
+        if (hint.kind === 'range') {
+            return rangeValue(column, random, hint)
+        }
+        return fitLength(column, String(GENERATORS[hint.name](random)))
+    }
+    if (column.enumValues) {
+        return random.pick(column.enumValues)
+    }
+    return typeValue(column, random)
+}
+
+/**
+ * Make a repeated text value unique by numbering it ("name-3",
+ * "first.last-3@example.com"), or null when it would not fit.
+ */
+function numbered(column, value, row) {
+    if (typeof value !== 'string' || (column.kind !== 'text' && column.kind !== 'xml')) {
+        return null
+    }
+    const suffix = '-' + (row + 1)
+    const at = column.generator === 'email' || (column.hint && column.hint.name === 'email') ? value.indexOf('@') : -1
+    if (at !== -1) {
+        const result = value.substring(0, at) + suffix + value.substring(at)
+        return !column.length || result.length <= column.length ? result : null
+    }
+    if (column.length && column.length <= suffix.length) {
+        return null
+    }
+    return (column.length ? value.substring(0, column.length - suffix.length) : value) + suffix
+}
+
+/**
+ * The value of a column in one row. Unique columns retry until they find
+ * a value not used yet; undefined means none was found.
+ */
+function ownValue(column, random, row, used) {
+    if (column.autoIncrement || (column.unique && !column.hint && !column.enumValues && column.kind === 'integer')) {
+        return row + 1
+    }
+    if (!column.unique) {
+        if (column.nullable && !column.hint && random.chance(NULL_RATE)) {
+            return null
+        }
+        return columnValue(column, random)
+    }
+    let value
+    for (let i = 0; i < MAX_ATTEMPTS; i++) {
+        value = columnValue(column, random)
+        if (value !== null && !used.has(valueKey(value))) {
+            return value
+        }
+    }
+    const fallback = value !== null && value !== undefined ? numbered(column, value, row) : null
+    if (fallback !== null && !used.has(valueKey(fallback))) {
+        return fallback
+    }
+    return undefined
+}
+
+function valueKey(value) {
+    return typeof value + ':' + String(value)
+}
+
+// ============================================================
+// Tables
+// ============================================================
+
+/**
+ * Generate the columns of a table that are not foreign keys.
+ */
+function generateOwnValues(table, seed, rowCount, warnings) {
+    const ownColumns = table.columns.filter(function (c) { return !c.column.referenceTo })
+    const randoms = ownColumns.map(function (c) { return createRandom(seed, table.name + '.' + c.name) })
+    const used = ownColumns.map(function () { return new Set() })
+    const exhausted = {}
+
+    for (let row = 0; row < rowCount; row++) {
+        const values = table.columns.map(function () { return null })
+        let complete = true
+        for (let i = 0; i < ownColumns.length; i++) {
+            const column = ownColumns[i]
+            const value = ownValue(column, randoms[i], row, used[i])
+            if (value === undefined) {
+                if (!exhausted[column.name]) {
+                    exhausted[column.name] = true
+                    warnings.push('Ran out of unique values for ' + table.name + '.' + column.name + '; fewer rows generated')
+                }
+                complete = false
+                break
+            }
+            values[table.columns.indexOf(column)] = value
+        }
+        if (complete) {
+            ownColumns.forEach(function (column, i) {
+                if (column.unique) {
+                    used[i].add(valueKey(values[table.columns.indexOf(column)]))
+                }
+            })
+            table.rows.push(values)
+        }
+    }
+}
+
+/**
+ * Fill in the foreign key columns of a table from the rows of the
+ * referenced tables. Rows that cannot get a valid key are dropped.
+ */
+function generateForeignKeys(table, tablesByEntity, seed, warnings) {
+    const keys = schemaFormats.collectForeignKeys(table.entity).map(function (key) {
+        const columnIndexes = key.columns.map(function (c) {
+            return table.columns.map(function (d) { return d.column }).indexOf(c)
+        })
+        const refTable = tablesByEntity.get(key.refEntity) || null
+        const names = key.columns.map(function (c) { return ddlGenerator.getColumnName(c) })
+        const pk = table.columns.filter(function (c) { return c.column.primaryKey })
+        return {
+            key: key,
+            label: table.name + '.' + names.join(', '),
+            columnIndexes: columnIndexes,
+            refTable: refTable,
+            refIndexes: refTable ? key.refColumns.map(function (c) {
+                return refTable.columns.map(function (d) { return d.column }).indexOf(c)
+            }) : [],
+            nullable: key.columns.every(function (c) { return c.nullable && !c.primaryKey }),
+            unique: key.columns.every(function (c) { return c.unique }) ||
+                (pk.length === key.columns.length && key.columns.every(function (c) { return c.primaryKey })),
+            self: refTable === table,
+            later: !!refTable && refTable !== table && refTable.order > table.order,
+            random: createRandom(seed, table.name + '->' + names.join(','))
+        }
+    })
+    if (keys.length === 0) {
+        return
+    }
+
+    keys.forEach(function (fk) {
+        if (!fk.refTable) {
+            warnings.push('Referenced table of ' + fk.label + ' is not an entity; left NULL')
+        } else if (fk.later && fk.nullable) {
+            warnings.push(fk.label + ' is part of a reference cycle; left NULL')
+        } else if (fk.later) {
+            warnings.push(fk.label + ' is part of a reference cycle; load the rows with constraint checks deferred')
+        }
+        if (fk.unique && fk.refTable && !fk.self) {
+            fk.order = fk.random.shuffle(fk.refTable.rows.map(function (r, i) { return i }))
+            fk.next = 0
+        }
+    })
+
+    // A primary key made of foreign keys only needs unique combinations
+    const pkIndexes = table.columns.map(function (c, i) { return c.column.primaryKey ? i : -1 }).filter(function (i) { return i !== -1 })
+    const pkFromKeys = keys.length > 1 && pkIndexes.length > 0 && pkIndexes.every(function (i) {
+        return table.columns[i].column.referenceTo
+    })
+    const usedPks = new Set()
+    const dropped = {}
+
+    const kept = []
+    table.rows.forEach(function (values) {
+        for (let attempt = 0; attempt < MAX_ATTEMPTS; attempt++) {
+            let complete = true
+            for (let k = 0; k < keys.length && complete; k++) {
+                const refRow = pickReference(keys[k], kept, values, attempt)
+                if (refRow === undefined) {
+                    complete = false
+                    if (!dropped[keys[k].label]) {
+                        dropped[keys[k].label] = true
+                        warnings.push('Not enough rows to reference for ' + keys[k].label + '; fewer rows generated')
+                    }
+                    break
+                }
+                keys[k].columnIndexes.forEach(function (index, i) {
+                    values[index] = refRow ? refRow[keys[k].refIndexes[i]] : null
+                })
+            }
+            if (!complete) {
+                return
+            }
+            if (!pkFromKeys) {
+                kept.push(values)
+                return
+            }
+            const pkKey = JSON.stringify(pkIndexes.map(function (i) { return values[i] }))
+            if (!usedPks.has(pkKey)) {
+                usedPks.add(pkKey)
+                kept.push(values)
+                return
+            }
+        }
+        if (!dropped[table.name]) {
+            dropped[table.name] = true
+            warnings.push('Ran out of unique primary keys for ' + table.name + '; fewer rows generated')
+        }
+    })
+    table.rows = kept
+}
+
+/**
+ * The referenced row for one foreign key of a row: a row, null for NULL,
+ * or undefined when no row can be referenced.
+ */
+function pickReference(fk, kept, values, attempt) {
+    if (!fk.refTable || (fk.later && fk.nullable)) {
+        return null
+    }
+    if (fk.self) {
+        if (kept.length === 0 || (fk.nullable && fk.random.chance(NULL_RATE))) {
+            return fk.nullable ? null : values
+        }
+        return fk.random.pick(kept)
+    }
+    if (fk.unique) {
+        // Retries for a composite primary key keep the row already assigned
+        if (attempt > 0 && fk.assigned) {
+            return fk.assigned
+        }
+        if (fk.next < fk.order.length) {
+            fk.assigned = fk.refTable.rows[fk.order[fk.next++]]
+            return fk.assigned
+        }
+        return fk.nullable ? null : undefined
+    }
+    if (fk.refTable.rows.length === 0) {
+        return fk.nullable ? null : undefined
+    }
+    if (fk.nullable && fk.random.chance(NULL_RATE)) {
+        return null
+    }
+    return fk.random.pick(fk.refTable.rows)
+}
+
+// ============================================================
+// Output
+// ============================================================
+
+function sqlLiteral(dialect, column, value) {
+    if (value === null) {
+        return 'NULL'
+    }
+    if (typeof value === 'number') {
+        return column.kind === 'decimal' ? value.toFixed(column.scale) : String(value)
+    }
+    if (typeof value === 'boolean') {
+        return dialect.booleanLiteral(value)
+    }
+    if (column.kind === 'temporal' && parseTemporal(value) !== null) {
+        return dialect.temporalLiteral(column.type, value)
+    }
+    if (column.kind === 'binary' && /^([0-9a-fA-F]{2})*$/.test(value)) {
+        return dialect.binaryLiteral(value)
+    }
+    if (column.kind === 'uuid' && /^[0-9a-fA-F-]{36}$/.test(value)) {
+        return dialect.uuidLiteral(value)
+    }
+    return dialect.stringLiteral(value)
+}
+
+function buildSQL(dialect, tables, seed, rowCount) {
+    const lines = []
+    lines.push('-- ' + dialect.label + ' seed data')
+    lines.push('-- Generated by StarUML Controller')
+    lines.push('-- Seed: ' + seed + ', ' + rowCount + ' row(s) per table')
+    lines.push('')
+
+    tables.forEach(function (table) {
+        if (table.columns.length === 0) {
+            return
+        }
+        const tableName = dialect.qualify(table.schema, table.name)
+        const columnList = table.columns.map(function (c) { return dialect.quote(c.name) }).join(', ')
+        lines.push('-- ' + table.name + ' (' + table.rows.length + ' row(s))')
+
+        const identityIndex = table.columns.map(function (c) { return c.autoIncrement }).indexOf(true)
+        let identity = { before: [], after: [] }
+        if (identityIndex !== -1 && table.rows.length > 0) {
+            const column = table.columns[identityIndex]
+            const lastValue = Math.max.apply(null, table.rows.map(function (r) { return r[identityIndex] }))
+            identity = dialect.identityInsert(tableName, dialect.quote(column.name), column.name, lastValue)
+        }
+        identity.before.forEach(function (s) { lines.push(s) })
+        table.rows.forEach(function (values) {
+            const literals = values.map(function (value, i) {
+                return sqlLiteral(dialect, table.columns[i], value)
+            })
+            lines.push('INSERT INTO ' + tableName + ' (' + columnList + ') VALUES (' + literals.join(', ') + ');')
+        })
+        identity.after.forEach(function (s) { lines.push(s) })
+        lines.push('')
+    })
+    return lines.join('\n')
+}
+
+function jsonValue(column, value) {
+    if (column.kind === 'json' && typeof value === 'string') {
+        try {
+            return JSON.parse(value)
+        } catch (e) {
+            return value
+        }
+    }
+    return value
+}
+
+/**
+ * Fixtures as { "<schema.>table": [{ column: value }] }, tables in load order.
+ */
+function buildFixtures(tables) {
+    const fixtures = {}
+    tables.forEach(function (table) {
+        fixtures[(table.schemaTag ? table.schemaTag + '.' : '') + table.name] = table.rows.map(function (values) {
+            const row = {}
+            table.columns.forEach(function (column, i) {
+                row[column.name] = jsonValue(column, values[i])
+            })
+            return row
+        })
+    })
+    return fixtures
+}
+
+// ============================================================
+// Public API
+// ============================================================
+
+/**
+ * Generate seed data for the entities of a data model (and the tables
+ * they reference in other data models), optionally writing it to a file.
+ *
+ * @param {Object} options - { dataModelId, rows, seed, format ('sql' | 'json'), dialect, path }
+ * @returns {Object} { text, fixtures (json format), tables: [{ entity, rows }], warnings }
+ */
+function generate(options) {
+    const format = options.format || 'sql'
+    const dialectName = options.dialect || 'postgresql'
+    const dialect = ddlDialects.getDialect(dialectName)
+    if (!dialect) {
+        throw new Error('Unknown DDL dialect: ' + dialectName)
+    }
+    const rowCount = options.rows || DEFAULT_ROWS
+    const seed = options.seed !== undefined && options.seed !== null ? options.seed : DEFAULT_SEED
+    const warnings = []
+
+    const modelEntities = app.repository.select('@ERDEntity').filter(function (e) {
+        return e._parent && e._parent._id === options.dataModelId
+    })
+    const entities = ddlGenerator.closeOverForeignKeys(modelEntities)
+
+    const tablesByEntity = new Map()
+    const tables = entities.map(function (entity, order) {
+        const dataModel = entity._parent instanceof type.ERDDataModel ? entity._parent : null
+        const enums = dataModel ? schemaFormats.getEnums(dataModel) : []
+        const columns = entity.columns || []
+        const table = {
+            entity: entity,
+            order: order,
+            name: ddlGenerator.getTableName(entity),
+            schema: dataModel ? ddlGenerator.getSchemaName(dataModel, dialect) : dialect.defaultSchema,
+            schemaTag: dataModel ? ddlGenerator.getTagValue(dataModel, 'schema') : null,
+            columns: columns.map(function (col) {
+                return describeColumn(entity, col, enums, warnings)
+            }),
+            rows: []
+        }
+        if (table.columns.length === 0) {
+            warnings.push('Table ' + table.name + ' has no columns; skipped')
+        }
+        tablesByEntity.set(entity, table)
+        return table
+    })
+
+    tables.forEach(function (table) {
+        if (table.columns.length > 0) {
+            generateOwnValues(table, seed, rowCount, warnings)
+        }
+    })
+    tables.forEach(function (table) {
+        generateForeignKeys(table, tablesByEntity, seed, warnings)
+    })
+
+    const result = {
+        tables: tables.map(function (t) { return { entity: t.entity, rows: t.rows.length } }),
+        warnings: warnings
+    }
+    if (format === 'json') {
+        result.fixtures = buildFixtures(tables)
+        result.text = JSON.stringify(result.fixtures, null, 2) + '\n'
+    } else {
+        result.text = buildSQL(dialect, tables, seed, rowCount)
+    }
+    if (options.path) {
+        fs.writeFileSync(options.path, result.text, 'utf8')
+    }
+    return result
+}
+
+exports.generate = generate
+exports.FORMATS = FORMATS
+exports.MAX_ROWS = MAX_ROWS
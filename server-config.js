@@ -0,0 +1,110 @@
+/**
+ * Network Settings for StarUML Controller
+ *
+ * Stores the bind address and the CORS origin allow-list in StarUML
+ * preferences. The server listens on loopback only unless LAN access
+ * is explicitly enabled from the Tools > StarUML Controller menu.
+ */
+
+const os = require('os')
+
+const PREF_BIND_HOST = 'controller.bindHost'
+const PREF_CORS_ORIGINS = 'controller.corsOrigins'
+
+const DEFAULT_BIND_HOST = '127.0.0.1'
+const LOOPBACK_HOSTS = ['127.0.0.1', '::1', 'localhost']
+const ALL_INTERFACES_HOST = '0.0.0.0'
+
+// ============================================================
+// Bind Host
+// ============================================================
+
+function getBindHost() {
+    const host = app.preferences.get(PREF_BIND_HOST)
+    return typeof host === 'string' && host ? host : DEFAULT_BIND_HOST
+}
+
+function setBindHost(host) {
+    app.preferences.set(PREF_BIND_HOST, host)
+}
+
+function isLoopbackHost(host) {
+    return LOOPBACK_HOSTS.indexOf(host) !== -1
+}
+
+/**
+ * Bind address choices for the settings dialog: loopback first,
+ * then every interface, then each local IPv4 address.
+ */
+function getBindHostOptions() {
+    const options = [
+        { text: 'Localhost only (' + DEFAULT_BIND_HOST + ')', value: DEFAULT_BIND_HOST },
+        { text: 'All interfaces (' + ALL_INTERFACES_HOST + ') - allows LAN access', value: ALL_INTERFACES_HOST }
+    ]
+    const interfaces = os.networkInterfaces()
+    Object.keys(interfaces).forEach(function (name) {
+        (interfaces[name] || []).forEach(function (addr) {
+            if (addr.family === 'IPv4' && !addr.internal) {
+                options.push({ text: name + ' (' + addr.address + ') - allows LAN access', value: addr.address })
+            }
+        })
+    })
+    return options
+}
+
+// ============================================================
+// CORS Origins
+// ============================================================
+
+function getCorsOrigins() {
+    const origins = app.preferences.get(PREF_CORS_ORIGINS)
+    return Array.isArray(origins) ? origins : []
+}
+
+function setCorsOrigins(origins) {
+    app.preferences.set(PREF_CORS_ORIGINS, origins)
+}
+
+/**
+ * Parse a comma/whitespace separated origin list.
+ * Returns { origins } or { error } for an entry that is not "*" or scheme://host[:port].
+ */
+function parseCorsOrigins(text) {
+    const entries = (text || '').split(/[\s,]+/).filter(function (e) { return e !== '' })
+    const origins = []
+    for (let i = 0; i < entries.length; i++) {
+        const entry = entries[i].replace(/\/+$/, '')
+        if (entry !== '*' && !/^https?:\/\/[^/\s]+$/i.test(entry)) {
+            return { error: 'Invalid origin "' + entries[i] + '". Use "*" or scheme://host[:port] (e.g. http://localhost:3000)' }
+        }
+        if (origins.indexOf(entry) === -1) {
+            origins.push(entry)
+        }
+    }
+    return { origins: origins }
+}
+
+/**
+ * Resolve the Access-Control-Allow-Origin value for a request Origin header.
+ * Returns the value to send, or null when the origin is not allowed.
+ */
+function resolveCorsOrigin(origin) {
+    const allowed = getCorsOrigins()
+    if (allowed.indexOf('*') !== -1) {
+        return '*'
+    }
+    if (origin && allowed.indexOf(origin) !== -1) {
+        return origin
+    }
+    return null
+}
+
+exports.DEFAULT_BIND_HOST = DEFAULT_BIND_HOST
+exports.getBindHost = getBindHost
+exports.setBindHost = setBindHost
+exports.isLoopbackHost = isLoopbackHost
+exports.getBindHostOptions = getBindHostOptions
+exports.getCorsOrigins = getCorsOrigins
+exports.setCorsOrigins = setCorsOrigins
+exports.parseCorsOrigins = parseCorsOrigins
+exports.resolveCorsOrigin = resolveCorsOrigin
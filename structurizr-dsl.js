@@ -0,0 +1,1438 @@
+/**
+ * Structurizr DSL import and export for StarUML Controller
+ *
+ * Reads and writes the model and views of a Structurizr DSL workspace:
+ *
+ *   person, softwareSystem,
+ *   container, component, element  <-> C4Person, C4SoftwareSystem,
+ *                                      C4Container, C4Component, C4Element
+ *                                      (nested by ownership; technology and
+ *                                      description as is, element metadata
+ *                                      as technology)
+ *   tags                           <-> boolean tags on the element, except
+ *                                      the container kinds:
+ *     "Database", "Web Browser",
+ *     "Desktop App", "Mobile App"  <-> C4Container kind database,
+ *                                      client-webapp, desktop-app, mobile-app
+ *                                      (also read from the shape of an
+ *                                      element style)
+ *   a -> b "Label" "Technology"    <-> C4Relationship (label as name)
+ *   systemLandscape, systemContext,
+ *   container, component views     <-> one C4Diagram each
+ *
+ * Both flat and hierarchical identifiers are read; each element keeps its
+ * identifier in a `structurizrId` tag, which export writes back. A view's
+ * type, scope, key, include / exclude expressions and autoLayout are kept
+ * in a `structurizrView` tag (JSON) on its diagram; export writes the
+ * expressions back while they still select what the diagram shows, and
+ * lists the shown elements otherwise.
+ *
+ * Relationships are shown between the elements of a view the way
+ * Structurizr implies them: a relationship to a container is drawn to its
+ * software system in a system context view. Such implied relationships
+ * are created once, with a `structurizrImplied` tag, and not exported.
+ *
+ * Deployment environments, groups (their elements are imported),
+ * properties, dynamic, deployment, filtered and image views, and styles
+ * other than container shapes are not imported.
+ */
+
+const fs = require('fs')
+const h = require('./handlers/shared-helpers')
+
+const ELEMENT_KEYWORDS = {
+    person: 'C4Person',
+    softwaresystem: 'C4SoftwareSystem',
+    container: 'C4Container',
+    component: 'C4Component',
+    element: 'C4Element'
+}
+
+const KEYWORDS = {
+    C4Person: 'person',
+    C4SoftwareSystem: 'softwareSystem',
+    C4Container: 'container',
+    C4Component: 'component',
+    C4Element: 'element'
+}
+
+// Tags Structurizr adds to every element or relationship of a kind
+const DEFAULT_TAGS = ['element', 'person', 'software system', 'container', 'component', 'relationship']
+
+const KIND_TAGS = {
+    'database': 'Database',
+    'client-webapp': 'Web Browser',
+    'desktop-app': 'Desktop App',
+    'mobile-app': 'Mobile App'
+}
+
+const KIND_SHAPES = {
+    'database': 'Cylinder',
+    'client-webapp': 'WebBrowser',
+    'desktop-app': 'Window',
+    'mobile-app': 'MobileDevicePortrait'
+}
+
+const SHAPE_KINDS = {
+    cylinder: 'database',
+    webbrowser: 'client-webapp',
+    window: 'desktop-app',
+    mobiledeviceportrait: 'mobile-app',
+    mobiledevicelandscape: 'mobile-app'
+}
+
+const VIEW_TYPES = {
+    systemlandscape: 'systemLandscape',
+    systemcontext: 'systemContext',
+    container: 'container',
+    component: 'component'
+}
+
+// Element types a view may show, and the type of its scope
+const VIEW_ELEMENTS = {
+    systemLandscape: ['C4Person', 'C4SoftwareSystem', 'C4Element'],
+    systemContext: ['C4Person', 'C4SoftwareSystem', 'C4Element'],
+    container: ['C4Person', 'C4SoftwareSystem', 'C4Container', 'C4Element'],
+    component: ['C4Person', 'C4SoftwareSystem', 'C4Container', 'C4Component', 'C4Element']
+}
+
+const VIEW_SCOPES = {
+    systemContext: 'C4SoftwareSystem',
+    container: 'C4SoftwareSystem',
+    component: 'C4Container'
+}
+
+const SKIPPED_VIEWS = ['dynamic', 'deployment', 'filtered', 'image', 'custom']
+
+const ID_TAG = 'structurizrId'
+const VIEW_TAG = 'structurizrView'
+const IMPLIED_TAG = 'structurizrImplied'
+
+const TAG_KIND_BOOLEAN = 1
+
+const RESERVED_IDENTIFIERS = [
+    'workspace', 'model', 'views', 'person', 'softwaresystem', 'container', 'component', 'element',
+    'group', 'enterprise', 'this', 'tags', 'description', 'technology', 'url', 'properties'
+]
+
+// Grid used to place the elements of an imported view
+const CELL = { width: 260, height: 220, margin: 40 }
+
+// ============================================================
+// Tokens and blocks
+// ============================================================
+
+/**
+ * Split DSL text into words, strings, braces and line ends. Comments
+ * (/* ... *\/, and // or # at the start of a line) and line continuations
+ * are dropped; "->" and the "=" of an assignment are words of their own.
+ */
+function tokenize(text) {
+    const tokens = []
+    let line = 1
+    let lineStart = true
+    let i = 0
+    const push = function (kind, value, glued) {
+        tokens.push({ kind: kind, value: value, line: line, glued: !!glued })
+        lineStart = false
+    }
+    while (i < text.length) {
+        const c = text[i]
+        if (c === '\n') {
+            tokens.push({ kind: 'nl', value: '\n', line: line })
+            line++
+            lineStart = true
+            i++
+        } else if (c === '\\' && /^\\\r?\n/.test(text.substr(i, 3))) {
+            i += text[i + 1] === '\r' ? 3 : 2
+            line++
+        } else if (/\s/.test(c)) {
+            i++
+        } else if (c === '/' && text[i + 1] === '*') {
+            const end = text.indexOf('*/', i + 2)
+            const stop = end === -1 ? text.length : end + 2
+            line += (text.substring(i, stop).match(/\n/g) || []).length
+            i = stop
+        } else if (lineStart && (c === '#' || (c === '/' && text[i + 1] === '/'))) {
+            while (i < text.length && text[i] !== '\n') {
+                i++
+            }
+        } else if (c === '"') {
+            const startLine = line
+            let value = ''
+            if (text.substr(i, 3) === '"""') {
+                const end = text.indexOf('"""', i + 3)
+                const stop = end === -1 ? text.length : end
+                value = text.substring(i + 3, stop).replace(/^\r?\n/, '').replace(/\r?\n[ \t]*$/, '')
+                line += (text.substring(i, stop).match(/\n/g) || []).length
+                i = stop + 3
+            } else {
+                i++
+                while (i < text.length && text[i] !== '"' && text[i] !== '\n') {
+                    if (text[i] === '\\' && (text[i + 1] === '"' || text[i + 1] === '\\')) {
+                        i++
+                    }
+                    value += text[i]
+                    i++
+                }
+                if (text[i] !== '"') {
+                    throw new Error('Line ' + startLine + ': unterminated string')
+                }
+                i++
+            }
+            tokens.push({ kind: 'string', value: value, line: startLine })
+            lineStart = false
+        } else if (c === '{' || c === '}') {
+            push(c, c)
+            i++
+        } else {
+            let word = ''
+            while (i < text.length && !/[\s"{}]/.test(text[i])) {
+                word += text[i]
+                i++
+            }
+            const parts = /^[\w.-]+=[^=]*$/.test(word) ? word.split(/(=)/) : word.split(/(->)/)
+            parts.filter(function (p) { return p }).forEach(function (p, n) {
+                push('word', p, n > 0 && parts[1] !== '=')
+            })
+        }
+    }
+    return tokens
+}
+
+/**
+ * Group tokens into statements: { words, line, block }, where block is
+ * the list of statements between the braces that end the statement.
+ */
+function parseBlock(tokens, pos, openLine) {
+    const statements = []
+    let current = null
+    while (pos < tokens.length) {
+        const t = tokens[pos++]
+        if (t.kind === 'nl') {
+            if (current) {
+                statements.push(current)
+            }
+            current = null
+        } else if (t.kind === '}') {
+            if (current) {
+                statements.push(current)
+            }
+            if (openLine === null) {
+                throw new Error('Line ' + t.line + ': unexpected "}"')
+            }
+            return { statements: statements, pos: pos }
+        } else if (t.kind === '{') {
+            const stmt = current || { words: [], line: t.line }
+            const inner = parseBlock(tokens, pos, t.line)
+            stmt.block = inner.statements
+            statements.push(stmt)
+            pos = inner.pos
+            current = null
+        } else {
+            current = current || { words: [], line: t.line, block: null }
+            current.words.push(t)
+        }
+    }
+    if (openLine !== null) {
+        throw new Error('Line ' + openLine + ': missing "}"')
+    }
+    if (current) {
+        statements.push(current)
+    }
+    return { statements: statements, pos: pos }
+}
+
+function keywordOf(stmt) {
+    const first = stmt.words[0]
+    return first && first.kind === 'word' ? first.value.toLowerCase() : ''
+}
+
+function splitTags(values) {
+    const tags = []
+    values.forEach(function (v) {
+        String(v).split(',').forEach(function (t) {
+            t = t.trim()
+            if (t && tags.indexOf(t) === -1) {
+                tags.push(t)
+            }
+        })
+    })
+    return tags
+}
+
+// ============================================================
+// Workspace
+// ============================================================
+
+/*
+ * A workspace, read from DSL or collected from StarUML:
+ *   { name, description, elements, relationships, views, styles, warnings }
+ *   element:      { id, type, name, description, technology, tags, kind,
+ *                   parent, children, model, line }
+ *   relationship: { source, destination, description, technology, tags,
+ *                   model, implied }
+ *   view:         { type, scope, key, description, title, include,
+ *                   exclude, autoLayout }
+ */
+
+function createWorkspace() {
+    return {
+        name: '',
+        description: '',
+        elements: [],
+        relationships: [],
+        views: [],
+        styles: {},
+        warnings: [],
+        byPath: {},
+        byFlat: {}
+    }
+}
+
+function pathOf(elem) {
+    return elem.parent && elem.parent.id ? pathOf(elem.parent) + '.' + elem.id : elem.id
+}
+
+function isWithin(elem, scope) {
+    for (let e = elem; e; e = e.parent) {
+        if (e === scope) {
+            return true
+        }
+    }
+    return false
+}
+
+function topOf(elem) {
+    let e = elem
+    while (e.parent) {
+        e = e.parent
+    }
+    return e
+}
+
+/**
+ * The ancestor-or-self of `elem` that is a child of `scope`.
+ */
+function childOf(elem, scope) {
+    for (let e = elem; e; e = e.parent) {
+        if (e.parent === scope) {
+            return e
+        }
+    }
+    return null
+}
+
+/**
+ * Register an element under its identifier and its hierarchical path
+ * ("system.container"). An identifier used twice only resolves by path.
+ */
+function register(ws, elem) {
+    const key = elem.id.toLowerCase()
+    ws.byFlat[key] = key in ws.byFlat && ws.byFlat[key] !== elem ? null : elem
+    ws.byPath[pathOf(elem).toLowerCase()] = elem
+}
+
+/**
+ * Resolve an identifier, as seen from inside `context` (hierarchical
+ * identifiers may be relative to an enclosing element).
+ */
+function resolve(ws, ref, context) {
+    for (let e = context; e; e = e.parent) {
+        const inside = e.id ? ws.byPath[(pathOf(e) + '.' + ref).toLowerCase()] : null
+        if (inside) {
+            return inside
+        }
+    }
+    return ws.byPath[ref.toLowerCase()] || ws.byFlat[ref.toLowerCase()] || null
+}
+
+function readElement(ws, stmt, words, id, parent) {
+    const keyword = words[0].value.toLowerCase()
+    const typeName = ELEMENT_KEYWORDS[keyword]
+    const args = words.slice(1).map(function (w) { return w.value })
+    if (typeName === 'C4Container' && !(parent && parent.type === 'C4SoftwareSystem')) {
+        throw new Error('Line ' + stmt.line + ': a container must be defined inside a softwareSystem')
+    }
+    if (typeName === 'C4Component' && !(parent && parent.type === 'C4Container')) {
+        throw new Error('Line ' + stmt.line + ': a component must be defined inside a container')
+    }
+    if (typeName !== 'C4Container' && typeName !== 'C4Component' && parent) {
+        throw new Error('Line ' + stmt.line + ': a ' + words[0].value + ' cannot be defined inside a ' + KEYWORDS[parent.type])
+    }
+    if (args.length === 0) {
+        throw new Error('Line ' + stmt.line + ': ' + words[0].value + ' needs a name')
+    }
+    const elem = {
+        id: id,
+        type: typeName,
+        name: args[0],
+        description: '',
+        technology: '',
+        tags: [],
+        kind: null,
+        parent: parent,
+        children: [],
+        model: null,
+        line: stmt.line
+    }
+    if (typeName === 'C4Container' || typeName === 'C4Component') {
+        elem.description = args[1] || ''
+        elem.technology = args[2] || ''
+        elem.tags = splitTags(args.slice(3))
+    } else if (typeName === 'C4Element') {
+        elem.technology = args[1] || ''
+        elem.description = args[2] || ''
+        elem.tags = splitTags(args.slice(3))
+    } else {
+        elem.description = args[1] || ''
+        elem.tags = splitTags(args.slice(2))
+    }
+    ws.elements.push(elem)
+    if (parent) {
+        parent.children.push(elem)
+    }
+    if (id) {
+        register(ws, elem)
+    }
+    if (stmt.block) {
+        readModel(ws, stmt.block, elem)
+    }
+    return elem
+}
+
+/**
+ * Apply a tags / description / technology statement to an element or
+ * relationship. Returns false for other statements.
+ */
+function readAttribute(ws, stmt, target) {
+    const keyword = keywordOf(stmt)
+    const args = stmt.words.slice(1).map(function (w) { return w.value })
+    if (keyword === 'tags') {
+        splitTags(args).forEach(function (t) {
+            if (target.tags.indexOf(t) === -1) {
+                target.tags.push(t)
+            }
+        })
+    } else if (keyword === 'description' || keyword === 'technology') {
+        target[keyword] = args[0] || ''
+    } else if (keyword === 'metadata' && target.type === 'C4Element') {
+        target.technology = args[0] || ''
+    } else if (['url', 'properties', 'perspectives', '!docs', '!adrs'].indexOf(keyword) !== -1) {
+        if (ws.warnings.indexOf('Skipped ' + keyword + ' (not imported)') === -1) {
+            ws.warnings.push('Skipped ' + keyword + ' (not imported)')
+        }
+    } else {
+        return false
+    }
+    return true
+}
+
+function readModel(ws, statements, parent) {
+    statements.forEach(function (stmt) {
+        let words = stmt.words
+        let id = null
+        if (words.length >= 3 && words[1].kind === 'word' && words[1].value === '=') {
+            id = words[0].value
+            words = words.slice(2)
+        }
+        const keyword = words[0] && words[0].kind === 'word' ? words[0].value.toLowerCase() : ''
+        const arrow = words.findIndex(function (w) { return w.kind === 'word' && w.value === '->' })
+
+        if (ELEMENT_KEYWORDS[keyword]) {
+            readElement(ws, stmt, words, id, parent)
+        } else if (arrow !== -1) {
+            let source = arrow === 0 || (arrow === 1 && keyword === 'this') ? parent : null
+            if (arrow === 1 && keyword !== 'this') {
+                source = words[0].value
+            }
+            if (!source || arrow > 1 || !words[arrow + 1]) {
+                throw new Error('Line ' + stmt.line + ': expected "<source> -> <destination>"')
+            }
+            const args = words.slice(arrow + 2).map(function (w) { return w.value })
+            const rel = {
+                source: source,
+                destination: words[arrow + 1].value,
+                description: args[0] || '',
+                technology: args[1] || '',
+                tags: splitTags(args.slice(2)),
+                context: parent,
+                line: stmt.line,
+                model: null,
+                implied: false
+            }
+            ;(stmt.block || []).forEach(function (s) {
+                if (!readAttribute(ws, s, rel)) {
+                    ws.warnings.push('Skipped "' + keywordOf(s) + '" in a relationship (line ' + s.line + ')')
+                }
+            })
+            ws.relationships.push(rel)
+        } else if (keyword === 'group' || keyword === 'enterprise') {
+            readModel(ws, stmt.block || [], parent)
+        } else if (parent && readAttribute(ws, stmt, parent)) {
+            return
+        } else if (keyword === '!identifiers') {
+            return
+        } else if (/^deploymentenvironment$|^deploymentnode$|^infrastructurenode$|instance$/.test(keyword)) {
+            if (ws.warnings.indexOf('Skipped deployment environments (not imported)') === -1) {
+                ws.warnings.push('Skipped deployment environments (not imported)')
+            }
+        } else {
+            ws.warnings.push('Skipped "' + (keyword || words[0].value) + '" (line ' + stmt.line + ')')
+        }
+    })
+}
+
+function readStyles(ws, statements) {
+    statements.forEach(function (stmt) {
+        if (keywordOf(stmt) !== 'element' || !stmt.words[1]) {
+            return
+        }
+        const tag = stmt.words[1].value.toLowerCase()
+        ;(stmt.block || []).forEach(function (s) {
+            if (keywordOf(s) === 'shape' && s.words[1]) {
+                ws.styles[tag] = s.words[1].value.toLowerCase()
+            }
+        })
+    })
+}
+
+/**
+ * Expressions of an include / exclude statement: "->a->" and "a -> b"
+ * stay one, relationship expressions written as "a -> b".
+ */
+function expressionsOf(words) {
+    const exprs = []
+    for (let i = 0; i < words.length; i++) {
+        const w = words[i]
+        if (w.glued && exprs.length > 0) {
+            exprs[exprs.length - 1] += w.value
+        } else if (w.kind === 'word' && w.value === '->' && exprs.length > 0 && words[i + 1] && !words[i + 1].glued) {
+            exprs[exprs.length - 1] += '->' + words[i + 1].value
+            i++
+        } else {
+            exprs.push(w.value)
+        }
+    }
+    return exprs.map(function (x) {
+        const m = /^([^\s-].*?)\s*->\s*(.*[^\s>])$/.exec(x)
+        return m ? m[1] + ' -> ' + m[2] : x
+    })
+}
+
+function readViews(ws, statements) {
+    const counters = {}
+    statements.forEach(function (stmt) {
+        const keyword = keywordOf(stmt)
+        const typeName = VIEW_TYPES[keyword]
+        if (keyword === 'styles') {
+            readStyles(ws, stmt.block || [])
+            return
+        }
+        if (!typeName) {
+            if (SKIPPED_VIEWS.indexOf(keyword) !== -1) {
+                ws.warnings.push('Skipped ' + keyword + ' view (line ' + stmt.line + '); only system landscape, system context, container and component views are imported')
+            } else if (['theme', 'themes', 'branding', 'terminology', 'properties'].indexOf(keyword) === -1) {
+                ws.warnings.push('Skipped "' + keyword + '" in views (line ' + stmt.line + ')')
+            }
+            return
+        }
+        const args = stmt.words.slice(1).map(function (w) { return w.value })
+        let scope = null
+        if (VIEW_SCOPES[typeName]) {
+            scope = args[0] ? resolve(ws, args.shift(), null) : null
+            if (!scope || scope.type !== VIEW_SCOPES[typeName]) {
+                throw new Error('Line ' + stmt.line + ': a ' + typeName + ' view needs a ' + KEYWORDS[VIEW_SCOPES[typeName]] + ' identifier')
+            }
+        }
+        counters[typeName] = (counters[typeName] || 0) + 1
+        const view = {
+            type: typeName,
+            scope: scope,
+            key: args[0] || typeName.charAt(0).toUpperCase() + typeName.slice(1) + '-' + ('00' + counters[typeName]).slice(-3),
+            description: args[1] || '',
+            title: '',
+            include: [],
+            exclude: [],
+            autoLayout: null
+        }
+        ;(stmt.block || []).forEach(function (s) {
+            const k = keywordOf(s)
+            if (k === 'include' || k === 'exclude') {
+                view[k] = view[k].concat(expressionsOf(s.words.slice(1)))
+            } else if (k === 'autolayout') {
+                view.autoLayout = (s.words[1] ? s.words[1].value : 'tb').toLowerCase()
+            } else if (k === 'title' || k === 'description') {
+                view[k] = s.words[1] ? s.words[1].value : ''
+            }
+        })
+        ws.views.push(view)
+    })
+}
+
+/**
+ * Read a DSL workspace.
+ *
+ * @throws {Error} when the text is not a workspace, or refers to
+ *   identifiers it does not define
+ */
+function readWorkspace(text) {
+    const root = parseBlock(tokenize(text), 0, null).statements
+    const stmt = root.filter(function (s) { return keywordOf(s) === 'workspace' })[0]
+    if (!stmt || !stmt.block) {
+        throw new Error('Not a Structurizr DSL workspace: expected "workspace { ... }"')
+    }
+    if (stmt.words[1] && stmt.words[1].kind === 'word' && stmt.words[1].value.toLowerCase() === 'extends') {
+        throw new Error('"workspace extends" is not supported; import the base workspace instead')
+    }
+    const ws = createWorkspace()
+    ws.name = stmt.words[1] ? stmt.words[1].value : ''
+    ws.description = stmt.words[2] ? stmt.words[2].value : ''
+
+    const sections = {}
+    stmt.block.forEach(function (s) {
+        const keyword = keywordOf(s)
+        if (keyword === 'name' || keyword === 'description') {
+            ws[keyword] = s.words[1] ? s.words[1].value : ''
+        } else if (keyword === 'model' || keyword === 'views') {
+            sections[keyword] = (sections[keyword] || []).concat(s.block || [])
+        } else if (['configuration', '!identifiers', '!docs', '!adrs', 'properties'].indexOf(keyword) === -1) {
+            ws.warnings.push('Skipped "' + keyword + '" (line ' + s.line + ')')
+        }
+    })
+    readModel(ws, sections.model || [], null)
+
+    ws.relationships.forEach(function (rel) {
+        ['source', 'destination'].forEach(function (end) {
+            if (typeof rel[end] === 'string') {
+                const found = rel[end].toLowerCase() === 'this' ? rel.context : resolve(ws, rel[end], rel.context)
+                if (!found) {
+                    throw new Error('Line ' + rel.line + ': unknown identifier "' + rel[end] + '"')
+                }
+                rel[end] = found
+            }
+        })
+        delete rel.context
+    })
+
+    readViews(ws, sections.views || [])
+
+    // Container kinds come from tags, directly or through a style's shape
+    ws.elements.forEach(function (elem) {
+        if (elem.type !== 'C4Container') {
+            return
+        }
+        elem.tags.some(function (tag) {
+            const kind = Object.keys(KIND_TAGS).filter(function (k) { return KIND_TAGS[k].toLowerCase() === tag.toLowerCase() })[0] ||
+                SHAPE_KINDS[ws.styles[tag.toLowerCase()]]
+            if (kind) {
+                elem.kind = kind
+            }
+            return !!kind
+        })
+        elem.tags = elem.tags.filter(function (tag) {
+            return !(elem.kind && KIND_TAGS[elem.kind].toLowerCase() === tag.toLowerCase())
+        })
+    })
+    return ws
+}
+
+// ============================================================
+// Views
+// ============================================================
+
+/**
+ * The element that stands for `elem` in a view: its software system in
+ * a landscape or context view, its container or component inside the
+ * scope of a container or component view. Null when the view cannot
+ * show it (the scope itself).
+ */
+function representative(view, elem) {
+    if (view.type === 'container') {
+        if (elem === view.scope) {
+            return null
+        }
+        return isWithin(elem, view.scope) ? childOf(elem, view.scope) : topOf(elem)
+    }
+    if (view.type === 'component') {
+        const system = view.scope.parent
+        if (elem === view.scope || elem === system) {
+            return null
+        }
+        if (isWithin(elem, view.scope)) {
+            return childOf(elem, view.scope)
+        }
+        return isWithin(elem, system) ? childOf(elem, system) : topOf(elem)
+    }
+    return topOf(elem)
+}
+
+/**
+ * The elements `include *` selects: people and software systems for a
+ * landscape; otherwise the scope (context) or its children, and the
+ * elements connected to them.
+ */
+function defaultElements(ws, view) {
+    if (view.type === 'systemLandscape') {
+        return ws.elements.filter(function (e) { return !e.parent })
+    }
+    const core = view.type === 'systemContext' ? [view.scope] : view.scope.children.slice()
+    const result = core.slice()
+    ws.relationships.forEach(function (rel) {
+        [[rel.source, rel.destination], [rel.destination, rel.source]].forEach(function (ends) {
+            const near = representative(view, ends[0])
+            const far = representative(view, ends[1])
+            if (near && far && near !== far && core.indexOf(near) !== -1 && result.indexOf(far) === -1) {
+                result.push(far)
+            }
+        })
+    })
+    return result
+}
+
+/**
+ * Evaluate the include and exclude expressions of a view.
+ *
+ * @returns {Object} { elements, excluded: [[source | '*', destination | '*']],
+ *   warnings }
+ */
+function evaluateView(ws, view) {
+    const elements = []
+    const excluded = []
+    const warnings = []
+    const add = function (e) {
+        if (e && elements.indexOf(e) === -1) {
+            elements.push(e)
+        }
+    }
+    const find = function (ref) {
+        const e = resolve(ws, ref, null)
+        if (!e) {
+            warnings.push('View "' + view.key + '": unknown identifier "' + ref + '"')
+        }
+        return e
+    }
+    const connected = function (elem, efferent, afferent) {
+        add(elem)
+        ws.relationships.forEach(function (rel) {
+            if (efferent && representative(view, rel.source) === elem) {
+                add(representative(view, rel.destination))
+            }
+            if (afferent && representative(view, rel.destination) === elem) {
+                add(representative(view, rel.source))
+            }
+        })
+    }
+
+    view.include.forEach(function (expr) {
+        let m
+        if (expr === '*') {
+            defaultElements(ws, view).forEach(add)
+        } else if ((m = /^(->)?(.+?)(->)?$/.exec(expr)) && (m[1] || m[3])) {
+            const e = find(m[2])
+            if (e) {
+                connected(e, !!m[3], !!m[1])
+            }
+        } else if ((m = /^(\S+) -> (\S+)$/.exec(expr))) {
+            ;[m[1], m[2]].forEach(function (ref) {
+                if (ref !== '*') {
+                    add(find(ref))
+                }
+            })
+        } else if (/^[\w.-]+$/.test(expr)) {
+            add(find(expr))
+        } else {
+            warnings.push('View "' + view.key + '": skipped include expression "' + expr + '"')
+        }
+    })
+    view.exclude.forEach(function (expr) {
+        const m = /^(\S+) -> (\S+)$/.exec(expr)
+        if (m) {
+            excluded.push([m[1] === '*' ? '*' : find(m[1]), m[2] === '*' ? '*' : find(m[2])])
+        } else if (/^[\w.-]+$/.test(expr)) {
+            const e = find(expr)
+            if (elements.indexOf(e) !== -1) {
+                elements.splice(elements.indexOf(e), 1)
+            }
+        } else {
+            warnings.push('View "' + view.key + '": skipped exclude expression "' + expr + '"')
+        }
+    })
+
+    const allowed = VIEW_ELEMENTS[view.type]
+    return {
+        elements: elements.filter(function (e) {
+            if (allowed.indexOf(e.type) === -1 || (e === view.scope && view.type !== 'systemContext')) {
+                warnings.push('View "' + view.key + '": a ' + view.type + ' view cannot show ' + KEYWORDS[e.type] + ' "' + e.name + '"')
+                return false
+            }
+            return true
+        }),
+        excluded: excluded,
+        warnings: warnings
+    }
+}
+
+/**
+ * Relationships drawn between the shown elements: a relationship is
+ * drawn between the nearest shown ancestors of its ends, as an implied
+ * relationship (created once, in `implied`) unless it connects them
+ * itself.
+ */
+function viewRelationships(ws, shown, excluded, implied) {
+    const nearest = function (elem) {
+        for (let e = elem; e; e = e.parent) {
+            if (shown.indexOf(e) !== -1) {
+                return e
+            }
+        }
+        return null
+    }
+    const isExcluded = function (s, d) {
+        return excluded.some(function (x) {
+            return (x[0] === '*' || x[0] === s) && (x[1] === '*' || x[1] === d)
+        })
+    }
+    const result = []
+    const drawn = {}
+    const pending = []
+    ws.relationships.forEach(function (rel) {
+        const s = nearest(rel.source)
+        const d = nearest(rel.destination)
+        if (!s || !d || isWithin(s, d) || isWithin(d, s) || isExcluded(s, d)) {
+            return
+        }
+        if (s === rel.source && d === rel.destination) {
+            result.push(rel)
+            drawn[ws.elements.indexOf(s) + '>' + ws.elements.indexOf(d)] = true
+        } else {
+            pending.push([s, d, rel])
+        }
+    })
+    pending.forEach(function (p) {
+        const key = ws.elements.indexOf(p[0]) + '>' + ws.elements.indexOf(p[1])
+        if (drawn[key]) {
+            return
+        }
+        drawn[key] = true
+        implied[key] = implied[key] || {
+            source: p[0],
+            destination: p[1],
+            description: p[2].description,
+            technology: p[2].technology,
+            tags: [],
+            model: null,
+            implied: true
+        }
+        result.push(implied[key])
+    })
+    return result
+}
+
+/**
+ * Row of an element in an imported view: people, then the elements in
+ * scope, then the others.
+ */
+function rankOf(view, elem) {
+    if (elem.type === 'C4Person') {
+        return 0
+    }
+    if (view.type === 'systemLandscape') {
+        return 1
+    }
+    if (view.type === 'systemContext') {
+        return elem === view.scope ? 1 : 2
+    }
+    return isWithin(elem, view.scope) ? 1 : 2
+}
+
+/**
+ * Grid positions for the shown elements, ranks along the autoLayout
+ * direction (top to bottom by default).
+ */
+function layoutView(view, shown) {
+    const ranks = []
+    shown.forEach(function (e) {
+        const r = rankOf(view, e)
+        ;(ranks[r] = ranks[r] || []).push(e)
+    })
+    const rows = ranks.filter(function (r) { return r })
+    const direction = view.autoLayout || 'tb'
+    if (direction === 'bt' || direction === 'rl') {
+        rows.reverse()
+    }
+    const widest = Math.max.apply(null, rows.map(function (r) { return r.length }))
+    const positions = new Map()
+    rows.forEach(function (row, r) {
+        row.forEach(function (e, i) {
+            const along = (widest - row.length) / 2 + i
+            const horizontal = direction === 'lr' || direction === 'rl'
+            positions.set(e, {
+                x: CELL.margin + Math.round((horizontal ? r : along) * CELL.width),
+                y: CELL.margin + Math.round((horizontal ? along : r) * CELL.height)
+            })
+        })
+    })
+    return positions
+}
+
+// ============================================================
+// Tags
+// ============================================================
+
+function tagValue(elem, name) {
+    const tag = (elem.tags || []).filter(function (t) { return t.name === name })[0]
+    return tag ? tag.value : null
+}
+
+function flagsOf(elem) {
+    return (elem.tags || []).filter(function (t) {
+        return t.kind === TAG_KIND_BOOLEAN && t.checked && [ID_TAG, VIEW_TAG, IMPLIED_TAG].indexOf(t.name) === -1
+    }).map(function (t) { return t.name })
+}
+
+function viewTag(diagram) {
+    try {
+        const value = JSON.parse(tagValue(diagram, VIEW_TAG) || 'null')
+        return value && typeof value === 'object' ? value : null
+    } catch (e) {
+        return null
+    }
+}
+
+// ============================================================
+// Import
+// ============================================================
+
+function createElementModel(elem, owner) {
+    elem.model = app.factory.createModel({
+        id: elem.type,
+        parent: elem.parent ? elem.parent.model : owner,
+        modelInitializer: function (m) {
+            m.name = elem.name
+            if (elem.description) {
+                m.description = elem.description
+            }
+            if (elem.technology) {
+                m.technology = elem.technology
+            }
+            if (elem.kind) {
+                m.kind = elem.kind
+            }
+        }
+    })
+    if (elem.id) {
+        h.createTag(elem.model, ID_TAG, elem.id)
+    }
+    elem.tags.forEach(function (t) {
+        if (DEFAULT_TAGS.indexOf(t.toLowerCase()) === -1) {
+            h.createFlag(elem.model, t)
+        }
+    })
+}
+
+function createRelationshipModel(rel) {
+    rel.model = app.factory.createModel({
+        id: 'C4Relationship',
+        parent: rel.source.model,
+        modelInitializer: function (m) {
+            m.source = rel.source.model
+            m.target = rel.destination.model
+            if (rel.description) {
+                m.name = rel.description
+            }
+            if (rel.technology) {
+                m.technology = rel.technology
+            }
+        }
+    })
+    rel.tags.forEach(function (t) {
+        if (DEFAULT_TAGS.indexOf(t.toLowerCase()) === -1) {
+            h.createFlag(rel.model, t)
+        }
+    })
+    if (rel.implied) {
+        h.createFlag(rel.model, IMPLIED_TAG)
+    }
+}
+
+/**
+ * Import a Structurizr DSL workspace as a new C4Model with one C4Diagram
+ * per view.
+ *
+ * @param {string} text - the DSL
+ * @param {Object} options - { name }: model name (default: the workspace
+ *   name, or "Workspace")
+ * @returns {Object} { model, diagrams, counts: { <StarUML type>: n }, warnings }
+ * @throws {Error} when the text is not a workspace the import can read
+ */
+function importDsl(text, options) {
+    const ws = readWorkspace(text)
+    if (ws.elements.length === 0) {
+        throw new Error('The workspace defines no people, software systems or other elements')
+    }
+    const warnings = ws.warnings
+    const counts = {}
+    const count = function (model) {
+        counts[model.constructor.name] = (counts[model.constructor.name] || 0) + 1
+    }
+
+    const owner = app.factory.createModel({
+        id: 'C4Model',
+        parent: app.project.getProject(),
+        modelInitializer: function (m) {
+            m.name = (options && options.name) || ws.name || 'Workspace'
+            if (ws.description) {
+                m.documentation = ws.description
+            }
+        }
+    })
+    ws.elements.forEach(function (elem) {
+        createElementModel(elem, owner)
+        count(elem.model)
+    })
+    ws.relationships.forEach(function (rel) {
+        createRelationshipModel(rel)
+        count(rel.model)
+    })
+
+    const implied = {}
+    const diagrams = []
+    ws.views.forEach(function (view) {
+        const evaluated = evaluateView(ws, view)
+        evaluated.warnings.forEach(function (w) { warnings.push(w) })
+        const diagram = app.factory.createDiagram({
+            id: 'C4Diagram',
+            parent: owner,
+            diagramInitializer: function (d) {
+                d.name = view.title || view.key
+            }
+        })
+        const refs = {}
+        view.include.concat(view.exclude).forEach(function (expr) {
+            mapIdentifiers(expr, function (ref) {
+                const e = resolve(ws, ref, null)
+                if (e) {
+                    refs[ref] = e.model._id
+                }
+                return ref
+            })
+        })
+        h.createTag(diagram, VIEW_TAG, JSON.stringify({
+            type: view.type,
+            scope: view.scope ? view.scope.model._id : undefined,
+            key: view.key,
+            description: view.description || undefined,
+            include: view.include,
+            exclude: view.exclude.length > 0 ? view.exclude : undefined,
+            refs: refs,
+            autoLayout: view.autoLayout || undefined
+        }))
+        // Views of existing models are placed on the active diagram's editor
+        app.diagrams.setCurrentDiagram(diagram)
+        const positions = layoutView(view, evaluated.elements)
+        evaluated.elements.forEach(function (elem) {
+            const p = positions.get(elem)
+            app.factory.createViewOf({ model: elem.model, diagram: diagram, x: p.x, y: p.y })
+        })
+        viewRelationships(ws, evaluated.elements, evaluated.excluded, implied).forEach(function (rel) {
+            if (!rel.model) {
+                createRelationshipModel(rel)
+                count(rel.model)
+            }
+            app.factory.createViewOf({ model: rel.model, diagram: diagram })
+        })
+        diagrams.push(diagram)
+        count(diagram)
+    })
+
+    return { model: owner, diagrams: diagrams, counts: counts, warnings: warnings }
+}
+
+// ============================================================
+// Export
+// ============================================================
+
+function diagramViews(diagram) {
+    const views = []
+    const visit = function (list) {
+        (list || []).forEach(function (v) {
+            views.push(v)
+            visit(v.containedViews)
+        })
+    }
+    visit(diagram.ownedViews)
+    return views
+}
+
+/**
+ * The C4 element of type `typeName` that owns `model`, or whose view
+ * contains one of its views.
+ */
+function enclosingOf(model, typeName) {
+    for (let p = model._parent; p; p = p._parent) {
+        if (h.typeOf(p) === typeName) {
+            return p
+        }
+    }
+    const views = app.repository.getViewsOf ? app.repository.getViewsOf(model) || [] : []
+    for (let i = 0; i < views.length; i++) {
+        const v = views[i]
+        const cx = (v.left || 0) + (v.width || 0) / 2
+        const cy = (v.top || 0) + (v.height || 0) / 2
+        const outer = diagramViews(v._parent && v._parent.ownedViews ? v._parent : { ownedViews: [] }).filter(function (o) {
+            return o !== v && h.typeOf(o.model) === typeName &&
+                cx >= o.left && cx <= o.left + o.width && cy >= o.top && cy <= o.top + o.height
+        })[0]
+        if (outer) {
+            return outer.model
+        }
+    }
+    return null
+}
+
+function identifierFrom(name, typeName) {
+    const words = String(name || '').split(/[^A-Za-z0-9]+/).filter(function (w) { return w })
+    let id = words.map(function (w, i) {
+        if (i > 0) {
+            return w.charAt(0).toUpperCase() + w.slice(1)
+        }
+        return w === w.toUpperCase() ? w.toLowerCase() : w.charAt(0).toLowerCase() + w.slice(1)
+    }).join('')
+    if (!id || /^\d/.test(id)) {
+        id = KEYWORDS[typeName] + id
+    }
+    return id
+}
+
+/**
+ * Collect the C4 elements, relationships and diagrams under `root` as a
+ * workspace, with unique flat identifiers.
+ */
+function collectWorkspace(root, warnings) {
+    const ws = createWorkspace()
+    const models = []
+    const relations = []
+    const diagrams = []
+    const visit = function (elem) {
+        const t = h.typeOf(elem)
+        if (KEYWORDS[t]) {
+            models.push(elem)
+        } else if (t === 'C4Relationship') {
+            relations.push(elem)
+        } else if (t === 'C4Diagram') {
+            diagrams.push(elem)
+        }
+        ;(elem.ownedElements || []).forEach(visit)
+    }
+    visit(root)
+
+    const byModel = new Map()
+    models.forEach(function (model) {
+        byModel.set(model, {
+            id: null,
+            type: h.typeOf(model),
+            name: model.name || '',
+            description: model.description || '',
+            technology: model.technology || '',
+            tags: flagsOf(model),
+            kind: h.typeOf(model) === 'C4Container' && KIND_TAGS[model.kind] ? model.kind : null,
+            parent: null,
+            children: [],
+            model: model
+        })
+    })
+    const parentTypes = { C4Container: 'C4SoftwareSystem', C4Component: 'C4Container' }
+    const placed = []
+    const place = function (elem) {
+        if (placed.indexOf(elem) !== -1) {
+            return true
+        }
+        const parentType = parentTypes[elem.type]
+        if (parentType) {
+            const parentModel = enclosingOf(elem.model, parentType)
+            const parent = parentModel ? byModel.get(parentModel) : null
+            if (!parent || !place(parent)) {
+                warnings.push('Skipped ' + KEYWORDS[elem.type] + ' "' + elem.name + '": it is not inside a ' + KEYWORDS[parentType])
+                byModel.delete(elem.model)
+                return false
+            }
+            elem.parent = parent
+            parent.children.push(elem)
+        }
+        placed.push(elem)
+        ws.elements.push(elem)
+        return true
+    }
+    Array.from(byModel.values()).forEach(function (elem) {
+        if (byModel.has(elem.model)) {
+            place(elem)
+        }
+    })
+
+    // Stored identifiers first, so they are kept where they are unique
+    const used = {}
+    const claim = function (elem, id) {
+        if (!id || !/^[A-Za-z_][\w-]*$/.test(id) || used[id.toLowerCase()] || RESERVED_IDENTIFIERS.indexOf(id.toLowerCase()) !== -1) {
+            return false
+        }
+        used[id.toLowerCase()] = true
+        elem.id = id
+        ws.byFlat[id.toLowerCase()] = elem
+        return true
+    }
+    ws.elements.forEach(function (elem) { claim(elem, tagValue(elem.model, ID_TAG)) })
+    ws.elements.forEach(function (elem) {
+        if (!elem.id) {
+            const base = identifierFrom(elem.name, elem.type)
+            for (let n = 1; !claim(elem, n === 1 ? base : base + n); n++) {
+                // try the next suffix
+            }
+        }
+    })
+
+    relations.forEach(function (rel) {
+        if ((rel.tags || []).some(function (t) { return t.name === IMPLIED_TAG })) {
+            return
+        }
+        const source = byModel.get(rel.source)
+        const destination = byModel.get(rel.target)
+        if (!source || !destination) {
+            warnings.push('Skipped relationship "' + (rel.name || rel._id) + '": both ends must be exported C4 elements')
+            return
+        }
+        ws.relationships.push({
+            source: source,
+            destination: destination,
+            description: rel.name || rel.description || '',
+            technology: rel.technology || '',
+            tags: flagsOf(rel),
+            model: rel,
+            implied: false
+        })
+    })
+
+    return { ws: ws, byModel: byModel, diagrams: diagrams }
+}
+
+/**
+ * The view to write for a diagram: from its structurizrView tag, or
+ * inferred from what it shows.
+ */
+function viewOfDiagram(ws, byModel, diagram, usedKeys, warnings) {
+    let shown = []
+    diagramViews(diagram).forEach(function (v) {
+        const elem = v.model && !v.tail ? byModel.get(v.model) : null
+        if (elem && shown.indexOf(elem) === -1) {
+            shown.push(elem)
+        }
+    })
+    const stored = viewTag(diagram)
+    let view = null
+    if (stored && VIEW_ELEMENTS[stored.type]) {
+        const scopeModel = stored.scope ? app.repository.get(stored.scope) : null
+        const scope = scopeModel ? byModel.get(scopeModel) || null : null
+        // Identifiers in the expressions may have changed since the import
+        let renamed = true
+        const rename = function (expr) {
+            return mapIdentifiers(String(expr), function (ref) {
+                const model = stored.refs && stored.refs[ref] ? app.repository.get(stored.refs[ref]) : null
+                const elem = model ? byModel.get(model) : null
+                renamed = renamed && !!elem
+                return elem ? elem.id : ref
+            })
+        }
+        if (!VIEW_SCOPES[stored.type] || (scope && scope.type === VIEW_SCOPES[stored.type])) {
+            view = {
+                type: stored.type,
+                scope: scope,
+                key: stored.key,
+                description: stored.description || '',
+                include: Array.isArray(stored.include) ? stored.include.map(rename) : [],
+                exclude: Array.isArray(stored.exclude) ? stored.exclude.map(rename) : [],
+                autoLayout: stored.autoLayout || null
+            }
+            if (!renamed) {
+                view.include = []
+            }
+        }
+    }
+    if (!view) {
+        const component = shown.filter(function (e) { return e.type === 'C4Component' })[0]
+        const container = shown.filter(function (e) { return e.type === 'C4Container' })[0]
+        view = { type: 'systemLandscape', scope: null, key: null, description: '', include: [], exclude: [], autoLayout: null }
+        if (component) {
+            view.type = 'component'
+            view.scope = component.parent
+        } else if (container) {
+            view.type = 'container'
+            view.scope = container.parent
+        }
+    }
+    shown = shown.filter(function (e) {
+        if (e === view.scope && view.type !== 'systemContext') {
+            return false                 // drawn as the boundary of a container or component view
+        }
+        if (VIEW_ELEMENTS[view.type].indexOf(e.type) === -1) {
+            warnings.push('Diagram "' + diagram.name + '": left ' + KEYWORDS[e.type] + ' "' + e.name + '" out of the ' + view.type + ' view')
+            return false
+        }
+        return true
+    })
+
+    let key = view.key && /^[\w-]+$/.test(view.key) ? view.key : String(diagram.name || '').replace(/[^\w-]+/g, '') || 'View'
+    for (let n = 2; usedKeys[key.toLowerCase()]; n++) {
+        key = key.replace(/-\d+$/, '') + '-' + n
+    }
+    usedKeys[key.toLowerCase()] = true
+    view.key = key
+    view.title = diagram.name && diagram.name !== key ? diagram.name : ''
+
+    // Keep the expressions while they still select what the diagram shows
+    const evaluated = view.include.length > 0 ? evaluateView(ws, view) : null
+    const same = evaluated && evaluated.warnings.length === 0 && evaluated.elements.length === shown.length &&
+        shown.every(function (e) { return evaluated.elements.indexOf(e) !== -1 })
+    if (!same) {
+        view.include = shown.length > 0 ? shown.map(function (e) { return e.id }) : []
+        view.exclude = (view.exclude || []).filter(function (x) { return / -> /.test(x) })
+    }
+    return view
+}
+
+/**
+ * Apply `fn` to the identifiers of an include / exclude expression.
+ */
+function mapIdentifiers(expr, fn) {
+    return expr.split(/(\s*->\s*)/).map(function (part, i) {
+        return i % 2 === 0 && part && part !== '*' ? fn(part) : part
+    }).join('')
+}
+
+function quote(value) {
+    return '"' + String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\r?\n/g, ' ') + '"'
+}
+
+/**
+ * Quoted arguments, dropping empty trailing ones.
+ */
+function argsOf(values) {
+    const args = values.map(function (v) { return v || '' })
+    while (args.length > 1 && args[args.length - 1] === '') {
+        args.pop()
+    }
+    return args.map(quote).join(' ')
+}
+
+function writeElement(elem, indent, lines) {
+    const tags = elem.tags.slice()
+    if (elem.kind) {
+        tags.unshift(KIND_TAGS[elem.kind])
+    }
+    let args
+    if (elem.type === 'C4Container' || elem.type === 'C4Component') {
+        args = [elem.name, elem.description, elem.technology, tags.join(',')]
+    } else if (elem.type === 'C4Element') {
+        args = [elem.name, elem.technology, elem.description, tags.join(',')]
+    } else {
+        args = [elem.name, elem.description, tags.join(',')]
+    }
+    const head = indent + elem.id + ' = ' + KEYWORDS[elem.type] + ' ' + argsOf(args)
+    if (elem.children.length === 0) {
+        lines.push(head)
+        return
+    }
+    lines.push(head + ' {')
+    elem.children.forEach(function (child) { writeElement(child, indent + '    ', lines) })
+    lines.push(indent + '}')
+}
+
+/**
+ * Export the C4 elements and diagrams under `root` as a Structurizr DSL
+ * workspace.
+ *
+ * @param {Object} root - a C4Model, package or the project
+ * @param {Object} options - { path }: file to write
+ * @returns {Object} { text, counts: { <StarUML type>: n }, warnings }
+ */
+function exportDsl(root, options) {
+    const warnings = []
+    const collected = collectWorkspace(root, warnings)
+    const ws = collected.ws
+    const counts = {}
+    const count = function (typeName) {
+        counts[typeName] = (counts[typeName] || 0) + 1
+    }
+
+    const lines = []
+    lines.push('workspace ' + argsOf([root.name || 'Workspace', root.documentation || '']) + ' {')
+    lines.push('')
+    lines.push('    model {')
+    ws.elements.forEach(function (elem) {
+        count(elem.type)
+        if (!elem.parent) {
+            writeElement(elem, '        ', lines)
+        }
+    })
+    if (ws.relationships.length > 0) {
+        lines.push('')
+    }
+    ws.relationships.forEach(function (rel) {
+        count('C4Relationship')
+        lines.push('        ' + rel.source.id + ' -> ' + rel.destination.id + ' ' + argsOf([rel.description, rel.technology, rel.tags.join(',')]))
+    })
+    lines.push('    }')
+    lines.push('')
+    lines.push('    views {')
+    const usedKeys = {}
+    collected.diagrams.forEach(function (diagram) {
+        const view = viewOfDiagram(ws, collected.byModel, diagram, usedKeys, warnings)
+        count('C4Diagram')
+        lines.push('        ' + view.type + (view.scope ? ' ' + view.scope.id : '') + ' ' + argsOf([view.key, view.description]) + ' {')
+        if (view.title) {
+            lines.push('            title ' + quote(view.title))
+        }
+        if (view.include.length > 0) {
+            lines.push('            include ' + view.include.map(function (x) { return / -> /.test(x) ? quote(x) : x }).join(' '))
+        }
+        if (view.exclude.length > 0) {
+            lines.push('            exclude ' + view.exclude.map(function (x) { return / -> /.test(x) ? quote(x) : x }).join(' '))
+        }
+        if (view.autoLayout) {
+            lines.push('            autoLayout ' + view.autoLayout)
+        }
+        lines.push('        }')
+        lines.push('')
+    })
+    const kinds = Object.keys(KIND_TAGS).filter(function (kind) {
+        return ws.elements.some(function (e) { return e.kind === kind })
+    })
+    if (kinds.length > 0) {
+        lines.push('        styles {')
+        kinds.forEach(function (kind) {
+            lines.push('            element ' + quote(KIND_TAGS[kind]) + ' {')
+            lines.push('                shape ' + KIND_SHAPES[kind])
+            lines.push('            }')
+        })
+        lines.push('        }')
+    } else if (lines[lines.length - 1] === '') {
+        lines.pop()
+    }
+    lines.push('    }')
+    lines.push('}')
+
+    const text = lines.join('\n') + '\n'
+    if (options && options.path) {
+        fs.writeFileSync(options.path, text, 'utf8')
+    }
+    return { text: text, counts: counts, warnings: warnings }
+}
+
+// ============================================================
+// Public API
+// ============================================================
+
+exports.importDsl = importDsl
+exports.exportDsl = exportDsl
+exports.readWorkspace = readWorkspace
+exports.enclosingOf = enclosingOf
+exports.IMPLIED_TAG = IMPLIED_TAG
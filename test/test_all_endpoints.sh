@@ -6,10 +6,12 @@
 #   - StarUML running with StarUML Controller extension
 #   - Server started (Tools > StarUML Controller > Start Server)
 #   - Default port 12345 (or set PORT env var)
+#   - If API keys are configured, set API_KEY to a key with all scopes
 #
 # Usage:
 #   bash test/test_all_endpoints.sh
 #   PORT=3000 bash test/test_all_endpoints.sh
+#   API_KEY=suc_... bash test/test_all_endpoints.sh
 #
 
 BASE="http://localhost:${PORT:-12345}"
@@ -17,6 +19,11 @@ PASS=0
 FAIL=0
 TOTAL_RESULTS=""
 
+# Send the API key with every request when one is given
+if [ -n "$API_KEY" ]; then
+    curl() { command curl -H "Authorization: Bearer $API_KEY" "$@"; }
+fi
+
 # URL-encode a StarUML element ID (Base64 with / + =)
 enc() { python3 -c "import urllib.parse,sys; print(urllib.parse.quote(sys.argv[1],''))" "$1"; }
 
@@ -35,6 +42,20 @@ check() {
     fi
 }
 
+# Check HTTP status code of a response
+check_status() {
+    local label="$1"
+    local expected="$2"
+    local actual="$3"
+    if [ "$actual" = "$expected" ]; then
+        PASS=$((PASS+1))
+        TOTAL_RESULTS="${TOTAL_RESULTS}OK   ${label}\n"
+    else
+        FAIL=$((FAIL+1))
+        TOTAL_RESULTS="${TOTAL_RESULTS}FAIL ${label} : expected HTTP ${expected}, got ${actual}\n"
+    fi
+}
+
 # Extract _id from API response
 getid() { echo "$1" | python3 -c "import sys,json; print(json.load(sys.stdin)['data']['_id'])" 2>/dev/null; }
 
@@ -1506,6 +1527,447 @@ check "467j.ov_delete_interaction" "$(curl -s -X DELETE $BASE/api/overview/inter
 
 check "468.ov_delete_diagram" "$(curl -s -X DELETE $BASE/api/overview/diagrams/$(enc $FC_OV_DID))"
 
+# =============================
+# Authentication (only when API_KEY is set)
+# =============================
+if [ -n "$API_KEY" ]; then
+    check_status "469.auth_missing_key" "401" "$(command curl -s -o /dev/null -w '%{http_code}' $BASE/api/status)"
+    check_status "470.auth_invalid_key" "401" "$(command curl -s -o /dev/null -w '%{http_code}' -H 'Authorization: Bearer invalid' $BASE/api/status)"
+    check_status "471.auth_valid_key" "200" "$(curl -s -o /dev/null -w '%{http_code}' $BASE/api/status)"
+fi
+
+# =============================
+# CORS: browser origin not on the allow-list (1)
+# =============================
+check_status "472.cors_origin_rejected" "403" "$(curl -s -o /dev/null -w '%{http_code}' -H 'Origin: http://not-allowed.invalid' $BASE/api/status)"
+
+# =============================
+# Event stream: SSE connection opens, invalid filter rejected (2)
+# =============================
+check_status "473.events_stream" "200" "$(curl -s -N -o /dev/null -w '%{http_code}' --max-time 2 $BASE/api/events)"
+check_status "474.events_invalid_type" "400" "$(curl -s -o /dev/null -w '%{http_code}' "$BASE/api/events?types=bogus")"
+
+# =============================
+# Batch: atomic multi-step request with $N references, rollback on failure (4)
+# =============================
+R=$(curl -s -X POST $BASE/api/batch -H "Content-Type: application/json" -d '{"steps":[{"method":"POST","path":"/api/erd/data-models","body":{"name":"BatchDM"}},{"method":"POST","path":"/api/erd/diagrams","body":{"name":"BatchDiag","parentId":"$1.data._id"}},{"method":"POST","path":"/api/erd/entities","body":{"name":"batch_items","parentId":"$1.data._id","diagramId":"$2.data._id"}},{"method":"GET","path":"/api/erd/entities/$3.data._id"}]}')
+check "475.batch_execute" "$R"
+BATCH_IDS=$(echo "$R" | python3 -c "import sys,json; r=json.load(sys.stdin)['data']['results']; print(' '.join(x['data']['_id'] for x in r[:3]))" 2>/dev/null)
+read BATCH_DM_ID BATCH_DG_ID BATCH_ENT_ID <<< "$BATCH_IDS"
+
+R=$(curl -s -X POST $BASE/api/batch -H "Content-Type: application/json" -d '{"steps":[{"method":"POST","path":"/api/erd/data-models","body":{"name":"BatchRollbackDM"}},{"method":"GET","path":"/api/elements/nonexistent_batch_id"}]}')
+check_status "476.batch_failure_rolled_back" "True" "$(echo "$R" | python3 -c "import sys,json; d=json.load(sys.stdin); print(d['success'] is False and d['data']['rolledBack'] and d['data']['failedStep'] == 2)" 2>/dev/null)"
+check_status "477.batch_rollback_removed_elements" "0" "$(curl -s "$BASE/api/search?keyword=BatchRollbackDM" | python3 -c "import sys,json; print(len(json.load(sys.stdin)['data']))" 2>/dev/null)"
+
+check "478.batch_cleanup" "$(curl -s -X POST $BASE/api/batch -H "Content-Type: application/json" -d "{\"steps\":[{\"method\":\"DELETE\",\"path\":\"/api/erd/entities/$(enc $BATCH_ENT_ID)\"},{\"method\":\"DELETE\",\"path\":\"/api/erd/diagrams/$(enc $BATCH_DG_ID)\"},{\"method\":\"DELETE\",\"path\":\"/api/erd/data-models/$(enc $BATCH_DM_ID)\"}]}")"
+
+# =============================
+# OpenAPI specification (2)
+# =============================
+curl -s -o /tmp/test_openapi.json $BASE/api/openapi.json
+check_status "479.openapi_version" "3.0.3" "$(python3 -c "import json; print(json.load(open('/tmp/test_openapi.json'))['openapi'])" 2>/dev/null)"
+check_status "480.openapi_covers_status_endpoints" "0" "$(curl -s $BASE/api/status | python3 -c "
+import sys, json, re
+paths = json.load(open('/tmp/test_openapi.json'))['paths']
+eps = json.load(sys.stdin)['data']['endpoints']
+missing = [e for e in eps if e.split()[0].lower() not in paths.get(re.sub(r':(\w+)', r'{\1}', e.split()[1]), {})]
+print(len(missing))" 2>/dev/null)"
+
+# =============================
+# Request body validation: 400 for schema mismatches, 422 for disallowed values (3)
+# =============================
+R=$(curl -s -w '\n%{http_code}' -X POST $BASE/api/erd/entities/validation_probe/columns -H "Content-Type: application/json" -d '{"name":5,"bogus":true}')
+check_status "481.validation_structural_400" "400" "$(echo "$R" | tail -1)"
+check_status "482.validation_all_errors_reported" "invalid_type,unknown_field" "$(echo "$R" | sed '$d' | python3 -c "import sys,json; print(','.join(sorted(e['code'] for e in json.load(sys.stdin)['errors'])))" 2>/dev/null)"
+check_status "483.validation_enum_422" "422" "$(curl -s -o /dev/null -w '%{http_code}' -X POST $BASE/api/erd/entities/validation_probe/columns -H "Content-Type: application/json" -d '{"name":"c","type":"NOT_A_TYPE"}')"
+
+# =============================
+# Method not allowed on a known path: 405 with Allow header (2)
+# =============================
+R=$(curl -s -D - -o /dev/null -X PUT $BASE/api/erd/diagrams -H "Content-Type: application/json" -d '{}')
+check_status "484.method_not_allowed_405" "405" "$(echo "$R" | head -1 | awk '{print $2}')"
+check_status "485.method_not_allowed_allow_header" "GET, POST" "$(echo "$R" | grep -i '^Allow:' | sed 's/^[^:]*: *//' | tr -d '\r')"
+
+# =============================
+# List endpoints: paging, projection, filter, invalid limit (5)
+# =============================
+LIST_DM1=$(getid "$(curl -s -X POST $BASE/api/erd/data-models -H "Content-Type: application/json" -d '{"name":"ListQueryDM_B"}')")
+LIST_DM2=$(getid "$(curl -s -X POST $BASE/api/erd/data-models -H "Content-Type: application/json" -d '{"name":"ListQueryDM_A"}')")
+R=$(curl -s "$BASE/api/erd/data-models?name~=listquerydm&sort=name&limit=1&fields=_id,name")
+check_status "486.list_filter_total" "2" "$(echo "$R" | python3 -c "import sys,json; print(json.load(sys.stdin)['total'])" 2>/dev/null)"
+check_status "487.list_sort_limit" "ListQueryDM_A,1" "$(echo "$R" | python3 -c "import sys,json; d=json.load(sys.stdin); print(d['data'][0]['name'] + ',' + str(d['nextOffset']))" 2>/dev/null)"
+check_status "488.list_fields_projection" "_id,name" "$(echo "$R" | python3 -c "import sys,json; print(','.join(sorted(json.load(sys.stdin)['data'][0].keys())))" 2>/dev/null)"
+check_status "489.list_invalid_limit" "400" "$(curl -s -o /dev/null -w '%{http_code}' "$BASE/api/erd/data-models?limit=abc")"
+curl -s -X DELETE $BASE/api/erd/data-models/$(enc $LIST_DM1) > /dev/null
+curl -s -X DELETE $BASE/api/erd/data-models/$(enc $LIST_DM2) > /dev/null
+check_status "490.list_cleanup" "0" "$(curl -s "$BASE/api/erd/data-models?name~=listquerydm" | python3 -c "import sys,json; print(json.load(sys.stdin)['total'])" 2>/dev/null)"
+
+# =============================
+# ETag / If-Match: current tag accepted, stale tag rejected with 409 (4)
+# =============================
+ETAG_DM=$(getid "$(curl -s -X POST $BASE/api/erd/data-models -H "Content-Type: application/json" -d '{"name":"EtagDM"}')")
+ETAG1=$(curl -s -D - -o /dev/null $BASE/api/erd/data-models/$(enc $ETAG_DM) | grep -i '^etag:' | sed 's/^[^:]*: *//' | tr -d '\r')
+check_status "491.etag_header_on_get" "True" "$(python3 -c "import sys; print(len(sys.argv[1]) > 2)" "$ETAG1")"
+check_status "492.if_match_current" "200" "$(curl -s -o /dev/null -w '%{http_code}' -X PUT $BASE/api/erd/data-models/$(enc $ETAG_DM) -H "Content-Type: application/json" -H "If-Match: $ETAG1" -d '{"name":"EtagDM2"}')"
+R=$(curl -s -w '\n%{http_code}' -X PUT $BASE/api/erd/data-models/$(enc $ETAG_DM) -H "Content-Type: application/json" -H "If-Match: $ETAG1" -d '{"name":"EtagDM3"}')
+check_status "493.if_match_stale_409" "409" "$(echo "$R" | tail -1)"
+check_status "494.conflict_returns_current" "EtagDM2" "$(echo "$R" | sed '$d' | python3 -c "import sys,json; print(json.load(sys.stdin)['data']['name'])" 2>/dev/null)"
+curl -s -X DELETE $BASE/api/erd/data-models/$(enc $ETAG_DM) > /dev/null
+
+# =============================
+# MCP endpoint: initialize, tools/list covers the API, tools/call (4)
+# =============================
+MCP_HDR="Accept: application/json, text/event-stream"
+check_status "495.mcp_initialize" "staruml-controller" "$(curl -s -X POST $BASE/mcp -H "Content-Type: application/json" -H "$MCP_HDR" -d '{"jsonrpc":"2.0","id":1,"method":"initialize","params":{"protocolVersion":"2025-06-18","capabilities":{},"clientInfo":{"name":"test","version":"1"}}}' | python3 -c "import sys,json; print(json.load(sys.stdin)['result']['serverInfo']['name'])" 2>/dev/null)"
+check_status "496.mcp_tools_list" "True" "$(curl -s -X POST $BASE/mcp -H "Content-Type: application/json" -H "$MCP_HDR" -d '{"jsonrpc":"2.0","id":2,"method":"tools/list"}' | python3 -c "import sys,json; names=[t['name'] for t in json.load(sys.stdin)['result']['tools']]; print('getStatus' in names and 'postClassClasses' in names and len(names) > 800)" 2>/dev/null)"
+check_status "497.mcp_tools_call" "True" "$(curl -s -X POST $BASE/mcp -H "Content-Type: application/json" -H "$MCP_HDR" -d '{"jsonrpc":"2.0","id":3,"method":"tools/call","params":{"name":"getStatus","arguments":{}}}' | python3 -c "import sys,json; r=json.load(sys.stdin)['result']; print(not r['isError'] and json.loads(r['content'][0]['text'])['success'])" 2>/dev/null)"
+check_status "498.mcp_get_not_allowed" "405" "$(curl -s -o /dev/null -w '%{http_code}' $BASE/mcp)"
+
+# =============================
+# DDL dialects: MySQL and SQLite output, unknown dialect rejected (4)
+# =============================
+DIALECT_DM=$(getid "$(curl -s -X POST $BASE/api/erd/data-models -H "Content-Type: application/json" -d '{"name":"DialectDM"}')")
+DIALECT_E=$(getid "$(curl -s -X POST $BASE/api/erd/entities -H "Content-Type: application/json" -d "{\"name\":\"dialect_items\",\"parentId\":\"$DIALECT_DM\"}")")
+curl -s -X POST $BASE/api/erd/entities/$(enc $DIALECT_E)/columns -H "Content-Type: application/json" -d '{"name":"id","type":"INTEGER","length":"-1","primaryKey":true}' > /dev/null
+check "499.ddl_dialect_mysql" "$(curl -s -X POST $BASE/api/erd/ddl -H "Content-Type: application/json" -d "{\"dataModelId\":\"$DIALECT_DM\",\"dialect\":\"mysql\",\"path\":\"/tmp/test_ddl_mysql.sql\"}")"
+check_status "500.ddl_mysql_auto_increment" "1" "$(grep -c 'AUTO_INCREMENT' /tmp/test_ddl_mysql.sql 2>/dev/null)"
+curl -s -X POST $BASE/api/erd/ddl -H "Content-Type: application/json" -d "{\"dataModelId\":\"$DIALECT_DM\",\"dialect\":\"sqlite\",\"path\":\"/tmp/test_ddl_sqlite.sql\"}" > /dev/null
+check_status "501.ddl_sqlite_autoincrement" "1" "$(grep -c 'INTEGER PRIMARY KEY AUTOINCREMENT' /tmp/test_ddl_sqlite.sql 2>/dev/null)"
+check_status "502.ddl_unknown_dialect_422" "422" "$(curl -s -o /dev/null -w '%{http_code}' -X POST $BASE/api/erd/ddl -H "Content-Type: application/json" -d '{"dialect":"db2","path":"/tmp/test_ddl_db2.sql"}')"
+curl -s -X DELETE $BASE/api/erd/entities/$(enc $DIALECT_E) > /dev/null
+curl -s -X DELETE $BASE/api/erd/data-models/$(enc $DIALECT_DM) > /dev/null
+rm -f /tmp/test_ddl_mysql.sql /tmp/test_ddl_sqlite.sql
+
+# =============================
+# DDL import: tables, foreign key reference, relationship, empty script rejected (4)
+# =============================
+R=$(curl -s -X POST $BASE/api/erd/import-ddl -H "Content-Type: application/json" -d '{"name":"ImportDM","createDiagram":true,"sql":"CREATE TABLE authors (id SERIAL PRIMARY KEY, name VARCHAR(80) NOT NULL); CREATE TABLE books (id SERIAL PRIMARY KEY, author_id INTEGER NOT NULL REFERENCES authors(id), title TEXT);"}')
+check "503.ddl_import" "$R"
+IMPORT_DM=$(echo "$R" | python3 -c "import sys,json; print(json.load(sys.stdin)['data']['dataModels'][0]['_id'])" 2>/dev/null)
+IMPORT_DIAG=$(echo "$R" | python3 -c "import sys,json; print(json.load(sys.stdin)['data']['diagrams'][0]['_id'])" 2>/dev/null)
+IMPORT_BOOKS=$(echo "$R" | python3 -c "import sys,json; print(next(e['_id'] for e in json.load(sys.stdin)['data']['entities'] if e['name']=='books'))" 2>/dev/null)
+IMPORT_AUTHORS=$(echo "$R" | python3 -c "import sys,json; print(next(e['_id'] for e in json.load(sys.stdin)['data']['entities'] if e['name']=='authors'))" 2>/dev/null)
+check_status "504.ddl_import_reference" "True" "$(curl -s $BASE/api/erd/entities/$(enc $IMPORT_BOOKS)/columns | python3 -c "import sys,json; c=next(c for c in json.load(sys.stdin)['data'] if c['name']=='author_id'); print(c['foreignKey'] and bool(c.get('referenceTo')))" 2>/dev/null)"
+IMPORT_REL=$(curl -s "$BASE/api/erd/relationships?dataModelId=$(enc $IMPORT_DM)" | python3 -c "import sys,json; d=json.load(sys.stdin)['data']; print(d[0]['_id'] if len(d)==1 else '')" 2>/dev/null)
+check_status "505.ddl_import_relationship" "true" "$([ -n "$IMPORT_REL" ] && echo true || echo false)"
+check_status "506.ddl_import_no_tables_422" "422" "$(curl -s -o /dev/null -w '%{http_code}' -X POST $BASE/api/erd/import-ddl -H "Content-Type: application/json" -d '{"sql":"CREATE VIEW v AS SELECT 1;"}')"
+curl -s -X DELETE $BASE/api/erd/relationships/$(enc $IMPORT_REL) > /dev/null
+curl -s -X DELETE $BASE/api/erd/entities/$(enc $IMPORT_BOOKS) > /dev/null
+curl -s -X DELETE $BASE/api/erd/entities/$(enc $IMPORT_AUTHORS) > /dev/null
+curl -s -X DELETE $BASE/api/erd/diagrams/$(enc $IMPORT_DIAG) > /dev/null
+curl -s -X DELETE $BASE/api/erd/data-models/$(enc $IMPORT_DM) > /dev/null
+
+# =============================
+# DDL migrations: snapshot baseline, ALTER script, Flyway layout, missing baseline (4)
+# =============================
+MIG_DM=$(getid "$(curl -s -X POST $BASE/api/erd/data-models -H "Content-Type: application/json" -d '{"name":"MigrationDM"}')")
+MIG_E=$(getid "$(curl -s -X POST $BASE/api/erd/entities -H "Content-Type: application/json" -d "{\"name\":\"mig_items\",\"parentId\":\"$MIG_DM\"}")")
+curl -s -X POST $BASE/api/erd/entities/$(enc $MIG_E)/columns -H "Content-Type: application/json" -d '{"name":"id","type":"INTEGER","primaryKey":true}' > /dev/null
+R=$(curl -s -X POST $BASE/api/erd/snapshots -H "Content-Type: application/json" -d '{"name":"before price"}')
+check "507.migration_snapshot" "$R"
+MIG_SNAP=$(echo "$R" | python3 -c "import sys,json; print(json.load(sys.stdin)['data']['id'])" 2>/dev/null)
+curl -s -X POST $BASE/api/erd/entities/$(enc $MIG_E)/columns -H "Content-Type: application/json" -d '{"name":"price","type":"DECIMAL","length":"10,2","nullable":true}' > /dev/null
+check_status "508.migration_add_column" "True" "$(curl -s -X POST $BASE/api/erd/migration -H "Content-Type: application/json" -d "{\"snapshotId\":\"$MIG_SNAP\",\"dataModelId\":\"$MIG_DM\",\"down\":true}" | python3 -c "import sys,json; d=json.load(sys.stdin)['data']; print('ADD COLUMN price numeric(10,2)' in d['up'] and 'DROP COLUMN price' in d['down'])" 2>/dev/null)"
+rm -rf /tmp/test_migrations && mkdir -p /tmp/test_migrations
+curl -s -X POST $BASE/api/erd/migration -H "Content-Type: application/json" -d "{\"snapshotId\":\"$MIG_SNAP\",\"dataModelId\":\"$MIG_DM\",\"format\":\"flyway\",\"path\":\"/tmp/test_migrations\",\"version\":\"2\",\"description\":\"add price\",\"down\":true}" > /dev/null
+check_status "509.migration_flyway_files" "U2__add_price.sql V2__add_price.sql" "$(ls /tmp/test_migrations 2>/dev/null | tr '\n' ' ' | sed 's/ $//')"
+check_status "510.migration_no_baseline_400" "400" "$(curl -s -o /dev/null -w '%{http_code}' -X POST $BASE/api/erd/migration -H "Content-Type: application/json" -d '{"dialect":"mysql"}')"
+curl -s -X DELETE $BASE/api/erd/entities/$(enc $MIG_E) > /dev/null
+curl -s -X DELETE $BASE/api/erd/data-models/$(enc $MIG_DM) > /dev/null
+rm -rf /tmp/test_migrations
+
+# =============================
+# DDL for selected entities: FK closure in dependency order, SQL in the response, non-entity ID rejected (3)
+# =============================
+SUB_DM=$(getid "$(curl -s -X POST $BASE/api/erd/data-models -H "Content-Type: application/json" -d '{"name":"SubsetDM"}')")
+SUB_PARENT=$(getid "$(curl -s -X POST $BASE/api/erd/entities -H "Content-Type: application/json" -d "{\"name\":\"sub_parent\",\"parentId\":\"$SUB_DM\"}")")
+SUB_PARENT_ID=$(getid "$(curl -s -X POST $BASE/api/erd/entities/$(enc $SUB_PARENT)/columns -H "Content-Type: application/json" -d '{"name":"id","type":"INTEGER","primaryKey":true}')")
+SUB_CHILD=$(getid "$(curl -s -X POST $BASE/api/erd/entities -H "Content-Type: application/json" -d "{\"name\":\"sub_child\",\"parentId\":\"$SUB_DM\"}")")
+curl -s -X POST $BASE/api/erd/entities/$(enc $SUB_CHILD)/columns -H "Content-Type: application/json" -d "{\"name\":\"parent_id\",\"type\":\"INTEGER\",\"foreignKey\":true,\"referenceToId\":\"$SUB_PARENT_ID\"}" > /dev/null
+R=$(curl -s -X POST $BASE/api/erd/ddl -H "Content-Type: application/json" -d "{\"dialect\":\"mysql\",\"entityIds\":[\"$SUB_CHILD\"]}")
+check "511.ddl_entity_subset" "$R"
+check_status "512.ddl_entity_subset_order" "sub_parent sub_child" "$(echo "$R" | python3 -c "import sys,json; print(' '.join(e['name'] for e in json.load(sys.stdin)['data']['entities']))" 2>/dev/null)"
+check_status "513.ddl_entity_subset_not_entity_422" "422" "$(curl -s -o /dev/null -w '%{http_code}' -X POST $BASE/api/erd/ddl -H "Content-Type: application/json" -d "{\"entityIds\":[\"$SUB_DM\"]}")"
+curl -s -X DELETE $BASE/api/erd/entities/$(enc $SUB_CHILD) > /dev/null
+curl -s -X DELETE $BASE/api/erd/entities/$(enc $SUB_PARENT) > /dev/null
+curl -s -X DELETE $BASE/api/erd/data-models/$(enc $SUB_DM) > /dev/null
+
+# =============================
+# DBML / Prisma: import with enum and ref, Prisma export in the response, DBML round trip, empty schema rejected (4)
+# =============================
+R=$(curl -s -X POST $BASE/api/erd/import-dbml -H "Content-Type: application/json" -d '{"name":"DbmlDM","dbml":"Enum fmt_status { open closed }\nTable fmt_owners { id integer [pk] }\nTable fmt_tasks { id integer [pk]\n owner_id integer [ref: > fmt_owners.id]\n status fmt_status [not null, note: \u0027Workflow state\u0027] }"}')
+check "514.dbml_import" "$R"
+FMT_DM=$(echo "$R" | python3 -c "import sys,json; print(json.load(sys.stdin)['data']['dataModels'][0]['_id'])" 2>/dev/null)
+FMT_IDS=$(echo "$R" | python3 -c "import sys,json; print(' '.join(e['_id'] for e in json.load(sys.stdin)['data']['entities']))" 2>/dev/null)
+check_status "515.prisma_export_relation_enum" "True" "$(curl -s -X POST $BASE/api/erd/prisma -H "Content-Type: application/json" -d "{\"dataModelId\":\"$FMT_DM\"}" | python3 -c "import sys,json; p=json.load(sys.stdin)['data']['prisma']; print('enum fmt_status {' in p and '@relation(fields: [owner_id], references: [id])' in p and '/// Workflow state' in p)" 2>/dev/null)"
+check_status "516.dbml_export_ref" "True" "$(curl -s -X POST $BASE/api/erd/dbml -H "Content-Type: application/json" -d "{\"dataModelId\":\"$FMT_DM\"}" | python3 -c "import sys,json; d=json.load(sys.stdin)['data']['dbml']; print('Enum fmt_status' in d and 'Ref: fmt_tasks.owner_id > fmt_owners.id' in d)" 2>/dev/null)"
+check_status "517.prisma_import_no_models_422" "422" "$(curl -s -o /dev/null -w '%{http_code}' -X POST $BASE/api/erd/import-prisma -H "Content-Type: application/json" -d '{"prisma":"datasource db { provider = \"postgresql\" }"}')"
+FMT_REL=$(curl -s "$BASE/api/erd/relationships?dataModelId=$(enc $FMT_DM)" | python3 -c "import sys,json; print(' '.join(r['_id'] for r in json.load(sys.stdin)['data']))" 2>/dev/null)
+for ID in $FMT_REL; do curl -s -X DELETE $BASE/api/erd/relationships/$(enc $ID) > /dev/null; done
+for ID in $FMT_IDS; do curl -s -X DELETE $BASE/api/erd/entities/$(enc $ID) > /dev/null; done
+curl -s -X DELETE $BASE/api/erd/data-models/$(enc $FMT_DM) > /dev/null
+
+# =============================
+# Seed data: INSERT script, reproducible from the seed, foreign keys point at generated rows, rows out of range (4)
+# =============================
+SEED_DM=$(getid "$(curl -s -X POST $BASE/api/erd/data-models -H "Content-Type: application/json" -d '{"name":"SeedDM"}')")
+SEED_PARENT=$(getid "$(curl -s -X POST $BASE/api/erd/entities -H "Content-Type: application/json" -d "{\"name\":\"seed_owners\",\"parentId\":\"$SEED_DM\"}")")
+SEED_PARENT_ID=$(getid "$(curl -s -X POST $BASE/api/erd/entities/$(enc $SEED_PARENT)/columns -H "Content-Type: application/json" -d '{"name":"id","type":"INTEGER","primaryKey":true}')")
+curl -s -X POST $BASE/api/erd/entities/$(enc $SEED_PARENT)/columns -H "Content-Type: application/json" -d '{"name":"email","type":"VARCHAR","length":"80","unique":true}' > /dev/null
+SEED_CHILD=$(getid "$(curl -s -X POST $BASE/api/erd/entities -H "Content-Type: application/json" -d "{\"name\":\"seed_pets\",\"parentId\":\"$SEED_DM\"}")")
+curl -s -X POST $BASE/api/erd/entities/$(enc $SEED_CHILD)/columns -H "Content-Type: application/json" -d '{"name":"id","type":"INTEGER","primaryKey":true}' > /dev/null
+curl -s -X POST $BASE/api/erd/entities/$(enc $SEED_CHILD)/columns -H "Content-Type: application/json" -d "{\"name\":\"owner_id\",\"type\":\"INTEGER\",\"foreignKey\":true,\"referenceToId\":\"$SEED_PARENT_ID\"}" > /dev/null
+R=$(curl -s -X POST $BASE/api/erd/seed-data -H "Content-Type: application/json" -d "{\"dataModelId\":\"$SEED_DM\",\"rows\":5,\"seed\":42}")
+check "518.seed_data_sql" "$R"
+check_status "519.seed_data_reproducible" "True" "$(curl -s -X POST $BASE/api/erd/seed-data -H "Content-Type: application/json" -d "{\"dataModelId\":\"$SEED_DM\",\"rows\":5,\"seed\":42}" | python3 -c "import sys,json; a=json.loads(sys.argv[1])['data']['sql']; print(json.load(sys.stdin)['data']['sql'] == a and a.count('INSERT INTO') == 10)" "$R" 2>/dev/null)"
+check_status "520.seed_data_fixtures_fk" "True" "$(curl -s -X POST $BASE/api/erd/seed-data -H "Content-Type: application/json" -d "{\"dataModelId\":\"$SEED_DM\",\"rows\":5,\"format\":\"json\"}" | python3 -c "import sys,json; f=json.load(sys.stdin)['data']['fixtures']; ids=set(r['id'] for r in f['seed_owners']); print(list(f) == ['seed_owners','seed_pets'] and all(r['owner_id'] in ids for r in f['seed_pets']))" 2>/dev/null)"
+check_status "521.seed_data_rows_out_of_range_422" "422" "$(curl -s -o /dev/null -w '%{http_code}' -X POST $BASE/api/erd/seed-data -H "Content-Type: application/json" -d "{\"dataModelId\":\"$SEED_DM\",\"rows\":0}")"
+curl -s -X DELETE $BASE/api/erd/entities/$(enc $SEED_CHILD) > /dev/null
+curl -s -X DELETE $BASE/api/erd/entities/$(enc $SEED_PARENT) > /dev/null
+curl -s -X DELETE $BASE/api/erd/data-models/$(enc $SEED_DM) > /dev/null
+
+# =============================
+# Data dictionary: Markdown in the response, CSV row per column with FK target, HTML file, unknown format (4)
+# =============================
+DICT_DM=$(getid "$(curl -s -X POST $BASE/api/erd/data-models -H "Content-Type: application/json" -d '{"name":"DictDM"}')")
+DICT_PARENT=$(getid "$(curl -s -X POST $BASE/api/erd/entities -H "Content-Type: application/json" -d "{\"name\":\"dict_owners\",\"parentId\":\"$DICT_DM\"}")")
+DICT_PARENT_ID=$(getid "$(curl -s -X POST $BASE/api/erd/entities/$(enc $DICT_PARENT)/columns -H "Content-Type: application/json" -d '{"name":"id","type":"INTEGER","primaryKey":true}')")
+DICT_CHILD=$(getid "$(curl -s -X POST $BASE/api/erd/entities -H "Content-Type: application/json" -d "{\"name\":\"dict_pets\",\"parentId\":\"$DICT_DM\",\"documentation\":\"Pets, by owner\"}")")
+curl -s -X POST $BASE/api/erd/entities/$(enc $DICT_CHILD)/columns -H "Content-Type: application/json" -d "{\"name\":\"owner_id\",\"type\":\"INTEGER\",\"foreignKey\":true,\"referenceToId\":\"$DICT_PARENT_ID\"}" > /dev/null
+R=$(curl -s -X POST $BASE/api/erd/data-dictionary -H "Content-Type: application/json" -d "{\"dataModelId\":\"$DICT_DM\"}")
+check "522.data_dictionary_markdown" "$R"
+check_status "523.data_dictionary_csv_fk" "True" "$(curl -s -X POST $BASE/api/erd/data-dictionary -H "Content-Type: application/json" -d "{\"dataModelId\":\"$DICT_DM\",\"format\":\"csv\",\"dialect\":\"mysql\"}" | python3 -c "import sys,json,csv,io; rows=list(csv.DictReader(io.StringIO(json.load(sys.stdin)['data']['content']))); r=next(r for r in rows if r['Column']=='owner_id'); print(len(rows)==2 and r['Foreign Key']=='dict_owners.id' and r['SQL Type']=='int' and r['Table Description']=='Pets, by owner')" 2>/dev/null)"
+rm -f /tmp/test_dictionary.html
+curl -s -X POST $BASE/api/erd/data-dictionary -H "Content-Type: application/json" -d "{\"dataModelId\":\"$DICT_DM\",\"format\":\"html\",\"path\":\"/tmp/test_dictionary.html\"}" > /dev/null
+check_status "524.data_dictionary_html_file" "2" "$(grep -c '<h3 id=' /tmp/test_dictionary.html 2>/dev/null)"
+check_status "525.data_dictionary_bad_format_422" "422" "$(curl -s -o /dev/null -w '%{http_code}' -X POST $BASE/api/erd/data-dictionary -H "Content-Type: application/json" -d '{"format":"pdf"}')"
+rm -f /tmp/test_dictionary.html
+curl -s -X DELETE $BASE/api/erd/entities/$(enc $DICT_CHILD) > /dev/null
+curl -s -X DELETE $BASE/api/erd/entities/$(enc $DICT_PARENT) > /dev/null
+curl -s -X DELETE $BASE/api/erd/data-models/$(enc $DICT_DM) > /dev/null
+
+# =============================
+# Relationship materialization: many-to-many junction on create, FK column of an existing one-to-many, unknown placeholder (4)
+# =============================
+MAT_DM=$(getid "$(curl -s -X POST $BASE/api/erd/data-models -H "Content-Type: application/json" -d '{"name":"MatDM"}')")
+MAT_DG=$(getid "$(curl -s -X POST $BASE/api/erd/diagrams -H "Content-Type: application/json" -d "{\"name\":\"MatDiag\",\"parentId\":\"$MAT_DM\"}")")
+MAT_CUSTOMERS=$(getid "$(curl -s -X POST $BASE/api/erd/entities -H "Content-Type: application/json" -d "{\"name\":\"mat_customers\",\"parentId\":\"$MAT_DM\",\"diagramId\":\"$MAT_DG\",\"x1\":40,\"y1\":40,\"x2\":240,\"y2\":120}")")
+MAT_ORDERS=$(getid "$(curl -s -X POST $BASE/api/erd/entities -H "Content-Type: application/json" -d "{\"name\":\"mat_orders\",\"parentId\":\"$MAT_DM\",\"diagramId\":\"$MAT_DG\",\"x1\":340,\"y1\":40,\"x2\":540,\"y2\":120}")")
+MAT_TAGS=$(getid "$(curl -s -X POST $BASE/api/erd/entities -H "Content-Type: application/json" -d "{\"name\":\"mat_tags\",\"parentId\":\"$MAT_DM\",\"diagramId\":\"$MAT_DG\",\"x1\":340,\"y1\":340,\"x2\":540,\"y2\":420}")")
+for ID in $MAT_CUSTOMERS $MAT_ORDERS; do curl -s -X POST $BASE/api/erd/entities/$(enc $ID)/columns -H "Content-Type: application/json" -d '{"name":"id","type":"SERIAL","primaryKey":true}' > /dev/null; done
+curl -s -X POST $BASE/api/erd/entities/$(enc $MAT_TAGS)/columns -H "Content-Type: application/json" -d '{"name":"code","type":"VARCHAR","length":"20","primaryKey":true}' > /dev/null
+R=$(curl -s -X POST $BASE/api/erd/relationships -H "Content-Type: application/json" \
+  -d "{\"parentId\":\"$MAT_DM\",\"diagramId\":\"$MAT_DG\",\"end1\":{\"reference\":\"$MAT_ORDERS\",\"cardinality\":\"0..*\"},\"end2\":{\"reference\":\"$MAT_TAGS\",\"cardinality\":\"0..*\"},\"materialize\":true,\"naming\":{\"junctionTable\":\"mat_order_tags\"}}")
+check "526.erd_create_relationship_materialize" "$R"
+check_status "527.erd_materialize_junction" "True" "$(echo "$R" | python3 -c "import sys,json; m=json.load(sys.stdin)['data']['materialized']; j=m['junction']; print(m['kind'] == 'many-to-many' and j['name'] == 'mat_order_tags' and [(c['name'], c['type'], c['primaryKey']) for c in j['columns']] == [('mat_orders_id', 'INTEGER', True), ('mat_tags_code', 'VARCHAR', True)] and len(m['relationships']) == 2 and m['diagrams'] == [sys.argv[1]])" "$MAT_DG" 2>/dev/null)"
+MAT_REL=$(getid "$(curl -s -X POST $BASE/api/erd/relationships -H "Content-Type: application/json" \
+  -d "{\"parentId\":\"$MAT_DM\",\"diagramId\":\"$MAT_DG\",\"end1\":{\"reference\":\"$MAT_CUSTOMERS\",\"cardinality\":\"1\"},\"end2\":{\"reference\":\"$MAT_ORDERS\",\"cardinality\":\"0..*\"}}")")
+check_status "528.erd_materialize_one_to_many" "True" "$(curl -s -X POST $BASE/api/erd/relationships/$(enc $MAT_REL)/materialize -H "Content-Type: application/json" -d '{"naming":{"foreignKeyColumn":"{role}_{column}"}}' | python3 -c "import sys,json; c=json.load(sys.stdin)['data']['columns']; print(len(c) == 1 and c[0]['name'] == 'mat_customers_id' and c[0]['_parentId'] == sys.argv[1] and c[0]['nullable'] is False and c[0]['referenceTo'] is not None)" "$MAT_ORDERS" 2>/dev/null)"
+check_status "529.erd_materialize_bad_placeholder_422" "422" "$(curl -s -o /dev/null -w '%{http_code}' -X POST $BASE/api/erd/relationships/$(enc $MAT_REL)/materialize -H "Content-Type: application/json" -d '{"naming":{"junctionTable":"{table}_link"}}')"
+MAT_RELS=$(curl -s "$BASE/api/erd/relationships?dataModelId=$(enc $MAT_DM)" | python3 -c "import sys,json; print(' '.join(r['_id'] for r in json.load(sys.stdin)['data']))" 2>/dev/null)
+for ID in $MAT_RELS; do curl -s -X DELETE $BASE/api/erd/relationships/$(enc $ID) > /dev/null; done
+MAT_ENTITIES=$(curl -s "$BASE/api/erd/entities?dataModelId=$(enc $MAT_DM)" | python3 -c "import sys,json; print(' '.join(e['_id'] for e in reversed(json.load(sys.stdin)['data'])))" 2>/dev/null)
+for ID in $MAT_ENTITIES; do curl -s -X DELETE $BASE/api/erd/entities/$(enc $ID) > /dev/null; done
+curl -s -X DELETE $BASE/api/erd/diagrams/$(enc $MAT_DG) > /dev/null
+curl -s -X DELETE $BASE/api/erd/data-models/$(enc $MAT_DM) > /dev/null
+
+# =============================
+# Column templates and domains: entity from a template, domain edit propagates to columns, domain in use cannot be deleted (4)
+# =============================
+LIB_DM=$(getid "$(curl -s -X POST $BASE/api/erd/data-models -H "Content-Type: application/json" -d '{"name":"LibDM"}')")
+R=$(curl -s -X POST $BASE/api/erd/domains -H "Content-Type: application/json" -d '{"name":"lib_email","type":"VARCHAR","length":"320","nullable":false,"unique":true}')
+check "530.erd_create_domain" "$R"
+LIB_DOMAIN=$(getid "$R")
+LIB_TEMPLATE=$(getid "$(curl -s -X POST $BASE/api/erd/column-templates -H "Content-Type: application/json" -d '{"name":"lib_audit","columns":[{"name":"id","type":"BIGSERIAL","primaryKey":true},{"name":"email","domain":"lib_email"},{"name":"created_at","type":"TIMESTAMP","default":"now()"}]}')")
+LIB_ENTITY=$(getid "$(curl -s -X POST $BASE/api/erd/entities -H "Content-Type: application/json" -d "{\"name\":\"lib_users\",\"parentId\":\"$LIB_DM\",\"template\":\"lib_audit\"}")")
+check_status "531.erd_entity_from_template" "id,email,created_at" "$(curl -s $BASE/api/erd/entities/$(enc $LIB_ENTITY)/columns | python3 -c "import sys,json; print(','.join(c['name'] for c in json.load(sys.stdin)['data']))" 2>/dev/null)"
+curl -s -X PUT $BASE/api/erd/domains/$(enc $LIB_DOMAIN) -H "Content-Type: application/json" -d '{"length":"254","nullable":true}' > /dev/null
+check_status "532.erd_domain_propagates" "True" "$(curl -s $BASE/api/erd/entities/$(enc $LIB_ENTITY)/columns | python3 -c "import sys,json; c=next(c for c in json.load(sys.stdin)['data'] if c['name']=='email'); print(c['domain'] == 'lib_email' and c['length'] == '254' and c['nullable'] is True and c['unique'] is True)" 2>/dev/null)"
+check_status "533.erd_delete_domain_in_use_422" "422" "$(curl -s -o /dev/null -w '%{http_code}' -X DELETE $BASE/api/erd/domains/$(enc $LIB_DOMAIN))"
+curl -s -X DELETE $BASE/api/erd/entities/$(enc $LIB_ENTITY) > /dev/null
+curl -s -X DELETE $BASE/api/erd/column-templates/$(enc $LIB_TEMPLATE) > /dev/null
+curl -s -X DELETE $BASE/api/erd/domains/$(enc $LIB_DOMAIN) > /dev/null
+curl -s -X DELETE $BASE/api/erd/data-models/$(enc $LIB_DM) > /dev/null
+
+# =============================
+# Class model conversion: classes to entities with FK, ERD rename reported on the next run and applied by to-classes, bad inheritance (5)
+# =============================
+CE_TMP_DG=$(getid "$(curl -s -X POST $BASE/api/class/diagrams -H "Content-Type: application/json" -d '{"name":"CeTmpDiag"}')")
+CE_PKG=$(getid "$(curl -s -X POST $BASE/api/class/packages -H "Content-Type: application/json" -d "{\"diagramId\":\"$CE_TMP_DG\",\"name\":\"CePkg\"}")")
+CE_DG=$(getid "$(curl -s -X POST $BASE/api/class/diagrams -H "Content-Type: application/json" -d "{\"name\":\"CeDiag\",\"parentId\":\"$CE_PKG\"}")")
+CE_CUSTOMER=$(getid "$(curl -s -X POST $BASE/api/class/classes -H "Content-Type: application/json" -d "{\"diagramId\":\"$CE_DG\",\"name\":\"CeCustomer\"}")")
+CE_ORDER=$(getid "$(curl -s -X POST $BASE/api/class/classes -H "Content-Type: application/json" -d "{\"diagramId\":\"$CE_DG\",\"name\":\"CeOrder\",\"x1\":300,\"y1\":100,\"x2\":400,\"y2\":180}")")
+curl -s -X POST $BASE/api/class/classes/$(enc $CE_CUSTOMER)/attributes -H "Content-Type: application/json" -d '{"name":"emailAddress","type":"String"}' > /dev/null
+curl -s -X POST $BASE/api/class/classes/$(enc $CE_ORDER)/attributes -H "Content-Type: application/json" -d '{"name":"placedAt","type":"DateTime"}' > /dev/null
+curl -s -X POST $BASE/api/class/associations -H "Content-Type: application/json" -d "{\"diagramId\":\"$CE_DG\",\"sourceId\":\"$CE_CUSTOMER\",\"targetId\":\"$CE_ORDER\",\"end1\":{\"multiplicity\":\"1\"},\"end2\":{\"multiplicity\":\"*\"}}" > /dev/null
+R=$(curl -s -X POST $BASE/api/erd/from-classes -H "Content-Type: application/json" -d "{\"packageId\":\"$CE_PKG\"}")
+check "534.erd_from_classes" "$R"
+CE_DM=$(echo "$R" | python3 -c "import sys,json; print(json.load(sys.stdin)['data']['dataModel']['_id'])" 2>/dev/null)
+check_status "535.erd_from_classes_columns" "ce_customer:id,email_address|ce_order:id,placed_at,ce_customer_id" "$(curl -s "$BASE/api/erd/entities?dataModelId=$(enc $CE_DM)" | python3 -c "import sys,json; print('|'.join(e['name'] + ':' + ','.join(c['name'] for c in e['columns']) for e in json.load(sys.stdin)['data']))" 2>/dev/null)"
+CE_ORDER_ENTITY=$(curl -s "$BASE/api/erd/entities?dataModelId=$(enc $CE_DM)" | python3 -c "import sys,json; print(next(e['_id'] for e in json.load(sys.stdin)['data'] if e['name']=='ce_order'))" 2>/dev/null)
+curl -s -X PUT $BASE/api/erd/entities/$(enc $CE_ORDER_ENTITY) -H "Content-Type: application/json" -d '{"name":"ce_orders"}' > /dev/null
+check_status "536.erd_from_classes_reports_erd_change" "True" "$(curl -s -X POST $BASE/api/erd/from-classes -H "Content-Type: application/json" -d "{\"packageId\":\"$CE_PKG\"}" | python3 -c "import sys,json; d=json.load(sys.stdin)['data']; print(d['dataModel']['_id'] == sys.argv[1] and d['summary'].get('erd-changed') == 1 and 'created' not in d['summary'])" "$CE_DM" 2>/dev/null)"
+check_status "537.erd_to_classes_applies_rename" "True" "$(curl -s -X POST $BASE/api/erd/to-classes -H "Content-Type: application/json" -d "{\"dataModelId\":\"$CE_DM\"}" | python3 -c "import sys,json; d=json.load(sys.stdin)['data']; print(d['package']['_id'] == sys.argv[1] and d['summary'].get('updated') == 1 and any(i['status'] == 'updated' and i['uml']['name'] == 'CeOrders' for i in d['items']))" "$CE_PKG" 2>/dev/null)"
+check_status "538.erd_from_classes_bad_inheritance_422" "422" "$(curl -s -o /dev/null -w '%{http_code}' -X POST $BASE/api/erd/from-classes -H "Content-Type: application/json" -d "{\"packageId\":\"$CE_PKG\",\"inheritance\":\"flat\"}")"
+CE_RELS=$(curl -s "$BASE/api/erd/relationships?dataModelId=$(enc $CE_DM)" | python3 -c "import sys,json; print(' '.join(r['_id'] for r in json.load(sys.stdin)['data']))" 2>/dev/null)
+for ID in $CE_RELS; do curl -s -X DELETE $BASE/api/erd/relationships/$(enc $ID) > /dev/null; done
+CE_ENTITIES=$(curl -s "$BASE/api/erd/entities?dataModelId=$(enc $CE_DM)" | python3 -c "import sys,json; print(' '.join(e['_id'] for e in reversed(json.load(sys.stdin)['data'])))" 2>/dev/null)
+for ID in $CE_ENTITIES; do curl -s -X DELETE $BASE/api/erd/entities/$(enc $ID) > /dev/null; done
+curl -s -X DELETE $BASE/api/erd/data-models/$(enc $CE_DM) > /dev/null
+curl -s -X DELETE $BASE/api/class/packages/$(enc $CE_PKG) > /dev/null
+curl -s -X DELETE $BASE/api/class/diagrams/$(enc $CE_TMP_DG) > /dev/null
+
+# =============================
+# BPMN 2.0 XML: import with layout, imported task editable, export keeps ids and script, missing input (5)
+# =============================
+BX_XML='<?xml version=\"1.0\"?><bpmn:definitions xmlns:bpmn=\"http://www.omg.org/spec/BPMN/20100524/MODEL\" xmlns:bpmndi=\"http://www.omg.org/spec/BPMN/20100524/DI\" xmlns:dc=\"http://www.omg.org/spec/DD/20100524/DC\" xmlns:di=\"http://www.omg.org/spec/DD/20100524/DI\" id=\"BxDefs\" targetNamespace=\"http://bpmn.io/schema/bpmn\"><bpmn:process id=\"BxProcess\" isExecutable=\"true\"><bpmn:startEvent id=\"BxStart\"><bpmn:timerEventDefinition id=\"BxTimer\"/></bpmn:startEvent><bpmn:scriptTask id=\"BxScript\" name=\"BxScore\" scriptFormat=\"javascript\"><bpmn:script>score = 1</bpmn:script></bpmn:scriptTask><bpmn:sequenceFlow id=\"BxFlow\" sourceRef=\"BxStart\" targetRef=\"BxScript\"/></bpmn:process><bpmndi:BPMNDiagram id=\"BxDiagram\"><bpmndi:BPMNPlane id=\"BxPlane\" bpmnElement=\"BxProcess\"><bpmndi:BPMNShape id=\"BxStart_di\" bpmnElement=\"BxStart\"><dc:Bounds x=\"100\" y=\"100\" width=\"36\" height=\"36\"/></bpmndi:BPMNShape><bpmndi:BPMNShape id=\"BxScript_di\" bpmnElement=\"BxScript\"><dc:Bounds x=\"200\" y=\"78\" width=\"100\" height=\"80\"/></bpmndi:BPMNShape><bpmndi:BPMNEdge id=\"BxFlow_di\" bpmnElement=\"BxFlow\"><di:waypoint x=\"136\" y=\"118\"/><di:waypoint x=\"200\" y=\"118\"/></bpmndi:BPMNEdge></bpmndi:BPMNPlane></bpmndi:BPMNDiagram></bpmn:definitions>'
+R=$(curl -s -X POST $BASE/api/bpmn/import -H "Content-Type: application/json" -d "{\"xml\":\"$BX_XML\",\"name\":\"BxDiag\"}")
+check "539.bpmn_import" "$R"
+BX_DG=$(echo "$R" | python3 -c "import sys,json; print(json.load(sys.stdin)['data']['diagram']['_id'])" 2>/dev/null)
+check_status "540.bpmn_import_counts" "True" "$(echo "$R" | python3 -c "import sys,json; d=json.load(sys.stdin)['data']; print(d['counts'] == {'BPMNStartEvent': 1, 'BPMNScriptTask': 1, 'BPMNSequenceFlow': 1} and d['warnings'] == [])" 2>/dev/null)"
+BX_TASK=$(curl -s "$BASE/api/bpmn/tasks?name~=BxScore" | python3 -c "import sys,json; print(json.load(sys.stdin)['data'][0]['_id'])" 2>/dev/null)
+check "541.bpmn_update_imported_task" "$(curl -s -X PUT $BASE/api/bpmn/tasks/$(enc $BX_TASK) -H "Content-Type: application/json" -d '{"name":"BxScoreOrder"}')"
+check_status "542.bpmn_export_keeps_ids" "True" "$(curl -s -X POST $BASE/api/bpmn/diagrams/$(enc $BX_DG)/export -H "Content-Type: application/json" -d '{}' | python3 -c "import sys,json; c=json.load(sys.stdin)['data']['content']; print(all(s in c for s in ['<bpmn:process id=\"BxProcess\"', '<bpmn:scriptTask id=\"BxScript\" name=\"BxScoreOrder\" scriptFormat=\"javascript\">', '<bpmn:script>score = 1</bpmn:script>', '<bpmn:timerEventDefinition id=\"BxTimer\"', 'sourceRef=\"BxStart\" targetRef=\"BxScript\"', '<dc:Bounds x=\"200\" y=\"78\" width=\"100\" height=\"80\"']))" 2>/dev/null)"
+check_status "543.bpmn_import_missing_input_400" "400" "$(curl -s -o /dev/null -w '%{http_code}' -X POST $BASE/api/bpmn/import -H "Content-Type: application/json" -d '{"name":"BxEmpty"}')"
+curl -s -X DELETE $BASE/api/bpmn/diagrams/$(enc $BX_DG) > /dev/null
+
+# =============================
+# BPMN validation: missing end event, unreachable task, unattached boundary event (3)
+# =============================
+BV_DG=$(getid "$(curl -s -X POST $BASE/api/bpmn/diagrams -H "Content-Type: application/json" -d '{"name":"BvDiag"}')")
+BV_PROCESS=$(curl -s $BASE/api/bpmn/diagrams/$(enc $BV_DG) | python3 -c "import sys,json; print(json.load(sys.stdin)['data']['_parentId'])" 2>/dev/null)
+BV_START=$(getid "$(curl -s -X POST $BASE/api/bpmn/events -H "Content-Type: application/json" -d "{\"diagramId\":\"$BV_DG\",\"name\":\"BvStart\",\"type\":\"BPMNStartEvent\",\"x1\":50,\"y1\":50,\"x2\":86,\"y2\":86}")")
+BV_TASK=$(getid "$(curl -s -X POST $BASE/api/bpmn/tasks -H "Content-Type: application/json" -d "{\"diagramId\":\"$BV_DG\",\"name\":\"BvOrphan\",\"type\":\"BPMNTask\",\"x1\":200,\"y1\":30,\"x2\":300,\"y2\":110}")")
+BV_BOUNDARY=$(getid "$(curl -s -X POST $BASE/api/bpmn/events -H "Content-Type: application/json" -d "{\"diagramId\":\"$BV_DG\",\"name\":\"BvLoose\",\"type\":\"BPMNBoundaryEvent\",\"x1\":500,\"y1\":300,\"x2\":536,\"y2\":336}")")
+R=$(curl -s -X POST $BASE/api/validate)
+check_status "544.validate_bpmn_no_end_event" "True" "$(echo "$R" | python3 -c "import sys,json; print(any(f['elementId'] == sys.argv[1] and f['message'].endswith('has no end event') and f['severity'] == 'warning' for f in json.load(sys.stdin)['data']))" "$BV_PROCESS" 2>/dev/null)"
+check_status "545.validate_bpmn_unreachable" "True" "$(echo "$R" | python3 -c "import sys,json; d=json.load(sys.stdin)['data']; print(any(f['elementId'] == sys.argv[1] and 'not reachable from a start event' in f['message'] for f in d) and not any(f['elementId'] == sys.argv[2] and 'not reachable' in f['message'] for f in d))" "$BV_TASK" "$BV_START" 2>/dev/null)"
+check_status "546.validate_bpmn_unattached_boundary" "True" "$(echo "$R" | python3 -c "import sys,json; print(any(f['elementId'] == sys.argv[1] and f['message'] == 'Boundary event \"BvLoose\" is not attached to an activity' and f['severity'] == 'error' for f in json.load(sys.stdin)['data']))" "$BV_BOUNDARY" 2>/dev/null)"
+curl -s -X DELETE $BASE/api/bpmn/diagrams/$(enc $BV_DG) > /dev/null
+
+# =============================
+# Token simulation: default branch deadlocks at a parallel join, chosen branch and highlight, bad choice, unsupported diagram (4)
+# =============================
+SM_XML='<definitions xmlns=\"http://www.omg.org/spec/BPMN/20100524/MODEL\"><process id=\"SmProcess\"><startEvent id=\"SmStart\"/><exclusiveGateway id=\"SmGate\" name=\"SmGate\"/><task id=\"SmA\" name=\"SmA\"/><task id=\"SmB\" name=\"SmB\"/><parallelGateway id=\"SmJoin\" name=\"SmJoin\"/><endEvent id=\"SmEnd\"/><sequenceFlow id=\"SmF1\" sourceRef=\"SmStart\" targetRef=\"SmGate\"/><sequenceFlow id=\"SmF2\" sourceRef=\"SmGate\" targetRef=\"SmA\"/><sequenceFlow id=\"SmF3\" sourceRef=\"SmGate\" targetRef=\"SmB\"/><sequenceFlow id=\"SmF4\" sourceRef=\"SmA\" targetRef=\"SmJoin\"/><sequenceFlow id=\"SmF5\" sourceRef=\"SmB\" targetRef=\"SmJoin\"/><sequenceFlow id=\"SmF6\" sourceRef=\"SmJoin\" targetRef=\"SmEnd\"/></process></definitions>'
+SM_DG=$(curl -s -X POST $BASE/api/bpmn/import -H "Content-Type: application/json" -d "{\"xml\":\"$SM_XML\",\"name\":\"SmDiag\"}" | python3 -c "import sys,json; print(json.load(sys.stdin)['data']['diagram']['_id'])" 2>/dev/null)
+SM_GATE=$(curl -s "$BASE/api/bpmn/gateways?name~=SmGate" | python3 -c "import sys,json; print(json.load(sys.stdin)['data'][0]['_id'])" 2>/dev/null)
+SM_B=$(curl -s "$BASE/api/bpmn/tasks?name~=SmB" | python3 -c "import sys,json; print(json.load(sys.stdin)['data'][0]['_id'])" 2>/dev/null)
+check_status "547.simulate_deadlock" "True" "$(curl -s -X POST $BASE/api/diagrams/$(enc $SM_DG)/simulate -H "Content-Type: application/json" -d '{}' | python3 -c "import sys,json; d=json.load(sys.stdin)['data']; print(d['status'] == 'deadlock' and d['deadlocks'][0]['elementName'] == 'SmJoin' and 'SmB' in [e['name'] for e in d['unvisited']])" 2>/dev/null)"
+check_status "548.simulate_choice_highlight" "True" "$(curl -s -X POST $BASE/api/diagrams/$(enc $SM_DG)/simulate -H "Content-Type: application/json" -d "{\"choices\":{\"$SM_GATE\":\"$SM_B\"},\"highlight\":true}" | python3 -c "import sys,json; d=json.load(sys.stdin)['data']; g=[e for e in d['trace'] if e['elementName'] == 'SmGate'][0]; print(d['status'] == 'deadlock' and g['by'] == 'choice' and 'SmB' in [e['elementName'] for e in d['trace']] and d['highlighted'] > 0)" 2>/dev/null)"
+check_status "549.simulate_bad_choice_422" "422" "$(curl -s -o /dev/null -w '%{http_code}' -X POST $BASE/api/diagrams/$(enc $SM_DG)/simulate -H "Content-Type: application/json" -d "{\"choices\":{\"$SM_B\":\"$SM_GATE\"}}")"
+SM_CLASS_DG=$(getid "$(curl -s -X POST $BASE/api/class/diagrams -H "Content-Type: application/json" -d '{"name":"SmClassDiag"}')")
+check_status "550.simulate_unsupported_diagram_422" "422" "$(curl -s -o /dev/null -w '%{http_code}' -X POST $BASE/api/diagrams/$(enc $SM_CLASS_DG)/simulate -H "Content-Type: application/json" -d '{}')"
+curl -s -X DELETE $BASE/api/class/diagrams/$(enc $SM_CLASS_DG) > /dev/null
+curl -s -X DELETE $BASE/api/bpmn/diagrams/$(enc $SM_DG) > /dev/null
+
+# =============================
+# Structurizr DSL: import views as C4 diagrams, imported container editable, export keeps identifiers and kinds, missing input (5)
+# =============================
+SZ_DSL='workspace \"SzBank\" {\n    model {\n        szUser = person \"SzUser\"\n        szShop = softwareSystem \"SzShop\" {\n            szWeb = container \"SzWeb\" \"\" \"React\" \"Web Browser\"\n            szDb = container \"SzDb\" \"\" \"Postgres\" \"Database\"\n        }\n        szUser -> szWeb \"Browses\" \"HTTPS\"\n        szWeb -> szDb \"Reads\" \"SQL\"\n    }\n    views {\n        systemContext szShop \"SzContext\" {\n            include *\n        }\n        container szShop \"SzContainers\" {\n            include *\n            autoLayout lr\n        }\n    }\n}'
+R=$(curl -s -X POST $BASE/api/c4/import -H "Content-Type: application/json" -d "{\"dsl\":\"$SZ_DSL\"}")
+check "551.c4_import_structurizr" "$R"
+SZ_MODEL=$(echo "$R" | python3 -c "import sys,json; print(json.load(sys.stdin)['data']['model']['_id'])" 2>/dev/null)
+check_status "552.c4_import_structurizr_views" "True" "$(echo "$R" | python3 -c "import sys,json; d=json.load(sys.stdin)['data']; print(d['counts'] == {'C4Person': 1, 'C4SoftwareSystem': 1, 'C4Container': 2, 'C4Relationship': 3, 'C4Diagram': 2} and [g['name'] for g in d['diagrams']] == ['SzContext', 'SzContainers'] and d['warnings'] == [])" 2>/dev/null)"
+SZ_WEB=$(curl -s "$BASE/api/c4/elements?name~=SzWeb" | python3 -c "import sys,json; print(json.load(sys.stdin)['data'][0]['_id'])" 2>/dev/null)
+check "553.c4_update_imported_container" "$(curl -s -X PUT $BASE/api/c4/elements/$(enc $SZ_WEB) -H "Content-Type: application/json" -d '{"technology":"Vue"}')"
+check_status "554.c4_export_structurizr" "True" "$(curl -s -X POST $BASE/api/c4/export -H "Content-Type: application/json" -d "{\"modelId\":\"$SZ_MODEL\"}" | python3 -c "import sys,json; c=json.load(sys.stdin)['data']['content']; print(all(s in c for s in ['workspace \"SzBank\"', 'szWeb = container \"SzWeb\" \"\" \"Vue\" \"Web Browser\"', 'szDb = container \"SzDb\" \"\" \"Postgres\" \"Database\"', 'szUser -> szWeb \"Browses\" \"HTTPS\"', 'systemContext szShop \"SzContext\"', 'autoLayout lr', 'shape Cylinder']) and c.count(' -> ') == 2)" 2>/dev/null)"
+check_status "555.c4_import_missing_input_400" "400" "$(curl -s -o /dev/null -w '%{http_code}' -X POST $BASE/api/c4/import -H "Content-Type: application/json" -d '{"name":"SzEmpty"}')"
+curl -s -X DELETE $BASE/api/elements/$(enc $SZ_MODEL) > /dev/null
+
+# =============================
+# C4 drill-down: container diagram with aggregated relationships, component diagram, unsupported element (4)
+# =============================
+DD_DSL='workspace \"DdBank\" {\n    model {\n        ddUser = person \"DdUser\"\n        ddMail = softwareSystem \"DdMail\"\n        ddShop = softwareSystem \"DdShop\" {\n            ddApi = container \"DdApi\" {\n                ddCtrl = component \"DdCtrl\"\n                ddRepo = component \"DdRepo\"\n            }\n            ddDb = container \"DdDb\"\n        }\n        ddUser -> ddApi \"Uses\" \"HTTPS\"\n        ddCtrl -> ddRepo \"Calls\"\n        ddRepo -> ddDb \"Reads\" \"JDBC\"\n        ddCtrl -> ddDb \"Writes\" \"JDBC, SQL\"\n        ddCtrl -> ddMail \"Sends\" \"SMTP\"\n    }\n}'
+DD_MODEL=$(curl -s -X POST $BASE/api/c4/import -H "Content-Type: application/json" -d "{\"dsl\":\"$DD_DSL\"}" | python3 -c "import sys,json; print(json.load(sys.stdin)['data']['model']['_id'])" 2>/dev/null)
+DD_SHOP=$(curl -s "$BASE/api/c4/elements?name~=DdShop" | python3 -c "import sys,json; print(json.load(sys.stdin)['data'][0]['_id'])" 2>/dev/null)
+DD_API=$(curl -s "$BASE/api/c4/elements?name~=DdApi" | python3 -c "import sys,json; print(json.load(sys.stdin)['data'][0]['_id'])" 2>/dev/null)
+DD_USER=$(curl -s "$BASE/api/c4/elements?name~=DdUser" | python3 -c "import sys,json; print(json.load(sys.stdin)['data'][0]['_id'])" 2>/dev/null)
+R=$(curl -s -X POST $BASE/api/c4/elements/$(enc $DD_SHOP)/drill-down -H "Content-Type: application/json" -d '{}')
+check "556.c4_drill_down_system" "$R"
+check_status "557.c4_drill_down_aggregates_relationships" "True" "$(echo "$R" | python3 -c "import sys,json; d=json.load(sys.stdin)['data']; n=dict((e['_id'], e['name']) for e in d['children'] + d['externals']); r=sorted((n[x['sourceId']], n[x['targetId']], x['name'], x['technology'], x['aggregated']) for x in d['relationships']); print(d['diagram']['name'] == 'DdShop - Containers' and [e['name'] for e in d['children']] == ['DdApi', 'DdDb'] and sorted(e['name'] for e in d['externals']) == ['DdMail', 'DdUser'] and r == [('DdApi', 'DdDb', 'Reads; Writes', 'JDBC, SQL', 2), ('DdApi', 'DdMail', 'Sends', 'SMTP', 1), ('DdUser', 'DdApi', 'Uses', 'HTTPS', 0)])" 2>/dev/null)"
+check_status "558.c4_drill_down_container" "True" "$(curl -s -X POST $BASE/api/c4/elements/$(enc $DD_API)/drill-down -H "Content-Type: application/json" -d '{"name":"DdApiComponents"}' | python3 -c "import sys,json; d=json.load(sys.stdin)['data']; print(d['diagram']['name'] == 'DdApiComponents' and sorted(e['name'] for e in d['children']) == ['DdCtrl', 'DdRepo'] and sorted(e['name'] for e in d['externals']) == ['DdDb', 'DdMail', 'DdUser'] and len(d['relationships']) == 4 and not any(x['aggregated'] for x in d['relationships']))" 2>/dev/null)"
+check_status "559.c4_drill_down_person_422" "422" "$(curl -s -o /dev/null -w '%{http_code}' -X POST $BASE/api/c4/elements/$(enc $DD_USER)/drill-down -H "Content-Type: application/json" -d '{}')"
+curl -s -X DELETE $BASE/api/elements/$(enc $DD_MODEL) > /dev/null
+
+# =============================
+# Handler-level validation: a missing field is coded like the schema's (1)
+# =============================
+check_status "560.validation_handler_required_code" "required" "$(curl -s -X POST $BASE/api/erd/migration -H "Content-Type: application/json" -d '{"dialect":"mysql"}' | python3 -c "import sys,json; print(json.load(sys.stdin)['errors'][0]['code'])" 2>/dev/null)"
+
+# =============================
+# DDL: SQLite leaves the schema of a data model out of index statements too (1)
+# =============================
+SQS_DM=$(getid "$(curl -s -X POST $BASE/api/erd/data-models -H "Content-Type: application/json" -d '{"name":"SqsDM"}')")
+curl -s -X POST $BASE/api/elements/$(enc $SQS_DM)/tags -H "Content-Type: application/json" -d '{"name":"schema","kind":0,"value":"app"}' > /dev/null
+SQS_E=$(getid "$(curl -s -X POST $BASE/api/erd/entities -H "Content-Type: application/json" -d "{\"name\":\"sqs_items\",\"parentId\":\"$SQS_DM\"}")")
+curl -s -X POST $BASE/api/erd/entities/$(enc $SQS_E)/columns -H "Content-Type: application/json" -d '{"name":"id","type":"INTEGER","length":"-1","primaryKey":true}' > /dev/null
+curl -s -X POST $BASE/api/elements/$(enc $SQS_E)/tags -H "Content-Type: application/json" -d '{"name":"index#ix_sqs_items","kind":0,"value":"CREATE INDEX ix_sqs_items ON sqs_items (id)"}' > /dev/null
+curl -s -X POST $BASE/api/erd/ddl -H "Content-Type: application/json" -d "{\"dataModelId\":\"$SQS_DM\",\"dialect\":\"sqlite\",\"path\":\"/tmp/test_ddl_sqlite_schema.sql\"}" > /dev/null
+check_status "561.ddl_sqlite_index_unqualified" "True" "$(python3 -c "import sys; d=open('/tmp/test_ddl_sqlite_schema.sql').read(); print('CREATE INDEX ix_sqs_items ON sqs_items (id);' in d and 'CREATE TABLE sqs_items' in d and 'app' not in d)" 2>/dev/null)"
+curl -s -X DELETE $BASE/api/erd/entities/$(enc $SQS_E) > /dev/null
+curl -s -X DELETE $BASE/api/erd/data-models/$(enc $SQS_DM) > /dev/null
+rm -f /tmp/test_ddl_sqlite_schema.sql
+
+# =============================
+# DDL import: PostgreSQL dollar-quoted function bodies stay one statement (1)
+# =============================
+R=$(curl -s -X POST $BASE/api/erd/import-ddl -H "Content-Type: application/json" -d '{"name":"DqDM","sql":"CREATE TABLE dq_items (id integer PRIMARY KEY);\nCREATE FUNCTION dq_touch() RETURNS trigger LANGUAGE plpgsql AS $$\nBEGIN\n  NEW.id := 1;\n  RETURN NEW;\nEND;\n$$;\nDO $body$ BEGIN PERFORM 1; END $body$;"}')
+check_status "562.ddl_import_dollar_quoted_body" "True" "$(echo "$R" | python3 -c "import sys,json; d=json.load(sys.stdin)['data']; print(d['warnings'] == ['Skipped unsupported statement(s): CREATE FUNCTION'] and [e['name'] for e in d['entities']] == ['dq_items'])" 2>/dev/null)"
+DQ_DM=$(echo "$R" | python3 -c "import sys,json; print(json.load(sys.stdin)['data']['dataModels'][0]['_id'])" 2>/dev/null)
+DQ_E=$(echo "$R" | python3 -c "import sys,json; print(json.load(sys.stdin)['data']['entities'][0]['_id'])" 2>/dev/null)
+curl -s -X DELETE $BASE/api/erd/entities/$(enc $DQ_E) > /dev/null
+curl -s -X DELETE $BASE/api/erd/data-models/$(enc $DQ_DM) > /dev/null
+
+# =============================
+# Prisma import: implicit many-to-many becomes a junction entity (1)
+# =============================
+R=$(curl -s -X POST $BASE/api/erd/import-prisma -H "Content-Type: application/json" -d '{"name":"PmDM","prisma":"model PmPost {\n  id   Int     @id\n  tags PmTag[]\n}\nmodel PmTag {\n  id    String   @id\n  posts PmPost[]\n}"}')
+check_status "563.prisma_import_implicit_many_to_many" "True" "$(echo "$R" | python3 -c "import sys,json; d=json.load(sys.stdin)['data']; print(sorted(e['name'] for e in d['entities']) == ['PmPost', 'PmTag', '_PmPostToPmTag'] and d['warnings'] == [])" 2>/dev/null)"
+PM_DM=$(echo "$R" | python3 -c "import sys,json; print(json.load(sys.stdin)['data']['dataModels'][0]['_id'])" 2>/dev/null)
+PM_IDS=$(echo "$R" | python3 -c "import sys,json; print(' '.join(e['_id'] for e in json.load(sys.stdin)['data']['entities']))" 2>/dev/null)
+PM_REL=$(curl -s "$BASE/api/erd/relationships?dataModelId=$(enc $PM_DM)" | python3 -c "import sys,json; print(' '.join(r['_id'] for r in json.load(sys.stdin)['data']))" 2>/dev/null)
+for ID in $PM_REL; do curl -s -X DELETE $BASE/api/erd/relationships/$(enc $ID) > /dev/null; done
+for ID in $PM_IDS; do curl -s -X DELETE $BASE/api/erd/entities/$(enc $ID) > /dev/null; done
+curl -s -X DELETE $BASE/api/erd/data-models/$(enc $PM_DM) > /dev/null
+
+# =============================
+# Validation: column template columns and batch steps are checked by the route schema (2)
+# =============================
+check_status "564.validation_template_column_field" "columns[0].size" "$(curl -s -X POST $BASE/api/erd/column-templates -H "Content-Type: application/json" -d '{"name":"bad_tpl","columns":[{"name":"id","type":"INTEGER","size":4}]}' | python3 -c "import sys,json; print(json.load(sys.stdin)['errors'][0]['field'])" 2>/dev/null)"
+check_status "565.validation_batch_step_method_422" "422" "$(curl -s -o /dev/null -w '%{http_code}' -X POST $BASE/api/batch -H "Content-Type: application/json" -d '{"steps":[{"method":"PATCH","path":"/api/status"}]}')"
+
+# =============================
+# DBML import: an inline ref repeated by a Ref block gives one relationship (1)
+# =============================
+R=$(curl -s -X POST $BASE/api/erd/import-dbml -H "Content-Type: application/json" -d '{"name":"DupRefDM","dbml":"Table dup_users { id integer [pk] }\nTable dup_posts { id integer [pk]\n user_id integer [ref: > dup_users.id] }\nRef: dup_posts.user_id > dup_users.id"}')
+DUP_DM=$(echo "$R" | python3 -c "import sys,json; print(json.load(sys.stdin)['data']['dataModels'][0]['_id'])" 2>/dev/null)
+DUP_IDS=$(echo "$R" | python3 -c "import sys,json; print(' '.join(e['_id'] for e in json.load(sys.stdin)['data']['entities']))" 2>/dev/null)
+DUP_REL=$(curl -s "$BASE/api/erd/relationships?dataModelId=$(enc $DUP_DM)" | python3 -c "import sys,json; print(' '.join(r['_id'] for r in json.load(sys.stdin)['data']))" 2>/dev/null)
+check_status "566.dbml_import_duplicate_ref" "1" "$(echo $DUP_REL | wc -w | tr -d ' ')"
+for ID in $DUP_REL; do curl -s -X DELETE $BASE/api/erd/relationships/$(enc $ID) > /dev/null; done
+for ID in $DUP_IDS; do curl -s -X DELETE $BASE/api/erd/entities/$(enc $ID) > /dev/null; done
+curl -s -X DELETE $BASE/api/erd/data-models/$(enc $DUP_DM) > /dev/null
+
+# =============================
+# BPMN validation: a parallel block nested in an exclusive block is joined at its own level (1)
+# =============================
+NG_XML='<definitions xmlns=\"http://www.omg.org/spec/BPMN/20100524/MODEL\"><process id=\"NgProcess\"><startEvent id=\"NgStart\"/><exclusiveGateway id=\"NgXs\" name=\"NgXs\"/><parallelGateway id=\"NgAs\" name=\"NgAs\"/><task id=\"NgT1\" name=\"NgT1\"/><task id=\"NgT2\" name=\"NgT2\"/><parallelGateway id=\"NgAj\" name=\"NgAj\"/><task id=\"NgB\" name=\"NgB\"/><exclusiveGateway id=\"NgXj\" name=\"NgXj\"/><endEvent id=\"NgEnd\"/><sequenceFlow id=\"NgF1\" sourceRef=\"NgStart\" targetRef=\"NgXs\"/><sequenceFlow id=\"NgF2\" sourceRef=\"NgXs\" targetRef=\"NgAs\"/><sequenceFlow id=\"NgF3\" sourceRef=\"NgAs\" targetRef=\"NgT1\"/><sequenceFlow id=\"NgF4\" sourceRef=\"NgAs\" targetRef=\"NgT2\"/><sequenceFlow id=\"NgF5\" sourceRef=\"NgT1\" targetRef=\"NgAj\"/><sequenceFlow id=\"NgF6\" sourceRef=\"NgT2\" targetRef=\"NgAj\"/><sequenceFlow id=\"NgF7\" sourceRef=\"NgAj\" targetRef=\"NgXj\"/><sequenceFlow id=\"NgF8\" sourceRef=\"NgXs\" targetRef=\"NgB\"/><sequenceFlow id=\"NgF9\" sourceRef=\"NgB\" targetRef=\"NgXj\"/><sequenceFlow id=\"NgF10\" sourceRef=\"NgXj\" targetRef=\"NgEnd\"/></process></definitions>'
+NG_DG=$(curl -s -X POST $BASE/api/bpmn/import -H "Content-Type: application/json" -d "{\"xml\":\"$NG_XML\",\"name\":\"NgDiag\"}" | python3 -c "import sys,json; print(json.load(sys.stdin)['data']['diagram']['_id'])" 2>/dev/null)
+check_status "567.validate_bpmn_nested_gateways" "True" "$(curl -s -X POST $BASE/api/validate | python3 -c "import sys,json; print(not any('\"Ng' in f['message'] and 'gateway' in f['message'] for f in json.load(sys.stdin)['data']))" 2>/dev/null)"
+curl -s -X DELETE $BASE/api/bpmn/diagrams/$(enc $NG_DG) > /dev/null
+
+# =============================
+# C4 drill-down: an aggregated relationship with nothing left behind it is removed (1)
+# =============================
+RM_DSL='workspace \"RmBank\" {\n    model {\n        rmShop = softwareSystem \"RmShop\" {\n            rmApi = container \"RmApi\" {\n                rmCtrl = component \"RmCtrl\"\n            }\n            rmDb = container \"RmDb\"\n        }\n        rmCtrl -> rmDb \"RmReads\" \"JDBC\"\n    }\n}'
+RM_MODEL=$(curl -s -X POST $BASE/api/c4/import -H "Content-Type: application/json" -d "{\"dsl\":\"$RM_DSL\"}" | python3 -c "import sys,json; print(json.load(sys.stdin)['data']['model']['_id'])" 2>/dev/null)
+RM_SHOP=$(curl -s "$BASE/api/c4/elements?name~=RmShop" | python3 -c "import sys,json; print(json.load(sys.stdin)['data'][0]['_id'])" 2>/dev/null)
+RM_IMPLIED=$(curl -s -X POST $BASE/api/c4/elements/$(enc $RM_SHOP)/drill-down -H "Content-Type: application/json" -d '{}' | python3 -c "import sys,json; print(json.load(sys.stdin)['data']['relationships'][0]['_id'])" 2>/dev/null)
+RM_READS=$(curl -s $BASE/api/c4/relationships | python3 -c "import sys,json; print([r['_id'] for r in json.load(sys.stdin)['data'] if r['name'] == 'RmReads'][0])" 2>/dev/null)
+curl -s -X DELETE $BASE/api/c4/relationships/$(enc $RM_READS) > /dev/null
+check_status "568.c4_drill_down_removes_stale_implied" "True" "$(curl -s -X POST $BASE/api/c4/elements/$(enc $RM_SHOP)/drill-down -H "Content-Type: application/json" -d '{}' | python3 -c "import sys,json; d=json.load(sys.stdin)['data']; print([r['_id'] for r in d['removed']] == ['$RM_IMPLIED'] and d['relationships'] == [])" 2>/dev/null)"
+curl -s -X DELETE $BASE/api/elements/$(enc $RM_MODEL) > /dev/null
+
 # =============================
 # Restore project to pre-test state
 # =============================
@@ -1514,7 +1976,7 @@ echo "Restoring project from snapshot..."
 curl -s -X POST $BASE/api/project/open -H "Content-Type: application/json" -d "{\"path\":\"$SNAPSHOT\"}" > /dev/null
 
 # Cleanup temp files
-rm -f /tmp/test_export.png /tmp/test_export.svg /tmp/test_export.jpeg /tmp/test_export.pdf /tmp/test_ddl.sql /tmp/test_fragment.mfj /tmp/test_staruml.mdj "$SNAPSHOT"
+rm -f /tmp/test_export.png /tmp/test_export.svg /tmp/test_export.jpeg /tmp/test_export.pdf /tmp/test_ddl.sql /tmp/test_fragment.mfj /tmp/test_staruml.mdj /tmp/test_openapi.json "$SNAPSHOT"
 rm -rf /tmp/staruml_export_test /tmp/staruml_test_doc
 
 # =============================
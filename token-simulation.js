@@ -0,0 +1,459 @@
+/**
+ * Token-flow simulation for StarUML Controller
+ *
+ * Dry-runs a BPMN diagram or UML activity diagram: tokens start at the
+ * start events / initial nodes and move along the sequence flows and
+ * control (or object) flows shown on the diagram.
+ *
+ *   exclusive gateway, event-based gateway,
+ *   decision node                             one outgoing flow (a choice)
+ *   inclusive, complex gateway                split: the chosen outgoing flows
+ *                                             (all without a choice); join:
+ *                                             waits until no other token can
+ *                                             still arrive
+ *   parallel gateway, fork node, join node    split: every outgoing flow; join:
+ *                                             waits for a token on every
+ *                                             incoming flow
+ *   merge node                                passes each token on
+ *   end event, flow final node                consumes the token
+ *   terminating end event, activity final     ends the whole run
+ *   link throw event / edge connector         continues at the link catch
+ *                                             event / connector of that name
+ *   other nodes (tasks, actions, events)      every outgoing flow; a UML action
+ *                                             with several incoming flows waits
+ *                                             for all of them, a BPMN activity
+ *                                             passes each token on
+ *
+ * Sub-processes are single steps, and boundary events are not triggered.
+ * The run stops when no token can move (a deadlock when some wait at a
+ * join), when the same state recurs (a livelock: the choices loop
+ * forever), or after maxSteps steps.
+ */
+
+const h = require('./handlers/shared-helpers')
+
+const START_TYPES = ['BPMNStartEvent', 'UMLInitialNode']
+const END_TYPES = ['BPMNEndEvent', 'UMLFlowFinalNode']
+const EXCLUSIVE_TYPES = ['BPMNExclusiveGateway', 'BPMNEventBasedGateway', 'UMLDecisionNode']
+const INCLUSIVE_TYPES = ['BPMNInclusiveGateway', 'BPMNComplexGateway']
+const PARALLEL_TYPES = ['BPMNParallelGateway', 'UMLForkNode', 'UMLJoinNode']
+const MERGE_TYPES = ['UMLMergeNode']
+const FLOW_TYPES = ['BPMNSequenceFlow', 'UMLControlFlow', 'UMLObjectFlow']
+const CHOICE_TYPES = EXCLUSIVE_TYPES.concat(INCLUSIVE_TYPES)
+
+const DIAGRAM_TYPES = ['BPMNDiagram', 'UMLActivityDiagram']
+const DEFAULT_MAX_STEPS = 1000
+
+function hasDefinition(node, defType) {
+    return (node.eventDefinitions || []).some(function (d) { return h.typeOf(d) === defType })
+}
+
+function isTerminate(node) {
+    return h.isA(node, ['UMLActivityFinalNode']) || (h.isA(node, ['BPMNEndEvent']) && hasDefinition(node, 'BPMNTerminateEventDefinition'))
+}
+
+// ============================================================
+// Net
+// ============================================================
+
+/**
+ * The flows shown on a diagram and the nodes they connect:
+ * { diagram, isUml, nodes, flows, outgoing: { nodeId: [flow] },
+ *   incoming: { nodeId: [flow] }, views: { elementId: view } }
+ */
+function buildNet(diagram) {
+    const views = {}
+    const visit = function (list) {
+        (list || []).forEach(function (v) {
+            if (v.model && !views[v.model._id]) {
+                views[v.model._id] = v
+            }
+            visit(v.containedViews)
+        })
+    }
+    visit(diagram.ownedViews)
+
+    const net = {
+        diagram: diagram,
+        isUml: h.typeOf(diagram) === 'UMLActivityDiagram',
+        nodes: [],
+        flows: [],
+        outgoing: {},
+        incoming: {},
+        views: views
+    }
+    const addNode = function (node) {
+        if (!net.outgoing[node._id]) {
+            net.outgoing[node._id] = []
+            net.incoming[node._id] = []
+            net.nodes.push(node)
+        }
+    }
+    Object.keys(views).forEach(function (id) {
+        const model = views[id].model
+        if (h.isA(model, FLOW_TYPES) && model.source && model.target) {
+            net.flows.push(model)
+        } else if (h.isA(model, START_TYPES) || h.isA(model, END_TYPES) || isTerminate(model)) {
+            addNode(model)
+        }
+    })
+    net.flows.forEach(function (f) {
+        addNode(f.source)
+        addNode(f.target)
+        net.outgoing[f.source._id].push(f)
+        net.incoming[f.target._id].push(f)
+    })
+    return net
+}
+
+function isStart(net, node) {
+    return h.isA(node, START_TYPES) && net.incoming[node._id].length === 0
+}
+
+/**
+ * Nodes where tokens start: start events and initial nodes without incoming flows.
+ */
+function startNodes(net) {
+    return net.nodes.filter(function (n) { return isStart(net, n) })
+}
+
+function isChoice(node) {
+    return h.isA(node, CHOICE_TYPES)
+}
+
+function isAndJoin(net, node) {
+    return h.isA(node, PARALLEL_TYPES) || (net.isUml && net.incoming[node._id].length > 1 &&
+        !h.isA(node, MERGE_TYPES.concat(EXCLUSIVE_TYPES, INCLUSIVE_TYPES)) && !h.isA(node, END_TYPES) && !isTerminate(node))
+}
+
+function isOrJoin(net, node) {
+    return h.isA(node, INCLUSIVE_TYPES) && net.incoming[node._id].length > 1
+}
+
+/**
+ * Nodes a token leaving `node` jumps to: link catch events of the same
+ * name for a BPMN link throw event, the connectors of the same name with
+ * outgoing flows for a UML edge connector without any.
+ */
+function linkTargets(net, node) {
+    if (h.isA(node, ['BPMNIntermediateThrowEvent']) && hasDefinition(node, 'BPMNLinkEventDefinition')) {
+        return net.nodes.filter(function (n) {
+            return h.isA(n, ['BPMNIntermediateCatchEvent']) && hasDefinition(n, 'BPMNLinkEventDefinition') && n.name === node.name
+        })
+    }
+    if (h.isA(node, ['UMLActivityEdgeConnector']) && net.outgoing[node._id].length === 0) {
+        return net.nodes.filter(function (n) {
+            return n !== node && h.isA(n, ['UMLActivityEdgeConnector']) && n.name === node.name && net.outgoing[n._id].length > 0
+        })
+    }
+    return []
+}
+
+// ============================================================
+// Choices
+// ============================================================
+
+/**
+ * Resolve a choice (flow id or target node id) to an outgoing flow of `node`.
+ */
+function resolveChoice(net, node, id) {
+    return net.outgoing[node._id].filter(function (f) {
+        return f._id === id || f.target._id === id
+    })[0] || null
+}
+
+/**
+ * Check the choices of a request body against the net.
+ *
+ * @param {Object} choices - { nodeId: id | [id] }, ids of outgoing flows
+ *   or of the nodes they lead to
+ * @returns {string|null} the problem, or null
+ */
+function checkChoices(net, choices) {
+    const keys = Object.keys(choices || {})
+    for (let i = 0; i < keys.length; i++) {
+        const node = net.nodes.filter(function (n) { return n._id === keys[i] })[0]
+        if (!node || !isChoice(node)) {
+            return 'choices: "' + keys[i] + '" is not a decision node or exclusive, event-based, inclusive or complex gateway with flows on the diagram'
+        }
+        const values = Array.isArray(choices[keys[i]]) ? choices[keys[i]] : [choices[keys[i]]]
+        if (values.length === 0) {
+            return 'choices: the list for "' + (node.name || keys[i]) + '" is empty'
+        }
+        for (let j = 0; j < values.length; j++) {
+            if (typeof values[j] !== 'string' || !resolveChoice(net, node, values[j])) {
+                return 'choices: ' + JSON.stringify(values[j]) + ' is not an outgoing flow of "' + (node.name || keys[i]) + '" or the node it leads to'
+            }
+        }
+    }
+    return null
+}
+
+// ============================================================
+// Run
+// ============================================================
+
+function entry(step, event, node, extra) {
+    return Object.assign({
+        step: step,
+        event: event,
+        elementId: node._id,
+        elementName: node.name || '',
+        type: h.typeOf(node)
+    }, extra || {})
+}
+
+/**
+ * Simulate the net.
+ *
+ * @param {Object} net - from buildNet
+ * @param {Object} options - { choices, startId, maxSteps }
+ * @returns {Object} { status: 'completed' | 'deadlock' | 'livelock' |
+ *   'step-limit', steps, trace, visited: { nodes, flows }, deadlocks,
+ *   livelocks, unvisited, warnings }
+ */
+function run(net, options) {
+    const choices = options.choices || {}
+    const maxSteps = options.maxSteps || DEFAULT_MAX_STEPS
+    const warnings = []
+    const trace = []
+    const visitedNodes = {}
+    const visitedFlows = {}
+    const deadlocks = []
+    const livelocks = []
+    const cursors = {}       // choice node id -> index of its next choice
+    const buffers = {}       // join node id -> { flowId: count }
+    let queue = []           // [{ node, flow }] tokens about to enter a node
+    let steps = 0
+    let status = null
+
+    let starts = startNodes(net)
+    if (options.startId) {
+        starts = starts.filter(function (n) { return n._id === options.startId })
+    } else if (!net.isUml && starts.length > 1) {
+        warnings.push('The diagram has ' + starts.length + ' start events; all of them start a token (pass startId to start at one)')
+    }
+    starts.forEach(function (n) {
+        queue.push({ node: n, flow: null })
+        trace.push(entry(0, 'start', n))
+    })
+
+    const send = function (node, flows) {
+        flows.forEach(function (f) {
+            visitedFlows[f._id] = true
+            queue.push({ node: f.target, flow: f })
+        })
+    }
+
+    const choose = function (node) {
+        const outgoing = net.outgoing[node._id]
+        const given = choices[node._id]
+        if (given === undefined) {
+            return { flows: h.isA(node, INCLUSIVE_TYPES) ? outgoing : outgoing.slice(0, 1), by: 'default' }
+        }
+        const list = Array.isArray(given) ? given : [given]
+        if (h.isA(node, INCLUSIVE_TYPES)) {
+            return { flows: list.map(function (id) { return resolveChoice(net, node, id) }), by: 'choice' }
+        }
+        const index = Math.min(cursors[node._id] || 0, list.length - 1)
+        cursors[node._id] = index + 1
+        return { flows: [resolveChoice(net, node, list[index])], by: 'choice' }
+    }
+
+    // Can a token entering `from` still reach `target` without passing it?
+    const canReach = function (from, target) {
+        const seen = {}
+        const stack = [from]
+        while (stack.length > 0) {
+            const n = stack.pop()
+            if (n === target) {
+                return true
+            }
+            if (seen[n._id]) {
+                continue
+            }
+            seen[n._id] = true
+            net.outgoing[n._id].forEach(function (f) { stack.push(f.target) })
+            linkTargets(net, n).forEach(function (t) { stack.push(t) })
+        }
+        return false
+    }
+
+    const stateKey = function () {
+        const tokens = queue.map(function (t) { return (t.flow ? t.flow._id : '') + '>' + t.node._id }).sort()
+        return JSON.stringify([tokens, buffers, cursors])
+    }
+    const seenStates = {}
+
+    const fire = function (node, via) {
+        steps++
+        visitedNodes[node._id] = true
+        if (isTerminate(node)) {
+            trace.push(entry(steps, 'terminate', node, { flowId: via ? via._id : null }))
+            queue = []
+            Object.keys(buffers).forEach(function (k) { delete buffers[k] })
+            return
+        }
+        const outgoing = net.outgoing[node._id]
+        const links = linkTargets(net, node)
+        if (links.length > 0) {
+            trace.push(entry(steps, 'link', node, { flowId: via ? via._id : null, targetIds: links.map(function (n) { return n._id }) }))
+            links.forEach(function (n) { queue.push({ node: n, flow: null }) })
+            return
+        }
+        if (outgoing.length === 0) {
+            trace.push(entry(steps, 'end', node, { flowId: via ? via._id : null }))
+            return
+        }
+        let taken = outgoing
+        let extra = {}
+        if (isChoice(node) && outgoing.length > 1) {
+            const chosen = choose(node)
+            taken = chosen.flows
+            extra = { chosen: taken.map(function (f) { return f._id }), by: chosen.by }
+        }
+        trace.push(entry(steps, 'complete', node, Object.assign({
+            flowId: via ? via._id : null,
+            outgoing: taken.map(function (f) { return f._id })
+        }, extra)))
+        send(node, taken)
+    }
+
+    while (status === null) {
+        if (queue.length === 0) {
+            // An inclusive join fires once no other token can reach it
+            const ready = net.nodes.filter(function (n) {
+                return isOrJoin(net, n) && buffers[n._id] && Object.keys(buffers[n._id]).length > 0
+            })
+            if (ready.length === 0) {
+                break
+            }
+            const node = ready[0]
+            const arrived = Object.keys(buffers[node._id])
+            delete buffers[node._id]
+            fire(node, null)
+            trace[trace.length - 1].joined = arrived
+            continue
+        }
+        if (steps >= maxSteps) {
+            status = 'step-limit'
+            warnings.push('Stopped after ' + maxSteps + ' steps with ' + queue.length + ' token(s) still moving')
+            break
+        }
+        const key = stateKey()
+        if (seenStates[key] !== undefined) {
+            const since = seenStates[key]
+            const cycle = {}
+            trace.filter(function (t) { return t.step > since }).forEach(function (t) {
+                cycle[t.elementId] = t.elementName
+            })
+            livelocks.push({
+                elementIds: Object.keys(cycle),
+                message: 'The run returns to the state of step ' + since + ' and would repeat forever: ' +
+                    Object.keys(cycle).map(function (id) { return '"' + (cycle[id] || id) + '"' }).join(', ')
+            })
+            status = 'livelock'
+            break
+        }
+        seenStates[key] = steps
+
+        const token = queue.shift()
+        const node = token.node
+        if (isAndJoin(net, node) && net.incoming[node._id].length > 1) {
+            const buffer = buffers[node._id] = buffers[node._id] || {}
+            buffer[token.flow._id] = (buffer[token.flow._id] || 0) + 1
+            const missing = net.incoming[node._id].filter(function (f) { return !buffer[f._id] })
+            if (missing.length > 0) {
+                trace.push(entry(steps, 'wait', node, { flowId: token.flow._id, waitingFor: missing.map(function (f) { return f._id }) }))
+                continue
+            }
+            Object.keys(buffer).forEach(function (id) {
+                if (--buffer[id] === 0) {
+                    delete buffer[id]
+                }
+            })
+            if (Object.keys(buffer).length === 0) {
+                delete buffers[node._id]
+            }
+            fire(node, token.flow)
+            continue
+        }
+        if (isOrJoin(net, node) && token.flow) {
+            const others = queue.some(function (t) { return canReach(t.node, node) }) ||
+                Object.keys(buffers).some(function (id) {
+                    return id !== node._id && canReach(net.nodes.filter(function (n) { return n._id === id })[0], node)
+                })
+            const buffer = buffers[node._id] = buffers[node._id] || {}
+            buffer[token.flow._id] = (buffer[token.flow._id] || 0) + 1
+            if (others) {
+                trace.push(entry(steps, 'wait', node, { flowId: token.flow._id }))
+                continue
+            }
+            const arrived = Object.keys(buffer)
+            delete buffers[node._id]
+            fire(node, token.flow)
+            trace[trace.length - 1].joined = arrived
+            continue
+        }
+        fire(node, token.flow)
+    }
+
+    // Tokens left waiting once nothing else can move are deadlocked
+    Object.keys(status === null ? buffers : {}).forEach(function (id) {
+        const node = net.nodes.filter(function (n) { return n._id === id })[0]
+        const missing = net.incoming[id].filter(function (f) { return !buffers[id][f._id] })
+        deadlocks.push({
+            elementId: id,
+            elementName: node.name || '',
+            waitingFor: missing.map(function (f) { return f._id }),
+            message: 'Join "' + (node.name || id) + '" waits forever for ' + missing.map(function (f) {
+                return '"' + (f.source.name || f.source._id) + '"'
+            }).join(', ')
+        })
+    })
+    if (status === null) {
+        status = deadlocks.length > 0 ? 'deadlock' : 'completed'
+    }
+
+    return {
+        status: status,
+        steps: steps,
+        trace: trace,
+        visited: { nodes: Object.keys(visitedNodes), flows: Object.keys(visitedFlows) },
+        deadlocks: deadlocks,
+        livelocks: livelocks,
+        unvisited: net.nodes.filter(function (n) { return !visitedNodes[n._id] }).map(function (n) {
+            return { _id: n._id, name: n.name || '', type: h.typeOf(n) }
+        }),
+        warnings: warnings
+    }
+}
+
+/**
+ * Set the line color of the views of visited nodes and flows.
+ *
+ * @returns {number} the number of views changed
+ */
+function highlight(net, result, color) {
+    let count = 0
+    result.visited.nodes.concat(result.visited.flows).forEach(function (id) {
+        const view = net.views[id]
+        if (view && view.lineColor !== color) {
+            app.engine.setProperty(view, 'lineColor', color)
+            count++
+        }
+    })
+    return count
+}
+
+// ============================================================
+// Public API
+// ============================================================
+
+exports.DIAGRAM_TYPES = DIAGRAM_TYPES
+exports.DEFAULT_MAX_STEPS = DEFAULT_MAX_STEPS
+exports.buildNet = buildNet
+exports.startNodes = startNodes
+exports.checkChoices = checkChoices
+exports.run = run
+exports.highlight = highlight